@@ -5,7 +5,7 @@
  * 
  * Key Responsibilities:
  * - Provider Abstraction: Define common interface for different AI services
- * - Multi-Provider Support: Support Flowise, OpenRouter, and extensible for other providers
+ * - Multi-Provider Support: Support Flowise, OpenRouter, any OpenAI-compatible endpoint, and extensible for other providers
  * - Configuration Management: Handle provider-specific configuration and initialization
  * - Error Handling: Provide consistent error handling and retry logic across providers
  * - Health Monitoring: Monitor provider availability and health status
@@ -13,6 +13,10 @@
  * Supported Providers:
  * - Flowise: Self-hosted AI with built-in RAG capabilities
  * - OpenRouter: API gateway for multiple AI models with external RAG enhancement
+ * - OpenAI-compatible: Any /chat/completions endpoint (vLLM, Ollama, LM Studio, Azure proxies)
+ *   configured by base URL, optional API key, extra headers and a model list
+ * - Mock: Deterministic offline provider answering from regex fixtures, with configurable
+ *   latency and error injection (development and tests)
  * - Extensible architecture for adding new providers
  * 
  * Features:
@@ -56,6 +60,168 @@
  */
 
 // Node.js 18+ has built-in fetch
+const fs = require('fs');
+const path = require('path');
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+// Providers that can drive the LangChain RAG chains (mock uses an in-process chat model)
+const CHAT_COMPLETION_PROVIDERS = ['openrouter', 'openai_compatible', 'mock'];
+
+const DEFAULT_MOCK_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'mock-ai-responses.json');
+
+// Local servers (Ollama, vLLM) usually ignore the key, but the OpenAI client requires one
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+/**
+ * Check whether a provider uses the chat completions API (and therefore the LangChain RAG path)
+ */
+function isChatCompletionProvider(providerName) {
+    return CHAT_COMPLETION_PROVIDERS.includes(String(providerName || '').toLowerCase());
+}
+
+/**
+ * Build an error for a failed provider call, keeping the HTTP status so the
+ * failover service can tell outages (5xx, 429) from request errors
+ */
+function createHttpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Parse extra HTTP headers stored as a JSON object string
+ * Invalid or non-object values are ignored so a bad setting cannot break requests
+ */
+function parseHeaders(value) {
+    if (!value) return {};
+    if (typeof value === 'object' && !Array.isArray(value)) return { ...value };
+
+    try {
+        const parsed = JSON.parse(value);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            return Object.fromEntries(
+                Object.entries(parsed).map(([name, headerValue]) => [name, String(headerValue)])
+            );
+        }
+    } catch (error) {
+        console.warn('Ignoring invalid OpenAI-compatible headers setting:', error.message);
+    }
+    return {};
+}
+
+/**
+ * Parse a comma or newline separated model list
+ */
+function parseModelList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+    return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Build chat completion messages from the conversation context string
+ * RAG contexts are sent as a single user message, normal contexts are split into turns
+ */
+function buildChatMessages(conversationContext, systemPrompt) {
+    // Check if this is RAG-enhanced context by looking for our RAG structure
+    if (conversationContext.includes('UŽDUOTIS:')) {
+        // For RAG, send as a single user message (like the Python implementation)
+        return [
+            {
+                role: "user",
+                content: conversationContext
+            }
+        ];
+    }
+
+    // Use current system prompt from environment for normal contexts
+    const messages = [
+        {
+            role: "system",
+            content: process.env.SYSTEM_PROMPT || systemPrompt
+        }
+    ];
+
+    // Parse conversation context into messages for normal flow
+    if (conversationContext.includes('Agent:') || conversationContext.includes('Customer:')) {
+        // Multi-turn conversation
+        const lines = conversationContext.split('\n').filter(line => line.trim());
+        for (const line of lines) {
+            if (line.startsWith('Customer: ')) {
+                messages.push({
+                    role: "user",
+                    content: line.substring(10) // Remove "Customer: " prefix
+                });
+            } else if (line.startsWith('Agent: ')) {
+                messages.push({
+                    role: "assistant",
+                    content: line.substring(7) // Remove "Agent: " prefix
+                });
+            }
+        }
+    } else {
+        // Single customer message
+        messages.push({
+            role: "user",
+            content: conversationContext
+        });
+    }
+
+    return messages;
+}
+
+/**
+ * Resolve the chat model settings used by the LangChain chains (ChatOpenAI)
+ * Any provider other than openai_compatible keeps the historical OpenRouter behaviour
+ *
+ * @param {Object} config - Provider config from SettingsService.getAIProviderConfig()
+ * @returns {Object} { provider, baseURL, apiKey, model, rephrasingModel, headers }
+ */
+function resolveChatModelConfig(config = {}) {
+    const provider = String(config.AI_PROVIDER || process.env.AI_PROVIDER || '').toLowerCase();
+
+    if (provider === 'mock') {
+        return {
+            provider,
+            baseURL: null,
+            apiKey: null,
+            model: 'mock',
+            rephrasingModel: 'mock',
+            headers: {},
+            mock: {
+                fixturesPath: config.MOCK_FIXTURES_PATH || process.env.MOCK_AI_FIXTURES_PATH || DEFAULT_MOCK_FIXTURES_PATH,
+                latencyMs: parseInt(config.MOCK_LATENCY_MS ?? process.env.MOCK_AI_LATENCY_MS, 10) || 0,
+                failEvery: parseInt(config.MOCK_FAIL_EVERY ?? process.env.MOCK_AI_FAIL_EVERY, 10) || 0
+            }
+        };
+    }
+
+    if (provider === 'openai_compatible') {
+        const model = config.OPENAI_COMPATIBLE_MODEL || process.env.OPENAI_COMPATIBLE_MODEL;
+        return {
+            provider,
+            baseURL: (config.OPENAI_COMPATIBLE_BASE_URL || process.env.OPENAI_COMPATIBLE_BASE_URL || '').replace(/\/+$/, ''),
+            apiKey: config.OPENAI_COMPATIBLE_API_KEY || process.env.OPENAI_COMPATIBLE_API_KEY || PLACEHOLDER_API_KEY,
+            model,
+            rephrasingModel: config.OPENAI_COMPATIBLE_REPHRASING_MODEL || process.env.OPENAI_COMPATIBLE_REPHRASING_MODEL || model,
+            headers: parseHeaders(config.OPENAI_COMPATIBLE_HEADERS || process.env.OPENAI_COMPATIBLE_HEADERS)
+        };
+    }
+
+    return {
+        provider: 'openrouter',
+        baseURL: OPENROUTER_BASE_URL,
+        apiKey: config.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY,
+        model: config.OPENROUTER_MODEL || process.env.OPENROUTER_MODEL || 'google/gemini-2.5-flash',
+        rephrasingModel: config.REPHRASING_MODEL || process.env.REPHRASING_MODEL || 'google/gemini-2.5-flash-lite',
+        headers: {
+            "HTTP-Referer": config.SITE_URL || process.env.SITE_URL || "http://localhost:3002",
+            "X-Title": config.SITE_NAME || process.env.SITE_NAME || "Lizdeika"
+        }
+    };
+}
 
 class AIProvider {
     constructor(config) {
@@ -105,7 +271,7 @@ class FlowiseProvider extends AIProvider {
         );
 
         if (!response.ok) {
-            throw new Error(`Flowise API error: ${response.status} ${response.statusText}`);
+            throw createHttpError(`Flowise API error: ${response.status} ${response.statusText}`, response.status);
         }
 
         const result = await response.json();
@@ -147,59 +313,9 @@ class OpenRouterProvider extends AIProvider {
     }
 
     async generateResponse(conversationContext, conversationId) {
-        // Check if this is RAG-enhanced context by looking for our RAG structure
-        const isRAGContext = conversationContext.includes('UŽDUOTIS:');
-        
-        let messages;
-        
-        if (isRAGContext) {
-            // For RAG, send as a single user message (like the Python implementation)
-            console.log('🔧 OpenRouter RAG: Using Python-style single message approach');
-            
-            messages = [
-                {
-                    role: "user",
-                    content: conversationContext
-                }
-            ];
-        } else {
-            // Use current system prompt from environment for normal contexts
-            const currentSystemPrompt = process.env.SYSTEM_PROMPT || this.systemPrompt;
-            
-            messages = [
-                {
-                    role: "system", 
-                    content: currentSystemPrompt
-                }
-            ];
-            
-            // Parse conversation context into messages for normal flow
-            if (conversationContext.includes('Agent:') || conversationContext.includes('Customer:')) {
-                // Multi-turn conversation
-                const lines = conversationContext.split('\n').filter(line => line.trim());
-                for (const line of lines) {
-                    if (line.startsWith('Customer: ')) {
-                        messages.push({
-                            role: "user",
-                            content: line.substring(10) // Remove "Customer: " prefix
-                        });
-                    } else if (line.startsWith('Agent: ')) {
-                        messages.push({
-                            role: "assistant", 
-                            content: line.substring(7) // Remove "Agent: " prefix
-                        });
-                    }
-                }
-            } else {
-                // Single customer message
-                messages.push({
-                    role: "user",
-                    content: conversationContext
-                });
-            }
-        }
+        const messages = buildChatMessages(conversationContext, this.systemPrompt);
 
-        const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
+        const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
             method: "POST",
             headers: {
                 "Authorization": `Bearer ${this.apiKey}`,
@@ -217,7 +333,7 @@ class OpenRouterProvider extends AIProvider {
 
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`OpenRouter API error: ${response.status} ${response.statusText} - ${errorText}`);
+            throw createHttpError(`OpenRouter API error: ${response.status} ${response.statusText} - ${errorText}`, response.status);
         }
 
         const result = await response.json();
@@ -231,7 +347,7 @@ class OpenRouterProvider extends AIProvider {
 
     async healthCheck() {
         try {
-            const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
+            const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
                 method: "POST",
                 headers: {
                     "Authorization": `Bearer ${this.apiKey}`,
@@ -257,6 +373,224 @@ class OpenRouterProvider extends AIProvider {
     }
 }
 
+class OpenAICompatibleProvider extends AIProvider {
+    constructor(config) {
+        super(config);
+        this.baseURL = (config.baseURL || '').replace(/\/+$/, '');
+        this.apiKey = config.apiKey;
+        this.model = config.model;
+        this.models = parseModelList(config.models);
+        this.headers = parseHeaders(config.headers);
+        this.systemPrompt = config.systemPrompt;
+    }
+
+    buildHeaders() {
+        return {
+            "Content-Type": "application/json",
+            ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+            ...this.headers
+        };
+    }
+
+    async generateResponse(conversationContext, conversationId) {
+        const response = await fetch(`${this.baseURL}/chat/completions`, {
+            method: "POST",
+            headers: this.buildHeaders(),
+            body: JSON.stringify({
+                model: this.model,
+                messages: buildChatMessages(conversationContext, this.systemPrompt),
+                temperature: 0.2,
+                max_tokens: 1000
+            }),
+            signal: AbortSignal.timeout(30000)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw createHttpError(`OpenAI-compatible API error: ${response.status} ${response.statusText} - ${errorText}`, response.status);
+        }
+
+        const result = await response.json();
+
+        if (!result.choices || !result.choices[0] || !result.choices[0].message) {
+            throw new Error('Invalid response format from OpenAI-compatible endpoint');
+        }
+
+        return result.choices[0].message.content;
+    }
+
+    /**
+     * List models exposed by the endpoint, falling back to the configured model list
+     */
+    async listModels() {
+        try {
+            const response = await fetch(`${this.baseURL}/models`, {
+                method: "GET",
+                headers: this.buildHeaders(),
+                signal: AbortSignal.timeout(5000)
+            });
+
+            if (response.ok) {
+                const result = await response.json();
+                const remoteModels = (result.data || []).map(model => model.id).filter(Boolean);
+                if (remoteModels.length > 0) {
+                    return remoteModels;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not list models from OpenAI-compatible endpoint:', error.message);
+        }
+
+        return this.models;
+    }
+
+    async healthCheck() {
+        try {
+            const response = await fetch(`${this.baseURL}/chat/completions`, {
+                method: "POST",
+                headers: this.buildHeaders(),
+                body: JSON.stringify({
+                    model: this.model,
+                    messages: [{ role: "user", content: "test" }],
+                    max_tokens: 10
+                }),
+                signal: AbortSignal.timeout(5000)
+            });
+
+            this.isHealthy = response.ok;
+            this.lastHealthCheck = new Date();
+            return this.isHealthy;
+        } catch (error) {
+            this.isHealthy = false;
+            this.lastHealthCheck = new Date();
+            return false;
+        }
+    }
+}
+
+/**
+ * Rule-based responder shared by MockProvider, the mock LangChain chat model and
+ * mock categorization. Fixtures file format:
+ *
+ * {
+ *   "defaultResponse": "Fallback answer",
+ *   "rules": [
+ *     { "match": "sveiki|labas", "flags": "i", "response": "Sveiki!" },
+ *     { "match": "lėtai", "response": "...", "latencyMs": 3000 },
+ *     { "match": "klaida", "error": "Simulated provider outage", "status": 503 },
+ *     { "scope": "categorization", "match": "mokesč", "response": "Mokesčiai" },
+ *     { "scope": "tools", "match": "prašym", "response": [{ "name": "application_status", "args": { "number": "A-1001" } }] }
+ *   ]
+ * }
+ *
+ * Rules are tried in order; the first rule whose scope matches (or has no scope)
+ * and whose regex matches the input wins. Every `failEvery`-th call throws a
+ * simulated 503, so retry and failover paths can be exercised deterministically.
+ */
+class MockResponder {
+    constructor(options = {}) {
+        this.fixturesPath = options.fixturesPath || DEFAULT_MOCK_FIXTURES_PATH;
+        this.latencyMs = options.latencyMs || 0;
+        this.failEvery = options.failEvery || 0;
+        this.callCount = 0;
+        this.fixtures = options.fixtures || MockResponder.loadFixtures(this.fixturesPath);
+    }
+
+    static loadFixtures(fixturesPath) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+            return {
+                defaultResponse: parsed.defaultResponse || '',
+                rules: Array.isArray(parsed.rules) ? parsed.rules : []
+            };
+        } catch (error) {
+            console.warn(`Mock AI fixtures could not be loaded from ${fixturesPath}:`, error.message);
+            return { defaultResponse: '', rules: [] };
+        }
+    }
+
+    /**
+     * Find the first rule matching the text within the given scope
+     */
+    findRule(text, scope) {
+        return this.fixtures.rules.find(rule => {
+            if (rule.scope && rule.scope !== scope) return false;
+            if (!rule.match) return true;
+            try {
+                return new RegExp(rule.match, rule.flags ?? 'i').test(text);
+            } catch (error) {
+                console.warn(`Ignoring invalid mock fixture pattern "${rule.match}":`, error.message);
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * Produce the scripted response for the text
+     *
+     * @param {string} text - Input the rules are matched against
+     * @param {Object} options - { scope: 'chat'|'rephrase'|'categorization'|'tools', fallback: string|null }
+     * @returns {Promise<*>} Rule response (tool call lists for 'tools'), or fallback when nothing matches
+     */
+    async respond(text, { scope = 'chat', fallback } = {}) {
+        this.callCount += 1;
+        const rule = this.findRule(text || '', scope);
+
+        const latency = rule?.latencyMs ?? this.latencyMs;
+        if (latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+
+        if (this.failEvery > 0 && this.callCount % this.failEvery === 0) {
+            throw createHttpError(`Mock provider injected failure (call ${this.callCount})`, 503);
+        }
+        if (rule?.error) {
+            throw createHttpError(rule.error, rule.status);
+        }
+        if (rule && rule.response !== undefined) {
+            return rule.response;
+        }
+        return fallback !== undefined ? fallback : this.fixtures.defaultResponse;
+    }
+}
+
+// Responders are cached per configuration so call counters survive across requests
+const mockResponders = new Map();
+
+/**
+ * Get the shared MockResponder for a mock configuration
+ */
+function getMockResponder(options = {}) {
+    const key = JSON.stringify([options.fixturesPath, options.latencyMs, options.failEvery]);
+    if (!mockResponders.has(key)) {
+        mockResponders.set(key, new MockResponder(options));
+    }
+    return mockResponders.get(key);
+}
+
+class MockProvider extends AIProvider {
+    constructor(config) {
+        super(config);
+        this.responder = getMockResponder({
+            fixturesPath: config.fixturesPath,
+            latencyMs: config.latencyMs,
+            failEvery: config.failEvery
+        });
+    }
+
+    async generateResponse(conversationContext, conversationId) {
+        const messages = buildChatMessages(conversationContext, '');
+        const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+        return this.responder.respond(lastUserMessage?.content || conversationContext, { scope: 'chat' });
+    }
+
+    async healthCheck() {
+        this.isHealthy = true;
+        this.lastHealthCheck = new Date();
+        return true;
+    }
+}
+
 /**
  * Factory function to create AI provider instances
  * Now uses database credentials with environment fallback
@@ -278,6 +612,24 @@ function createAIProvider(providerName, config) {
                 siteUrl: config.SITE_URL
             });
 
+        case 'openai_compatible':
+            if (!config.OPENAI_COMPATIBLE_BASE_URL) {
+                throw new Error('OpenAI-compatible provider requires OPENAI_COMPATIBLE_BASE_URL');
+            }
+            return new OpenAICompatibleProvider({
+                baseURL: config.OPENAI_COMPATIBLE_BASE_URL,
+                apiKey: config.OPENAI_COMPATIBLE_API_KEY,
+                model: config.OPENAI_COMPATIBLE_MODEL,
+                models: config.OPENAI_COMPATIBLE_MODELS,
+                headers: config.OPENAI_COMPATIBLE_HEADERS,
+                systemPrompt: config.SYSTEM_PROMPT
+            });
+
+        case 'mock': {
+            const { mock } = resolveChatModelConfig({ ...config, AI_PROVIDER: 'mock' });
+            return new MockProvider(mock);
+        }
+
         default:
             throw new Error(`Unsupported AI provider: ${providerName}`);
     }
@@ -321,6 +673,18 @@ async function getAIProviderConfig() {
                         REPHRASING_MODEL: process.env.REPHRASING_MODEL || 'google/gemini-2.5-flash-lite',
                         SITE_URL: process.env.SITE_URL || 'http://localhost:3002',
                         SITE_NAME: process.env.SITE_NAME || 'Vilniaus chatbot',
+                        OPENAI_COMPATIBLE_BASE_URL: process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+                        OPENAI_COMPATIBLE_API_KEY: process.env.OPENAI_COMPATIBLE_API_KEY || null,
+                        OPENAI_COMPATIBLE_MODEL: process.env.OPENAI_COMPATIBLE_MODEL || null,
+                        OPENAI_COMPATIBLE_REPHRASING_MODEL: process.env.OPENAI_COMPATIBLE_REPHRASING_MODEL || null,
+                        OPENAI_COMPATIBLE_HEADERS: process.env.OPENAI_COMPATIBLE_HEADERS || null,
+                        OPENAI_COMPATIBLE_MODELS: process.env.OPENAI_COMPATIBLE_MODELS || null,
+                        MOCK_FIXTURES_PATH: process.env.MOCK_AI_FIXTURES_PATH || null,
+                        MOCK_LATENCY_MS: process.env.MOCK_AI_LATENCY_MS || null,
+                        MOCK_FAIL_EVERY: process.env.MOCK_AI_FAIL_EVERY || null,
+                        AI_FAILOVER_CHAIN: process.env.AI_FAILOVER_CHAIN || null,
+                        AI_FAILOVER_FAILURE_THRESHOLD: process.env.AI_FAILOVER_FAILURE_THRESHOLD || null,
+                        AI_FAILOVER_COOLDOWN_MS: process.env.AI_FAILOVER_COOLDOWN_MS || null,
                         SYSTEM_PROMPT: process.env.SYSTEM_PROMPT || ''
                     });
                 }, 2000);
@@ -339,6 +703,18 @@ async function getAIProviderConfig() {
             OPENROUTER_MODEL: process.env.OPENROUTER_MODEL || 'google/gemini-2.5-flash',
             SITE_URL: process.env.SITE_URL || 'http://localhost:3002',
             SITE_NAME: process.env.SITE_NAME || 'Vilniaus chatbot',
+            OPENAI_COMPATIBLE_BASE_URL: process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+            OPENAI_COMPATIBLE_API_KEY: process.env.OPENAI_COMPATIBLE_API_KEY || null,
+            OPENAI_COMPATIBLE_MODEL: process.env.OPENAI_COMPATIBLE_MODEL || null,
+            OPENAI_COMPATIBLE_REPHRASING_MODEL: process.env.OPENAI_COMPATIBLE_REPHRASING_MODEL || null,
+            OPENAI_COMPATIBLE_HEADERS: process.env.OPENAI_COMPATIBLE_HEADERS || null,
+            OPENAI_COMPATIBLE_MODELS: process.env.OPENAI_COMPATIBLE_MODELS || null,
+            MOCK_FIXTURES_PATH: process.env.MOCK_AI_FIXTURES_PATH || null,
+            MOCK_LATENCY_MS: process.env.MOCK_AI_LATENCY_MS || null,
+            MOCK_FAIL_EVERY: process.env.MOCK_AI_FAIL_EVERY || null,
+            AI_FAILOVER_CHAIN: process.env.AI_FAILOVER_CHAIN || null,
+            AI_FAILOVER_FAILURE_THRESHOLD: process.env.AI_FAILOVER_FAILURE_THRESHOLD || null,
+            AI_FAILOVER_COOLDOWN_MS: process.env.AI_FAILOVER_COOLDOWN_MS || null,
             SYSTEM_PROMPT: process.env.SYSTEM_PROMPT || ''
         };
     }
@@ -374,7 +750,15 @@ module.exports = {
     AIProvider,
     FlowiseProvider,
     OpenRouterProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    MockResponder,
+    getMockResponder,
     createAIProvider,
     getAIProviderConfig,
+    resolveChatModelConfig,
+    isChatCompletionProvider,
+    parseHeaders,
+    parseModelList,
     retryWithBackoff
 };
\ No newline at end of file
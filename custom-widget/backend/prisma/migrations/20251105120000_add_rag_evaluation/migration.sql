@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "rag_eval_datasets" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "questions" JSONB NOT NULL,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "rag_eval_datasets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "rag_eval_runs" (
+    "id" TEXT NOT NULL,
+    "dataset_id" TEXT NOT NULL,
+    "label" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "settings" JSONB,
+    "summary" JSONB,
+    "results" JSONB,
+    "error" TEXT,
+    "created_by" TEXT,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+
+    CONSTRAINT "rag_eval_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rag_eval_datasets_created_at_idx" ON "rag_eval_datasets"("created_at");
+
+-- CreateIndex
+CREATE INDEX "rag_eval_runs_dataset_id_idx" ON "rag_eval_runs"("dataset_id");
+
+-- CreateIndex
+CREATE INDEX "rag_eval_runs_started_at_idx" ON "rag_eval_runs"("started_at");
+
+-- AddForeignKey
+ALTER TABLE "rag_eval_runs" ADD CONSTRAINT "rag_eval_runs_dataset_id_fkey" FOREIGN KEY ("dataset_id") REFERENCES "rag_eval_datasets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
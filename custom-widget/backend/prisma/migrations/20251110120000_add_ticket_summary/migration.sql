@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "tickets" ADD COLUMN     "summary" TEXT,
+ADD COLUMN     "summary_metadata" JSONB;
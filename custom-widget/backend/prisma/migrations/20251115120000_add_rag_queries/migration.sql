@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "rag_queries" (
+    "id" TEXT NOT NULL,
+    "ticket_id" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "search_query" TEXT,
+    "top_score" DOUBLE PRECISION,
+    "contexts_used" INTEGER NOT NULL DEFAULT 0,
+    "cached" BOOLEAN NOT NULL DEFAULT false,
+    "suggestion_action" "SuggestionAction",
+    "escalated" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "rag_queries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "rag_queries_ticket_id_idx" ON "rag_queries"("ticket_id");
+
+-- CreateIndex
+CREATE INDEX "rag_queries_created_at_idx" ON "rag_queries"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "rag_queries" ADD CONSTRAINT "rag_queries_ticket_id_fkey" FOREIGN KEY ("ticket_id") REFERENCES "tickets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "message_statistics" ADD COLUMN     "review_status" TEXT,
+ADD COLUMN     "reviewed_by" TEXT,
+ADD COLUMN     "reviewed_at" TIMESTAMP(3),
+ADD COLUMN     "knowledge_document_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "message_statistics_review_status_idx" ON "message_statistics"("review_status");
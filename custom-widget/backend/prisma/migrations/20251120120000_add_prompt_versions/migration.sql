@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "prompt_versions" (
+    "id" TEXT NOT NULL,
+    "prompt_type" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "created_by" TEXT,
+    "rollback_of" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "prompt_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_versions_prompt_type_version_key" ON "prompt_versions"("prompt_type", "version");
+
+-- CreateIndex
+CREATE INDEX "prompt_versions_created_at_idx" ON "prompt_versions"("created_at");
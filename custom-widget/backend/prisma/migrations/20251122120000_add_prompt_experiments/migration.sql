@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "message_statistics" ADD COLUMN     "prompt_experiment_id" TEXT,
+ADD COLUMN     "prompt_variant" TEXT;
+
+-- CreateTable
+CREATE TABLE "prompt_experiments" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "variants" JSONB NOT NULL,
+    "created_by" TEXT,
+    "started_at" TIMESTAMP(3),
+    "stopped_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "prompt_experiments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "message_statistics_prompt_experiment_id_prompt_variant_idx" ON "message_statistics"("prompt_experiment_id", "prompt_variant");
+
+-- CreateIndex
+CREATE INDEX "prompt_experiments_status_idx" ON "prompt_experiments"("status");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "llm_usage" (
+    "id" TEXT NOT NULL,
+    "feature" TEXT NOT NULL,
+    "provider" TEXT,
+    "model" TEXT NOT NULL,
+    "prompt_tokens" INTEGER NOT NULL,
+    "completion_tokens" INTEGER NOT NULL,
+    "latency_ms" INTEGER,
+    "ticket_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "llm_usage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "llm_usage_created_at_idx" ON "llm_usage"("created_at");
+
+-- CreateIndex
+CREATE INDEX "llm_usage_ticket_id_idx" ON "llm_usage"("ticket_id");
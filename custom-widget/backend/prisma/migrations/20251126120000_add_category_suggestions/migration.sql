@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "category_suggestions" (
+    "id" TEXT NOT NULL,
+    "ticket_id" TEXT NOT NULL,
+    "candidates" JSONB NOT NULL,
+    "category_id" TEXT,
+    "confidence" DOUBLE PRECISION NOT NULL,
+    "reasoning" TEXT,
+    "excerpt" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "final_category_id" TEXT,
+    "reviewed_by" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "category_suggestions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "category_suggestions_status_idx" ON "category_suggestions"("status");
+
+-- CreateIndex
+CREATE INDEX "category_suggestions_ticket_id_idx" ON "category_suggestions"("ticket_id");
+
+-- CreateIndex
+CREATE INDEX "category_suggestions_category_id_idx" ON "category_suggestions"("category_id");
+
+-- AddForeignKey
+ALTER TABLE "category_suggestions" ADD CONSTRAINT "category_suggestions_ticket_id_fkey" FOREIGN KEY ("ticket_id") REFERENCES "tickets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "http_tools" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "parameters" JSONB NOT NULL,
+    "endpoint" TEXT NOT NULL,
+    "method" TEXT NOT NULL DEFAULT 'POST',
+    "auth_header_name" TEXT,
+    "auth_header_value" TEXT,
+    "timeout_ms" INTEGER NOT NULL DEFAULT 10000,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "http_tools_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "http_tools_name_key" ON "http_tools"("name");
+
+-- CreateIndex
+CREATE INDEX "http_tools_enabled_idx" ON "http_tools"("enabled");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "faq_entries" (
+    "id" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "alternate_questions" JSONB NOT NULL DEFAULT '[]',
+    "answer" TEXT NOT NULL,
+    "tags" JSONB NOT NULL DEFAULT '[]',
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "last_matched_at" TIMESTAMP(3),
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "faq_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "faq_entries_enabled_idx" ON "faq_entries"("enabled");
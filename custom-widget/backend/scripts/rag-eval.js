@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * RAG Evaluation CLI
+ *
+ * Runs a golden question set through the RAG pipeline and reports retrieval hit-rate,
+ * MRR, answer similarity and latency. Exits non-zero when a threshold is missed, so it
+ * can gate prompt, rag_k and chunking changes in CI.
+ *
+ * Usage:
+ *   node scripts/rag-eval.js --dataset golden.jsonl [--output results.json]
+ *   node scripts/rag-eval.js --dataset-id <id> [--label "rag_k 50"]   (stored as a run)
+ *
+ * Thresholds (optional):
+ *   --min-hit-rate 0.8  --min-mrr 0.5  --min-similarity 0.75  --max-p95-ms 8000
+ *
+ * Exit codes: 0 passed, 1 a threshold was missed, 2 the evaluation could not run
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const databaseClient = require('../src/utils/database');
+const chromaService = require('../src/services/chromaService');
+const ragEvaluationService = require('../src/services/ragEvaluationService');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const key = argv[i].slice(2);
+            const next = argv[i + 1];
+            args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+        }
+    }
+    return args;
+}
+
+function checkThresholds(summary, args) {
+    const checks = [
+        ['min-hit-rate', 'Retrieval hit-rate', summary.retrieval.hitRate, (value, limit) => value >= limit],
+        ['min-mrr', 'MRR', summary.retrieval.mrr, (value, limit) => value >= limit],
+        ['min-similarity', 'Answer similarity', summary.answerSimilarity.mean, (value, limit) => value >= limit],
+        ['max-p95-ms', 'Latency p95 (ms)', summary.latency.p95Ms, (value, limit) => value <= limit]
+    ];
+
+    const failures = [];
+    for (const [option, name, value, passes] of checks) {
+        if (args[option] === undefined) continue;
+        const limit = parseFloat(args[option]);
+        if (value === null || !passes(value, limit)) {
+            failures.push(`${name} ${value ?? 'n/a'} (threshold ${limit})`);
+        }
+    }
+    return failures;
+}
+
+function printSummary(summary) {
+    const format = (value) => (value === null ? 'n/a' : value);
+    console.log('\n📊 RAG evaluation');
+    console.log(`  • Questions: ${summary.questions} (${summary.errors} failed)`);
+    console.log(`  • Retrieval hit-rate: ${format(summary.retrieval.hitRate)} over ${summary.retrieval.evaluated} questions`);
+    console.log(`  • MRR: ${format(summary.retrieval.mrr)}`);
+    console.log(`  • Answer similarity: ${format(summary.answerSimilarity.mean)} over ${summary.answerSimilarity.evaluated} questions`);
+    console.log(`  • Latency: mean ${format(summary.latency.meanMs)}ms, p50 ${format(summary.latency.p50Ms)}ms, p95 ${format(summary.latency.p95Ms)}ms`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.dataset && !args['dataset-id']) {
+        console.error('Usage: node scripts/rag-eval.js --dataset <file.json|file.jsonl> | --dataset-id <id> [--label <name>] [--output <file>]');
+        return 2;
+    }
+
+    try {
+        await databaseClient.connect();
+    } catch (error) {
+        if (args['dataset-id']) throw error;
+        console.warn(`⚠️  Database unavailable, using environment settings: ${error.message}`);
+    }
+
+    if (!await chromaService.initialize()) {
+        console.error('❌ Vector store is not reachable; check VECTOR_STORE and its credentials');
+        return 2;
+    }
+
+    const onProgress = (done, total) => process.stdout.write(`\r  Evaluating ${done}/${total}`);
+    let evaluation;
+
+    if (args['dataset-id']) {
+        const run = await ragEvaluationService.startRun(args['dataset-id'], {
+            label: typeof args.label === 'string' ? args.label : 'CLI',
+            wait: true
+        });
+        if (run.status !== 'completed') {
+            console.error(`\n❌ Evaluation run failed: ${run.error}`);
+            return 2;
+        }
+        console.log(`\n✅ Stored as run ${run.id}`);
+        evaluation = { summary: run.summary, settings: run.settings, results: run.results };
+    } else {
+        const questions = ragEvaluationService.parseDataset(fs.readFileSync(args.dataset, 'utf8'));
+        evaluation = await ragEvaluationService.evaluate(questions, { onProgress });
+    }
+
+    printSummary(evaluation.summary);
+
+    if (typeof args.output === 'string') {
+        fs.writeFileSync(args.output, JSON.stringify(evaluation, null, 2));
+        console.log(`  • Results written to ${args.output}`);
+    }
+
+    const failures = checkThresholds(evaluation.summary, args);
+    if (failures.length > 0) {
+        console.error('\n❌ Thresholds missed:');
+        failures.forEach(failure => console.error(`  • ${failure}`));
+        return 1;
+    }
+
+    console.log('\n✅ Evaluation passed');
+    return 0;
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ Evaluation failed:', error.message);
+        return 2;
+    })
+    .then(async (code) => {
+        await databaseClient.disconnect().catch(() => {});
+        process.exit(code);
+    });
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * HTTP Tool Stub Server
+ *
+ * Local stand-in for the municipal systems the RAG chain can query through HTTP tools,
+ * so tools can be registered and tested in Settings (and in unit tests) without real APIs.
+ *
+ * Endpoints (sample data):
+ *   GET  /applications/{number}          Application status, e.g. /applications/A-1001
+ *   GET  /appointments?service=&date=    Free appointment times for a service
+ *   POST /echo                           Returns the JSON body and headers it received
+ *
+ * Usage:
+ *   node scripts/tool-stub-server.js [--port 4010] [--token secret]
+ *
+ * With --token every request must send "Authorization: Bearer <token>".
+ *
+ * Example tool: name "application_status", method GET,
+ *   endpoint http://localhost:4010/applications/{number},
+ *   parameters {"type":"object","properties":{"number":{"type":"string"}},"required":["number"]}
+ */
+
+const http = require('http');
+
+const APPLICATIONS = {
+    'A-1001': { number: 'A-1001', type: 'Statybą leidžiantis dokumentas', status: 'Nagrinėjamas', updatedAt: '2025-11-20' },
+    'A-1002': { number: 'A-1002', type: 'Gyvenamosios vietos deklaravimas', status: 'Patvirtintas', updatedAt: '2025-11-18' },
+    'A-1003': { number: 'A-1003', type: 'Parkavimo leidimas', status: 'Trūksta dokumentų', updatedAt: '2025-11-25' }
+};
+
+const APPOINTMENT_TIMES = ['09:00', '10:30', '13:15', '15:45'];
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                resolve({ raw: data });
+            }
+        });
+    });
+}
+
+/**
+ * Create (not start) the stub server
+ *
+ * @param {Object} options - { token }: required bearer token, if any
+ * @returns {http.Server}
+ */
+function createStubServer({ token = null } = {}) {
+    return http.createServer(async (req, res) => {
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            return sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const applicationMatch = url.pathname.match(/^\/applications\/([^/]+)$/);
+
+        if (req.method === 'GET' && applicationMatch) {
+            const application = APPLICATIONS[decodeURIComponent(applicationMatch[1]).toUpperCase()];
+            return application
+                ? sendJson(res, 200, application)
+                : sendJson(res, 404, { error: 'Application not found' });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/appointments') {
+            const service = url.searchParams.get('service');
+            if (!service) {
+                return sendJson(res, 400, { error: 'service is required' });
+            }
+            const date = url.searchParams.get('date') || new Date().toISOString().slice(0, 10);
+            return sendJson(res, 200, { service, date, freeTimes: APPOINTMENT_TIMES });
+        }
+
+        if (req.method === 'POST' && url.pathname === '/echo') {
+            const { authorization, ...headers } = req.headers;
+            return sendJson(res, 200, { body: await readBody(req), headers });
+        }
+
+        return sendJson(res, 404, { error: 'Not found' });
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    const port = Number(option('port') || 4010);
+    createStubServer({ token: option('token') || null }).listen(port, () => {
+        console.log(`🧪 HTTP tool stub server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createStubServer };
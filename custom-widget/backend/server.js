@@ -25,10 +25,11 @@
  * 
  * Environment Variables:
  * - WIDGET_BACKEND_PORT/PORT: Server port (default: 3002)
- * - AI_PROVIDER: AI service provider (flowise/openrouter)
+ * - AI_PROVIDER: AI service provider (flowise/openrouter/openai_compatible/mock)
  * - NODE_ENV: Environment mode (development/production)
  * - OPENROUTER_API_KEY, OPENROUTER_MODEL: OpenRouter configuration
  * - FLOWISE_URL, FLOWISE_CHATFLOW_ID: Flowise configuration
+ * - AI_FAILOVER_CHAIN: Fallback providers/models tried when the primary is degraded
  * 
  * Notes:
  * - Initializes knowledge base after server startup
@@ -118,10 +119,19 @@ async function displayConfiguration() {
         if (aiConfig.AI_PROVIDER === 'openrouter') {
             console.log(`- OpenRouter Model: ${aiConfig.OPENROUTER_MODEL || 'not set'}`);
             console.log(`- API Key: ${aiConfig.OPENROUTER_API_KEY ? 'SET' : 'NOT SET'}`);
+        } else if (aiConfig.AI_PROVIDER === 'openai_compatible') {
+            console.log(`- Base URL: ${aiConfig.OPENAI_COMPATIBLE_BASE_URL || 'not set'}`);
+            console.log(`- Model: ${aiConfig.OPENAI_COMPATIBLE_MODEL || 'not set'}`);
+        } else if (aiConfig.AI_PROVIDER === 'mock') {
+            console.log('- Mock provider: answers come from local fixtures (no external AI calls)');
         } else if (aiConfig.AI_PROVIDER === 'flowise') {
             console.log(`- Flowise URL: ${aiConfig.FLOWISE_URL || 'not set'}`);
             console.log(`- Chatflow ID: ${aiConfig.FLOWISE_CHATFLOW_ID || 'not set'}`);
         }
+
+        if (aiConfig.AI_FAILOVER_CHAIN) {
+            console.log(`- Failover chain: ${aiConfig.AI_FAILOVER_CHAIN}`);
+        }
     } catch (error) {
         console.log('Configuration (fallback to env vars):');
         console.log(`- AI Provider: ${process.env.AI_PROVIDER || 'flowise'}`);
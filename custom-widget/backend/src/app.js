@@ -62,6 +62,9 @@ const createDocsRoutes = require('./routes/docsRoutes');
 const { router: uploadRoutes } = require('./routes/uploadRoutes');
 const templateRoutes = require('./routes/templateRoutes');
 const statisticsRoutes = require('./routes/statisticsRoutes');
+const evaluationRoutes = require('./routes/evaluationRoutes');
+const experimentRoutes = require('./routes/experimentRoutes');
+const toolRoutes = require('./routes/toolRoutes');
 
 // Import services
 const WebSocketService = require('./services/websocketService');
@@ -169,6 +172,9 @@ function createApp() {
     app.use('/api/logs', logsRoutes); // Centralized logging routes (admin only)
     app.use('/api/templates', templateRoutes); // Response template routes (admin create/edit, agents read)
     app.use('/api/statistics', statisticsRoutes); // Statistics and analytics routes (agent/admin)
+    app.use('/api/evaluations', evaluationRoutes); // RAG evaluation datasets and runs (admin only)
+    app.use('/api/experiments', experimentRoutes); // System prompt A/B experiments (admin only)
+    app.use('/api/tools', toolRoutes); // HTTP tools for live data in AI answers (admin only)
     app.use('/api', uploadRoutes); // File upload routes
     app.use('/api', createConversationRoutes(io));
     app.use('/api', createAgentRoutes(io));
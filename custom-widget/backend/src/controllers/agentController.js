@@ -9,6 +9,7 @@
  * - Authorization Control: Ensure agents can only respond to assigned conversations
  * - WebSocket Integration: Emit agent messages to customers via real-time channels
  * - Suggestion Tracking: Track how agents use AI suggestions (as-is, edited, from-scratch)
+ * - Reply Translation: Translate agent replies into the customer's language before delivery
  * 
  * Dependencies:
  * - Conversation service for message storage and conversation management
@@ -33,11 +34,16 @@
  * - All agent messages include metadata about AI suggestion usage
  * - WebSocket events notify customers of new agent messages immediately
  * - Suggestion actions are tracked for analytics and system improvement
+ * - Translated replies carry the agent's text in metadata.translation.original
  */
 const { v4: uuidv4 } = require('uuid');
 const conversationService = require('../services/conversationService');
 const agentService = require('../services/agentService');
 const statisticsService = require('../services/statisticsService');
+const translationService = require('../services/translationService');
+const knowledgeGapService = require('../services/knowledgeGapService');
+const answerReviewService = require('../services/answerReviewService');
+const promptExperimentService = require('../services/promptExperimentService');
 const { asyncHandler } = require('../utils/errors');
 const { validateFileMetadata } = require('../utils/fileValidation');
 const { createLogger } = require('../utils/logger');
@@ -185,11 +191,16 @@ class AgentController {
                 messageText = JSON.stringify(message);
             }
 
+            // Deliver text replies in the customer's language when translation is on
+            const translation = (messageType || 'text') === 'text'
+                ? await translationService.translateOutbound(messageText, conversationId)
+                : null;
+
             // Store agent message with detailed attribution
             const agentMessage = {
                 id: uuidv4(),
                 conversationId,
-                content: messageText,
+                content: translation ? translation.translated : messageText,
                 sender: 'agent',
                 timestamp: new Date(),
                 agentId,
@@ -199,6 +210,7 @@ class AgentController {
                     usedSuggestion: usedSuggestion,
                     // Add file metadata if present
                     ...(sanitizedFileMetadata && { file: sanitizedFileMetadata }),
+                    ...(translation && { translation }),
                     // Response attribution for admin interface
                     responseAttribution: {
                         respondedBy: agentName, // Agent username/display name
@@ -209,6 +221,11 @@ class AgentController {
                 }
             };
             
+            // Prompt experiment variant of the suggestion being answered, read before it is removed
+            const promptExperiment = suggestionAction
+                ? promptExperimentService.fromSuggestionMetadata(await conversationService.getPendingSuggestionMetadata(conversationId))
+                : null;
+
             // Remove any pending system messages for this conversation
             await conversationService.removePendingMessages(conversationId);
             
@@ -225,22 +242,34 @@ class AgentController {
                 else if (suggestionAction === 'edited') mappedSuggestionAction = 'edited';
                 else if (suggestionAction === 'from-scratch') mappedSuggestionAction = 'from_scratch';
 
+                // usedSuggestion carries the AI suggestion the agent started from, when there was one
+                const originalSuggestion = typeof usedSuggestion === 'string' ? usedSuggestion : null;
+
                 await statisticsService.recordMessageStatistics({
                     messageId: agentMessage.id,
                     agentId,
                     ticketId: conversationId,
-                    aiSuggestionUsed: usedSuggestion || false,
+                    aiSuggestionUsed: Boolean(usedSuggestion),
                     suggestionAction: mappedSuggestionAction,
-                    suggestionEditRatio: null,
-                    originalSuggestion: usedSuggestion ? (typeof message === 'string' ? message : JSON.stringify(message)) : null,
+                    suggestionEditRatio: originalSuggestion ? answerReviewService.editRatio(originalSuggestion, messageText) : null,
+                    originalSuggestion,
                     templateUsed: false,
                     templateId: null,
-                    systemMode
+                    systemMode,
+                    ...(promptExperiment && {
+                        promptExperimentId: promptExperiment.experimentId,
+                        promptVariant: promptExperiment.variant
+                    })
                 });
             } catch (error) {
                 logger.error('Failed to record message statistics', { error: error.message, stack: error.stack });
             }
 
+            // Mark the answered question for the knowledge gap report (excludes autopilot mode)
+            if (suggestionAction) {
+                await knowledgeGapService.recordSuggestionAction(conversationId, suggestionAction);
+            }
+
             // Score agent action in Langfuse for observability (excludes autopilot mode)
             if (suggestionAction && (suggestionAction === 'as-is' || suggestionAction === 'edited' || suggestionAction === 'from-scratch')) {
                 try {
@@ -40,6 +40,13 @@
  * - Integrates with RAG system for document-based responses
  * - Tracks conversation complexity with message counting
  * - Provides confidence scores and metadata for agent decision-making
+ * - Low-confidence autopilot answers are held and the conversation is handed to an agent
+ * - Source citations on answers and suggestions, switchable per channel (widget, agent)
+ * - Customer messages are screened first; flagged ones are blocked, sanitized or routed to an agent
+ * - Handoff summaries are generated in the background on reassignment, end and bulk archive
+ * - Customer messages are translated for agents; AI answers are written in the customer's language
+ * - Customer messages are scored for sentiment and frustration; frustrated customers can raise the priority
+ * - Autopilot switches to HITL once the monthly LLM budget is spent, when configured
  * 
  * Notes:
  * - Conversations auto-create if they don't exist when messages are sent
@@ -64,6 +71,14 @@ const conversationService = require('../services/conversationService');
 const aiService = require('../services/aiService');
 const agentService = require('../services/agentService');
 const activityService = require('../services/activityService');
+const suggestionStreamService = require('../services/suggestionStreamService');
+const answerConfidenceService = require('../services/answerConfidenceService');
+const citationService = require('../services/citationService');
+const inputScreeningService = require('../services/inputScreeningService');
+const conversationSummaryService = require('../services/conversationSummaryService');
+const translationService = require('../services/translationService');
+const sentimentService = require('../services/sentimentService');
+const llmUsageService = require('../services/llmUsageService');
 
 const logger = createLogger('conversationController');
 
@@ -106,14 +121,51 @@ class ConversationController {
 
     /**
      * Process message in AUTOPILOT mode - generate and send AI response directly
+     *
+     * Tokens are pushed to the conversation room as 'ai-response-chunk' while the
+     * answer is generated, followed by 'ai-response-complete' with the persisted
+     * message. The returned message is still used for the HTTP response.
+     *
+     * With the confidence guardrail enabled, answers below the threshold are not sent
+     * (see escalateAutopilotAnswer); answers that may be held are not streamed.
      */
-    async processAutopilotModeMessage(conversationId, customerMessageCount, enableRAG) {
+    async processAutopilotModeMessage(conversationId, customerMessageCount, enableRAG, message = null) {
         const conversationMessages = await conversationService.getMessages(conversationId);
         const conversationContext = this.buildConversationContext(conversationMessages);
-        const aiSuggestion = await aiService.generateAISuggestion(conversationId, conversationContext, enableRAG !== false);
+        const guardrail = await answerConfidenceService.getGuardrailSettings();
+        const language = await translationService.getResponseLanguage(conversationMessages);
+
+        // Generate the ID up front so streamed chunks and the final message share it
+        const messageId = uuidv4();
+        const onToken = this.io
+            ? (delta) => this.io.to(conversationId).emit('ai-response-chunk', {
+                conversationId,
+                messageId,
+                delta
+            })
+            : undefined;
+
+        const aiSuggestion = await aiService.generateAISuggestion(
+            conversationId,
+            conversationContext,
+            enableRAG !== false,
+            { onToken, feature: 'autopilot', ...(language && { language }), ...(guardrail.enabled && { guardrail }) }
+        );
+
+        if (aiSuggestion.confidence?.passed === false) {
+            return this.escalateAutopilotAnswer(conversationId, {
+                customerMessageCount,
+                message,
+                conversationContext,
+                aiSuggestion,
+                escalationMessage: guardrail.escalationMessage
+            });
+        }
+
+        const citations = await citationService.forChannel('widget', aiSuggestion.citations);
 
         const aiMessage = {
-            id: uuidv4(),
+            id: messageId,
             conversationId,
             content: aiSuggestion.response || aiSuggestion,
             sender: 'agent',
@@ -124,6 +176,8 @@ class ConversationController {
                 originalSuggestion: aiSuggestion.response || aiSuggestion,
                 messageCount: customerMessageCount,
                 aiMetadata: aiSuggestion.metadata || null,
+                confidence: aiSuggestion.confidence?.score ?? null,
+                citations: citations,
                 debugInfo: aiSuggestion.debugInfo || null,
                 responseAttribution: {
                     respondedBy: 'Autopilot',
@@ -135,38 +189,243 @@ class ConversationController {
         };
 
         await conversationService.addMessage(conversationId, aiMessage);
+
+        if (this.io) {
+            // Only customer-facing fields - debug info stays out of the widget room
+            this.io.to(conversationId).emit('ai-response-complete', {
+                conversationId,
+                message: {
+                    id: aiMessage.id,
+                    conversationId,
+                    content: aiMessage.content,
+                    sender: aiMessage.sender,
+                    timestamp: aiMessage.timestamp,
+                    metadata: {
+                        isAutopilotResponse: true,
+                        displayDisclaimer: true,
+                        citations: citations
+                    }
+                }
+            });
+        }
+
         console.log(`Sent autopilot AI response for conversation ${conversationId}`);
         return aiMessage;
     }
 
     /**
-     * Process message in HITL mode - generate AI suggestion for agent review
+     * Hold a low-confidence autopilot answer and hand the conversation to an agent
+     *
+     * The customer sees the escalation notice instead of the answer, and the held answer
+     * becomes the pending AI suggestion as in HITL mode. The notice also marks the
+     * conversation, so its later messages are handled in HITL mode (see isEscalatedToAgent).
      */
-    async processHitlModeMessage(conversationId, customerMessageCount, message, enableRAG) {
-        const conversationMessages = await conversationService.getMessages(conversationId);
-        const conversationContext = this.buildConversationContext(conversationMessages);
-        const aiSuggestion = await aiService.generateAISuggestion(conversationId, conversationContext, enableRAG !== false);
+    async escalateAutopilotAnswer(conversationId, { customerMessageCount, message, conversationContext, aiSuggestion, escalationMessage }) {
+        const { confidence } = aiSuggestion;
+        const assignedAgent = await this._assignAvailableAgent(conversationId);
+        const shouldMarkAsUnseen = !assignedAgent;
 
-        const conversation = await conversationService.getConversation(conversationId);
-        let assignedAgent = conversation ? conversation.assignedAgent : null;
+        const noticeMessage = await this._addEscalationNotice(conversationId, assignedAgent, escalationMessage, {
+            reason: 'low_confidence',
+            score: confidence.score,
+            threshold: confidence.threshold
+        });
 
-        if (!assignedAgent) {
-            try {
-                const availableAgent = await agentService.getBestAvailableAgent();
-                if (availableAgent) {
-                    await conversationService.assignConversation(conversationId, availableAgent.id);
-                    assignedAgent = availableAgent.id;
-                    console.log(`🎯 Auto-assigned existing conversation ${conversationId} to agent ${availableAgent.id}`);
-                } else {
-                    console.log(`⚠️ No online agents available for conversation ${conversationId}, marking as unseen`);
+        const pendingMessage = {
+            id: uuidv4(),
+            conversationId,
+            content: shouldMarkAsUnseen ?
+                '[No agents online - Message awaiting assignment]' :
+                '[Message pending agent response - AI suggestion available]',
+            sender: 'system',
+            timestamp: new Date(),
+            metadata: {
+                pendingAgent: true,
+                aiSuggestion: aiSuggestion,
+                confidence: confidence.score,
+                citations: await citationService.forChannel('agent', aiSuggestion.citations),
+                escalatedFromAutopilot: true,
+                customerMessage: message,
+                messageCount: customerMessageCount,
+                conversationContext: conversationContext.substring(0, 200) + '...',
+                assignedAgent: assignedAgent,
+                unseenByAgents: shouldMarkAsUnseen,
+                needsManualAssignment: shouldMarkAsUnseen
+            }
+        };
+
+        await conversationService.addMessage(conversationId, pendingMessage);
+
+        logger.info(`Escalated conversation ${conversationId} to ${assignedAgent || 'the unassigned queue'}: confidence ${confidence.score} below ${confidence.threshold}`);
+        return noticeMessage;
+    }
+
+    /**
+     * Tell the customer their conversation is handed to an agent and notify the agents
+     * The notice's messageType marks the conversation as escalated (see isEscalatedToAgent)
+     */
+    async _addEscalationNotice(conversationId, assignedAgent, escalationMessage, escalation) {
+        const noticeMessage = {
+            id: uuidv4(),
+            conversationId,
+            content: escalationMessage,
+            sender: 'system',
+            timestamp: new Date(),
+            metadata: {
+                isSystemMessage: true,
+                messageType: 'escalation_notice',
+                escalation
+            }
+        };
+
+        await conversationService.addMessage(conversationId, noticeMessage);
+
+        if (this.io) {
+            this.io.to('agents').emit('new-message', {
+                type: 'new-message',
+                conversationId,
+                message: {
+                    id: noticeMessage.id,
+                    content: noticeMessage.content,
+                    sender: noticeMessage.sender,
+                    timestamp: noticeMessage.timestamp
+                },
+                conversation: {
+                    id: conversationId,
+                    assignedAgent: assignedAgent,
+                    lastMessageTimestamp: noticeMessage.timestamp,
+                    unseenByAgent: !!assignedAgent
                 }
-            } catch (error) {
-                console.error('Failed to auto-assign existing conversation:', error);
+            });
+        }
+
+        return noticeMessage;
+    }
+
+    /**
+     * Handle a customer message flagged by input screening without generating an answer
+     *
+     * Blocked messages get the block notice. Escalated messages wait for an agent without
+     * an AI suggestion; in autopilot mode the customer gets the guardrail's escalation notice
+     * and the conversation stays with the agent. Sanitized messages are not handled here.
+     */
+    async processScreenedMessage(conversationId, currentMode, { customerMessageCount, message, screening }) {
+        if (screening.action === 'block') {
+            const blockMessage = {
+                id: uuidv4(),
+                conversationId,
+                content: screening.blockMessage,
+                sender: 'system',
+                timestamp: new Date(),
+                metadata: {
+                    isSystemMessage: true,
+                    messageType: 'screening_block',
+                    screening: { categories: screening.categories }
+                }
+            };
+
+            await conversationService.addMessage(conversationId, blockMessage);
+            logger.info(`Blocked flagged message in conversation ${conversationId} (${screening.categories.join(', ')})`);
+            return blockMessage;
+        }
+
+        const assignedAgent = await this._assignAvailableAgent(conversationId);
+        const shouldMarkAsUnseen = !assignedAgent;
+
+        let noticeMessage = null;
+        if (currentMode === 'autopilot') {
+            const { escalationMessage } = await answerConfidenceService.getGuardrailSettings();
+            noticeMessage = await this._addEscalationNotice(conversationId, assignedAgent, escalationMessage, {
+                reason: 'input_screening',
+                categories: screening.categories
+            });
+        }
+
+        const pendingMessage = {
+            id: uuidv4(),
+            conversationId,
+            content: shouldMarkAsUnseen ?
+                '[No agents online - Message awaiting assignment]' :
+                '[Message pending agent response - flagged by input screening]',
+            sender: 'system',
+            timestamp: new Date(),
+            metadata: {
+                pendingAgent: true,
+                screening: { action: screening.action, categories: screening.categories },
+                customerMessage: message,
+                messageCount: customerMessageCount,
+                assignedAgent: assignedAgent,
+                unseenByAgents: shouldMarkAsUnseen,
+                needsManualAssignment: shouldMarkAsUnseen
+            }
+        };
+
+        await conversationService.addMessage(conversationId, pendingMessage);
+
+        logger.info(`Routed flagged message in conversation ${conversationId} to ${assignedAgent || 'the unassigned queue'} (${screening.categories.join(', ')})`);
+        return noticeMessage || pendingMessage;
+    }
+
+    /**
+     * Whether the confidence guardrail has handed this conversation to an agent
+     */
+    async isEscalatedToAgent(conversationId) {
+        const messages = await conversationService.getMessages(conversationId);
+        return messages.some(msg =>
+            msg.metadata && msg.metadata.messageType === 'escalation_notice'
+        );
+    }
+
+    /**
+     * Resolve the conversation's agent, assigning the best available one if needed
+     * @returns {Promise<string|null>} Agent ID, or null when no agent is online
+     */
+    async _assignAvailableAgent(conversationId) {
+        const conversation = await conversationService.getConversation(conversationId);
+        if (conversation && conversation.assignedAgent) {
+            return conversation.assignedAgent;
+        }
+
+        try {
+            const availableAgent = await agentService.getBestAvailableAgent();
+            if (availableAgent) {
+                await conversationService.assignConversation(conversationId, availableAgent.id);
+                console.log(`🎯 Auto-assigned existing conversation ${conversationId} to agent ${availableAgent.id}`);
+                return availableAgent.id;
             }
+            console.log(`⚠️ No online agents available for conversation ${conversationId}, marking as unseen`);
+        } catch (error) {
+            console.error('Failed to auto-assign existing conversation:', error);
         }
+        return null;
+    }
 
+    /**
+     * Process message in HITL mode - generate AI suggestion for agent review
+     *
+     * The agent is resolved first so the suggestion can be streamed to their
+     * dashboard while it is generated; the final text is still persisted as a
+     * pending message for the pending-suggestion endpoint.
+     */
+    async processHitlModeMessage(conversationId, customerMessageCount, message, enableRAG) {
+        const conversationMessages = await conversationService.getMessages(conversationId);
+        const conversationContext = this.buildConversationContext(conversationMessages);
+
+        const assignedAgent = await this._assignAvailableAgent(conversationId);
         const shouldMarkAsUnseen = !assignedAgent;
 
+        const language = await translationService.getResponseLanguage(conversationMessages);
+        const stream = this._startSuggestionStream(conversationId, assignedAgent);
+        const aiSuggestion = await aiService.generateAISuggestion(
+            conversationId,
+            conversationContext,
+            enableRAG !== false,
+            {
+                ...(stream && { onToken: stream.onToken, signal: stream.signal }),
+                ...(language && { language })
+            }
+        );
+
         const aiMessage = {
             id: uuidv4(),
             conversationId,
@@ -179,6 +438,7 @@ class ConversationController {
                 pendingAgent: true,
                 aiSuggestion: aiSuggestion,
                 confidence: 0.85,
+                citations: await citationService.forChannel('agent', aiSuggestion.citations),
                 customerMessage: message,
                 messageCount: customerMessageCount,
                 conversationContext: conversationContext.substring(0, 200) + '...',
@@ -189,10 +449,30 @@ class ConversationController {
         };
 
         await conversationService.addMessage(conversationId, aiMessage);
+
+        if (stream) {
+            stream.complete({
+                messageId: aiMessage.id,
+                suggestion: aiSuggestion.response || '',
+                metadata: { ...aiSuggestion.metadata, citations: aiMessage.metadata.citations }
+            });
+        }
+
         console.log(`Generated AI suggestion for conversation ${conversationId} (HITL mode)`);
         return aiMessage;
     }
 
+    /**
+     * Start streaming a suggestion to an agent's dashboard, if possible
+     * @returns {Object|null} Stream handle from suggestionStreamService, or null without socket/agent
+     */
+    _startSuggestionStream(conversationId, agentId) {
+        if (!this.io || !agentId) {
+            return null;
+        }
+        return suggestionStreamService.startStream(this.io, conversationId, agentId);
+    }
+
     /**
      * Create new conversation
      */
@@ -285,22 +565,51 @@ class ConversationController {
                 });
             }
 
-            // Store user message with file metadata if present
+            // Screen the message before it can reach the AI; the detected language, a translation for
+            // agents who read another language and the sentiment are worked out at the same time
+            const userMessageId = uuidv4();
+            const [screening, inbound, sentiment] = await Promise.all([
+                inputScreeningService.screen(message, { conversationId, messageId: userMessageId }),
+                translationService.translateInbound(message, conversationId),
+                sentimentService.scoreMessage(message)
+            ]);
+
+            // Store user message with file metadata, screening hits, translation and sentiment if present
+            const userMetadata = {
+                ...(sanitizedFileMetadata && { file: sanitizedFileMetadata }),
+                ...(screening.flagged && { screening: inputScreeningService.toMetadata(screening) }),
+                ...inbound,
+                ...(sentiment && { sentiment })
+            };
             const userMessage = {
-                id: uuidv4(),
+                id: userMessageId,
                 conversationId,
                 content: message,
                 sender: 'visitor',
                 timestamp: new Date(),
                 messageType: messageType || 'text',
-                metadata: sanitizedFileMetadata ? { file: sanitizedFileMetadata } : undefined
+                metadata: Object.keys(userMetadata).length > 0 ? userMetadata : undefined
             };
             
             // First, add the user message atomically
             await conversationService.addMessage(conversationId, userMessage);
+            await sentimentService.applyPriority(conversationId, sentiment);
             
             // Get global system mode from agent service
-            const currentMode = agentService ? await agentService.getSystemMode() : 'hitl';
+            let systemMode = agentService ? await agentService.getSystemMode() : 'hitl';
+
+            // Autopilot hands over to agents once the monthly LLM budget is spent (if configured)
+            if (systemMode === 'autopilot' && await llmUsageService.shouldSwitchToHitl()) {
+                await agentService.setSystemMode('hitl');
+                this.io.to('agents').emit('system-mode-update', { mode: 'hitl', reason: 'llm_budget_exceeded' });
+                console.warn('💸 Monthly LLM budget spent - switched autopilot to HITL');
+                systemMode = 'hitl';
+            }
+
+            // Autopilot conversations escalated by the confidence guardrail stay with their agent
+            const currentMode = systemMode === 'autopilot' && await this.isEscalatedToAgent(conversationId)
+                ? 'hitl'
+                : systemMode;
             
             // IMPORTANT: Clear any existing pending suggestions ONLY in HITL mode
             // This prevents confusion when customers send multiple messages quickly in HITL mode
@@ -335,7 +644,15 @@ class ConversationController {
                         id: userMessage.id,
                         content: userMessage.content,
                         sender: userMessage.sender,
-                        timestamp: userMessage.timestamp
+                        timestamp: userMessage.timestamp,
+                        ...((screening.flagged || inbound || sentiment) && {
+                            metadata: {
+                                screening: userMessage.metadata.screening,
+                                language: userMessage.metadata.language,
+                                translation: userMessage.metadata.translation,
+                                sentiment: userMessage.metadata.sentiment
+                            }
+                        })
                     },
                     conversation: {
                         id: conversationId,
@@ -354,8 +671,10 @@ class ConversationController {
             // Process message based on system mode using dedicated functions
             let aiMessage;
 
-            if (currentMode === 'autopilot') {
-                aiMessage = await this.processAutopilotModeMessage(conversationId, customerMessageCount, enableRAG);
+            if (screening.flagged && screening.action !== 'sanitize' && currentMode !== 'off') {
+                aiMessage = await this.processScreenedMessage(conversationId, currentMode, { customerMessageCount, message, screening });
+            } else if (currentMode === 'autopilot') {
+                aiMessage = await this.processAutopilotModeMessage(conversationId, customerMessageCount, enableRAG, message);
             } else if (currentMode === 'off') {
                 aiMessage = await this.processOffModeMessage(conversationId, customerMessageCount);
             } else {
@@ -384,10 +703,12 @@ class ConversationController {
         try {
             const { conversationId } = req.params;
             const conversationMessages = await conversationService.getMessages(conversationId);
+            const summary = await conversationService.getConversationSummary(conversationId);
             
             res.json({
                 conversationId,
-                messages: conversationMessages
+                messages: conversationMessages,
+                summary: summary || null
             });
         } catch (error) {
             console.error('Error getting messages:', error);
@@ -397,10 +718,11 @@ class ConversationController {
 
     /**
      * Admin endpoint to view all conversations
+     * Query: search - only conversations whose subject or AI summary contains the text
      */
     async getAllConversations(req, res) {
         try {
-            const allConversations = await conversationService.getAllConversationsWithStats();
+            const allConversations = await conversationService.getAllConversationsWithStats({ search: req.query?.search });
             
             res.json({
                 conversations: allConversations,
@@ -444,7 +766,8 @@ class ConversationController {
                     timestamp: pendingMessage.timestamp,
                     metadata: {
                         messageCount: pendingMessage.metadata.messageCount || 1,
-                        customerMessages: pendingMessage.metadata.customerMessages
+                        customerMessages: pendingMessage.metadata.customerMessages,
+                        citations: pendingMessage.metadata.citations || []
                     }
                 });
             } else {
@@ -477,12 +800,32 @@ class ConversationController {
                 return res.status(400).json({ error: 'No conversation context available for AI suggestion' });
             }
 
-            // Generate AI suggestion using the same service as in sendMessage
-            const aiSuggestion = await aiService.generateAISuggestion(conversationId, conversationContext, true);
+            // Generate AI suggestion using the same service as in sendMessage,
+            // streaming tokens to the requesting agent's dashboard
+            const language = await translationService.getResponseLanguage(conversationMessages);
+            const stream = this._startSuggestionStream(conversationId, req.user?.id);
+            const aiSuggestion = await aiService.generateAISuggestion(
+                conversationId,
+                conversationContext,
+                true,
+                {
+                    ...(stream && { onToken: stream.onToken, signal: stream.signal }),
+                    ...(language && { language })
+                }
+            );
             console.log('🔍 DEBUG: aiSuggestion received:', JSON.stringify(aiSuggestion, null, 2));
 
+            // Cancelled before any text was produced - nothing to store
+            if (aiSuggestion?.metadata?.cancelled && !aiSuggestion.response) {
+                if (stream) {
+                    stream.complete({ suggestion: '' });
+                }
+                return res.json({ suggestion: '', cancelled: true });
+            }
+
             try {
                 const { suggestionText, confidence } = this._processAIServiceResponse(aiSuggestion);
+                const citations = await citationService.forChannel('agent', aiSuggestion?.citations);
 
                 // Clear any existing pending suggestions for this conversation
                 await conversationService.clearPendingSuggestions(conversationId);
@@ -500,12 +843,15 @@ class ConversationController {
                         pendingAgent: true,
                         aiSuggestion: suggestionText,
                         confidence: confidence,
+                        citations: citations,
                         lastUpdated: new Date().toISOString(),
                         messageCount: conversationMessages.length,
                         customerMessages: conversationMessages.filter(msg =>
                             msg.sender === 'visitor' || msg.sender === 'customer'
                         ).length,
                         manualGeneration: true,
+                        promptVersions: aiSuggestion?.metadata?.promptVersions || null,
+                        promptExperiment: aiSuggestion?.metadata?.promptExperiment || null,
                         debugInfo: (typeof aiSuggestion === 'object' ? aiSuggestion.debugInfo : {}) || {}
                     }
                 };
@@ -513,6 +859,14 @@ class ConversationController {
                 await conversationService.addMessage(conversationId, agentMessage);
                 console.log(`Generated manual AI suggestion for conversation ${conversationId}`);
 
+                if (stream) {
+                    stream.complete({
+                        messageId,
+                        suggestion: suggestionText,
+                        metadata: { ...aiSuggestion?.metadata, citations }
+                    });
+                }
+
                 // Return the suggestion immediately with comprehensive debug information
                 res.json({
                     suggestion: suggestionText,
@@ -523,6 +877,8 @@ class ConversationController {
                         messageCount: agentMessage.metadata.messageCount,
                         customerMessages: agentMessage.metadata.customerMessages,
                         manualGeneration: true,
+                        citations: citations,
+                        cancelled: aiSuggestion?.metadata?.cancelled || false,
                         // Enhanced metadata from aiService
                         provider: aiSuggestion?.metadata?.provider || 'unknown',
                         ragUsed: aiSuggestion?.metadata?.ragUsed || false,
@@ -531,6 +887,8 @@ class ConversationController {
                         contextsUsed: aiSuggestion?.metadata?.contextsUsed || 0,
                         contextLength: aiSuggestion?.metadata?.contextLength || 0,
                         processingSteps: aiSuggestion?.metadata?.processingSteps || 0,
+                        promptVersions: aiSuggestion?.metadata?.promptVersions || null,
+                        promptExperiment: aiSuggestion?.metadata?.promptExperiment || null,
                         // Comprehensive debug information for browser console
                         debugInfo: aiSuggestion?.debugInfo || {}
                     }
@@ -568,6 +926,11 @@ class ConversationController {
                 await conversationService.assignConversation(conversationId, agentId);
                 
                 // No system message needed for assignment
+
+                // Summarize for the new agent when the conversation changes hands
+                if (conversation.assignedAgent && conversation.assignedAgent !== agentId) {
+                    conversationSummaryService.scheduleSummary(conversationId, 'reassign');
+                }
                 
                 // Get updated conversation for response
                 const updatedConversation = await conversationService.getConversation(conversationId);
@@ -623,6 +986,7 @@ class ConversationController {
                 await conversationService.updateConversation(conversationId, conversation);
                 
                 // No system message needed for conversation end
+                conversationSummaryService.scheduleSummary(conversationId, 'end');
                 
                 res.json({ success: true });
             } else {
@@ -671,29 +1035,32 @@ class ConversationController {
 
     /**
      * Build conversation context for AI from message history
+     *
+     * Messages flagged by input screening are left out, or replaced by their
+     * sanitized text, so they never reach the AI.
      */
     buildConversationContext(conversationMessages) {
         // Get only customer and agent messages (exclude system messages)
         const allMessages = conversationMessages.filter(msg => 
-            msg.sender === 'visitor' || msg.sender === 'agent'
+            (msg.sender === 'visitor' || msg.sender === 'agent') &&
+            !(msg.metadata?.screening?.flagged && msg.metadata.screening.sanitizedContent === undefined)
         );
+
+        const formatMessage = (msg) => {
+            const sender = msg.sender === 'visitor' ? 'Customer' : 'Agent';
+            return `${sender}: ${msg.metadata?.screening?.sanitizedContent ?? msg.content}`;
+        };
         
         // Format messages as conversation
         const conversationHistory = allMessages
-            .map(msg => {
-                const sender = msg.sender === 'visitor' ? 'Customer' : 'Agent';
-                return `${sender}: ${msg.content}`;
-            })
+            .map(formatMessage)
             .join('\n\n');
         
         // If conversation is getting long, include only recent messages
         if (conversationHistory.length > 2000) {
             const recentMessages = allMessages.slice(-5); // Last 5 messages
             return recentMessages
-                .map(msg => {
-                    const sender = msg.sender === 'visitor' ? 'Customer' : 'Agent';
-                    return `${sender}: ${msg.content}`;
-                })
+                .map(formatMessage)
                 .join('\n\n');
         }
         
@@ -749,7 +1116,7 @@ class ConversationController {
 
             const result = await conversationService.bulkArchiveConversations(conversationIds);
             
-            // Log activity for each archived conversation
+            // Log activity and summarize each archived conversation
             for (const conversationId of conversationIds) {
                 activityService.logActivity({
                     userId: req.user?.id || null,
@@ -759,6 +1126,7 @@ class ConversationController {
                     ipAddress: req.ip,
                     userAgent: req.get('User-Agent')
                 });
+                conversationSummaryService.scheduleSummary(conversationId, 'archive');
             }
 
             res.status(200).json({
@@ -870,6 +1238,7 @@ class ConversationController {
             const { conversationId } = req.params;
             const { category_id } = req.body;
             const { user } = req;
+            const aiCategorizationService = require('../services/aiCategorizationService');
 
             // Validate user has agent/admin role
             if (!['agent', 'admin'].includes(user.role)) {
@@ -885,6 +1254,7 @@ class ConversationController {
             // If removing category (category_id is null)
             if (category_id === null) {
                 await conversationService.updateConversationCategory(conversationId, null);
+                await aiCategorizationService.recordAgentCategory(conversationId, null, user.id);
 
                 // Emit WebSocket event
                 if (this.io) {
@@ -919,6 +1289,7 @@ class ConversationController {
 
             // Update conversation
             await conversationService.updateConversationCategory(conversationId, category_id);
+            await aiCategorizationService.recordAgentCategory(conversationId, category_id, user.id);
 
             // Log activity
             await activityService.logActivity({
@@ -1007,6 +1378,7 @@ class ConversationController {
             }
 
             // Process each ticket
+            const aiCategorizationService = require('../services/aiCategorizationService');
             for (const ticketId of ticket_ids) {
                 try {
                     // Validate conversation exists
@@ -1018,6 +1390,7 @@ class ConversationController {
 
                     // Update conversation
                     await conversationService.updateConversationCategory(ticketId, category_id);
+                    await aiCategorizationService.recordAgentCategory(ticketId, category_id ?? null, user.id);
                     result.success.push(ticketId);
 
                     // Emit WebSocket event
@@ -1095,12 +1468,15 @@ class ConversationController {
             if (result.success) {
                 res.json({
                     success: true,
-                    message: 'Ticket categorized successfully',
+                    message: result.message,
                     data: {
                         categoryId: result.categoryId,
                         categoryName: result.categoryName,
                         confidence: result.confidence,
-                        reasoning: result.reasoning
+                        reasoning: result.reasoning,
+                        candidates: result.candidates,
+                        pendingReview: result.pendingReview,
+                        suggestionId: result.suggestionId
                     }
                 });
             } else {
@@ -1150,6 +1526,85 @@ class ConversationController {
         }
     }
 
+    /**
+     * Get AI category suggestions waiting for review
+     * @route GET /api/categorization/review-queue
+     * @access Agent/Admin
+     */
+    async getCategoryReviewQueue(req, res) {
+        try {
+            const aiCategorizationService = require('../services/aiCategorizationService');
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+            const queue = await aiCategorizationService.getReviewQueue(limit);
+
+            res.json({
+                success: true,
+                data: queue
+            });
+
+        } catch (error) {
+            console.error('Failed to get category review queue:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve category review queue',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Accept or correct a queued AI category suggestion
+     * @route POST /api/categorization/review-queue/:suggestionId
+     * @access Agent/Admin
+     */
+    async reviewCategorySuggestion(req, res) {
+        try {
+            const { suggestionId } = req.params;
+            const { category_id } = req.body;
+            const { user } = req;
+            const aiCategorizationService = require('../services/aiCategorizationService');
+
+            const { suggestion, ticket } = await aiCategorizationService.reviewSuggestion(suggestionId, category_id, user.id);
+
+            await activityService.logActivity({
+                userId: user.id,
+                actionType: 'conversation',
+                action: 'review_category_suggestion',
+                resource: 'conversation',
+                resourceId: ticket.id,
+                details: {
+                    suggestion_id: suggestionId,
+                    status: suggestion.status,
+                    category_id: category_id,
+                    category_name: ticket.ticket_category?.name || null
+                }
+            });
+
+            if (this.io) {
+                this.io.to('agents').emit('ticket:category_assigned', {
+                    ticket_id: ticket.id,
+                    category_id: category_id,
+                    category_name: ticket.ticket_category?.name
+                });
+            }
+
+            res.json({
+                success: true,
+                message: suggestion.status === 'accepted' ? 'Suggestion accepted' : 'Suggestion corrected',
+                data: suggestion
+            });
+
+        } catch (error) {
+            console.error('Failed to review category suggestion:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.statusCode ? error.message : 'Failed to review category suggestion',
+                code: error.code
+            });
+        }
+    }
+
     /**
      * Manually trigger the categorization background job
      * @route POST /api/admin/categorization/trigger-job
@@ -0,0 +1,110 @@
+/**
+ * EVALUATION CONTROLLER
+ *
+ * Main Purpose: Handle HTTP endpoints for RAG evaluation datasets and runs
+ *
+ * Key Responsibilities:
+ * - Dataset Management: Upload, list, view and delete golden question sets
+ * - Run Management: Start evaluation runs and report their metrics
+ * - Comparison: Return several runs side by side with their settings
+ *
+ * Endpoints:
+ * - GET /evaluations/datasets - List datasets
+ * - POST /evaluations/datasets - Upload a dataset (JSON array or JSON Lines in `content`)
+ * - GET /evaluations/datasets/:id - Dataset with its questions
+ * - DELETE /evaluations/datasets/:id - Delete a dataset and its runs
+ * - POST /evaluations/datasets/:id/runs - Start a run
+ * - GET /evaluations/runs - List runs (optional ?datasetId=)
+ * - GET /evaluations/runs/compare?ids=a,b - Runs side by side
+ * - GET /evaluations/runs/:id - Run with per-question results
+ *
+ * Dependencies:
+ * - RAG evaluation service for parsing, scoring and persistence
+ * - Auth middleware for admin access
+ */
+
+const ragEvaluationService = require('../services/ragEvaluationService');
+const { asyncHandler, createError } = require('../utils/errors');
+
+const MAX_COMPARED_RUNS = 4;
+
+class EvaluationController {
+    /**
+     * @route GET /api/evaluations/datasets
+     */
+    listDatasets = asyncHandler(async (req, res) => {
+        const datasets = await ragEvaluationService.listDatasets();
+        res.json({ success: true, data: datasets });
+    });
+
+    /**
+     * @route POST /api/evaluations/datasets
+     * @body {string} name, {string} description, {string} content - JSON array or JSON Lines
+     */
+    createDataset = asyncHandler(async (req, res) => {
+        const { name, description, content, questions } = req.body || {};
+        const dataset = await ragEvaluationService.createDataset({ name, description, content, questions }, req.user.id);
+
+        res.status(201).json({ success: true, data: dataset });
+    });
+
+    /**
+     * @route GET /api/evaluations/datasets/:id
+     */
+    getDataset = asyncHandler(async (req, res) => {
+        const dataset = await ragEvaluationService.getDataset(req.params.id);
+        res.json({ success: true, data: dataset });
+    });
+
+    /**
+     * @route DELETE /api/evaluations/datasets/:id
+     */
+    deleteDataset = asyncHandler(async (req, res) => {
+        await ragEvaluationService.deleteDataset(req.params.id);
+        res.json({ success: true, message: 'Dataset deleted' });
+    });
+
+    /**
+     * @route POST /api/evaluations/datasets/:id/runs
+     * @body {string} label - Optional name for the run, e.g. "rag_k 50"
+     */
+    startRun = asyncHandler(async (req, res) => {
+        const run = await ragEvaluationService.startRun(req.params.id, {
+            label: req.body?.label,
+            userId: req.user.id
+        });
+
+        res.status(202).json({ success: true, message: 'Evaluation run started', data: run });
+    });
+
+    /**
+     * @route GET /api/evaluations/runs?datasetId=...
+     */
+    listRuns = asyncHandler(async (req, res) => {
+        const runs = await ragEvaluationService.listRuns({ datasetId: req.query.datasetId });
+        res.json({ success: true, data: runs });
+    });
+
+    /**
+     * @route GET /api/evaluations/runs/compare?ids=a,b
+     */
+    compareRuns = asyncHandler(async (req, res) => {
+        const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+        if (ids.length < 2 || ids.length > MAX_COMPARED_RUNS) {
+            throw createError.badRequest(`Select between 2 and ${MAX_COMPARED_RUNS} runs to compare`);
+        }
+
+        const runs = await Promise.all(ids.map(id => ragEvaluationService.getRun(id)));
+        res.json({ success: true, data: runs });
+    });
+
+    /**
+     * @route GET /api/evaluations/runs/:id
+     */
+    getRun = asyncHandler(async (req, res) => {
+        const run = await ragEvaluationService.getRun(req.params.id);
+        res.json({ success: true, data: run });
+    });
+}
+
+module.exports = new EvaluationController();
@@ -0,0 +1,88 @@
+/**
+ * EXPERIMENT CONTROLLER
+ *
+ * Main Purpose: Handle HTTP endpoints for system prompt A/B experiments
+ *
+ * Key Responsibilities:
+ * - Experiment Management: Create, list, start, stop and delete experiments
+ * - Results: Agent acceptance of the suggestions of each variant
+ *
+ * Endpoints:
+ * - GET /experiments - List experiments
+ * - POST /experiments - Create a draft experiment
+ * - GET /experiments/:id - Experiment with its variants
+ * - DELETE /experiments/:id - Delete an experiment that is not running
+ * - POST /experiments/:id/start - Start a draft experiment
+ * - POST /experiments/:id/stop - Stop a running experiment
+ * - GET /experiments/:id/results - sent_as_is / edited / from_scratch rates and edit ratio per variant
+ *
+ * Dependencies:
+ * - Prompt experiment service for bucketing, persistence and results
+ * - Auth middleware for admin access
+ */
+
+const promptExperimentService = require('../services/promptExperimentService');
+const { asyncHandler } = require('../utils/errors');
+
+class ExperimentController {
+    /**
+     * @route GET /api/experiments
+     */
+    listExperiments = asyncHandler(async (req, res) => {
+        const experiments = await promptExperimentService.listExperiments();
+        res.json({ success: true, data: experiments });
+    });
+
+    /**
+     * @route POST /api/experiments
+     * @body {string} name, {string} description, {Array} variants - [{ name, content, promptVersionId, weight }]
+     */
+    createExperiment = asyncHandler(async (req, res) => {
+        const { name, description, variants } = req.body || {};
+        const experiment = await promptExperimentService.createExperiment({ name, description, variants }, req.user.id);
+
+        res.status(201).json({ success: true, data: experiment });
+    });
+
+    /**
+     * @route GET /api/experiments/:id
+     */
+    getExperiment = asyncHandler(async (req, res) => {
+        const experiment = await promptExperimentService.getExperiment(req.params.id);
+        res.json({ success: true, data: experiment });
+    });
+
+    /**
+     * @route DELETE /api/experiments/:id
+     */
+    deleteExperiment = asyncHandler(async (req, res) => {
+        await promptExperimentService.deleteExperiment(req.params.id);
+        res.json({ success: true, message: 'Experiment deleted' });
+    });
+
+    /**
+     * @route POST /api/experiments/:id/start
+     */
+    startExperiment = asyncHandler(async (req, res) => {
+        const experiment = await promptExperimentService.startExperiment(req.params.id);
+        res.json({ success: true, message: 'Experiment started', data: experiment });
+    });
+
+    /**
+     * @route POST /api/experiments/:id/stop
+     */
+    stopExperiment = asyncHandler(async (req, res) => {
+        const experiment = await promptExperimentService.stopExperiment(req.params.id);
+        res.json({ success: true, message: 'Experiment stopped', data: experiment });
+    });
+
+    /**
+     * @route GET /api/experiments/:id/results
+     */
+    getResults = asyncHandler(async (req, res) => {
+        const results = await promptExperimentService.getResults(req.params.id);
+        res.json({ success: true, data: results });
+    });
+}
+
+module.exports = new ExperimentController();
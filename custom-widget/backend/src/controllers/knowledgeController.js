@@ -36,6 +36,15 @@
  * - POST /documents/clear - Clear all documents from knowledge base
  * - POST /documents/reindex - Re-index all documents for vector search
  * - GET /supported-types - List supported document formats
+ * - GET /gaps - Knowledge gap report of unanswered customer questions
+ * - GET /reviews - Review queue of agent-corrected answers
+ * - POST /reviews/:id/approve - Ingest a corrected answer as a Q&A document
+ * - POST /reviews/:id/dismiss - Remove a corrected answer from the review queue
+ * - GET /faqs - List FAQ entries
+ * - POST /faqs - Create a FAQ entry
+ * - PUT /faqs/:id - Update a FAQ entry
+ * - DELETE /faqs/:id - Delete a FAQ entry
+ * - POST /faqs/import - Bulk create or update FAQs from CSV
  * 
  * File Processing Pipeline:
  * 1. File validation (type, size, content)
@@ -730,6 +739,337 @@ class KnowledgeController {
             });
         }
     }
+
+    /**
+     * Get the knowledge gap report: customer questions the knowledge base failed to answer, clustered
+     * Query: days (1-365, default 30), scoreThreshold (0-1, default 0.5), limit (1-100, default 20)
+     */
+    async getKnowledgeGaps(req, res) {
+        try {
+            const knowledgeGapService = require('../services/knowledgeGapService');
+
+            const days = parseInt(req.query.days, 10);
+            const scoreThreshold = parseFloat(req.query.scoreThreshold);
+            const limit = parseInt(req.query.limit, 10);
+
+            const report = await knowledgeGapService.getReport({
+                ...(days >= 1 && { days: Math.min(days, 365) }),
+                ...(scoreThreshold >= 0 && scoreThreshold <= 1 && { scoreThreshold }),
+                ...(limit >= 1 && { limit: Math.min(limit, 100) })
+            });
+
+            res.json({
+                success: true,
+                data: report
+            });
+
+        } catch (error) {
+            logger.error('[getKnowledgeGaps]', error);
+            res.status(500).json({
+                error: 'Failed to get knowledge gap report',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the review queue of heavily edited and from-scratch agent answers
+     * Query: minEditRatio (0-1, default 0.3), limit (1-200, default 50)
+     */
+    async getAnswerReviews(req, res) {
+        try {
+            const answerReviewService = require('../services/answerReviewService');
+
+            const minEditRatio = parseFloat(req.query.minEditRatio);
+            const limit = parseInt(req.query.limit, 10);
+
+            const queue = await answerReviewService.getReviewQueue({
+                ...(minEditRatio >= 0 && minEditRatio <= 1 && { minEditRatio }),
+                ...(limit >= 1 && { limit: Math.min(limit, 200) })
+            });
+
+            res.json({
+                success: true,
+                data: queue
+            });
+
+        } catch (error) {
+            logger.error('[getAnswerReviews]', error);
+            res.status(500).json({
+                error: 'Failed to get answer review queue',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Approve a corrected answer and ingest it as a Q&A knowledge document
+     * Body (optional): corrected { question, answer }
+     */
+    async approveAnswerReview(req, res) {
+        try {
+            const answerReviewService = require('../services/answerReviewService');
+
+            const { question, answer } = req.body || {};
+            const document = await answerReviewService.approve(req.params.id, req.user.id, { question, answer });
+
+            res.json({
+                success: true,
+                message: document.status === 'duplicate_rejected'
+                    ? 'The knowledge base already contains this answer'
+                    : 'Answer added to the knowledge base',
+                data: document
+            });
+
+        } catch (error) {
+            logger.error('[approveAnswerReview]', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to approve answer',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Remove a corrected answer from the review queue without ingesting it
+     */
+    async dismissAnswerReview(req, res) {
+        try {
+            const answerReviewService = require('../services/answerReviewService');
+
+            await answerReviewService.dismiss(req.params.id, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Answer dismissed'
+            });
+
+        } catch (error) {
+            logger.error('[dismissAnswerReview]', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to dismiss answer',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the active embedding model, the configured provider and migration progress
+     */
+    async getEmbeddingStatus(req, res) {
+        try {
+            const chromaService = require('../services/chromaService');
+            const embeddingMigrationService = require('../services/embeddingMigrationService');
+            const { EMBEDDING_PROVIDER_TYPES, DEFAULT_MODELS } = require('../services/embeddings');
+
+            const settings = await chromaService.loadEmbeddingSettings();
+
+            res.json({
+                success: true,
+                active: {
+                    collection: chromaService.collectionName,
+                    embedding: chromaService.embedding
+                },
+                configured: {
+                    provider: settings.provider,
+                    model: settings.model,
+                    baseUrl: settings.baseUrl,
+                    hasApiKey: Boolean(settings.apiKey)
+                },
+                providers: EMBEDDING_PROVIDER_TYPES,
+                defaultModels: DEFAULT_MODELS,
+                migration: embeddingMigrationService.getStatus()
+            });
+
+        } catch (error) {
+            logger.error('[getEmbeddingStatus]', error);
+            res.status(500).json({
+                error: 'Failed to get embedding status',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Save the embedding provider configuration used by the next migration
+     * An empty API key keeps the stored one
+     */
+    async updateEmbeddingSettings(req, res) {
+        try {
+            const SettingsService = require('../services/settingsService');
+            const settingsService = new SettingsService();
+
+            const { provider, model = '', baseUrl = '', apiKey } = req.body || {};
+            const settings = {
+                embedding_provider: provider,
+                embedding_model: model,
+                embedding_base_url: baseUrl
+            };
+            if (apiKey) {
+                settings.embedding_api_key = apiKey;
+            }
+
+            await settingsService.updateSettings(settings, req.user.id, 'embeddings');
+
+            res.json({
+                success: true,
+                message: 'Embedding settings saved. Start a migration to re-embed the knowledge base.'
+            });
+
+        } catch (error) {
+            logger.error('[updateEmbeddingSettings]', error);
+            res.status(500).json({
+                error: 'Failed to save embedding settings',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Re-embed the knowledge base into a new collection with the configured provider
+     * Responds once the migration has started; poll GET /embeddings for progress
+     */
+    async startEmbeddingMigration(req, res) {
+        try {
+            const embeddingMigrationService = require('../services/embeddingMigrationService');
+
+            const migration = await embeddingMigrationService.start(req.user.id);
+
+            res.status(202).json({
+                success: true,
+                message: 'Embedding migration started',
+                migration
+            });
+
+        } catch (error) {
+            logger.error('[startEmbeddingMigration]', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to start embedding migration',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * List FAQ entries, most matched first
+     * Query: search (question, phrasings and answer), tag
+     */
+    async listFaqs(req, res) {
+        try {
+            const faqService = require('../services/faqService');
+
+            const faqs = await faqService.listFaqs({ search: req.query.search, tag: req.query.tag });
+
+            res.json({
+                success: true,
+                data: faqs
+            });
+
+        } catch (error) {
+            logger.error('[listFaqs]', error);
+            res.status(500).json({
+                error: 'Failed to list FAQs',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Create a FAQ entry
+     * Body: question, alternateQuestions, answer, tags, enabled
+     */
+    async createFaq(req, res) {
+        try {
+            const faqService = require('../services/faqService');
+
+            const faq = await faqService.createFaq(req.body || {}, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'FAQ created',
+                data: faq
+            });
+
+        } catch (error) {
+            logger.error('[createFaq]', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to create FAQ',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a FAQ entry (only the fields sent)
+     */
+    async updateFaq(req, res) {
+        try {
+            const faqService = require('../services/faqService');
+
+            const faq = await faqService.updateFaq(req.params.id, req.body || {});
+
+            res.json({
+                success: true,
+                message: 'FAQ updated',
+                data: faq
+            });
+
+        } catch (error) {
+            logger.error('[updateFaq]', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to update FAQ',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Delete a FAQ entry
+     */
+    async deleteFaq(req, res) {
+        try {
+            const faqService = require('../services/faqService');
+
+            await faqService.deleteFaq(req.params.id);
+
+            res.json({
+                success: true,
+                message: 'FAQ deleted'
+            });
+
+        } catch (error) {
+            logger.error('[deleteFaq]', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to delete FAQ',
+                details: error.message
+            });
+        }
+    }
+
+    /**
+     * Bulk create or update FAQs from CSV
+     * Body: content - CSV text with question, alternate_questions, answer and tags columns
+     */
+    async importFaqs(req, res) {
+        try {
+            const faqService = require('../services/faqService');
+
+            const result = await faqService.importCsv(req.body?.content, req.user.id);
+
+            res.json({
+                success: true,
+                message: `${result.created} FAQs created, ${result.updated} updated`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('[importFaqs]', error);
+            res.status(error.statusCode || 500).json({
+                error: 'Failed to import FAQs',
+                details: error.message
+            });
+        }
+    }
 }
 
-module.exports = KnowledgeController;
\ No newline at end of file
+module.exports = KnowledgeController;
@@ -20,6 +20,7 @@
  * - GET /statistics/agents - Agent performance and activity
  * - GET /statistics/ai-suggestions - AI suggestion usage patterns
  * - GET /statistics/trends - Time-series data for charts
+ * - GET /statistics/llm-usage - LLM tokens and cost by day, model and feature (admin only)
  *
  * Query Parameters:
  * - startDate: ISO 8601 date string (default: 30 days ago)
@@ -30,10 +31,12 @@
  *
  * Dependencies:
  * - Statistics service for all calculations
+ * - LLM usage service for token and cost accounting
  * - Auth middleware for role validation
  */
 
 const statisticsService = require('../services/statisticsService');
+const llmUsageService = require('../services/llmUsageService');
 const { asyncHandler, ValidationError } = require('../utils/errors');
 
 class StatisticsController {
@@ -51,13 +54,15 @@ class StatisticsController {
             conversationStatus,
             agentCounts,
             suggestionUsage,
-            messageStats
+            messageStats,
+            autopilotEscalations
         ] = await Promise.all([
             statisticsService.getTotalConversations(startDate, endDate),
             statisticsService.getConversationStatus(startDate, endDate),
             statisticsService.getAgentMessageCounts(startDate, endDate),
             statisticsService.getAISuggestionUsage(startDate, endDate),
-            statisticsService.getTotalMessagesAndAverage(startDate, endDate)
+            statisticsService.getTotalMessagesAndAverage(startDate, endDate),
+            statisticsService.getAutopilotEscalations(startDate, endDate)
         ]);
 
         res.json({
@@ -76,7 +81,8 @@ class StatisticsController {
                     activeAgents: agentCounts.length,
                     topAgent: agentCounts[0] || null
                 },
-                aiSuggestions: suggestionUsage
+                aiSuggestions: suggestionUsage,
+                autopilot: autopilotEscalations
             },
             meta: {
                 startDate: startDate.toISOString(),
@@ -249,17 +255,20 @@ class StatisticsController {
 
         const [
             conversationTrends,
-            peakHours
+            peakHours,
+            sentimentTrends
         ] = await Promise.all([
             statisticsService.getConversationTrends(startDate, endDate, granularity),
-            statisticsService.getPeakHoursAnalysis(startDate, endDate)
+            statisticsService.getPeakHoursAnalysis(startDate, endDate),
+            statisticsService.getSentimentTrends(startDate, endDate, granularity)
         ]);
 
         res.json({
             success: true,
             data: {
                 conversationTrends,
-                peakHours
+                peakHours,
+                sentimentTrends
             },
             meta: {
                 startDate: startDate.toISOString(),
@@ -270,6 +279,28 @@ class StatisticsController {
         });
     });
 
+    /**
+     * Get LLM token usage and cost with the monthly budget status
+     * @route GET /api/statistics/llm-usage?startDate=...&endDate=...
+     * @access Admin
+     */
+    getLLMUsageStats = asyncHandler(async (req, res) => {
+        const { startDate, endDate } = this.parseDateRange(req.query);
+
+        const usage = await llmUsageService.getBreakdown(startDate, endDate);
+
+        res.json({
+            success: true,
+            data: usage,
+            meta: {
+                startDate: startDate.toISOString(),
+                endDate: endDate.toISOString(),
+                currency: 'USD',
+                generatedAt: new Date().toISOString()
+            }
+        });
+    });
+
     // ========================================================================
     // HELPER METHODS
     // ========================================================================
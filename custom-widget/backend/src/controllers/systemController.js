@@ -32,7 +32,7 @@
  * - POST /reset - Clear all conversations, messages, and agent data
  * 
  * Environment Variables:
- * - AI_PROVIDER: Current AI provider (flowise/openrouter)
+ * - AI_PROVIDER: Current AI provider (flowise/openrouter/openai_compatible)
  * - SYSTEM_PROMPT: Custom system prompt for OpenRouter
  * 
  * Error Handling:
@@ -50,6 +50,7 @@ const conversationService = require('../services/conversationService');
 const agentService = require('../services/agentService');
 const aiService = require('../services/aiService');
 const { createLogger } = require('../utils/logger');
+const { isChatCompletionProvider } = require('../../ai-providers');
 const logger = createLogger('systemController');
 
 class SystemController {
@@ -142,8 +143,8 @@ class SystemController {
             const currentProvider = process.env.AI_PROVIDER;
             
             // AI provider is now read-only from environment variable
-            // Only allow system prompt updates for OpenRouter
-            if (currentProvider === 'openrouter' && systemPrompt) {
+            // Only allow system prompt updates for chat completion providers
+            if (isChatCompletionProvider(currentProvider) && systemPrompt) {
                 process.env.SYSTEM_PROMPT = systemPrompt;
                 logger.info(`System prompt updated for ${currentProvider}`);
                 
@@ -0,0 +1,70 @@
+/**
+ * TOOL CONTROLLER
+ *
+ * Main Purpose: Handle HTTP endpoints for the HTTP tools the RAG chain may call for live data
+ *
+ * Key Responsibilities:
+ * - Tool Management: Register, list, update, enable/disable and delete tools
+ * - Testing: Run a tool with sample arguments and show the call log
+ *
+ * Endpoints:
+ * - GET /tools - List tools (auth header values are never returned)
+ * - POST /tools - Register a tool
+ * - PUT /tools/:id - Update a tool
+ * - DELETE /tools/:id - Delete a tool
+ * - POST /tools/:id/test - Call a tool with sample arguments
+ *
+ * Dependencies:
+ * - HTTP tool service for validation, persistence and execution
+ * - Auth middleware for admin access
+ */
+
+const httpToolService = require('../services/httpToolService');
+const { asyncHandler } = require('../utils/errors');
+
+class ToolController {
+    /**
+     * @route GET /api/tools
+     */
+    listTools = asyncHandler(async (req, res) => {
+        const tools = await httpToolService.listTools();
+        res.json({ success: true, data: tools });
+    });
+
+    /**
+     * @route POST /api/tools
+     * @body {string} name, {string} description, {Object|string} parameters, {string} endpoint, {string} method,
+     *   {string} authHeaderName, {string} authHeaderValue, {number} timeoutMs, {boolean} enabled
+     */
+    createTool = asyncHandler(async (req, res) => {
+        const tool = await httpToolService.createTool(req.body || {}, req.user.id);
+        res.status(201).json({ success: true, data: tool });
+    });
+
+    /**
+     * @route PUT /api/tools/:id
+     */
+    updateTool = asyncHandler(async (req, res) => {
+        const tool = await httpToolService.updateTool(req.params.id, req.body || {});
+        res.json({ success: true, data: tool });
+    });
+
+    /**
+     * @route DELETE /api/tools/:id
+     */
+    deleteTool = asyncHandler(async (req, res) => {
+        await httpToolService.deleteTool(req.params.id);
+        res.json({ success: true, message: 'Tool deleted' });
+    });
+
+    /**
+     * @route POST /api/tools/:id/test
+     * @body {Object|string} arguments - Sample arguments
+     */
+    testTool = asyncHandler(async (req, res) => {
+        const call = await httpToolService.testTool(req.params.id, req.body?.arguments);
+        res.json({ success: true, data: call });
+    });
+}
+
+module.exports = new ToolController();
@@ -24,7 +24,7 @@
  * - PATCH /conversations/:id/category - Assign category to conversation
  *
  * Admin Routes (Requires Authentication - agent/admin only):
- * - GET /admin/conversations - View all conversations with statistics
+ * - GET /admin/conversations - View all conversations with statistics (?search= matches subject and AI summary)
  * - POST /admin/conversations/bulk-archive - Archive multiple conversations
  * - POST /admin/conversations/bulk-unarchive - Unarchive multiple conversations
  * - POST /admin/conversations/bulk-assign - Assign multiple conversations
@@ -167,6 +167,14 @@ function createConversationRoutes(io) {
         conversationController.getCategorizationStats(req, res);
     });
 
+    router.get('/categorization/review-queue', authenticateToken, requireAgentOrAdmin, (req, res) => {
+        conversationController.getCategoryReviewQueue(req, res);
+    });
+
+    router.post('/categorization/review-queue/:suggestionId', authenticateToken, requireAgentOrAdmin, (req, res) => {
+        conversationController.reviewCategorySuggestion(req, res);
+    });
+
     router.post('/admin/categorization/trigger-job', authenticateToken, requireAgentOrAdmin, (req, res) => {
         conversationController.triggerCategorizationJob(req, res);
     });
@@ -0,0 +1,82 @@
+/**
+ * Evaluation Routes
+ * Endpoints for RAG evaluation with golden question sets
+ *
+ * All routes require authentication and the admin role.
+ * Runs report retrieval hit-rate, MRR, answer similarity and latency
+ * together with the RAG settings they were made with.
+ */
+
+const express = require('express');
+const evaluationController = require('../controllers/evaluationController');
+const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+/**
+ * @route GET /api/evaluations/datasets
+ * @desc List golden datasets with question and run counts
+ * @access Admin
+ */
+router.get('/datasets', evaluationController.listDatasets);
+
+/**
+ * @route POST /api/evaluations/datasets
+ * @desc Upload a golden dataset
+ * @access Admin
+ * @body {string} name - Dataset name
+ * @body {string} content - JSON array or JSON Lines of { question, expected_sources, reference_answer }
+ */
+router.post('/datasets', evaluationController.createDataset);
+
+/**
+ * @route GET /api/evaluations/datasets/:id
+ * @desc Get a dataset with its questions
+ * @access Admin
+ */
+router.get('/datasets/:id', evaluationController.getDataset);
+
+/**
+ * @route DELETE /api/evaluations/datasets/:id
+ * @desc Delete a dataset and its runs
+ * @access Admin
+ */
+router.delete('/datasets/:id', evaluationController.deleteDataset);
+
+/**
+ * @route POST /api/evaluations/datasets/:id/runs
+ * @desc Start an evaluation run with the current RAG settings
+ * @access Admin
+ * @body {string} label - Optional run label
+ * @returns {Object} The run, status "running"; poll GET /runs/:id for results
+ */
+router.post('/datasets/:id/runs', evaluationController.startRun);
+
+/**
+ * @route GET /api/evaluations/runs
+ * @desc List runs with their summary metrics
+ * @access Admin
+ * @query {string} datasetId - Filter by dataset (optional)
+ */
+router.get('/runs', evaluationController.listRuns);
+
+/**
+ * @route GET /api/evaluations/runs/compare
+ * @desc Get 2-4 runs side by side
+ * @access Admin
+ * @query {string} ids - Comma-separated run IDs
+ */
+router.get('/runs/compare', evaluationController.compareRuns);
+
+/**
+ * @route GET /api/evaluations/runs/:id
+ * @desc Get a run with per-question results
+ * @access Admin
+ */
+router.get('/runs/:id', evaluationController.getRun);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Experiment Routes
+ * Endpoints for system prompt A/B experiments
+ *
+ * All routes require authentication and the admin role.
+ * Conversations are split between the variants of the running experiment;
+ * results compare how agents used each variant's suggestions.
+ */
+
+const express = require('express');
+const experimentController = require('../controllers/experimentController');
+const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+/**
+ * @route GET /api/experiments
+ * @desc List experiments, newest first
+ * @access Admin
+ */
+router.get('/', experimentController.listExperiments);
+
+/**
+ * @route POST /api/experiments
+ * @desc Create a draft experiment
+ * @access Admin
+ * @body {string} name - Experiment name
+ * @body {string} description - Optional description
+ * @body {Array} variants - 2-5 of { name, content, promptVersionId, weight }; a variant without
+ *   content or prompt version uses the current system prompt
+ */
+router.post('/', experimentController.createExperiment);
+
+/**
+ * @route GET /api/experiments/:id
+ * @desc Get an experiment with its variants
+ * @access Admin
+ */
+router.get('/:id', experimentController.getExperiment);
+
+/**
+ * @route DELETE /api/experiments/:id
+ * @desc Delete an experiment that is not running
+ * @access Admin
+ */
+router.delete('/:id', experimentController.deleteExperiment);
+
+/**
+ * @route POST /api/experiments/:id/start
+ * @desc Start a draft experiment (one experiment runs at a time)
+ * @access Admin
+ */
+router.post('/:id/start', experimentController.startExperiment);
+
+/**
+ * @route POST /api/experiments/:id/stop
+ * @desc Stop a running experiment
+ * @access Admin
+ */
+router.post('/:id/stop', experimentController.stopExperiment);
+
+/**
+ * @route GET /api/experiments/:id/results
+ * @desc sent_as_is / edited / from_scratch rates and average edit ratio per variant
+ * @access Admin
+ */
+router.get('/:id/results', experimentController.getResults);
+
+module.exports = router;
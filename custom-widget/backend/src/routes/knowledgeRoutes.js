@@ -24,6 +24,18 @@
  * - POST /documents/clear - Clear all documents
  * - POST /documents/reindex - Re-index all documents
  * - GET /supported-types - List supported file formats
+ * - GET /embeddings - Active embedding model, configured provider and migration progress
+ * - PUT /embeddings - Save the embedding provider configuration (admin)
+ * - POST /embeddings/migrate - Re-embed the knowledge base with the configured provider (admin)
+ * - GET /gaps - Clustered customer questions the knowledge base failed to answer (admin)
+ * - GET /reviews - Heavily edited and from-scratch agent answers awaiting review (admin)
+ * - POST /reviews/:id/approve - Ingest a reviewed answer as a Q&A document (admin)
+ * - POST /reviews/:id/dismiss - Remove an answer from the review queue (admin)
+ * - GET /faqs - FAQ entries matched before RAG generation (admin)
+ * - POST /faqs - Create a FAQ entry (admin)
+ * - PUT /faqs/:id - Update a FAQ entry (admin)
+ * - DELETE /faqs/:id - Delete a FAQ entry (admin)
+ * - POST /faqs/import - Bulk create or update FAQs from CSV (admin)
  * 
  * Features:
  * - Multer middleware integration for file upload handling
@@ -150,6 +162,112 @@ function createKnowledgeRoutes() {
         }
     );
 
+    // Embedding model status and migration progress
+    router.get('/embeddings',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.getEmbeddingStatus(req, res);
+        }
+    );
+
+    // Save embedding provider configuration (takes effect after a migration)
+    router.put('/embeddings',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.updateEmbeddingSettings(req, res);
+        }
+    );
+
+    // Re-embed the knowledge base into a new collection and swap it in
+    router.post('/embeddings/migrate',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.startEmbeddingMigration(req, res);
+        }
+    );
+
+    // Knowledge gap report from unanswered and low-score questions
+    router.get('/gaps',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.getKnowledgeGaps(req, res);
+        }
+    );
+
+    // Review queue of agent-corrected answers
+    router.get('/reviews',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.getAnswerReviews(req, res);
+        }
+    );
+
+    // Ingest a corrected answer with its customer question as a Q&A document
+    router.post('/reviews/:id/approve',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.approveAnswerReview(req, res);
+        }
+    );
+
+    // Remove a corrected answer from the review queue
+    router.post('/reviews/:id/dismiss',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.dismissAnswerReview(req, res);
+        }
+    );
+
+    // FAQ entries answered verbatim or given as context before RAG generation
+    router.get('/faqs',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.listFaqs(req, res);
+        }
+    );
+
+    router.post('/faqs',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.createFaq(req, res);
+        }
+    );
+
+    // Bulk import from CSV text ({ content }); rows with a known question update that FAQ
+    router.post('/faqs/import',
+        authenticateToken,
+        requireAdmin,
+        documentLimiter,
+        (req, res) => {
+            knowledgeController.importFaqs(req, res);
+        }
+    );
+
+    router.put('/faqs/:id',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.updateFaq(req, res);
+        }
+    );
+
+    router.delete('/faqs/:id',
+        authenticateToken,
+        requireAdmin,
+        (req, res) => {
+            knowledgeController.deleteFaq(req, res);
+        }
+    );
+
     return router;
 }
 
@@ -7,11 +7,12 @@
  * - Conversation metrics and trends
  * - Agent performance and rankings
  * - AI suggestion usage (HITL mode only)
+ * - LLM token usage and cost (admin only)
  */
 
 const express = require('express');
 const statisticsController = require('../controllers/statisticsController');
-const { authenticateToken, requireAgentOrAdmin } = require('../middleware/authMiddleware');
+const { authenticateToken, requireAgentOrAdmin, requireAdmin } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -71,8 +72,19 @@ router.get('/ai-suggestions', statisticsController.getAISuggestionStats);
  * @query {string} startDate - Start of date range (ISO 8601)
  * @query {string} endDate - End of date range (ISO 8601)
  * @query {string} granularity - Time grouping: 'day', 'week', or 'month' (default: 'day')
- * @returns {Object} Conversation trends over time and peak activity hours
+ * @returns {Object} Conversation trends over time, peak activity hours and customer sentiment trends
  */
 router.get('/trends', statisticsController.getTrendStats);
 
+/**
+ * @route GET /api/statistics/llm-usage
+ * @desc Get LLM token usage and cost by day, model and feature
+ * @access Admin
+ * @query {string} startDate - Start of date range (ISO 8601)
+ * @query {string} endDate - End of date range (ISO 8601)
+ * @returns {Object} Totals, byDay, byModel, byFeature (calls, tokens, cost in USD, average latency),
+ *   models without a price and the monthly budget status
+ */
+router.get('/llm-usage', requireAdmin, statisticsController.getLLMUsageStats);
+
 module.exports = router;
@@ -19,6 +19,9 @@
  * - PUT /config/branding - Update branding settings (admin only)
  * - GET /config/branding/preview - Get preview of branding changes
  * - POST /config/branding/reset - Reset branding to defaults (admin only)
+ * - GET /config/prompts/versions - Versions of a local prompt (admin only)
+ * - GET /config/prompts/versions/:id/diff - Line diff between prompt versions (admin only)
+ * - POST /config/prompts/versions/:id/rollback - Restore a prompt version (admin only)
  * 
  * Admin Routes:
  * - POST /reset - Clear all system data (development/testing)
@@ -32,6 +35,7 @@ const express = require('express');
 const SystemController = require('../controllers/systemController');
 const { authenticateToken } = require('../middleware/authMiddleware');
 const SettingsService = require('../services/settingsService');
+const promptVersionService = require('../services/promptVersionService');
 
 function createSystemRoutes() {
     const { createLogger } = require('../utils/logger');
@@ -132,6 +136,58 @@ function createSystemRoutes() {
         }
     });
 
+    // Semantic answer cache statistics (admin only)
+    router.get('/config/semantic-cache', authenticateToken, async (req, res) => {
+        try {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Admin access required'
+                });
+            }
+
+            const semanticCacheService = require('../services/semanticCacheService');
+
+            res.json({
+                success: true,
+                data: semanticCacheService.getStats()
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch semantic cache statistics',
+                message: error.message
+            });
+        }
+    });
+
+    // Purge all cached answers (admin only)
+    router.post('/config/semantic-cache/purge', authenticateToken, async (req, res) => {
+        try {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Admin access required'
+                });
+            }
+
+            const semanticCacheService = require('../services/semanticCacheService');
+            const removed = semanticCacheService.invalidate(`purged_by_${req.user.id}`);
+
+            res.json({
+                success: true,
+                data: { removed },
+                message: `Semantic cache purged (${removed} entries removed)`
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: 'Failed to purge semantic cache',
+                message: error.message
+            });
+        }
+    });
+
     // ===========================
     // AI PROVIDER SETTINGS ROUTES (for Knowledge Base UI)
     // ===========================
@@ -232,7 +288,12 @@ function createSystemRoutes() {
                     OPENROUTER_MODEL: config.openrouter_model,
                     REPHRASING_MODEL: config.rephrasing_model || 'google/gemini-2.5-flash-lite',
                     SITE_URL: config.site_url,
-                    SITE_NAME: config.site_name
+                    SITE_NAME: config.site_name,
+                    OPENAI_COMPATIBLE_BASE_URL: config.openai_compatible_base_url,
+                    OPENAI_COMPATIBLE_API_KEY: config.openai_compatible_api_key,
+                    OPENAI_COMPATIBLE_MODEL: config.openai_compatible_model,
+                    OPENAI_COMPATIBLE_HEADERS: config.openai_compatible_headers,
+                    OPENAI_COMPATIBLE_MODELS: config.openai_compatible_models
                 });
 
                 // First check basic health
@@ -249,6 +310,23 @@ function createSystemRoutes() {
                 // Now test actual AI response generation
                 logger.info(`🧪 Testing ${provider} with actual message generation...`);
 
+                // OpenAI-compatible endpoints are tested directly with the submitted config
+                if (provider === 'openai_compatible') {
+                    const testResponse = await testProvider.generateResponse('Hello, this is a connection test', 'test-' + Date.now());
+                    const models = await testProvider.listModels();
+
+                    return res.json({
+                        success: Boolean(testResponse),
+                        provider: provider,
+                        healthy: true,
+                        message: testResponse ?
+                            `${provider} provider test successful - AI response generated` :
+                            `${provider} provider test failed - empty response`,
+                        testResponse: testResponse ? testResponse.substring(0, 100) + '...' : null,
+                        models
+                    });
+                }
+
                 // Temporarily set environment variables for the test
                 const originalEnvVars = {};
                 const envVarsToSet = {
@@ -274,7 +352,8 @@ function createSystemRoutes() {
 
                     const result = await generateAISuggestion(testConversationId, testMessage, true);
 
-                    const success = result && !result.startsWith('Atsiprašau');
+                    const responseText = result?.response || '';
+                    const success = Boolean(responseText) && !responseText.startsWith('Atsiprašau');
 
                     res.json({
                         success: success,
@@ -283,7 +362,7 @@ function createSystemRoutes() {
                         message: success ?
                             `${provider} provider test successful - AI response generated` :
                             `${provider} provider test failed - AI returned error message`,
-                        testResponse: result ? result.substring(0, 100) + '...' : null
+                        testResponse: responseText ? responseText.substring(0, 100) + '...' : null
                     });
 
                 } finally {
@@ -486,16 +565,16 @@ function createSystemRoutes() {
                 });
             }
 
-            // Update settings
-            const updatedSettings = await settingsService.updateSettings(
-                settings, 
-                req.user.id, 
-                'prompts'
+            // Update settings, keeping a version of every changed prompt
+            const { settings: updatedSettings, versions } = await promptVersionService.saveSettings(
+                settings,
+                req.user.id
             );
 
             res.json({
                 success: true,
                 data: updatedSettings,
+                versions,
                 message: 'Prompt settings updated successfully'
             });
 
@@ -508,6 +587,83 @@ function createSystemRoutes() {
         }
     });
 
+    // Versions of a local prompt (admin only)
+    router.get('/config/prompts/versions', authenticateToken, async (req, res) => {
+        try {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Admin access required'
+                });
+            }
+
+            const versions = await promptVersionService.listVersions(req.query.type, {
+                limit: Math.min(parseInt(req.query.limit) || 50, 200)
+            });
+
+            res.json({
+                success: true,
+                data: versions
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: 'Failed to fetch prompt versions',
+                message: error.message
+            });
+        }
+    });
+
+    // Changes of a prompt version, against the previous one or ?against=<versionId> (admin only)
+    router.get('/config/prompts/versions/:id/diff', authenticateToken, async (req, res) => {
+        try {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Admin access required'
+                });
+            }
+
+            const diff = await promptVersionService.diff(req.params.id, req.query.against || null);
+
+            res.json({
+                success: true,
+                data: diff
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: 'Failed to compare prompt versions',
+                message: error.message
+            });
+        }
+    });
+
+    // Restore a prompt version as the active local prompt (admin only)
+    router.post('/config/prompts/versions/:id/rollback', authenticateToken, async (req, res) => {
+        try {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Admin access required'
+                });
+            }
+
+            const version = await promptVersionService.rollback(req.params.id, req.user.id);
+
+            res.json({
+                success: true,
+                data: version,
+                message: `Restored as version ${version.version}`
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: 'Failed to restore prompt version',
+                message: error.message
+            });
+        }
+    });
 
     // Reset endpoint for testing (clears all data)
     router.post('/reset', (req, res) => {
@@ -568,7 +724,8 @@ function createSystemRoutes() {
                 });
             }
 
-            const { getAIProviderConfig } = require('../../ai-providers');
+            const { getAIProviderConfig, parseModelList } = require('../../ai-providers');
+            const aiFailoverService = require('../services/aiFailoverService');
             const config = await getAIProviderConfig();
 
             // Determine if configuration came from database or environment
@@ -581,12 +738,15 @@ function createSystemRoutes() {
                 configSource: hasDbConfig ? 'database' : 'environment',
                 configuration: {
                     provider: config.AI_PROVIDER,
-                    model: config.OPENROUTER_MODEL || null,
+                    model: (config.AI_PROVIDER === 'openai_compatible' ? config.OPENAI_COMPATIBLE_MODEL : config.OPENROUTER_MODEL) || null,
                     flowiseUrl: config.FLOWISE_URL || null,
                     flowiseChatflowId: config.FLOWISE_CHATFLOW_ID || null,
                     siteUrl: config.SITE_URL || null,
-                    siteName: config.SITE_NAME || null
+                    siteName: config.SITE_NAME || null,
+                    baseUrl: config.OPENAI_COMPATIBLE_BASE_URL || null,
+                    models: parseModelList(config.OPENAI_COMPATIBLE_MODELS)
                 },
+                failover: aiFailoverService.getHealth(config),
                 timestamp: new Date().toISOString()
             });
 
@@ -708,7 +868,9 @@ function createSystemRoutes() {
                 success: true,
                 suggestion,
                 metadata: {
-                    modelUsed: config.OPENROUTER_MODEL || config.FLOWISE_CHATFLOW_ID || 'unknown',
+                    modelUsed: config.OPENAI_COMPATIBLE_MODEL && config.AI_PROVIDER === 'openai_compatible'
+                        ? config.OPENAI_COMPATIBLE_MODEL
+                        : config.OPENROUTER_MODEL || config.FLOWISE_CHATFLOW_ID || 'unknown',
                     providerUsed: config.AI_PROVIDER,
                     configSource: hasDbConfig ? 'database' : 'environment',
                     timestamp: new Date().toISOString(),
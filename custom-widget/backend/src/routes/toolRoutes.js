@@ -0,0 +1,65 @@
+/**
+ * Tool Routes
+ * Endpoints for the HTTP tools the RAG chain may call for live data
+ *
+ * All routes require authentication and the admin role.
+ * Enabled tools are offered to the model through function calling; the
+ * auth header value of a tool is write-only.
+ */
+
+const express = require('express');
+const toolController = require('../controllers/toolController');
+const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+/**
+ * @route GET /api/tools
+ * @desc List registered tools
+ * @access Admin
+ */
+router.get('/', toolController.listTools);
+
+/**
+ * @route POST /api/tools
+ * @desc Register a tool
+ * @access Admin
+ * @body {string} name - Function name shown to the model (letters, digits, _ or -)
+ * @body {string} description - When the model should call the tool
+ * @body {Object|string} parameters - JSON schema of the arguments ("type": "object")
+ * @body {string} endpoint - URL, may contain {param} placeholders
+ * @body {string} method - GET (arguments as query string) or POST (JSON body)
+ * @body {string} authHeaderName - Optional auth header, e.g. Authorization
+ * @body {string} authHeaderValue - Optional auth header value (never returned)
+ * @body {number} timeoutMs - 1000-60000, default 10000
+ * @body {boolean} enabled - Offered to the model (default true)
+ */
+router.post('/', toolController.createTool);
+
+/**
+ * @route PUT /api/tools/:id
+ * @desc Update a tool; an omitted auth header value is kept, an empty one removed
+ * @access Admin
+ */
+router.put('/:id', toolController.updateTool);
+
+/**
+ * @route DELETE /api/tools/:id
+ * @desc Delete a tool
+ * @access Admin
+ */
+router.delete('/:id', toolController.deleteTool);
+
+/**
+ * @route POST /api/tools/:id/test
+ * @desc Call a tool with sample arguments and return the call log
+ * @access Admin
+ * @body {Object|string} arguments - Sample arguments
+ */
+router.post('/:id/test', toolController.testTool);
+
+module.exports = router;
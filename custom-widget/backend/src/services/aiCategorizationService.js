@@ -4,8 +4,10 @@
  * Main Purpose: Automatically categorize support tickets using AI based on conversation content
  *
  * Key Responsibilities:
- * - AI-Powered Classification: Analyze conversation context to suggest appropriate categories
+ * - AI-Powered Classification: Analyze conversation context to suggest ranked candidate categories
  * - Confidence Scoring: Provide confidence levels for categorization decisions
+ * - Review Queue: Suggestions below the confidence threshold wait for an agent to accept or correct them
+ * - Feedback: Agent corrections become few-shot examples in the categorization prompt
  * - Manual Override Detection: Respect agent/admin manual category assignments
  * - Batch Processing: Efficiently categorize multiple tickets at once
  * - Metadata Tracking: Store AI reasoning and confidence for transparency
@@ -17,31 +19,46 @@
  * - Requires minimum message count for sufficient context
  * - Full conversation context analysis for accurate categorization
  * - Lithuanian language support
+ * - Token usage recorded as the 'categorization' feature, linked to the ticket
+ * - Multi-label: every candidate at or above the threshold is kept in category_metadata.labels,
+ *   the top one becomes the ticket's category
+ * - Precision per category from reviewed suggestions in the statistics
  *
  * Process Flow:
  * 1. Check if ticket is eligible for auto-categorization
  * 2. Load full conversation history and available categories
  * 3. Build AI prompt with context and category options
- * 4. Get category suggestion from AI with reasoning
- * 5. Validate category existence
- * 6. Update ticket with AI-suggested category and metadata
+ * 4. Get ranked candidate categories with confidences from AI
+ * 5. Drop candidates for unknown categories
+ * 6. Top candidate at or above the threshold: update ticket with category and metadata
+ *    Below the threshold: queue the suggestion for review and leave the ticket uncategorized
  * 7. Broadcast category change via WebSocket
  *
  * Configuration:
  * - ENABLE_AUTO_CATEGORIZATION: Master switch (default: true)
  * - AUTO_CATEGORIZATION_IDLE_MINUTES: Minutes of inactivity required (default: 15)
  * - AUTO_CATEGORIZATION_MIN_MESSAGES: Minimum messages required (default: 3)
+ * - AUTO_CATEGORIZATION_CONFIDENCE_THRESHOLD: Confidence needed to apply a category without review (default: 0.7)
  *
  * Dependencies:
  * - AI service with rephrasing model access
  * - Conversation service for message history
  * - Category service for available categories
- * - Prisma for database operations
+ * - Prisma for database operations (tickets, ticket_categories, category_suggestions)
  * - WebSocket service for real-time updates
+ *
+ * Notes:
+ * - A suggestion is 'auto_applied', 'pending', then 'accepted' or 'corrected' once an agent reviews it;
+ *   changing the category of an auto-applied ticket by hand marks its suggestion 'corrected'
+ * - Precision counts auto-applied suggestions nobody corrected as correct
+ * - The AI's confidence is self-assessed; the legacy single-category answer (and the mock provider)
+ *   counts as fully confident
  */
 
-const { getAIProviderConfig } = require('../../ai-providers');
+const { getAIProviderConfig, resolveChatModelConfig, getMockResponder } = require('../../ai-providers');
 const databaseClient = require('../utils/database');
+const llmUsageService = require('./llmUsageService');
+const { AppError, createError } = require('../utils/errors');
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('aiCategorizationService');
 
@@ -52,6 +69,17 @@ const CONFIG = {
     enabled: process.env.ENABLE_AUTO_CATEGORIZATION !== 'false'
 };
 
+const MAX_CANDIDATES = 3;
+const FEW_SHOT_EXAMPLES = 5;
+const EXCERPT_LENGTH = 400;
+
+const getAutoApplyThreshold = () => {
+    const threshold = parseFloat(process.env.AUTO_CATEGORIZATION_CONFIDENCE_THRESHOLD);
+    return Number.isFinite(threshold) ? threshold : 0.7;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
 // WebSocket service for real-time updates
 let websocketService = null;
 const getWebSocketService = () => {
@@ -104,6 +132,13 @@ class AiCategorizationService {
             return { eligible: false, reason: 'Manual category override set' };
         }
 
+        const pendingReview = await getPrisma().category_suggestions.count({
+            where: { ticket_id: ticketId, status: 'pending' }
+        });
+        if (pendingReview > 0) {
+            return { eligible: false, reason: 'Category suggestion awaiting review' };
+        }
+
         // Check message count - need enough context
         const messageCount = await getPrisma().messages.count({
             where: { ticket_id: ticketId }
@@ -183,13 +218,62 @@ class AiCategorizationService {
         return categories;
     }
 
+    /**
+     * Start of the customer's side of a conversation, stored with a suggestion as a few-shot example
+     * @param {Array} conversationContext - Conversation messages
+     * @returns {string}
+     */
+    buildExcerpt(conversationContext) {
+        const customerText = conversationContext
+            .filter(msg => msg.role === 'customer')
+            .map(msg => msg.content)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return customerText.length > EXCERPT_LENGTH
+            ? `${customerText.slice(0, EXCERPT_LENGTH)}...`
+            : customerText;
+    }
+
+    /**
+     * Latest agent corrections, used as few-shot examples in the prompt
+     * @param {Array} categories - Available categories; corrections to other categories are skipped
+     * @returns {Promise<Array<{excerpt: string, categoryName: string}>>}
+     */
+    async getFewShotExamples(categories) {
+        try {
+            const corrections = await getPrisma().category_suggestions.findMany({
+                where: {
+                    status: 'corrected',
+                    final_category_id: { in: categories.map(cat => cat.id) },
+                    excerpt: { not: null }
+                },
+                orderBy: { reviewed_at: 'desc' },
+                take: FEW_SHOT_EXAMPLES,
+                select: { excerpt: true, final_category_id: true }
+            });
+
+            return corrections
+                .filter(correction => correction.excerpt)
+                .map(correction => ({
+                    excerpt: correction.excerpt,
+                    categoryName: categories.find(cat => cat.id === correction.final_category_id).name
+                }));
+        } catch (error) {
+            logger.warn('Failed to load categorization corrections:', error.message);
+            return [];
+        }
+    }
+
     /**
      * Build categorization prompt
      * @param {Array} conversationContext - Conversation messages
      * @param {Array} categories - Available categories
+     * @param {Array} [examples] - Agent corrections [{ excerpt, categoryName }]
      * @returns {string} Formatted prompt
      */
-    buildCategorizationPrompt(conversationContext, categories) {
+    buildCategorizationPrompt(conversationContext, categories, examples = []) {
         // Format conversation history
         const conversationText = conversationContext
             .map(msg => {
@@ -207,24 +291,34 @@ class AiCategorizationService {
             })
             .join('\n\n');
 
+        // Agent corrections of earlier suggestions
+        const examplesText = examples.length > 0
+            ? `\n\nAGENTŲ PATAISYTI PAVYZDŽIAI (šie pokalbiai priklauso nurodytoms kategorijoms):\n${examples
+                .map(example => `- "${example.excerpt}" → ${example.categoryName}`)
+                .join('\n')}`
+            : '';
+
         // Build the full prompt
-        const prompt = `Esi klientų aptarnavimo pokalbių kategorizavimo asistentas. Tavo užduotis - išanalizuoti pokalbį ir parinkti TINKAMIAUSIĄ kategoriją.
+        const prompt = `Esi klientų aptarnavimo pokalbių kategorizavimo asistentas. Tavo užduotis - išanalizuoti pokalbį ir parinkti TINKAMIAUSIAS kategorijas.
 
 POKALBIO ISTORIJA:
 ${conversationText}
 
 GALIMOS KATEGORIJOS:
-${categoriesText}
+${categoriesText}${examplesText}
 
 INSTRUKCIJOS:
 1. Atidžiai perskaityk visą pokalbį
 2. Nustatyk pagrindinę pokalbio temą
-3. Pasirink kategoriją, kuri geriausiai atitinka pokalbio turinį
-4. Pateik trumpą pagrindimą lietuvių kalba
+3. Pasirink iki ${MAX_CANDIDATES} kategorijų, kurios atitinka pokalbio turinį, tinkamiausią pirmą
+4. Kiekvienai nurodyk pasitikėjimą nuo 0 iki 1; jei pokalbis neaiškus, pasitikėjimas turi būti žemas
+5. Pateik trumpą pagrindimą lietuvių kalba
 
 SVARBU: Grąžink TIKTAI validų JSON formatą (be markdown blokelių):
 {
-  "categoryId": "kategoriją-id-čia",
+  "candidates": [
+    { "categoryId": "kategorijos-id-čia", "confidence": 0.9 }
+  ],
   "reasoning": "Trumpas pagrindimas lietuvių kalba"
 }
 
@@ -237,38 +331,43 @@ Tavo atsakymas:`;
      * Call AI to categorize ticket based on conversation
      * @param {Array} conversationContext - Conversation messages
      * @param {Array} categories - Available categories
-     * @returns {Promise<{categoryId: string, confidence: number, reasoning: string}>}
+     * @param {string} [ticketId] - Ticket the LLM usage is linked to
+     * @param {Array} [examples] - Agent corrections used as few-shot examples
+     * @returns {Promise<{categoryId: string, confidence: number, reasoning: string, candidates: Array}>}
      */
-    async callAICategorization(conversationContext, categories) {
+    async callAICategorization(conversationContext, categories, ticketId = null, examples = []) {
         try {
             // Get AI configuration
             const config = await getAIProviderConfig();
             const OpenAI = require('openai');
 
             // Use the rephrasing model for categorization (faster, cheaper)
-            const rephrasingModel = config.REPHRASING_MODEL || 'google/gemini-2.5-flash-lite';
+            const chatConfig = resolveChatModelConfig(config);
+            const rephrasingModel = chatConfig.rephrasingModel;
+
+            if (chatConfig.provider === 'mock') {
+                return await this.callMockCategorization(conversationContext, categories, chatConfig.mock);
+            }
 
             const openai = new OpenAI({
-                baseURL: 'https://openrouter.ai/api/v1',
-                apiKey: config.OPENROUTER_API_KEY,
-                defaultHeaders: {
-                    'HTTP-Referer': config.SITE_URL || 'http://localhost:3002',
-                    'X-Title': config.SITE_NAME || 'Vilnius Assistant'
-                }
+                baseURL: chatConfig.baseURL,
+                apiKey: chatConfig.apiKey,
+                defaultHeaders: chatConfig.headers
             });
 
             // Build the categorization prompt
-            const prompt = this.buildCategorizationPrompt(conversationContext, categories);
+            const prompt = this.buildCategorizationPrompt(conversationContext, categories, examples);
 
             logger.info(`🤖 AI Categorization: Using model ${rephrasingModel} for ticket classification`);
 
-            // Call OpenRouter API
+            // Call the chat completions API (OpenRouter or OpenAI-compatible endpoint)
+            const startedAt = Date.now();
             const response = await openai.chat.completions.create({
                 model: rephrasingModel,
                 messages: [
                     {
                         role: 'system',
-                        content: 'You are a Lithuanian customer support ticket categorization assistant. Analyze conversations and suggest the most appropriate category. Always respond with valid JSON only.'
+                        content: 'You are a Lithuanian customer support ticket categorization assistant. Analyze conversations and suggest the most appropriate categories, ranked, with honest confidences. Always respond with valid JSON only.'
                     },
                     {
                         role: 'user',
@@ -279,6 +378,18 @@ Tavo atsakymas:`;
                 max_tokens: 500
             });
 
+            if (response.usage) {
+                await llmUsageService.record({
+                    feature: 'categorization',
+                    provider: chatConfig.provider,
+                    model: response.model || rephrasingModel,
+                    promptTokens: response.usage.prompt_tokens,
+                    completionTokens: response.usage.completion_tokens,
+                    latencyMs: Date.now() - startedAt,
+                    conversationId: ticketId
+                });
+            }
+
             const aiResponse = response.choices[0]?.message?.content;
             if (!aiResponse) {
                 throw new Error('No response from AI');
@@ -298,10 +409,48 @@ Tavo atsakymas:`;
         }
     }
 
+    /**
+     * Categorize offline with the mock provider
+     * A matching 'categorization' fixture names the category; otherwise the first
+     * category whose name appears in the conversation wins, then the first category
+     * @param {Array} conversationContext - Conversation messages
+     * @param {Array} categories - Available categories
+     * @param {Object} mockConfig - Mock provider settings (fixtures path, latency, failEvery)
+     * @returns {Promise<{categoryId: string, confidence: number, reasoning: string, candidates: Array}>}
+     */
+    async callMockCategorization(conversationContext, categories, mockConfig) {
+        if (!categories || categories.length === 0) {
+            throw new Error('No categories available');
+        }
+
+        const conversationText = conversationContext.map(msg => msg.content).join('\n');
+        const scripted = await getMockResponder(mockConfig).respond(conversationText, {
+            scope: 'categorization',
+            fallback: null
+        });
+
+        const normalizedText = conversationText.toLowerCase();
+        const scriptedName = typeof scripted === 'string' ? scripted.trim().toLowerCase() : null;
+        const category = (scriptedName && categories.find(cat => cat.name.toLowerCase() === scriptedName))
+            || categories.find(cat => normalizedText.includes(cat.name.toLowerCase()))
+            || categories[0];
+
+        logger.info(`✅ Mock AI Categorization result: Category ${category.id} (${category.name})`);
+
+        return this.parseAIResponse(JSON.stringify({
+            categoryId: category.id,
+            reasoning: scriptedName
+                ? `Mock fixture matched category "${category.name}"`
+                : `Mock categorization selected "${category.name}"`
+        }));
+    }
+
     /**
      * Parse AI response and validate structure
+     * Accepts ranked candidates or the legacy single categoryId, which counts as fully confident;
+     * candidates without a categoryId are skipped
      * @param {string} aiResponse - Raw AI response
-     * @returns {{categoryId: string, confidence: number, reasoning: string}}
+     * @returns {{categoryId: string, confidence: number, reasoning: string, candidates: Array<{categoryId: string, confidence: number}>}}
      */
     parseAIResponse(aiResponse) {
         try {
@@ -316,17 +465,40 @@ Tavo atsakymas:`;
             const parsed = JSON.parse(cleaned);
 
             // Validate required fields
-            if (!parsed.categoryId || typeof parsed.categoryId !== 'string') {
-                throw new Error('Missing or invalid categoryId');
+            const rawCandidates = Array.isArray(parsed.candidates)
+                ? parsed.candidates
+                : [{ categoryId: parsed.categoryId, confidence: 1.0 }];
+
+            const candidates = [];
+            for (const candidate of rawCandidates) {
+                if (!candidate || !candidate.categoryId || typeof candidate.categoryId !== 'string') {
+                    logger.warn('Skipping AI candidate without a valid categoryId:', JSON.stringify(candidate));
+                    continue;
+                }
+                if (candidates.some(existing => existing.categoryId === candidate.categoryId)) {
+                    continue;
+                }
+                const confidence = Number(candidate.confidence);
+                candidates.push({
+                    categoryId: candidate.categoryId,
+                    confidence: Number.isFinite(confidence) ? round(Math.min(Math.max(confidence, 0), 1)) : 0
+                });
+            }
+            if (candidates.length === 0) {
+                throw new Error('No candidate categories');
             }
             if (!parsed.reasoning || typeof parsed.reasoning !== 'string') {
                 throw new Error('Missing reasoning');
             }
 
+            candidates.sort((a, b) => b.confidence - a.confidence);
+            const ranked = candidates.slice(0, MAX_CANDIDATES);
+
             return {
-                categoryId: parsed.categoryId,
-                confidence: 1.0, // Fixed confidence since AI doesn't self-assess
-                reasoning: parsed.reasoning
+                categoryId: ranked[0].categoryId,
+                confidence: ranked[0].confidence,
+                reasoning: parsed.reasoning,
+                candidates: ranked
             };
 
         } catch (error) {
@@ -337,8 +509,9 @@ Tavo atsakymas:`;
 
     /**
      * Categorize a single ticket with AI
+     * A top candidate below the confidence threshold is queued for review instead of applied
      * @param {string} ticketId - Ticket ID to categorize
-     * @returns {Promise<{success: boolean, categoryId?: string, confidence?: number, message?: string}>}
+     * @returns {Promise<{success: boolean, pendingReview?: boolean, categoryId?: string, confidence?: number, candidates?: Array, message?: string}>}
      */
     async categorizeTicket(ticketId) {
         try {
@@ -365,26 +538,66 @@ Tavo atsakymas:`;
                 return { success: false, message: 'No categories available' };
             }
 
-            // Call AI for categorization
-            const result = await this.callAICategorization(conversationContext, categories);
-
-            // Verify category exists
-            const categoryExists = categories.some(cat => cat.id === result.categoryId);
-            if (!categoryExists) {
+            // Call AI for categorization, with agent corrections as examples
+            const examples = await this.getFewShotExamples(categories);
+            const result = await this.callAICategorization(conversationContext, categories, ticketId, examples);
+
+            // Keep only candidates for existing categories
+            const candidates = result.candidates
+                .filter(candidate => categories.some(cat => cat.id === candidate.categoryId))
+                .map(candidate => ({
+                    ...candidate,
+                    name: categories.find(cat => cat.id === candidate.categoryId).name
+                }));
+            if (candidates.length === 0) {
                 logger.info(`   ❌ AI suggested invalid category ID: ${result.categoryId}`);
                 return { success: false, message: 'AI suggested non-existent category' };
             }
 
+            const [top] = candidates;
+            const threshold = getAutoApplyThreshold();
+            const autoApply = top.confidence >= threshold;
+
+            const suggestion = await getPrisma().category_suggestions.create({
+                data: {
+                    ticket_id: ticketId,
+                    candidates,
+                    category_id: top.categoryId,
+                    confidence: top.confidence,
+                    reasoning: result.reasoning,
+                    excerpt: this.buildExcerpt(conversationContext) || null,
+                    status: autoApply ? 'auto_applied' : 'pending'
+                }
+            });
+
+            if (!autoApply) {
+                logger.info(`   🕵️ Queued for review: ${top.name} (confidence ${top.confidence} < ${threshold})`);
+                return {
+                    success: true,
+                    pendingReview: true,
+                    suggestionId: suggestion.id,
+                    categoryId: top.categoryId,
+                    categoryName: top.name,
+                    confidence: top.confidence,
+                    reasoning: result.reasoning,
+                    candidates,
+                    message: 'Category suggestion queued for review'
+                };
+            }
+
             // Update ticket with AI-suggested category
             const updatedTicket = await getPrisma().tickets.update({
                 where: { id: ticketId },
                 data: {
-                    category_id: result.categoryId,
+                    category_id: top.categoryId,
                     manual_category_override: false, // AI categorization, not manual
                     category_metadata: {
                         source: 'ai',
-                        confidence: result.confidence,
+                        confidence: top.confidence,
                         reasoning: result.reasoning,
+                        labels: candidates.filter(candidate => candidate.confidence >= threshold),
+                        candidates,
+                        suggestion_id: suggestion.id,
                         categorized_at: new Date().toISOString(),
                         model_used: 'rephrasing_model'
                     }
@@ -414,10 +627,13 @@ Tavo atsakymas:`;
 
             return {
                 success: true,
-                categoryId: result.categoryId,
+                pendingReview: false,
+                suggestionId: suggestion.id,
+                categoryId: top.categoryId,
                 categoryName: updatedTicket.ticket_category?.name,
-                confidence: result.confidence,
+                confidence: top.confidence,
                 reasoning: result.reasoning,
+                candidates,
                 message: 'Ticket categorized successfully'
             };
 
@@ -431,6 +647,202 @@ Tavo atsakymas:`;
         }
     }
 
+    /**
+     * Suggestions waiting for an agent, oldest first
+     * @param {number} limit - Maximum number of suggestions to return
+     * @returns {Promise<{total: number, threshold: number, suggestions: Array}>}
+     */
+    async getReviewQueue(limit = 50) {
+        const where = { status: 'pending' };
+        const [total, suggestions] = await Promise.all([
+            getPrisma().category_suggestions.count({ where }),
+            getPrisma().category_suggestions.findMany({
+                where,
+                orderBy: { created_at: 'asc' },
+                take: limit,
+                include: {
+                    ticket: {
+                        select: { id: true, ticket_number: true, subject: true }
+                    }
+                }
+            })
+        ]);
+
+        return { total, threshold: getAutoApplyThreshold(), suggestions };
+    }
+
+    /**
+     * Accept or correct a queued suggestion and categorize its ticket
+     * Both are written in one transaction, and only while the suggestion is still pending, so
+     * concurrent reviews cannot both succeed
+     * @param {string} suggestionId - Suggestion ID
+     * @param {string} categoryId - Category chosen by the agent; the top candidate accepts the suggestion
+     * @param {string} userId - Reviewing agent
+     * @returns {Promise<{suggestion: Object, ticket: Object}>}
+     */
+    async reviewSuggestion(suggestionId, categoryId, userId) {
+        const suggestion = await getPrisma().category_suggestions.findUnique({ where: { id: suggestionId } });
+        if (!suggestion) {
+            throw createError.notFound('Category suggestion');
+        }
+        if (suggestion.status !== 'pending') {
+            throw new AppError(`Suggestion is already ${suggestion.status}`, 409, 'SUGGESTION_REVIEWED');
+        }
+
+        const category = categoryId
+            ? await getPrisma().ticket_categories.findUnique({ where: { id: categoryId } })
+            : null;
+        if (!category || category.is_archived) {
+            throw createError.badRequest('An active category is required');
+        }
+
+        const status = categoryId === suggestion.category_id ? 'accepted' : 'corrected';
+        const reviewedAt = new Date();
+        const review = {
+            status,
+            final_category_id: categoryId,
+            reviewed_by: userId || null,
+            reviewed_at: reviewedAt
+        };
+
+        const ticket = await getPrisma().$transaction(async (tx) => {
+            const { count } = await tx.category_suggestions.updateMany({
+                where: { id: suggestionId, status: 'pending' },
+                data: review
+            });
+            if (count === 0) {
+                throw new AppError('Suggestion is already reviewed', 409, 'SUGGESTION_REVIEWED');
+            }
+
+            // Reviewed by an agent, so the AI does not touch it again
+            return tx.tickets.update({
+                where: { id: suggestion.ticket_id },
+                data: {
+                    category_id: categoryId,
+                    manual_category_override: true,
+                    category_metadata: {
+                        source: status === 'accepted' ? 'ai' : 'manual',
+                        confidence: suggestion.confidence,
+                        reasoning: suggestion.reasoning,
+                        candidates: suggestion.candidates,
+                        suggestion_id: suggestion.id,
+                        review_status: status,
+                        categorized_at: reviewedAt.toISOString()
+                    }
+                },
+                include: {
+                    ticket_category: {
+                        select: {
+                            id: true,
+                            name: true,
+                            color: true
+                        }
+                    }
+                }
+            });
+        });
+
+        logger.info(`🕵️ Category suggestion ${suggestionId} ${status}: ${category.name}`);
+
+        const ws = getWebSocketService();
+        if (ws) {
+            ws.broadcastToAgents('ticket-updated', {
+                ticketId: ticket.id,
+                category: ticket.ticket_category,
+                categoryMetadata: ticket.category_metadata
+            });
+        }
+
+        return { suggestion: { ...suggestion, ...review }, ticket };
+    }
+
+    /**
+     * Record an agent's category change against the ticket's latest AI suggestion
+     * A queued suggestion is resolved; an auto-applied one set to another category counts as corrected
+     * @param {string} ticketId - Ticket ID
+     * @param {string|null} categoryId - Category the agent assigned, null when removed
+     * @param {string} [userId] - Agent who changed it
+     */
+    async recordAgentCategory(ticketId, categoryId, userId = null) {
+        try {
+            const suggestion = await getPrisma().category_suggestions.findFirst({
+                where: { ticket_id: ticketId, status: { in: ['pending', 'auto_applied'] } },
+                orderBy: { created_at: 'desc' }
+            });
+            if (!suggestion) {
+                return;
+            }
+
+            const matches = categoryId === suggestion.category_id;
+            if (suggestion.status === 'auto_applied' && matches) {
+                return;
+            }
+
+            await getPrisma().category_suggestions.update({
+                where: { id: suggestion.id },
+                data: {
+                    status: matches ? 'accepted' : 'corrected',
+                    final_category_id: categoryId,
+                    reviewed_by: userId,
+                    reviewed_at: new Date()
+                }
+            });
+        } catch (error) {
+            logger.warn(`Failed to record agent category for ticket ${ticketId}:`, error.message);
+        }
+    }
+
+    /**
+     * Precision of reviewed suggestions per predicted category
+     * @returns {Promise<{precision: number|null, byCategory: Array}>}
+     */
+    async getPrecisionByCategory() {
+        const rows = await getPrisma().category_suggestions.groupBy({
+            by: ['category_id', 'status'],
+            where: { status: { in: ['auto_applied', 'accepted', 'corrected'] } },
+            _count: { _all: true }
+        });
+
+        const buckets = new Map();
+        for (const row of rows) {
+            if (!buckets.has(row.category_id)) {
+                buckets.set(row.category_id, { auto_applied: 0, accepted: 0, corrected: 0 });
+            }
+            buckets.get(row.category_id)[row.status] = row._count._all;
+        }
+
+        const categories = buckets.size > 0
+            ? await getPrisma().ticket_categories.findMany({
+                where: { id: { in: [...buckets.keys()].filter(Boolean) } },
+                select: { id: true, name: true }
+            })
+            : [];
+
+        let correctTotal = 0;
+        let predictedTotal = 0;
+        const byCategory = [...buckets.entries()].map(([id, counts]) => {
+            const correct = counts.auto_applied + counts.accepted;
+            const predicted = correct + counts.corrected;
+            correctTotal += correct;
+            predictedTotal += predicted;
+
+            return {
+                categoryId: id,
+                name: categories.find(cat => cat.id === id)?.name || null,
+                predicted,
+                autoApplied: counts.auto_applied,
+                accepted: counts.accepted,
+                corrected: counts.corrected,
+                precision: round(correct / predicted)
+            };
+        }).sort((a, b) => b.predicted - a.predicted);
+
+        return {
+            precision: predictedTotal > 0 ? round(correctTotal / predictedTotal) : null,
+            byCategory
+        };
+    }
+
     /**
      * Find tickets eligible for auto-categorization
      * @param {number} limit - Maximum number of tickets to return
@@ -450,7 +862,8 @@ Tavo atsakymas:`;
             where: {
                 category_id: null,
                 manual_category_override: { not: true },
-                archived: false
+                archived: false,
+                category_suggestions: { none: { status: 'pending' } }
             },
             select: {
                 id: true,
@@ -551,7 +964,7 @@ Tavo atsakymas:`;
 
     /**
      * Get categorization statistics
-     * @returns {Promise<{total: number, aiCategorized: number, manuallyOverridden: number, avgConfidence: number}>}
+     * @returns {Promise<{total: number, aiCategorized: number, manuallyOverridden: number, avgConfidence: number, pendingReview: number, precision: number|null, precisionByCategory: Array}>}
      */
     async getCategorizationStats() {
         const allTickets = await getPrisma().tickets.findMany({
@@ -603,6 +1016,15 @@ Tavo atsakymas:`;
             stats.avgConfidence = totalConfidence / confidenceCount;
         }
 
+        const [pendingReview, precision] = await Promise.all([
+            getPrisma().category_suggestions.count({ where: { status: 'pending' } }),
+            this.getPrecisionByCategory()
+        ]);
+        stats.pendingReview = pendingReview;
+        stats.confidenceThreshold = getAutoApplyThreshold();
+        stats.precision = precision.precision;
+        stats.precisionByCategory = precision.byCategory;
+
         return stats;
     }
 }
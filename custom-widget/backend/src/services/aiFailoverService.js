@@ -0,0 +1,278 @@
+/**
+ * AI FAILOVER SERVICE
+ *
+ * Main Purpose: Run AI requests against an ordered chain of providers/models and
+ * fail over automatically when one of them is degraded
+ *
+ * Key Responsibilities:
+ * - Chain Parsing: Build the ordered provider/model list from the AI provider config
+ * - Failover: Try the next entry on timeouts, 5xx responses, rate limits and connection errors
+ * - Circuit Breaking: Temporarily skip entries that keep failing
+ * - Health Reporting: Expose per-entry circuit state for /api/system/ai-provider-status
+ *
+ * Dependencies:
+ * - CircuitBreaker utility for per-entry failure tracking
+ * - Logger (failover events are persisted to application_logs by the database transport)
+ *
+ * Configuration (settings category 'ai_providers', environment fallback):
+ * - failover_chain / AI_FAILOVER_CHAIN: Comma separated "provider" or "provider:model" entries
+ *   tried after the primary provider, e.g. "openrouter:openai/gpt-4o-mini,openai_compatible:llama3.1:8b"
+ * - failover_failure_threshold / AI_FAILOVER_FAILURE_THRESHOLD: Consecutive failures before skipping (default 3)
+ * - failover_cooldown_ms / AI_FAILOVER_COOLDOWN_MS: How long an open circuit is skipped (default 60000)
+ *
+ * Notes:
+ * - The primary provider (AI_PROVIDER with its configured model) is always the first entry
+ * - Errors that another provider would not fix (bad request, cancellation) are rethrown immediately
+ * - Circuit state lives in memory per backend process
+ */
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('aiFailoverService');
+
+const SUPPORTED_PROVIDERS = ['flowise', 'openrouter', 'openai_compatible', 'mock'];
+
+// Config key holding the model for providers that support per-entry models
+const MODEL_CONFIG_KEYS = {
+    openrouter: 'OPENROUTER_MODEL',
+    openai_compatible: 'OPENAI_COMPATIBLE_MODEL'
+};
+
+// Network errors meaning the provider could not be reached at all
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'];
+const CONNECTION_ERROR_CLASSES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60000;
+
+function createEntry(provider, model) {
+    return {
+        provider,
+        model: model || null,
+        key: model ? `${provider}:${model}` : provider
+    };
+}
+
+function getConfiguredModel(provider, config) {
+    const key = MODEL_CONFIG_KEYS[provider];
+    return key ? config[key] || null : null;
+}
+
+/**
+ * Build the ordered failover chain: the primary provider first, then AI_FAILOVER_CHAIN entries
+ * Entries without a model use the model configured for that provider; duplicates are dropped
+ *
+ * @param {Object} config - Provider config from getAIProviderConfig()
+ * @returns {Array<{provider: string, model: string|null, key: string}>}
+ */
+function parseFailoverChain(config = {}) {
+    const primaryProvider = String(config.AI_PROVIDER || 'flowise').toLowerCase();
+    const entries = [createEntry(primaryProvider, getConfiguredModel(primaryProvider, config))];
+
+    const items = String(config.AI_FAILOVER_CHAIN || '').split(/[,\n]/);
+    for (const item of items) {
+        const trimmed = item.trim();
+        if (!trimmed) continue;
+
+        // Split on the first colon only; model names may contain colons (e.g. "llama3.1:8b")
+        const separator = trimmed.indexOf(':');
+        const provider = (separator === -1 ? trimmed : trimmed.slice(0, separator)).trim().toLowerCase();
+        const model = separator === -1 ? '' : trimmed.slice(separator + 1).trim();
+
+        if (!SUPPORTED_PROVIDERS.includes(provider)) {
+            logger.warn(`Ignoring unsupported failover provider "${provider}"`);
+            continue;
+        }
+
+        const entry = createEntry(provider, MODEL_CONFIG_KEYS[provider] ? model || getConfiguredModel(provider, config) : null);
+        if (!entries.some(existing => existing.key === entry.key)) {
+            entries.push(entry);
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Provider config for a single chain entry (provider switched and model overridden)
+ */
+function getEntryConfig(config, entry) {
+    const entryConfig = { ...config, AI_PROVIDER: entry.provider };
+    const modelKey = MODEL_CONFIG_KEYS[entry.provider];
+    if (modelKey && entry.model) {
+        entryConfig[modelKey] = entry.model;
+    }
+    return entryConfig;
+}
+
+/**
+ * Whether an error means the provider is degraded and the next entry should be tried
+ */
+function isFailoverError(error) {
+    if (!error || error.noFailover) return false;
+
+    const status = error.status ?? error.statusCode ?? error.response?.status;
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    if (status) return false;
+
+    if (error.name === 'AbortError') return false;
+    if (error.name === 'TimeoutError' || /time(d)?\s?out/i.test(error.message || '')) return true;
+
+    // The OpenAI client (used by ChatOpenAI) reports unreachable endpoints with its own error class
+    if (CONNECTION_ERROR_CLASSES.includes(error.constructor?.name)) return true;
+
+    // fetch wraps the network error, so look through the cause chain
+    for (let current = error, depth = 0; current && depth < 3; current = current.cause, depth++) {
+        if (CONNECTION_ERROR_CODES.includes(current.code)) return true;
+    }
+    return false;
+}
+
+class AIFailoverService {
+    constructor() {
+        // entry key -> CircuitBreaker
+        this.breakers = new Map();
+        this.entries = [];
+        this.failureThreshold = DEFAULT_FAILURE_THRESHOLD;
+        this.cooldownMs = DEFAULT_COOLDOWN_MS;
+    }
+
+    /**
+     * Resolve the chain for a config and apply its circuit breaker settings
+     */
+    getEntries(config = {}) {
+        this.failureThreshold = parseInt(config.AI_FAILOVER_FAILURE_THRESHOLD, 10) || DEFAULT_FAILURE_THRESHOLD;
+        this.cooldownMs = parseInt(config.AI_FAILOVER_COOLDOWN_MS, 10) || DEFAULT_COOLDOWN_MS;
+
+        for (const breaker of this.breakers.values()) {
+            breaker.failureThreshold = this.failureThreshold;
+            breaker.cooldownMs = this.cooldownMs;
+        }
+
+        this.entries = parseFailoverChain(config);
+        return this.entries;
+    }
+
+    /**
+     * Provider config for a single chain entry
+     */
+    getEntryConfig(config, entry) {
+        return getEntryConfig(config, entry);
+    }
+
+    isFailoverError(error) {
+        return isFailoverError(error);
+    }
+
+    getBreaker(entry) {
+        if (!this.breakers.has(entry.key)) {
+            this.breakers.set(entry.key, new CircuitBreaker({
+                failureThreshold: this.failureThreshold,
+                cooldownMs: this.cooldownMs
+            }));
+        }
+        return this.breakers.get(entry.key);
+    }
+
+    /**
+     * Run an attempt against each entry in order until one succeeds
+     *
+     * @param {Array} entries - Chain from getEntries()
+     * @param {Function} attemptFn - async (entry, index) => result
+     * @param {Object} context - Extra log metadata, e.g. { source: 'rag_chain', conversationId }
+     * @returns {Promise<{result: *, entry: Object, failedOver: boolean, failures: Array}>}
+     * @throws The original error for non-failover errors, otherwise an aggregate error once every entry failed
+     */
+    async execute(entries, attemptFn, context = {}) {
+        const failures = [];
+
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            const breaker = this.getBreaker(entry);
+
+            if (!breaker.canRequest()) {
+                failures.push({ provider: entry.key, skipped: true, error: 'Circuit open' });
+                continue;
+            }
+
+            try {
+                const result = await attemptFn(entry, index);
+                breaker.recordSuccess();
+
+                if (index > 0) {
+                    logger.warn(`AI request served by failover provider ${entry.key}`, {
+                        event: 'ai_failover_served',
+                        ...context,
+                        provider: entry.key,
+                        primaryProvider: entries[0].key,
+                        failures
+                    });
+                }
+
+                return { result, entry, failedOver: index > 0, failures };
+            } catch (error) {
+                if (!isFailoverError(error)) {
+                    breaker.release();
+                    throw error;
+                }
+
+                const circuitOpened = breaker.recordFailure(error);
+                failures.push({ provider: entry.key, error: error.message });
+
+                logger.warn(`AI provider ${entry.key} failed: ${error.message}`, {
+                    event: 'ai_failover',
+                    ...context,
+                    provider: entry.key,
+                    status: error.status || null,
+                    hasNextProvider: index < entries.length - 1,
+                    circuitOpened
+                });
+
+                if (circuitOpened) {
+                    logger.error(`Circuit opened for AI provider ${entry.key}, skipping it for ${breaker.cooldownMs}ms`, {
+                        event: 'ai_circuit_open',
+                        ...context,
+                        provider: entry.key,
+                        consecutiveFailures: breaker.consecutiveFailures
+                    });
+                }
+            }
+        }
+
+        const summary = failures.map(failure => `${failure.provider}: ${failure.error}`).join('; ');
+        const error = new Error(`All AI providers failed (${summary})`);
+        error.failures = failures;
+        error.noFailover = true;
+        throw error;
+    }
+
+    /**
+     * Circuit state for every entry of the chain
+     *
+     * @param {Object} [config] - Provider config; defaults to the chain used by the last request
+     */
+    getHealth(config) {
+        const entries = config ? this.getEntries(config) : this.entries;
+        const providers = entries.map((entry, index) => ({
+            ...entry,
+            role: index === 0 ? 'primary' : 'fallback',
+            ...this.getBreaker(entry).getState()
+        }));
+
+        return {
+            failureThreshold: this.failureThreshold,
+            cooldownMs: this.cooldownMs,
+            primaryDegraded: providers.length > 0 && providers[0].state !== CircuitBreaker.STATES.CLOSED,
+            providers
+        };
+    }
+
+    /**
+     * Forget all circuit state (used by tests and manual recovery)
+     */
+    reset() {
+        this.breakers.clear();
+    }
+}
+
+module.exports = new AIFailoverService();
@@ -8,7 +8,7 @@
  * - RAG Integration: Enhance AI responses with relevant document context from knowledge base
  * - Provider Health Monitoring: Check AI provider availability and health status
  * - Response Generation: Generate contextually aware AI suggestions for agent responses
- * - Provider Switching: Support runtime switching between AI providers with fallback
+ * - Provider Switching: Support runtime switching between AI providers with failover
  * 
  * Dependencies:
  * - AI providers module for multi-provider support
@@ -19,8 +19,9 @@
  * Features:
  * - Multi-provider AI support (Flowise with built-in RAG, OpenRouter with external RAG)
  * - Intelligent context enhancement using vector similarity search
- * - Automatic fallback from OpenRouter to Flowise on initialization failure
- * - Retry logic with exponential backoff for improved reliability
+ * - Ordered provider failover with circuit breaker (see aiFailoverService)
+ * - Retry logic with exponential backoff when no failover providers are configured
+ * - Falls back to Flowise when the primary provider cannot be initialized and no failover chain is set
  * - Health monitoring and provider status reporting
  * - Source attribution for document references in responses
  * 
@@ -38,68 +39,105 @@
  * 
  * Environment Variables:
  * - AI_PROVIDER: Current provider (flowise/openrouter)
+ * - AI_FAILOVER_CHAIN: Providers/models tried in order when the primary is degraded
  * - FLOWISE_URL, FLOWISE_CHATFLOW_ID: Flowise configuration
  * - OPENROUTER_API_KEY, OPENROUTER_MODEL: OpenRouter configuration
  * - RAG_K: Number of document contexts to retrieve
  * - RAG_SHOW_SOURCES: Whether to include source attribution
  * 
  * Notes:
- * - Provider instances are lazily initialized on first use
- * - Automatic fallback ensures system reliability
+ * - Provider instances are lazily initialized and rebuilt when the configuration changes
+ * - Failover events are logged to application_logs
  * - RAG enhancement is configurable per request
  * - Health checks include provider-specific status information
  */
-const { createAIProvider, getAIProviderConfig, retryWithBackoff } = require('../../ai-providers');
+const { createAIProvider, getAIProviderConfig, retryWithBackoff, isChatCompletionProvider } = require('../../ai-providers');
 const knowledgeService = require('./knowledgeService');
+const aiFailoverService = require('./aiFailoverService');
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('aiService');
 // Note: Removed SystemController import to avoid circular dependency
 
-// Global AI provider instance - initialized lazily
-let aiProvider = null;
+// Provider instances per failover chain entry, initialized lazily
+const providerInstances = new Map();
+let providerConfigSignature = null;
+
+// Set by switchProvider() to replace the configured primary provider at runtime
+let providerOverride = null;
 
 /**
- * Get or initialize AI provider (async version)
- * Now uses database credentials with environment fallback
+ * Get the provider configuration with the runtime provider override applied
  */
-async function getAIProvider() {
-    if (!aiProvider) {
-        try {
-            // Get configuration from database first, fallback to env vars
-            const config = await getAIProviderConfig();
-            const AI_PROVIDER = config.AI_PROVIDER;
+async function getEffectiveProviderConfig() {
+    const config = await getAIProviderConfig();
+    return providerOverride ? { ...config, AI_PROVIDER: providerOverride } : config;
+}
 
-            try {
-                aiProvider = createAIProvider(AI_PROVIDER, config);
-                logger.info(`AI Provider initialized: ${AI_PROVIDER}`, {
-                    model: config.OPENROUTER_MODEL || 'N/A',
-                    siteName: config.SITE_NAME || 'N/A',
-                    siteUrl: config.SITE_URL || 'N/A',
-                    configKeys: Object.keys(config).filter(k => config[k])
-                });
-            } catch (error) {
-                logger.error(`Failed to initialize AI provider "${AI_PROVIDER}":`, error.message);
-
-                // Fallback to Flowise if OpenRouter fails
-                if (AI_PROVIDER !== 'flowise') {
-                    try {
-                        aiProvider = createAIProvider('flowise', config);
-                        logger.info('Fallback to Flowise provider successful');
-                    } catch (fallbackError) {
-                        logger.error('Fallback to Flowise also failed:', fallbackError.message);
-                        aiProvider = null;
-                    }
-                } else {
-                    aiProvider = null;
-                }
-            }
-        } catch (configError) {
-            logger.error('Failed to get AI provider config:', configError.message);
-            aiProvider = null;
+/**
+ * Get or initialize the provider for a failover chain entry
+ * Instances are dropped when the provider configuration changes
+ *
+ * @returns {Object|null} Provider instance, or null when it cannot be initialized
+ */
+function getProviderForEntry(config, entry) {
+    const signature = JSON.stringify(config);
+    if (signature !== providerConfigSignature) {
+        providerInstances.clear();
+        providerConfigSignature = signature;
+    }
+
+    if (!providerInstances.has(entry.key)) {
+        try {
+            const entryConfig = aiFailoverService.getEntryConfig(config, entry);
+            providerInstances.set(entry.key, createAIProvider(entry.provider, entryConfig));
+            logger.info(`AI Provider initialized: ${entry.key}`, {
+                model: entry.model || 'N/A',
+                siteName: config.SITE_NAME || 'N/A',
+                siteUrl: config.SITE_URL || 'N/A',
+                configKeys: Object.keys(config).filter(k => config[k])
+            });
+        } catch (error) {
+            logger.error(`Failed to initialize AI provider "${entry.key}":`, error.message);
+            // Cache the failure so it is not retried (and logged) on every request
+            providerInstances.set(entry.key, null);
         }
     }
 
-    return aiProvider;
+    return providerInstances.get(entry.key);
+}
+
+/**
+ * Get or initialize the provider for the first failover chain entry
+ * Without a failover chain, a primary provider that cannot be initialized falls back to Flowise
+ *
+ * @returns {Object|null} Provider instance, or null when neither can be initialized
+ */
+function getPrimaryProvider(config, entries) {
+    const provider = getProviderForEntry(config, entries[0]);
+    if (provider || entries.length > 1 || entries[0].provider === 'flowise') {
+        return provider;
+    }
+
+    const fallbackProvider = getProviderForEntry(config, { provider: 'flowise', model: null, key: 'flowise' });
+    if (fallbackProvider) {
+        logger.info('Fallback to Flowise provider successful');
+    }
+    return fallbackProvider;
+}
+
+/**
+ * Get or initialize the primary AI provider (async version)
+ * Now uses database credentials with environment fallback
+ */
+async function getAIProvider() {
+    try {
+        // Get configuration from database first, fallback to env vars
+        const config = await getEffectiveProviderConfig();
+        return getPrimaryProvider(config, aiFailoverService.getEntries(config));
+    } catch (configError) {
+        logger.error('Failed to get AI provider config:', configError.message);
+        return null;
+    }
 }
 
 /**
@@ -123,8 +161,18 @@ function getFallbackResponse(conversationContext) {
 /**
  * Generate AI suggestion using current provider with RAG enhancement
  * Also captures debug information for developer transparency
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {string} conversationContext - Formatted conversation history
+ * @param {boolean} enableRAG - Whether to use RAG enhancement
+ * @param {Object} options - Optional streaming hooks
+ * @param {Function} [options.onToken] - Receives (delta, fullText) as tokens arrive (LangChain RAG path only)
+ * @param {AbortSignal} [options.signal] - Cancels a streamed generation; the partial text is returned
+ * @param {Object} [options.guardrail] - Autopilot guardrail settings; the result then carries a confidence assessment
+ * @param {string} [options.language] - Customer's language code when it differs from the agents' (see translationService)
+ * @param {string} [options.feature] - Feature the LLM usage is accounted to: 'suggestion' (default) or 'autopilot'
  */
-async function generateAISuggestion(conversationId, conversationContext, enableRAG = true) {
+async function generateAISuggestion(conversationId, conversationContext, enableRAG = true, options = {}) {
     // Initialize debug information collection
     const debugInfo = {
         timestamp: new Date().toISOString(),
@@ -135,14 +183,16 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
             provider: 'loading...'
         }
     };
-    const provider = await getAIProvider();
-    const config = await getAIProviderConfig();
+    const config = await getEffectiveProviderConfig();
+    const failoverEntries = aiFailoverService.getEntries(config);
+    const hasFailoverProviders = failoverEntries.length > 1;
+    const provider = getPrimaryProvider(config, failoverEntries);
 
     // Update debug info with actual provider
     debugInfo.step1_originalRequest.provider = config.AI_PROVIDER;
 
     // If no AI provider is available, return fallback
-    if (!provider) {
+    if (!provider && !hasFailoverProviders) {
         logger.info('No AI provider available, using fallback response');
         debugInfo.step2_providerCheck = { status: 'unavailable', provider: config.AI_PROVIDER, fallbackUsed: true };
         const fallbackResponse = getFallbackResponse(conversationContext);
@@ -161,13 +211,13 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
     }
     
     // Check if we need to perform a health check (every 5 minutes)
-    const timeSinceLastCheck = new Date() - provider.lastHealthCheck;
+    const timeSinceLastCheck = provider ? new Date() - provider.lastHealthCheck : 0;
     if (timeSinceLastCheck > 5 * 60 * 1000) {
         await provider.healthCheck();
     }
     
-    // If provider is known to be unhealthy, return fallback immediately
-    if (!provider.isHealthy) {
+    // If provider is known to be unhealthy and nothing can take over, return fallback immediately
+    if (provider && !provider.isHealthy && !hasFailoverProviders) {
         logger.info(`${config.AI_PROVIDER} provider is unhealthy, using fallback response`);
         debugInfo.step2_providerCheck = { status: 'unhealthy', provider: config.AI_PROVIDER, fallbackUsed: true };
         const fallbackResponse = getFallbackResponse(conversationContext);
@@ -185,12 +235,16 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
         };
     }
 
-    debugInfo.step2_providerCheck = { status: 'healthy', provider: config.AI_PROVIDER };
+    debugInfo.step2_providerCheck = {
+        status: provider?.isHealthy ? 'healthy' : 'degraded',
+        provider: config.AI_PROVIDER,
+        failoverChain: failoverEntries.map(entry => entry.key)
+    };
     
-    // RAG Enhancement: Use LangChain for OpenRouter, Flowise has built-in RAG
+    // RAG Enhancement: Use LangChain for chat completion providers, Flowise has built-in RAG
     let enhancedContext = conversationContext;
     const currentProvider = config.AI_PROVIDER;
-    const shouldUseRAG = enableRAG && currentProvider === 'openrouter';
+    const shouldUseRAG = enableRAG && isChatCompletionProvider(currentProvider);
     
     debugInfo.step3_ragProcessing = {
         enabled: enableRAG,
@@ -224,7 +278,13 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
                 logger.info('🔍 BEFORE LangChain - debugInfo sample:', JSON.stringify(debugInfo, null, 2).substring(0, 300));
 
                 // Get RAG response using LangChain with full conversation context and debug info
-                const ragResult = await ragService.getAnswer(recentMessage, chatHistory, true, conversationId);
+                const ragResult = await ragService.getAnswer(recentMessage, chatHistory, true, conversationId, {
+                    onToken: options.onToken,
+                    signal: options.signal,
+                    guardrail: options.guardrail,
+                    language: options.language,
+                    feature: options.feature
+                });
 
                 // DEBUG: Check debugInfo after LangChain call
                 logger.info('🔍 AFTER LangChain - debugInfo keys:', Object.keys(debugInfo));
@@ -251,7 +311,8 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
                     answer: ragResult.answer,
                     contextsUsed: ragResult.contextsUsed,
                     sources: ragResult.sources,
-                    sourceUrls: ragResult.sourceUrls
+                    sourceUrls: ragResult.sourceUrls,
+                    citations: ragResult.citations
                 };
                 debugInfo.finalResponse = ragResult.answer;
 
@@ -263,11 +324,20 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
                 return {
                     response: ragResult.answer,
                     debugInfo: debugInfo,
+                    confidence: ragResult.confidence || null,
+                    citations: ragResult.citations || [],
                     metadata: {
                         provider: config.AI_PROVIDER,
+                        servedBy: ragResult.servedBy || null,
+                        failedOver: ragResult.failedOver || false,
+                        cached: ragResult.cached || false,
+                        faq: ragResult.faq || null,
                         ragUsed: true,
                         sourcesUsed: ragResult.sources?.length || 0,
                         contextsUsed: ragResult.contextsUsed || 0,
+                        cancelled: ragResult.cancelled || false,
+                        promptVersions: ragResult.promptVersions || null,
+                        promptExperiment: ragResult.promptExperiment || null,
                         processingSteps: Object.keys(debugInfo).length
                     }
                 };
@@ -288,18 +358,37 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
             provider: currentProvider
         };
         
-        const response = await retryWithBackoff(async () => {
-            const aiResponse = await provider.generateResponse(enhancedContext, conversationId);
-            
-            // Mark as healthy on successful response
-            provider.isHealthy = true;
-            
-            return aiResponse || 'I apologize, but I couldn\'t generate a response at this time.';
-        });
+        const { result: response, entry: servedBy, failedOver } = await aiFailoverService.execute(failoverEntries, async (entry, index) => {
+            const entryProvider = index === 0 ? provider : getProviderForEntry(config, entry);
+            if (!entryProvider) {
+                const unavailableError = new Error(`AI provider ${entry.key} is not available`);
+                unavailableError.status = 503; // Treated like an outage so the next entry is tried
+                throw unavailableError;
+            }
+
+            const attempt = async () => {
+                const aiResponse = await entryProvider.generateResponse(enhancedContext, conversationId);
+                
+                // Mark as healthy on successful response
+                entryProvider.isHealthy = true;
+                
+                return aiResponse || 'I apologize, but I couldn\'t generate a response at this time.';
+            };
+
+            try {
+                // With failover providers configured, move on instead of retrying a degraded provider
+                return hasFailoverProviders ? await attempt() : await retryWithBackoff(attempt);
+            } catch (error) {
+                entryProvider.isHealthy = false;
+                throw error;
+            }
+        }, { source: 'ai_service', conversationId });
         
         debugInfo.step5_modelResponse = {
             response: response,
             responseLength: response.length,
+            servedBy: servedBy.key,
+            failedOver: failedOver,
             successful: true
         };
         debugInfo.finalResponse = response;
@@ -312,7 +401,9 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
             debugInfo: debugInfo,
             metadata: {
                 provider: currentProvider,
-                ragUsed: currentProvider === 'openrouter' ? false : true, // Flowise has built-in RAG
+                servedBy: servedBy.key,
+                failedOver: failedOver,
+                ragUsed: isChatCompletionProvider(servedBy.provider) ? false : true, // Flowise has built-in RAG
                 fallbackUsed: false,
                 contextLength: enhancedContext.length,
                 processingSteps: Object.keys(debugInfo).length
@@ -322,9 +413,6 @@ async function generateAISuggestion(conversationId, conversationContext, enableR
     } catch (error) {
         logger.error(`Error generating AI suggestion from ${config.AI_PROVIDER} after retries:`, error.message);
         
-        // Mark provider as unhealthy
-        provider.isHealthy = false;
-        
         debugInfo.step5_modelResponse = {
             error: error.message,
             successful: false,
@@ -426,7 +514,8 @@ function parseConversationHistory(conversationContext) {
  */
 async function getProviderHealth() {
     const provider = await getAIProvider();
-    const config = await getAIProviderConfig();
+    const config = await getEffectiveProviderConfig();
+    const failover = aiFailoverService.getHealth(config);
 
     if (provider) {
         const providerHealthy = await provider.healthCheck();
@@ -434,14 +523,16 @@ async function getProviderHealth() {
             provider: config.AI_PROVIDER,
             configured: true,
             healthy: providerHealthy,
-            lastCheck: provider.lastHealthCheck
+            lastCheck: provider.lastHealthCheck,
+            failover
         };
     } else {
         return {
             provider: config.AI_PROVIDER,
             configured: false,
             healthy: false,
-            error: 'AI provider failed to initialize'
+            error: 'AI provider failed to initialize',
+            failover
         };
     }
 }
@@ -467,10 +558,13 @@ async function switchProvider(newProviderName) {
         // Override the provider name
         config.AI_PROVIDER = newProviderName;
 
-        const newProvider = createAIProvider(newProviderName, config);
-        aiProvider = newProvider;
+        // Fail early on an invalid configuration before switching
+        createAIProvider(newProviderName, config);
+        providerOverride = newProviderName;
+
+        const [primaryEntry] = aiFailoverService.getEntries(config);
         logger.info(`AI Provider successfully switched to: ${newProviderName}`);
-        return aiProvider;
+        return getProviderForEntry(config, primaryEntry);
     } catch (error) {
         throw error;
     }
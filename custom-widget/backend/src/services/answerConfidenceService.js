@@ -0,0 +1,165 @@
+/**
+ * ANSWER CONFIDENCE SERVICE
+ *
+ * Main Purpose: Decide whether an autopilot answer is confident enough to reach the customer
+ *
+ * Key Responsibilities:
+ * - Retrieval Signal: Best vector similarity among the chunks used as context
+ * - Context Signal: An answer generated without any context has no confidence
+ * - Self-Check: Optional LLM rating of how well the answer is supported by the context
+ * - Assessment: Combine the signals into a 0..1 score and compare it to the threshold
+ * - Guardrail Settings: Threshold, self-check and the customer-facing escalation message
+ *
+ * Dependencies:
+ * - LizdeikaPrompts for the self-check prompt
+ * - SettingsService for the guardrail settings
+ * - LLM usage service for token accounting of the self-check
+ *
+ * Configuration (settings category 'ai', environment fallback):
+ * - autopilot_guardrail_enabled / AUTOPILOT_GUARDRAIL_ENABLED: Hold low-confidence autopilot answers (default off)
+ * - autopilot_min_confidence / AUTOPILOT_MIN_CONFIDENCE: Minimum confidence score (default 0.6)
+ * - autopilot_self_check / AUTOPILOT_SELF_CHECK: Ask the rephrasing model to rate the answer (default off)
+ * - autopilot_escalation_message / AUTOPILOT_ESCALATION_MESSAGE: Shown to the customer on escalation
+ *
+ * Notes:
+ * - The score is the lowest available signal; chunks found only by keyword search carry no
+ *   similarity, so without a self-check such answers are not held
+ * - A failing self-check never fails the answer; the retrieval signal alone decides
+ */
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('answerConfidenceService');
+
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+const DEFAULT_ESCALATION_MESSAGE = 'Dėkojame už klausimą! Kad gautumėte tikslų atsakymą, jungiame jus su specialistu. Atsakysime netrukus.';
+
+// Context is shortened in the self-check prompt to keep it cheap
+const SELF_CHECK_CONTEXT_CHARS = 4000;
+
+class AnswerConfidenceService {
+    constructor() {
+        this.settingsService = null;
+    }
+
+    getSettingsService() {
+        if (!this.settingsService) {
+            const SettingsService = require('./settingsService');
+            this.settingsService = new SettingsService();
+        }
+        return this.settingsService;
+    }
+
+    /**
+     * Load the autopilot guardrail settings
+     *
+     * @returns {Promise<{enabled: boolean, minConfidence: number, selfCheck: boolean, escalationMessage: string}>}
+     */
+    async getGuardrailSettings() {
+        const settingsService = this.getSettingsService();
+        const get = (key) => settingsService.getSetting(key, 'ai');
+
+        const minConfidence = await get('autopilot_min_confidence');
+        return {
+            enabled: Boolean(await get('autopilot_guardrail_enabled')),
+            minConfidence: typeof minConfidence === 'number' ? minConfidence : DEFAULT_MIN_CONFIDENCE,
+            selfCheck: Boolean(await get('autopilot_self_check')),
+            escalationMessage: await get('autopilot_escalation_message') || DEFAULT_ESCALATION_MESSAGE
+        };
+    }
+
+    /**
+     * Confidence signals available without another model call
+     *
+     * @param {Array<Document>} documents - Chunks used as context
+     * @returns {{contextsUsed: number, topSimilarity: number|null}}
+     */
+    retrievalSignals(documents = []) {
+        const similarities = documents
+            .map(doc => doc.metadata?.similarity_score)
+            .filter(score => typeof score === 'number');
+
+        return {
+            contextsUsed: documents.length,
+            topSimilarity: similarities.length > 0 ? Math.max(...similarities) : null
+        };
+    }
+
+    /**
+     * Combine signals into a score; the weakest signal decides
+     *
+     * @returns {number|null} Score between 0 and 1, null when nothing can be judged
+     */
+    score(signals) {
+        if (!signals.contextsUsed) {
+            return 0;
+        }
+
+        const available = [signals.topSimilarity, signals.selfCheck]
+            .filter(value => typeof value === 'number');
+        if (available.length === 0) {
+            return null;
+        }
+        return Math.max(0, Math.min(1, ...available));
+    }
+
+    /**
+     * Rate how well the answer is supported by the context with a chat model
+     *
+     * @returns {Promise<number>} Rating between 0 and 1
+     */
+    async selfCheck(llm, { question, context, answer, usage = {} }) {
+        // Loaded on first use so controllers can require this service without the LangChain prompt stack
+        const { createAnswerCheckPrompt } = require('./chains/LizdeikaPrompts');
+        const llmUsageService = require('./llmUsageService');
+        const prompt = await createAnswerCheckPrompt().format({
+            question,
+            context: (context || '').substring(0, SELF_CHECK_CONTEXT_CHARS),
+            answer
+        });
+
+        const response = await llm.invoke(prompt, {
+            callbacks: [llmUsageService.createCallbackHandler({ ...usage, feature: 'self_check' })]
+        });
+        const content = typeof response === 'string' ? response : response?.content || '';
+        const match = String(content).match(/\d+(\.\d+)?/);
+        const rating = match ? parseFloat(match[0]) : NaN;
+
+        if (!Number.isFinite(rating) || rating < 0 || rating > 10) {
+            throw new Error(`Self-check returned an invalid rating: "${String(content).substring(0, 100)}"`);
+        }
+        return rating / 10;
+    }
+
+    /**
+     * Assess an answer against the guardrail threshold
+     *
+     * @param {Object} signals - From retrievalSignals()
+     * @param {Object} guardrail - { minConfidence, selfCheck }
+     * @param {Object} [check] - Self-check inputs { llm, question, context, answer, usage }; omitted for cached answers
+     * @returns {Promise<{score: number|null, passed: boolean, threshold: number, signals: Object}>}
+     */
+    async assess(signals, guardrail, check = null) {
+        const assessed = { ...signals, selfCheck: null };
+
+        if (guardrail.selfCheck && check?.llm && signals.contextsUsed > 0) {
+            try {
+                assessed.selfCheck = await this.selfCheck(check.llm, check);
+            } catch (error) {
+                assessed.selfCheckError = error.message;
+                logger.warn('Answer self-check failed, using retrieval confidence only:', error.message);
+            }
+        }
+
+        const threshold = guardrail.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+        const score = this.score(assessed);
+
+        return {
+            score,
+            passed: score === null || score >= threshold,
+            threshold,
+            signals: assessed
+        };
+    }
+}
+
+module.exports = new AnswerConfidenceService();
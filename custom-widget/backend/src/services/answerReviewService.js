@@ -0,0 +1,271 @@
+/**
+ * ANSWER REVIEW SERVICE
+ *
+ * Main Purpose: Turn agent-corrected answers into knowledge base entries
+ *
+ * Key Responsibilities:
+ * - Edit Ratio: How much of an AI suggestion the agent changed before sending it
+ * - Review Queue: Heavily edited and from-scratch agent answers, paired with the customer question
+ * - Approval: Ingest an approved pair as a Q&A knowledge document, tagged with its origin
+ * - Dismissal: Remove answers that should not become knowledge from the queue
+ *
+ * Dependencies:
+ * - Database client (Prisma) for message_statistics and messages
+ * - DocumentIngestService for deduplicated ingestion into the vector database
+ *
+ * Notes:
+ * - The edit ratio is the word-level edit distance divided by the longer text's word count:
+ *   0 when sent as is, 1 when nothing of the suggestion was kept
+ * - The customer question is the run of customer messages right before the answer; translated
+ *   messages are used in the agents' language, like the answer
+ * - Approved documents use source type 'agent_correction' and keep the message, conversation
+ *   and reviewer in their metadata
+ */
+const databaseClient = require('../utils/database');
+const { AppError, createError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('answerReviewService');
+
+const SOURCE_TYPE = 'agent_correction';
+
+const DEFAULT_MIN_EDIT_RATIO = 0.3;
+const DEFAULT_LIMIT = 50;
+
+// Messages looked at before an answer to find the customer question
+const QUESTION_LOOKBACK = 6;
+
+// Title length of ingested Q&A documents
+const TITLE_CHARS = 80;
+
+const words = (text) => String(text || '').trim().split(/\s+/).filter(Boolean);
+
+class AnswerReviewService {
+    getPrisma() {
+        return databaseClient.getClient();
+    }
+
+    /**
+     * Share of an AI suggestion the agent changed
+     *
+     * @param {string} original - AI suggestion
+     * @param {string} sent - Text the agent sent
+     * @returns {number} 0 (unchanged) to 1 (rewritten), rounded to 3 decimals
+     */
+    editRatio(original, sent) {
+        const a = words(original);
+        const b = words(sent);
+        const longest = Math.max(a.length, b.length);
+        if (longest === 0) return 0;
+
+        // Levenshtein distance over words, one row at a time
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = a[i - 1] === b[j - 1]
+                    ? previous[j - 1]
+                    : 1 + Math.min(previous[j - 1], previous[j], current[j - 1]);
+            }
+            previous = current;
+        }
+
+        return Math.round(previous[b.length] / longest * 1000) / 1000;
+    }
+
+    /**
+     * Text of a message in the agents' language
+     */
+    agentLanguageText(message) {
+        const translation = message.metadata?.translation;
+        if (translation?.direction === 'inbound') return translation.translated;
+        if (translation?.direction === 'outbound') return translation.original;
+        return message.content;
+    }
+
+    /**
+     * Customer question answered by an agent message: the customer messages since the previous reply
+     *
+     * @returns {Promise<string|null>}
+     */
+    async findQuestion(ticketId, answeredAt) {
+        const previous = await this.getPrisma().messages.findMany({
+            where: {
+                ticket_id: ticketId,
+                created_at: { lt: answeredAt },
+                senderType: { in: ['user', 'agent', 'ai'] }
+            },
+            orderBy: { created_at: 'desc' },
+            take: QUESTION_LOOKBACK
+        });
+
+        const questions = [];
+        for (const message of previous) {
+            if (message.senderType !== 'user') break;
+            questions.unshift(this.agentLanguageText(message));
+        }
+
+        return questions.length > 0 ? questions.join('\n') : null;
+    }
+
+    /**
+     * Queue entry for a message_statistics record
+     */
+    async toReviewItem(record) {
+        return {
+            id: record.id,
+            messageId: record.message_id,
+            conversationId: record.ticket_id,
+            agent: record.agent ? `${record.agent.first_name} ${record.agent.last_name}`.trim() : null,
+            suggestionAction: record.suggestion_action,
+            editRatio: record.suggestion_edit_ratio,
+            question: await this.findQuestion(record.ticket_id, record.message.created_at),
+            answer: this.agentLanguageText(record.message),
+            originalSuggestion: record.original_suggestion,
+            answeredAt: record.message.created_at
+        };
+    }
+
+    /**
+     * Answers waiting for review, newest first
+     *
+     * @param {Object} [options]
+     * @param {number} [options.minEditRatio=0.3] - Edited answers changed at least this much
+     * @param {number} [options.limit=50] - Entries returned
+     * @returns {Promise<{total: number, minEditRatio: number, items: Array}>}
+     */
+    async getReviewQueue({ minEditRatio = DEFAULT_MIN_EDIT_RATIO, limit = DEFAULT_LIMIT } = {}) {
+        const prisma = this.getPrisma();
+        const where = {
+            review_status: null,
+            message: { message_type: 'text' },
+            OR: [
+                { suggestion_action: 'from_scratch' },
+                { suggestion_action: 'edited', suggestion_edit_ratio: { gte: minEditRatio } }
+            ]
+        };
+
+        const [total, records] = await Promise.all([
+            prisma.message_statistics.count({ where }),
+            prisma.message_statistics.findMany({
+                where,
+                orderBy: { created_at: 'desc' },
+                take: limit,
+                include: {
+                    message: { select: { content: true, metadata: true, created_at: true } },
+                    agent: { select: { first_name: true, last_name: true } }
+                }
+            })
+        ]);
+
+        const items = [];
+        for (const record of records) {
+            items.push(await this.toReviewItem(record));
+        }
+
+        return { total, minEditRatio, items };
+    }
+
+    /**
+     * Load a queue entry that has not been reviewed yet
+     */
+    async getPendingRecord(id) {
+        const record = await this.getPrisma().message_statistics.findUnique({
+            where: { id },
+            include: {
+                message: { select: { content: true, metadata: true, created_at: true } },
+                agent: { select: { first_name: true, last_name: true } }
+            }
+        });
+
+        if (!record) {
+            throw createError.notFound('Review item');
+        }
+        if (record.review_status) {
+            throw new AppError(`Answer is already ${record.review_status}`, 409, 'ALREADY_REVIEWED');
+        }
+        return record;
+    }
+
+    /**
+     * Q&A document body
+     */
+    formatDocument(question, answer) {
+        return `Klausimas: ${question}\n\nAtsakymas: ${answer}`;
+    }
+
+    /**
+     * Approve an answer and ingest it as a Q&A knowledge document
+     *
+     * @param {string} id - message_statistics ID
+     * @param {string} reviewerId - Admin approving the answer
+     * @param {Object} [edits] - Corrected { question, answer } to ingest instead of the stored texts
+     * @returns {Promise<Object>} { documentId, status, title }
+     */
+    async approve(id, reviewerId, edits = {}) {
+        const item = await this.toReviewItem(await this.getPendingRecord(id));
+
+        const question = (edits.question || item.question || '').trim();
+        const answer = (edits.answer || item.answer || '').trim();
+        if (!question || !answer) {
+            throw createError.badRequest('Both a question and an answer are required');
+        }
+
+        const firstLine = question.split('\n')[0];
+        const title = `Q&A: ${firstLine.length > TITLE_CHARS ? `${firstLine.substring(0, TITLE_CHARS)}...` : firstLine}`;
+
+        // Required lazily: the ingest service opens its own database connection
+        const DocumentIngestService = require('./documentIngestService');
+        const result = await DocumentIngestService.ingestDocument({
+            body: this.formatDocument(question, answer),
+            title,
+            sourceType: SOURCE_TYPE,
+            metadata: {
+                origin: SOURCE_TYPE,
+                messageId: item.messageId,
+                conversationId: item.conversationId,
+                suggestionAction: item.suggestionAction,
+                approvedBy: reviewerId
+            }
+        });
+
+        // An identical entry already in the knowledge base still settles the review
+        if (!result.success && result.status !== 'duplicate_rejected') {
+            throw new AppError(`Failed to ingest answer: ${result.error}`, 502, 'INGEST_FAILED');
+        }
+
+        await this.getPrisma().message_statistics.update({
+            where: { id },
+            data: {
+                review_status: 'approved',
+                reviewed_by: reviewerId,
+                reviewed_at: new Date(),
+                knowledge_document_id: result.documentId
+            }
+        });
+
+        logger.info(`Approved answer ${item.messageId} as knowledge document ${result.documentId} (${result.status})`);
+        return { documentId: result.documentId, status: result.status, title: result.title };
+    }
+
+    /**
+     * Remove an answer from the review queue without ingesting it
+     *
+     * @param {string} id - message_statistics ID
+     * @param {string} reviewerId - Admin dismissing the answer
+     */
+    async dismiss(id, reviewerId) {
+        await this.getPendingRecord(id);
+
+        await this.getPrisma().message_statistics.update({
+            where: { id },
+            data: {
+                review_status: 'dismissed',
+                reviewed_by: reviewerId,
+                reviewed_at: new Date()
+            }
+        });
+    }
+}
+
+module.exports = new AnswerReviewService();
@@ -11,44 +11,97 @@
  * - Returns proper LangChain Document objects
  * - Preserves source attribution and metadata
  * - Supports configurable similarity search
+ * - Hybrid retrieval: BM25 keyword results fused with vector results
+ *   using weighted reciprocal-rank fusion (RRF)
  */
 
 const { BaseRetriever } = require("@langchain/core/retrievers");
 const { Document } = require("@langchain/core/documents");
 const knowledgeService = require('../knowledgeService');
-const { createLogger } = require('../../../utils/logger');
+const { createLogger } = require('../../utils/logger');
 const logger = createLogger('ChromaRetriever');
 
+// Standard RRF constant; dampens the advantage of the very first ranks
+const RRF_K = 60;
+
+/**
+ * Weighted reciprocal-rank fusion of several ranked result lists
+ *
+ * @param {Object<string, {results: Array<{id: string}>, weight: number}>} rankings - Keyed by retriever name
+ * @returns {Array<{id, result, score, ranks: Object<string, number>}>} Sorted by fused score, ranks are 0-based
+ */
+function reciprocalRankFusion(rankings) {
+    const fused = new Map();
+
+    for (const [retriever, { results, weight }] of Object.entries(rankings)) {
+        if (!weight) continue;
+
+        results.forEach((result, rank) => {
+            const entry = fused.get(result.id) || { id: result.id, result, score: 0, ranks: {} };
+            entry.score += weight / (RRF_K + rank + 1);
+            entry.ranks[retriever] = rank;
+            // Merge both results, letting vector fields (distance) win over keyword ones
+            entry.result = retriever === 'vector' ? { ...entry.result, ...result } : { ...result, ...entry.result };
+            fused.set(result.id, entry);
+        });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
 class ChromaRetriever extends BaseRetriever {
     constructor(options = {}) {
         super(options);
         this.k = options.k || 3;
         this.scoreThreshold = options.scoreThreshold || 0.0;
         this.verbose = options.verbose || false;
+
+        // Fusion weights; a weight of 0 disables that retriever
+        this.vectorWeight = options.vectorWeight ?? 1;
+        this.keywordWeight = options.keywordWeight ?? 1;
+
+        // Summary of the last retrieval for debug output
+        this.lastRetrieval = null;
     }
 
     /**
      * Core retrieval method required by BaseRetriever
-     * Converts ChromaDB results to LangChain Document objects
+     * Runs vector and keyword search, fuses both rankings and converts the results
+     * to LangChain Document objects
      */
     async _getRelevantDocuments(query, runManager) {
         try {
             if (this.verbose) {
-                logger.info(`🔍 ChromaRetriever: Searching for "${query}" with k=${this.k}`);
+                logger.info(`🔍 ChromaRetriever: Searching for "${query}" with k=${this.k} (vector weight ${this.vectorWeight}, keyword weight ${this.keywordWeight})`);
             }
 
-            // Use existing knowledgeService for ChromaDB integration
-            const chromaResults = await knowledgeService.searchContext(query, this.k);
+            const [vectorResults, keywordResults] = await Promise.all([
+                this.vectorWeight > 0 ? this._vectorSearch(query) : [],
+                this.keywordWeight > 0 ? this._keywordSearch(query) : []
+            ]);
+
+            const fused = reciprocalRankFusion({
+                vector: { results: vectorResults, weight: this.vectorWeight },
+                keyword: { results: keywordResults, weight: this.keywordWeight }
+            }).slice(0, this.k);
 
-            if (!chromaResults || chromaResults.length === 0) {
+            this.lastRetrieval = {
+                vectorWeight: this.vectorWeight,
+                keywordWeight: this.keywordWeight,
+                vectorResults: vectorResults.length,
+                keywordResults: keywordResults.length,
+                fusedResults: fused.length
+            };
+
+            if (fused.length === 0) {
                 if (this.verbose) {
                     logger.info(`📭 ChromaRetriever: No documents found for query "${query}"`);
                 }
                 return [];
             }
 
-            // Convert ChromaDB results to LangChain Document objects
-            const documents = chromaResults.map((result, index) => {
+            // Convert fused results to LangChain Document objects
+            const documents = fused.map(({ result, score, ranks }, index) => {
                 // Extract and enrich metadata
                 const metadata = {
                     // Preserve original metadata
@@ -59,6 +112,11 @@ class ChromaRetriever extends BaseRetriever {
                     retrieval_rank: index,
                     retrieval_query: query,
                     retrieval_timestamp: new Date().toISOString(),
+                    retrieval_sources: Object.keys(ranks),
+                    vector_rank: ranks.vector,
+                    keyword_rank: ranks.keyword,
+                    keyword_score: result.score,
+                    rrf_score: score,
                     
                     // Ensure required fields for source attribution
                     source: result.metadata?.source_document_name || `Document ${index + 1}`,
@@ -69,24 +127,16 @@ class ChromaRetriever extends BaseRetriever {
                     chroma_distance: result.distance
                 };
 
-                // Filter out results below threshold
-                if (this.scoreThreshold > 0 && result.distance > (1 - this.scoreThreshold)) {
-                    if (this.verbose) {
-                        logger.info(`🚫 ChromaRetriever: Filtered document ${index} (score too low)`);
-                    }
-                    return null;
-                }
-
                 return new Document({
                     pageContent: result.content || '',
                     metadata: metadata
                 });
-            }).filter(doc => doc !== null); // Remove filtered documents
+            });
 
             if (this.verbose) {
-                logger.info(`✅ ChromaRetriever: Retrieved ${documents.length} documents`);
+                logger.info(`✅ ChromaRetriever: Retrieved ${documents.length} documents (${vectorResults.length} vector, ${keywordResults.length} keyword)`);
                 documents.forEach((doc, i) => {
-                    logger.info(`   ${i + 1}. ${doc.metadata.source} (score: ${doc.metadata.similarity_score?.toFixed(3)})`);
+                    logger.info(`   ${i + 1}. ${doc.metadata.source} (${doc.metadata.retrieval_sources.join('+')}, rrf: ${doc.metadata.rrf_score.toFixed(4)})`);
                 });
             }
 
@@ -105,6 +155,36 @@ class ChromaRetriever extends BaseRetriever {
         }
     }
 
+    /**
+     * Vector similarity search, dropping results below the score threshold
+     */
+    async _vectorSearch(query) {
+        // Use existing knowledgeService for ChromaDB integration
+        const chromaResults = await knowledgeService.searchContext(query, this.k) || [];
+
+        return chromaResults.filter((result, index) => {
+            if (this.scoreThreshold > 0 && result.distance > (1 - this.scoreThreshold)) {
+                if (this.verbose) {
+                    logger.info(`🚫 ChromaRetriever: Filtered document ${index} (score too low)`);
+                }
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * BM25 keyword search; failures fall back to vector-only retrieval
+     */
+    async _keywordSearch(query) {
+        try {
+            return await knowledgeService.keywordSearch(query, this.k);
+        } catch (error) {
+            logger.warn('ChromaRetriever: Keyword search failed, using vector results only:', error.message);
+            return [];
+        }
+    }
+
     /**
      * Get similar documents with additional metadata
      * Alias for compatibility with existing patterns
@@ -180,4 +260,6 @@ class ChromaRetriever extends BaseRetriever {
     }
 }
 
+ChromaRetriever.reciprocalRankFusion = reciprocalRankFusion;
+
 module.exports = ChromaRetriever;
\ No newline at end of file
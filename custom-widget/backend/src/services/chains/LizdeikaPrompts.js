@@ -7,8 +7,11 @@
  * Features:
  * - Lithuanian-first system prompts
  * - Query rephrasing templates  
+ * - Live data tool selection and tool result formatting
+ * - Matched FAQ answers as top-priority context
  * - RAG-enhanced conversation templates
  * - Langfuse prompt management (optional)
+ * - Versioned local prompts (prompt mode 'local')
  * - Fallback to hardcoded prompts
  * - Performance tracking by prompt version
  * - A/B testing capabilities
@@ -16,7 +19,8 @@
 
 const { PromptTemplate, ChatPromptTemplate, SystemMessagePromptTemplate, HumanMessagePromptTemplate } = require("@langchain/core/prompts");
 const promptManager = require('../promptManager');
-const { createLogger } = require('../../../utils/logger');
+const promptVersionService = require('../promptVersionService');
+const { createLogger } = require('../../utils/logger');
 const logger = createLogger('LizdeikaPrompts');
 
 /**
@@ -72,6 +76,41 @@ TURIMI DUOMENYS:
 
 Atsakyk į dabartinį klausimą atsižvelgdamas į pokalbio kontekstą ir turimus duomenis.`;
 
+/**
+ * Re-ranking prompt template
+ * Asks the model to score retrieved passages so the most relevant ones are prompted first
+ */
+const RERANK_PROMPT_TEMPLATE = `Įvertink, kiek kiekviena ištrauka padeda atsakyti į klausimą, skalėje nuo 0 (visai nepadeda) iki 10 (tiesiogiai atsako).
+
+KLAUSIMAS: {question}
+
+IŠTRAUKOS:
+{passages}
+
+Atsakyk tik JSON skaičių masyvu ištraukų eilės tvarka, pvz. [7, 0, 3].`;
+
+/**
+ * Answer self-check prompt template
+ * Asks the model how well an answer is supported by the retrieved context (autopilot guardrail)
+ */
+const ANSWER_CHECK_PROMPT_TEMPLATE = `Įvertink, ar atsakymas į kliento klausimą yra pagrįstas pateiktais duomenimis, skalėje nuo 0 (nepagrįstas arba neatsako į klausimą) iki 10 (visiškai pagrįstas ir tiesiogiai atsako).
+
+KLAUSIMAS: {question}
+
+DUOMENYS:
+{context}
+
+ATSAKYMAS:
+{answer}
+
+Atsakyk tik vienu skaičiumi nuo 0 iki 10.`;
+
+/**
+ * Tool selection instruction
+ * Sent with the registered HTTP tools before the answer is generated
+ */
+const TOOL_SELECTION_PROMPT = `Tu padedi Vilniaus miesto savivaldybės gyventojų aptarnavimo pokalbių robotui. Jei atsakymui į piliečio klausimą reikia gyvų duomenų (pvz. prašymo būsenos ar laisvų vizito laikų), iškviesk tinkamą įrankį su parametrais iš pokalbio. Jei įrankio nereikia arba trūksta privalomų parametrų, nekviesk jokio įrankio.`;
+
 /**
  * Create system prompt template
  */
@@ -112,6 +151,26 @@ const createHistoryPrompt = () => {
     });
 };
 
+/**
+ * Create re-ranking prompt template
+ */
+const createRerankPrompt = () => {
+    return new PromptTemplate({
+        template: RERANK_PROMPT_TEMPLATE,
+        inputVariables: ["question", "passages"]
+    });
+};
+
+/**
+ * Create answer self-check prompt template
+ */
+const createAnswerCheckPrompt = () => {
+    return new PromptTemplate({
+        template: ANSWER_CHECK_PROMPT_TEMPLATE,
+        inputVariables: ["question", "context", "answer"]
+    });
+};
+
 /**
  * Create chat prompt template for main RAG chain
  * This replaces manual message construction
@@ -157,6 +216,14 @@ function formatChatHistory(chatHistory) {
         .join('\n\n');
 }
 
+/**
+ * Response language instruction appended to the system prompt
+ * Used when the customer's language is known from translation (see translationService)
+ */
+function formatLanguageInstruction(languageName) {
+    return `\n\nSVARBU: Atsakyk ${languageName} kalba, nes klientas rašo šia kalba.`;
+}
+
 /**
  * Format retrieved documents into markdown
  * Maintains exact formatting from original implementation
@@ -199,6 +266,36 @@ function formatContextAsMarkdown(documents) {
     }).join('\n\n---\n\n');
 }
 
+/**
+ * Format a matched FAQ as the first context section; its curated answer outranks the documents
+ */
+function formatFaqAsMarkdown(faqMatch) {
+    if (!faqMatch?.faq) {
+        return '';
+    }
+
+    return `**PATIKRINTAS DUK ATSAKYMAS (svarbiausias šaltinis, remkis juo pirmiausia):**\n\nKlausimas: ${faqMatch.faq.question}\n\nAtsakymas: ${faqMatch.faq.answer}\n\n---\n\n`;
+}
+
+/**
+ * Format live data tool results as an extra context section
+ * Failed calls are included so the answer does not pretend the data was found
+ */
+function formatToolResultsAsMarkdown(toolCalls) {
+    if (!toolCalls || toolCalls.length === 0) {
+        return '';
+    }
+
+    const results = toolCalls.map(call => {
+        const result = call.ok
+            ? (typeof call.response === 'string' ? call.response : JSON.stringify(call.response, null, 2))
+            : `Nepavyko gauti duomenų: ${call.error}`;
+        return `## ${call.tool} (${JSON.stringify(call.arguments)})\n\n${result}`;
+    });
+
+    return `\n\n---\n\n**GYVI DUOMENYS IŠ SISTEMŲ (naudok juos atsakyme):**\n\n${results.join('\n\n')}`;
+}
+
 /**
  * Extract meaningful chunk information from metadata
  * Maintains compatibility with original implementation
@@ -305,6 +402,52 @@ async function getContextPromptManaged(variables = {}) {
     };
 }
 
+/**
+ * Get the active local prompt version (prompt mode 'local') shaped like a managed prompt
+ * Returns null outside local mode or when no local prompt is set
+ *
+ * @param {string} type - system, processing or formatting
+ * @param {string} name - Prompt name, for logging
+ */
+async function getLocalPromptManaged(type, name) {
+    const active = await promptVersionService.getActivePrompt(type);
+    if (!active) {
+        return null;
+    }
+
+    return {
+        ...wrapPromptContent(active.content, 'local', name),
+        promptVersion: { id: active.versionId, version: active.version }
+    };
+}
+
+/**
+ * Get the system prompt of a prompt experiment variant shaped like a managed prompt
+ *
+ * @param {Object} assignment - From promptExperimentService.getAssignment(), with variant content
+ * @param {string} name - Prompt name, for logging
+ */
+function getExperimentPromptManaged(assignment, name) {
+    return {
+        ...wrapPromptContent(assignment.content, 'experiment', name),
+        promptVersion: null
+    };
+}
+
+/**
+ * Shape prompt content that does not come from Langfuse like a managed prompt
+ */
+function wrapPromptContent(content, source, name) {
+    const prompt = promptManager.createPromptObject(null, content, {}, false, source, name);
+
+    return {
+        template: null,
+        managed: prompt,
+        compile: (compileVars = {}) => prompt.compile(compileVars),
+        metadata: { langfusePrompt: null }
+    };
+}
+
 /**
  * Initialize all prompts in Langfuse (run once for setup)
  * This creates the prompts in Langfuse UI for management
@@ -380,6 +523,8 @@ module.exports = {
     createRephrasePrompt,
     createContextPrompt,
     createHistoryPrompt,
+    createRerankPrompt,
+    createAnswerCheckPrompt,
     createRAGChatPrompt,
     createSimpleRAGPrompt,
     
@@ -387,17 +532,25 @@ module.exports = {
     getSystemPromptManaged,
     getRephrasePromptManaged,
     getContextPromptManaged,
+    getLocalPromptManaged,
+    getExperimentPromptManaged,
     initializePromptsInLangfuse,
     checkPromptSystemHealth,
     
     // Utility functions
     formatChatHistory,
+    formatLanguageInstruction,
     formatContextAsMarkdown,
+    formatToolResultsAsMarkdown,
+    formatFaqAsMarkdown,
     extractChunkInfo,
     
     // Raw templates for advanced usage
     SYSTEM_PROMPT_TEMPLATE,
+    TOOL_SELECTION_PROMPT,
     REPHRASE_PROMPT_TEMPLATE,
     CONTEXT_TEMPLATE,
-    HISTORY_FORMAT_TEMPLATE
+    HISTORY_FORMAT_TEMPLATE,
+    RERANK_PROMPT_TEMPLATE,
+    ANSWER_CHECK_PROMPT_TEMPLATE
 };
\ No newline at end of file
@@ -6,52 +6,98 @@
  * 
  * Features:
  * - Proper LangChain chain composition
- * - Integration with custom ChromaRetriever
+ * - Integration with custom ChromaRetriever (hybrid vector + keyword retrieval)
+ * - Optional re-ranking of retrieved chunks, trimmed to the context token budget
  * - Query rephrasing for better retrieval
  * - Context-aware conversation handling
- * - Source attribution and metadata preservation
+ * - Source attribution and structured citations
  * - Comprehensive debug information
+ * - Optional token streaming via an onToken callback, cancellable with an AbortSignal
+ * - Works with OpenRouter, any OpenAI-compatible endpoint or the offline mock model
+ * - Fails over to the next chat model of the failover chain on timeouts, 5xx and rate limits
+ * - Semantic answer cache keyed by the rephrased query (skips retrieval and generation on a hit)
+ * - Optional autopilot confidence guardrail; answers that may be held are not streamed
+ * - Active local prompt version in local prompt mode, reported for traceability
+ * - System prompt experiment variants per conversation (not cached, not served from the cache)
+ * - Token usage of each answer recorded per model, conversation and feature
+ * - Live data from admin-registered HTTP tools via function calling (answers using them are not cached)
+ * - Curated FAQ answers: close matches answered verbatim, weaker ones given as top-priority context
  * - Lithuanian language optimization
  */
 
 const { BaseChain } = require("langchain/chains");
 const { ChatOpenAI } = require("@langchain/openai");
 const { Document } = require("@langchain/core/documents");
+const { SystemMessage, HumanMessage } = require("@langchain/core/messages");
 const { CallbackHandler } = require("langfuse-langchain");
 const ChromaRetriever = require('./ChromaRetriever');
 const QueryRephraseChain = require('./QueryRephraseChain');
+const MockChatModel = require('./MockChatModel');
+const aiFailoverService = require('../aiFailoverService');
+const semanticCacheService = require('../semanticCacheService');
+const rerankService = require('../rerankService');
+const answerConfidenceService = require('../answerConfidenceService');
+const citationService = require('../citationService');
+const translationService = require('../translationService');
+const promptExperimentService = require('../promptExperimentService');
+const llmUsageService = require('../llmUsageService');
+const httpToolService = require('../httpToolService');
+const faqService = require('../faqService');
+const { resolveChatModelConfig, isChatCompletionProvider } = require('../../../ai-providers');
 const { 
     createRAGChatPrompt, 
     createSimpleRAGPrompt,
     formatChatHistory,
     formatContextAsMarkdown,
-    getSystemPromptManaged
+    formatToolResultsAsMarkdown,
+    formatFaqAsMarkdown,
+    formatLanguageInstruction,
+    TOOL_SELECTION_PROMPT,
+    getSystemPromptManaged,
+    getLocalPromptManaged,
+    getExperimentPromptManaged
 } = require('./LizdeikaPrompts');
 
+/**
+ * Identity of the main chat model; the rephrasing model is handled by QueryRephraseChain
+ */
+function chatModelSignature({ provider, baseURL, apiKey, model, headers, mock, maxRetries } = {}) {
+    return JSON.stringify({ provider, baseURL, apiKey, model, headers, mock, maxRetries });
+}
+
+// With a failover chain configured, retry once and then let the next model answer
+const FAILOVER_MAX_RETRIES = 1;
+
+// Tool calls executed per answer; further calls the model asks for are ignored
+const MAX_TOOL_CALLS = 3;
+
+/**
+ * Resolve the chat model config for a provider config, including the retry policy
+ */
+function resolveChainModelConfig(providerConfig = {}) {
+    return {
+        ...resolveChatModelConfig(providerConfig),
+        maxRetries: providerConfig.AI_FAILOVER_CHAIN ? FAILOVER_MAX_RETRIES : undefined
+    };
+}
+
 class LizdeikaRAGChain extends BaseChain {
     constructor(options = {}) {
         super(options);
 
         // Use provided config or fall back to env vars
-        const config = options.providerConfig || {};
-        const mainModel = config.OPENROUTER_MODEL || process.env.OPENROUTER_MODEL || "google/gemini-2.5-flash";
+        const chatConfig = resolveChainModelConfig(options.providerConfig || {});
 
-        this.llm = new ChatOpenAI({
-            model: mainModel,
-            apiKey: config.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY,
-            configuration: {
-                baseURL: "https://openrouter.ai/api/v1",
-                defaultHeaders: {
-                    "HTTP-Referer": config.SITE_URL || process.env.SITE_URL || "http://localhost:3002",
-                    "X-Title": config.SITE_NAME || process.env.SITE_NAME || "Lizdeika"
-                }
-            },
-            temperature: 0.2,
-            streaming: false
-        });
+        this.llm = LizdeikaRAGChain.createChatModel(chatConfig);
 
-        // Store the model name for debugging
-        this.mainModelName = mainModel;
+        // Store the model name and provider for debugging
+        this.mainModelName = chatConfig.model;
+        this.providerName = chatConfig.provider;
+        this.chatConfig = chatConfig;
+        this.providerConfig = options.providerConfig || {};
+
+        // Chat models for failover chain entries, created on first use (entry key -> model)
+        this.failoverModels = new Map();
 
         // Initialize retriever
         this.retriever = new ChromaRetriever({
@@ -59,11 +105,15 @@ class LizdeikaRAGChain extends BaseChain {
             verbose: options.verbose || false
         });
 
+        // Re-ranking options, refreshed from settings on every request by LangChainRAG
+        this.rerankOptions = options.rerankOptions || { strategy: 'none' };
+
         // Initialize query rephrasing chain
         this.rephraseChain = new QueryRephraseChain({
             verbose: options.verbose || false,
             skipRephrasing: options.skipRephrasing || false,
-            rephrasingModel: options.rephrasingModel || process.env.REPHRASING_MODEL
+            rephrasingModel: options.rephrasingModel || process.env.REPHRASING_MODEL,
+            providerConfig: options.providerConfig
         });
 
         // Create prompts (will be enhanced with managed prompts on first use)
@@ -107,7 +157,7 @@ class LizdeikaRAGChain extends BaseChain {
      * Output keys provided by this chain
      */
     get outputKeys() {
-        return ["answer", "sources", "sourceUrls", "contextsUsed", "debugInfo"];
+        return ["answer", "sources", "sourceUrls", "citations", "contextsUsed", "debugInfo"];
     }
 
     /**
@@ -123,11 +173,18 @@ class LizdeikaRAGChain extends BaseChain {
      * @param {Object} inputs - Chain inputs
      * @param {string} inputs.question - User question
      * @param {Array} inputs.chat_history - Conversation history
+     * @param {Function} [inputs.onToken] - Called with (delta, fullText) for each streamed token
+     * @param {AbortSignal} [inputs.signal] - Aborts a streamed generation, keeping the partial answer
+     * @param {boolean} [inputs.bypassCache] - Skip the semantic cache (evaluation runs measure the full pipeline)
+     * @param {Object} [inputs.guardrail] - Autopilot guardrail { minConfidence, selfCheck }; adds a confidence assessment
+     * @param {string} [inputs.language] - Customer's language code when it differs from the agents'; the answer is written in it
+     * @param {string} [inputs.conversationId] - Conversation asked in; picks the prompt experiment variant and links LLM usage
+     * @param {string} [inputs.feature='suggestion'] - Feature LLM usage is accounted to (suggestion, autopilot, evaluation)
      * @param {Object} runManager - LangChain run manager
      * @returns {Object} Chain output
      */
     async _call(inputs, runManager) {
-        const { question, chat_history = [] } = inputs;
+        const { question, chat_history = [], onToken = null, signal = null, bypassCache = false, guardrail = null, language = null, conversationId = null, feature = 'suggestion' } = inputs;
         
         // Initialize comprehensive debug information
         const debugInfo = {
@@ -143,7 +200,7 @@ class LizdeikaRAGChain extends BaseChain {
                 mainModel: this.mainModelName,
                 rephrasingModel: this.rephraseChain.rephrasingModel,
                 temperature: this.llm.temperature,
-                provider: 'openrouter'
+                provider: this.providerName
             }
         };
 
@@ -168,7 +225,8 @@ class LizdeikaRAGChain extends BaseChain {
 
                 const rephraseResult = await this.rephraseChain._call({
                     question: question,
-                    chat_history: chat_history
+                    chat_history: chat_history,
+                    conversationId
                 }, runManager);
 
                 searchQuery = rephraseResult.rephrased_query;
@@ -196,6 +254,54 @@ class LizdeikaRAGChain extends BaseChain {
 
             debugInfo.step2_queryRephrasing = rephraseDebugInfo;
 
+            // Get managed prompt for enhanced system instructions
+            const managedPrompt = await this.getManagedPrompt(conversationId);
+
+            // Step 2b: Curated FAQ answers come before cached and generated ones. FAQ answers are
+            // in Lithuanian and evaluation runs measure retrieval, so there the FAQ is only context.
+            const faqMatch = await faqService.match(searchQuery, question);
+            const faqVerbatim = faqMatch.mode === 'answer' && !language && feature !== 'evaluation';
+            const faq = faqMatch.mode
+                ? { id: faqMatch.faq.id, question: faqMatch.faq.question, mode: faqVerbatim ? 'answer' : 'context', similarity: faqMatch.similarity }
+                : null;
+
+            debugInfo.step2b_faqMatch = {
+                ...faq,
+                matchedPhrasing: faqMatch.phrasing || null,
+                similarity: faqMatch.similarity,
+                exact: Boolean(faqMatch.exact),
+                reason: faqMatch.reason || null
+            };
+
+            if (faqVerbatim) {
+                return this._faqResult(faqMatch, faq, debugInfo, onToken, guardrail);
+            }
+
+            // Semantic cache: without rephrasing a follow-up question is not standalone, so only
+            // first questions are cacheable in that case. Cached answers are in the default language
+            // and made with the default system prompt, so experiment variants bypass the cache.
+            const cacheable = this.enableRephrasing || chat_history.length === 0;
+            const cacheLookup = bypassCache
+                ? { hit: false, reason: 'bypassed' }
+                : language
+                    ? { hit: false, reason: 'translated' }
+                    : managedPrompt?.experiment
+                        ? { hit: false, reason: 'experiment' }
+                        : cacheable
+                            ? await semanticCacheService.lookup(searchQuery)
+                            : { hit: false, reason: 'not_standalone' };
+
+            debugInfo.semanticCache = {
+                enabled: semanticCacheService.isEnabled(),
+                hit: cacheLookup.hit,
+                similarity: cacheLookup.similarity ?? null,
+                reason: cacheLookup.reason || null
+            };
+
+            if (cacheLookup.hit) {
+                return this._cachedResult(cacheLookup, debugInfo, onToken, guardrail);
+            }
+
             // Step 3: Document retrieval
             if (this.verbose) {
                 console.log('🔍 LizdeikaRAGChain: Retrieving relevant documents');
@@ -207,10 +313,16 @@ class LizdeikaRAGChain extends BaseChain {
                 searchQuery: searchQuery,
                 requestedDocuments: this.retriever.k,
                 retrievedDocuments: relevantDocs.length,
+                hybrid: this.retriever.lastRetrieval,
                 documentsMetadata: relevantDocs.map(doc => ({
                     source: doc.metadata?.source,
                     url: doc.metadata?.source_url,
                     score: doc.metadata?.similarity_score,
+                    retrievers: doc.metadata?.retrieval_sources,
+                    vectorRank: doc.metadata?.vector_rank,
+                    keywordRank: doc.metadata?.keyword_rank,
+                    keywordScore: doc.metadata?.keyword_score,
+                    rrfScore: doc.metadata?.rrf_score,
                     contentLength: doc.pageContent?.length
                 }))
             };
@@ -218,31 +330,63 @@ class LizdeikaRAGChain extends BaseChain {
             if (this.verbose) {
                 console.log(`   Retrieved ${relevantDocs.length} documents`);
                 relevantDocs.forEach((doc, i) => {
-                    console.log(`      ${i + 1}. ${doc.metadata.source} (score: ${doc.metadata.similarity_score?.toFixed(3)})`);
+                    console.log(`      ${i + 1}. ${doc.metadata.source} (score: ${doc.metadata.similarity_score?.toFixed(3)}, via: ${doc.metadata.retrieval_sources?.join('+')})`);
                 });
             }
 
+            // Step 3b: Re-rank and trim to the context token budget (the rephrasing model scores for 'llm')
+            const rephraseUsage = { provider: this.rephraseChain.chatConfig?.provider || null, conversationId };
+            const reranked = await rerankService.rerank(searchQuery, relevantDocs, {
+                ...this.rerankOptions,
+                llm: this.rephraseChain.llm,
+                usage: rephraseUsage
+            });
+            const contextDocs = reranked.documents;
+
+            debugInfo.step3b_reranking = reranked.debug;
+
+            if (this.verbose && reranked.debug.strategy !== 'none') {
+                console.log(`   Re-ranked with ${reranked.debug.strategy}: kept ${contextDocs.length}, dropped ${reranked.debug.dropped.length}`);
+            }
+
+            // Step 3c: Live data from the HTTP tools the model decides to call
+            const usage = { feature, conversationId };
+            const toolCalls = await this._runTools(question, chat_history, usage, signal, debugInfo);
+
             // Step 4: Format context
-            const context = formatContextAsMarkdown(relevantDocs);
+            const context = formatFaqAsMarkdown(faq ? faqMatch : null)
+                + formatContextAsMarkdown(contextDocs)
+                + formatToolResultsAsMarkdown(toolCalls);
 
             debugInfo.step4_contextFormatting = {
                 contextLength: context.length,
-                documentsUsed: relevantDocs.length
+                documentsUsed: contextDocs.length,
+                faqUsed: Boolean(faq),
+                toolResultsUsed: toolCalls.length
             };
 
+            // An answer the guardrail may hold must not reach the customer while it streams
+            const confidenceSignals = answerConfidenceService.retrievalSignals(contextDocs);
+            const retrievalConfidence = answerConfidenceService.score(confidenceSignals);
+            const mayBeHeld = guardrail && (guardrail.selfCheck ||
+                (retrievalConfidence !== null && retrievalConfidence < guardrail.minConfidence));
+            const streamToken = mayBeHeld ? null : onToken;
+
             // Step 5: Generate response
             if (this.verbose) {
                 console.log('🤖 LizdeikaRAGChain: Generating response');
                 console.log(`   Using main model: ${this.mainModelName} (temperature: ${this.llm.temperature})`);
             }
 
-            // Get managed prompt for enhanced system instructions
-            const managedPrompt = await this.getManagedPrompt();
-
             console.log(`\n📝 Prompt Construction Phase:`);
-            console.log(`  • Prompt Source: ${managedPrompt?.managed ? (managedPrompt.managed.fromLangfuse ? 'Langfuse (managed)' : 'Environment Override') : 'Hardcoded Fallback'}`);
+            console.log(`  • Prompt Source: ${this._describePromptSource(managedPrompt)}`);
             if (managedPrompt?.managed?.version) {
                 console.log(`  • Prompt Version: v${managedPrompt.managed.version}`);
+            } else if (managedPrompt?.promptVersion?.version) {
+                console.log(`  • Local Prompt Version: v${managedPrompt.promptVersion.version}`);
+            }
+            if (managedPrompt?.experiment) {
+                console.log(`  • Prompt Experiment: ${managedPrompt.experiment.experimentId} (variant ${managedPrompt.experiment.variant})`);
             }
             console.log(`  • Has Chat History: ${chat_history && chat_history.length > 0 ? 'Yes' : 'No'}`);
             console.log(`  • Context Length: ${context.length} characters`);
@@ -275,8 +419,9 @@ class LizdeikaRAGChain extends BaseChain {
                     console.log(`  • Applied Managed System Prompt (${systemContent.length} chars)`);
                 }
 
+                this._applyResponseLanguage(messages, language);
                 finalMessages = messages;
-                response = await this._invokeWithTimeout(messages, runManager, managedPrompt);
+                response = await this._invokeWithTimeout(messages, runManager, managedPrompt, streamToken, signal, usage);
             } else {
                 console.log(`  • Using: Simple Prompt Template (no history)`);
                 // Use simple prompt without history
@@ -295,8 +440,9 @@ class LizdeikaRAGChain extends BaseChain {
                     console.log(`  • Applied Managed System Prompt (${systemContent.length} chars)`);
                 }
 
+                this._applyResponseLanguage(messages, language);
                 finalMessages = messages;
-                response = await this._invokeWithTimeout(messages, runManager, managedPrompt);
+                response = await this._invokeWithTimeout(messages, runManager, managedPrompt, streamToken, signal, usage);
             }
 
             // Log the complete final prompt details
@@ -316,7 +462,10 @@ class LizdeikaRAGChain extends BaseChain {
             console.log(`  • Temperature: ${this.llm.temperature}`);
             console.log(`  • Sending to LLM...`)
 
-            const answer = response.content || response.text || 'Atsiprašau, negaliu atsakyti į šį klausimą.';
+            // A cancelled stream keeps whatever was generated so far (possibly empty)
+            const answer = response.cancelled
+                ? response.content
+                : (response.content || response.text || 'Atsiprašau, negaliu atsakyti į šį klausimą.');
 
             debugInfo.step5_responseGeneration = {
                 model: this.mainModelName,
@@ -325,12 +474,21 @@ class LizdeikaRAGChain extends BaseChain {
                 promptType: hasHistory ? 'chat_with_history' : 'simple',
                 responseLength: answer.length,
                 contextLength: context.length,
-                managedPrompt: managedPrompt?.managed ? 'langfuse' : 'hardcoded',
+                managedPrompt: managedPrompt?.managed
+                    ? (['local', 'experiment'].includes(managedPrompt.managed.source) ? managedPrompt.managed.source : 'langfuse')
+                    : 'hardcoded',
+                promptVersionId: managedPrompt?.promptVersion?.id || null,
+                promptExperiment: managedPrompt?.experiment || null,
+                streamed: typeof streamToken === 'function',
+                cancelled: Boolean(response.cancelled),
+                servedBy: response.servedBy,
+                failedOver: Boolean(response.failedOver),
+                responseLanguage: language,
                 successful: true
             };
 
             // Step 6: Format sources
-            const sources = relevantDocs.map(doc => {
+            const sources = contextDocs.map(doc => {
                 const sourceName = doc.metadata?.source;
                 const sourceUrl = doc.metadata?.source_url;
                 
@@ -342,38 +500,73 @@ class LizdeikaRAGChain extends BaseChain {
                 return null;
             }).filter(Boolean);
 
-            const sourceUrls = relevantDocs
+            const sourceUrls = contextDocs
                 .map(doc => doc.metadata?.source_url)
                 .filter(Boolean);
 
+            const citations = citationService.buildCitations(contextDocs);
+
             debugInfo.step6_sourceAttribution = {
                 sourcesCount: sources.length,
                 sourceUrlsCount: sourceUrls.length,
                 sources: sources,
-                sourceUrls: sourceUrls
+                sourceUrls: sourceUrls,
+                citations: citations
             };
 
+            // Step 6b: Confidence guardrail (autopilot)
+            const confidence = guardrail
+                ? await answerConfidenceService.assess(confidenceSignals, guardrail, {
+                    llm: this.rephraseChain.llm,
+                    question,
+                    context,
+                    answer,
+                    usage: rephraseUsage
+                })
+                : null;
+
+            if (confidence) {
+                debugInfo.step6b_confidence = confidence;
+            }
+
             // Final result
             const result = {
                 answer: answer,
                 sources: sources,
                 sourceUrls: sourceUrls,
-                contextsUsed: relevantDocs.length,
+                citations: citations,
+                contextsUsed: contextDocs.length,
+                confidenceSignals: confidenceSignals,
+                confidence: confidence,
+                cancelled: Boolean(response.cancelled),
+                servedBy: response.servedBy,
+                failedOver: Boolean(response.failedOver),
+                promptVersions: {
+                    system: managedPrompt?.promptVersion?.id || null,
+                    processing: rephraseDebugInfo?.promptVersionId || null
+                },
+                promptExperiment: managedPrompt?.experiment || null,
+                faq: faq,
                 debugInfo: this.includeDebug ? debugInfo : undefined
             };
 
             debugInfo.step7_finalResult = {
                 answerLength: answer.length,
                 sourcesProvided: sources.length,
-                contextsUsed: relevantDocs.length,
+                contextsUsed: contextDocs.length,
                 successful: true
             };
 
+            // Live data goes stale, so answers built on tool results are not reused
+            if (!response.cancelled && response.content && !managedPrompt?.experiment && toolCalls.length === 0) {
+                semanticCacheService.store(searchQuery, cacheLookup, result);
+            }
+
             if (this.verbose) {
                 console.log('✅ LizdeikaRAGChain: RAG process completed successfully');
                 console.log(`   Answer length: ${answer.length} characters`);
                 console.log(`   Sources: ${sources.length}`);
-                console.log(`   Contexts used: ${relevantDocs.length}`);
+                console.log(`   Contexts used: ${contextDocs.length}`);
             }
 
             return result;
@@ -407,7 +600,12 @@ class LizdeikaRAGChain extends BaseChain {
                 answer: 'Atsiprašau, įvyko klaida apdorojant užklausą.',
                 sources: [],
                 sourceUrls: [],
+                citations: [],
                 contextsUsed: 0,
+                // The guardrail never lets an error reply through to the customer
+                confidence: guardrail
+                    ? { score: 0, passed: false, threshold: guardrail.minConfidence, signals: { contextsUsed: 0, error: error.message } }
+                    : null,
                 debugInfo: this.includeDebug ? debugInfo : undefined,
                 error: error.message
             };
@@ -415,13 +613,190 @@ class LizdeikaRAGChain extends BaseChain {
     }
 
     /**
-     * Invoke LLM with timeout protection
+     * Let the model pick HTTP tools for the question and execute its calls
+     * One function calling round with the main model; a failed round only loses the live data
+     *
+     * @returns {Promise<Array>} Executed calls (see httpToolService.execute), empty without tools
      */
-    async _invokeWithTimeout(messages, runManager, managedPrompt = null) {
-        const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error(`LLM call timeout after ${this.timeout}ms`)), this.timeout)
-        );
-        
+    async _runTools(question, chatHistory, usage, signal, debugInfo) {
+        if (usage.feature === 'evaluation' || typeof this.llm.bindTools !== 'function') {
+            return [];
+        }
+
+        let tools;
+        try {
+            tools = await httpToolService.getEnabledTools();
+        } catch (error) {
+            console.warn('⚠️ LizdeikaRAGChain: Could not load HTTP tools:', error.message);
+            return [];
+        }
+        if (tools.length === 0) {
+            return [];
+        }
+
+        const debug = { offeredTools: tools.map(tool => tool.name), requestedCalls: 0, calls: [] };
+        debugInfo.step3c_toolCalls = debug;
+
+        try {
+            const llm = this.llm.bindTools(httpToolService.toFunctionDefinitions(tools));
+            const history = formatChatHistory(chatHistory);
+            const messages = [
+                new SystemMessage(history ? `${TOOL_SELECTION_PROMPT}\n\nPokalbio istorija:\n${history}` : TOOL_SELECTION_PROMPT),
+                new HumanMessage(question)
+            ];
+            const callbackOptions = {
+                callbacks: [
+                    this.langfuseHandler,
+                    llmUsageService.createCallbackHandler({ ...usage, provider: this.providerName })
+                ]
+            };
+
+            const message = await this._invokeModel(llm, messages, callbackOptions, null, signal);
+            const requested = message.tool_calls || [];
+            debug.requestedCalls = requested.length;
+
+            const toolCalls = await Promise.all(
+                requested.slice(0, MAX_TOOL_CALLS).map(call => httpToolService.executeToolCall(tools, call))
+            );
+            debug.calls = toolCalls;
+
+            if (this.verbose && toolCalls.length > 0) {
+                console.log(`   Called tools: ${toolCalls.map(call => `${call.tool} (${call.ok ? 'ok' : call.error})`).join(', ')}`);
+            }
+
+            return toolCalls;
+        } catch (error) {
+            console.warn('⚠️ LizdeikaRAGChain: Tool selection failed:', error.message);
+            debug.error = error.message;
+            return [];
+        }
+    }
+
+    /**
+     * Ask for the answer in the customer's language by extending the system message
+     */
+    _applyResponseLanguage(messages, language) {
+        const languageName = translationService.getLanguage(language)?.promptName;
+        if (languageName) {
+            messages[0].content += formatLanguageInstruction(languageName);
+            console.log(`  • Response Language: ${language}`);
+        }
+    }
+
+    /**
+     * Build the chain output from a semantic cache hit
+     * A streaming caller receives the cached answer as a single chunk, unless the guardrail holds it
+     */
+    async _cachedResult(cacheLookup, debugInfo, onToken = null, guardrail = null) {
+        const { entry, similarity } = cacheLookup;
+
+        // Cached answers are assessed on the signals stored with them
+        const confidence = guardrail
+            ? await answerConfidenceService.assess(entry.confidenceSignals || { contextsUsed: entry.contextsUsed, topSimilarity: null }, guardrail)
+            : null;
+
+        if (confidence) {
+            debugInfo.step6b_confidence = confidence;
+        }
+
+        if (typeof onToken === 'function' && confidence?.passed !== false) {
+            try {
+                onToken(entry.answer, entry.answer);
+            } catch (error) {
+                console.warn('⚠️ LizdeikaRAGChain: onToken handler failed:', error.message);
+            }
+        }
+
+        debugInfo.semanticCache.cachedQuery = entry.query;
+        debugInfo.step7_finalResult = {
+            answerLength: entry.answer.length,
+            sourcesProvided: entry.sources.length,
+            contextsUsed: entry.contextsUsed,
+            cached: true,
+            successful: true
+        };
+
+        if (this.verbose) {
+            console.log(`⚡ LizdeikaRAGChain: Served from semantic cache (similarity ${similarity.toFixed(3)})`);
+        }
+
+        return {
+            answer: entry.answer,
+            sources: entry.sources,
+            sourceUrls: entry.sourceUrls,
+            citations: entry.citations,
+            contextsUsed: entry.contextsUsed,
+            confidenceSignals: entry.confidenceSignals || null,
+            confidence: confidence,
+            cancelled: false,
+            servedBy: 'semantic_cache',
+            failedOver: false,
+            cached: true,
+            promptVersions: entry.promptVersions || null,
+            debugInfo: this.includeDebug ? debugInfo : undefined
+        };
+    }
+
+    /**
+     * Build the chain output from a FAQ answered verbatim
+     * A streaming caller receives the answer as a single chunk, unless the guardrail holds it
+     */
+    async _faqResult(faqMatch, faq, debugInfo, onToken = null, guardrail = null) {
+        const { answer } = faqMatch.faq;
+        const confidenceSignals = { contextsUsed: 1, topSimilarity: faqMatch.similarity };
+
+        const confidence = guardrail
+            ? await answerConfidenceService.assess(confidenceSignals, guardrail)
+            : null;
+
+        if (confidence) {
+            debugInfo.step6b_confidence = confidence;
+        }
+
+        if (typeof onToken === 'function' && confidence?.passed !== false) {
+            try {
+                onToken(answer, answer);
+            } catch (error) {
+                console.warn('⚠️ LizdeikaRAGChain: onToken handler failed:', error.message);
+            }
+        }
+
+        debugInfo.step7_finalResult = {
+            answerLength: answer.length,
+            sourcesProvided: 1,
+            contextsUsed: 1,
+            faq: true,
+            successful: true
+        };
+
+        if (this.verbose) {
+            console.log(`📌 LizdeikaRAGChain: Answered from FAQ "${faq.question}" (similarity ${faq.similarity})`);
+        }
+
+        return {
+            answer: answer,
+            sources: [`DUK: ${faq.question}`],
+            sourceUrls: [],
+            citations: [],
+            contextsUsed: 1,
+            confidenceSignals: confidenceSignals,
+            confidence: confidence,
+            cancelled: false,
+            servedBy: 'faq',
+            failedOver: false,
+            faq: faq,
+            debugInfo: this.includeDebug ? debugInfo : undefined
+        };
+    }
+
+    /**
+     * Invoke LLM with timeout protection, failing over along the chat models of the failover chain
+     * When onToken is provided the response is streamed and each chunk is forwarded
+     * With usage ({ feature, conversationId }) the tokens of each attempt are recorded per model
+     *
+     * @returns {Object} { content, cancelled?, servedBy, failedOver }
+     */
+    async _invokeWithTimeout(messages, runManager, managedPrompt = null, onToken = null, signal = null, usage = null) {
         // Prepare callback options with potential prompt linking
         const callbackOptions = {
             callbacks: [this.langfuseHandler]
@@ -433,11 +808,48 @@ class LizdeikaRAGChain extends BaseChain {
                 langfusePrompt: managedPrompt.managed.langfusePrompt
             };
         }
-        
-        const llmPromise = this.llm.invoke(messages, callbackOptions);
-        
+
+        // Once tokens reached the client another model cannot take over without duplicating them
+        let streamedTokens = false;
+        const trackedOnToken = typeof onToken === 'function'
+            ? (delta, content) => {
+                streamedTokens = true;
+                onToken(delta, content);
+            }
+            : null;
+
         try {
-            return await Promise.race([llmPromise, timeoutPromise]);
+            const { result, entry, failedOver } = await aiFailoverService.execute(
+                this._getFailoverEntries(),
+                async (entry, index) => {
+                    try {
+                        const llm = this._getModelForEntry(entry, index);
+                        const attemptOptions = usage
+                            ? {
+                                ...callbackOptions,
+                                callbacks: [
+                                    ...callbackOptions.callbacks,
+                                    llmUsageService.createCallbackHandler({ ...usage, provider: entry.provider })
+                                ]
+                            }
+                            : callbackOptions;
+                        return await this._invokeModel(llm, messages, attemptOptions, trackedOnToken, signal);
+                    } catch (error) {
+                        if (streamedTokens) {
+                            error.noFailover = true;
+                        }
+                        throw error;
+                    }
+                },
+                { source: 'rag_chain' }
+            );
+
+            return {
+                content: result.content,
+                cancelled: result.cancelled,
+                servedBy: entry.key,
+                failedOver
+            };
         } catch (error) {
             if (runManager) {
                 await runManager?.handleLLMError?.(error, messages);
@@ -446,10 +858,157 @@ class LizdeikaRAGChain extends BaseChain {
         }
     }
 
+    /**
+     * Single model call bounded by this.timeout; a timed out attempt is aborted so it
+     * cannot keep streaming tokens while the next model answers
+     */
+    async _invokeModel(llm, messages, callbackOptions, onToken = null, signal = null) {
+        const attempt = new AbortController();
+        const abortAttempt = () => attempt.abort();
+        if (signal?.aborted) {
+            attempt.abort();
+        } else {
+            signal?.addEventListener('abort', abortAttempt, { once: true });
+        }
+
+        let timer;
+        const timeoutPromise = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error(`LLM call timeout after ${this.timeout}ms`));
+                attempt.abort();
+            }, this.timeout);
+        });
+
+        const llmPromise = typeof onToken === 'function'
+            ? this._streamResponse(llm, messages, callbackOptions, onToken, attempt.signal)
+            : llm.invoke(messages, { ...callbackOptions, signal: attempt.signal });
+
+        try {
+            return await Promise.race([llmPromise, timeoutPromise]);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abortAttempt);
+        }
+    }
+
+    /**
+     * Chat-completion entries of the failover chain, starting with this chain's main model
+     */
+    _getFailoverEntries() {
+        const config = aiFailoverService.getEntryConfig(this.providerConfig, {
+            provider: this.providerName,
+            model: this.mainModelName
+        });
+        return aiFailoverService.getEntries(config).filter(entry => isChatCompletionProvider(entry.provider));
+    }
+
+    /**
+     * Chat model for a failover chain entry (the first entry is the main model)
+     */
+    _getModelForEntry(entry, index) {
+        if (index === 0) {
+            return this.llm;
+        }
+
+        if (!this.failoverModels.has(entry.key)) {
+            const entryConfig = aiFailoverService.getEntryConfig(this.providerConfig, entry);
+            this.failoverModels.set(entry.key, LizdeikaRAGChain.createChatModel(resolveChainModelConfig(entryConfig)));
+        }
+        return this.failoverModels.get(entry.key);
+    }
+
+    /**
+     * Stream LLM response, forwarding each chunk to onToken
+     * Resolves with the same shape as llm.invoke ({ content }), plus
+     * cancelled: true when the signal aborted generation midway
+     */
+    async _streamResponse(llm, messages, callbackOptions, onToken, signal = null) {
+        let content = '';
+
+        if (signal?.aborted) {
+            return { content, cancelled: true };
+        }
+
+        try {
+            const stream = await llm.stream(messages, { ...callbackOptions, signal: signal || undefined });
+
+            for await (const chunk of stream) {
+                if (signal?.aborted) break;
+
+                const delta = typeof chunk.content === 'string' ? chunk.content : '';
+                if (!delta) continue;
+
+                content += delta;
+                try {
+                    onToken(delta, content);
+                } catch (error) {
+                    // A failing listener must never break generation
+                    console.warn('⚠️ LizdeikaRAGChain: onToken handler failed:', error.message);
+                }
+            }
+        } catch (error) {
+            if (!signal?.aborted) throw error;
+        }
+
+        if (signal?.aborted) {
+            console.log(`⏹️ LizdeikaRAGChain: Generation cancelled after ${content.length} characters`);
+            return { content, cancelled: true };
+        }
+
+        return { content };
+    }
+
+    /**
+     * Describe where the system prompt came from, for logging
+     */
+    _describePromptSource(managedPrompt) {
+        if (!managedPrompt?.managed) return 'Hardcoded Fallback';
+        if (managedPrompt.managed.source === 'experiment') return `Experiment variant ${managedPrompt.experiment.variant}`;
+        if (managedPrompt.managed.source === 'local') return 'Local (versioned)';
+        return managedPrompt.managed.fromLangfuse ? 'Langfuse (managed)' : 'Environment Override';
+    }
+
+    /**
+     * Get the system prompt for a conversation
+     * While a prompt experiment runs, the conversation's variant replaces the configured prompt;
+     * the control variant keeps it. The result carries the assignment as `experiment`.
+     *
+     * @param {string|null} conversationId - Conversation ID, null outside conversations
+     */
+    async getManagedPrompt(conversationId = null) {
+        let assignment = null;
+        try {
+            assignment = await promptExperimentService.getAssignment(conversationId);
+        } catch (error) {
+            console.warn('Failed to get prompt experiment assignment:', error.message);
+        }
+
+        if (!assignment) {
+            return this.getConfiguredPrompt();
+        }
+
+        const experiment = { experimentId: assignment.experimentId, variant: assignment.variant };
+        const prompt = assignment.content
+            ? getExperimentPromptManaged(assignment, 'lizdeika-rag-system')
+            : await this.getConfiguredPrompt();
+        return { ...prompt, experiment };
+    }
+
     /**
      * Get managed system prompt from Langfuse with fallback
+     * In local prompt mode the active local version is used, looked up on every call so that
+     * saves and rollbacks apply to the next answer
      */
-    async getManagedPrompt() {
+    async getConfiguredPrompt() {
+        try {
+            const localPrompt = await getLocalPromptManaged('system', 'lizdeika-rag-system');
+            if (localPrompt) {
+                return localPrompt;
+            }
+        } catch (error) {
+            console.warn('Failed to get local system prompt, using managed prompt:', error.message);
+        }
+
         if (!this.managedPrompt) {
             try {
                 this.managedPrompt = await getSystemPromptManaged();
@@ -514,7 +1073,8 @@ class LizdeikaRAGChain extends BaseChain {
      */
     getConfig() {
         return {
-            llmModel: process.env.OPENROUTER_MODEL || "google/gemini-2.5-flash",
+            llmModel: this.mainModelName,
+            provider: this.providerName,
             retrievalK: this.retriever.k,
             enableRephrasing: this.enableRephrasing,
             showSources: this.showSources,
@@ -549,6 +1109,27 @@ class LizdeikaRAGChain extends BaseChain {
         return this;
     }
 
+    /**
+     * Create the main chat model from a resolved provider config
+     */
+    static createChatModel(chatConfig) {
+        if (chatConfig.provider === 'mock') {
+            return new MockChatModel({ mock: chatConfig.mock, scope: 'chat' });
+        }
+
+        return new ChatOpenAI({
+            model: chatConfig.model,
+            apiKey: chatConfig.apiKey,
+            configuration: {
+                baseURL: chatConfig.baseURL,
+                defaultHeaders: chatConfig.headers
+            },
+            temperature: 0.2,
+            streaming: false,
+            maxRetries: chatConfig.maxRetries
+        });
+    }
+
     /**
      * Update AI provider configuration dynamically
      */
@@ -556,6 +1137,8 @@ class LizdeikaRAGChain extends BaseChain {
         // Store current config for rollback (both LLM and env vars)
         const previousConfig = {
             model: this.mainModelName,
+            provider: this.providerName,
+            chatConfig: this.chatConfig,
             llm: this.llm,
             env: {
                 OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY,
@@ -565,89 +1148,68 @@ class LizdeikaRAGChain extends BaseChain {
             }
         };
 
-        try {
-            let needsRecreation = false;
-
-            // Update environment variables
-            if (providerConfig.OPENROUTER_API_KEY && providerConfig.OPENROUTER_API_KEY !== process.env.OPENROUTER_API_KEY) {
-                process.env.OPENROUTER_API_KEY = providerConfig.OPENROUTER_API_KEY;
-                needsRecreation = true;
-            }
-
-            if (providerConfig.OPENROUTER_MODEL && providerConfig.OPENROUTER_MODEL !== process.env.OPENROUTER_MODEL) {
-                process.env.OPENROUTER_MODEL = providerConfig.OPENROUTER_MODEL;
-                needsRecreation = true;
+        const restoreEnv = () => {
+            for (const [key, value] of Object.entries(previousConfig.env)) {
+                if (value === undefined) {
+                    delete process.env[key];
+                } else {
+                    process.env[key] = value;
+                }
             }
+        };
 
-            if (providerConfig.SITE_URL) {
-                process.env.SITE_URL = providerConfig.SITE_URL;
-                needsRecreation = true;
+        try {
+            // Keep OpenRouter environment variables in sync for modules that still read them
+            for (const key of Object.keys(previousConfig.env)) {
+                if (providerConfig[key]) {
+                    process.env[key] = providerConfig[key];
+                }
             }
 
-            if (providerConfig.SITE_NAME) {
-                process.env.SITE_NAME = providerConfig.SITE_NAME;
-                needsRecreation = true;
-            }
+            const chatConfig = resolveChainModelConfig(providerConfig);
+            const needsRecreation = chatModelSignature(chatConfig) !== chatModelSignature(this.chatConfig);
 
             // Recreate main LLM if needed
             if (needsRecreation) {
-                const mainModel = process.env.OPENROUTER_MODEL || "google/gemini-2.5-flash";
-                const newLLM = new ChatOpenAI({
-                    model: mainModel,
-                    apiKey: process.env.OPENROUTER_API_KEY,
-                    configuration: {
-                        baseURL: "https://openrouter.ai/api/v1",
-                        defaultHeaders: {
-                            "HTTP-Referer": process.env.SITE_URL || "http://localhost:3002",
-                            "X-Title": process.env.SITE_NAME || "Vilnius Chatbot"
-                        }
-                    },
-                    temperature: 0.2,
-                    streaming: false
-                });
+                const newLLM = LizdeikaRAGChain.createChatModel(chatConfig);
 
                 // Test the new LLM with a simple call before committing
                 try {
                     await newLLM.invoke([{ role: "user", content: "test" }]);
                     this.llm = newLLM;
-                    this.mainModelName = mainModel;
+                    this.mainModelName = chatConfig.model;
+                    this.providerName = chatConfig.provider;
+                    this.chatConfig = chatConfig;
                 } catch (testError) {
                     console.error('❌ New LLM configuration failed test:', testError.message);
                     // Restore previous LLM
                     this.llm = previousConfig.llm;
                     this.mainModelName = previousConfig.model;
-                    // Restore environment variables
-                    process.env.OPENROUTER_API_KEY = previousConfig.env.OPENROUTER_API_KEY;
-                    process.env.OPENROUTER_MODEL = previousConfig.env.OPENROUTER_MODEL;
-                    process.env.SITE_URL = previousConfig.env.SITE_URL;
-                    process.env.SITE_NAME = previousConfig.env.SITE_NAME;
+                    this.providerName = previousConfig.provider;
+                    this.chatConfig = previousConfig.chatConfig;
+                    restoreEnv();
                     throw new Error(`Invalid LLM configuration: ${testError.message}`);
                 }
 
                 console.log('🔧 LizdeikaRAGChain: Updated main LLM configuration');
-                console.log(`   Model: ${mainModel}`);
-                console.log(`   API Key: ${process.env.OPENROUTER_API_KEY ? 'Set' : 'Not set'}`);
+                console.log(`   Provider: ${chatConfig.provider} (${chatConfig.baseURL})`);
+                console.log(`   Model: ${chatConfig.model}`);
+                console.log(`   API Key: ${chatConfig.apiKey ? 'Set' : 'Not set'}`);
             }
 
-            // Update rephrasing chain if needed
-            if (providerConfig.REPHRASING_MODEL) {
-                await this.rephraseChain.updateConfiguration({
-                    rephrasingModel: providerConfig.REPHRASING_MODEL,
-                    apiKey: providerConfig.OPENROUTER_API_KEY,
-                    siteUrl: providerConfig.SITE_URL,
-                    siteName: providerConfig.SITE_NAME
-                });
-            }
+            // Update rephrasing chain (it recreates its LLM only when something changed)
+            await this.rephraseChain.updateConfiguration(providerConfig);
+
+            // Failover models are rebuilt from the new configuration on next use
+            this.providerConfig = providerConfig;
+            this.failoverModels.clear();
 
             return { success: true, recreated: needsRecreation };
         } catch (error) {
             console.error('❌ Error updating provider configuration:', error);
 
             // Restore environment variables on failure
-            process.env.OPENROUTER_API_KEY = previousConfig.env.OPENROUTER_API_KEY;
-            process.env.OPENROUTER_MODEL = previousConfig.env.OPENROUTER_MODEL;
-            process.env.SITE_URL = previousConfig.env.SITE_URL;
-            process.env.SITE_NAME = previousConfig.env.SITE_NAME;
+            restoreEnv();
 
             return { success: false, error: error.message };
         }
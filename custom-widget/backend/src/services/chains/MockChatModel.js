@@ -0,0 +1,131 @@
+/**
+ * Mock Chat Model - Deterministic LangChain chat model for offline development
+ *
+ * Drop-in replacement for ChatOpenAI used by LizdeikaRAGChain and
+ * QueryRephraseChain when the AI provider is set to 'mock'.
+ *
+ * Features:
+ * - Answers from regex fixtures (see MockResponder in ai-providers.js)
+ * - Matches rules against the last user message
+ * - Configurable latency and deterministic error injection
+ * - Word-by-word streaming so token streaming paths can be exercised
+ * - Optional echo mode (used for query rephrasing: unmatched queries pass through)
+ * - bindTools: 'tools' scope rules answer with [{ name, args }] tool calls
+ */
+
+const { BaseChatModel } = require("@langchain/core/language_models/chat_models");
+const { AIMessage, AIMessageChunk } = require("@langchain/core/messages");
+const { ChatGenerationChunk } = require("@langchain/core/outputs");
+const { getMockResponder } = require('../../../ai-providers');
+
+/**
+ * Extract plain text from a LangChain message or { role, content } object
+ */
+function getMessageText(message) {
+    const content = message?.content;
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+    }
+    return '';
+}
+
+/**
+ * Whether a message was written by the user (LangChain message classes or plain objects)
+ */
+function isUserMessage(message) {
+    const type = typeof message?._getType === 'function' ? message._getType() : message?.role;
+    return type === 'human' || type === 'user';
+}
+
+class MockChatModel extends BaseChatModel {
+    static lc_name() {
+        return "MockChatModel";
+    }
+
+    constructor(options = {}) {
+        super(options);
+        this.model = 'mock';
+        this.temperature = 0;
+        this.scope = options.scope || 'chat';
+        this.echo = options.echo || false;
+        this.mockOptions = options.mock || {};
+        this.boundTools = options.boundTools || null;
+        this.responder = getMockResponder(this.mockOptions);
+    }
+
+    _llmType() {
+        return "mock";
+    }
+
+    /**
+     * Resolve the scripted response for a conversation
+     */
+    async _respond(messages) {
+        const userMessages = messages.filter(isUserMessage);
+        const text = getMessageText(userMessages[userMessages.length - 1] || messages[messages.length - 1]);
+
+        return this.responder.respond(text, {
+            scope: this.scope,
+            fallback: this.echo ? text : undefined
+        });
+    }
+
+    /**
+     * Model that answers with the tool calls scripted for the 'tools' scope
+     *
+     * @param {Array} tools - Function definitions ({ type: 'function', function: { name } }) or named tools
+     */
+    bindTools(tools) {
+        return new MockChatModel({
+            mock: this.mockOptions,
+            scope: 'tools',
+            boundTools: tools.map(tool => tool.function?.name || tool.name)
+        });
+    }
+
+    /**
+     * Scripted tool calls limited to the bound tools; no matching rule means no calls
+     */
+    async _respondWithToolCalls(messages) {
+        const userMessages = messages.filter(isUserMessage);
+        const text = getMessageText(userMessages[userMessages.length - 1] || messages[messages.length - 1]);
+        const calls = await this.responder.respond(text, { scope: 'tools', fallback: null });
+
+        const toolCalls = (Array.isArray(calls) ? calls : [])
+            .filter(call => this.boundTools.includes(call?.name))
+            .map((call, index) => ({ id: `mock_call_${index}`, name: call.name, args: call.args || {}, type: 'tool_call' }));
+
+        return new AIMessage({ content: '', tool_calls: toolCalls });
+    }
+
+    async _generate(messages) {
+        if (this.boundTools) {
+            const message = await this._respondWithToolCalls(messages);
+            return { generations: [{ text: '', message }], llmOutput: {} };
+        }
+
+        const text = await this._respond(messages);
+        return {
+            generations: [{ text, message: new AIMessage(text) }],
+            llmOutput: {}
+        };
+    }
+
+    async *_streamResponseChunks(messages, options, runManager) {
+        const text = await this._respond(messages);
+
+        // Stream word by word, keeping whitespace attached to the following word
+        for (const token of text.match(/\s*\S+/g) || []) {
+            if (options?.signal?.aborted) return;
+
+            yield new ChatGenerationChunk({
+                text: token,
+                message: new AIMessageChunk({ content: token })
+            });
+            await runManager?.handleLLMNewToken(token);
+        }
+    }
+}
+
+module.exports = MockChatModel;
@@ -10,6 +10,8 @@
  * - Conditional rephrasing (only when needed)
  * - Lithuanian language optimization
  * - Debug information capture
+ * - Token usage recorded as the 'rephrase' feature, linked to the conversation
+ * - Works with OpenRouter, any OpenAI-compatible endpoint or the offline mock model
  */
 
 const { LLMChain } = require("langchain/chains");
@@ -18,31 +20,26 @@ const { CallbackHandler } = require("langfuse-langchain");
 const {
     createRephrasePrompt,
     formatChatHistory,
-    getRephrasePromptManaged
+    getRephrasePromptManaged,
+    getLocalPromptManaged
 } = require('./LizdeikaPrompts');
-const { createLogger } = require('../../../utils/logger');
+const { resolveChatModelConfig } = require('../../../ai-providers');
+const MockChatModel = require('./MockChatModel');
+const llmUsageService = require('../llmUsageService');
+const { createLogger } = require('../../utils/logger');
 const logger = createLogger('QueryRephraseChain');
 
 class QueryRephraseChain extends LLMChain {
     constructor(options = {}) {
         // Use provided config or fall back to options/env vars
-        const config = options.providerConfig || {};
-        const rephrasingModel = config.REPHRASING_MODEL || options.rephrasingModel || process.env.REPHRASING_MODEL || "google/gemini-2.5-flash-lite";
+        const providerConfig = options.providerConfig || {};
+        const chatConfig = resolveChatModelConfig(providerConfig);
+        const rephrasingModel = chatConfig.provider === 'openrouter'
+            ? providerConfig.REPHRASING_MODEL || options.rephrasingModel || chatConfig.rephrasingModel
+            : chatConfig.rephrasingModel;
 
         // Create the rephrasing model (using configurable model)
-        const rephraseModel = new ChatOpenAI({
-            model: rephrasingModel,
-            apiKey: config.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY,
-            configuration: {
-                baseURL: "https://openrouter.ai/api/v1",
-                defaultHeaders: {
-                    "HTTP-Referer": config.SITE_URL || process.env.SITE_URL || "http://localhost:3002",
-                    "X-Title": config.SITE_NAME || process.env.SITE_NAME || "Vilnius Chatbot"
-                }
-            },
-            temperature: 0.1, // Low temperature for consistent rephrasing
-            streaming: false
-        });
+        const rephraseModel = QueryRephraseChain.createChatModel(chatConfig, rephrasingModel);
 
         super({
             llm: rephraseModel,
@@ -55,6 +52,7 @@ class QueryRephraseChain extends LLMChain {
         this.skipRephrasing = options.skipRephrasing || false;
         this.minHistoryLength = options.minHistoryLength || 1;
         this.rephrasingModel = rephrasingModel;
+        this.chatConfig = { ...chatConfig, rephrasingModel };
         this.managedPrompt = null; // Cached managed prompt
 
         // Initialize Langfuse callback handler for query rephrasing observability
@@ -71,8 +69,18 @@ class QueryRephraseChain extends LLMChain {
 
     /**
      * Get managed rephrase prompt from Langfuse with fallback
+     * In local prompt mode the active local processing prompt version is used, looked up on every call
      */
     async getManagedPrompt() {
+        try {
+            const localPrompt = await getLocalPromptManaged('processing', 'lizdeika-query-rephrase');
+            if (localPrompt) {
+                return localPrompt;
+            }
+        } catch (error) {
+            logger.warn('Failed to get local rephrase prompt, using managed prompt:', error.message);
+        }
+
         if (!this.managedPrompt) {
             try {
                 this.managedPrompt = await getRephrasePromptManaged();
@@ -97,11 +105,12 @@ class QueryRephraseChain extends LLMChain {
      * @param {Object} inputs - Chain inputs
      * @param {string} inputs.question - Original user question
      * @param {Array} inputs.chat_history - Conversation history as array of [user, assistant] pairs
+     * @param {string} [inputs.conversationId] - Conversation the LLM usage is linked to
      * @param {Object} runManager - LangChain run manager for callbacks
      * @returns {Object} Chain output with rephrased_query
      */
     async _call(inputs, runManager) {
-        const { question, chat_history = [] } = inputs;
+        const { question, chat_history = [], conversationId = null } = inputs;
 
         // Initialize debug information
         const debugInfo = {
@@ -168,7 +177,14 @@ class QueryRephraseChain extends LLMChain {
 
             // Prepare callback options with potential prompt linking
             const callbackOptions = {
-                callbacks: [this.langfuseHandler]
+                callbacks: [
+                    this.langfuseHandler,
+                    llmUsageService.createCallbackHandler({
+                        feature: 'rephrase',
+                        provider: this.chatConfig?.provider || null,
+                        conversationId
+                    })
+                ]
             };
 
             // Add prompt metadata if available for trace linking
@@ -180,7 +196,17 @@ class QueryRephraseChain extends LLMChain {
 
             // If we have a managed prompt, use it directly with the LLM
             let result;
-            if (managedPrompt?.managed && managedPrompt.managed.fromLangfuse) {
+            if (this.chatConfig?.provider === 'mock') {
+                // The mock model matches fixtures against the bare question, not the full prompt
+                const llmResponse = await this.llm.invoke([
+                    { role: "user", content: question }
+                ], callbackOptions);
+
+                result = {
+                    rephrased_query: llmResponse.content || question,
+                    text: llmResponse.content || question
+                };
+            } else if (managedPrompt?.managed && (managedPrompt.managed.fromLangfuse || managedPrompt.managed.source === 'local')) {
                 // Use managed prompt content directly
                 const compiledPrompt = managedPrompt.managed.compile({
                     question: question,
@@ -197,11 +223,17 @@ class QueryRephraseChain extends LLMChain {
                     text: llmResponse.content || llmResponse.text || question
                 };
             } else {
-                // Call the parent LLMChain with formatted inputs and Langfuse callback
-                result = await super._call({
+                // Format the built-in prompt and call the LLM with the callbacks (LLMChain._call would drop them)
+                const promptValue = await this.prompt.formatPromptValue({
                     question: question,
                     chat_history: formattedHistory
-                }, runManager, callbackOptions);
+                });
+                const llmResponse = await this.llm.invoke(promptValue, callbackOptions);
+
+                result = {
+                    rephrased_query: llmResponse.content || question,
+                    text: llmResponse.content || question
+                };
             }
 
             const rephrasedQuery = result.rephrased_query || result.text || question;
@@ -213,8 +245,10 @@ class QueryRephraseChain extends LLMChain {
             debugInfo.model = this.rephrasingModel;
             debugInfo.temperature = 0.1;
             debugInfo.promptSource = managedPrompt?.managed?.fromLangfuse ? 'langfuse' : 
-                                  (managedPrompt?.managed?.source === '.env override' ? 'env' : 'hardcoded');
-            debugInfo.promptVersion = managedPrompt?.managed?.version || null;
+                                  (managedPrompt?.managed?.source === '.env override' ? 'env' :
+                                  (managedPrompt?.managed?.source === 'local' ? 'local' : 'hardcoded'));
+            debugInfo.promptVersion = managedPrompt?.managed?.version || managedPrompt?.promptVersion?.version || null;
+            debugInfo.promptVersionId = managedPrompt?.promptVersion?.id || null;
             debugInfo.successful = true;
 
             if (this.verbose) {
@@ -335,67 +369,64 @@ class QueryRephraseChain extends LLMChain {
         return this;
     }
 
+    /**
+     * Create the rephrasing chat model from a resolved provider config
+     */
+    static createChatModel(chatConfig, model) {
+        if (chatConfig.provider === 'mock') {
+            // Unmatched questions are echoed back, i.e. left un-rephrased
+            return new MockChatModel({ mock: chatConfig.mock, scope: 'rephrase', echo: true });
+        }
+
+        return new ChatOpenAI({
+            model,
+            apiKey: chatConfig.apiKey,
+            configuration: {
+                baseURL: chatConfig.baseURL,
+                defaultHeaders: chatConfig.headers
+            },
+            temperature: 0.1, // Low temperature for consistent rephrasing
+            streaming: false
+        });
+    }
+
     /**
      * Update AI provider configuration dynamically
      * Accepts both camelCase and UPPERCASE config keys
      */
     async updateConfiguration(config) {
         try {
-            let needsRecreation = false;
-
             // Normalize config keys - accept both camelCase and UPPERCASE
-            const rephrasingModel = config.rephrasingModel || config.REPHRASING_MODEL;
-            const apiKey = config.apiKey || config.OPENROUTER_API_KEY;
-            const siteUrl = config.siteUrl || config.SITE_URL;
-            const siteName = config.siteName || config.SITE_NAME;
-
-            // Check if rephrasing model changed
-            if (rephrasingModel && rephrasingModel !== this.rephrasingModel) {
-                this.rephrasingModel = rephrasingModel;
-                process.env.REPHRASING_MODEL = rephrasingModel;
-                needsRecreation = true;
-            }
-
-            // Check if API key changed
-            if (apiKey && apiKey !== process.env.OPENROUTER_API_KEY) {
-                process.env.OPENROUTER_API_KEY = apiKey;
-                needsRecreation = true;
-            }
+            const providerConfig = {
+                ...config,
+                REPHRASING_MODEL: config.rephrasingModel || config.REPHRASING_MODEL,
+                OPENROUTER_API_KEY: config.apiKey || config.OPENROUTER_API_KEY,
+                SITE_URL: config.siteUrl || config.SITE_URL,
+                SITE_NAME: config.siteName || config.SITE_NAME
+            };
 
-            // Check if site URL changed
-            if (siteUrl && siteUrl !== process.env.SITE_URL) {
-                process.env.SITE_URL = siteUrl;
-                needsRecreation = true;
-            }
+            // Keep OpenRouter environment variables in sync for modules that still read them
+            if (providerConfig.REPHRASING_MODEL) process.env.REPHRASING_MODEL = providerConfig.REPHRASING_MODEL;
+            if (providerConfig.OPENROUTER_API_KEY) process.env.OPENROUTER_API_KEY = providerConfig.OPENROUTER_API_KEY;
+            if (providerConfig.SITE_URL) process.env.SITE_URL = providerConfig.SITE_URL;
+            if (providerConfig.SITE_NAME) process.env.SITE_NAME = providerConfig.SITE_NAME;
 
-            // Check if site name changed
-            if (siteName && siteName !== process.env.SITE_NAME) {
-                process.env.SITE_NAME = siteName;
-                needsRecreation = true;
-            }
+            const chatConfig = resolveChatModelConfig(providerConfig);
+            const needsRecreation = JSON.stringify(chatConfig) !== JSON.stringify(this.chatConfig);
 
             // Recreate LLM if configuration changed
             if (needsRecreation) {
-                this.llm = new ChatOpenAI({
-                    model: this.rephrasingModel,
-                    apiKey: process.env.OPENROUTER_API_KEY,
-                    configuration: {
-                        baseURL: "https://openrouter.ai/api/v1",
-                        defaultHeaders: {
-                            "HTTP-Referer": process.env.SITE_URL || "http://localhost:3002",
-                            "X-Title": process.env.SITE_NAME || "Vilnius Chatbot"
-                        }
-                    },
-                    temperature: 0.1,
-                    streaming: false
-                });
+                this.chatConfig = chatConfig;
+                this.rephrasingModel = chatConfig.rephrasingModel;
+                this.llm = QueryRephraseChain.createChatModel(chatConfig, this.rephrasingModel);
 
                 // Reset managed prompt cache to force reload
                 this.managedPrompt = null;
 
                 logger.info('🔧 QueryRephraseChain: Updated configuration');
+                logger.info(`   Provider: ${chatConfig.provider}`);
                 logger.info(`   Rephrasing Model: ${this.rephrasingModel}`);
-                logger.info(`   API Key: ${process.env.OPENROUTER_API_KEY ? 'Set' : 'Not set'}`);
+                logger.info(`   API Key: ${chatConfig.apiKey ? 'Set' : 'Not set'}`);
             }
 
             return { success: true, recreated: needsRecreation };
@@ -1,163 +1,217 @@
 /**
  * Chroma DB Service - Vector Database Operations
  * 
- * This service manages the connection and operations with Chroma DB Cloud,
- * a hosted vector database service used for semantic search in the RAG system.
+ * This service manages the connection and operations with the configured vector store,
+ * used for semantic search in the RAG system. The name is kept from the original
+ * Chroma-only implementation so existing callers work unchanged on every backend.
  * 
  * Key Features:
- * - Chroma DB Cloud client connection and authentication
+ * - Pluggable vector store: Chroma Cloud, a self-hosted Chroma server or pgvector in PostgreSQL
  * - Vector collection management with HNSW indexing
  * - Document embedding, storage, and retrieval operations
- * - Mistral embeddings integration (1024-dimensional vectors)
+ * - Pluggable embedding providers (Mistral, OpenAI-compatible, local) recorded on the collection
+ * - Mirrors writes into the target collection while an embedding migration runs
  * - Batch operations for efficient document processing
  * - Similarity search with configurable k parameter
+ * - Keeps the BM25 keyword index in sync with chunk upserts and deletions
  * 
  * Dependencies:
- * - chromadb - Official Chroma DB client library
- * - mistralEmbeddingFunction - Custom Mistral AI embedding provider
- * - Chroma DB Cloud - Hosted vector database service
+ * - vectorStores - Chroma and pgvector store backends
+ * - embeddings - Mistral and OpenAI-compatible embedding providers
+ * - SettingsService - Embedding provider and active collection (category 'embeddings')
  * 
  * Environment Variables:
- * - CHROMA_URL - Chroma DB Cloud endpoint URL
+ * - VECTOR_STORE - 'chroma-cloud' (default), 'chroma' (self-hosted server) or 'pgvector'
+ * - VECTOR_COLLECTION - Initial collection name (default 'lizdeika-collection-2025'),
+ *   later tracked by the active_vector_collection setting
+ * - EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_BASE_URL, EMBEDDING_API_KEY - Embedding fallbacks
+ * - CHROMA_URL - Chroma server URL for the 'chroma' backend
  * - CHROMA_TENANT - Tenant identifier for multi-tenancy
  * - CHROMA_DATABASE - Database name within tenant
- * - CHROMA_AUTH_TOKEN - Authentication token for cloud access
+ * - CHROMA_API_KEY - API key for Chroma Cloud
+ * - CHROMA_AUTH_TOKEN - Optional token for a self-hosted Chroma server
  * - MISTRAL_API_KEY - API key for Mistral embedding service
  * 
  * Collection Configuration:
- * - Name: 'vilnius-knowledge-base-mistral-1024'
- * - Embedding: Mistral-embed model (1024 dimensions)
+ * - Name: active_vector_collection setting
+ * - Embedding: Provider, model and dimension recorded as collection metadata
  * - Distance: Cosine similarity
- * - Index: HNSW (ef_construction=200, ef_search=100)
+ * - Index: HNSW (ef_construction=200, ef_search=100 on Chroma)
  * 
  * @author AI Assistant System
- * @version 1.0.0
+ * @version 1.1.0
  */
-const { CloudClient } = require("chromadb");
-const MistralEmbeddingFunction = require('./mistralEmbeddingFunction');
+const keywordIndexService = require('./keywordIndexService');
+const { createVectorStore } = require('./vectorStores');
+const {
+    createEmbeddingProvider,
+    describeEmbeddingProvider,
+    isSameEmbedding,
+    toCollectionMetadata,
+    fromCollectionMetadata,
+    LEGACY_DESCRIPTOR
+} = require('./embeddings');
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('chromaService');
 
+const DEFAULT_COLLECTION_NAME = 'lizdeika-collection-2025';
+
 class ChromaService {
     constructor() {
-        this.client = null;
-        this.collection = null;
-        this.collectionName = 'lizdeika-collection-2025';
+        this.store = null;
+        this.collectionName = process.env.VECTOR_COLLECTION || DEFAULT_COLLECTION_NAME;
         this.isConnected = false;
         this.embeddingFunction = null;
+        // { provider, model, dimension, baseUrl } recorded on the active collection
+        this.embedding = null;
+        // Target of a running embedding migration; writes are mirrored into it
+        this.migration = null;
+        this.settingsService = null;
+    }
+
+    getSettingsService() {
+        if (!this.settingsService) {
+            const SettingsService = require('./settingsService');
+            this.settingsService = new SettingsService();
+        }
+        return this.settingsService;
+    }
+
+    /**
+     * Load embedding settings (category 'embeddings', environment fallback)
+     */
+    async loadEmbeddingSettings() {
+        const settingsService = this.getSettingsService();
+        const get = (key) => settingsService.getSetting(key, 'embeddings');
+
+        return {
+            provider: await get('embedding_provider') || 'mistral',
+            model: await get('embedding_model') || '',
+            baseUrl: await get('embedding_base_url') || '',
+            apiKey: await get('embedding_api_key') || '',
+            activeCollection: await get('active_vector_collection') || DEFAULT_COLLECTION_NAME
+        };
+    }
+
+    /**
+     * Create the embedding provider for a collection's recorded embeddings.
+     * Credentials come from the settings when they are for the same provider.
+     */
+    createEmbeddingFunctionFor(descriptor, settings) {
+        const sameProvider = descriptor.provider === settings.provider;
+        return createEmbeddingProvider({
+            provider: descriptor.provider,
+            model: descriptor.model,
+            baseUrl: descriptor.baseUrl || (sameProvider ? settings.baseUrl : ''),
+            apiKey: sameProvider ? settings.apiKey : process.env.EMBEDDING_API_KEY
+        });
     }
 
     /**
-     * Initialize connection to Chroma Cloud with Mistral embeddings
+     * Initialize connection to the configured vector store.
+     * The active collection is always queried with the embeddings recorded on it, even when
+     * the settings name another provider; switching requires an embedding migration.
      */
     async initialize() {
         try {
             console.log('[ChromaService] initialize() called');
-            logger.info(`Chroma Config: URL=${process.env.CHROMA_URL}, Tenant=${process.env.CHROMA_TENANT}, Database=${process.env.CHROMA_DATABASE}`);
-            this.client = new CloudClient({
-                url: process.env.CHROMA_URL || "https://api.trychroma.com",
-                apiKey: process.env.CHROMA_API_KEY,
-                tenant: process.env.CHROMA_TENANT,
-                database: process.env.CHROMA_DATABASE
-            });
-            logger.info('CloudClient created successfully');
-
-            // Initialize Mistral embedding function
-            try {
-                this.embeddingFunction = new MistralEmbeddingFunction();
-            } catch (error) {
-                logger.warn('Mistral embeddings not available, falling back to default:', error.message);
-                this.embeddingFunction = null;
-            }
-
-            // Collection configuration with optimized HNSW settings
-            const collectionConfig = {
-                name: this.collectionName,
-                configuration: {
-                    hnsw: {
-                        space: "cosine",        // Best for text embeddings
-                        ef_construction: 200,   // Higher quality index
-                        ef_search: 100,         // Better recall
-                        max_neighbors: 32       // Denser graph for better accuracy
-                    }
+            const settings = await this.loadEmbeddingSettings();
+            const store = createVectorStore(process.env.VECTOR_STORE, { collectionName: settings.activeCollection });
+            logger.info(`Vector store: ${store.description}`);
+
+            await store.connect();
+            const recorded = await store.getCollectionMetadata();
+
+            let embedding = fromCollectionMetadata(recorded);
+            let embeddingFunction;
+            if (!recorded) {
+                // New collection: build it with the configured provider
+                embeddingFunction = createEmbeddingProvider(settings);
+                embedding = await describeEmbeddingProvider(embeddingFunction);
+            } else {
+                // Existing collection: keep serving it with the embeddings it was built with
+                if (!embedding) {
+                    logger.warn(`Collection ${settings.activeCollection} has no embedding metadata, assuming ${LEGACY_DESCRIPTOR.model}`);
+                    embedding = LEGACY_DESCRIPTOR;
                 }
-            };
-
-            // Add embedding function if Mistral is available
-            if (this.embeddingFunction) {
-                // For Chroma, we need to use their embedding function format
-                // Since Mistral isn't built-in, we'll handle embeddings manually
-                logger.info('Using Mistral embeddings with manual embedding generation');
+                embeddingFunction = this.createEmbeddingFunctionFor(embedding, settings);
             }
 
             // Get or create collection
-            logger.info(`Getting or creating collection: ${this.collectionName}`);
-            this.collection = await this.client.getOrCreateCollection(collectionConfig);
+            logger.info(`Getting or creating collection: ${settings.activeCollection}`);
+            await store.openCollection(toCollectionMetadata(embedding));
             logger.info('Collection retrieved successfully');
 
+            this.store = store;
+            this.collectionName = settings.activeCollection;
+            this.embeddingFunction = embeddingFunction;
+            this.embedding = embedding;
             this.isConnected = true;
-            logger.info(`Connected to Chroma Cloud - Collection: ${this.collectionName}`);
-            logger.info(`Embedding function: ${this.embeddingFunction ? 'Mistral-embed' : 'Default'}`);
-            logger.info(`HNSW configuration: cosine similarity, ef_construction=200, ef_search=100`);
+            logger.info(`Connected to ${store.description} - Collection: ${this.collectionName}`);
+            logger.info(`Embeddings: ${embedding.provider} ${embedding.model} (${embedding.dimension} dimensions)`);
+
+            if (!isSameEmbedding(embedding, { provider: settings.provider, model: settings.model || embedding.model })) {
+                logger.warn(`Configured embeddings (${settings.provider}) differ from the active collection; run an embedding migration to switch`);
+            }
             
             return true;
         } catch (error) {
             console.log('[ChromaService] Error during initialize:', error.message);
-            logger.error('Failed to initialize Chroma DB:', error);
+            logger.error('Failed to initialize vector store:', error);
             this.isConnected = false;
             return false;
         }
     }
 
     /**
-     * Add documents to the knowledge base with Mistral embeddings
+     * Add documents to the knowledge base with the active collection's embeddings
      */
     async addDocuments(documents) {
-        if (!this.isConnected || !this.collection) {
-            throw new Error('Chroma DB not connected');
+        if (!this.isConnected || !this.store) {
+            throw new Error('Vector store not connected');
         }
 
+        // Read once so a collection swap mid-write never mixes embeddings and collections
+        const { store, embeddingFunction, embedding, migration } = this;
+
         try {
             const ids = documents.map(doc => doc.id);
             const texts = documents.map(doc => doc.content);
             const metadatas = documents.map(doc => doc.metadata || {});
 
-            let embeddings = null;
-
-            // Generate Mistral embeddings if available
-            if (this.embeddingFunction) {
-                try {
-                    embeddings = await this.embeddingFunction.generate(texts);
-                    logger.info(`Generated ${embeddings.length} Mistral embeddings`);
-                } catch (error) {
-                    logger.warn('Failed to generate Mistral embeddings:', error.message);
-                    
-                    // If error is about chunk size, propagate it to trigger re-chunking
-                    if (error.message.includes('too large') || error.message.includes('32,000') || error.message.includes('8000 tokens')) {
-                        throw new Error(`Chunk size error for re-chunking: ${error.message}`);
-                    }
-                    
-                    // For other errors, continue with default embeddings
-                    logger.warn('Using default embeddings instead');
-                    embeddings = null;
+            let embeddings;
+            try {
+                embeddings = await embeddingFunction.generate(texts);
+                logger.info(`Generated ${embeddings.length} ${embedding.provider} embeddings`);
+            } catch (error) {
+                logger.warn(`Failed to generate ${embedding.provider} embeddings:`, error.message);
+
+                // If error is about chunk size, propagate it to trigger re-chunking
+                if (error.message.includes('too large') || error.message.includes('32,000') || error.message.includes('8000 tokens')) {
+                    throw new Error(`Chunk size error for re-chunking: ${error.message}`);
                 }
+
+                // Never fall back to another embedding model: its vectors would not be comparable
+                throw error;
             }
 
-            // Upsert with or without custom embeddings
-            const upsertData = {
+            await store.upsert({
                 ids: ids,
                 documents: texts,
-                metadatas: metadatas
-            };
-
-            if (embeddings) {
-                upsertData.embeddings = embeddings;
+                metadatas: metadatas,
+                embeddings: embeddings
+            });
+            keywordIndexService.addDocuments(documents.map(doc => ({
+                id: doc.id,
+                content: doc.content,
+                metadata: doc.metadata || {}
+            })));
+
+            if (migration) {
+                await this.mirrorToMigration(migration, documents);
             }
 
-            await this.collection.upsert(upsertData);
-
-            const embeddingType = embeddings ? 'Mistral' : 'default';
-            logger.info(`Added ${documents.length} documents to knowledge base with ${embeddingType} embeddings`);
+            logger.info(`Added ${documents.length} documents to knowledge base with ${embedding.model} embeddings`);
             return true;
         } catch (error) {
             logger.error('Failed to add documents:', error);
@@ -172,97 +226,142 @@ class ChromaService {
     }
 
     /**
-     * Search for relevant context based on query with Mistral embeddings
+     * Start mirroring writes into a migration target collection
+     *
+     * @param {Object} migration - { store, embeddingFunction, embedding, copiedIds: Set, error,
+     *   exclusive(fn) } where exclusive serializes writes to the target with the migration's copy batches
+     */
+    beginMigration(migration) {
+        this.migration = migration;
+    }
+
+    endMigration() {
+        this.migration = null;
+    }
+
+    /**
+     * Re-embed freshly added chunks into the migration target so they are not lost at the swap
+     */
+    async mirrorToMigration(migration, documents) {
+        try {
+            await migration.exclusive(async () => {
+                const texts = documents.map(doc => doc.content);
+                await migration.store.upsert({
+                    ids: documents.map(doc => doc.id),
+                    documents: texts,
+                    metadatas: documents.map(doc => doc.metadata || {}),
+                    embeddings: await migration.embeddingFunction.generate(texts)
+                });
+                documents.forEach(doc => migration.copiedIds.add(doc.id));
+            });
+        } catch (error) {
+            logger.error('Failed to mirror documents into the migration collection:', error.message);
+            migration.error = migration.error || `Mirroring new documents failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Remove deleted chunks from the migration target as well
+     */
+    async mirrorDeletionToMigration(migration, chunkIds) {
+        try {
+            await migration.exclusive(() => migration.store.delete(chunkIds));
+        } catch (error) {
+            logger.error('Failed to mirror deletion into the migration collection:', error.message);
+            migration.error = migration.error || `Mirroring deletions failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Atomically switch retrieval to another collection
+     *
+     * @returns {Object} The previous store
+     */
+    swapCollection({ store, embeddingFunction, embedding }) {
+        const previous = this.store;
+        this.store = store;
+        this.collectionName = store.collectionName;
+        this.embeddingFunction = embeddingFunction;
+        this.embedding = embedding;
+        this.migration = null;
+        logger.info(`Switched retrieval to collection ${store.collectionName} (${embedding.provider} ${embedding.model})`);
+        return previous;
+    }
+
+    /**
+     * Persist the collection retrieval serves from, so a restart keeps using it
+     */
+    async saveActiveCollection(collectionName, adminUserId) {
+        await this.getSettingsService().updateSetting('active_vector_collection', collectionName, adminUserId, 'embeddings');
+    }
+
+    /**
+     * Search for relevant context based on query with the active collection's embeddings
      */
     async searchContext(query, nResults = 3) {
-        if (!this.isConnected || !this.collection) {
-            logger.warn('🔍 ChromaDB not connected, returning empty context');
+        if (!this.isConnected || !this.store) {
+            logger.warn('🔍 Vector store not connected, returning empty context');
             return [];
         }
 
+        // Read once so a collection swap mid-search never mixes embeddings and collections
+        const { store, embeddingFunction, embedding } = this;
+
         try {
-            logger.info(`\n🔍 ChromaDB Vector Search Query:`);
+            logger.info(`\n🔍 Vector Search Query:`);
             logger.info(`  • Original Query: "${query}"`);
             logger.info(`  • Requested Results: ${nResults}`);
-            logger.info(`  • Collection: ${this.collectionName}`);
+            logger.info(`  • Collection: ${store.collectionName} (${store.type})`);
 
-            let queryData = {
-                queryTexts: [query],
-                nResults: nResults,
-            };
+            const embeddingStartTime = performance.now();
+            const queryEmbeddings = await embeddingFunction.generate([query]);
+            const embeddingTime = performance.now() - embeddingStartTime;
+            const queryEmbedding = queryEmbeddings[0];
 
-            // Generate Mistral embedding for query if available
-            if (this.embeddingFunction) {
-                try {
-                    const embeddingStartTime = performance.now();
-                    const queryEmbeddings = await this.embeddingFunction.generate([query]);
-                    const embeddingTime = performance.now() - embeddingStartTime;
-
-                    queryData = {
-                        queryEmbeddings: queryEmbeddings,
-                        nResults: nResults,
-                    };
-
-                    logger.info(`  • Embedding Generation:`);
-                    logger.info(`    - Provider: Mistral AI`);
-                    logger.info(`    - Model: mistral-embed`);
-                    logger.info(`    - Dimensions: ${queryEmbeddings[0].length}`);
-                    logger.info(`    - Generation Time: ${embeddingTime.toFixed(2)}ms`);
-                    logger.info(`    - First 5 Vector Values: [${queryEmbeddings[0].slice(0, 5).map(v => v.toFixed(4)).join(', ')}...]`);
-                } catch (error) {
-                    logger.warn('⚠️ Failed to generate Mistral query embedding, using text search:', error.message);
-                    // Keep original queryTexts approach
-                }
-            } else {
-                logger.info(`  • Embedding: Using ChromaDB default embeddings`);
-            }
+            logger.info(`  • Embedding Generation:`);
+            logger.info(`    - Provider: ${embedding.provider}`);
+            logger.info(`    - Model: ${embedding.model}`);
+            logger.info(`    - Dimensions: ${queryEmbedding.length}`);
+            logger.info(`    - Generation Time: ${embeddingTime.toFixed(2)}ms`);
+            logger.info(`    - First 5 Vector Values: [${queryEmbedding.slice(0, 5).map(v => v.toFixed(4)).join(', ')}...]`);
 
-            logger.info(`  • Executing ChromaDB Query...`);
+            logger.info(`  • Executing ${store.type} Query...`);
             const searchStartTime = performance.now();
-            const results = await this.collection.query(queryData);
+            const contexts = await store.query({
+                embedding: queryEmbedding,
+                text: query,
+                nResults: nResults
+            });
             const searchTime = performance.now() - searchStartTime;
 
-            logger.info(`\n📊 ChromaDB Search Results (${searchTime.toFixed(2)}ms):`);
-            logger.info(`  • Total Documents Found: ${results.documents && results.documents[0] ? results.documents[0].length : 0}`);
-
-            // Format results for easier use
-            const contexts = [];
-            if (results.documents && results.documents[0]) {
-                for (let i = 0; i < results.documents[0].length; i++) {
-                    const context = {
-                        content: results.documents[0][i],
-                        metadata: results.metadatas[0][i] || {},
-                        distance: results.distances[0][i],
-                        id: results.ids[0][i]
-                    };
-                    contexts.push(context);
-
-                    logger.info(`  • Document ${i + 1}:`);
-                    logger.info(`    - ID: ${context.id}`);
-                    logger.info(`    - Similarity Score: ${(1 - context.distance).toFixed(4)} (distance: ${context.distance.toFixed(4)})`);
-                    logger.info(`    - Content Preview: "${context.content.substring(0, 100)}..."`);
-                    logger.info(`    - Content Length: ${context.content.length} chars`);
-                    if (context.metadata.source) {
-                        logger.info(`    - Source File: ${context.metadata.source}`);
-                    }
-                    if (context.metadata.page) {
-                        logger.info(`    - Page/Section: ${context.metadata.page}`);
-                    }
-                    if (context.metadata.chunk_index !== undefined) {
-                        logger.info(`    - Chunk Index: ${context.metadata.chunk_index}`);
-                    }
+            logger.info(`\n📊 Vector Search Results (${searchTime.toFixed(2)}ms):`);
+            logger.info(`  • Total Documents Found: ${contexts.length}`);
+
+            contexts.forEach((context, i) => {
+                logger.info(`  • Document ${i + 1}:`);
+                logger.info(`    - ID: ${context.id}`);
+                logger.info(`    - Similarity Score: ${(1 - context.distance).toFixed(4)} (distance: ${context.distance.toFixed(4)})`);
+                logger.info(`    - Content Preview: "${context.content.substring(0, 100)}..."`);
+                logger.info(`    - Content Length: ${context.content.length} chars`);
+                if (context.metadata.source) {
+                    logger.info(`    - Source File: ${context.metadata.source}`);
                 }
-            }
+                if (context.metadata.page) {
+                    logger.info(`    - Page/Section: ${context.metadata.page}`);
+                }
+                if (context.metadata.chunk_index !== undefined) {
+                    logger.info(`    - Chunk Index: ${context.metadata.chunk_index}`);
+                }
+            });
 
-            const embeddingType = queryData.queryEmbeddings ? 'Mistral' : 'default';
-            logger.info(`\n✅ ChromaDB search completed using ${embeddingType} embeddings`);
+            logger.info(`\n✅ Vector search completed using ${embedding.model} embeddings`);
             logger.info(`  • Query: "${query}"`);
             logger.info(`  • Retrieved: ${contexts.length} document chunks`);
             logger.info(`  • Total Processing Time: ${searchTime.toFixed(2)}ms\n`);
 
             return contexts;
         } catch (error) {
-            logger.error('❌ ChromaDB search failed:', error);
+            logger.error('❌ Vector search failed:', error);
             logger.error(`  • Query: "${query}"`);
             logger.error(`  • Error Details: ${error.message}`);
             return [];
@@ -273,16 +372,18 @@ class ChromaService {
      * Get collection stats
      */
     async getStats() {
-        if (!this.isConnected || !this.collection) {
+        if (!this.isConnected || !this.store) {
             return { connected: false, count: 0 };
         }
 
         try {
-            const count = await this.collection.count();
+            const count = await this.store.count();
             return {
                 connected: true,
                 count: count,
-                collectionName: this.collectionName
+                collectionName: this.collectionName,
+                vectorStore: this.store.type,
+                embedding: this.embedding
             };
         } catch (error) {
             logger.error('Failed to get stats:', error);
@@ -291,37 +392,29 @@ class ChromaService {
     }
 
     /**
-     * Get all indexed documents from Chroma
+     * Get all indexed documents from the vector store
      */
     async getAllDocuments(limit = 100) {
-        if (!this.isConnected || !this.collection) {
+        if (!this.isConnected || !this.store) {
             return { connected: false, documents: [] };
         }
 
         try {
-            const results = await this.collection.get({
-                limit: limit,
-                include: ["documents", "metadatas", "embeddings"]
-            });
+            const chunks = await this.store.get({ limit: limit, includeEmbeddings: true });
 
-            const documents = [];
-            if (results.documents && results.documents.length > 0) {
-                for (let i = 0; i < results.documents.length; i++) {
-                    documents.push({
-                        id: results.ids[i],
-                        content: results.documents[i],
-                        metadata: results.metadatas[i] || {},
-                        hasEmbedding: results.embeddings && results.embeddings[i] ? true : false,
-                        embeddingDimensions: results.embeddings && results.embeddings[i] ? results.embeddings[i].length : 0
-                    });
-                }
-            }
+            const documents = chunks.map(chunk => ({
+                id: chunk.id,
+                content: chunk.content,
+                metadata: chunk.metadata,
+                hasEmbedding: chunk.embedding ? true : false,
+                embeddingDimensions: chunk.embedding ? chunk.embedding.length : 0
+            }));
 
-            logger.info(`Retrieved ${documents.length} indexed documents from Chroma`);
+            logger.info(`Retrieved ${documents.length} indexed documents from ${this.store.type}`);
             return {
                 connected: true,
                 documents: documents,
-                totalCount: results.ids ? results.ids.length : 0,
+                totalCount: documents.length,
                 collectionName: this.collectionName
             };
         } catch (error) {
@@ -330,13 +423,25 @@ class ChromaService {
         }
     }
 
+    /**
+     * Get a page of chunks (text and metadata only) for building the keyword index
+     */
+    async getChunks({ offset = 0, limit = 500 } = {}) {
+        if (!this.isConnected || !this.store) {
+            return [];
+        }
+
+        const chunks = await this.store.get({ offset: offset, limit: limit });
+        return chunks.map(({ id, content, metadata }) => ({ id, content, metadata }));
+    }
+
     /**
      * Delete specific chunks by their IDs
      * Used for orphan cleanup and content updates
      */
     async deleteChunks(chunkIds) {
-        if (!this.isConnected || !this.collection) {
-            logger.warn('ChromaDB not connected, cannot delete chunks');
+        if (!this.isConnected || !this.store) {
+            logger.warn('Vector store not connected, cannot delete chunks');
             return { deleted: 0 };
         }
 
@@ -345,13 +450,17 @@ class ChromaService {
         }
 
         try {
-            // Chroma deleteCollection uses 'where' for filtering
+            const { store, migration } = this;
+
             // Delete documents by their IDs
-            await this.collection.delete({
-                ids: chunkIds
-            });
+            await store.delete(chunkIds);
+            keywordIndexService.removeDocuments(chunkIds);
 
-            logger.info(`Deleted ${chunkIds.length} chunks from ChromaDB`);
+            if (migration) {
+                await this.mirrorDeletionToMigration(migration, chunkIds);
+            }
+
+            logger.info(`Deleted ${chunkIds.length} chunks from ${store.type}`);
             return { deleted: chunkIds.length };
         } catch (error) {
             logger.error('Failed to delete chunks:', error);
@@ -363,16 +472,17 @@ class ChromaService {
      * Clear all data (for testing)
      */
     async clearAll() {
-        if (!this.isConnected || !this.collection) {
+        if (!this.isConnected || !this.store) {
             return false;
         }
 
         try {
-            // Delete and recreate collection
-            await this.client.deleteCollection({ name: this.collectionName });
-            this.collection = await this.client.createCollection({
-                name: this.collectionName,
-            });
+            await this.store.clear();
+            keywordIndexService.clear();
+
+            if (this.migration) {
+                this.migration.error = this.migration.error || 'Knowledge base was cleared during the migration';
+            }
             logger.info('Cleared all data from knowledge base');
             return true;
         } catch (error) {
@@ -0,0 +1,94 @@
+/**
+ * CITATION SERVICE
+ *
+ * Main Purpose: Turn the chunks an answer was generated from into structured source citations
+ *
+ * Key Responsibilities:
+ * - Citation Building: One citation per source document, in context order
+ * - Channel Settings: Whether citations are shown in the customer widget and to agents
+ *
+ * Dependencies:
+ * - SettingsService for the per-channel settings
+ *
+ * Configuration (settings category 'ai', environment fallback):
+ * - citations_widget_enabled / CITATIONS_WIDGET_ENABLED: Source links under autopilot answers (default on)
+ * - citations_agent_enabled / CITATIONS_AGENT_ENABLED: Sources in the agent suggestion panel (default on)
+ *
+ * Notes:
+ * - Citations are stored in message metadata as [{ index, title, url }]; url is null for uploaded files
+ * - Only http(s) URLs are kept, since the widget renders them as links
+ */
+
+// Channels an AI answer can be shown in
+const CHANNELS = {
+    widget: 'citations_widget_enabled',
+    agent: 'citations_agent_enabled'
+};
+
+function safeUrl(url) {
+    if (typeof url !== 'string') return null;
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+        return null;
+    }
+}
+
+class CitationService {
+    constructor() {
+        this.settingsService = null;
+    }
+
+    getSettingsService() {
+        if (!this.settingsService) {
+            const SettingsService = require('./settingsService');
+            this.settingsService = new SettingsService();
+        }
+        return this.settingsService;
+    }
+
+    /**
+     * Build citations from the documents used as context
+     * Chunks of the same document are cited once
+     *
+     * @param {Array<Document>} documents - Context chunks in prompt order
+     * @returns {Array<{index: number, title: string, url: string|null}>}
+     */
+    buildCitations(documents = []) {
+        const citations = [];
+        const seen = new Set();
+
+        for (const doc of documents) {
+            const url = safeUrl(doc.metadata?.source_url);
+            const title = doc.metadata?.source || url;
+            if (!title) continue;
+
+            const key = url || title;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            citations.push({ index: citations.length + 1, title, url });
+        }
+
+        return citations;
+    }
+
+    /**
+     * Citations to attach for a channel, empty when the channel has citations turned off
+     *
+     * @param {string} channel - 'widget' or 'agent'
+     * @param {Array} citations - From buildCitations()
+     * @returns {Promise<Array>}
+     */
+    async forChannel(channel, citations) {
+        if (!Array.isArray(citations) || citations.length === 0) {
+            return [];
+        }
+
+        const enabled = await this.getSettingsService().getSetting(CHANNELS[channel], 'ai');
+        return enabled === false ? [] : citations;
+    }
+}
+
+module.exports = new CitationService();
@@ -183,6 +183,7 @@ class ConversationService {
                     name: ticket.ticket_category.name,
                     color: ticket.ticket_category.color
                 } : null,
+                priority: ticket.priority,
                 messageCount: ticket._count.messages
             };
         } catch (error) {
@@ -281,6 +282,57 @@ class ConversationService {
         }
     }
 
+    /**
+     * Get the AI summary stored on a conversation
+     * @returns {Promise<Object|null>} { text, issue, resolution, openQuestions, trigger, messageCount, generatedAt }
+     */
+    async getConversationSummary(conversationId) {
+        this.ensureClient();
+        try {
+            const ticket = await prisma.tickets.findUnique({
+                where: { id: conversationId },
+                select: { summary: true, summary_metadata: true }
+            });
+
+            if (!ticket || !ticket.summary) {
+                return null;
+            }
+            return { text: ticket.summary, ...(ticket.summary_metadata || {}) };
+        } catch (error) {
+            logger.error('Failed to get conversation summary', {
+                error: error.message,
+                conversationId
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Store the AI summary on a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {string} text - Summary text, used for search
+     * @param {Object} metadata - Structured summary and generation details
+     */
+    async updateConversationSummary(conversationId, text, metadata) {
+        this.ensureClient();
+        try {
+            return await prisma.tickets.update({
+                where: { id: conversationId },
+                data: {
+                    summary: text,
+                    summary_metadata: metadata
+                }
+            });
+        } catch (error) {
+            logger.error('Failed to update conversation summary', {
+                error: error.message,
+                stack: error.stack,
+                conversationId
+            });
+            throw error;
+        }
+    }
+
     /**
      * Set messages for a conversation (for testing/migration)
      */
@@ -468,6 +520,35 @@ class ConversationService {
         }
     }
 
+    /**
+     * Metadata of the latest pending AI suggestion of a conversation
+     * Returns null when there is none
+     */
+    async getPendingSuggestionMetadata(conversationId) {
+        this.ensureClient();
+        try {
+            const pending = await prisma.messages.findFirst({
+                where: {
+                    ticket_id: conversationId,
+                    metadata: {
+                        path: ['pendingAgent'],
+                        equals: true
+                    }
+                },
+                orderBy: { created_at: 'desc' },
+                select: { metadata: true }
+            });
+
+            return pending?.metadata || null;
+        } catch (error) {
+            logger.error('Failed to get pending suggestion', {
+                error: error.message,
+                conversationId
+            });
+            return null;
+        }
+    }
+
     /**
      * Remove pending messages from conversation
      */
@@ -549,11 +630,22 @@ class ConversationService {
 
     /**
      * Get all conversations with statistics
+     * @param {Object} [filters]
+     * @param {string} [filters.search] - Only conversations whose subject or AI summary contains this text
      */
-    async getAllConversationsWithStats() {
+    async getAllConversationsWithStats({ search } = {}) {
         this.ensureClient();
         try {
+            const query = String(search || '').trim();
             const tickets = await prisma.tickets.findMany({
+                ...(query && {
+                    where: {
+                        OR: [
+                            { subject: { contains: query, mode: 'insensitive' } },
+                            { summary: { contains: query, mode: 'insensitive' } }
+                        ]
+                    }
+                }),
                 orderBy: { created_at: 'desc' },
                 include: {
                     users_tickets_user_idTousers: true,
@@ -606,6 +698,9 @@ class ConversationService {
                     color: ticket.ticket_category.color
                 } : null,
                 messageCount: ticket._count.messages,
+                priority: ticket.priority,
+                summary: ticket.summary, // AI handoff summary, searchable in the dashboard
+                sentiment: this.getLatestSentiment(ticket.messages), // Queue indicator for unhappy customers
                 lastMessage: ticket.messages[0] ? {
                     id: ticket.messages[0].id,
                     content: ticket.messages[0].content,
@@ -1505,6 +1600,16 @@ class ConversationService {
         return mapping[sender] || 'user';
     }
 
+    /**
+     * Sentiment of the latest scored customer message
+     * @param {Array} messages - Database messages, newest first
+     * @returns {Object|null} metadata.sentiment of that message
+     */
+    getLatestSentiment(messages = []) {
+        const scored = messages.find(msg => msg.senderType === 'user' && msg.metadata?.sentiment);
+        return scored ? scored.metadata.sentiment : null;
+    }
+
     /**
      * Map database enum to frontend sender type
      */
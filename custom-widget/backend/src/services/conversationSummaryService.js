@@ -0,0 +1,260 @@
+/**
+ * CONVERSATION SUMMARY SERVICE
+ *
+ * Main Purpose: Summarize a conversation for the next person who picks it up
+ *
+ * Key Responsibilities:
+ * - Summary Generation: Issue, resolution and open questions from the conversation history
+ * - Storage: Summary text and structure are stored on the ticket (searchable by text)
+ * - Triggers: Run in the background on reassignment, conversation end and bulk archive
+ *
+ * Features:
+ * - Uses the lightweight rephrasing model, like auto-categorization
+ * - Skips conversations whose summary already covers every message
+ * - Offline summaries with the mock provider ('summary' fixture scope)
+ *
+ * Configuration:
+ * - conversation_summaries_enabled (ai setting) / CONVERSATION_SUMMARIES_ENABLED: Master switch (default: true)
+ * - CONVERSATION_SUMMARY_MAX_MESSAGES: Most recent messages sent to the model (default: 60)
+ *
+ * Dependencies:
+ * - AI provider configuration (rephrasing model)
+ * - Conversation service for message history and summary storage
+ * - SettingsService for the master switch
+ * - LLM usage service for token accounting
+ */
+
+const { getAIProviderConfig, resolveChatModelConfig, getMockResponder } = require('../../ai-providers');
+const conversationService = require('./conversationService');
+const llmUsageService = require('./llmUsageService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('conversationSummaryService');
+
+// Configuration from environment variables
+const CONFIG = {
+    maxMessages: parseInt(process.env.CONVERSATION_SUMMARY_MAX_MESSAGES) || 60
+};
+
+const TRIGGERS = ['reassign', 'end', 'archive'];
+
+// Long messages are shortened in the prompt
+const MESSAGE_CHARS = 1000;
+
+class ConversationSummaryService {
+    constructor() {
+        this.settingsService = null;
+    }
+
+    getSettingsService() {
+        if (!this.settingsService) {
+            const SettingsService = require('./settingsService');
+            this.settingsService = new SettingsService();
+        }
+        return this.settingsService;
+    }
+
+    /**
+     * Whether summaries are switched on
+     * @returns {Promise<boolean>}
+     */
+    async isEnabled() {
+        return (await this.getSettingsService().getSetting('conversation_summaries_enabled', 'ai')) !== false;
+    }
+
+    /**
+     * Build the summary prompt from the conversation history
+     * @param {Array} messages - Customer and agent messages, oldest first
+     * @returns {string}
+     */
+    buildSummaryPrompt(messages) {
+        const conversationText = messages
+            .map(msg => {
+                const sender = msg.sender === 'visitor' ? 'Klientas' : 'Agentas';
+                return `${sender}: ${String(msg.content || '').substring(0, MESSAGE_CHARS)}`;
+            })
+            .join('\n');
+
+        return `Apibendrink šį klientų aptarnavimo pokalbį kitam agentui, kuris jį perims.
+
+POKALBIS:
+${conversationText}
+
+Nurodyk:
+- "issue": kliento problema ar klausimas (1-2 sakiniai)
+- "resolution": kas jau atsakyta ar padaryta; tuščia eilutė, jei niekas
+- "openQuestions": neatsakyti klausimai ar laukiami veiksmai (gali būti tuščias sąrašas)
+
+SVARBU: Grąžink TIKTAI validų JSON formatą (be markdown blokelių):
+{
+  "issue": "...",
+  "resolution": "...",
+  "openQuestions": ["..."]
+}
+
+Tavo atsakymas:`;
+    }
+
+    /**
+     * Ask the rephrasing model for a summary
+     * @param {Array} messages - Customer and agent messages, oldest first
+     * @param {string} [conversationId] - Conversation the usage is recorded for
+     * @returns {Promise<{issue: string, resolution: string, openQuestions: string[], model: string}>}
+     */
+    async callAISummary(messages, conversationId = null) {
+        const config = await getAIProviderConfig();
+        const chatConfig = resolveChatModelConfig(config);
+
+        if (chatConfig.provider === 'mock') {
+            return this.callMockSummary(messages, chatConfig.mock);
+        }
+
+        const OpenAI = require('openai');
+        const openai = new OpenAI({
+            baseURL: chatConfig.baseURL,
+            apiKey: chatConfig.apiKey,
+            defaultHeaders: chatConfig.headers
+        });
+
+        const startedAt = Date.now();
+        const response = await openai.chat.completions.create({
+            model: chatConfig.rephrasingModel,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You summarize Lithuanian customer support conversations for agents. Write the summary in Lithuanian. Always respond with valid JSON only.'
+                },
+                {
+                    role: 'user',
+                    content: this.buildSummaryPrompt(messages)
+                }
+            ],
+            temperature: 0.2,
+            max_tokens: 500
+        });
+        await llmUsageService.recordCompletion(response, {
+            feature: 'summary',
+            provider: chatConfig.provider,
+            model: chatConfig.rephrasingModel,
+            startedAt,
+            conversationId
+        });
+
+        const content = response.choices[0]?.message?.content;
+        if (!content) {
+            throw new Error('No response from AI');
+        }
+
+        return { ...this.parseSummary(content), model: chatConfig.rephrasingModel };
+    }
+
+    /**
+     * Summarize offline with the mock provider
+     * A matching 'summary' fixture is used as the issue; otherwise the first customer
+     * message is the issue and the last agent message the resolution
+     */
+    async callMockSummary(messages, mockConfig) {
+        const conversationText = messages.map(msg => msg.content).join('\n');
+        const scripted = await getMockResponder(mockConfig).respond(conversationText, {
+            scope: 'summary',
+            fallback: null
+        });
+
+        const firstCustomerMessage = messages.find(msg => msg.sender === 'visitor');
+        const lastAgentMessage = [...messages].reverse().find(msg => msg.sender === 'agent');
+
+        return {
+            issue: scripted || String(firstCustomerMessage?.content || '').substring(0, 200),
+            resolution: String(lastAgentMessage?.content || '').substring(0, 200),
+            openQuestions: [],
+            model: 'mock'
+        };
+    }
+
+    /**
+     * Parse the model's JSON answer
+     */
+    parseSummary(content) {
+        const json = String(content).replace(/```(json)?/g, '').trim();
+        const parsed = JSON.parse(json.substring(json.indexOf('{'), json.lastIndexOf('}') + 1));
+
+        if (!parsed.issue || typeof parsed.issue !== 'string') {
+            throw new Error('Summary has no issue');
+        }
+
+        return {
+            issue: parsed.issue.trim(),
+            resolution: typeof parsed.resolution === 'string' ? parsed.resolution.trim() : '',
+            openQuestions: Array.isArray(parsed.openQuestions)
+                ? parsed.openQuestions.filter(question => typeof question === 'string' && question.trim()).map(question => question.trim())
+                : []
+        };
+    }
+
+    /**
+     * Plain text version stored on the ticket for search
+     */
+    formatSummary({ issue, resolution, openQuestions }) {
+        const lines = [`Problema: ${issue}`];
+        if (resolution) lines.push(`Sprendimas: ${resolution}`);
+        if (openQuestions.length > 0) lines.push(`Atviri klausimai: ${openQuestions.join('; ')}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Generate and store a conversation summary
+     * @param {string} conversationId - Conversation ID
+     * @param {string} trigger - 'reassign', 'end' or 'archive'
+     * @returns {Promise<Object>} Result with success flag, or skipped with a reason
+     */
+    async summarizeConversation(conversationId, trigger) {
+        if (!(await this.isEnabled())) {
+            return { success: false, skipped: true, reason: 'Summaries disabled' };
+        }
+
+        const messages = (await conversationService.getMessages(conversationId))
+            .filter(msg => msg.sender === 'visitor' || msg.sender === 'agent');
+
+        if (!messages.some(msg => msg.sender === 'visitor')) {
+            return { success: false, skipped: true, reason: 'No customer messages' };
+        }
+
+        const existing = await conversationService.getConversationSummary(conversationId);
+        if (existing && existing.messageCount === messages.length) {
+            return { success: false, skipped: true, reason: 'Summary is up to date' };
+        }
+
+        const summary = await this.callAISummary(messages.slice(-CONFIG.maxMessages), conversationId);
+        const text = this.formatSummary(summary);
+        const metadata = {
+            issue: summary.issue,
+            resolution: summary.resolution,
+            openQuestions: summary.openQuestions,
+            trigger,
+            model: summary.model,
+            messageCount: messages.length,
+            generatedAt: new Date().toISOString()
+        };
+
+        await conversationService.updateConversationSummary(conversationId, text, metadata);
+        logger.info(`Summarized conversation ${conversationId} (${trigger}, ${messages.length} messages)`);
+
+        return { success: true, summary: { text, ...metadata } };
+    }
+
+    /**
+     * Summarize in the background so the triggering request is not slowed down
+     * Failures are logged and never reach the caller
+     */
+    scheduleSummary(conversationId, trigger) {
+        if (!TRIGGERS.includes(trigger)) {
+            return;
+        }
+
+        this.summarizeConversation(conversationId, trigger).catch(error => {
+            logger.error(`Failed to summarize conversation ${conversationId}:`, error.message);
+        });
+    }
+}
+
+module.exports = new ConversationSummaryService();
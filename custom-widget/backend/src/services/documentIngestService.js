@@ -4,6 +4,7 @@ const DocumentRepository = require('../repositories/documentRepository');
 const DocumentHashService = require('./documentHashService');
 const documentService = require('./documentService');
 const chromaService = require('./chromaService');
+const semanticCacheService = require('./semanticCacheService');
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('documentIngestService');
 
@@ -84,7 +85,8 @@ class DocumentIngestService {
    * @param {string} params.title - Document title (optional, auto-generated if not provided)
    * @param {string} params.sourceUrl - Source URL for scraped documents (optional)
    * @param {string} params.date - Document date (optional, defaults to now)
-   * @param {string} params.sourceType - 'scraper', 'api', 'manual_upload' (default: 'api')
+   * @param {string} params.sourceType - 'scraper', 'api', 'manual_upload', 'agent_correction' (default: 'api')
+   * @param {Object} params.metadata - Extra metadata stored with the document record (optional)
    * @returns {Promise<Object>} - Ingestion result with status and document ID
    */
   static async ingestDocument(params) {
@@ -94,6 +96,7 @@ class DocumentIngestService {
       sourceUrl = null,
       date = new Date().toISOString(),
       sourceType = 'api',
+      metadata = {},
     } = params;
 
     try {
@@ -210,6 +213,7 @@ class DocumentIngestService {
                 total_chars: normalizedContent.length,
                 chroma_ids: chunkIds,
                 metadata: {
+                  ...metadata,
                   date,
                   sourceUrl,
                   generatedTitle: !title,
@@ -255,6 +259,9 @@ class DocumentIngestService {
         throw new Error('Failed to create document after maximum retries');
       }
 
+      // Cached answers may be based on the previous version of the knowledge base
+      semanticCacheService.invalidate('document_ingested');
+
       return {
         success: true,
         status: 'indexed',
@@ -452,6 +459,7 @@ class DocumentIngestService {
       // Delete documents from database only if ChromaDB cleanup succeeded
       const orphanIds = orphanedDocs.map((doc) => doc.id);
       await DocumentRepository.deleteOrphaned(orphanIds);
+      semanticCacheService.invalidate('orphans_deleted');
 
       return {
         found: orphanedDocs.length,
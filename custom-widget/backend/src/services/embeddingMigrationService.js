@@ -0,0 +1,208 @@
+/**
+ * EMBEDDING MIGRATION SERVICE
+ *
+ * Main Purpose: Re-embed the knowledge base into a new collection when the embedding model changes
+ *
+ * Key Responsibilities:
+ * - Target Setup: Create a new collection recording the configured provider, model and dimension
+ * - Re-embedding: Copy every chunk of the active collection in batches with the new embeddings
+ * - Consistency: Chunks added or deleted while the migration runs are mirrored into the target
+ * - Atomic Swap: Persist and switch the active collection in one step once the copy is complete
+ * - Progress Reporting: State, counts and errors for the settings UI
+ *
+ * Dependencies:
+ * - ChromaService for the active collection, write mirroring and the swap
+ * - Vector store and embedding provider factories
+ * - SemanticCacheService, whose cached question embeddings belong to the old model
+ *
+ * Notes:
+ * - Retrieval keeps serving from the old collection until the swap; a failed migration drops the
+ *   target and leaves the old collection active
+ * - Chunks keep their ids, so chroma_ids stored on knowledge_documents stay valid after the swap
+ * - The old collection is kept after the swap for rollback (set active_vector_collection back)
+ * - Only one migration runs at a time per backend process
+ */
+const chromaService = require('./chromaService');
+const semanticCacheService = require('./semanticCacheService');
+const faqService = require('./faqService');
+const { createVectorStore } = require('./vectorStores');
+const {
+    createEmbeddingProvider,
+    describeEmbeddingProvider,
+    isSameEmbedding,
+    toCollectionMetadata
+} = require('./embeddings');
+const { AppError, createError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('embeddingMigrationService');
+
+// Chunks read and re-embedded per batch
+const BATCH_SIZE = 50;
+
+// Extra passes pick up chunks that concurrent deletions shifted past the paging window
+const MAX_PASSES = 3;
+
+function buildCollectionName(descriptor) {
+    const model = descriptor.model.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 30);
+    return `lizdeika-${model}-${descriptor.dimension}-${Date.now().toString(36)}`;
+}
+
+class EmbeddingMigrationService {
+    constructor() {
+        this.status = { state: 'idle' };
+        this.running = null;
+    }
+
+    getStatus() {
+        return { ...this.status };
+    }
+
+    /**
+     * Start re-embedding the knowledge base with the configured embedding provider.
+     * Resolves once the target collection exists; the copy continues in the background.
+     *
+     * @param {string} adminUserId - Recorded as the author of the active collection change
+     * @returns {Promise<Object>} Migration status
+     */
+    async start(adminUserId) {
+        if (this.status.state === 'running') {
+            throw new AppError('An embedding migration is already running', 409, 'MIGRATION_RUNNING');
+        }
+        if (!chromaService.isConnected) {
+            throw createError.serviceUnavailable('Vector store');
+        }
+
+        const settings = await chromaService.loadEmbeddingSettings();
+        let embeddingFunction;
+        let target;
+        try {
+            embeddingFunction = createEmbeddingProvider(settings);
+            target = await describeEmbeddingProvider(embeddingFunction);
+        } catch (error) {
+            throw createError.badRequest(`Embedding provider check failed: ${error.message}`);
+        }
+
+        if (isSameEmbedding(target, chromaService.embedding)) {
+            throw createError.badRequest(`The knowledge base already uses ${target.provider} ${target.model}`);
+        }
+
+        const source = chromaService.store;
+        const store = createVectorStore(source.type, { collectionName: buildCollectionName(target) });
+        await store.connect();
+        await store.openCollection(toCollectionMetadata(target));
+
+        let queue = Promise.resolve();
+        const migration = {
+            store,
+            embeddingFunction,
+            embedding: target,
+            copiedIds: new Set(),
+            error: null,
+            exclusive(fn) {
+                const result = queue.then(fn);
+                queue = result.catch(() => {});
+                return result;
+            }
+        };
+
+        this.status = {
+            state: 'running',
+            fromCollection: source.collectionName,
+            toCollection: store.collectionName,
+            from: chromaService.embedding,
+            to: target,
+            total: await source.count(),
+            processed: 0,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null
+        };
+        logger.info(`Embedding migration started: ${source.collectionName} -> ${store.collectionName} (${target.provider} ${target.model}, ${target.dimension} dimensions)`);
+
+        chromaService.beginMigration(migration);
+        this.running = this.run(source, migration, adminUserId);
+        return this.getStatus();
+    }
+
+    async run(source, migration, adminUserId) {
+        try {
+            for (let pass = 1; pass <= MAX_PASSES; pass++) {
+                const copied = await this.copyPass(source, migration);
+                if (copied === 0) break;
+            }
+
+            await migration.exclusive(async () => {
+                if (migration.error) {
+                    throw new Error(migration.error);
+                }
+
+                const [sourceCount, targetCount] = await Promise.all([source.count(), migration.store.count()]);
+                if (targetCount < sourceCount) {
+                    throw new Error(`New collection has ${targetCount} of ${sourceCount} chunks`);
+                }
+
+                await chromaService.saveActiveCollection(migration.store.collectionName, adminUserId);
+                chromaService.swapCollection(migration);
+            });
+
+            semanticCacheService.invalidate('embedding_model_changed');
+            faqService.invalidateIndex();
+
+            this.status = { ...this.status, state: 'completed', processed: migration.copiedIds.size, finishedAt: new Date().toISOString() };
+            logger.info(`Embedding migration completed: ${migration.copiedIds.size} chunks now served from ${migration.store.collectionName}`);
+        } catch (error) {
+            chromaService.endMigration();
+            logger.error('Embedding migration failed, keeping the current collection:', error.message);
+
+            try {
+                await migration.store.dropCollection();
+            } catch (dropError) {
+                logger.warn(`Failed to drop collection ${migration.store.collectionName}:`, dropError.message);
+            }
+
+            this.status = { ...this.status, state: 'failed', error: error.message, finishedAt: new Date().toISOString() };
+        }
+    }
+
+    /**
+     * Copy every chunk of the source collection not yet in the target
+     *
+     * @returns {Promise<number>} Chunks copied in this pass
+     */
+    async copyPass(source, migration) {
+        let copied = 0;
+
+        for (let offset = 0; ; offset += BATCH_SIZE) {
+            if (migration.error) {
+                throw new Error(migration.error);
+            }
+
+            // Reading and writing under the lock keeps mirrored updates from being overwritten by stale copies
+            const batchSize = await migration.exclusive(async () => {
+                const batch = await source.get({ offset, limit: BATCH_SIZE });
+                const pending = batch.filter(chunk => !migration.copiedIds.has(chunk.id));
+
+                if (pending.length > 0) {
+                    const texts = pending.map(chunk => chunk.content);
+                    await migration.store.upsert({
+                        ids: pending.map(chunk => chunk.id),
+                        documents: texts,
+                        metadatas: pending.map(chunk => chunk.metadata),
+                        embeddings: await migration.embeddingFunction.generate(texts)
+                    });
+                    pending.forEach(chunk => migration.copiedIds.add(chunk.id));
+                    copied += pending.length;
+                }
+                return batch.length;
+            });
+
+            this.status.processed = migration.copiedIds.size;
+            if (batchSize < BATCH_SIZE) break;
+        }
+
+        return copied;
+    }
+}
+
+module.exports = new EmbeddingMigrationService();
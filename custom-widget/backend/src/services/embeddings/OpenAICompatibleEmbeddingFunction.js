@@ -0,0 +1,97 @@
+/**
+ * OpenAI-compatible Embedding Function
+ * Uses the /embeddings endpoint shared by OpenAI, vLLM, Ollama, LM Studio, llama.cpp and TEI
+ */
+const { createLogger } = require('../../utils/logger');
+const logger = createLogger('openAICompatibleEmbeddingFunction');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+class OpenAICompatibleEmbeddingFunction {
+    /**
+     * @param {Object} options
+     * @param {string} options.provider - Provider name recorded on the collection ('openai_compatible' or 'local')
+     * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+     * @param {string} options.model - Embedding model name
+     * @param {string} [options.apiKey] - Bearer token, optional for local servers
+     */
+    constructor({ provider = 'openai_compatible', baseUrl, model, apiKey, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+        if (!baseUrl) {
+            throw new Error('Embedding base URL is required. Set EMBEDDING_BASE_URL or the embedding_base_url setting.');
+        }
+        if (!model) {
+            throw new Error('Embedding model is required. Set EMBEDDING_MODEL or the embedding_model setting.');
+        }
+
+        this.provider = provider;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+        this.dimension = null;
+
+        logger.info(`Initialized ${provider} embedding function with model: ${this.model} (${this.baseUrl})`);
+    }
+
+    /**
+     * Generate embeddings for given texts
+     */
+    async generate(texts) {
+        logger.info(`Generating embeddings for ${texts.length} texts using ${this.provider} ${this.model}`);
+
+        const response = await fetch(`${this.baseUrl}/embeddings`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({ model: this.model, input: texts }),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new Error(`Embedding endpoint error: ${response.status} ${response.statusText} ${body.substring(0, 200)}`.trim());
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+            throw new Error(`Embedding endpoint returned ${data.data?.length ?? 0} embeddings for ${texts.length} texts`);
+        }
+
+        // Results carry an index; order by it in case the server does not preserve input order
+        const embeddings = [...data.data]
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => item.embedding);
+
+        this.dimension = embeddings[0].length;
+        logger.info(`Generated ${embeddings.length} embeddings (dimension: ${this.dimension})`);
+        return embeddings;
+    }
+
+    /**
+     * Embedding dimension, known after the first request
+     */
+    getDimension() {
+        return this.dimension;
+    }
+
+    /**
+     * Embedding dimension, embedding a short probe text if no request was made yet
+     */
+    async resolveDimension() {
+        if (!this.dimension) {
+            await this.generate(['dimension probe']);
+        }
+        return this.dimension;
+    }
+
+    /**
+     * Get model name
+     */
+    getModel() {
+        return this.model;
+    }
+}
+
+module.exports = OpenAICompatibleEmbeddingFunction;
@@ -0,0 +1,112 @@
+/**
+ * Embedding providers
+ *
+ * Every provider implements generate(texts) => number[][], getModel(), getDimension()
+ * and resolveDimension(), plus a `provider` name. The provider, model and dimension
+ * are recorded on each vector collection so a collection is only ever queried with
+ * the embeddings it was built with.
+ */
+const MistralEmbeddingFunction = require('../mistralEmbeddingFunction');
+const OpenAICompatibleEmbeddingFunction = require('./OpenAICompatibleEmbeddingFunction');
+
+const DEFAULT_MODELS = {
+    mistral: 'mistral-embed',
+    openai_compatible: 'text-embedding-3-small',
+    local: 'nomic-embed-text'
+};
+
+// Ollama's OpenAI-compatible API; LM Studio (:1234/v1) and TEI work the same way
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+// Collections created before embeddings were recorded were always built with mistral-embed
+const LEGACY_DESCRIPTOR = { provider: 'mistral', model: 'mistral-embed', dimension: 1024, baseUrl: null };
+
+const EMBEDDING_PROVIDERS = {
+    mistral: ({ model, apiKey }) => new MistralEmbeddingFunction(apiKey || undefined, model),
+    openai_compatible: ({ model, baseUrl, apiKey }) => new OpenAICompatibleEmbeddingFunction({
+        provider: 'openai_compatible', baseUrl, model, apiKey
+    }),
+    local: ({ model, baseUrl, apiKey }) => new OpenAICompatibleEmbeddingFunction({
+        provider: 'local', baseUrl: baseUrl || DEFAULT_LOCAL_BASE_URL, model, apiKey
+    })
+};
+
+/**
+ * Create an embedding provider
+ *
+ * @param {Object} config
+ * @param {string} config.provider - 'mistral' (default), 'openai_compatible' or 'local'
+ * @param {string} [config.model] - Defaults to the provider's standard model
+ * @param {string} [config.baseUrl] - Required for 'openai_compatible'
+ * @param {string} [config.apiKey] - Mistral falls back to MISTRAL_API_KEY
+ */
+function createEmbeddingProvider({ provider = 'mistral', model, baseUrl, apiKey } = {}) {
+    const factory = EMBEDDING_PROVIDERS[provider];
+    if (!factory) {
+        throw new Error(`Unknown embedding provider "${provider}". Supported: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+    }
+    return factory({ model: model || DEFAULT_MODELS[provider], baseUrl, apiKey });
+}
+
+/**
+ * Describe the embeddings a provider produces
+ *
+ * @returns {Promise<{provider, model, dimension, baseUrl}>}
+ */
+async function describeEmbeddingProvider(embeddingFunction) {
+    return {
+        provider: embeddingFunction.provider,
+        model: embeddingFunction.getModel(),
+        dimension: await embeddingFunction.resolveDimension(),
+        baseUrl: embeddingFunction.baseUrl || null
+    };
+}
+
+/**
+ * Whether two descriptors produce vectors from the same embedding space
+ */
+function isSameEmbedding(a, b) {
+    return Boolean(a && b)
+        && a.provider === b.provider
+        && a.model === b.model
+        && (!a.dimension || !b.dimension || a.dimension === b.dimension);
+}
+
+/**
+ * Collection metadata values must be flat (string, number, boolean or null)
+ */
+function toCollectionMetadata(descriptor) {
+    return {
+        embedding_provider: descriptor.provider,
+        embedding_model: descriptor.model,
+        embedding_dimension: descriptor.dimension,
+        embedding_base_url: descriptor.baseUrl || null,
+        created_at: new Date().toISOString()
+    };
+}
+
+/**
+ * @returns {Object|null} Descriptor recorded on a collection, or null if none was recorded
+ */
+function fromCollectionMetadata(metadata) {
+    if (!metadata?.embedding_provider) {
+        return null;
+    }
+    return {
+        provider: metadata.embedding_provider,
+        model: metadata.embedding_model,
+        dimension: metadata.embedding_dimension,
+        baseUrl: metadata.embedding_base_url || null
+    };
+}
+
+module.exports = {
+    createEmbeddingProvider,
+    describeEmbeddingProvider,
+    isSameEmbedding,
+    toCollectionMetadata,
+    fromCollectionMetadata,
+    LEGACY_DESCRIPTOR,
+    DEFAULT_MODELS,
+    EMBEDDING_PROVIDER_TYPES: Object.keys(EMBEDDING_PROVIDERS)
+};
@@ -0,0 +1,518 @@
+/**
+ * FAQ SERVICE
+ *
+ * Main Purpose: Answer frequent questions from curated FAQ entries before RAG generation
+ *
+ * Key Responsibilities:
+ * - FAQ Management: Question, alternate phrasings, canonical answer and tags per entry
+ * - Matching: Exact (normalized) match on any phrasing, otherwise embedding similarity
+ * - Answer Modes: Close matches are answered verbatim, weaker ones are handed to the LLM as top-priority context
+ * - CSV Import: Bulk create or update entries; rows with a known question update that entry
+ *
+ * Dependencies:
+ * - Database client (Prisma) for faq_entries
+ * - Chroma service embedding function for phrasing and query embeddings
+ * - Semantic cache service, invalidated when FAQs change
+ *
+ * Configuration (settings category 'ai', environment fallback):
+ * - faq_matching_enabled / FAQ_MATCHING_ENABLED: Match questions against FAQs (default on)
+ * - faq_answer_threshold / FAQ_ANSWER_THRESHOLD: Similarity for answering verbatim (default 0.92)
+ * - faq_context_threshold / FAQ_CONTEXT_THRESHOLD: Similarity for passing the FAQ as context (default 0.8)
+ *
+ * Notes:
+ * - Phrasing embeddings are kept in memory and rebuilt after FAQ changes or an embedding model change
+ * - Without embeddings (provider down) only exact matches are found; the phrasings are embedded
+ *   again on the first lookup INDEX_RETRY_MS after the failure
+ * - CSV columns: question, alternate_questions (separated by |), answer, tags (separated by | or ,);
+ *   comma or semicolon delimited, first row is the header
+ */
+const databaseClient = require('../utils/database');
+const { createError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+const semanticCacheService = require('./semanticCacheService');
+
+const logger = createLogger('faqService');
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    answerThreshold: 0.92,
+    contextThreshold: 0.8
+};
+
+// An index whose phrasings could not be embedded is rebuilt after this long
+const INDEX_RETRY_MS = 60 * 1000;
+
+const MAX_ALTERNATES = 20;
+const MAX_TAGS = 10;
+
+const CSV_COLUMNS = {
+    question: ['question', 'klausimas'],
+    alternates: ['alternate_questions', 'alternates', 'alternatyvūs klausimai'],
+    answer: ['answer', 'atsakymas'],
+    tags: ['tags', 'žymos']
+};
+
+/**
+ * Lowercase text without diacritics, punctuation and repeated whitespace, for exact matching
+ * (customers often type Lithuanian without diacritics)
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Cosine similarity of two equal-length vectors
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * List of trimmed, unique, non-empty strings from an array or separated text
+ */
+function toList(value, separator) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(separator);
+    const seen = new Set();
+    return items
+        .map(item => String(item ?? '').trim())
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (!item || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of fields
+ * @returns {Array<{line: number, fields: string[]}>} Non-empty rows with the line each starts on
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, fields: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, fields: row });
+    }
+
+    return rows.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+}
+
+class FaqService {
+    constructor() {
+        this.options = { ...DEFAULT_OPTIONS };
+        this.embedder = null;
+
+        // [{ faq, phrasing, normalized, embedding }], built on the first lookup after a change
+        this.index = null;
+        this.indexBuild = null;
+        // Set while the index has no embeddings because embedding failed
+        this.indexRetryAt = null;
+
+        // Incremented on every invalidation so a build started before it is not kept
+        this.indexVersion = 0;
+    }
+
+    getPrisma() {
+        return databaseClient.getClient();
+    }
+
+    normalizeText(text) {
+        return normalizeText(text);
+    }
+
+    parseCsv(text, delimiter = ',') {
+        return parseCsv(text, delimiter);
+    }
+
+    /**
+     * Apply current settings (called per request with values from SettingsService)
+     */
+    configure({ enabled, answerThreshold, contextThreshold } = {}) {
+        const answer = Number(answerThreshold) || DEFAULT_OPTIONS.answerThreshold;
+        this.options = {
+            enabled: enabled !== false,
+            answerThreshold: answer,
+            contextThreshold: Math.min(Number(contextThreshold) || DEFAULT_OPTIONS.contextThreshold, answer)
+        };
+    }
+
+    /**
+     * Use a custom embedder instead of the Chroma service embedding function (tests, alternative providers)
+     * @param {Object|null} embedder - Object with generate(texts) => Promise<number[][]>
+     */
+    setEmbedder(embedder) {
+        this.embedder = embedder;
+        this.invalidateIndex();
+    }
+
+    getEmbedder() {
+        if (this.embedder) return this.embedder;
+        // Required lazily: the Chroma service connects on startup and owns the embedding client
+        return require('./chromaService').embeddingFunction;
+    }
+
+    /**
+     * Drop the phrasing embeddings (FAQs or the embedding model changed)
+     */
+    invalidateIndex() {
+        this.index = null;
+        this.indexBuild = null;
+        this.indexRetryAt = null;
+        this.indexVersion += 1;
+    }
+
+    /**
+     * FAQs changed: rebuild the index and drop cached answers that may contradict them
+     */
+    onFaqsChanged(reason) {
+        this.invalidateIndex();
+        semanticCacheService.invalidate(reason);
+    }
+
+    async getIndex() {
+        if (this.index && !(this.indexRetryAt && Date.now() >= this.indexRetryAt)) return this.index;
+        if (!this.indexBuild) {
+            const version = this.indexVersion;
+            const build = this.buildIndex().then(({ index, embedded }) => {
+                if (version === this.indexVersion) {
+                    this.index = index;
+                    this.indexRetryAt = embedded ? null : Date.now() + INDEX_RETRY_MS;
+                }
+                return index;
+            }).finally(() => {
+                if (this.indexBuild === build) {
+                    this.indexBuild = null;
+                }
+            });
+            this.indexBuild = build;
+        }
+        return this.indexBuild;
+    }
+
+    /**
+     * @returns {Promise<{index: Array, embedded: boolean}>} embedded is false when embedding the phrasings failed
+     */
+    async buildIndex() {
+        const faqs = await this.getPrisma().faq_entries.findMany({ where: { enabled: true } });
+        const index = faqs.flatMap(faq => [faq.question, ...(faq.alternate_questions || [])].map(phrasing => ({
+            faq,
+            phrasing,
+            normalized: normalizeText(phrasing),
+            embedding: null
+        })));
+
+        let embedded = true;
+        const embedder = this.getEmbedder();
+        if (embedder && index.length > 0) {
+            try {
+                const embeddings = await embedder.generate(index.map(entry => entry.phrasing));
+                index.forEach((entry, i) => {
+                    entry.embedding = embeddings[i] || null;
+                });
+            } catch (error) {
+                embedded = false;
+                logger.warn(`FAQ phrasings not embedded, only exact matches work until the retry: ${error.message}`);
+            }
+        }
+
+        logger.info(`FAQ index built: ${faqs.length} entries, ${index.length} phrasings`);
+        return { index, embedded };
+    }
+
+    /**
+     * Find the FAQ answering a question
+     *
+     * @param {string} query - Standalone (rephrased) query
+     * @param {string} [question] - Question as the customer wrote it, also tried for an exact match
+     * @returns {Promise<Object>} { mode: 'answer'|'context'|null, faq?, phrasing?, similarity, exact?, reason? }
+     */
+    async match(query, question = null) {
+        if (!this.options.enabled) {
+            return { mode: null, similarity: null, reason: 'disabled' };
+        }
+
+        let index;
+        try {
+            index = await this.getIndex();
+        } catch (error) {
+            logger.warn(`FAQ matching skipped: ${error.message}`);
+            return { mode: null, similarity: null, reason: 'unavailable' };
+        }
+        if (index.length === 0) {
+            return { mode: null, similarity: null, reason: 'no_faqs' };
+        }
+
+        const candidates = new Set([normalizeText(query), normalizeText(question)].filter(Boolean));
+        const exact = index.find(entry => candidates.has(entry.normalized));
+        if (exact) {
+            return this.toMatch(exact, 1, true);
+        }
+
+        const embedder = this.getEmbedder();
+        if (!embedder || !query || !index.some(entry => entry.embedding)) {
+            return { mode: null, similarity: null, reason: 'no_exact_match' };
+        }
+
+        let embedding;
+        try {
+            [embedding] = await embedder.generate([query]);
+        } catch (error) {
+            logger.warn(`FAQ matching skipped, embedding failed: ${error.message}`);
+            return { mode: null, similarity: null, reason: 'embedding_failed' };
+        }
+
+        let best = null;
+        let bestSimilarity = 0;
+        for (const entry of index) {
+            if (!entry.embedding || entry.embedding.length !== embedding.length) continue;
+            const similarity = cosineSimilarity(embedding, entry.embedding);
+            if (similarity > bestSimilarity) {
+                best = entry;
+                bestSimilarity = similarity;
+            }
+        }
+
+        if (!best || bestSimilarity < this.options.contextThreshold) {
+            return { mode: null, similarity: bestSimilarity, phrasing: best?.phrasing, reason: 'below_threshold' };
+        }
+        return this.toMatch(best, bestSimilarity, false);
+    }
+
+    toMatch(entry, similarity, exact) {
+        const mode = similarity >= this.options.answerThreshold ? 'answer' : 'context';
+
+        // Usage counter for the FAQ list; never delays the answer
+        this.getPrisma().faq_entries.update({
+            where: { id: entry.faq.id },
+            data: { hits: { increment: 1 }, last_matched_at: new Date() }
+        }).catch(error => logger.warn(`FAQ hit not recorded: ${error.message}`));
+
+        return {
+            mode,
+            faq: entry.faq,
+            phrasing: entry.phrasing,
+            similarity: Math.round(similarity * 1000) / 1000,
+            exact
+        };
+    }
+
+    /**
+     * Validate and normalize FAQ fields
+     *
+     * @param {Object} data - { question, alternateQuestions, answer, tags, enabled }; lists may be arrays
+     *   or text (alternate questions one per line, tags comma separated)
+     * @param {boolean} partial - Only validate the fields present (updates)
+     * @param {string} [currentQuestion] - Stored question, for dropping alternates that repeat it on updates
+     */
+    normalizeFaq(data = {}, partial = false, currentQuestion = null) {
+        const result = {};
+        const has = (key) => !partial || data[key] !== undefined;
+
+        if (has('question')) {
+            const question = String(data.question || '').trim();
+            if (!question) {
+                throw createError.badRequest('FAQ question is required');
+            }
+            result.question = question;
+        }
+
+        if (has('answer')) {
+            const answer = String(data.answer || '').trim();
+            if (!answer) {
+                throw createError.badRequest('FAQ answer is required');
+            }
+            result.answer = answer;
+        }
+
+        if (has('alternateQuestions')) {
+            const alternates = toList(data.alternateQuestions, /\r?\n/)
+                .filter(alternate => normalizeText(alternate) !== normalizeText(result.question ?? currentQuestion));
+            if (alternates.length > MAX_ALTERNATES) {
+                throw createError.badRequest(`At most ${MAX_ALTERNATES} alternate questions per FAQ`);
+            }
+            result.alternate_questions = alternates;
+        }
+
+        if (has('tags')) {
+            const tags = toList(data.tags, ',').map(tag => tag.toLowerCase());
+            if (tags.length > MAX_TAGS) {
+                throw createError.badRequest(`At most ${MAX_TAGS} tags per FAQ`);
+            }
+            result.tags = tags;
+        }
+
+        if (data.enabled !== undefined) {
+            result.enabled = Boolean(data.enabled);
+        }
+
+        return result;
+    }
+
+    /**
+     * List FAQs, most used first
+     *
+     * @param {Object} filters - { search, tag }
+     */
+    async listFaqs({ search, tag } = {}) {
+        const faqs = await this.getPrisma().faq_entries.findMany({
+            orderBy: [{ hits: 'desc' }, { question: 'asc' }]
+        });
+
+        const term = normalizeText(search);
+        return faqs.filter(faq => {
+            if (tag && !(faq.tags || []).includes(String(tag).toLowerCase())) return false;
+            if (!term) return true;
+            return [faq.question, faq.answer, ...(faq.alternate_questions || [])]
+                .some(text => normalizeText(text).includes(term));
+        });
+    }
+
+    async getFaq(id) {
+        const faq = await this.getPrisma().faq_entries.findUnique({ where: { id } });
+        if (!faq) {
+            throw createError.notFound('FAQ');
+        }
+        return faq;
+    }
+
+    async createFaq(data, userId) {
+        const fields = this.normalizeFaq(data);
+        const faq = await this.getPrisma().faq_entries.create({
+            data: { ...fields, created_by: userId || null }
+        });
+
+        this.onFaqsChanged('faq_created');
+        return faq;
+    }
+
+    async updateFaq(id, data) {
+        const existing = await this.getFaq(id);
+        const fields = this.normalizeFaq(data, true, existing.question);
+        const faq = await this.getPrisma().faq_entries.update({ where: { id }, data: fields });
+
+        this.onFaqsChanged('faq_updated');
+        return faq;
+    }
+
+    async deleteFaq(id) {
+        await this.getFaq(id);
+        await this.getPrisma().faq_entries.delete({ where: { id } });
+        this.onFaqsChanged('faq_deleted');
+    }
+
+    /**
+     * Create or update FAQs from CSV; an existing FAQ with the same question is updated
+     *
+     * @param {string} content - CSV text with a header row
+     * @param {string} userId - Admin importing the file
+     * @returns {Promise<{created: number, updated: number, errors: Array<{line: number, error: string}>}>}
+     */
+    async importCsv(content, userId) {
+        const text = String(content || '').replace(/^\uFEFF/, '');
+        const headerLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+        const [{ fields: header } = { fields: [] }, ...rows] = parseCsv(text, delimiter);
+
+        const columns = {};
+        const headerNames = header.map(name => name.trim().toLowerCase());
+        for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+            columns[field] = headerNames.findIndex(name => names.includes(name));
+        }
+        if (columns.question < 0 || columns.answer < 0) {
+            throw createError.badRequest('CSV header must contain "question" and "answer" columns');
+        }
+        if (rows.length === 0) {
+            throw createError.badRequest('CSV file has no FAQ rows');
+        }
+
+        const existing = await this.getPrisma().faq_entries.findMany({ select: { id: true, question: true } });
+        const byQuestion = new Map(existing.map(faq => [normalizeText(faq.question), faq.id]));
+        const result = { created: 0, updated: 0, errors: [] };
+
+        for (const { line, fields: row } of rows) {
+            const cell = (field) => (columns[field] >= 0 ? row[columns[field]] ?? '' : undefined);
+
+            try {
+                const fields = this.normalizeFaq({
+                    question: cell('question'),
+                    answer: cell('answer'),
+                    alternateQuestions: cell('alternates') === undefined ? [] : toList(cell('alternates'), '|'),
+                    tags: cell('tags') === undefined ? [] : toList(cell('tags'), /[|,]/)
+                });
+
+                const key = normalizeText(fields.question);
+                const id = byQuestion.get(key);
+                if (id) {
+                    await this.getPrisma().faq_entries.update({ where: { id }, data: fields });
+                    result.updated += 1;
+                } else {
+                    const faq = await this.getPrisma().faq_entries.create({ data: { ...fields, created_by: userId || null } });
+                    byQuestion.set(key, faq.id);
+                    result.created += 1;
+                }
+            } catch (error) {
+                result.errors.push({ line, error: error.message });
+            }
+        }
+
+        if (result.created + result.updated > 0) {
+            this.onFaqsChanged('faq_imported');
+        }
+        logger.info(`FAQ CSV import: ${result.created} created, ${result.updated} updated, ${result.errors.length} rejected`);
+        return result;
+    }
+}
+
+module.exports = new FaqService();
@@ -0,0 +1,462 @@
+/**
+ * HTTP TOOL SERVICE
+ *
+ * Main Purpose: Let the RAG chain look up live data through HTTP tools registered by admins
+ *
+ * Key Responsibilities:
+ * - Tool Registry: Name, description, JSON schema of the arguments, endpoint, method and auth header
+ * - Function Definitions: Enabled tools in the OpenAI function calling format for bindTools
+ * - Execution: Validate the model's arguments, call the endpoint and return a call log entry
+ * - Testing: Run a tool with sample arguments from Settings, e.g. against the local stub server
+ *   (scripts/tool-stub-server.js)
+ *
+ * Dependencies:
+ * - Database client (Prisma) for http_tools
+ *
+ * Notes:
+ * - {param} placeholders in the endpoint are filled from the arguments; the remaining arguments
+ *   are sent as query string (GET) or JSON body (POST)
+ * - Placeholders are only allowed in the path and query, and arguments may not be empty, "." or
+ *   "..", so the model cannot send the auth header to another host or endpoint
+ * - The auth header value is never returned by the API or written to logs and debug info
+ * - Argument validation covers the schema's required properties and property types, not the
+ *   full JSON schema vocabulary
+ * - Execution never throws; failures are returned as { ok: false, error } so the answer can say
+ *   the data is unavailable
+ * - Responses are read only up to MAX_RESPONSE_CHARS and truncated before they reach the prompt,
+ *   so a large or endless body is never buffered
+ */
+const databaseClient = require('../utils/database');
+const { AppError, createError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('httpToolService');
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const METHODS = ['GET', 'POST'];
+const DEFAULT_TIMEOUT_MS = 10000;
+const MIN_TIMEOUT_MS = 1000;
+const MAX_TIMEOUT_MS = 60000;
+const MAX_RESPONSE_CHARS = 4000;
+
+// scheme://host:port of an endpoint; placeholders are not allowed in it
+const ENDPOINT_ORIGIN_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+// Argument values that would empty or collapse a path segment
+const INVALID_SEGMENTS = ['', '.', '..'];
+
+const JSON_TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    array: (value) => Array.isArray(value),
+    object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+class HttpToolService {
+    getPrisma() {
+        return databaseClient.getClient();
+    }
+
+    /**
+     * Tool as returned by the API, without the auth header value
+     */
+    toPublic(tool) {
+        const { auth_header_value, ...rest } = tool;
+        return { ...rest, hasAuthHeader: Boolean(auth_header_value) };
+    }
+
+    /**
+     * Validate and normalize tool fields
+     * An omitted auth header value keeps the stored one; an empty one removes it
+     *
+     * @param {Object} data - { name, description, parameters, endpoint, method, authHeaderName, authHeaderValue, timeoutMs, enabled }
+     * @param {boolean} partial - Only validate the fields present (updates)
+     * @returns {Object} Prisma data
+     */
+    normalizeTool(data = {}, partial = false) {
+        const result = {};
+        const has = (key) => !partial || data[key] !== undefined;
+
+        if (has('name')) {
+            const name = String(data.name || '').trim();
+            if (!TOOL_NAME_PATTERN.test(name)) {
+                throw createError.badRequest('Tool name must be 1-64 letters, digits, _ or -');
+            }
+            result.name = name;
+        }
+
+        if (has('description')) {
+            const description = String(data.description || '').trim();
+            if (!description) {
+                throw createError.badRequest('Tool description is required; the model picks tools by it');
+            }
+            result.description = description;
+        }
+
+        if (has('parameters')) {
+            result.parameters = this.normalizeSchema(data.parameters);
+        }
+
+        if (has('endpoint')) {
+            let url;
+            try {
+                url = new URL(String(data.endpoint || '').replace(/\{\w+\}/g, 'x'));
+            } catch (error) {
+                throw createError.badRequest('Tool endpoint must be a valid URL');
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw createError.badRequest('Tool endpoint must use http or https');
+            }
+            if (String(data.endpoint).trim().match(ENDPOINT_ORIGIN_PATTERN)[0].includes('{')) {
+                throw createError.badRequest('Tool endpoint placeholders are only allowed in the path and query');
+            }
+            result.endpoint = String(data.endpoint).trim();
+        }
+
+        if (has('method')) {
+            const method = String(data.method || 'POST').toUpperCase();
+            if (!METHODS.includes(method)) {
+                throw createError.badRequest(`Tool method must be one of ${METHODS.join(', ')}`);
+            }
+            result.method = method;
+        }
+
+        if (data.authHeaderName !== undefined) {
+            result.auth_header_name = String(data.authHeaderName || '').trim() || null;
+        }
+        if (data.authHeaderValue !== undefined) {
+            result.auth_header_value = data.authHeaderValue ? String(data.authHeaderValue) : null;
+        }
+
+        if (has('timeoutMs')) {
+            const timeoutMs = data.timeoutMs === undefined || data.timeoutMs === null || data.timeoutMs === ''
+                ? DEFAULT_TIMEOUT_MS
+                : Number(data.timeoutMs);
+            if (!Number.isInteger(timeoutMs) || timeoutMs < MIN_TIMEOUT_MS || timeoutMs > MAX_TIMEOUT_MS) {
+                throw createError.badRequest(`Tool timeout must be ${MIN_TIMEOUT_MS}-${MAX_TIMEOUT_MS} ms`);
+            }
+            result.timeout_ms = timeoutMs;
+        }
+
+        if (data.enabled !== undefined) {
+            result.enabled = Boolean(data.enabled);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parameters JSON schema, given as an object or JSON text; the root must be an object schema
+     */
+    normalizeSchema(parameters) {
+        let schema = parameters;
+        if (schema === undefined || schema === null || schema === '') {
+            return { type: 'object', properties: {} };
+        }
+        if (typeof schema === 'string') {
+            try {
+                schema = JSON.parse(schema);
+            } catch (error) {
+                throw createError.badRequest(`Parameters are not valid JSON: ${error.message}`);
+            }
+        }
+
+        if (!JSON_TYPE_CHECKS.object(schema) || schema.type !== 'object') {
+            throw createError.badRequest('Parameters must be a JSON schema with "type": "object"');
+        }
+        if (schema.properties !== undefined && !JSON_TYPE_CHECKS.object(schema.properties)) {
+            throw createError.badRequest('Parameter "properties" must be an object');
+        }
+        if (schema.required !== undefined && !Array.isArray(schema.required)) {
+            throw createError.badRequest('Parameter "required" must be an array');
+        }
+
+        return { properties: {}, ...schema };
+    }
+
+    async listTools() {
+        const tools = await this.getPrisma().http_tools.findMany({ orderBy: { name: 'asc' } });
+        return tools.map(tool => this.toPublic(tool));
+    }
+
+    async getTool(id) {
+        const tool = await this.getPrisma().http_tools.findUnique({ where: { id } });
+        if (!tool) {
+            throw createError.notFound('Tool');
+        }
+        return tool;
+    }
+
+    /**
+     * Register a tool
+     *
+     * @param {Object} data - See normalizeTool
+     * @param {string} userId - Admin registering it
+     */
+    async createTool(data, userId) {
+        const fields = this.normalizeTool(data);
+        await this.assertNameAvailable(fields.name);
+
+        const tool = await this.getPrisma().http_tools.create({
+            data: { ...fields, created_by: userId || null }
+        });
+
+        logger.info(`Registered HTTP tool ${tool.name} (${tool.method} ${tool.endpoint})`);
+        return this.toPublic(tool);
+    }
+
+    async updateTool(id, data) {
+        const existing = await this.getTool(id);
+        const fields = this.normalizeTool(data, true);
+        if (fields.name && fields.name !== existing.name) {
+            await this.assertNameAvailable(fields.name);
+        }
+
+        const tool = await this.getPrisma().http_tools.update({ where: { id }, data: fields });
+        return this.toPublic(tool);
+    }
+
+    async deleteTool(id) {
+        await this.getTool(id);
+        await this.getPrisma().http_tools.delete({ where: { id } });
+    }
+
+    async assertNameAvailable(name) {
+        const taken = await this.getPrisma().http_tools.findUnique({ where: { name } });
+        if (taken) {
+            throw new AppError(`A tool named "${name}" already exists`, 409, 'TOOL_NAME_TAKEN');
+        }
+    }
+
+    /**
+     * Tools offered to the model, with their auth headers
+     */
+    async getEnabledTools() {
+        return this.getPrisma().http_tools.findMany({ where: { enabled: true }, orderBy: { name: 'asc' } });
+    }
+
+    /**
+     * Tools in the OpenAI function calling format
+     */
+    toFunctionDefinitions(tools) {
+        return tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters
+            }
+        }));
+    }
+
+    /**
+     * Check arguments against the tool's schema
+     *
+     * @returns {string|null} Problem description, null when valid
+     */
+    validateArguments(schema, args) {
+        if (!JSON_TYPE_CHECKS.object(args)) {
+            return 'Arguments must be an object';
+        }
+
+        for (const name of schema?.required || []) {
+            if (args[name] === undefined || args[name] === null || args[name] === '') {
+                return `Missing required argument "${name}"`;
+            }
+        }
+
+        for (const [name, value] of Object.entries(args)) {
+            const type = schema?.properties?.[name]?.type;
+            const check = typeof type === 'string' ? JSON_TYPE_CHECKS[type] : null;
+            if (check && !check(value)) {
+                return `Argument "${name}" must be of type ${type}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the HTTP request for a call; placeholders consume their arguments
+     *
+     * @throws {Error} When the arguments would send the request elsewhere than the registered endpoint
+     */
+    buildRequest(tool, args) {
+        const [origin] = tool.endpoint.match(ENDPOINT_ORIGIN_PATTERN) || [''];
+        if (!origin || origin.includes('{')) {
+            throw new Error('Tool endpoint placeholders are only allowed in the path and query');
+        }
+
+        const template = tool.endpoint.slice(origin.length);
+        const remaining = { ...args };
+        const url = new URL(origin + template.replace(PLACEHOLDER_PATTERN, (_, name) => {
+            const value = remaining[name] === undefined || remaining[name] === null ? '' : String(remaining[name]);
+            delete remaining[name];
+            if (INVALID_SEGMENTS.includes(value)) {
+                throw new Error(`Argument "${name}" is not a valid endpoint segment`);
+            }
+            return encodeURIComponent(value);
+        }));
+
+        // The path before the first placeholder is fixed, so the auth header only reaches the registered endpoint
+        const registered = new URL(origin + template.split('{')[0]);
+        if (url.origin !== registered.origin || !url.pathname.startsWith(registered.pathname)) {
+            throw new Error('Tool arguments may not change the endpoint');
+        }
+
+        const headers = { 'Accept': 'application/json' };
+        if (tool.auth_header_name && tool.auth_header_value) {
+            headers[tool.auth_header_name] = tool.auth_header_value;
+        }
+
+        if (tool.method === 'GET') {
+            for (const [name, value] of Object.entries(remaining)) {
+                url.searchParams.set(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+            }
+            return { url: url.toString(), init: { method: 'GET', headers } };
+        }
+
+        return {
+            url: url.toString(),
+            init: {
+                method: tool.method,
+                headers: { ...headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify(remaining)
+            }
+        };
+    }
+
+    /**
+     * Call a tool and describe the call for the debug info
+     *
+     * @param {Object} tool - Stored tool (with auth header)
+     * @param {Object} args - Arguments from the model or the admin test form
+     * @returns {Promise<{tool: string, arguments: Object, method: string, url: string|null, status: number|null, ok: boolean, response: *, error: string|null, durationMs: number}>}
+     */
+    async execute(tool, args = {}) {
+        const startedAt = Date.now();
+        const call = {
+            tool: tool.name,
+            arguments: args,
+            method: tool.method,
+            url: null,
+            status: null,
+            ok: false,
+            response: null,
+            error: null,
+            durationMs: 0
+        };
+
+        const problem = this.validateArguments(tool.parameters, args);
+        if (problem) {
+            call.error = problem;
+            return call;
+        }
+
+        try {
+            const { url, init } = this.buildRequest(tool, args);
+            call.url = url;
+
+            const response = await fetch(url, {
+                ...init,
+                signal: AbortSignal.timeout(tool.timeout_ms || DEFAULT_TIMEOUT_MS)
+            });
+
+            call.status = response.status;
+            call.response = this.parseResponse(await this.readResponse(response));
+            call.ok = response.ok;
+            if (!response.ok) {
+                call.error = `Endpoint returned ${response.status} ${response.statusText}`;
+            }
+        } catch (error) {
+            call.error = error.name === 'TimeoutError'
+                ? `No response within ${tool.timeout_ms || DEFAULT_TIMEOUT_MS} ms`
+                : error.message;
+        }
+
+        call.durationMs = Date.now() - startedAt;
+        if (!call.ok) {
+            logger.warn(`HTTP tool ${tool.name} failed: ${call.error}`);
+        }
+        return call;
+    }
+
+    /**
+     * Read the response body until it ends or exceeds MAX_RESPONSE_CHARS; the rest is not downloaded
+     */
+    async readResponse(response) {
+        if (!response.body) {
+            return '';
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        while (text.length <= MAX_RESPONSE_CHARS) {
+            const { done, value } = await reader.read();
+            if (done) {
+                return text + decoder.decode();
+            }
+            text += decoder.decode(value, { stream: true });
+        }
+
+        await reader.cancel().catch(() => {});
+        return text;
+    }
+
+    /**
+     * JSON responses are kept as objects, anything else as (truncated) text
+     */
+    parseResponse(text) {
+        if (text.length > MAX_RESPONSE_CHARS) {
+            return `${text.slice(0, MAX_RESPONSE_CHARS)}...`;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * Execute a tool call made by the model
+     *
+     * @param {Array} tools - Tools offered to the model
+     * @param {Object} toolCall - LangChain tool call { name, args }
+     */
+    async executeToolCall(tools, toolCall) {
+        const tool = tools.find(candidate => candidate.name === toolCall.name);
+        if (!tool) {
+            return {
+                tool: toolCall.name,
+                arguments: toolCall.args || {},
+                ok: false,
+                error: 'Unknown tool',
+                durationMs: 0
+            };
+        }
+        return this.execute(tool, toolCall.args || {});
+    }
+
+    /**
+     * Run a tool with sample arguments (Settings test button)
+     */
+    async testTool(id, args = {}) {
+        const tool = await this.getTool(id);
+
+        let parsedArgs = args;
+        if (typeof args === 'string') {
+            try {
+                parsedArgs = args.trim() ? JSON.parse(args) : {};
+            } catch (error) {
+                throw createError.badRequest(`Test arguments are not valid JSON: ${error.message}`);
+            }
+        }
+
+        return this.execute(tool, parsedArgs || {});
+    }
+}
+
+module.exports = new HttpToolService();
@@ -0,0 +1,231 @@
+/**
+ * KEYWORD INDEX SERVICE
+ *
+ * Main Purpose: BM25 keyword search over the same chunks stored in ChromaDB
+ *
+ * Key Responsibilities:
+ * - Index Building: Load every chunk from ChromaDB on first search
+ * - Incremental Updates: Mirror chunk upserts, deletions and clears made through ChromaService
+ * - Keyword Search: Rank chunks with Okapi BM25 for exact terms vector search misses
+ *   (street names, form codes, legal article numbers)
+ *
+ * Dependencies:
+ * - ChromaService for loading the chunks (required lazily to avoid a circular import)
+ * - Logger for index lifecycle logging
+ *
+ * Notes:
+ * - Tokens are lowercased with Lithuanian diacritics folded, so "uzsiregistruoti" matches "užsiregistruoti"
+ * - Compound tokens such as "FR-0512" or "5.1" are indexed whole and by their parts
+ * - The index lives in memory per backend process and is rebuilt after a restart
+ */
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('keywordIndexService');
+
+// Okapi BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Chunks fetched from ChromaDB per request while building the index
+const BUILD_BATCH_SIZE = 500;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[.\-/][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Split text into normalized search tokens
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    const normalized = String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '');
+
+    const tokens = [];
+    for (const match of normalized.match(TOKEN_PATTERN) || []) {
+        tokens.push(match);
+        if (/[.\-/]/.test(match)) {
+            tokens.push(...match.split(/[.\-/]/).filter(Boolean));
+        }
+    }
+    return tokens;
+}
+
+class KeywordIndexService {
+    constructor() {
+        // chunk id -> { id, content, metadata, termFrequencies: Map, length }
+        this.documents = new Map();
+        // term -> Set of chunk ids containing it
+        this.postings = new Map();
+        this.totalLength = 0;
+
+        this.built = false;
+        this.buildPromise = null;
+    }
+
+    /**
+     * Load all chunks from ChromaDB once; concurrent callers share the same build
+     *
+     * @returns {Promise<boolean>} Whether the index is available
+     */
+    async ensureBuilt() {
+        if (this.built) return true;
+
+        if (!this.buildPromise) {
+            this.buildPromise = this.build()
+                .catch((error) => {
+                    logger.warn('Keyword index build failed, keyword search disabled until next attempt:', error.message);
+                    return false;
+                })
+                .finally(() => {
+                    this.buildPromise = null;
+                });
+        }
+        return this.buildPromise;
+    }
+
+    async build() {
+        const chromaService = require('./chromaService');
+        if (!chromaService.isConnected) {
+            return false;
+        }
+
+        const startTime = Date.now();
+        const chunks = [];
+        for (let offset = 0; ; offset += BUILD_BATCH_SIZE) {
+            const batch = await chromaService.getChunks({ offset, limit: BUILD_BATCH_SIZE });
+            chunks.push(...batch);
+            if (batch.length < BUILD_BATCH_SIZE) break;
+        }
+
+        this.clear();
+        this.addDocuments(chunks);
+        this.built = true;
+
+        logger.info(`Keyword index built with ${this.documents.size} chunks in ${Date.now() - startTime}ms`);
+        return true;
+    }
+
+    /**
+     * Add or replace chunks
+     *
+     * @param {Array<{id: string, content: string, metadata?: Object}>} documents
+     */
+    addDocuments(documents = []) {
+        for (const doc of documents) {
+            if (!doc?.id) continue;
+            this.removeDocuments([doc.id]);
+
+            const tokens = tokenize(doc.content);
+            const termFrequencies = new Map();
+            for (const token of tokens) {
+                termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+            }
+
+            for (const term of termFrequencies.keys()) {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Set());
+                }
+                this.postings.get(term).add(doc.id);
+            }
+
+            this.documents.set(doc.id, {
+                id: doc.id,
+                content: doc.content || '',
+                metadata: doc.metadata || {},
+                termFrequencies,
+                length: tokens.length
+            });
+            this.totalLength += tokens.length;
+        }
+    }
+
+    /**
+     * Remove chunks by id
+     *
+     * @param {string[]} ids
+     */
+    removeDocuments(ids = []) {
+        for (const id of ids) {
+            const doc = this.documents.get(id);
+            if (!doc) continue;
+
+            for (const term of doc.termFrequencies.keys()) {
+                const postings = this.postings.get(term);
+                postings?.delete(id);
+                if (postings && postings.size === 0) {
+                    this.postings.delete(term);
+                }
+            }
+            this.totalLength -= doc.length;
+            this.documents.delete(id);
+        }
+    }
+
+    /**
+     * Drop every chunk (the collection was cleared)
+     */
+    clear() {
+        this.documents.clear();
+        this.postings.clear();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Rank chunks for a query with BM25
+     *
+     * @param {string} query
+     * @param {number} k - Maximum number of results
+     * @returns {Promise<Array<{id, content, metadata, score}>>} Same shape as ChromaService.searchContext
+     *   results, with a BM25 score instead of a distance
+     */
+    async search(query, k = 10) {
+        const available = await this.ensureBuilt();
+        if (!available || this.documents.size === 0) {
+            return [];
+        }
+
+        const terms = [...new Set(tokenize(query))];
+        const documentCount = this.documents.size;
+        const averageLength = this.totalLength / documentCount || 1;
+        const scores = new Map();
+
+        for (const term of terms) {
+            const postings = this.postings.get(term);
+            if (!postings) continue;
+
+            const idf = Math.log(1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5));
+            for (const id of postings) {
+                const doc = this.documents.get(id);
+                const frequency = doc.termFrequencies.get(term);
+                const weight = idf * (frequency * (BM25_K1 + 1))
+                    / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+                scores.set(id, (scores.get(id) || 0) + weight);
+            }
+        }
+
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, k)
+            .map(([id, score]) => {
+                const doc = this.documents.get(id);
+                return { id, content: doc.content, metadata: doc.metadata, score };
+            });
+    }
+
+    tokenize(text) {
+        return tokenize(text);
+    }
+
+    getStats() {
+        return {
+            built: this.built,
+            chunks: this.documents.size,
+            terms: this.postings.size
+        };
+    }
+}
+
+module.exports = new KeywordIndexService();
@@ -0,0 +1,285 @@
+/**
+ * KNOWLEDGE GAP SERVICE
+ *
+ * Main Purpose: Show content editors which customer questions the knowledge base fails to answer
+ *
+ * Key Responsibilities:
+ * - Query Log: Every customer question answered by the RAG chain, with its top retrieval score
+ * - Outcomes: Whether the agent sent the suggestion as is, edited it or wrote the reply from
+ *   scratch, and whether the autopilot guardrail escalated the answer
+ * - Report: Failing questions clustered by wording, largest clusters first
+ *
+ * Dependencies:
+ * - Database client (Prisma) for rag_queries
+ *
+ * Configuration:
+ * - KNOWLEDGE_GAP_TRACKING_ENABLED: Record customer questions (default: true)
+ *
+ * Notes:
+ * - A question fails when its top retrieval score is below the threshold, nothing was retrieved,
+ *   the agent edited or rewrote the suggestion, or the autopilot answer was escalated
+ * - Clustering compares word beginnings of the standalone (rephrased) question, without case and
+ *   diacritics, so inflected forms match and no model call is spent on the report
+ * - Only questions asked in a conversation are recorded (not evaluation runs)
+ * - Recording never fails the answer; errors are logged
+ */
+const databaseClient = require('../utils/database');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('knowledgeGapService');
+
+const CONFIG = {
+    enabled: process.env.KNOWLEDGE_GAP_TRACKING_ENABLED !== 'false'
+};
+
+const SUGGESTION_ACTIONS = {
+    'as-is': 'sent_as_is',
+    'edited': 'edited',
+    'from-scratch': 'from_scratch'
+};
+
+const DEFAULT_REPORT = {
+    days: 30,
+    scoreThreshold: 0.5,
+    limit: 20
+};
+
+// Questions join a cluster when this share of their words matches its first question
+const CLUSTER_SIMILARITY = 0.4;
+
+// Word beginnings compared, long enough to tell words apart and short enough for inflections
+const STEM_LENGTH = 5;
+const MIN_WORD_LENGTH = 3;
+
+// Example questions kept per cluster
+const CLUSTER_EXAMPLES = 5;
+
+// Failing questions clustered per report, newest first
+const MAX_REPORT_QUERIES = 2000;
+
+const STOP_WORDS = new Set([
+    // lt
+    'kaip', 'kur', 'kada', 'kas', 'kodel', 'koks', 'kokia', 'kokie', 'kiek', 'ar', 'yra', 'man', 'mano', 'jus', 'jusu',
+    'labas', 'laba', 'diena', 'sveiki', 'prasau', 'aciu', 'galiu', 'galima', 'reikia', 'noriu', 'del', 'apie', 'ir', 'su', 'be', 'tai', 'kad',
+    // en
+    'the', 'and', 'how', 'what', 'where', 'when', 'why', 'can', 'you', 'your', 'for', 'with', 'please', 'hello', 'thanks', 'need', 'want', 'have', 'does', 'about'
+]);
+
+const normalize = (text) => String(text).toLowerCase().normalize('NFD').replace(/\p{Diacritic}/gu, '');
+
+class KnowledgeGapService {
+    getPrisma() {
+        return databaseClient.getClient();
+    }
+
+    /**
+     * Record a customer question answered by the RAG chain
+     * Failures are logged and never reach the caller
+     *
+     * @param {Object} query
+     * @param {string} query.conversationId - Conversation the question was asked in
+     * @param {string} query.question - Customer question
+     * @param {string|null} [query.searchQuery] - Standalone question used for retrieval
+     * @param {number|null} [query.topScore] - Highest similarity of the retrieved documents
+     * @param {number} [query.contextsUsed] - Documents in the answer context
+     * @param {boolean} [query.cached] - Served from the semantic cache
+     * @param {boolean} [query.escalated] - The autopilot guardrail held the answer
+     * @returns {Promise<Object|null>} The stored record, null when not recorded
+     */
+    async recordQuery({ conversationId, question, searchQuery = null, topScore = null, contextsUsed = 0, cached = false, escalated = false }) {
+        if (!CONFIG.enabled || !conversationId || !question) {
+            return null;
+        }
+
+        try {
+            return await this.getPrisma().rag_queries.create({
+                data: {
+                    ticket_id: conversationId,
+                    question,
+                    search_query: searchQuery && searchQuery !== question ? searchQuery : null,
+                    top_score: typeof topScore === 'number' ? topScore : null,
+                    contexts_used: contextsUsed || 0,
+                    cached: Boolean(cached),
+                    escalated: Boolean(escalated)
+                }
+            });
+        } catch (error) {
+            logger.error(`Failed to record query for conversation ${conversationId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Record what the agent did with the latest AI suggestion of a conversation
+     * Failures are logged and never reach the caller
+     *
+     * @param {string} conversationId - Conversation ID
+     * @param {string} suggestionAction - 'as-is', 'edited' or 'from-scratch'
+     * @returns {Promise<boolean>} Whether a question was updated
+     */
+    async recordSuggestionAction(conversationId, suggestionAction) {
+        const action = SUGGESTION_ACTIONS[suggestionAction];
+        if (!CONFIG.enabled || !action) {
+            return false;
+        }
+
+        try {
+            const prisma = this.getPrisma();
+            const latest = await prisma.rag_queries.findFirst({
+                where: { ticket_id: conversationId, suggestion_action: null },
+                orderBy: { created_at: 'desc' },
+                select: { id: true }
+            });
+            if (!latest) {
+                return false;
+            }
+
+            await prisma.rag_queries.update({
+                where: { id: latest.id },
+                data: { suggestion_action: action }
+            });
+            return true;
+        } catch (error) {
+            logger.error(`Failed to record suggestion action for conversation ${conversationId}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Why a recorded question counts as unanswered, empty when it was answered
+     *
+     * @returns {string[]} Any of 'no_context', 'low_score', 'edited', 'from_scratch', 'escalated'
+     */
+    failureReasons(query, scoreThreshold) {
+        const reasons = [];
+        if (query.contexts_used === 0) reasons.push('no_context');
+        else if (typeof query.top_score === 'number' && query.top_score < scoreThreshold) reasons.push('low_score');
+        if (query.suggestion_action === 'edited' || query.suggestion_action === 'from_scratch') reasons.push(query.suggestion_action);
+        if (query.escalated) reasons.push('escalated');
+        return reasons;
+    }
+
+    /**
+     * Word beginnings of a question used for clustering
+     */
+    questionTerms(text) {
+        const words = normalize(text).match(/\p{L}+|\d+/gu) || [];
+        return new Set(words
+            .filter(word => word.length >= MIN_WORD_LENGTH && !STOP_WORDS.has(word))
+            .map(word => word.substring(0, STEM_LENGTH)));
+    }
+
+    /**
+     * Share of the smaller question's terms found in the other one
+     */
+    similarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        let shared = 0;
+        for (const term of a) {
+            if (b.has(term)) shared++;
+        }
+        return shared / Math.min(a.size, b.size);
+    }
+
+    /**
+     * Group similar questions, each joining the first cluster it resembles
+     *
+     * @param {Array} queries - rag_queries records with their failure reasons, newest first
+     * @returns {Array} Clusters, largest first
+     */
+    clusterQueries(queries) {
+        const clusters = [];
+
+        for (const query of queries) {
+            const text = query.search_query || query.question;
+            const terms = this.questionTerms(text);
+            const cluster = clusters.find(candidate => this.similarity(terms, candidate.terms) >= CLUSTER_SIMILARITY);
+
+            if (cluster) {
+                cluster.queries.push(query);
+            } else {
+                clusters.push({ terms, queries: [query] });
+            }
+        }
+
+        return clusters
+            .map(({ queries: members }) => this.summarizeCluster(members))
+            .sort((a, b) => b.count - a.count || new Date(b.lastAskedAt) - new Date(a.lastAskedAt));
+    }
+
+    /**
+     * Report entry for a cluster of questions
+     */
+    summarizeCluster(queries) {
+        const reasons = {};
+        for (const query of queries) {
+            for (const reason of query.reasons) {
+                reasons[reason] = (reasons[reason] || 0) + 1;
+            }
+        }
+
+        const scores = queries.map(query => query.top_score).filter(score => typeof score === 'number');
+        const examples = [...new Set(queries.map(query => query.search_query || query.question))];
+
+        return {
+            question: examples[0],
+            count: queries.length,
+            conversations: new Set(queries.map(query => query.ticket_id)).size,
+            examples: examples.slice(0, CLUSTER_EXAMPLES),
+            reasons,
+            averageScore: scores.length > 0
+                ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 1000) / 1000
+                : null,
+            lastAskedAt: queries[0].created_at
+        };
+    }
+
+    /**
+     * Clustered report of the questions the knowledge base failed to answer
+     *
+     * @param {Object} [options]
+     * @param {number} [options.days=30] - Questions asked in this many past days
+     * @param {number} [options.scoreThreshold=0.5] - Top retrieval scores below this fail
+     * @param {number} [options.limit=20] - Clusters returned
+     * @returns {Promise<Object>} { period, scoreThreshold, totals, clusters }
+     */
+    async getReport({ days = DEFAULT_REPORT.days, scoreThreshold = DEFAULT_REPORT.scoreThreshold, limit = DEFAULT_REPORT.limit } = {}) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const prisma = this.getPrisma();
+
+        const [total, candidates] = await Promise.all([
+            prisma.rag_queries.count({ where: { created_at: { gte: since } } }),
+            prisma.rag_queries.findMany({
+                where: {
+                    created_at: { gte: since },
+                    OR: [
+                        { contexts_used: 0 },
+                        { top_score: { lt: scoreThreshold } },
+                        { suggestion_action: { in: ['edited', 'from_scratch'] } },
+                        { escalated: true }
+                    ]
+                },
+                orderBy: { created_at: 'desc' },
+                take: MAX_REPORT_QUERIES
+            })
+        ]);
+
+        const failing = candidates
+            .map(query => ({ ...query, reasons: this.failureReasons(query, scoreThreshold) }))
+            .filter(query => query.reasons.length > 0);
+        const clusters = this.clusterQueries(failing);
+
+        return {
+            period: { days, since: since.toISOString() },
+            scoreThreshold,
+            totals: {
+                queries: total,
+                failing: failing.length,
+                clusters: clusters.length
+            },
+            clusters: clusters.slice(0, limit)
+        };
+    }
+}
+
+module.exports = new KnowledgeGapService();
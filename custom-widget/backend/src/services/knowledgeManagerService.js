@@ -5,7 +5,9 @@
 const documentService = require('./documentService');
 const chromaService = require('./chromaService');
 const SettingsService = require('./settingsService');
+const semanticCacheService = require('./semanticCacheService');
 const { createLogger } = require('../utils/logger');
+const { isChatCompletionProvider } = require('../../ai-providers');
 const logger = createLogger('knowledgeManagerService');
 
 // In-memory storage for document metadata (use proper database in production)
@@ -56,7 +58,7 @@ class KnowledgeManagerService {
 
             // Only add to vector database for OpenRouter provider
             const currentProvider = await this._getAIProvider();
-            if (currentProvider === 'openrouter') {
+            if (isChatCompletionProvider(currentProvider)) {
                 try {
                     // Add chunks to vector database with fallback protection
                     await chromaService.addDocuments(chunks);
@@ -120,6 +122,8 @@ class KnowledgeManagerService {
                 docMetadata.note = 'File processed but not indexed (Flowise uses built-in RAG)';
             }
 
+            semanticCacheService.invalidate('document_uploaded');
+
             return {
                 documentId: document.id,
                 fileName: document.originalName,
@@ -173,7 +177,7 @@ class KnowledgeManagerService {
 
             // Remove from vector database if it was indexed
             const currentProvider = await this._getAIProvider();
-            if (currentProvider === 'openrouter' && document.status === 'indexed') {
+            if (isChatCompletionProvider(currentProvider) && document.status === 'indexed') {
                 try {
                     // Find and remove chunks from vector database
                     // Note: This would require implementing a way to delete by metadata filter
@@ -189,6 +193,7 @@ class KnowledgeManagerService {
 
             // Remove from metadata storage
             this.documents.delete(documentId);
+            semanticCacheService.invalidate('document_deleted');
 
             logger.info(`Document ${document.originalName} deleted successfully`);
             return true;
@@ -230,7 +235,7 @@ class KnowledgeManagerService {
     async reindexAllDocuments() {
         const currentProvider = await this._getAIProvider();
         
-        if (currentProvider !== 'openrouter') {
+        if (!isChatCompletionProvider(currentProvider)) {
             logger.info('Skipping re-indexing: not using OpenRouter provider');
             return { message: 'Re-indexing not needed for current provider', provider: currentProvider };
         }
@@ -258,6 +263,8 @@ class KnowledgeManagerService {
             }
         }
 
+        semanticCacheService.invalidate('documents_reindexed');
+
         return {
             total: docs.length,
             indexed: indexed,
@@ -446,6 +453,7 @@ class KnowledgeManagerService {
 
             const action = replacedDocument ? 'replaced' : 'indexed';
             logger.info(`✅ API document ${action} successfully: ${documentId} (${chunksCount} chunks)`);
+            semanticCacheService.invalidate(`document_${action}`);
 
             return {
                 documentId,
@@ -6,6 +6,7 @@
  * Key Responsibilities:
  * - Document Management: Upload, store, and organize knowledge base documents
  * - Semantic Search: Find relevant context using vector similarity search
+ * - Keyword Search: Find chunks by exact terms using the BM25 keyword index
  * - Provider Coordination: Route between Flowise built-in RAG and external ChromaDB
  * - Context Retrieval: Provide document chunks for AI response enhancement
  * - Statistics Reporting: Track knowledge base size and usage
@@ -47,6 +48,7 @@
  * - Statistics include document count, embedding count, collection info
  */
 const chromaService = require('./chromaService');
+const keywordIndexService = require('./keywordIndexService');
 const SettingsService = require('./settingsService');
 const { createLogger } = require('../utils/logger');
 const logger = createLogger('knowledgeService');
@@ -136,6 +138,17 @@ class KnowledgeService {
         return await chromaService.searchContext(query, nResults);
     }
 
+    /**
+     * Search document chunks by keywords (BM25) for exact terms vector search misses
+     *
+     * @param {string} query - Search query text
+     * @param {number} nResults - Number of results to return (default: 2)
+     * @returns {Promise<Array>} Array of matching chunks with metadata and BM25 score
+     */
+    async keywordSearch(query, nResults = 2) {
+        return await keywordIndexService.search(query, nResults);
+    }
+
     /**
      * Retrieve all indexed documents from vector database
      *
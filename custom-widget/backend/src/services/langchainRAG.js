@@ -20,6 +20,9 @@
 const LizdeikaRAGChain = require('./chains/LizdeikaRAGChain');
 const ChromaRetriever = require('./chains/ChromaRetriever');
 const QueryRephraseChain = require('./chains/QueryRephraseChain');
+const semanticCacheService = require('./semanticCacheService');
+const faqService = require('./faqService');
+const knowledgeGapService = require('./knowledgeGapService');
 const { Langfuse } = require("langfuse");
 
 class LangChainRAG {
@@ -97,7 +100,8 @@ class LangChainRAG {
             console.log(`   - Retrieval K: ${this.ragChain.retriever.k}`);
             console.log(`   - Query rephrasing: ${this.ragChain.enableRephrasing ? 'ENABLED' : 'DISABLED'}`);
             console.log(`   - Source attribution: ${this.ragChain.showSources ? 'ENABLED' : 'DISABLED'}`);
-            console.log(`   - Rephrasing model: ${process.env.REPHRASING_MODEL}`);
+            console.log(`   - Provider: ${this.ragChain.providerName} (${this.ragChain.mainModelName})`);
+            console.log(`   - Rephrasing model: ${this.rephraseChain.rephrasingModel}`);
             console.log(`   - Event listeners: ${this.settingsService ? 'ENABLED' : 'DISABLED'}`);
 
         } catch (error) {
@@ -233,7 +237,21 @@ class LangChainRAG {
                 rag_k: parseInt(process.env.RAG_K) || 100,
                 rag_similarity_threshold: parseFloat(process.env.RAG_SIMILARITY_THRESHOLD) || 0.7,
                 rag_max_tokens: parseInt(process.env.RAG_MAX_TOKENS) || 2000,
-                system_prompt: process.env.SYSTEM_PROMPT || ''
+                rag_vector_weight: process.env.RAG_VECTOR_WEIGHT !== undefined ? parseFloat(process.env.RAG_VECTOR_WEIGHT) : 1,
+                rag_keyword_weight: process.env.RAG_KEYWORD_WEIGHT !== undefined ? parseFloat(process.env.RAG_KEYWORD_WEIGHT) : 1,
+                rag_reranker: process.env.RAG_RERANKER || 'none',
+                rag_rerank_candidates: parseInt(process.env.RAG_RERANK_CANDIDATES) || 20,
+                rag_reranker_url: process.env.RAG_RERANKER_URL || '',
+                rag_reranker_model: process.env.RAG_RERANKER_MODEL || '',
+                rag_reranker_api_key: process.env.RAG_RERANKER_API_KEY || '',
+                system_prompt: process.env.SYSTEM_PROMPT || '',
+                semantic_cache_enabled: process.env.SEMANTIC_CACHE_ENABLED === 'true',
+                semantic_cache_threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.95,
+                semantic_cache_ttl_hours: parseFloat(process.env.SEMANTIC_CACHE_TTL_HOURS) || 24,
+                semantic_cache_max_entries: parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES) || 1000,
+                faq_matching_enabled: process.env.FAQ_MATCHING_ENABLED !== 'false',
+                faq_answer_threshold: parseFloat(process.env.FAQ_ANSWER_THRESHOLD) || 0.92,
+                faq_context_threshold: parseFloat(process.env.FAQ_CONTEXT_THRESHOLD) || 0.8
             };
         }
 
@@ -242,7 +260,21 @@ class LangChainRAG {
                 rag_k: await this.settingsService.getSetting('rag_k', 'ai') || 100,
                 rag_similarity_threshold: await this.settingsService.getSetting('rag_similarity_threshold', 'ai') || 0.7,
                 rag_max_tokens: await this.settingsService.getSetting('rag_max_tokens', 'ai') || 2000,
-                system_prompt: await this.settingsService.getSetting('system_prompt', 'ai') || ''
+                rag_vector_weight: await this.settingsService.getSetting('rag_vector_weight', 'ai') ?? 1,
+                rag_keyword_weight: await this.settingsService.getSetting('rag_keyword_weight', 'ai') ?? 1,
+                rag_reranker: await this.settingsService.getSetting('rag_reranker', 'ai') || 'none',
+                rag_rerank_candidates: await this.settingsService.getSetting('rag_rerank_candidates', 'ai') || 20,
+                rag_reranker_url: await this.settingsService.getSetting('rag_reranker_url', 'ai') || '',
+                rag_reranker_model: await this.settingsService.getSetting('rag_reranker_model', 'ai') || '',
+                rag_reranker_api_key: await this.settingsService.getSetting('rag_reranker_api_key', 'ai') || '',
+                system_prompt: await this.settingsService.getSetting('system_prompt', 'ai') || '',
+                semantic_cache_enabled: Boolean(await this.settingsService.getSetting('semantic_cache_enabled', 'ai')),
+                semantic_cache_threshold: await this.settingsService.getSetting('semantic_cache_threshold', 'ai') || 0.95,
+                semantic_cache_ttl_hours: await this.settingsService.getSetting('semantic_cache_ttl_hours', 'ai') || 24,
+                semantic_cache_max_entries: await this.settingsService.getSetting('semantic_cache_max_entries', 'ai') || 1000,
+                faq_matching_enabled: await this.settingsService.getSetting('faq_matching_enabled', 'ai') !== false,
+                faq_answer_threshold: await this.settingsService.getSetting('faq_answer_threshold', 'ai') || 0.92,
+                faq_context_threshold: await this.settingsService.getSetting('faq_context_threshold', 'ai') || 0.8
             };
         } catch (error) {
             console.warn('⚠️ LangChain RAG: Error getting settings from service, using defaults:', error.message);
@@ -250,7 +282,11 @@ class LangChainRAG {
                 rag_k: 100,
                 rag_similarity_threshold: 0.7,
                 rag_max_tokens: 2000,
-                system_prompt: ''
+                rag_vector_weight: 1,
+                rag_keyword_weight: 1,
+                rag_reranker: 'none',
+                system_prompt: '',
+                semantic_cache_enabled: false
             };
         }
     }
@@ -261,9 +297,19 @@ class LangChainRAG {
      * @param {string} query - User question
      * @param {Array} chatHistory - Conversation history as [user, assistant] pairs
      * @param {boolean} includeDebug - Whether to include debug information
+     * @param {string|null} conversationId - Conversation ID used for trace grouping
+     * @param {Object} options - Optional streaming hooks
+     * @param {Function} [options.onToken] - Receives (delta, fullText) while the answer streams
+     * @param {AbortSignal} [options.signal] - Cancels a streamed answer, keeping the partial text
+     * @param {boolean} [options.bypassCache] - Skip the semantic answer cache
+     * @param {Object} [options.guardrail] - Autopilot guardrail { minConfidence, selfCheck }; returns a confidence assessment
+     * @param {string} [options.language] - Customer's language code; the answer is written in it
+     * @param {string} [options.feature='suggestion'] - Feature the LLM usage is accounted to (suggestion, autopilot, evaluation)
      * @returns {Object} Answer with sources and debug info (same format as original)
+     *
+     * Questions asked in a conversation are recorded for the knowledge gap report.
      */
-    async getAnswer(query, chatHistory = [], includeDebug = true, conversationId = null) {
+    async getAnswer(query, chatHistory = [], includeDebug = true, conversationId = null, options = {}) {
         const startTime = Date.now();
 
         // Wait for initialization to complete
@@ -279,8 +325,32 @@ class LangChainRAG {
             // Update RAG chain configuration with current settings
             if (this.ragChain.retriever) {
                 this.ragChain.retriever.k = currentSettings.rag_k;
+                this.ragChain.retriever.vectorWeight = currentSettings.rag_vector_weight;
+                this.ragChain.retriever.keywordWeight = currentSettings.rag_keyword_weight;
             }
+
+            this.ragChain.rerankOptions = {
+                strategy: currentSettings.rag_reranker,
+                candidates: currentSettings.rag_rerank_candidates,
+                maxTokens: currentSettings.rag_max_tokens,
+                url: currentSettings.rag_reranker_url,
+                model: currentSettings.rag_reranker_model,
+                apiKey: currentSettings.rag_reranker_api_key
+            };
             
+            semanticCacheService.configure({
+                enabled: currentSettings.semantic_cache_enabled,
+                threshold: currentSettings.semantic_cache_threshold,
+                ttlHours: currentSettings.semantic_cache_ttl_hours,
+                maxEntries: currentSettings.semantic_cache_max_entries
+            });
+
+            faqService.configure({
+                enabled: currentSettings.faq_matching_enabled,
+                answerThreshold: currentSettings.faq_answer_threshold,
+                contextThreshold: currentSettings.faq_context_threshold
+            });
+
             console.log(`🔧 LangChain RAG: Using dynamic settings - K:${currentSettings.rag_k}`);
             
             // Validate inputs
@@ -313,6 +383,8 @@ class LangChainRAG {
             console.log(`  • RAG Configuration:`);
             console.log(`    - K (Documents to retrieve): ${currentSettings.rag_k}`);
             console.log(`    - Provider: LangChain + ChromaDB + Mistral`);
+            console.log(`    - Hybrid Weights: vector ${currentSettings.rag_vector_weight}, keyword ${currentSettings.rag_keyword_weight}`);
+            console.log(`    - Re-ranker: ${currentSettings.rag_reranker}`);
             console.log(`    - Debug Mode: ${includeDebug}`);
             console.log(`    - Session ID: ${sessionId.substring(0, 8)}...`);
             console.log(`    - Conversation ID: ${conversationId || 'N/A'}`);
@@ -325,7 +397,14 @@ class LangChainRAG {
             // Call the main RAG chain
             const result = await this.ragChain._call({
                 question: query,
-                chat_history: chatHistory
+                chat_history: chatHistory,
+                onToken: options.onToken || null,
+                signal: options.signal || null,
+                bypassCache: Boolean(options.bypassCache),
+                guardrail: options.guardrail || null,
+                language: options.language || null,
+                conversationId,
+                feature: options.feature || 'suggestion'
             });
 
             const endTime = Date.now();
@@ -352,6 +431,9 @@ class LangChainRAG {
             if (result.sourceUrls && result.sourceUrls.length > 0) {
                 console.log(`  • Source URLs: ${result.sourceUrls.length} references`);
             }
+            if (result.cached) {
+                console.log(`  • Served From: Semantic cache`);
+            }
             console.log(`  • Total Processing Time: ${processingTime}ms`);
             console.log(`  • Session ID: ${sessionId.substring(0, 8)}...`);
             console.log(`  • Debug Info Available: ${includeDebug && result.debugInfo ? 'Yes' : 'No'}`);
@@ -369,6 +451,16 @@ class LangChainRAG {
                     console.log(`    - Query Used: "${result.debugInfo.step3_documentRetrieval.searchQuery}"`);
                     console.log(`    - Documents Requested: ${result.debugInfo.step3_documentRetrieval.requestedDocuments}`);
                     console.log(`    - Documents Retrieved: ${result.debugInfo.step3_documentRetrieval.retrievedDocuments}`);
+                    const hybrid = result.debugInfo.step3_documentRetrieval.hybrid;
+                    if (hybrid) {
+                        console.log(`    - Vector / Keyword Results: ${hybrid.vectorResults} / ${hybrid.keywordResults}`);
+                    }
+                }
+                const reranking = result.debugInfo.step3b_reranking;
+                if (reranking?.strategy && reranking.strategy !== 'none') {
+                    console.log(`  • Re-ranking:`);
+                    console.log(`    - Strategy: ${reranking.strategy}${reranking.error ? ` (failed: ${reranking.error})` : ''}`);
+                    console.log(`    - Kept / Dropped: ${reranking.kept} / ${reranking.dropped.length}`);
                 }
                 if (result.debugInfo.step5_responseGeneration) {
                     console.log(`  • Response Generation:`);
@@ -378,12 +470,33 @@ class LangChainRAG {
                 }
             }
 
+            if (conversationId && !result.error && !result.cancelled) {
+                knowledgeGapService.recordQuery({
+                    conversationId,
+                    question: query,
+                    searchQuery: result.debugInfo?.step2_queryRephrasing?.rephrasedQuery || null,
+                    topScore: result.confidenceSignals?.topSimilarity ?? null,
+                    contextsUsed: result.contextsUsed || 0,
+                    cached: Boolean(result.cached),
+                    escalated: result.confidence?.passed === false
+                });
+            }
+
             // Return in exact same format as original
             return {
                 answer: result.answer,
                 contextsUsed: result.contextsUsed || 0,
                 sources: result.sources || [],
                 sourceUrls: result.sourceUrls || [],
+                citations: result.citations || [],
+                cancelled: Boolean(result.cancelled),
+                servedBy: result.servedBy,
+                failedOver: Boolean(result.failedOver),
+                cached: Boolean(result.cached),
+                faq: result.faq || null,
+                confidence: result.confidence || null,
+                promptVersions: result.promptVersions || null,
+                promptExperiment: result.promptExperiment || null,
                 debugInfo: includeDebug ? result.debugInfo : undefined
             };
 
@@ -418,6 +531,7 @@ class LangChainRAG {
                 contextsUsed: 0,
                 sources: [],
                 sourceUrls: [],
+                citations: [],
                 debugInfo: includeDebug ? errorDebugInfo : undefined
             };
         }
@@ -0,0 +1,406 @@
+/**
+ * LLM USAGE SERVICE
+ *
+ * Main Purpose: Account for the tokens and money spent on LLM calls
+ *
+ * Key Responsibilities:
+ * - Recording: Prompt and completion tokens, model, provider and latency of every call, linked to
+ *   the conversation and the feature that made it (suggestion, autopilot, rephrase, categorization,
+ *   evaluation, summary, translation, sentiment, screening, rerank, self_check)
+ * - LangChain Integration: A per-call callback handler that records the usage chat models report
+ * - OpenAI SDK Integration: Recording the usage a chat completion response reports
+ * - Costs: A price table turns usage into USD
+ * - Breakdown: Spend by day, model and feature for the statistics API
+ * - Monthly Budget: Alerts when spend reaches the alert threshold and the budget, and tells callers
+ *   when autopilot should switch to HITL
+ *
+ * Dependencies:
+ * - Database client (Prisma) for llm_usage
+ * - SettingsService for the price table and budget settings
+ *
+ * Configuration (settings category 'ai', environment fallback):
+ * - llm_price_table / LLM_PRICE_TABLE: JSON { "<model>": { "input": 0.3, "output": 2.5 } } in USD per
+ *   million tokens, merged over the built-in prices of the default models
+ * - llm_monthly_budget / LLM_MONTHLY_BUDGET: USD per calendar month (UTC), 0 = no budget (default)
+ * - llm_budget_alert_threshold / LLM_BUDGET_ALERT_THRESHOLD: Share of the budget that raises the
+ *   first alert (default 0.8)
+ * - llm_budget_switch_to_hitl / LLM_BUDGET_SWITCH_TO_HITL: Switch autopilot to HITL once the budget
+ *   is spent (default off)
+ *
+ * Notes:
+ * - Only usage reported by the provider is recorded; calls without usage (the mock provider,
+ *   endpoints that omit it) are not counted
+ * - Costs are calculated with the current price table when read, so a price change also reprices
+ *   earlier usage; models without a price count tokens but no cost
+ * - A model is priced by its exact name, else by the longest configured name it starts with
+ *   (providers may append a version, e.g. "google/gemini-2.5-flash-001")
+ * - Recording never throws: accounting must not break a customer answer
+ * - Month spend is cached for a minute, so the budget is enforced up to a minute late
+ * - Each alert level is logged once per month and process
+ */
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+const databaseClient = require('../utils/database');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('llmUsageService');
+
+const FEATURES = [
+    'suggestion', 'autopilot', 'rephrase', 'categorization', 'evaluation',
+    'summary', 'translation', 'sentiment', 'screening', 'rerank', 'self_check'
+];
+
+// USD per million tokens of the default OpenRouter models
+const DEFAULT_PRICES = {
+    'google/gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'google/gemini-2.5-flash-lite': { input: 0.1, output: 0.4 }
+};
+
+const DEFAULT_ALERT_THRESHOLD = 0.8;
+
+// Month spend is re-read at most this often when checking the budget
+const SPEND_CACHE_MS = 60 * 1000;
+
+const roundCost = (value) => Math.round(value * 1000000) / 1000000;
+
+const monthStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+const monthKey = (date) => date.toISOString().substring(0, 7);
+
+class LLMUsageService {
+    constructor() {
+        this.settingsService = null;
+        this.spendCache = null; // { month, spent, at }
+        this.alerted = { month: null, level: null };
+    }
+
+    getPrisma() {
+        return databaseClient.getClient();
+    }
+
+    getSettingsService() {
+        if (!this.settingsService) {
+            const SettingsService = require('./settingsService');
+            this.settingsService = new SettingsService();
+        }
+        return this.settingsService;
+    }
+
+    /**
+     * Store the usage of one LLM call
+     *
+     * @param {Object} usage
+     * @param {string} usage.feature - One of FEATURES, e.g. suggestion, autopilot or summary
+     * @param {string} usage.model - Model that answered
+     * @param {string} [usage.provider] - AI provider
+     * @param {number} usage.promptTokens - Input tokens
+     * @param {number} usage.completionTokens - Output tokens
+     * @param {number} [usage.latencyMs] - Call duration
+     * @param {string} [usage.conversationId] - Conversation the call was made for
+     */
+    async record({ feature, model, provider = null, promptTokens, completionTokens, latencyMs = null, conversationId = null }) {
+        try {
+            await this.getPrisma().llm_usage.create({
+                data: {
+                    feature: FEATURES.includes(feature) ? feature : 'suggestion',
+                    provider,
+                    model: model || 'unknown',
+                    prompt_tokens: Math.round(promptTokens) || 0,
+                    completion_tokens: Math.round(completionTokens) || 0,
+                    latency_ms: typeof latencyMs === 'number' ? Math.round(latencyMs) : null,
+                    ticket_id: conversationId || null
+                }
+            });
+
+            await this.checkBudget();
+        } catch (error) {
+            logger.warn(`Failed to record LLM usage (${feature}, ${model}): ${error.message}`);
+        }
+    }
+
+    /**
+     * Store the usage reported with an OpenAI SDK chat completion
+     *
+     * @param {Object} response - Chat completion response
+     * @param {Object} context - { feature, model, provider, startedAt, conversationId }
+     */
+    async recordCompletion(response, { feature, model, provider = null, startedAt = null, conversationId = null }) {
+        if (!response?.usage) return;
+
+        await this.record({
+            feature,
+            provider,
+            model: response.model || model,
+            promptTokens: response.usage.prompt_tokens,
+            completionTokens: response.usage.completion_tokens,
+            latencyMs: startedAt ? Date.now() - startedAt : null,
+            conversationId
+        });
+    }
+
+    /**
+     * Token counts reported with a LangChain chat generation
+     *
+     * @returns {{promptTokens: number, completionTokens: number}|null} null when the provider reported none
+     */
+    usageFromOutput(output) {
+        const message = output?.generations?.[0]?.[0]?.message;
+        if (message?.usage_metadata) {
+            return {
+                promptTokens: message.usage_metadata.input_tokens || 0,
+                completionTokens: message.usage_metadata.output_tokens || 0
+            };
+        }
+
+        const tokenUsage = output?.llmOutput?.tokenUsage;
+        if (tokenUsage && (tokenUsage.promptTokens || tokenUsage.completionTokens)) {
+            return {
+                promptTokens: tokenUsage.promptTokens || 0,
+                completionTokens: tokenUsage.completionTokens || 0
+            };
+        }
+        return null;
+    }
+
+    /**
+     * LangChain callback handler recording the usage of the calls it is passed to
+     * Failover attempts are recorded per model that answered.
+     *
+     * @param {Object} context - { feature, provider, conversationId }
+     * @returns {BaseCallbackHandler}
+     */
+    createCallbackHandler({ feature, provider = null, conversationId = null }) {
+        // runId -> { startedAt, model }
+        const runs = new Map();
+
+        return BaseCallbackHandler.fromMethods({
+            handleChatModelStart: (llm, messages, runId, parentRunId, extraParams) => {
+                runs.set(runId, {
+                    startedAt: Date.now(),
+                    model: extraParams?.invocation_params?.model || extraParams?.invocation_params?.model_name || null
+                });
+            },
+            handleLLMEnd: async (output, runId) => {
+                const run = runs.get(runId);
+                runs.delete(runId);
+
+                const usage = this.usageFromOutput(output);
+                if (!usage) return;
+
+                await this.record({
+                    feature,
+                    provider,
+                    model: output.generations?.[0]?.[0]?.message?.response_metadata?.model_name || run?.model,
+                    ...usage,
+                    latencyMs: run ? Date.now() - run.startedAt : null,
+                    conversationId
+                });
+            },
+            handleLLMError: (error, runId) => {
+                runs.delete(runId);
+            }
+        });
+    }
+
+    /**
+     * Price table: built-in prices overridden by the configured ones
+     *
+     * @returns {Promise<Object>} model -> { input, output } in USD per million tokens
+     */
+    async getPriceTable() {
+        let configured = {};
+        try {
+            const value = await this.getSettingsService().getSetting('llm_price_table', 'ai');
+            configured = typeof value === 'string' && value.trim() ? JSON.parse(value) : (value && typeof value === 'object' ? value : {});
+        } catch (error) {
+            logger.warn(`Ignoring invalid LLM price table: ${error.message}`);
+        }
+        return { ...DEFAULT_PRICES, ...configured };
+    }
+
+    /**
+     * Price of a model: exact name, else the longest configured name it starts with
+     */
+    findPrice(model, prices) {
+        if (prices[model]) return prices[model];
+
+        const prefix = Object.keys(prices)
+            .filter(name => model?.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? prices[prefix] : null;
+    }
+
+    /**
+     * Cost of tokens of a model in USD
+     *
+     * @returns {number|null} null when the model has no price
+     */
+    calculateCost(model, promptTokens, completionTokens, prices) {
+        const price = this.findPrice(model, prices);
+        if (!price) return null;
+        return roundCost((promptTokens * price.input + completionTokens * price.output) / 1000000);
+    }
+
+    /**
+     * USD spent since the start of the month
+     */
+    async getMonthSpend(now = new Date()) {
+        const month = monthKey(now);
+        if (this.spendCache?.month === month && Date.now() - this.spendCache.at < SPEND_CACHE_MS) {
+            return this.spendCache.spent;
+        }
+
+        const [rows, prices] = await Promise.all([
+            this.getPrisma().llm_usage.groupBy({
+                by: ['model'],
+                where: { created_at: { gte: monthStart(now) } },
+                _sum: { prompt_tokens: true, completion_tokens: true }
+            }),
+            this.getPriceTable()
+        ]);
+
+        const spent = roundCost(rows.reduce((sum, row) =>
+            sum + (this.calculateCost(row.model, row._sum.prompt_tokens || 0, row._sum.completion_tokens || 0, prices) || 0), 0));
+
+        this.spendCache = { month, spent, at: Date.now() };
+        return spent;
+    }
+
+    /**
+     * Load the budget settings
+     *
+     * @returns {Promise<{monthlyBudget: number, alertThreshold: number, switchToHitl: boolean}>}
+     */
+    async getBudgetSettings() {
+        const settingsService = this.getSettingsService();
+        const get = (key) => settingsService.getSetting(key, 'ai');
+
+        const budget = await get('llm_monthly_budget');
+        const threshold = await get('llm_budget_alert_threshold');
+        return {
+            monthlyBudget: typeof budget === 'number' && budget > 0 ? budget : 0,
+            alertThreshold: typeof threshold === 'number' ? threshold : DEFAULT_ALERT_THRESHOLD,
+            switchToHitl: Boolean(await get('llm_budget_switch_to_hitl'))
+        };
+    }
+
+    /**
+     * Spend of the month against the budget; logs an alert the first time a level is reached
+     *
+     * @returns {Promise<Object>} { month, spent, monthlyBudget, ratio, level, switchToHitl }
+     *   level: null, 'warning' (alert threshold reached) or 'exceeded' (budget spent)
+     */
+    async checkBudget(now = new Date()) {
+        const settings = await this.getBudgetSettings();
+        const month = monthKey(now);
+        const status = {
+            month,
+            spent: null,
+            monthlyBudget: settings.monthlyBudget,
+            ratio: null,
+            level: null,
+            switchToHitl: settings.switchToHitl
+        };
+
+        if (!settings.monthlyBudget) {
+            return status;
+        }
+
+        status.spent = await this.getMonthSpend(now);
+        status.ratio = Math.round(status.spent / settings.monthlyBudget * 1000) / 1000;
+        status.level = status.ratio >= 1 ? 'exceeded' : (status.ratio >= settings.alertThreshold ? 'warning' : null);
+
+        const alreadyAlerted = this.alerted.month === month &&
+            (this.alerted.level === status.level || this.alerted.level === 'exceeded');
+        if (status.level && !alreadyAlerted) {
+            this.alerted = { month, level: status.level };
+            logger.warn(status.level === 'exceeded'
+                ? `LLM budget exceeded: $${status.spent} of $${settings.monthlyBudget} spent in ${month}${settings.switchToHitl ? ', autopilot switches to HITL' : ''}`
+                : `LLM budget alert: $${status.spent} of $${settings.monthlyBudget} (${Math.round(status.ratio * 100)}%) spent in ${month}`);
+        }
+
+        return status;
+    }
+
+    /**
+     * Whether autopilot has to hand over to agents because the budget is spent
+     */
+    async shouldSwitchToHitl() {
+        try {
+            const status = await this.checkBudget();
+            return status.level === 'exceeded' && status.switchToHitl;
+        } catch (error) {
+            logger.warn(`Failed to check the LLM budget: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Usage and cost by day, model and feature
+     *
+     * @param {Date} startDate - Start of date range
+     * @param {Date} endDate - End of date range
+     * @returns {Promise<Object>} { totals, byDay, byModel, byFeature, unpricedModels, budget }
+     */
+    async getBreakdown(startDate, endDate) {
+        const [records, prices, budget] = await Promise.all([
+            this.getPrisma().llm_usage.findMany({
+                where: { created_at: { gte: startDate, lte: endDate } },
+                select: { feature: true, model: true, prompt_tokens: true, completion_tokens: true, latency_ms: true, created_at: true }
+            }),
+            this.getPriceTable(),
+            this.checkBudget()
+        ]);
+
+        const emptyBucket = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, latencyTotal: 0, latencyCalls: 0 });
+        const totals = emptyBucket();
+        const groups = { byDay: new Map(), byModel: new Map(), byFeature: new Map() };
+        const unpriced = new Set();
+
+        for (const record of records) {
+            const cost = this.calculateCost(record.model, record.prompt_tokens, record.completion_tokens, prices);
+            if (cost === null) unpriced.add(record.model);
+
+            const keys = {
+                byDay: record.created_at.toISOString().split('T')[0],
+                byModel: record.model,
+                byFeature: record.feature
+            };
+            const buckets = [totals, ...Object.entries(keys).map(([group, key]) => {
+                if (!groups[group].has(key)) groups[group].set(key, emptyBucket());
+                return groups[group].get(key);
+            })];
+
+            for (const bucket of buckets) {
+                bucket.calls++;
+                bucket.promptTokens += record.prompt_tokens;
+                bucket.completionTokens += record.completion_tokens;
+                bucket.cost += cost || 0;
+                if (record.latency_ms !== null) {
+                    bucket.latencyTotal += record.latency_ms;
+                    bucket.latencyCalls++;
+                }
+            }
+        }
+
+        const summarize = ({ calls, promptTokens, completionTokens, cost, latencyTotal, latencyCalls }) => ({
+            calls,
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+            cost: roundCost(cost),
+            averageLatencyMs: latencyCalls > 0 ? Math.round(latencyTotal / latencyCalls) : null
+        });
+        const list = (group, name) => Array.from(groups[group].entries())
+            .map(([key, bucket]) => ({ [name]: key, ...summarize(bucket) }));
+
+        return {
+            totals: summarize(totals),
+            byDay: list('byDay', 'date').sort((a, b) => a.date.localeCompare(b.date)),
+            byModel: list('byModel', 'model').sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens),
+            byFeature: list('byFeature', 'feature').sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens),
+            unpricedModels: Array.from(unpriced),
+            budget
+        };
+    }
+}
+
+module.exports = new LLMUsageService();
@@ -8,6 +8,7 @@ const logger = createLogger('mistralEmbeddingFunction');
 
 class MistralEmbeddingFunction {
     constructor(apiKey, model = 'mistral-embed') {
+        this.provider = 'mistral';
         this.apiKey = apiKey || process.env.MISTRAL_API_KEY;
         this.model = model;
         
@@ -58,6 +59,10 @@ class MistralEmbeddingFunction {
         return 1024;
     }
 
+    async resolveDimension() {
+        return this.getDimension();
+    }
+
     /**
      * Get model name
      */
@@ -0,0 +1,281 @@
+/**
+ * PROMPT EXPERIMENT SERVICE
+ *
+ * Main Purpose: Compare system prompt variants by how often agents accept their suggestions
+ *
+ * Key Responsibilities:
+ * - Experiments: Two or more system prompt variants with a traffic split (draft, running, stopped)
+ * - Bucketing: Each conversation is assigned one variant, always the same for the same conversation
+ * - Results: sent_as_is / edited / from_scratch rates and the average suggestion_edit_ratio per
+ *   variant, from message_statistics
+ *
+ * Dependencies:
+ * - Database client (Prisma) for prompt_experiments, prompt_versions and message_statistics
+ *
+ * Notes:
+ * - Only one experiment runs at a time; while it runs its variants replace the system prompt of
+ *   conversations, in local and Langfuse prompt mode alike, so no Langfuse account is needed
+ * - A variant without content uses the current system prompt, which makes it the control group
+ * - The bucket is a hash of the experiment and conversation ids, so a conversation keeps its
+ *   variant across suggestions and server restarts, and experiments split independently
+ * - Questions without a conversation (evaluation runs) are not part of experiments
+ * - The variant is stored with each suggestion and recorded on message_statistics when the agent
+ *   replies, so suggestions made before a start or stop are counted correctly
+ */
+const crypto = require('crypto');
+const databaseClient = require('../utils/database');
+const { AppError, createError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('promptExperimentService');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+const SUGGESTION_ACTIONS = ['sent_as_is', 'edited', 'from_scratch'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class PromptExperimentService {
+    getPrisma() {
+        return databaseClient.getClient();
+    }
+
+    /**
+     * Validate variants and fill in keys, names and weights
+     * A variant may copy its content from a prompt version (promptVersionId)
+     *
+     * @param {Array} variants - [{ name, content, promptVersionId, weight }]
+     * @returns {Promise<Array>} [{ key, name, content, weight }]
+     */
+    async normalizeVariants(variants) {
+        if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+            throw createError.badRequest(`An experiment needs ${MIN_VARIANTS} to ${MAX_VARIANTS} variants`);
+        }
+
+        const normalized = [];
+        for (const [i, variant] of variants.entries()) {
+            const key = VARIANT_KEYS[i];
+            const weight = variant.weight === undefined || variant.weight === null ? 1 : Number(variant.weight);
+            if (!Number.isFinite(weight) || weight <= 0) {
+                throw createError.badRequest(`Variant ${key} needs a positive traffic weight`);
+            }
+
+            let content = typeof variant.content === 'string' && variant.content.trim() ? variant.content : null;
+            if (!content && variant.promptVersionId) {
+                const version = await this.getPrisma().prompt_versions.findUnique({ where: { id: variant.promptVersionId } });
+                if (!version) {
+                    throw createError.notFound(`Prompt version for variant ${key}`);
+                }
+                content = version.content;
+            }
+
+            normalized.push({
+                key,
+                name: String(variant.name || '').trim() || (content ? `Variant ${key}` : 'Current prompt'),
+                content,
+                weight
+            });
+        }
+
+        if (normalized.every(variant => variant.content === null)) {
+            throw createError.badRequest('At least one variant needs its own prompt');
+        }
+        return normalized;
+    }
+
+    /**
+     * Create a draft experiment
+     *
+     * @param {Object} data - { name, description, variants }
+     * @param {string} userId - Admin creating it
+     */
+    async createExperiment({ name, description, variants }, userId) {
+        if (!name || !String(name).trim()) {
+            throw createError.badRequest('Experiment name is required');
+        }
+
+        const experiment = await this.getPrisma().prompt_experiments.create({
+            data: {
+                name: String(name).trim(),
+                description: description ? String(description).trim() : null,
+                variants: await this.normalizeVariants(variants),
+                created_by: userId || null
+            }
+        });
+
+        logger.info(`Created prompt experiment ${experiment.id} (${experiment.name})`);
+        return experiment;
+    }
+
+    async listExperiments() {
+        return this.getPrisma().prompt_experiments.findMany({ orderBy: { created_at: 'desc' } });
+    }
+
+    async getExperiment(id) {
+        const experiment = await this.getPrisma().prompt_experiments.findUnique({ where: { id } });
+        if (!experiment) {
+            throw createError.notFound('Prompt experiment');
+        }
+        return experiment;
+    }
+
+    /**
+     * Start a draft experiment
+     */
+    async startExperiment(id) {
+        const experiment = await this.getExperiment(id);
+        if (experiment.status !== 'draft') {
+            throw new AppError(`Experiment is ${experiment.status}; only drafts can be started`, 409, 'EXPERIMENT_NOT_DRAFT');
+        }
+
+        const running = await this.getRunningExperiment();
+        if (running) {
+            throw new AppError(`Experiment "${running.name}" is already running`, 409, 'EXPERIMENT_RUNNING');
+        }
+
+        logger.info(`Started prompt experiment ${id}`);
+        return this.getPrisma().prompt_experiments.update({
+            where: { id },
+            data: { status: 'running', started_at: new Date() }
+        });
+    }
+
+    /**
+     * Stop a running experiment; its results stay available
+     */
+    async stopExperiment(id) {
+        const experiment = await this.getExperiment(id);
+        if (experiment.status !== 'running') {
+            throw new AppError('Experiment is not running', 409, 'EXPERIMENT_NOT_RUNNING');
+        }
+
+        logger.info(`Stopped prompt experiment ${id}`);
+        return this.getPrisma().prompt_experiments.update({
+            where: { id },
+            data: { status: 'stopped', stopped_at: new Date() }
+        });
+    }
+
+    /**
+     * Delete an experiment that is not running
+     */
+    async deleteExperiment(id) {
+        const experiment = await this.getExperiment(id);
+        if (experiment.status === 'running') {
+            throw new AppError('Stop the experiment before deleting it', 409, 'EXPERIMENT_RUNNING');
+        }
+
+        await this.getPrisma().prompt_experiments.delete({ where: { id } });
+    }
+
+    async getRunningExperiment() {
+        return this.getPrisma().prompt_experiments.findFirst({ where: { status: 'running' } });
+    }
+
+    /**
+     * Variant of an experiment for a conversation, by weighted hash bucket
+     */
+    pickVariant(experiment, conversationId) {
+        const variants = experiment.variants;
+        const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+        const hash = crypto.createHash('sha256').update(`${experiment.id}:${conversationId}`).digest();
+        let point = hash.readUInt32BE(0) / 0x100000000 * total;
+
+        for (const variant of variants) {
+            point -= variant.weight;
+            if (point < 0) return variant;
+        }
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * System prompt variant of the running experiment for a conversation
+     *
+     * @param {string|null} conversationId - Conversation ID
+     * @returns {Promise<{experimentId: string, variant: string, name: string, content: string|null}|null>}
+     *   null when no experiment runs or the question is not part of a conversation
+     */
+    async getAssignment(conversationId) {
+        if (!conversationId) {
+            return null;
+        }
+
+        const experiment = await this.getRunningExperiment();
+        if (!experiment) {
+            return null;
+        }
+
+        const variant = this.pickVariant(experiment, conversationId);
+        return { experimentId: experiment.id, variant: variant.key, name: variant.name, content: variant.content };
+    }
+
+    /**
+     * Experiment assignment stored with a pending suggestion's metadata
+     *
+     * @returns {{experimentId: string, variant: string}|null}
+     */
+    fromSuggestionMetadata(metadata) {
+        const experiment = metadata?.promptExperiment || metadata?.aiSuggestion?.metadata?.promptExperiment;
+        return experiment?.experimentId && experiment.variant
+            ? { experimentId: experiment.experimentId, variant: experiment.variant }
+            : null;
+    }
+
+    /**
+     * Agent acceptance per variant
+     *
+     * @param {string} id - Experiment ID
+     * @returns {Promise<Object>} { experiment, totals, variants: [{ key, name, weight, total, counts, rates, averageEditRatio }] }
+     */
+    async getResults(id) {
+        const experiment = await this.getExperiment(id);
+        const prisma = this.getPrisma();
+        const where = { prompt_experiment_id: id, suggestion_action: { not: null } };
+
+        const [byAction, byVariant] = await Promise.all([
+            prisma.message_statistics.groupBy({
+                by: ['prompt_variant', 'suggestion_action'],
+                where,
+                _count: { _all: true }
+            }),
+            prisma.message_statistics.groupBy({
+                by: ['prompt_variant'],
+                where,
+                _avg: { suggestion_edit_ratio: true }
+            })
+        ]);
+
+        const variants = experiment.variants.map(variant => {
+            const counts = Object.fromEntries(SUGGESTION_ACTIONS.map(action => [
+                action,
+                byAction.find(row => row.prompt_variant === variant.key && row.suggestion_action === action)?._count._all || 0
+            ]));
+            const total = SUGGESTION_ACTIONS.reduce((sum, action) => sum + counts[action], 0);
+            const average = byVariant.find(row => row.prompt_variant === variant.key)?._avg.suggestion_edit_ratio;
+
+            return {
+                key: variant.key,
+                name: variant.name,
+                weight: variant.weight,
+                total,
+                counts,
+                rates: Object.fromEntries(SUGGESTION_ACTIONS.map(action => [
+                    action,
+                    total > 0 ? round(counts[action] / total) : null
+                ])),
+                averageEditRatio: typeof average === 'number' ? round(average) : null
+            };
+        });
+
+        return {
+            experiment,
+            totals: { replies: variants.reduce((sum, variant) => sum + variant.total, 0) },
+            variants
+        };
+    }
+}
+
+module.exports = new PromptExperimentService();
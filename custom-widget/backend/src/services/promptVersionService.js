@@ -0,0 +1,343 @@
+/**
+ * PROMPT VERSION SERVICE
+ *
+ * Main Purpose: Keep every saved local prompt so a bad edit can be undone
+ *
+ * Key Responsibilities:
+ * - Versioning: Each save of the system, processing or formatting prompt creates an immutable
+ *   version with its author and timestamp
+ * - History and Diff: Versions of a prompt, newest first, and line diffs between two versions
+ * - Rollback: Restore an earlier version as a new version and make it the active prompt
+ * - Active Prompt: The prompt and version id used by the RAG chain in local prompt mode
+ *
+ * Dependencies:
+ * - Database client (Prisma) for prompt_versions and users
+ * - SettingsService for prompt_mode and the custom_<type>_prompt_content settings
+ * - Semantic cache, cleared when the prompts change
+ *
+ * Notes:
+ * - Versions are never changed or deleted; a rollback copies the old content into a new version
+ *   that records which version it restored
+ * - The first save of a prompt that was set before versioning existed also keeps that earlier
+ *   content, as version 1 without an author
+ * - In local mode the latest version is the active prompt; without versions the setting
+ *   (or its environment fallback) is used without a version id
+ * - Settings and their versions are written in one transaction, so history never misses a saved prompt
+ */
+const databaseClient = require('../utils/database');
+const { AppError, createError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+const semanticCacheService = require('./semanticCacheService');
+
+const logger = createLogger('promptVersionService');
+
+const PROMPT_TYPES = ['system', 'processing', 'formatting'];
+
+const DEFAULT_LIMIT = 50;
+
+const contentKey = (type) => `custom_${type}_prompt_content`;
+
+class PromptVersionService {
+    constructor() {
+        this.settingsService = null;
+    }
+
+    getPrisma() {
+        return databaseClient.getClient();
+    }
+
+    getSettingsService() {
+        if (!this.settingsService) {
+            const SettingsService = require('./settingsService');
+            this.settingsService = new SettingsService();
+        }
+        return this.settingsService;
+    }
+
+    validateType(type) {
+        if (!PROMPT_TYPES.includes(type)) {
+            throw createError.badRequest(`Prompt type must be one of: ${PROMPT_TYPES.join(', ')}`);
+        }
+    }
+
+    async getLatestVersion(type, client = this.getPrisma()) {
+        return client.prompt_versions.findFirst({
+            where: { prompt_type: type },
+            orderBy: { version: 'desc' }
+        });
+    }
+
+    /**
+     * Store a new version of a prompt unless its content did not change
+     *
+     * @param {string} type - system, processing or formatting
+     * @param {string} content - Prompt content
+     * @param {string|null} userId - Author
+     * @param {Object} [options]
+     * @param {string} [options.previousContent] - Content saved before versioning, kept on the first save
+     * @param {string} [options.rollbackOf] - Version restored by this one
+     * @param {Object} [options.tx] - Transaction client to write with
+     * @returns {Promise<Object|null>} The new version, null when unchanged
+     */
+    async recordVersion(type, content, userId, { previousContent = null, rollbackOf = null, tx = null } = {}) {
+        this.validateType(type);
+        const prisma = tx || this.getPrisma();
+        const latest = await this.getLatestVersion(type, prisma);
+
+        if (latest ? latest.content === content : !content) {
+            return null;
+        }
+
+        let version = (latest?.version || 0) + 1;
+        if (!latest && previousContent && previousContent !== content) {
+            await prisma.prompt_versions.create({
+                data: { prompt_type: type, version, content: previousContent, created_by: null }
+            });
+            version++;
+        }
+
+        const created = await prisma.prompt_versions.create({
+            data: {
+                prompt_type: type,
+                version,
+                content,
+                created_by: userId || null,
+                rollback_of: rollbackOf
+            }
+        });
+
+        logger.info(`Recorded ${type} prompt version ${version}${rollbackOf ? ` (rollback of ${rollbackOf})` : ''}`);
+        return created;
+    }
+
+    /**
+     * Save prompt settings, versioning every changed prompt content
+     *
+     * @param {Object} settings - Settings of the 'prompts' category
+     * @param {string} userId - Admin saving the settings
+     * @returns {Promise<{settings: Array, versions: Array}>} Updated settings and the versions created
+     */
+    async saveSettings(settings, userId) {
+        const settingsService = this.getSettingsService();
+
+        const changes = [];
+        for (const type of PROMPT_TYPES) {
+            if (typeof settings[contentKey(type)] === 'string') {
+                changes.push({
+                    type,
+                    content: settings[contentKey(type)],
+                    previousContent: await settingsService.getSetting(contentKey(type), 'prompts')
+                });
+            }
+        }
+
+        const versions = [];
+        let updated;
+        try {
+            updated = await this.getPrisma().$transaction(async (tx) => {
+                const results = await settingsService.updateSettings(settings, userId, 'prompts', { tx });
+                for (const change of changes) {
+                    const version = await this.recordVersion(change.type, change.content, userId, {
+                        previousContent: change.previousContent,
+                        tx
+                    });
+                    if (version) versions.push(version);
+                }
+                return results;
+            });
+        } catch (error) {
+            // Settings cached inside the rolled back transaction were never stored
+            await settingsService.invalidateCache();
+            throw error;
+        }
+
+        // Cached answers were written under the previous prompts
+        semanticCacheService.invalidate('prompts_updated');
+        return { settings: updated, versions };
+    }
+
+    /**
+     * Author names of versions, by user id
+     */
+    async getAuthors(versions) {
+        const ids = [...new Set(versions.map(version => version.created_by).filter(Boolean))];
+        if (ids.length === 0) return {};
+
+        const users = await this.getPrisma().users.findMany({
+            where: { id: { in: ids } },
+            select: { id: true, first_name: true, last_name: true, email: true }
+        });
+        return Object.fromEntries(users.map(user => [
+            user.id,
+            `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email
+        ]));
+    }
+
+    toVersionItem(version, authors, activeId) {
+        return {
+            id: version.id,
+            type: version.prompt_type,
+            version: version.version,
+            content: version.content,
+            createdBy: version.created_by,
+            author: version.created_by ? authors[version.created_by] || null : null,
+            createdAt: version.created_at,
+            rollbackOf: version.rollback_of,
+            active: version.id === activeId
+        };
+    }
+
+    /**
+     * Versions of a prompt, newest first
+     *
+     * @param {string} type - system, processing or formatting
+     * @param {Object} [options]
+     * @param {number} [options.limit=50] - Versions returned
+     * @returns {Promise<Array>}
+     */
+    async listVersions(type, { limit = DEFAULT_LIMIT } = {}) {
+        this.validateType(type);
+
+        const versions = await this.getPrisma().prompt_versions.findMany({
+            where: { prompt_type: type },
+            orderBy: { version: 'desc' },
+            take: limit
+        });
+        const authors = await this.getAuthors(versions);
+
+        return versions.map(version => this.toVersionItem(version, authors, versions[0]?.id));
+    }
+
+    async getVersion(id) {
+        const version = await this.getPrisma().prompt_versions.findUnique({ where: { id } });
+        if (!version) {
+            throw createError.notFound('Prompt version');
+        }
+        return version;
+    }
+
+    /**
+     * Line diff between two texts (longest common subsequence)
+     *
+     * @returns {Array<{type: string, line: string}>} 'equal', 'removed' or 'added' lines in order
+     */
+    diffLines(from, to) {
+        const a = from ? from.split('\n') : [];
+        const b = to ? to.split('\n') : [];
+
+        // lengths[i][j]: common lines of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'equal', line: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'removed', line: a[i++] });
+            } else {
+                lines.push({ type: 'added', line: b[j++] });
+            }
+        }
+        while (i < a.length) lines.push({ type: 'removed', line: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', line: b[j++] });
+
+        return lines;
+    }
+
+    /**
+     * Changes from one version to another
+     *
+     * @param {string} id - Version to show
+     * @param {string} [againstId] - Version to compare with (default: the previous version of the prompt)
+     * @returns {Promise<Object>} { from, to, stats: { added, removed }, lines }
+     */
+    async diff(id, againstId = null) {
+        const to = await this.getVersion(id);
+        const from = againstId
+            ? await this.getVersion(againstId)
+            : await this.getPrisma().prompt_versions.findFirst({
+                where: { prompt_type: to.prompt_type, version: { lt: to.version } },
+                orderBy: { version: 'desc' }
+            });
+
+        const lines = this.diffLines(from?.content || '', to.content);
+        const summary = (version) => version
+            ? { id: version.id, type: version.prompt_type, version: version.version, createdAt: version.created_at }
+            : null;
+
+        return {
+            from: summary(from),
+            to: summary(to),
+            stats: {
+                added: lines.filter(line => line.type === 'added').length,
+                removed: lines.filter(line => line.type === 'removed').length
+            },
+            lines
+        };
+    }
+
+    /**
+     * Restore an earlier version: store its content as a new version and make it the active prompt
+     *
+     * @param {string} id - Version to restore
+     * @param {string} userId - Admin restoring it
+     * @returns {Promise<Object>} The new version
+     */
+    async rollback(id, userId) {
+        const target = await this.getVersion(id);
+        const latest = await this.getLatestVersion(target.prompt_type);
+        if (latest && latest.content === target.content) {
+            throw new AppError(`Version ${target.version} is already the active ${target.prompt_type} prompt`, 409, 'ALREADY_ACTIVE');
+        }
+
+        const settingsService = this.getSettingsService();
+        let restored;
+        try {
+            restored = await this.getPrisma().$transaction(async (tx) => {
+                await settingsService.updateSetting(contentKey(target.prompt_type), target.content, userId, 'prompts', { tx });
+                return this.recordVersion(target.prompt_type, target.content, userId, { rollbackOf: target.id, tx });
+            });
+        } catch (error) {
+            await settingsService.invalidateCache();
+            throw error;
+        }
+
+        semanticCacheService.invalidate('prompt_rollback');
+        return restored;
+    }
+
+    /**
+     * Prompt used by the RAG chain in local prompt mode
+     *
+     * @param {string} type - system, processing or formatting
+     * @returns {Promise<{content: string, versionId: string|null, version: number|null}|null>}
+     *   null outside local mode or when no local prompt is set
+     */
+    async getActivePrompt(type) {
+        const settingsService = this.getSettingsService();
+        if (await settingsService.getSetting('prompt_mode', 'prompts') !== 'local') {
+            return null;
+        }
+
+        const latest = await this.getLatestVersion(type);
+        if (latest) {
+            return latest.content ? { content: latest.content, versionId: latest.id, version: latest.version } : null;
+        }
+
+        const content = await settingsService.getSetting(contentKey(type), 'prompts');
+        return content ? { content, versionId: null, version: null } : null;
+    }
+}
+
+module.exports = new PromptVersionService();
@@ -0,0 +1,401 @@
+/**
+ * RAG EVALUATION SERVICE
+ *
+ * Main Purpose: Measure retrieval and answer quality against golden question sets
+ *
+ * Key Responsibilities:
+ * - Dataset Management: Parse, store and list golden datasets of questions with expected
+ *   source documents and/or reference answers
+ * - Evaluation: Run every question through LangChainRAG.getAnswer and score the result
+ * - Metrics: Retrieval hit-rate, mean reciprocal rank (MRR), answer similarity and latency
+ * - Run History: Store each run with the RAG settings it used so runs can be compared
+ *
+ * Dependencies:
+ * - LangChainRAG for the full answer pipeline (semantic cache bypassed)
+ * - ChromaService embeddings for answer similarity
+ * - Database client (Prisma) for rag_eval_datasets and rag_eval_runs
+ *
+ * Dataset Format (JSON array, { questions: [...] } or JSON Lines):
+ * - question (required)
+ * - expected_sources: source titles or URLs of documents that should be retrieved
+ * - reference_answer: answer the response is compared with
+ *
+ * Notes:
+ * - Expected sources match a retrieved document when they equal, or are contained in, its
+ *   source title or URL (case-insensitive)
+ * - Answer similarity is the cosine similarity of the answer and reference embeddings
+ * - Questions run one at a time so latency reflects a single request
+ * - Also used by scripts/rag-eval.js for CI
+ */
+const databaseClient = require('../utils/database');
+const chromaService = require('./chromaService');
+const { AppError, createError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ragEvaluationService');
+
+const MAX_QUESTIONS = 500;
+
+function toArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).map(String).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a golden dataset from JSON, { questions: [...] } or JSON Lines
+ *
+ * @param {string|Array|Object} input
+ * @returns {Array<{question, expectedSources, referenceAnswer}>}
+ */
+function parseDataset(input) {
+    let items = input;
+
+    if (typeof input === 'string') {
+        const text = input.trim();
+        try {
+            items = JSON.parse(text);
+        } catch (error) {
+            items = text.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+                try {
+                    return JSON.parse(line);
+                } catch (lineError) {
+                    throw createError.badRequest(`Dataset line ${i + 1} is not valid JSON`);
+                }
+            });
+        }
+    }
+
+    if (items && !Array.isArray(items) && Array.isArray(items.questions)) {
+        items = items.questions;
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        throw createError.badRequest('Dataset must contain at least one question');
+    }
+    if (items.length > MAX_QUESTIONS) {
+        throw createError.badRequest(`Dataset is limited to ${MAX_QUESTIONS} questions`);
+    }
+
+    return items.map((item, i) => {
+        const question = typeof item?.question === 'string' ? item.question.trim() : '';
+        if (!question) {
+            throw createError.badRequest(`Question ${i + 1} has no "question" text`);
+        }
+
+        const expectedSources = toArray(item.expected_sources ?? item.expectedSources);
+        const referenceAnswer = String(item.reference_answer ?? item.referenceAnswer ?? '').trim() || null;
+        if (expectedSources.length === 0 && !referenceAnswer) {
+            throw createError.badRequest(`Question ${i + 1} needs expected_sources or a reference_answer`);
+        }
+
+        return { question, expectedSources, referenceAnswer };
+    });
+}
+
+function matchesExpectedSource(document, expectedSources) {
+    const candidates = [document.source, document.url].filter(Boolean).map(value => String(value).toLowerCase());
+    return expectedSources.some(expected => {
+        const needle = expected.toLowerCase();
+        return candidates.some(candidate => candidate === needle || candidate.includes(needle));
+    });
+}
+
+/**
+ * @returns {number} 1 / rank of the first retrieved document matching an expected source, 0 if none
+ */
+function reciprocalRank(retrieved, expectedSources) {
+    const index = retrieved.findIndex(document => matchesExpectedSource(document, expectedSources));
+    return index === -1 ? 0 : 1 / (index + 1);
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function round(value, digits = 4) {
+    return value === null ? null : Number(value.toFixed(digits));
+}
+
+/**
+ * Aggregate per-question results into run metrics
+ */
+function summarize(results) {
+    const answered = results.filter(result => !result.error);
+    const retrieval = answered.filter(result => result.reciprocalRank !== null);
+    const similarity = answered.filter(result => result.answerSimilarity !== null);
+    const latencies = answered.map(result => result.latencyMs);
+
+    return {
+        questions: results.length,
+        errors: results.length - answered.length,
+        retrieval: {
+            evaluated: retrieval.length,
+            hitRate: round(mean(retrieval.map(result => (result.hit ? 1 : 0)))),
+            mrr: round(mean(retrieval.map(result => result.reciprocalRank)))
+        },
+        answerSimilarity: {
+            evaluated: similarity.length,
+            mean: round(mean(similarity.map(result => result.answerSimilarity)))
+        },
+        latency: {
+            meanMs: latencies.length > 0 ? Math.round(mean(latencies)) : null,
+            p50Ms: percentile(latencies, 50),
+            p95Ms: percentile(latencies, 95)
+        }
+    };
+}
+
+class RagEvaluationService {
+    constructor() {
+        this.activeRunId = null;
+    }
+
+    getPrisma() {
+        return databaseClient.getClient();
+    }
+
+    parseDataset(input) {
+        return parseDataset(input);
+    }
+
+    /**
+     * Run questions through the RAG pipeline and score them
+     *
+     * @param {Array} questions - Parsed dataset questions
+     * @param {Object} [options]
+     * @param {Object} [options.rag] - LangChainRAG instance (created if omitted)
+     * @param {Object} [options.embeddingFunction] - Embeds answers for similarity (active collection's by default)
+     * @param {Function} [options.onProgress] - Called with (completed, total) after each question
+     * @returns {Promise<{results, summary, settings}>}
+     */
+    async evaluate(questions, { rag, embeddingFunction = chromaService.embeddingFunction, onProgress } = {}) {
+        if (!rag) {
+            const LangChainRAG = require('./langchainRAG');
+            rag = new LangChainRAG();
+        }
+
+        const results = [];
+        let model = null;
+
+        for (const [index, item] of questions.entries()) {
+            const startTime = Date.now();
+            const result = {
+                question: item.question,
+                expectedSources: item.expectedSources,
+                referenceAnswer: item.referenceAnswer,
+                answer: null,
+                retrieved: [],
+                hit: null,
+                reciprocalRank: null,
+                answerSimilarity: null,
+                latencyMs: null,
+                error: null
+            };
+
+            try {
+                const response = await rag.getAnswer(item.question, [], true, null, { bypassCache: true, feature: 'evaluation' });
+                result.latencyMs = Date.now() - startTime;
+                result.answer = response.answer;
+                model = model || response.debugInfo?.modelConfiguration?.mainModel || null;
+
+                const documents = response.debugInfo?.step3_documentRetrieval?.documentsMetadata || [];
+                result.retrieved = documents.map(document => ({ source: document.source || null, url: document.url || null }));
+
+                if (item.expectedSources.length > 0) {
+                    result.reciprocalRank = reciprocalRank(result.retrieved, item.expectedSources);
+                    result.hit = result.reciprocalRank > 0;
+                }
+
+                if (item.referenceAnswer && response.answer && embeddingFunction) {
+                    const [answerEmbedding, referenceEmbedding] = await embeddingFunction.generate([response.answer, item.referenceAnswer]);
+                    result.answerSimilarity = round(cosineSimilarity(answerEmbedding, referenceEmbedding));
+                }
+            } catch (error) {
+                logger.warn(`Evaluation question ${index + 1} failed: ${error.message}`);
+                result.latencyMs = result.latencyMs ?? Date.now() - startTime;
+                result.error = error.message;
+            }
+
+            results.push(result);
+            if (onProgress) onProgress(index + 1, questions.length);
+        }
+
+        return {
+            results,
+            summary: summarize(results),
+            settings: await this.describeSettings(rag, model)
+        };
+    }
+
+    /**
+     * RAG settings a run was made with, without credentials
+     */
+    async describeSettings(rag, model) {
+        const current = typeof rag.getCurrentSettings === 'function' ? await rag.getCurrentSettings() : {};
+        const settings = {};
+        for (const [key, value] of Object.entries(current)) {
+            if (key.startsWith('rag_') && !key.endsWith('_api_key')) {
+                settings[key] = value;
+            }
+        }
+
+        return {
+            ...settings,
+            model,
+            embedding: chromaService.embedding ? `${chromaService.embedding.provider}/${chromaService.embedding.model}` : null,
+            collection: chromaService.collectionName
+        };
+    }
+
+    // ========================================================================
+    // DATASETS
+    // ========================================================================
+
+    async createDataset({ name, description, content, questions }, userId) {
+        if (!name || !String(name).trim()) {
+            throw createError.badRequest('Dataset name is required');
+        }
+
+        const parsed = parseDataset(content ?? questions);
+        const dataset = await this.getPrisma().rag_eval_datasets.create({
+            data: {
+                name: String(name).trim(),
+                description: description || null,
+                questions: parsed,
+                created_by: userId || null
+            }
+        });
+
+        logger.info(`Evaluation dataset "${dataset.name}" created with ${parsed.length} questions`);
+        return dataset;
+    }
+
+    async listDatasets() {
+        const datasets = await this.getPrisma().rag_eval_datasets.findMany({
+            orderBy: { created_at: 'desc' },
+            include: { _count: { select: { runs: true } } }
+        });
+
+        return datasets.map(({ questions, _count, ...dataset }) => ({
+            ...dataset,
+            questionCount: Array.isArray(questions) ? questions.length : 0,
+            runCount: _count.runs
+        }));
+    }
+
+    async getDataset(id) {
+        const dataset = await this.getPrisma().rag_eval_datasets.findUnique({ where: { id } });
+        if (!dataset) {
+            throw createError.notFound('Evaluation dataset');
+        }
+        return dataset;
+    }
+
+    async deleteDataset(id) {
+        await this.getDataset(id);
+        await this.getPrisma().rag_eval_datasets.delete({ where: { id } });
+    }
+
+    // ========================================================================
+    // RUNS
+    // ========================================================================
+
+    /**
+     * Start a stored run of a dataset. Resolves once the run is recorded; questions are
+     * evaluated in the background unless `wait` is set.
+     */
+    async startRun(datasetId, { label, userId, wait = false, rag } = {}) {
+        if (this.activeRunId) {
+            throw new AppError('An evaluation run is already in progress', 409, 'EVALUATION_RUNNING');
+        }
+
+        const dataset = await this.getDataset(datasetId);
+        const run = await this.getPrisma().rag_eval_runs.create({
+            data: {
+                dataset_id: dataset.id,
+                label: label || null,
+                status: 'running',
+                created_by: userId || null
+            }
+        });
+
+        this.activeRunId = run.id;
+        logger.info(`Evaluation run ${run.id} started on "${dataset.name}" (${dataset.questions.length} questions)`);
+
+        const execution = this.executeRun(run.id, dataset.questions, rag);
+        if (wait) {
+            return execution;
+        }
+        return run;
+    }
+
+    async executeRun(runId, questions, rag) {
+        try {
+            const { results, summary, settings } = await this.evaluate(questions, { rag });
+            const run = await this.getPrisma().rag_eval_runs.update({
+                where: { id: runId },
+                data: { status: 'completed', results, summary, settings, finished_at: new Date() }
+            });
+
+            logger.info(`Evaluation run ${runId} completed: hit-rate ${summary.retrieval.hitRate}, MRR ${summary.retrieval.mrr}, similarity ${summary.answerSimilarity.mean}`);
+            return run;
+        } catch (error) {
+            logger.error(`Evaluation run ${runId} failed:`, error);
+            return this.getPrisma().rag_eval_runs.update({
+                where: { id: runId },
+                data: { status: 'failed', error: error.message, finished_at: new Date() }
+            });
+        } finally {
+            this.activeRunId = null;
+        }
+    }
+
+    async listRuns({ datasetId } = {}) {
+        return this.getPrisma().rag_eval_runs.findMany({
+            where: datasetId ? { dataset_id: datasetId } : {},
+            orderBy: { started_at: 'desc' },
+            select: {
+                id: true,
+                dataset_id: true,
+                label: true,
+                status: true,
+                settings: true,
+                summary: true,
+                error: true,
+                started_at: true,
+                finished_at: true,
+                dataset: { select: { name: true } }
+            }
+        });
+    }
+
+    async getRun(id) {
+        const run = await this.getPrisma().rag_eval_runs.findUnique({
+            where: { id },
+            include: { dataset: { select: { name: true } } }
+        });
+        if (!run) {
+            throw createError.notFound('Evaluation run');
+        }
+        return run;
+    }
+}
+
+module.exports = new RagEvaluationService();
@@ -0,0 +1,240 @@
+/**
+ * RERANK SERVICE
+ *
+ * Main Purpose: Reorder retrieved chunks by relevance and trim them to a token budget before prompting
+ *
+ * Key Responsibilities:
+ * - Pluggable Rerankers: LLM-based scoring or a cross-encoder-compatible HTTP endpoint
+ * - Candidate Limiting: Only the top retrieved chunks are scored
+ * - Token Budget: Keep the highest scored chunks that fit into rag_max_tokens
+ * - Debug Reporting: Scores and dropped chunks for the dashboard debug panel
+ *
+ * Dependencies:
+ * - LizdeikaPrompts for the LLM scoring prompt
+ * - LLM usage service for token accounting of the LLM reranker
+ * - Logger for reranker failures
+ *
+ * Configuration (settings category 'ai', environment fallback):
+ * - rag_reranker / RAG_RERANKER: 'none' (default), 'llm' or 'http'
+ * - rag_rerank_candidates / RAG_RERANK_CANDIDATES: Retrieved chunks passed to the reranker (default 20)
+ * - rag_reranker_url / RAG_RERANKER_URL: HTTP endpoint accepting { query, documents } (Cohere, Jina, TEI style)
+ * - rag_reranker_model / RAG_RERANKER_MODEL: Model name sent to the HTTP endpoint
+ * - rag_reranker_api_key / RAG_RERANKER_API_KEY: Bearer token for the HTTP endpoint
+ * - rag_max_tokens / RAG_MAX_TOKENS: Context token budget applied after re-ranking
+ *
+ * Notes:
+ * - A failing reranker never fails the answer; the retrieval order is kept and the failure is reported
+ * - Tokens are estimated from characters (about 4 per token)
+ */
+const { createRerankPrompt } = require('./chains/LizdeikaPrompts');
+const llmUsageService = require('./llmUsageService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('rerankService');
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_CANDIDATES = 20;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Passages are shortened in the LLM prompt to keep scoring cheap
+const LLM_PASSAGE_CHARS = 600;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Score passages with a chat model
+ *
+ * @returns {Promise<number[]>} One score per document
+ */
+async function llmReranker(query, documents, { llm, usage = {} }) {
+    if (!llm) {
+        throw new Error('LLM reranker requires a chat model');
+    }
+
+    const passages = documents
+        .map((doc, index) => `[${index}] ${(doc.pageContent || '').substring(0, LLM_PASSAGE_CHARS).replace(/\s+/g, ' ')}`)
+        .join('\n\n');
+    const prompt = await createRerankPrompt().format({ question: query, passages });
+
+    const response = await llm.invoke(prompt, {
+        callbacks: [llmUsageService.createCallbackHandler({ ...usage, feature: 'rerank' })]
+    });
+    const content = typeof response === 'string' ? response : response?.content || '';
+    const match = String(content).match(/\[[\d\s.,]*\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+
+    if (!Array.isArray(scores) || scores.length !== documents.length || scores.some(score => typeof score !== 'number')) {
+        throw new Error(`LLM reranker returned an invalid score list: "${String(content).substring(0, 100)}"`);
+    }
+    return scores;
+}
+
+/**
+ * Score passages with a cross-encoder HTTP endpoint
+ * Accepts Cohere/Jina style { results: [{ index, relevance_score }] }, Voyage style { data: [...] }
+ * and TEI style [{ index, score }] responses
+ *
+ * @returns {Promise<number[]>} One score per document
+ */
+async function httpReranker(query, documents, { url, apiKey, model, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!url) {
+        throw new Error('HTTP reranker requires rag_reranker_url');
+    }
+
+    const texts = documents.map(doc => doc.pageContent || '');
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+            model: model || undefined,
+            query,
+            documents: texts,
+            texts,
+            top_n: texts.length
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+        const error = new Error(`Reranker endpoint error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+    const results = Array.isArray(data) ? data : data.results || data.data;
+    if (!Array.isArray(results)) {
+        throw new Error('Reranker endpoint returned no results');
+    }
+
+    const scores = new Array(documents.length).fill(0);
+    for (const result of results) {
+        if (result.index >= 0 && result.index < documents.length) {
+            scores[result.index] = result.relevance_score ?? result.score ?? 0;
+        }
+    }
+    return scores;
+}
+
+class RerankService {
+    constructor() {
+        // strategy name -> async (query, documents, options) => number[]
+        this.rerankers = new Map([
+            ['llm', llmReranker],
+            ['http', httpReranker]
+        ]);
+    }
+
+    /**
+     * Register an additional reranker strategy
+     *
+     * @param {string} name - Value of the rag_reranker setting that selects it
+     * @param {Function} reranker - async (query, documents, options) => number[] with one score per document
+     */
+    registerReranker(name, reranker) {
+        this.rerankers.set(name, reranker);
+    }
+
+    getStrategies() {
+        return ['none', ...this.rerankers.keys()];
+    }
+
+    /**
+     * Re-rank retrieved documents and trim them to the token budget
+     *
+     * @param {string} query - Query used for retrieval
+     * @param {Array<Document>} documents - Retrieved LangChain documents in retrieval order
+     * @param {Object} options
+     * @param {string} options.strategy - 'none' disables the stage
+     * @param {number} [options.candidates] - Number of retrieved documents to score
+     * @param {number} [options.maxTokens] - Context token budget
+     * @param {Object} [options.llm] - Chat model for the 'llm' strategy
+     * @param {Object} [options.usage] - { provider, conversationId } the LLM usage is recorded for
+     * @returns {Promise<{documents: Array<Document>, debug: Object}>}
+     */
+    async rerank(query, documents, options = {}) {
+        const strategy = options.strategy || 'none';
+        const reranker = this.rerankers.get(strategy);
+
+        if (strategy === 'none' || documents.length === 0) {
+            return { documents, debug: { strategy: 'none', applied: false } };
+        }
+
+        const startTime = Date.now();
+        const candidateCount = parseInt(options.candidates, 10) || DEFAULT_CANDIDATES;
+        const candidates = documents.slice(0, candidateCount);
+        const dropped = documents.slice(candidateCount).map(doc => this._describe(doc, 'below_candidate_limit'));
+
+        let scores = null;
+        let error = null;
+        try {
+            if (!reranker) {
+                throw new Error(`Unknown reranker "${strategy}"`);
+            }
+            scores = await reranker(query, candidates, options);
+        } catch (rerankError) {
+            error = rerankError.message;
+            logger.warn(`Re-ranking with "${strategy}" failed, keeping retrieval order:`, rerankError.message);
+        }
+
+        const ranked = candidates
+            .map((doc, index) => ({ doc, index, score: scores ? scores[index] : null }))
+            .sort((a, b) => (scores ? b.score - a.score : 0) || a.index - b.index);
+
+        // Keep the best documents that fit the budget; the top document is always kept
+        const maxTokens = parseInt(options.maxTokens, 10) || Infinity;
+        const kept = [];
+        let usedTokens = 0;
+        for (const entry of ranked) {
+            const { doc, index, score } = entry;
+            doc.metadata.rerank_score = score;
+
+            const tokens = estimateTokens(doc.pageContent);
+            if (kept.length > 0 && usedTokens + tokens > maxTokens) {
+                dropped.push(this._describe(doc, 'token_budget', index));
+                continue;
+            }
+            doc.metadata.rerank_rank = kept.length;
+            usedTokens += tokens;
+            kept.push(entry);
+        }
+
+        return {
+            documents: kept.map(({ doc }) => doc),
+            debug: {
+                strategy,
+                applied: scores !== null,
+                error,
+                candidates: candidates.length,
+                kept: kept.length,
+                tokenBudget: Number.isFinite(maxTokens) ? maxTokens : null,
+                estimatedTokens: usedTokens,
+                durationMs: Date.now() - startTime,
+                ranking: kept.map(({ doc, index, score }) => ({
+                    source: doc.metadata?.source,
+                    url: doc.metadata?.source_url,
+                    retrievalRank: index,
+                    rerankScore: score
+                })),
+                dropped
+            }
+        };
+    }
+
+    _describe(doc, reason, retrievalRank = doc.metadata?.retrieval_rank) {
+        return {
+            source: doc.metadata?.source,
+            url: doc.metadata?.source_url,
+            retrievalRank,
+            rerankScore: doc.metadata?.rerank_score ?? null,
+            reason
+        };
+    }
+}
+
+module.exports = new RerankService();
@@ -0,0 +1,267 @@
+/**
+ * SEMANTIC CACHE SERVICE
+ *
+ * Main Purpose: Reuse answers for repeated customer questions without running retrieval and generation
+ *
+ * Key Responsibilities:
+ * - Lookup: Embed the rephrased query and find a stored answer above the similarity threshold
+ * - Storage: Keep answers in memory with TTL and least-recently-used eviction
+ * - Invalidation: Drop every entry when the knowledge base changes
+ * - Statistics: Track hits, misses and hit rate for the settings page
+ *
+ * Dependencies:
+ * - Chroma service embedding function (Mistral) for query embeddings
+ * - Logger for cache lifecycle logging
+ *
+ * Configuration (settings category 'ai', environment fallback):
+ * - semantic_cache_enabled / SEMANTIC_CACHE_ENABLED: Turn the cache on (default off)
+ * - semantic_cache_threshold / SEMANTIC_CACHE_THRESHOLD: Minimum cosine similarity for a hit (default 0.95)
+ * - semantic_cache_ttl_hours / SEMANTIC_CACHE_TTL_HOURS: Entry lifetime (default 24)
+ * - semantic_cache_max_entries / SEMANTIC_CACHE_MAX_ENTRIES: Entries kept before eviction (default 1000)
+ *
+ * Notes:
+ * - The cache lives in memory per backend process; statistics reset on restart
+ * - Answers generated while the knowledge base changed are not stored (version check)
+ */
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('semanticCacheService');
+
+const DEFAULT_OPTIONS = {
+    enabled: false,
+    threshold: 0.95,
+    ttlMs: 24 * 60 * 60 * 1000,
+    maxEntries: 1000
+};
+
+/**
+ * Cosine similarity of two equal-length vectors
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+class SemanticCacheService {
+    constructor() {
+        // id -> { id, query, embedding, answer, sources, sourceUrls, contextsUsed, createdAt, lastHitAt, hits }
+        this.entries = new Map();
+        this.options = { ...DEFAULT_OPTIONS };
+
+        // Incremented on every invalidation so answers started before it are not stored
+        this.version = 0;
+        this.embedder = null;
+        this.resetStats();
+    }
+
+    resetStats() {
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            stores: 0,
+            errors: 0,
+            invalidations: 0,
+            lastInvalidation: null,
+            since: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Apply current settings (called per request with values from SettingsService)
+     */
+    configure({ enabled, threshold, ttlHours, maxEntries } = {}) {
+        this.options = {
+            enabled: Boolean(enabled),
+            threshold: Number(threshold) || DEFAULT_OPTIONS.threshold,
+            ttlMs: Number(ttlHours) > 0 ? Number(ttlHours) * 60 * 60 * 1000 : DEFAULT_OPTIONS.ttlMs,
+            maxEntries: parseInt(maxEntries, 10) || DEFAULT_OPTIONS.maxEntries
+        };
+        this.evict();
+    }
+
+    isEnabled() {
+        return this.options.enabled;
+    }
+
+    /**
+     * Use a custom embedder instead of the Chroma service embedding function (tests, alternative providers)
+     * @param {Object|null} embedder - Object with generate(texts) => Promise<number[][]>
+     */
+    setEmbedder(embedder) {
+        this.embedder = embedder;
+    }
+
+    getEmbedder() {
+        if (this.embedder) return this.embedder;
+        // Required lazily: the Chroma service connects on startup and owns the embedding client
+        return require('./chromaService').embeddingFunction;
+    }
+
+    /**
+     * Find a cached answer for the (rephrased) query
+     *
+     * @param {string} query - Standalone query used for retrieval
+     * @returns {Promise<Object>} { hit, entry?, similarity?, embedding?, version, reason? }
+     */
+    async lookup(query) {
+        const version = this.version;
+
+        if (!this.options.enabled) {
+            return { hit: false, version, reason: 'disabled' };
+        }
+
+        const embedder = this.getEmbedder();
+        if (!embedder || !query) {
+            return { hit: false, version, reason: 'embeddings_unavailable' };
+        }
+
+        let embedding;
+        try {
+            [embedding] = await embedder.generate([query]);
+        } catch (error) {
+            this.stats.errors += 1;
+            logger.warn('Semantic cache lookup skipped, embedding failed:', error.message);
+            return { hit: false, version, reason: 'embedding_failed' };
+        }
+
+        this.evict();
+
+        let best = null;
+        let bestSimilarity = 0;
+        for (const entry of this.entries.values()) {
+            if (entry.embedding.length !== embedding.length) continue;
+            const similarity = cosineSimilarity(embedding, entry.embedding);
+            if (similarity > bestSimilarity) {
+                best = entry;
+                bestSimilarity = similarity;
+            }
+        }
+
+        if (best && bestSimilarity >= this.options.threshold) {
+            best.hits += 1;
+            best.lastHitAt = Date.now();
+            this.stats.hits += 1;
+            logger.info(`Semantic cache hit (${bestSimilarity.toFixed(3)}) for "${query}" -> "${best.query}"`);
+            return { hit: true, entry: best, similarity: bestSimilarity, embedding, version };
+        }
+
+        this.stats.misses += 1;
+        return { hit: false, embedding, similarity: bestSimilarity, version, reason: 'miss' };
+    }
+
+    /**
+     * Store a generated answer using the embedding from a previous lookup
+     *
+     * @param {string} query - Query that was looked up
+     * @param {Object} lookupResult - Result of lookup() for the same query
+     * @param {Object} answer - { answer, sources, sourceUrls, contextsUsed }
+     * @returns {boolean} Whether the answer was stored
+     */
+    store(query, lookupResult, answer) {
+        if (!this.options.enabled || !lookupResult?.embedding || !answer?.answer) {
+            return false;
+        }
+
+        // The knowledge base changed while this answer was being generated
+        if (lookupResult.version !== this.version) {
+            return false;
+        }
+
+        const now = Date.now();
+        const id = crypto.randomUUID();
+        this.entries.set(id, {
+            id,
+            query,
+            embedding: lookupResult.embedding,
+            answer: answer.answer,
+            sources: answer.sources || [],
+            sourceUrls: answer.sourceUrls || [],
+            citations: answer.citations || [],
+            contextsUsed: answer.contextsUsed || 0,
+            confidenceSignals: answer.confidenceSignals || null,
+            promptVersions: answer.promptVersions || null,
+            createdAt: now,
+            lastHitAt: now,
+            hits: 0
+        });
+        this.stats.stores += 1;
+        this.evict();
+        return true;
+    }
+
+    /**
+     * Drop expired entries and the least recently used ones above maxEntries
+     */
+    evict() {
+        const now = Date.now();
+        for (const [id, entry] of this.entries) {
+            if (now - entry.createdAt > this.options.ttlMs) {
+                this.entries.delete(id);
+            }
+        }
+
+        if (this.entries.size > this.options.maxEntries) {
+            const byLastUse = [...this.entries.values()].sort((a, b) => a.lastHitAt - b.lastHitAt);
+            for (const entry of byLastUse.slice(0, this.entries.size - this.options.maxEntries)) {
+                this.entries.delete(entry.id);
+            }
+        }
+    }
+
+    /**
+     * Remove all cached answers (knowledge base changed or purged by an admin)
+     *
+     * @param {string} reason - Shown in statistics and logs
+     * @returns {number} Number of entries removed
+     */
+    invalidate(reason = 'manual') {
+        const removed = this.entries.size;
+        this.entries.clear();
+        this.version += 1;
+        this.stats.invalidations += 1;
+        this.stats.lastInvalidation = { reason, removed, at: new Date().toISOString() };
+
+        if (removed > 0) {
+            logger.info(`Semantic cache invalidated (${reason}), removed ${removed} entries`);
+        }
+        return removed;
+    }
+
+    /**
+     * Hit-rate statistics and the most reused questions
+     */
+    getStats() {
+        this.evict();
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            enabled: this.options.enabled,
+            threshold: this.options.threshold,
+            ttlHours: this.options.ttlMs / (60 * 60 * 1000),
+            maxEntries: this.options.maxEntries,
+            entries: this.entries.size,
+            ...this.stats,
+            lookups,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            topEntries: [...this.entries.values()]
+                .sort((a, b) => b.hits - a.hits)
+                .slice(0, 10)
+                .map(entry => ({
+                    query: entry.query,
+                    hits: entry.hits,
+                    createdAt: new Date(entry.createdAt).toISOString()
+                }))
+        };
+    }
+}
+
+module.exports = new SemanticCacheService();
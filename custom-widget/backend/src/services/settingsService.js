@@ -41,7 +41,45 @@ const SETTING_SCHEMAS = {
         rag_k: z.number().int().min(1).max(200),
         rag_similarity_threshold: z.number().min(0.0).max(1.0).optional(),
         rag_max_tokens: z.number().int().min(500).max(4000).optional(),
-        use_langfuse_prompts: z.boolean().optional()
+        rag_vector_weight: z.number().min(0).max(5).optional(),
+        rag_keyword_weight: z.number().min(0).max(5).optional(),
+        rag_reranker: z.enum(['none', 'llm', 'http']).optional(),
+        rag_rerank_candidates: z.number().int().min(1).max(200).optional(),
+        rag_reranker_url: z.union([z.literal(''), z.string().url()]).optional(),
+        rag_reranker_model: z.union([z.literal(''), z.string()]).optional(),
+        rag_reranker_api_key: z.union([z.literal(''), z.string()]).optional(),
+        use_langfuse_prompts: z.boolean().optional(),
+        semantic_cache_enabled: z.boolean().optional(),
+        semantic_cache_threshold: z.number().min(0.5).max(1.0).optional(),
+        semantic_cache_ttl_hours: z.number().min(0.1).max(720).optional(),
+        semantic_cache_max_entries: z.number().int().min(10).max(100000).optional(),
+        faq_matching_enabled: z.boolean().optional(),
+        faq_answer_threshold: z.number().min(0.5).max(1.0).optional(),
+        faq_context_threshold: z.number().min(0.5).max(1.0).optional(),
+        autopilot_guardrail_enabled: z.boolean().optional(),
+        autopilot_min_confidence: z.number().min(0).max(1).optional(),
+        autopilot_self_check: z.boolean().optional(),
+        autopilot_escalation_message: z.string().min(1).max(500).optional(),
+        citations_widget_enabled: z.boolean().optional(),
+        citations_agent_enabled: z.boolean().optional(),
+        input_screening_enabled: z.boolean().optional(),
+        input_screening_action: z.enum(['block', 'sanitize', 'escalate']).optional(),
+        input_screening_deny_list: z.string().max(5000).optional(),
+        input_screening_classifier: z.boolean().optional(),
+        input_screening_block_message: z.string().min(1).max(500).optional(),
+        translation_enabled: z.boolean().optional(),
+        translation_agent_language: z.enum(['lt', 'en', 'ru', 'uk', 'pl']).optional(),
+        sentiment_enabled: z.boolean().optional(),
+        sentiment_method: z.enum(['local', 'llm']).optional(),
+        sentiment_auto_priority: z.boolean().optional(),
+        sentiment_priority_threshold: z.number().min(0).max(1).optional(),
+        conversation_summaries_enabled: z.boolean().optional(),
+        llm_price_table: z.union([z.literal(''), z.string().refine(isPriceTableString, {
+            message: 'Prices must be a JSON object of models, e.g. {"google/gemini-2.5-flash": {"input": 0.3, "output": 2.5}}'
+        })]).optional(),
+        llm_monthly_budget: z.number().min(0).optional(),
+        llm_budget_alert_threshold: z.number().min(0.1).max(1).optional(),
+        llm_budget_switch_to_hitl: z.boolean().optional()
     },
     security: {
         REQUIRE_2FA_FOR_ALL_USERS: z.boolean()
@@ -74,7 +112,7 @@ const SETTING_SCHEMAS = {
     },
     ai_providers: {
         // AI Provider Selection
-        ai_provider: z.enum(['flowise', 'openrouter']),
+        ai_provider: z.enum(['flowise', 'openrouter', 'openai_compatible', 'mock']),
 
         // Flowise Settings
         flowise_url: z.union([z.literal(''), z.string().url()]).optional(),
@@ -86,10 +124,63 @@ const SETTING_SCHEMAS = {
         openrouter_model: z.union([z.literal(''), z.string().min(1)]).optional(),
         rephrasing_model: z.union([z.literal(''), z.string().min(1)]).optional(),
         site_url: z.union([z.literal(''), z.string().url()]).optional(),
-        site_name: z.union([z.literal(''), z.string().min(1)]).optional()
+        site_name: z.union([z.literal(''), z.string().min(1)]).optional(),
+
+        // OpenAI-compatible Settings (vLLM, Ollama, LM Studio, gateways)
+        openai_compatible_base_url: z.union([z.literal(''), z.string().url()]).optional(),
+        openai_compatible_api_key: z.union([z.literal(''), z.string()]).optional(),
+        openai_compatible_model: z.union([z.literal(''), z.string().min(1)]).optional(),
+        openai_compatible_rephrasing_model: z.union([z.literal(''), z.string().min(1)]).optional(),
+        openai_compatible_headers: z.union([z.literal(''), z.string().refine(isJsonObjectString, {
+            message: 'Headers must be a JSON object, e.g. {"X-Api-Version": "2024-01"}'
+        })]).optional(),
+        openai_compatible_models: z.union([z.literal(''), z.string()]).optional(),
+
+        // Mock provider Settings (offline development and testing)
+        mock_fixtures_path: z.union([z.literal(''), z.string()]).optional(),
+        mock_latency_ms: z.number().int().min(0).max(60000).optional(),
+        mock_fail_every: z.number().int().min(0).optional(),
+
+        // Failover Settings (ordered fallback providers with circuit breaker)
+        failover_chain: z.union([z.literal(''), z.string()]).optional(),
+        failover_failure_threshold: z.number().int().min(1).max(100).optional(),
+        failover_cooldown_ms: z.number().int().min(1000).max(3600000).optional()
+    },
+    embeddings: {
+        // Embedding provider used for new collections and migrations
+        embedding_provider: z.enum(['mistral', 'openai_compatible', 'local']),
+        embedding_model: z.union([z.literal(''), z.string().min(1)]).optional(),
+        embedding_base_url: z.union([z.literal(''), z.string().url()]).optional(),
+        embedding_api_key: z.union([z.literal(''), z.string()]).optional(),
+
+        // Collection retrieval serves from; switched by the embedding migration
+        active_vector_collection: z.string().regex(/^[A-Za-z0-9._-]{3,63}$/)
     }
 };
 
+/**
+ * Check that a string parses to a plain JSON object (used for extra HTTP headers)
+ */
+function isJsonObjectString(value) {
+    try {
+        const parsed = JSON.parse(value);
+        return Boolean(parsed) && typeof parsed === 'object' && !Array.isArray(parsed);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check that a string is an LLM price table: model -> { input, output } in USD per million tokens
+ */
+function isPriceTableString(value) {
+    if (!isJsonObjectString(value)) return false;
+    return Object.values(JSON.parse(value)).every(price =>
+        Boolean(price) && typeof price === 'object' &&
+        ['input', 'output'].every(key => typeof price[key] === 'number' && price[key] >= 0)
+    );
+}
+
 // Environment variable fallbacks
 const ENV_FALLBACKS = {
     widget_name: process.env.WIDGET_NAME || 'Lizdeika',
@@ -102,7 +193,43 @@ const ENV_FALLBACKS = {
     rag_k: parseInt(process.env.RAG_K) || 100,
     rag_similarity_threshold: parseFloat(process.env.RAG_SIMILARITY_THRESHOLD) || 0.7,
     rag_max_tokens: parseInt(process.env.RAG_MAX_TOKENS) || 2000,
+    rag_vector_weight: process.env.RAG_VECTOR_WEIGHT !== undefined ? parseFloat(process.env.RAG_VECTOR_WEIGHT) : 1,
+    rag_keyword_weight: process.env.RAG_KEYWORD_WEIGHT !== undefined ? parseFloat(process.env.RAG_KEYWORD_WEIGHT) : 1,
+    rag_reranker: process.env.RAG_RERANKER || 'none',
+    rag_rerank_candidates: parseInt(process.env.RAG_RERANK_CANDIDATES) || 20,
+    rag_reranker_url: process.env.RAG_RERANKER_URL || '',
+    rag_reranker_model: process.env.RAG_RERANKER_MODEL || '',
+    rag_reranker_api_key: process.env.RAG_RERANKER_API_KEY || '',
     use_langfuse_prompts: process.env.USE_LANGFUSE_PROMPTS === 'true',
+    semantic_cache_enabled: process.env.SEMANTIC_CACHE_ENABLED === 'true',
+    semantic_cache_threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.95,
+    semantic_cache_ttl_hours: parseFloat(process.env.SEMANTIC_CACHE_TTL_HOURS) || 24,
+    semantic_cache_max_entries: parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES) || 1000,
+    faq_matching_enabled: process.env.FAQ_MATCHING_ENABLED !== 'false',
+    faq_answer_threshold: parseFloat(process.env.FAQ_ANSWER_THRESHOLD) || 0.92,
+    faq_context_threshold: parseFloat(process.env.FAQ_CONTEXT_THRESHOLD) || 0.8,
+    autopilot_guardrail_enabled: process.env.AUTOPILOT_GUARDRAIL_ENABLED === 'true',
+    autopilot_min_confidence: process.env.AUTOPILOT_MIN_CONFIDENCE !== undefined ? parseFloat(process.env.AUTOPILOT_MIN_CONFIDENCE) : 0.6,
+    autopilot_self_check: process.env.AUTOPILOT_SELF_CHECK === 'true',
+    autopilot_escalation_message: process.env.AUTOPILOT_ESCALATION_MESSAGE || '',
+    citations_widget_enabled: process.env.CITATIONS_WIDGET_ENABLED !== 'false',
+    citations_agent_enabled: process.env.CITATIONS_AGENT_ENABLED !== 'false',
+    input_screening_enabled: process.env.INPUT_SCREENING_ENABLED === 'true',
+    input_screening_action: process.env.INPUT_SCREENING_ACTION || 'escalate',
+    input_screening_deny_list: process.env.INPUT_SCREENING_DENY_LIST || '',
+    input_screening_classifier: process.env.INPUT_SCREENING_CLASSIFIER === 'true',
+    input_screening_block_message: process.env.INPUT_SCREENING_BLOCK_MESSAGE || '',
+    translation_enabled: process.env.TRANSLATION_ENABLED === 'true',
+    translation_agent_language: process.env.TRANSLATION_AGENT_LANGUAGE || 'lt',
+    sentiment_enabled: process.env.SENTIMENT_ENABLED === 'true',
+    sentiment_method: process.env.SENTIMENT_METHOD || 'local',
+    sentiment_auto_priority: process.env.SENTIMENT_AUTO_PRIORITY === 'true',
+    sentiment_priority_threshold: process.env.SENTIMENT_PRIORITY_THRESHOLD !== undefined ? parseFloat(process.env.SENTIMENT_PRIORITY_THRESHOLD) : 0.7,
+    conversation_summaries_enabled: process.env.CONVERSATION_SUMMARIES_ENABLED !== 'false',
+    llm_price_table: process.env.LLM_PRICE_TABLE || '',
+    llm_monthly_budget: parseFloat(process.env.LLM_MONTHLY_BUDGET) || 0,
+    llm_budget_alert_threshold: parseFloat(process.env.LLM_BUDGET_ALERT_THRESHOLD) || 0.8,
+    llm_budget_switch_to_hitl: process.env.LLM_BUDGET_SWITCH_TO_HITL === 'true',
     log_level: process.env.LOG_LEVEL || 'info',
     log_to_file: process.env.LOG_TO_FILE === 'true',
     log_to_database: process.env.LOG_TO_DATABASE !== 'false',
@@ -136,7 +263,32 @@ const ENV_FALLBACKS = {
     openrouter_model: process.env.OPENROUTER_MODEL || 'google/gemini-2.5-flash',
     rephrasing_model: process.env.REPHRASING_MODEL || 'google/gemini-2.5-flash-lite',
     site_url: process.env.SITE_URL || 'http://localhost:3002',
-    site_name: process.env.SITE_NAME || 'Vilniaus chatbot'
+    site_name: process.env.SITE_NAME || 'Vilniaus chatbot',
+
+    // OpenAI-compatible fallbacks
+    openai_compatible_base_url: process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+    openai_compatible_api_key: process.env.OPENAI_COMPATIBLE_API_KEY || null,
+    openai_compatible_model: process.env.OPENAI_COMPATIBLE_MODEL || null,
+    openai_compatible_rephrasing_model: process.env.OPENAI_COMPATIBLE_REPHRASING_MODEL || null,
+    openai_compatible_headers: process.env.OPENAI_COMPATIBLE_HEADERS || null,
+    openai_compatible_models: process.env.OPENAI_COMPATIBLE_MODELS || null,
+
+    // Mock provider fallbacks
+    mock_fixtures_path: process.env.MOCK_AI_FIXTURES_PATH || null,
+    mock_latency_ms: parseInt(process.env.MOCK_AI_LATENCY_MS) || 0,
+    mock_fail_every: parseInt(process.env.MOCK_AI_FAIL_EVERY) || 0,
+
+    // Failover fallbacks
+    failover_chain: process.env.AI_FAILOVER_CHAIN || null,
+    failover_failure_threshold: parseInt(process.env.AI_FAILOVER_FAILURE_THRESHOLD) || 3,
+    failover_cooldown_ms: parseInt(process.env.AI_FAILOVER_COOLDOWN_MS) || 60000,
+
+    // Embedding fallbacks
+    embedding_provider: process.env.EMBEDDING_PROVIDER || 'mistral',
+    embedding_model: process.env.EMBEDDING_MODEL || '',
+    embedding_base_url: process.env.EMBEDDING_BASE_URL || '',
+    embedding_api_key: process.env.EMBEDDING_API_KEY || '',
+    active_vector_collection: process.env.VECTOR_COLLECTION || 'lizdeika-collection-2025'
 };
 
 class SettingsService extends EventEmitter {
@@ -260,8 +412,10 @@ class SettingsService extends EventEmitter {
 
     /**
      * Update a setting value (admin only)
+     * @param {Object} [options]
+     * @param {Object} [options.tx] - Transaction client of a caller's transaction the write should join
      */
-    async updateSetting(key, value, adminUserId, category = 'general') {
+    async updateSetting(key, value, adminUserId, category = 'general', { tx } = {}) {
         try {
             this.logger.info(`Updating setting: ${key}`, { adminUserId, category });
 
@@ -273,7 +427,7 @@ class SettingsService extends EventEmitter {
             const settingType = this.getSettingType(value);
 
             // Update in database
-            const updatedSetting = await this.getPrisma().system_settings.upsert({
+            const updatedSetting = await (tx || this.getPrisma()).system_settings.upsert({
                 where: { setting_key: key },
                 update: {
                     setting_value: stringValue,
@@ -321,8 +475,10 @@ class SettingsService extends EventEmitter {
 
     /**
      * Update multiple settings in a transaction
+     * @param {Object} [options]
+     * @param {Object} [options.tx] - Transaction client of a caller's transaction the writes should join
      */
-    async updateSettings(settings, adminUserId, category = 'general') {
+    async updateSettings(settings, adminUserId, category = 'general', { tx } = {}) {
         try {
             this.logger.info(`Bulk updating ${Object.keys(settings).length} settings`, { 
                 adminUserId, 
@@ -333,7 +489,7 @@ class SettingsService extends EventEmitter {
             const results = [];
             
             // Use transaction for consistency
-            await this.getPrisma().$transaction(async (tx) => {
+            const writeSettings = async (client) => {
                 for (const [key, value] of Object.entries(settings)) {
                     // Validate each setting
                     await this.validateSetting(key, value, category);
@@ -341,7 +497,7 @@ class SettingsService extends EventEmitter {
                     const stringValue = this.stringifySettingValue(value);
                     const settingType = this.getSettingType(value);
 
-                    const updatedSetting = await tx.system_settings.upsert({
+                    const updatedSetting = await client.system_settings.upsert({
                         where: { setting_key: key },
                         update: {
                             setting_value: stringValue,
@@ -364,7 +520,8 @@ class SettingsService extends EventEmitter {
                     // Update cache
                     this.setCacheValue(key, value);
                 }
-            });
+            };
+            await (tx ? writeSettings(tx) : this.getPrisma().$transaction(writeSettings));
 
             // Emit batch change event
             this.emit('settingsChanged', {
@@ -526,7 +683,43 @@ class SettingsService extends EventEmitter {
         
         // AI settings should be accessible to admins for context engineering
         if (category === 'ai') {
-            return ['rag_k', 'rag_similarity_threshold', 'rag_max_tokens', 'use_langfuse_prompts'].includes(key);
+            return [
+                'rag_k',
+                'rag_similarity_threshold',
+                'rag_max_tokens',
+                'rag_vector_weight',
+                'rag_keyword_weight',
+                'rag_reranker',
+                'rag_rerank_candidates',
+                'rag_reranker_url',
+                'rag_reranker_model',
+                'use_langfuse_prompts',
+                'semantic_cache_enabled',
+                'semantic_cache_threshold',
+                'semantic_cache_ttl_hours',
+                'semantic_cache_max_entries',
+                'faq_matching_enabled',
+                'faq_answer_threshold',
+                'faq_context_threshold',
+                'autopilot_guardrail_enabled',
+                'autopilot_min_confidence',
+                'autopilot_self_check',
+                'autopilot_escalation_message',
+                'citations_widget_enabled',
+                'citations_agent_enabled',
+                'input_screening_enabled',
+                'input_screening_action',
+                'input_screening_deny_list',
+                'input_screening_classifier',
+                'input_screening_block_message',
+                'translation_enabled',
+                'translation_agent_language',
+                'sentiment_enabled',
+                'sentiment_method',
+                'sentiment_auto_priority',
+                'sentiment_priority_threshold',
+                'conversation_summaries_enabled'
+            ].includes(key);
         }
         
         // Prompt settings should be accessible to admins for prompt management
@@ -545,6 +738,11 @@ class SettingsService extends EventEmitter {
             return false; // All AI provider credentials are private
         }
 
+        // Embedding settings include credentials and are admin-only
+        if (category === 'embeddings') {
+            return false;
+        }
+
         // Logging settings are typically private
         if (category === 'logging') {
             return false;
@@ -680,6 +878,18 @@ class SettingsService extends EventEmitter {
                 REPHRASING_MODEL: aiSettings.rephrasing_model?.value || ENV_FALLBACKS.rephrasing_model,
                 SITE_URL: aiSettings.site_url?.value || ENV_FALLBACKS.site_url,
                 SITE_NAME: aiSettings.site_name?.value || ENV_FALLBACKS.site_name,
+                OPENAI_COMPATIBLE_BASE_URL: aiSettings.openai_compatible_base_url?.value || ENV_FALLBACKS.openai_compatible_base_url,
+                OPENAI_COMPATIBLE_API_KEY: aiSettings.openai_compatible_api_key?.value || ENV_FALLBACKS.openai_compatible_api_key,
+                OPENAI_COMPATIBLE_MODEL: aiSettings.openai_compatible_model?.value || ENV_FALLBACKS.openai_compatible_model,
+                OPENAI_COMPATIBLE_REPHRASING_MODEL: aiSettings.openai_compatible_rephrasing_model?.value || ENV_FALLBACKS.openai_compatible_rephrasing_model,
+                OPENAI_COMPATIBLE_HEADERS: aiSettings.openai_compatible_headers?.value || ENV_FALLBACKS.openai_compatible_headers,
+                OPENAI_COMPATIBLE_MODELS: aiSettings.openai_compatible_models?.value || ENV_FALLBACKS.openai_compatible_models,
+                MOCK_FIXTURES_PATH: aiSettings.mock_fixtures_path?.value || ENV_FALLBACKS.mock_fixtures_path,
+                MOCK_LATENCY_MS: aiSettings.mock_latency_ms?.value ?? ENV_FALLBACKS.mock_latency_ms,
+                MOCK_FAIL_EVERY: aiSettings.mock_fail_every?.value ?? ENV_FALLBACKS.mock_fail_every,
+                AI_FAILOVER_CHAIN: aiSettings.failover_chain?.value || ENV_FALLBACKS.failover_chain,
+                AI_FAILOVER_FAILURE_THRESHOLD: aiSettings.failover_failure_threshold?.value ?? ENV_FALLBACKS.failover_failure_threshold,
+                AI_FAILOVER_COOLDOWN_MS: aiSettings.failover_cooldown_ms?.value ?? ENV_FALLBACKS.failover_cooldown_ms,
                 SYSTEM_PROMPT: process.env.SYSTEM_PROMPT || ''
             };
 
@@ -687,7 +897,7 @@ class SettingsService extends EventEmitter {
             if (hasDbSettings) {
                 this.logger.info('AI Provider configuration loaded from database', {
                     provider: config.AI_PROVIDER,
-                    model: config.OPENROUTER_MODEL,
+                    model: config.AI_PROVIDER === 'openai_compatible' ? config.OPENAI_COMPATIBLE_MODEL : config.OPENROUTER_MODEL,
                     siteName: config.SITE_NAME,
                     dbKeys: Object.keys(aiSettings)
                 });
@@ -712,6 +922,18 @@ class SettingsService extends EventEmitter {
                 OPENROUTER_MODEL: process.env.OPENROUTER_MODEL || 'google/gemini-2.5-flash',
                 SITE_URL: process.env.SITE_URL || 'http://localhost:3002',
                 SITE_NAME: process.env.SITE_NAME || 'Vilniaus chatbot',
+                OPENAI_COMPATIBLE_BASE_URL: process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+                OPENAI_COMPATIBLE_API_KEY: process.env.OPENAI_COMPATIBLE_API_KEY || null,
+                OPENAI_COMPATIBLE_MODEL: process.env.OPENAI_COMPATIBLE_MODEL || null,
+                OPENAI_COMPATIBLE_REPHRASING_MODEL: process.env.OPENAI_COMPATIBLE_REPHRASING_MODEL || null,
+                OPENAI_COMPATIBLE_HEADERS: process.env.OPENAI_COMPATIBLE_HEADERS || null,
+                OPENAI_COMPATIBLE_MODELS: process.env.OPENAI_COMPATIBLE_MODELS || null,
+                MOCK_FIXTURES_PATH: process.env.MOCK_AI_FIXTURES_PATH || null,
+                MOCK_LATENCY_MS: process.env.MOCK_AI_LATENCY_MS || null,
+                MOCK_FAIL_EVERY: process.env.MOCK_AI_FAIL_EVERY || null,
+                AI_FAILOVER_CHAIN: process.env.AI_FAILOVER_CHAIN || null,
+                AI_FAILOVER_FAILURE_THRESHOLD: process.env.AI_FAILOVER_FAILURE_THRESHOLD || null,
+                AI_FAILOVER_COOLDOWN_MS: process.env.AI_FAILOVER_COOLDOWN_MS || null,
                 SYSTEM_PROMPT: process.env.SYSTEM_PROMPT || ''
             };
         }
@@ -7,6 +7,7 @@
  * - Conversation Analytics: Track conversation volumes, trends, and distributions
  * - Agent Performance: Measure agent activity and contribution
  * - AI Usage Metrics: Monitor AI suggestion adoption and effectiveness (HITL only)
+ * - Sentiment Trends: Average customer sentiment and frustration over time
  * - Recording: Store message-level statistics for detailed analysis
  *
  * Features:
@@ -25,6 +26,9 @@ const databaseClient = require('../utils/database');
 const agentService = require('./agentService');
 let prisma;
 
+// Messages at or above this frustration score count as frustrated in the sentiment trends
+const FRUSTRATED_THRESHOLD = 0.7;
+
 class StatisticsService {
     constructor() {
         // Defer Prisma initialization until first use
@@ -139,19 +143,7 @@ class StatisticsService {
         const dateMap = new Map();
 
         conversations.forEach(conv => {
-            let dateKey;
-            const date = new Date(conv.created_at);
-
-            if (granularity === 'day') {
-                dateKey = date.toISOString().split('T')[0];
-            } else if (granularity === 'week') {
-                const weekStart = new Date(date);
-                weekStart.setUTCDate(date.getUTCDate() - date.getUTCDay());
-                dateKey = weekStart.toISOString().split('T')[0];
-            } else if (granularity === 'month') {
-                dateKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            }
-
+            const dateKey = this.getDateKey(conv.created_at, granularity);
             dateMap.set(dateKey, (dateMap.get(dateKey) || 0) + 1);
         });
 
@@ -160,6 +152,59 @@ class StatisticsService {
             .sort((a, b) => a.date.localeCompare(b.date));
     }
 
+    /**
+     * Get customer sentiment and frustration over time
+     * @param {Date} startDate - Start of date range
+     * @param {Date} endDate - End of date range
+     * @param {String} granularity - 'day' | 'week' | 'month'
+     * @returns {Promise<Array>} Array of {date, scored, averageScore, averageFrustration, negative, neutral, positive, frustrated}
+     * @note Only messages scored while sentiment detection was enabled are counted
+     */
+    async getSentimentTrends(startDate, endDate, granularity = 'day') {
+        if (!prisma) prisma = databaseClient.getClient();
+
+        const messages = await prisma.messages.findMany({
+            where: {
+                created_at: {
+                    gte: startDate,
+                    lte: endDate
+                },
+                senderType: 'user'
+            },
+            select: {
+                created_at: true,
+                metadata: true
+            }
+        });
+
+        const dateMap = new Map();
+
+        messages.forEach(message => {
+            const sentiment = message.metadata?.sentiment;
+            if (!sentiment || typeof sentiment.score !== 'number') return;
+
+            const dateKey = this.getDateKey(message.created_at, granularity);
+            const bucket = dateMap.get(dateKey) || {
+                date: dateKey, scored: 0, scoreSum: 0, frustrationSum: 0, negative: 0, neutral: 0, positive: 0, frustrated: 0
+            };
+
+            bucket.scored++;
+            bucket.scoreSum += sentiment.score;
+            bucket.frustrationSum += sentiment.frustration || 0;
+            if (bucket[sentiment.label] !== undefined) bucket[sentiment.label]++;
+            if ((sentiment.frustration || 0) >= FRUSTRATED_THRESHOLD) bucket.frustrated++;
+            dateMap.set(dateKey, bucket);
+        });
+
+        return Array.from(dateMap.values())
+            .map(({ scoreSum, frustrationSum, ...bucket }) => ({
+                ...bucket,
+                averageScore: Math.round((scoreSum / bucket.scored) * 100) / 100,
+                averageFrustration: Math.round((frustrationSum / bucket.scored) * 100) / 100
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
     /**
      * Get archived vs active conversation counts
      * @param {Date} startDate - Start of date range
@@ -382,6 +427,51 @@ class StatisticsService {
         };
     }
 
+    /**
+     * Get autopilot answers held by the confidence guardrail and handed to agents
+     * @param {Date} startDate - Start of date range
+     * @param {Date} endDate - End of date range
+     * @returns {Promise<Object>} {autopilotResponses, escalations, escalationRate}
+     */
+    async getAutopilotEscalations(startDate, endDate) {
+        if (!prisma) prisma = databaseClient.getClient();
+
+        const createdAt = {
+            gte: startDate,
+            lte: endDate
+        };
+
+        const [autopilotResponses, escalations] = await Promise.all([
+            prisma.messages.count({
+                where: {
+                    created_at: createdAt,
+                    metadata: {
+                        path: ['isAutopilotResponse'],
+                        equals: true
+                    }
+                }
+            }),
+            prisma.messages.count({
+                where: {
+                    created_at: createdAt,
+                    metadata: {
+                        path: ['messageType'],
+                        equals: 'escalation_notice'
+                    }
+                }
+            })
+        ]);
+
+        // Every escalation replaced an autopilot answer
+        const totalAnswers = autopilotResponses + escalations;
+
+        return {
+            autopilotResponses,
+            escalations,
+            escalationRate: totalAnswers > 0 ? (escalations / totalAnswers) * 100 : 0
+        };
+    }
+
     /**
      * Get suggestion usage by agent
      * @param {String} agentId - Agent ID
@@ -559,7 +649,9 @@ class StatisticsService {
             originalSuggestion = null,
             templateUsed = false,
             templateId = null,
-            systemMode
+            systemMode,
+            promptExperimentId = null,
+            promptVariant = null
         } = data;
 
         return await prisma.message_statistics.create({
@@ -573,7 +665,11 @@ class StatisticsService {
                 original_suggestion: originalSuggestion,
                 template_used: templateUsed,
                 template_id: templateId,
-                system_mode: systemMode
+                system_mode: systemMode,
+                ...(promptExperimentId && {
+                    prompt_experiment_id: promptExperimentId,
+                    prompt_variant: promptVariant
+                })
             }
         });
     }
@@ -590,6 +686,30 @@ class StatisticsService {
             return 'hitl';
         }
     }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Bucket key for a timestamp
+     * @param {Date} timestamp - Timestamp to group
+     * @param {String} granularity - 'day' | 'week' | 'month'
+     * @returns {String} Day or week start (YYYY-MM-DD) or month (YYYY-MM)
+     */
+    getDateKey(timestamp, granularity) {
+        const date = new Date(timestamp);
+
+        if (granularity === 'week') {
+            const weekStart = new Date(date);
+            weekStart.setUTCDate(date.getUTCDate() - date.getUTCDay());
+            return weekStart.toISOString().split('T')[0];
+        }
+        if (granularity === 'month') {
+            return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        }
+        return date.toISOString().split('T')[0];
+    }
 }
 
 module.exports = new StatisticsService();
@@ -0,0 +1,118 @@
+/**
+ * SUGGESTION STREAM SERVICE
+ *
+ * Main Purpose: Stream HITL AI suggestions to the assigned agent while they are generated
+ *
+ * Key Responsibilities:
+ * - Stream Lifecycle: Track one active suggestion stream per conversation
+ * - Token Delivery: Forward generated tokens to the agent's personal socket room
+ * - Cancellation: Abort generation when the agent cancels from the dashboard
+ *
+ * Dependencies:
+ * - Socket.IO server instance (passed in by the caller)
+ * - Logger for structured stream lifecycle logging
+ *
+ * WebSocket Events (Server → Agent room 'agent:<agentId>'):
+ * - 'ai-suggestion-started': Generation started for a conversation
+ * - 'ai-suggestion-chunk': Token delta for the suggestion being generated
+ * - 'ai-suggestion-complete': Final (or partial, if cancelled) suggestion text
+ *
+ * Notes:
+ * - Starting a new stream for a conversation aborts the previous one
+ * - The final suggestion is still persisted as a pending message by the caller,
+ *   so polling-based recovery (pending-suggestion endpoint) keeps working
+ */
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('suggestionStreamService');
+
+/**
+ * Socket room that only contains the given agent's dashboard sockets
+ * @param {string} agentId - Agent ID
+ * @returns {string} Room name
+ */
+function getAgentRoom(agentId) {
+    return `agent:${agentId}`;
+}
+
+class SuggestionStreamService {
+    constructor() {
+        // conversationId -> { agentId, controller }
+        this.activeStreams = new Map();
+    }
+
+    /**
+     * Start streaming a suggestion to an agent
+     *
+     * @param {Object} io - Socket.IO server instance
+     * @param {string} conversationId - Conversation the suggestion belongs to
+     * @param {string} agentId - Agent receiving the stream
+     * @returns {Object} Stream handle: { onToken, signal, complete(payload) }
+     */
+    startStream(io, conversationId, agentId) {
+        this.cancelStream(conversationId);
+
+        const controller = new AbortController();
+        const room = getAgentRoom(agentId);
+        this.activeStreams.set(conversationId, { agentId, controller });
+
+        io.to(room).emit('ai-suggestion-started', { conversationId });
+        logger.info('Suggestion stream started', { conversationId, agentId });
+
+        return {
+            signal: controller.signal,
+            onToken: (delta) => {
+                if (controller.signal.aborted) return;
+                io.to(room).emit('ai-suggestion-chunk', { conversationId, delta });
+            },
+            complete: (payload = {}) => {
+                const active = this.activeStreams.get(conversationId);
+                if (active && active.controller === controller) {
+                    this.activeStreams.delete(conversationId);
+                }
+
+                io.to(room).emit('ai-suggestion-complete', {
+                    conversationId,
+                    cancelled: controller.signal.aborted,
+                    ...payload
+                });
+            }
+        };
+    }
+
+    /**
+     * Abort an in-progress suggestion stream
+     *
+     * @param {string} conversationId - Conversation ID
+     * @param {string|null} agentId - If given, only the owning agent may cancel
+     * @returns {boolean} True if a stream was aborted
+     */
+    cancelStream(conversationId, agentId = null) {
+        const active = this.activeStreams.get(conversationId);
+        if (!active) return false;
+
+        if (agentId && active.agentId !== agentId) {
+            logger.warn('Ignoring suggestion cancel from non-owning agent', { conversationId, agentId });
+            return false;
+        }
+
+        active.controller.abort();
+        this.activeStreams.delete(conversationId);
+        logger.info('Suggestion stream cancelled', { conversationId, agentId: active.agentId });
+        return true;
+    }
+
+    /**
+     * Whether a suggestion is currently being generated for the conversation
+     * @param {string} conversationId - Conversation ID
+     * @returns {boolean}
+     */
+    isStreaming(conversationId) {
+        return this.activeStreams.has(conversationId);
+    }
+}
+
+const suggestionStreamService = new SuggestionStreamService();
+suggestionStreamService.getAgentRoom = getAgentRoom;
+
+module.exports = suggestionStreamService;
@@ -0,0 +1,189 @@
+/**
+ * CHROMA VECTOR STORE
+ *
+ * Main Purpose: Vector store backend for Chroma Cloud or a self-hosted Chroma server
+ *
+ * Key Responsibilities:
+ * - Client Setup: CloudClient for Chroma Cloud, ChromaClient for a local/self-hosted server
+ * - Collection Management: Get or create the collection with cosine HNSW configuration
+ *   and the embedding provider, model and dimension recorded as collection metadata
+ * - Chunk Operations: Upsert, similarity query, paging, deletion and clearing
+ *
+ * Dependencies:
+ * - chromadb - Official Chroma DB client library
+ *
+ * Configuration:
+ * - Cloud mode: CHROMA_API_KEY, CHROMA_TENANT, CHROMA_DATABASE
+ * - Server mode: CHROMA_URL (default http://localhost:8000), optional CHROMA_TENANT, CHROMA_DATABASE
+ *   and CHROMA_AUTH_TOKEN (sent as a Bearer token)
+ *
+ * Notes:
+ * - Embeddings are normally generated by ChromaService; without them Chroma embeds the text itself
+ */
+const { ChromaClient, CloudClient, ChromaNotFoundError } = require('chromadb');
+const { createLogger } = require('../../utils/logger');
+const logger = createLogger('chromaVectorStore');
+
+class ChromaVectorStore {
+    /**
+     * @param {Object} options
+     * @param {'cloud'|'server'} options.mode - Chroma Cloud or a self-hosted Chroma server
+     * @param {string} options.collectionName
+     */
+    constructor({ mode = 'cloud', collectionName }) {
+        this.mode = mode;
+        this.type = mode === 'cloud' ? 'chroma-cloud' : 'chroma';
+        this.collectionName = collectionName;
+        this.client = null;
+        this.collection = null;
+    }
+
+    get description() {
+        return this.mode === 'cloud'
+            ? 'Chroma Cloud'
+            : `Chroma server at ${process.env.CHROMA_URL || 'http://localhost:8000'}`;
+    }
+
+    createClient() {
+        if (this.mode === 'cloud') {
+            logger.info(`Chroma Cloud config: Tenant=${process.env.CHROMA_TENANT}, Database=${process.env.CHROMA_DATABASE}`);
+            return new CloudClient({
+                apiKey: process.env.CHROMA_API_KEY,
+                tenant: process.env.CHROMA_TENANT,
+                database: process.env.CHROMA_DATABASE
+            });
+        }
+
+        const url = new URL(process.env.CHROMA_URL || 'http://localhost:8000');
+        const ssl = url.protocol === 'https:';
+        logger.info(`Chroma server config: URL=${url.origin}`);
+        return new ChromaClient({
+            host: url.hostname,
+            port: url.port ? parseInt(url.port, 10) : (ssl ? 443 : 8000),
+            ssl,
+            tenant: process.env.CHROMA_TENANT || undefined,
+            database: process.env.CHROMA_DATABASE || undefined,
+            headers: process.env.CHROMA_AUTH_TOKEN
+                ? { 'Authorization': `Bearer ${process.env.CHROMA_AUTH_TOKEN}` }
+                : undefined
+        });
+    }
+
+    // Collection configuration with optimized HNSW settings
+    collectionConfig(metadata) {
+        return {
+            name: this.collectionName,
+            metadata: metadata || undefined,
+            configuration: {
+                hnsw: {
+                    space: "cosine",        // Best for text embeddings
+                    ef_construction: 200,   // Higher quality index
+                    ef_search: 100,         // Better recall
+                    max_neighbors: 32       // Denser graph for better accuracy
+                }
+            }
+        };
+    }
+
+    async connect() {
+        this.client = this.createClient();
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Metadata recorded on the collection, null if it does not exist
+     */
+    async getCollectionMetadata() {
+        try {
+            const collection = await this.client.getCollection({ name: this.collectionName });
+            return collection.metadata || {};
+        } catch (error) {
+            if (error instanceof ChromaNotFoundError || /not found|does not exist/i.test(error.message)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open the collection, creating it with the given metadata if needed.
+     * Embedding metadata is added to existing collections that have none recorded yet.
+     */
+    async openCollection(metadata) {
+        this.collection = await this.client.getOrCreateCollection(this.collectionConfig(metadata));
+
+        if (metadata && !this.collection.metadata?.embedding_provider) {
+            await this.collection.modify({ metadata: { ...(this.collection.metadata || {}), ...metadata } });
+        }
+        logger.info(`HNSW configuration: cosine similarity, ef_construction=200, ef_search=100`);
+    }
+
+    async dropCollection() {
+        await this.client.deleteCollection({ name: this.collectionName });
+        this.collection = null;
+    }
+
+    async upsert({ ids, documents, metadatas, embeddings }) {
+        const upsertData = { ids, documents, metadatas };
+        if (embeddings) {
+            upsertData.embeddings = embeddings;
+        }
+        await this.collection.upsert(upsertData);
+    }
+
+    /**
+     * @returns {Promise<Array<{id, content, metadata, distance}>>} Nearest chunks, closest first
+     */
+    async query({ embedding, text, nResults }) {
+        const results = await this.collection.query(embedding
+            ? { queryEmbeddings: [embedding], nResults }
+            : { queryTexts: [text], nResults });
+
+        const contexts = [];
+        if (results.documents && results.documents[0]) {
+            for (let i = 0; i < results.documents[0].length; i++) {
+                contexts.push({
+                    content: results.documents[0][i],
+                    metadata: results.metadatas[0][i] || {},
+                    distance: results.distances[0][i],
+                    id: results.ids[0][i]
+                });
+            }
+        }
+        return contexts;
+    }
+
+    async count() {
+        return this.collection.count();
+    }
+
+    /**
+     * @returns {Promise<Array<{id, content, metadata, embedding}>>}
+     */
+    async get({ offset = 0, limit = 100, includeEmbeddings = false } = {}) {
+        const results = await this.collection.get({
+            offset,
+            limit,
+            include: includeEmbeddings ? ["documents", "metadatas", "embeddings"] : ["documents", "metadatas"]
+        });
+
+        return (results.ids || []).map((id, i) => ({
+            id,
+            content: results.documents[i] || '',
+            metadata: results.metadatas[i] || {},
+            embedding: results.embeddings ? results.embeddings[i] || null : null
+        }));
+    }
+
+    async delete(ids) {
+        await this.collection.delete({ ids });
+    }
+
+    async clear() {
+        // Delete and recreate collection, keeping its embedding metadata
+        const metadata = this.collection.metadata;
+        await this.client.deleteCollection({ name: this.collectionName });
+        this.collection = await this.client.createCollection(this.collectionConfig(metadata));
+    }
+}
+
+module.exports = ChromaVectorStore;
@@ -0,0 +1,212 @@
+/**
+ * PGVECTOR STORE
+ *
+ * Main Purpose: Vector store backend in the application's own PostgreSQL database using pgvector
+ *
+ * Key Responsibilities:
+ * - Schema Setup: Create the pgvector extension and the collection registry on connect
+ * - Collection Management: One table with an HNSW index per collection, sized to its embedding dimension
+ * - Chunk Operations: Upsert, cosine similarity query, paging, deletion and clearing
+ *
+ * Dependencies:
+ * - Database client (Prisma) for raw SQL on DATABASE_URL
+ * - PostgreSQL with the pgvector extension available (e.g. the pgvector/pgvector image)
+ *
+ * Notes:
+ * - Tables live in their own "vector_store" schema so Prisma migrations and db push never touch them,
+ *   and the pgvector extension is only needed when this backend is selected
+ * - vector_store.collections records each collection's embedding provider, model and dimension
+ * - Distances are cosine distances, the same scale Chroma returns for a cosine collection
+ * - pgvector cannot embed text itself, so every upsert and query needs embeddings
+ * - Embeddings over 2000 dimensions (e.g. text-embedding-3-large) get no HNSW index and are scanned exactly
+ */
+const databaseClient = require('../../utils/database');
+const { createLogger } = require('../../utils/logger');
+const logger = createLogger('pgVectorStore');
+
+const SCHEMA = 'vector_store';
+const REGISTRY_TABLE = `${SCHEMA}.collections`;
+
+// Collection names become table and index names, so keep them to safe identifier characters and
+// short enough that the "_hnsw" index suffix stays within PostgreSQL's 63-character identifier limit
+const INDEX_SUFFIX = '_hnsw';
+const COLLECTION_NAME_PATTERN = new RegExp(`^[A-Za-z0-9._-]{1,${63 - INDEX_SUFFIX.length}}$`);
+
+// pgvector's HNSW index only supports vectors up to this many dimensions
+const HNSW_MAX_DIMENSION = 2000;
+
+function toVectorLiteral(embedding) {
+    return `[${embedding.join(',')}]`;
+}
+
+class PgVectorStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.collectionName
+     */
+    constructor({ collectionName }) {
+        if (!COLLECTION_NAME_PATTERN.test(collectionName || '')) {
+            throw new Error(`Invalid pgvector collection name "${collectionName}"`);
+        }
+
+        this.type = 'pgvector';
+        this.collectionName = collectionName;
+        this.table = `${SCHEMA}."${collectionName}"`;
+        this.dimension = null;
+        this.prisma = null;
+    }
+
+    get description() {
+        return `PostgreSQL pgvector (${this.table})`;
+    }
+
+    async connect() {
+        this.prisma = databaseClient.getClient();
+
+        await this.prisma.$executeRawUnsafe('CREATE EXTENSION IF NOT EXISTS vector');
+        await this.prisma.$executeRawUnsafe(`CREATE SCHEMA IF NOT EXISTS ${SCHEMA}`);
+        await this.prisma.$executeRawUnsafe(`
+            CREATE TABLE IF NOT EXISTS ${REGISTRY_TABLE} (
+                name TEXT PRIMARY KEY,
+                metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+                created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Metadata recorded for the collection, null if it does not exist
+     */
+    async getCollectionMetadata() {
+        const rows = await this.prisma.$queryRawUnsafe(
+            `SELECT metadata FROM ${REGISTRY_TABLE} WHERE name = $1`,
+            this.collectionName
+        );
+        return rows.length > 0 ? rows[0].metadata || {} : null;
+    }
+
+    /**
+     * Open the collection, creating its table with the given metadata if needed
+     */
+    async openCollection(metadata) {
+        await this.prisma.$executeRawUnsafe(
+            `INSERT INTO ${REGISTRY_TABLE} (name, metadata) VALUES ($1, $2::jsonb)
+             ON CONFLICT (name) DO NOTHING`,
+            this.collectionName,
+            JSON.stringify(metadata || {})
+        );
+
+        const recorded = await this.getCollectionMetadata();
+        this.dimension = parseInt(recorded.embedding_dimension, 10);
+        if (!this.dimension) {
+            throw new Error(`pgvector collection "${this.collectionName}" has no embedding dimension recorded`);
+        }
+
+        await this.prisma.$executeRawUnsafe(`
+            CREATE TABLE IF NOT EXISTS ${this.table} (
+                id TEXT PRIMARY KEY,
+                content TEXT NOT NULL,
+                metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+                embedding vector(${this.dimension}) NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )`);
+
+        if (this.dimension > HNSW_MAX_DIMENSION) {
+            // Queries still work as exact scans, just slower on large collections
+            logger.warn(`pgvector table ready without an HNSW index: ${this.table} has ${this.dimension} dimensions, ` +
+                `pgvector indexes at most ${HNSW_MAX_DIMENSION}`);
+            return;
+        }
+
+        await this.prisma.$executeRawUnsafe(
+            `CREATE INDEX IF NOT EXISTS "${this.collectionName}${INDEX_SUFFIX}" ON ${this.table} USING hnsw (embedding vector_cosine_ops)`
+        );
+        logger.info(`pgvector table ready: ${this.table} (${this.dimension} dimensions, cosine HNSW index)`);
+    }
+
+    async dropCollection() {
+        await this.prisma.$executeRawUnsafe(`DROP TABLE IF EXISTS ${this.table}`);
+        await this.prisma.$executeRawUnsafe(`DELETE FROM ${REGISTRY_TABLE} WHERE name = $1`, this.collectionName);
+    }
+
+    async upsert({ ids, documents, metadatas, embeddings }) {
+        if (!embeddings) {
+            throw new Error('pgvector store requires embeddings; check the embedding provider configuration');
+        }
+
+        await this.prisma.$transaction(ids.map((id, i) => this.prisma.$executeRawUnsafe(
+            `INSERT INTO ${this.table} (id, content, metadata, embedding, updated_at)
+             VALUES ($1, $2, $3::jsonb, $4::vector, NOW())
+             ON CONFLICT (id) DO UPDATE
+             SET content = EXCLUDED.content, metadata = EXCLUDED.metadata,
+                 embedding = EXCLUDED.embedding, updated_at = NOW()`,
+            id,
+            documents[i] || '',
+            JSON.stringify(metadatas[i] || {}),
+            toVectorLiteral(embeddings[i])
+        )));
+    }
+
+    /**
+     * @returns {Promise<Array<{id, content, metadata, distance}>>} Nearest chunks, closest first
+     */
+    async query({ embedding, nResults }) {
+        if (!embedding) {
+            throw new Error('pgvector store requires a query embedding');
+        }
+
+        const rows = await this.prisma.$queryRawUnsafe(
+            `SELECT id, content, metadata, (embedding <=> $1::vector)::float8 AS distance
+             FROM ${this.table}
+             ORDER BY embedding <=> $1::vector
+             LIMIT $2::int`,
+            toVectorLiteral(embedding),
+            nResults
+        );
+
+        return rows.map(row => ({
+            content: row.content,
+            metadata: row.metadata || {},
+            distance: Number(row.distance),
+            id: row.id
+        }));
+    }
+
+    async count() {
+        const rows = await this.prisma.$queryRawUnsafe(`SELECT COUNT(*)::int AS count FROM ${this.table}`);
+        return rows[0]?.count || 0;
+    }
+
+    /**
+     * @returns {Promise<Array<{id, content, metadata, embedding}>>}
+     */
+    async get({ offset = 0, limit = 100, includeEmbeddings = false } = {}) {
+        const rows = await this.prisma.$queryRawUnsafe(
+            `SELECT id, content, metadata${includeEmbeddings ? ', embedding::text AS embedding' : ''}
+             FROM ${this.table}
+             ORDER BY id
+             OFFSET $1::int LIMIT $2::int`,
+            offset,
+            limit
+        );
+
+        return rows.map(row => ({
+            id: row.id,
+            content: row.content,
+            metadata: row.metadata || {},
+            embedding: row.embedding ? JSON.parse(row.embedding) : null
+        }));
+    }
+
+    async delete(ids) {
+        await this.prisma.$executeRawUnsafe(
+            `DELETE FROM ${this.table} WHERE id = ANY($1::text[])`,
+            ids
+        );
+    }
+
+    async clear() {
+        await this.prisma.$executeRawUnsafe(`TRUNCATE ${this.table}`);
+    }
+}
+
+module.exports = PgVectorStore;
@@ -0,0 +1,36 @@
+/**
+ * Vector store backends
+ *
+ * Every backend implements the same interface used by ChromaService:
+ * - connect(), getCollectionMetadata(), openCollection(metadata) and dropCollection()
+ * - upsert({ ids, documents, metadatas, embeddings }), query({ embedding, text, nResults }),
+ *   count(), get({ offset, limit, includeEmbeddings }), delete(ids) and clear()
+ * - `type`, `description` and `collectionName` properties
+ */
+const ChromaVectorStore = require('./ChromaVectorStore');
+const PgVectorStore = require('./PgVectorStore');
+
+const VECTOR_STORES = {
+    'chroma-cloud': (options) => new ChromaVectorStore({ ...options, mode: 'cloud' }),
+    'chroma': (options) => new ChromaVectorStore({ ...options, mode: 'server' }),
+    'pgvector': (options) => new PgVectorStore(options)
+};
+
+/**
+ * Create the vector store selected by VECTOR_STORE
+ *
+ * @param {string} type - 'chroma-cloud' (default), 'chroma' or 'pgvector'
+ * @param {Object} options - { collectionName }
+ */
+function createVectorStore(type, options) {
+    const factory = VECTOR_STORES[type || 'chroma-cloud'];
+    if (!factory) {
+        throw new Error(`Unknown VECTOR_STORE "${type}". Supported: ${Object.keys(VECTOR_STORES).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    createVectorStore,
+    VECTOR_STORE_TYPES: Object.keys(VECTOR_STORES)
+};
@@ -29,6 +29,7 @@
  * - 'agents': All connected agents receive broadcasts (new messages, status updates)
  * - 'settings': Settings page clients receive configuration updates
  * - [conversationId]: Customers and assigned agents in specific conversations
+ * - 'agent:<agentId>': A single agent's dashboard sockets (streamed AI suggestions)
  *
  * WebSocket Events (Client → Server):
  * - 'join-conversation': Customer joins their conversation room
@@ -38,11 +39,15 @@
  * - 'customer-typing': Customer typing indicator
  * - 'heartbeat': Keep-alive signal from agents (includes 'source' field: 'dashboard' or 'settings')
  * - 'request-current-state': Request current system state (agents, mode)
+ * - 'cancel-ai-suggestion': Agent cancels a suggestion that is still streaming
  * - 'disconnect': Client disconnection (handled by Socket.IO)
  *
  * WebSocket Events (Server → Client):
  * - 'new-message': Broadcast customer message to agents
  * - 'agent-message': Send agent response to customer
+ * - 'ai-response-chunk': Streamed autopilot token delta to the conversation room
+ * - 'ai-response-complete': Final persisted autopilot message (replaces streamed text)
+ * - 'ai-suggestion-started' / 'ai-suggestion-chunk' / 'ai-suggestion-complete': HITL suggestion stream
  * - 'agent-typing-status': Typing indicator to customer
  * - 'customer-typing-status': Typing indicator to agents
  * - 'system-mode-update': System mode change broadcast
@@ -77,6 +82,7 @@
  */
 const agentService = require('./agentService');
 const conversationService = require('./conversationService');
+const suggestionStreamService = require('./suggestionStreamService');
 const { createLogger } = require('../utils/logger');
 
 class WebSocketService {
@@ -137,6 +143,7 @@ class WebSocketService {
             socket.on('join-agent-dashboard', async (agentId) => {
                 socket.join('agents');
                 socket.join('settings');
+                socket.join(suggestionStreamService.getAgentRoom(agentId));
                 socket.agentId = agentId;
                 console.log('🔥 DEBUG: Socket', socket.id, 'joined agents room for agent:', agentId);
 
@@ -189,6 +196,21 @@ class WebSocketService {
                 });
             });
             
+            // Cancel an in-progress AI suggestion stream (only the owning agent may cancel)
+            socket.on('cancel-ai-suggestion', (data) => {
+                const conversationId = data?.conversationId;
+                if (!conversationId || !socket.agentId) return;
+
+                const cancelled = suggestionStreamService.cancelStream(conversationId, socket.agentId);
+                this.logger.info('AI suggestion cancel requested', {
+                    socketId: socket.id,
+                    conversationId,
+                    agentId: socket.agentId,
+                    cancelled,
+                    correlationId: socket.correlationId
+                });
+            });
+
             // Request current state (simplified)
             socket.on('request-current-state', async (stateType) => {
                 try {
@@ -0,0 +1,112 @@
+/**
+ * Circuit Breaker
+ * Tracks consecutive failures of a dependency and temporarily stops calling it
+ *
+ * States:
+ * - closed: requests flow normally
+ * - open: requests are skipped until the cooldown expires
+ * - half_open: cooldown expired, a single trial request decides whether to close again
+ */
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {number} [options.failureThreshold=3] - Consecutive failures before opening
+     * @param {number} [options.cooldownMs=60000] - Time to stay open before allowing a trial request
+     * @param {Function} [options.now] - Clock override for tests
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 3;
+        this.cooldownMs = options.cooldownMs || 60000;
+        this.now = options.now || Date.now;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastFailure = null;
+        this.lastSuccessAt = null;
+    }
+
+    /**
+     * Whether a request may be sent now; moves an expired open circuit to half-open
+     */
+    canRequest() {
+        if (this.state === STATES.OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+            this.state = STATES.HALF_OPEN;
+            this.trialInFlight = false;
+        }
+
+        if (this.state === STATES.CLOSED) return true;
+        if (this.state === STATES.HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastSuccessAt = this.now();
+    }
+
+    /**
+     * @returns {boolean} True when this failure opened the circuit
+     */
+    recordFailure(error) {
+        this.consecutiveFailures += 1;
+        this.lastFailure = {
+            message: error?.message || String(error),
+            at: this.now()
+        };
+
+        const shouldOpen = this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold;
+        if (shouldOpen && this.state !== STATES.OPEN) {
+            this.state = STATES.OPEN;
+            this.openedAt = this.now();
+            this.trialInFlight = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * End a request that says nothing about dependency health (cancelled, invalid request)
+     * so a half-open circuit can send another trial
+     */
+    release() {
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Snapshot for health endpoints
+     */
+    getState() {
+        const retryAt = this.state === STATES.OPEN ? this.openedAt + this.cooldownMs : null;
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            cooldownMs: this.cooldownMs,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+            lastFailure: this.lastFailure
+                ? { message: this.lastFailure.message, at: new Date(this.lastFailure.at).toISOString() }
+                : null,
+            lastSuccessAt: this.lastSuccessAt ? new Date(this.lastSuccessAt).toISOString() : null
+        };
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
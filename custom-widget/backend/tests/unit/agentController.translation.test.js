@@ -0,0 +1,75 @@
+/**
+ * Unit tests for Agent Controller translation of agent replies
+ */
+const AgentController = require('../../src/controllers/agentController');
+const conversationService = require('../../src/services/conversationService');
+const agentService = require('../../src/services/agentService');
+const statisticsService = require('../../src/services/statisticsService');
+const translationService = require('../../src/services/translationService');
+
+// Mock services
+jest.mock('../../src/services/conversationService');
+jest.mock('../../src/services/agentService');
+jest.mock('../../src/services/statisticsService');
+
+describe('AgentController - Reply Translation', () => {
+    let controller;
+    let roomEmit;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        roomEmit = jest.fn();
+        controller = new AgentController({
+            to: jest.fn().mockReturnValue({ emit: roomEmit }),
+            sockets: { adapter: { rooms: new Map() } }
+        });
+
+        conversationService.getConversation.mockResolvedValue({ id: 'conv1', assignedAgent: 'agent1' });
+        conversationService.getMessages.mockResolvedValue([
+            { sender: 'visitor', content: 'Где можно оплатить штраф?', metadata: { language: 'ru' } }
+        ]);
+        agentService.getAgent.mockResolvedValue({ id: 'agent1', name: 'Agentas' });
+        agentService.getSystemMode.mockResolvedValue('hitl');
+        statisticsService.getCurrentSystemMode.mockResolvedValue('hitl');
+        jest.spyOn(translationService, 'getTranslationSettings').mockResolvedValue({ enabled: true, agentLanguage: 'lt' });
+    });
+
+    const send = async (message) => {
+        const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await controller.sendResponse({
+            body: { conversationId: 'conv1', agentId: 'agent1', message }
+        }, res);
+        return res;
+    };
+
+    it('should deliver the reply in the customer language and keep the agent text', async () => {
+        jest.spyOn(translationService, 'translate').mockResolvedValue({ text: 'Штраф можно оплатить онлайн.', model: 'test-model' });
+
+        const res = await send('Baudą galite sumokėti internetu.');
+
+        const stored = conversationService.addMessage.mock.calls[0][1];
+        expect(stored.content).toBe('Штраф можно оплатить онлайн.');
+        expect(stored.metadata.translation).toMatchObject({
+            original: 'Baudą galite sumokėti internetu.',
+            translated: 'Штраф можно оплатить онлайн.',
+            sourceLanguage: 'lt',
+            targetLanguage: 'ru',
+            direction: 'outbound'
+        });
+        expect(roomEmit).toHaveBeenCalledWith('agent-message', expect.objectContaining({
+            message: expect.objectContaining({ content: 'Штраф можно оплатить онлайн.' })
+        }));
+        expect(res.json).toHaveBeenCalledWith({ success: true, message: stored });
+    });
+
+    it('should send the agent text untranslated when translation fails', async () => {
+        jest.spyOn(translationService, 'translate').mockRejectedValue(new Error('Provider down'));
+
+        await send('Baudą galite sumokėti internetu.');
+
+        const stored = conversationService.addMessage.mock.calls[0][1];
+        expect(stored.content).toBe('Baudą galite sumokėti internetu.');
+        expect(stored.metadata.translation).toBeUndefined();
+    });
+});
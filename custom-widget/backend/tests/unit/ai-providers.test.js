@@ -1,7 +1,18 @@
 /**
  * Tests for AI Provider abstraction layer
  */
-const { createAIProvider, FlowiseProvider, OpenRouterProvider, retryWithBackoff } = require('../../ai-providers');
+const {
+    createAIProvider,
+    FlowiseProvider,
+    OpenRouterProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    MockResponder,
+    resolveChatModelConfig,
+    isChatCompletionProvider,
+    parseHeaders,
+    retryWithBackoff
+} = require('../../ai-providers');
 
 // Mock fetch globally
 global.fetch = jest.fn();
@@ -41,6 +52,27 @@ describe('AI Providers', () => {
             expect(provider.model).toBe(config.OPENROUTER_MODEL);
         });
 
+        it('should create OpenAICompatibleProvider when provider is "openai_compatible"', () => {
+            const config = {
+                OPENAI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1/',
+                OPENAI_COMPATIBLE_MODEL: 'llama3',
+                OPENAI_COMPATIBLE_HEADERS: '{"X-Tenant": "vilnius"}',
+                OPENAI_COMPATIBLE_MODELS: 'llama3, qwen2.5'
+            };
+
+            const provider = createAIProvider('openai_compatible', config);
+            expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+            expect(provider.baseURL).toBe('http://localhost:11434/v1');
+            expect(provider.model).toBe('llama3');
+            expect(provider.headers).toEqual({ 'X-Tenant': 'vilnius' });
+            expect(provider.models).toEqual(['llama3', 'qwen2.5']);
+        });
+
+        it('should require a base URL for "openai_compatible"', () => {
+            expect(() => createAIProvider('openai_compatible', { OPENAI_COMPATIBLE_MODEL: 'llama3' }))
+                .toThrow('OpenAI-compatible provider requires OPENAI_COMPATIBLE_BASE_URL');
+        });
+
         it('should throw error for unsupported provider', () => {
             expect(() => createAIProvider('unsupported', {})).toThrow('Unsupported AI provider: unsupported');
         });
@@ -256,6 +288,205 @@ describe('AI Providers', () => {
         });
     });
 
+    describe('OpenAICompatibleProvider', () => {
+        let provider;
+
+        beforeEach(() => {
+            provider = new OpenAICompatibleProvider({
+                baseURL: 'http://localhost:8000/v1',
+                model: 'qwen2.5',
+                headers: '{"X-Tenant": "vilnius"}',
+                models: 'qwen2.5,llama3',
+                systemPrompt: 'You are a helpful assistant'
+            });
+        });
+
+        it('should post to the configured base URL with extra headers and no auth when key is empty', async () => {
+            fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ choices: [{ message: { content: 'Local response' } }] })
+            });
+
+            const result = await provider.generateResponse('Hello', 'conv-123');
+
+            expect(fetch).toHaveBeenCalledWith(
+                'http://localhost:8000/v1/chat/completions',
+                expect.objectContaining({ method: 'POST' })
+            );
+            const { headers, body } = fetch.mock.calls[0][1];
+            expect(headers['X-Tenant']).toBe('vilnius');
+            expect(headers.Authorization).toBeUndefined();
+            expect(JSON.parse(body).model).toBe('qwen2.5');
+            expect(result).toBe('Local response');
+        });
+
+        it('should send the API key as a bearer token when configured', async () => {
+            provider.apiKey = 'secret-key';
+            fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ choices: [{ message: { content: 'ok' } }] })
+            });
+
+            await provider.generateResponse('Hello', 'conv-123');
+
+            expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer secret-key');
+        });
+
+        it('should throw error on API failure', async () => {
+            fetch.mockResolvedValue({
+                ok: false,
+                status: 404,
+                statusText: 'Not Found',
+                text: () => Promise.resolve('model not found')
+            });
+
+            await expect(provider.generateResponse('test', 'conv-123'))
+                .rejects.toThrow('OpenAI-compatible API error: 404 Not Found - model not found');
+        });
+
+        it('should list models from the endpoint', async () => {
+            fetch.mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ data: [{ id: 'mistral' }, { id: 'phi3' }] })
+            });
+
+            await expect(provider.listModels()).resolves.toEqual(['mistral', 'phi3']);
+            expect(fetch.mock.calls[0][0]).toBe('http://localhost:8000/v1/models');
+        });
+
+        it('should fall back to the configured model list when the endpoint cannot list models', async () => {
+            fetch.mockRejectedValue(new Error('Network error'));
+
+            await expect(provider.listModels()).resolves.toEqual(['qwen2.5', 'llama3']);
+        });
+    });
+
+    describe('MockResponder', () => {
+        const fixtures = {
+            defaultResponse: 'Default mock answer',
+            rules: [
+                { scope: 'chat', match: 'labas', response: 'Sveiki!' },
+                { match: 'outage', error: 'Simulated outage' },
+                { scope: 'categorization', match: 'mokes', response: 'Mokesčiai' }
+            ]
+        };
+
+        it('should answer from the first matching rule in scope', async () => {
+            const responder = new MockResponder({ fixtures });
+
+            await expect(responder.respond('Labas rytas')).resolves.toBe('Sveiki!');
+            await expect(responder.respond('Labas rytas', { scope: 'categorization' })).resolves.toBe('Default mock answer');
+            await expect(responder.respond('Dėl mokesčių', { scope: 'categorization' })).resolves.toBe('Mokesčiai');
+        });
+
+        it('should use the fallback when no rule matches', async () => {
+            const responder = new MockResponder({ fixtures });
+
+            await expect(responder.respond('Kita tema', { fallback: 'Kita tema' })).resolves.toBe('Kita tema');
+            await expect(responder.respond('Kita tema', { fallback: null })).resolves.toBeNull();
+        });
+
+        it('should throw the error scripted by a rule', async () => {
+            const responder = new MockResponder({ fixtures });
+
+            await expect(responder.respond('provider outage')).rejects.toThrow('Simulated outage');
+        });
+
+        it('should fail every Nth call when failEvery is set', async () => {
+            const responder = new MockResponder({ fixtures, failEvery: 2 });
+
+            await expect(responder.respond('Labas')).resolves.toBe('Sveiki!');
+            await expect(responder.respond('Labas')).rejects.toThrow('Mock provider injected failure (call 2)');
+            await expect(responder.respond('Labas')).resolves.toBe('Sveiki!');
+        });
+
+        it('should wait for the configured latency', async () => {
+            jest.useFakeTimers();
+            const responder = new MockResponder({ fixtures, latencyMs: 1000 });
+
+            let settled = false;
+            const pending = responder.respond('Labas').then(() => { settled = true; });
+
+            await jest.advanceTimersByTimeAsync(999);
+            expect(settled).toBe(false);
+            await jest.advanceTimersByTimeAsync(1);
+            await pending;
+            expect(settled).toBe(true);
+
+            jest.useRealTimers();
+        });
+
+        it('should load the bundled fixtures file by default', () => {
+            const responder = new MockResponder();
+
+            expect(responder.fixtures.defaultResponse).toBeTruthy();
+            expect(responder.fixtures.rules.length).toBeGreaterThan(0);
+        });
+    });
+
+    describe('MockProvider', () => {
+        it('should be created by the factory and answer the latest customer message offline', async () => {
+            const provider = createAIProvider('mock', {});
+
+            expect(provider).toBeInstanceOf(MockProvider);
+            await expect(provider.healthCheck()).resolves.toBe(true);
+
+            const result = await provider.generateResponse('Customer: Labas\nAgent: Sveiki\nCustomer: hello', 'conv-123');
+            expect(result).toBe('Sveiki! Kuo galiu jums padėti?');
+            expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resolveChatModelConfig', () => {
+        it('should resolve OpenAI-compatible settings for the LangChain chains', () => {
+            const chatConfig = resolveChatModelConfig({
+                AI_PROVIDER: 'openai_compatible',
+                OPENAI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1/',
+                OPENAI_COMPATIBLE_MODEL: 'llama3',
+                OPENAI_COMPATIBLE_HEADERS: '{"X-Tenant": "vilnius"}'
+            });
+
+            expect(chatConfig).toEqual({
+                provider: 'openai_compatible',
+                baseURL: 'http://localhost:11434/v1',
+                apiKey: 'not-needed',
+                model: 'llama3',
+                rephrasingModel: 'llama3',
+                headers: { 'X-Tenant': 'vilnius' }
+            });
+        });
+
+        it('should keep OpenRouter as the default chat provider', () => {
+            const chatConfig = resolveChatModelConfig({
+                AI_PROVIDER: 'openrouter',
+                OPENROUTER_API_KEY: 'or-key',
+                OPENROUTER_MODEL: 'google/gemini-2.5-flash',
+                REPHRASING_MODEL: 'google/gemini-2.5-flash-lite',
+                SITE_URL: 'http://test.com',
+                SITE_NAME: 'Test Site'
+            });
+
+            expect(chatConfig.provider).toBe('openrouter');
+            expect(chatConfig.baseURL).toBe('https://openrouter.ai/api/v1');
+            expect(chatConfig.apiKey).toBe('or-key');
+            expect(chatConfig.rephrasingModel).toBe('google/gemini-2.5-flash-lite');
+            expect(chatConfig.headers).toEqual({ 'HTTP-Referer': 'http://test.com', 'X-Title': 'Test Site' });
+        });
+
+        it('should identify providers that use the RAG chain', () => {
+            expect(isChatCompletionProvider('openrouter')).toBe(true);
+            expect(isChatCompletionProvider('openai_compatible')).toBe(true);
+            expect(isChatCompletionProvider('mock')).toBe(true);
+            expect(isChatCompletionProvider('flowise')).toBe(false);
+        });
+
+        it('should ignore invalid header JSON', () => {
+            expect(parseHeaders('not json')).toEqual({});
+            expect(parseHeaders('["a"]')).toEqual({});
+            expect(parseHeaders('{"X-Count": 2}')).toEqual({ 'X-Count': '2' });
+        });
+    });
+
     describe('retryWithBackoff', () => {
         it('should succeed on first attempt', async () => {
             const mockFn = jest.fn().mockResolvedValue('success');
@@ -0,0 +1,239 @@
+/**
+ * Unit tests for AiCategorizationService - ranked candidates, review queue, few-shot corrections and precision
+ */
+const mockPrisma = {
+    tickets: { findUnique: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+    messages: { count: jest.fn(), findFirst: jest.fn(), findMany: jest.fn() },
+    ticket_categories: { findMany: jest.fn(), findUnique: jest.fn() },
+    category_suggestions: {
+        count: jest.fn(),
+        create: jest.fn(),
+        findMany: jest.fn(),
+        findUnique: jest.fn(),
+        findFirst: jest.fn(),
+        update: jest.fn(),
+        updateMany: jest.fn(),
+        groupBy: jest.fn()
+    },
+    $transaction: jest.fn()
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../src/services/websocketService', () => ({ broadcastToAgents: jest.fn() }));
+
+// The test setup switches auto-categorization off; the flag is read when the service loads
+process.env.ENABLE_AUTO_CATEGORIZATION = 'true';
+const aiCategorizationService = require('../../src/services/aiCategorizationService');
+
+const CATEGORIES = [
+    { id: 'cat-permits', name: 'Leidimai', description: 'Statybos leidimai' },
+    { id: 'cat-taxes', name: 'Mokesčiai', description: null }
+];
+
+const mockEligibleTicket = () => {
+    mockPrisma.tickets.findUnique.mockResolvedValue({ id: 't1', category_id: null, manual_category_override: false, archived: false });
+    mockPrisma.messages.count.mockResolvedValue(4);
+    mockPrisma.messages.findFirst.mockResolvedValue({ created_at: new Date(Date.now() - 60 * 60 * 1000) });
+    mockPrisma.category_suggestions.count.mockResolvedValue(0);
+    mockPrisma.messages.findMany.mockResolvedValue([
+        { senderType: 'customer', content: 'Kaip gauti statybos leidimą?', created_at: new Date() },
+        { senderType: 'agent', content: 'Pateikite prašymą per Infostatybą.', created_at: new Date() }
+    ]);
+    mockPrisma.ticket_categories.findMany.mockResolvedValue(CATEGORIES);
+    mockPrisma.category_suggestions.findMany.mockResolvedValue([]);
+    mockPrisma.category_suggestions.create.mockImplementation(({ data }) => Promise.resolve({ id: 's1', ...data }));
+};
+
+describe('AiCategorizationService', () => {
+    afterEach(() => {
+        delete process.env.AUTO_CATEGORIZATION_CONFIDENCE_THRESHOLD;
+    });
+
+    it('should rank, clamp and dedupe candidates and read the legacy answer as fully confident', () => {
+        expect(aiCategorizationService.parseAIResponse(JSON.stringify({
+            candidates: [
+                { categoryId: 'cat-taxes', confidence: 0.3 },
+                { categoryId: 'cat-permits', confidence: 1.4 },
+                { categoryId: 'cat-taxes', confidence: 0.9 },
+                { categoryId: 'cat-other', confidence: 'high' },
+                { confidence: 0.95 },
+                null,
+                { categoryId: 'cat-fourth', confidence: 0.1 }
+            ],
+            reasoning: 'Klausiama apie leidimą'
+        }))).toEqual({
+            categoryId: 'cat-permits',
+            confidence: 1,
+            reasoning: 'Klausiama apie leidimą',
+            candidates: [
+                { categoryId: 'cat-permits', confidence: 1 },
+                { categoryId: 'cat-taxes', confidence: 0.3 },
+                { categoryId: 'cat-fourth', confidence: 0.1 }
+            ]
+        });
+
+        expect(aiCategorizationService.parseAIResponse('```json\n{"categoryId": "cat-taxes", "reasoning": "Mokesčiai"}\n```'))
+            .toMatchObject({ categoryId: 'cat-taxes', confidence: 1, candidates: [{ categoryId: 'cat-taxes', confidence: 1 }] });
+        expect(() => aiCategorizationService.parseAIResponse('{"candidates": [], "reasoning": "?"}')).toThrow('Invalid AI response format');
+        expect(() => aiCategorizationService.parseAIResponse('{"candidates": [{"confidence": 0.9}, {"categoryId": 7}], "reasoning": "?"}'))
+            .toThrow('No candidate categories');
+    });
+
+    it('should queue a suggestion below the threshold instead of categorizing the ticket', async () => {
+        mockEligibleTicket();
+        jest.spyOn(aiCategorizationService, 'callAICategorization').mockResolvedValue({
+            categoryId: 'cat-permits',
+            confidence: 0.55,
+            reasoning: 'Gali būti leidimai',
+            candidates: [
+                { categoryId: 'cat-permits', confidence: 0.55 },
+                { categoryId: 'cat-unknown', confidence: 0.4 },
+                { categoryId: 'cat-taxes', confidence: 0.2 }
+            ]
+        });
+
+        const result = await aiCategorizationService.categorizeTicket('t1');
+
+        expect(result).toMatchObject({ success: true, pendingReview: true, suggestionId: 's1', categoryName: 'Leidimai' });
+        expect(mockPrisma.category_suggestions.create).toHaveBeenCalledWith({
+            data: {
+                ticket_id: 't1',
+                candidates: [
+                    { categoryId: 'cat-permits', confidence: 0.55, name: 'Leidimai' },
+                    { categoryId: 'cat-taxes', confidence: 0.2, name: 'Mokesčiai' }
+                ],
+                category_id: 'cat-permits',
+                confidence: 0.55,
+                reasoning: 'Gali būti leidimai',
+                excerpt: 'Kaip gauti statybos leidimą?',
+                status: 'pending'
+            }
+        });
+        expect(mockPrisma.tickets.update).not.toHaveBeenCalled();
+    });
+
+    it('should apply a confident top candidate and keep every confident label', async () => {
+        process.env.AUTO_CATEGORIZATION_CONFIDENCE_THRESHOLD = '0.6';
+        mockEligibleTicket();
+        mockPrisma.tickets.update.mockImplementation(({ data }) => Promise.resolve({
+            ...data,
+            ticket_category: { id: data.category_id, name: 'Leidimai', color: '#000000' }
+        }));
+        jest.spyOn(aiCategorizationService, 'callAICategorization').mockResolvedValue({
+            categoryId: 'cat-permits',
+            confidence: 0.9,
+            reasoning: 'Leidimai ir mokesčiai',
+            candidates: [
+                { categoryId: 'cat-permits', confidence: 0.9 },
+                { categoryId: 'cat-taxes', confidence: 0.65 }
+            ]
+        });
+
+        const result = await aiCategorizationService.categorizeTicket('t1');
+
+        expect(result).toMatchObject({ success: true, pendingReview: false, categoryId: 'cat-permits' });
+        expect(mockPrisma.category_suggestions.create.mock.calls[0][0].data.status).toBe('auto_applied');
+        const { data } = mockPrisma.tickets.update.mock.calls[0][0];
+        expect(data.category_id).toBe('cat-permits');
+        expect(data.category_metadata).toMatchObject({ source: 'ai', confidence: 0.9, suggestion_id: 's1' });
+        expect(data.category_metadata.labels.map(label => label.categoryId)).toEqual(['cat-permits', 'cat-taxes']);
+    });
+
+    it('should show agent corrections to the AI as examples', async () => {
+        mockPrisma.category_suggestions.findMany.mockResolvedValue([
+            { excerpt: 'Noriu sumokėti žemės mokestį', final_category_id: 'cat-taxes' }
+        ]);
+
+        const examples = await aiCategorizationService.getFewShotExamples(CATEGORIES);
+
+        expect(mockPrisma.category_suggestions.findMany.mock.calls[0][0].where).toEqual({
+            status: 'corrected',
+            final_category_id: { in: ['cat-permits', 'cat-taxes'] },
+            excerpt: { not: null }
+        });
+        expect(examples).toEqual([{ excerpt: 'Noriu sumokėti žemės mokestį', categoryName: 'Mokesčiai' }]);
+
+        const prompt = aiCategorizationService.buildCategorizationPrompt(
+            [{ role: 'customer', content: 'Labas' }], CATEGORIES, examples
+        );
+        expect(prompt).toContain('"Noriu sumokėti žemės mokestį" → Mokesčiai');
+        expect(prompt).toContain('"candidates"');
+    });
+
+    it('should accept or correct queued suggestions once', async () => {
+        const pending = { id: 's1', ticket_id: 't1', status: 'pending', category_id: 'cat-permits', confidence: 0.5, reasoning: 'r', candidates: [] };
+        mockPrisma.category_suggestions.findUnique.mockResolvedValue(pending);
+        mockPrisma.ticket_categories.findUnique.mockResolvedValue({ id: 'cat-taxes', name: 'Mokesčiai', is_archived: false });
+        mockPrisma.$transaction.mockImplementation((callback) => callback(mockPrisma));
+        mockPrisma.category_suggestions.updateMany.mockResolvedValue({ count: 1 });
+        mockPrisma.tickets.update.mockImplementation(({ data }) => Promise.resolve({ id: 't1', ...data }));
+
+        const { suggestion } = await aiCategorizationService.reviewSuggestion('s1', 'cat-taxes', 'agent1');
+
+        expect(suggestion).toMatchObject({ status: 'corrected', final_category_id: 'cat-taxes', reviewed_by: 'agent1' });
+        expect(mockPrisma.category_suggestions.updateMany).toHaveBeenCalledWith({
+            where: { id: 's1', status: 'pending' },
+            data: { status: 'corrected', final_category_id: 'cat-taxes', reviewed_by: 'agent1', reviewed_at: expect.any(Date) }
+        });
+        expect(mockPrisma.tickets.update.mock.calls[0][0].data).toMatchObject({
+            category_id: 'cat-taxes',
+            manual_category_override: true,
+            category_metadata: { source: 'manual', review_status: 'corrected' }
+        });
+
+        mockPrisma.ticket_categories.findUnique.mockResolvedValue({ id: 'cat-permits', name: 'Leidimai', is_archived: false });
+        await expect(aiCategorizationService.reviewSuggestion('s1', 'cat-permits', 'agent1'))
+            .resolves.toMatchObject({ suggestion: { status: 'accepted' } });
+
+        mockPrisma.category_suggestions.findUnique.mockResolvedValue({ ...pending, status: 'accepted' });
+        await expect(aiCategorizationService.reviewSuggestion('s1', 'cat-taxes', 'agent1'))
+            .rejects.toMatchObject({ statusCode: 409, code: 'SUGGESTION_REVIEWED' });
+    });
+
+    it('should not categorize the ticket when another review got to the suggestion first', async () => {
+        const pending = { id: 's1', ticket_id: 't1', status: 'pending', category_id: 'cat-permits', confidence: 0.5, reasoning: 'r', candidates: [] };
+        mockPrisma.category_suggestions.findUnique.mockResolvedValue(pending);
+        mockPrisma.ticket_categories.findUnique.mockResolvedValue({ id: 'cat-taxes', name: 'Mokesčiai', is_archived: false });
+        mockPrisma.$transaction.mockImplementation((callback) => callback(mockPrisma));
+        mockPrisma.category_suggestions.updateMany.mockResolvedValue({ count: 0 });
+
+        await expect(aiCategorizationService.reviewSuggestion('s1', 'cat-taxes', 'agent2'))
+            .rejects.toMatchObject({ statusCode: 409, code: 'SUGGESTION_REVIEWED' });
+        expect(mockPrisma.tickets.update).not.toHaveBeenCalled();
+    });
+
+    it('should count a manual change of an auto-applied category as a correction', async () => {
+        mockPrisma.category_suggestions.findFirst.mockResolvedValue({ id: 's2', status: 'auto_applied', category_id: 'cat-permits' });
+
+        await aiCategorizationService.recordAgentCategory('t1', 'cat-permits', 'agent1');
+        expect(mockPrisma.category_suggestions.update).not.toHaveBeenCalled();
+
+        await aiCategorizationService.recordAgentCategory('t1', 'cat-taxes', 'agent1');
+        expect(mockPrisma.category_suggestions.update).toHaveBeenCalledWith({
+            where: { id: 's2' },
+            data: { status: 'corrected', final_category_id: 'cat-taxes', reviewed_by: 'agent1', reviewed_at: expect.any(Date) }
+        });
+    });
+
+    it('should report precision per predicted category', async () => {
+        mockPrisma.tickets.findMany.mockResolvedValue([
+            { category_id: 'cat-permits', category_metadata: { source: 'ai', confidence: 0.9 }, manual_category_override: false },
+            { category_id: null, category_metadata: null, manual_category_override: false }
+        ]);
+        mockPrisma.category_suggestions.count.mockResolvedValue(2);
+        mockPrisma.category_suggestions.groupBy.mockResolvedValue([
+            { category_id: 'cat-permits', status: 'auto_applied', _count: { _all: 6 } },
+            { category_id: 'cat-permits', status: 'corrected', _count: { _all: 2 } },
+            { category_id: 'cat-taxes', status: 'accepted', _count: { _all: 1 } },
+            { category_id: 'cat-taxes', status: 'corrected', _count: { _all: 1 } }
+        ]);
+        mockPrisma.ticket_categories.findMany.mockResolvedValue(CATEGORIES);
+
+        const stats = await aiCategorizationService.getCategorizationStats();
+
+        expect(stats).toMatchObject({ total: 2, aiCategorized: 1, pendingReview: 2, confidenceThreshold: 0.7, precision: 0.7 });
+        expect(stats.precisionByCategory).toEqual([
+            { categoryId: 'cat-permits', name: 'Leidimai', predicted: 8, autoApplied: 6, accepted: 0, corrected: 2, precision: 0.75 },
+            { categoryId: 'cat-taxes', name: 'Mokesčiai', predicted: 2, autoApplied: 0, accepted: 1, corrected: 1, precision: 0.5 }
+        ]);
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the AI Failover Service
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+
+const aiFailoverService = require('../../src/services/aiFailoverService');
+
+const httpError = (status, message = `HTTP ${status}`) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+describe('AIFailoverService', () => {
+    const config = {
+        AI_PROVIDER: 'openrouter',
+        OPENROUTER_MODEL: 'google/gemini-2.5-flash',
+        OPENAI_COMPATIBLE_MODEL: 'llama3.1:8b',
+        AI_FAILOVER_CHAIN: 'openrouter:openai/gpt-4o-mini, openai_compatible, openrouter:google/gemini-2.5-flash, unknown',
+        AI_FAILOVER_FAILURE_THRESHOLD: 2,
+        AI_FAILOVER_COOLDOWN_MS: 60000
+    };
+
+    beforeEach(() => {
+        aiFailoverService.reset();
+    });
+
+    describe('getEntries', () => {
+        it('should put the primary provider first and skip duplicates and unknown providers', () => {
+            const entries = aiFailoverService.getEntries(config);
+
+            expect(entries.map(entry => entry.key)).toEqual([
+                'openrouter:google/gemini-2.5-flash',
+                'openrouter:openai/gpt-4o-mini',
+                'openai_compatible:llama3.1:8b'
+            ]);
+        });
+
+        it('should keep colons inside model names', () => {
+            const entries = aiFailoverService.getEntries({
+                AI_PROVIDER: 'flowise',
+                AI_FAILOVER_CHAIN: 'openai_compatible:qwen2.5:14b,mock'
+            });
+
+            expect(entries).toEqual([
+                { provider: 'flowise', model: null, key: 'flowise' },
+                { provider: 'openai_compatible', model: 'qwen2.5:14b', key: 'openai_compatible:qwen2.5:14b' },
+                { provider: 'mock', model: null, key: 'mock' }
+            ]);
+        });
+
+        it('should override the provider model in the entry config', () => {
+            const entryConfig = aiFailoverService.getEntryConfig(config, {
+                provider: 'openrouter',
+                model: 'openai/gpt-4o-mini'
+            });
+
+            expect(entryConfig.AI_PROVIDER).toBe('openrouter');
+            expect(entryConfig.OPENROUTER_MODEL).toBe('openai/gpt-4o-mini');
+        });
+    });
+
+    describe('isFailoverError', () => {
+        it('should fail over on 5xx, rate limits, timeouts and connection errors', () => {
+            const refused = new Error('fetch failed');
+            refused.cause = { code: 'ECONNREFUSED' };
+
+            expect(aiFailoverService.isFailoverError(httpError(503))).toBe(true);
+            expect(aiFailoverService.isFailoverError(httpError(429))).toBe(true);
+            expect(aiFailoverService.isFailoverError(new Error('LLM call timeout after 60000ms'))).toBe(true);
+            expect(aiFailoverService.isFailoverError(refused)).toBe(true);
+        });
+
+        it('should not fail over on client errors or cancellations', () => {
+            const aborted = new Error('Aborted');
+            aborted.name = 'AbortError';
+            const streamed = httpError(502);
+            streamed.noFailover = true;
+
+            expect(aiFailoverService.isFailoverError(httpError(400))).toBe(false);
+            expect(aiFailoverService.isFailoverError(aborted)).toBe(false);
+            expect(aiFailoverService.isFailoverError(streamed)).toBe(false);
+        });
+    });
+
+    describe('execute', () => {
+        it('should fail over to the next provider and report which one answered', async () => {
+            const entries = aiFailoverService.getEntries(config);
+            const attempt = jest.fn()
+                .mockRejectedValueOnce(httpError(503))
+                .mockResolvedValueOnce('Atsakymas');
+
+            const outcome = await aiFailoverService.execute(entries, attempt, { source: 'test' });
+
+            expect(outcome.result).toBe('Atsakymas');
+            expect(outcome.entry.key).toBe('openrouter:openai/gpt-4o-mini');
+            expect(outcome.failedOver).toBe(true);
+            expect(outcome.failures).toEqual([
+                { provider: 'openrouter:google/gemini-2.5-flash', error: 'HTTP 503' }
+            ]);
+        });
+
+        it('should rethrow errors that another provider would not fix', async () => {
+            const entries = aiFailoverService.getEntries(config);
+            const attempt = jest.fn().mockRejectedValue(httpError(400, 'Bad request'));
+
+            await expect(aiFailoverService.execute(entries, attempt)).rejects.toThrow('Bad request');
+            expect(attempt).toHaveBeenCalledTimes(1);
+        });
+
+        it('should skip a provider while its circuit is open', async () => {
+            const entries = aiFailoverService.getEntries(config);
+            const failingPrimary = async (entry) => {
+                if (entry.key === entries[0].key) throw httpError(500);
+                return entry.key;
+            };
+
+            await aiFailoverService.execute(entries, failingPrimary);
+            await aiFailoverService.execute(entries, failingPrimary);
+
+            const attempt = jest.fn().mockResolvedValue('ok');
+            await aiFailoverService.execute(entries, attempt);
+
+            expect(attempt).toHaveBeenCalledTimes(1);
+            expect(attempt.mock.calls[0][0].key).toBe('openrouter:openai/gpt-4o-mini');
+
+            const health = aiFailoverService.getHealth();
+            expect(health.primaryDegraded).toBe(true);
+            expect(health.providers[0]).toMatchObject({ role: 'primary', state: 'open', consecutiveFailures: 2 });
+            expect(health.providers[1]).toMatchObject({ role: 'fallback', state: 'closed' });
+        });
+
+        it('should throw an aggregate error when every provider fails', async () => {
+            const entries = aiFailoverService.getEntries({ ...config, AI_FAILOVER_CHAIN: 'mock' });
+            const attempt = jest.fn().mockRejectedValue(new Error('LLM call timeout after 10ms'));
+
+            const error = await aiFailoverService.execute(entries, attempt).catch(err => err);
+
+            expect(error.message).toContain('All AI providers failed');
+            expect(error.failures).toHaveLength(2);
+            expect(aiFailoverService.isFailoverError(error)).toBe(false);
+        });
+    });
+});
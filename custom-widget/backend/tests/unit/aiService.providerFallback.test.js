@@ -0,0 +1,43 @@
+/**
+ * Unit tests for AI service provider initialization - Flowise fallback when the primary cannot start
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+jest.mock('../../ai-providers', () => ({
+    ...jest.requireActual('../../ai-providers'),
+    createAIProvider: jest.fn(),
+    getAIProviderConfig: jest.fn()
+}));
+
+const { createAIProvider, getAIProviderConfig } = require('../../ai-providers');
+const aiService = require('../../src/services/aiService');
+const aiFailoverService = require('../../src/services/aiFailoverService');
+
+describe('AIService provider initialization', () => {
+    const flowiseProvider = { name: 'flowise' };
+
+    beforeEach(() => {
+        aiFailoverService.reset();
+        createAIProvider.mockImplementation((provider) => {
+            if (provider === 'flowise') return flowiseProvider;
+            throw new Error(`${provider} API key is missing`);
+        });
+    });
+
+    it('should fall back to Flowise when the primary provider fails to initialize and no failover chain is set', async () => {
+        getAIProviderConfig.mockResolvedValue({ AI_PROVIDER: 'openrouter', OPENROUTER_MODEL: 'google/gemini-2.5-flash' });
+
+        await expect(aiService.getAIProvider()).resolves.toBe(flowiseProvider);
+        expect(createAIProvider.mock.calls.map(([provider]) => provider)).toEqual(['openrouter', 'flowise']);
+    });
+
+    it('should leave the fallback to the failover chain when one is configured', async () => {
+        getAIProviderConfig.mockResolvedValue({
+            AI_PROVIDER: 'openrouter',
+            OPENROUTER_MODEL: 'google/gemini-2.5-flash',
+            AI_FAILOVER_CHAIN: 'openai_compatible'
+        });
+
+        await expect(aiService.getAIProvider()).resolves.toBeNull();
+        expect(createAIProvider.mock.calls.map(([provider]) => provider)).toEqual(['openrouter']);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for AnswerConfidenceService - the autopilot confidence guardrail
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+jest.mock('langfuse', () => ({ Langfuse: jest.fn() }));
+
+const { Document } = require('@langchain/core/documents');
+const answerConfidenceService = require('../../src/services/answerConfidenceService');
+
+const makeDocs = (...scores) => scores.map((score, i) => new Document({
+    pageContent: `Ištrauka ${i}`,
+    metadata: { source: `Šaltinis ${i}`, similarity_score: score }
+}));
+
+const guardrail = { minConfidence: 0.6, selfCheck: false };
+
+describe('AnswerConfidenceService', () => {
+    it('should use the best similarity among the context chunks', async () => {
+        const signals = answerConfidenceService.retrievalSignals(makeDocs(0.42, 0.81, undefined));
+
+        expect(signals).toEqual({ contextsUsed: 3, topSimilarity: 0.81 });
+        await expect(answerConfidenceService.assess(signals, guardrail)).resolves.toMatchObject({
+            score: 0.81,
+            passed: true,
+            threshold: 0.6
+        });
+    });
+
+    it('should fail answers generated without context or below the threshold', async () => {
+        const withoutContext = await answerConfidenceService.assess(answerConfidenceService.retrievalSignals([]), guardrail);
+        const weakMatch = await answerConfidenceService.assess(answerConfidenceService.retrievalSignals(makeDocs(0.35)), guardrail);
+
+        expect(withoutContext).toMatchObject({ score: 0, passed: false });
+        expect(weakMatch).toMatchObject({ score: 0.35, passed: false });
+    });
+
+    it('should not hold keyword-only matches it cannot judge', async () => {
+        const signals = answerConfidenceService.retrievalSignals(makeDocs(undefined));
+
+        await expect(answerConfidenceService.assess(signals, guardrail)).resolves.toMatchObject({ score: null, passed: true });
+    });
+
+    it('should let a low self-check rating outweigh a good retrieval match', async () => {
+        const llm = { invoke: jest.fn().mockResolvedValue({ content: 'Įvertinimas: 3' }) };
+        const signals = answerConfidenceService.retrievalSignals(makeDocs(0.9));
+
+        const confidence = await answerConfidenceService.assess(signals, { ...guardrail, selfCheck: true }, {
+            llm,
+            question: 'Kada dirbate?',
+            context: 'Darbo laikas I-V 8-17',
+            answer: 'Dirbame savaitgaliais'
+        });
+
+        expect(llm.invoke.mock.calls[0][0]).toContain('ATSAKYMAS:\nDirbame savaitgaliais');
+        expect(confidence).toMatchObject({ score: 0.3, passed: false, signals: { topSimilarity: 0.9, selfCheck: 0.3 } });
+    });
+
+    it('should fall back to the retrieval signal when the self-check fails', async () => {
+        const llm = { invoke: jest.fn().mockResolvedValue({ content: 'Nežinau' }) };
+        const signals = answerConfidenceService.retrievalSignals(makeDocs(0.7));
+
+        const confidence = await answerConfidenceService.assess(signals, { ...guardrail, selfCheck: true }, {
+            llm, question: 'q', context: 'c', answer: 'a'
+        });
+
+        expect(confidence).toMatchObject({ score: 0.7, passed: true, signals: { selfCheck: null } });
+        expect(confidence.signals.selfCheckError).toContain('invalid rating');
+    });
+});
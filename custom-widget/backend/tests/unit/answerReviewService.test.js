@@ -0,0 +1,129 @@
+/**
+ * Unit tests for AnswerReviewService - edit ratio, review queue and Q&A ingestion
+ */
+const mockPrisma = {
+    message_statistics: {
+        count: jest.fn(),
+        findMany: jest.fn(),
+        findUnique: jest.fn(),
+        update: jest.fn()
+    },
+    messages: { findMany: jest.fn() }
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../src/services/documentIngestService', () => ({ ingestDocument: jest.fn() }));
+
+const DocumentIngestService = require('../../src/services/documentIngestService');
+const answerReviewService = require('../../src/services/answerReviewService');
+
+const answeredAt = new Date('2025-11-10T10:05:00Z');
+
+const record = (overrides = {}) => ({
+    id: 'stat1',
+    message_id: 'msg1',
+    ticket_id: 'conv1',
+    suggestion_action: 'edited',
+    suggestion_edit_ratio: 0.6,
+    original_suggestion: 'Kreipkitės į seniūniją.',
+    review_status: null,
+    message: { content: 'Leidimą galite gauti per e. paslaugas.', metadata: null, created_at: answeredAt },
+    agent: { first_name: 'Ona', last_name: 'Onaitė' },
+    ...overrides
+});
+
+describe('AnswerReviewService', () => {
+    beforeEach(() => {
+        // Newest first: the customer asked in two messages after an earlier agent reply
+        mockPrisma.messages.findMany.mockResolvedValue([
+            { senderType: 'user', content: 'Kaip gauti leidimą?', metadata: null },
+            {
+                senderType: 'user',
+                content: 'Where do I get a parking permit?',
+                metadata: { translation: { direction: 'inbound', translated: 'Kur gauti parkavimo leidimą?' } }
+            },
+            { senderType: 'agent', content: 'Laba diena', metadata: null },
+            { senderType: 'user', content: 'Sveiki', metadata: null }
+        ]);
+    });
+
+    it('should measure how much of a suggestion the agent changed', () => {
+        expect(answerReviewService.editRatio('Galite sumokėti internetu.', 'Galite sumokėti internetu.')).toBe(0);
+        expect(answerReviewService.editRatio('Galite sumokėti internetu.', 'Galite sumokėti seniūnijoje.')).toBe(0.333);
+        expect(answerReviewService.editRatio('Kreipkitės į seniūniją.', 'Leidimą galite gauti per e. paslaugas.')).toBe(1);
+        expect(answerReviewService.editRatio('', '')).toBe(0);
+    });
+
+    it('should queue heavily edited and from-scratch answers with their customer question', async () => {
+        mockPrisma.message_statistics.count.mockResolvedValue(1);
+        mockPrisma.message_statistics.findMany.mockResolvedValue([record()]);
+
+        const queue = await answerReviewService.getReviewQueue({ minEditRatio: 0.5 });
+
+        const { where } = mockPrisma.message_statistics.findMany.mock.calls[0][0];
+        expect(where.review_status).toBeNull();
+        expect(where.OR).toEqual([
+            { suggestion_action: 'from_scratch' },
+            { suggestion_action: 'edited', suggestion_edit_ratio: { gte: 0.5 } }
+        ]);
+        expect(queue).toEqual({
+            total: 1,
+            minEditRatio: 0.5,
+            items: [{
+                id: 'stat1',
+                messageId: 'msg1',
+                conversationId: 'conv1',
+                agent: 'Ona Onaitė',
+                suggestionAction: 'edited',
+                editRatio: 0.6,
+                question: 'Kur gauti parkavimo leidimą?\nKaip gauti leidimą?',
+                answer: 'Leidimą galite gauti per e. paslaugas.',
+                originalSuggestion: 'Kreipkitės į seniūniją.',
+                answeredAt
+            }]
+        });
+    });
+
+    it('should ingest an approved answer as a Q&A document tagged with its origin', async () => {
+        mockPrisma.message_statistics.findUnique.mockResolvedValue(record());
+        DocumentIngestService.ingestDocument.mockResolvedValue({ success: true, status: 'indexed', documentId: 'doc1', title: 'Q&A' });
+
+        const result = await answerReviewService.approve('stat1', 'admin1');
+
+        expect(DocumentIngestService.ingestDocument).toHaveBeenCalledWith({
+            body: 'Klausimas: Kur gauti parkavimo leidimą?\nKaip gauti leidimą?\n\nAtsakymas: Leidimą galite gauti per e. paslaugas.',
+            title: 'Q&A: Kur gauti parkavimo leidimą?',
+            sourceType: 'agent_correction',
+            metadata: {
+                origin: 'agent_correction',
+                messageId: 'msg1',
+                conversationId: 'conv1',
+                suggestionAction: 'edited',
+                approvedBy: 'admin1'
+            }
+        });
+        expect(mockPrisma.message_statistics.update).toHaveBeenCalledWith({
+            where: { id: 'stat1' },
+            data: expect.objectContaining({ review_status: 'approved', reviewed_by: 'admin1', knowledge_document_id: 'doc1' })
+        });
+        expect(result).toEqual({ documentId: 'doc1', status: 'indexed', title: 'Q&A' });
+    });
+
+    it('should keep the answer in the queue when ingestion fails', async () => {
+        mockPrisma.message_statistics.findUnique.mockResolvedValue(record());
+        DocumentIngestService.ingestDocument.mockResolvedValue({ success: false, status: 'failed', error: 'Chroma down' });
+
+        await expect(answerReviewService.approve('stat1', 'admin1')).rejects.toMatchObject({ statusCode: 502 });
+        expect(mockPrisma.message_statistics.update).not.toHaveBeenCalled();
+    });
+
+    it('should not review an answer twice', async () => {
+        mockPrisma.message_statistics.findUnique.mockResolvedValue(record({ review_status: 'dismissed' }));
+
+        await expect(answerReviewService.approve('stat1', 'admin1')).rejects.toMatchObject({ statusCode: 409 });
+        await expect(answerReviewService.dismiss('stat1', 'admin1')).rejects.toMatchObject({ statusCode: 409 });
+
+        mockPrisma.message_statistics.findUnique.mockResolvedValue(null);
+        await expect(answerReviewService.dismiss('missing', 'admin1')).rejects.toMatchObject({ statusCode: 404 });
+        expect(DocumentIngestService.ingestDocument).not.toHaveBeenCalled();
+    });
+});
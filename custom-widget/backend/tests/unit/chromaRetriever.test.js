@@ -0,0 +1,82 @@
+/**
+ * Unit tests for hybrid retrieval in ChromaRetriever
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+jest.mock('../../src/services/knowledgeService', () => ({
+    searchContext: jest.fn(),
+    keywordSearch: jest.fn()
+}));
+
+const knowledgeService = require('../../src/services/knowledgeService');
+const ChromaRetriever = require('../../src/services/chains/ChromaRetriever');
+
+const chunk = (id, extra = {}) => ({
+    id,
+    content: `Turinys ${id}`,
+    metadata: { source_document_name: `Dokumentas ${id}` },
+    ...extra
+});
+
+describe('ChromaRetriever hybrid retrieval', () => {
+    beforeEach(() => {
+        knowledgeService.searchContext.mockResolvedValue([
+            chunk('a', { distance: 0.1 }),
+            chunk('b', { distance: 0.2 }),
+            chunk('c', { distance: 0.3 })
+        ]);
+        knowledgeService.keywordSearch.mockResolvedValue([
+            chunk('c', { score: 7.5 }),
+            chunk('d', { score: 3.1 })
+        ]);
+    });
+
+    it('should fuse vector and keyword rankings and record which retriever found each document', async () => {
+        const retriever = new ChromaRetriever({ k: 4 });
+
+        const docs = await retriever._getRelevantDocuments('FR-0512');
+
+        expect(docs.map(doc => doc.metadata.chroma_id)).toEqual(['c', 'a', 'b', 'd']);
+        expect(docs[0].metadata).toMatchObject({
+            retrieval_sources: ['vector', 'keyword'],
+            vector_rank: 2,
+            keyword_rank: 0,
+            keyword_score: 7.5,
+            chroma_distance: 0.3
+        });
+        expect(docs[3].metadata.retrieval_sources).toEqual(['keyword']);
+        expect(docs[3].metadata.similarity_score).toBeUndefined();
+        expect(retriever.lastRetrieval).toEqual({
+            vectorWeight: 1,
+            keywordWeight: 1,
+            vectorResults: 3,
+            keywordResults: 2,
+            fusedResults: 4
+        });
+    });
+
+    it('should skip keyword search when its weight is 0', async () => {
+        const retriever = new ChromaRetriever({ k: 3, keywordWeight: 0 });
+
+        const docs = await retriever._getRelevantDocuments('darbo laikas');
+
+        expect(knowledgeService.keywordSearch).not.toHaveBeenCalled();
+        expect(docs.map(doc => doc.metadata.chroma_id)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should let a higher keyword weight promote exact matches', async () => {
+        const retriever = new ChromaRetriever({ k: 2, keywordWeight: 3 });
+
+        const docs = await retriever._getRelevantDocuments('FR-0512');
+
+        expect(docs.map(doc => doc.metadata.chroma_id)).toEqual(['c', 'd']);
+    });
+
+    it('should fall back to vector results when keyword search fails', async () => {
+        knowledgeService.keywordSearch.mockRejectedValue(new Error('index unavailable'));
+        const retriever = new ChromaRetriever({ k: 3 });
+
+        const docs = await retriever._getRelevantDocuments('darbo laikas');
+
+        expect(docs.map(doc => doc.metadata.retrieval_sources)).toEqual([['vector'], ['vector'], ['vector']]);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for the Circuit Breaker utility
+ */
+const CircuitBreaker = require('../../src/utils/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+    let now;
+    let breaker;
+
+    beforeEach(() => {
+        now = 1000;
+        breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 5000, now: () => now });
+    });
+
+    it('should open after the failure threshold is reached', () => {
+        expect(breaker.recordFailure(new Error('503'))).toBe(false);
+        expect(breaker.canRequest()).toBe(true);
+
+        expect(breaker.recordFailure(new Error('503'))).toBe(true);
+        expect(breaker.canRequest()).toBe(false);
+        expect(breaker.getState()).toMatchObject({
+            state: 'open',
+            consecutiveFailures: 2,
+            lastFailure: { message: '503' }
+        });
+    });
+
+    it('should reset the failure count on success', () => {
+        breaker.recordFailure(new Error('timeout'));
+        breaker.recordSuccess();
+        breaker.recordFailure(new Error('timeout'));
+
+        expect(breaker.getState().state).toBe('closed');
+        expect(breaker.canRequest()).toBe(true);
+    });
+
+    it('should allow a single trial request after the cooldown', () => {
+        breaker.recordFailure(new Error('503'));
+        breaker.recordFailure(new Error('503'));
+
+        now += 5000;
+        expect(breaker.canRequest()).toBe(true);
+        expect(breaker.getState().state).toBe('half_open');
+        expect(breaker.canRequest()).toBe(false);
+
+        breaker.recordSuccess();
+        expect(breaker.getState().state).toBe('closed');
+    });
+
+    it('should reopen immediately when the trial request fails', () => {
+        breaker.recordFailure(new Error('503'));
+        breaker.recordFailure(new Error('503'));
+        now += 5000;
+        breaker.canRequest();
+
+        expect(breaker.recordFailure(new Error('still down'))).toBe(true);
+        expect(breaker.canRequest()).toBe(false);
+        expect(breaker.getState().retryAt).toBe(new Date(now + 5000).toISOString());
+    });
+
+    it('should let a released trial be retried', () => {
+        breaker.recordFailure(new Error('503'));
+        breaker.recordFailure(new Error('503'));
+        now += 5000;
+        breaker.canRequest();
+
+        breaker.release();
+
+        expect(breaker.canRequest()).toBe(true);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for CitationService - structured source citations on AI answers
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+
+const { Document } = require('@langchain/core/documents');
+const citationService = require('../../src/services/citationService');
+
+const makeDoc = (source, sourceUrl) => new Document({
+    pageContent: 'Ištrauka',
+    metadata: { source, source_url: sourceUrl }
+});
+
+describe('CitationService', () => {
+    it('should cite each source document once, in context order', () => {
+        const citations = citationService.buildCitations([
+            makeDoc('Darbo laikas', 'https://vilnius.lt/darbo-laikas'),
+            makeDoc('Darbo laikas', 'https://vilnius.lt/darbo-laikas'),
+            makeDoc('Mokesčiai.pdf', undefined)
+        ]);
+
+        expect(citations).toEqual([
+            { index: 1, title: 'Darbo laikas', url: 'https://vilnius.lt/darbo-laikas' },
+            { index: 2, title: 'Mokesčiai.pdf', url: null }
+        ]);
+    });
+
+    it('should drop URLs that are not http(s)', () => {
+        const citations = citationService.buildCitations([
+            makeDoc('Kenkėjiška nuoroda', 'javascript:alert(1)'),
+            makeDoc(undefined, 'not a url')
+        ]);
+
+        expect(citations).toEqual([{ index: 1, title: 'Kenkėjiška nuoroda', url: null }]);
+    });
+
+    it('should return no citations for a channel that has them turned off', async () => {
+        const getSetting = jest.fn(async (key) => key !== 'citations_widget_enabled');
+        jest.spyOn(citationService, 'getSettingsService').mockReturnValue({ getSetting });
+        const citations = [{ index: 1, title: 'Darbo laikas', url: null }];
+
+        await expect(citationService.forChannel('widget', citations)).resolves.toEqual([]);
+        await expect(citationService.forChannel('agent', citations)).resolves.toEqual(citations);
+        expect(getSetting).toHaveBeenCalledWith('citations_agent_enabled', 'ai');
+    });
+});
@@ -0,0 +1,274 @@
+/**
+ * Unit tests for Conversation Controller AI streaming (autopilot answers and HITL suggestions)
+ * the autopilot confidence guardrail and source citations
+ */
+const ConversationController = require('../../src/controllers/conversationController');
+const conversationService = require('../../src/services/conversationService');
+const aiService = require('../../src/services/aiService');
+const agentService = require('../../src/services/agentService');
+const suggestionStreamService = require('../../src/services/suggestionStreamService');
+const answerConfidenceService = require('../../src/services/answerConfidenceService');
+const citationService = require('../../src/services/citationService');
+
+// Mock services
+jest.mock('../../src/services/conversationService');
+jest.mock('../../src/services/aiService');
+jest.mock('../../src/services/agentService');
+
+describe('ConversationController - Autopilot Streaming', () => {
+    let controller;
+    let mockIo;
+    let roomEmit;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        roomEmit = jest.fn();
+        mockIo = {
+            emit: jest.fn(),
+            to: jest.fn().mockReturnValue({ emit: roomEmit })
+        };
+        controller = new ConversationController(mockIo);
+
+        conversationService.getMessages.mockResolvedValue([
+            { id: 'm1', sender: 'visitor', content: 'Labas', timestamp: new Date() }
+        ]);
+        conversationService.addMessage.mockResolvedValue({});
+    });
+
+    it('should push streamed tokens to the conversation room', async () => {
+        aiService.generateAISuggestion.mockImplementation(async (id, context, enableRAG, options) => {
+            options.onToken('Sveiki', 'Sveiki');
+            options.onToken('!', 'Sveiki!');
+            return { response: 'Sveiki!', metadata: { provider: 'openrouter' }, debugInfo: { step: 1 } };
+        });
+
+        const aiMessage = await controller.processAutopilotModeMessage('conv1', 1, true);
+
+        expect(mockIo.to).toHaveBeenCalledWith('conv1');
+        expect(roomEmit).toHaveBeenCalledWith('ai-response-chunk', {
+            conversationId: 'conv1',
+            messageId: aiMessage.id,
+            delta: 'Sveiki'
+        });
+        expect(roomEmit).toHaveBeenCalledWith('ai-response-chunk', {
+            conversationId: 'conv1',
+            messageId: aiMessage.id,
+            delta: '!'
+        });
+    });
+
+    it('should emit the persisted message once generation completes', async () => {
+        aiService.generateAISuggestion.mockResolvedValue({
+            response: 'Sveiki!',
+            metadata: { provider: 'openrouter' },
+            debugInfo: { step: 1 }
+        });
+
+        const aiMessage = await controller.processAutopilotModeMessage('conv1', 1, true);
+
+        expect(conversationService.addMessage).toHaveBeenCalledWith('conv1', aiMessage);
+        const completeCall = roomEmit.mock.calls.find(([event]) => event === 'ai-response-complete');
+        expect(completeCall).toBeDefined();
+        expect(completeCall[1].message).toMatchObject({
+            id: aiMessage.id,
+            content: 'Sveiki!',
+            sender: 'agent',
+            metadata: { isAutopilotResponse: true, displayDisclaimer: true }
+        });
+        // Debug info is not broadcast to the customer room
+        expect(completeCall[1].message.metadata.debugInfo).toBeUndefined();
+    });
+
+    it('should still return the message for the HTTP response', async () => {
+        aiService.generateAISuggestion.mockResolvedValue({ response: 'Atsakymas', metadata: null });
+
+        const aiMessage = await controller.processAutopilotModeMessage('conv1', 2, true);
+
+        expect(aiMessage.content).toBe('Atsakymas');
+        expect(aiMessage.metadata.isAutopilotResponse).toBe(true);
+        expect(aiMessage.metadata.messageCount).toBe(2);
+    });
+
+    it('should attach widget citations to the answer and its broadcast', async () => {
+        const citations = [{ index: 1, title: 'Darbo laikas', url: 'https://vilnius.lt/darbo-laikas' }];
+        const forChannel = jest.spyOn(citationService, 'forChannel').mockResolvedValue(citations);
+        aiService.generateAISuggestion.mockResolvedValue({ response: 'Dirbame I-V 8-17', citations });
+
+        const aiMessage = await controller.processAutopilotModeMessage('conv1', 1, true);
+
+        expect(forChannel).toHaveBeenCalledWith('widget', citations);
+        expect(aiMessage.metadata.citations).toEqual(citations);
+        const completeCall = roomEmit.mock.calls.find(([event]) => event === 'ai-response-complete');
+        expect(completeCall[1].message.metadata.citations).toEqual(citations);
+    });
+
+    it('should work without a Socket.IO instance', async () => {
+        controller = new ConversationController(null);
+        aiService.generateAISuggestion.mockResolvedValue({ response: 'Atsakymas' });
+
+        const aiMessage = await controller.processAutopilotModeMessage('conv1', 1, true);
+
+        const options = aiService.generateAISuggestion.mock.calls[0][3];
+        expect(options.onToken).toBeUndefined();
+        expect(aiMessage.content).toBe('Atsakymas');
+    });
+});
+
+describe('ConversationController - HITL Suggestion Streaming', () => {
+    let controller;
+    let mockIo;
+    let roomEmit;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        suggestionStreamService.activeStreams.clear();
+
+        roomEmit = jest.fn();
+        mockIo = {
+            emit: jest.fn(),
+            to: jest.fn().mockReturnValue({ emit: roomEmit })
+        };
+        controller = new ConversationController(mockIo);
+
+        conversationService.getMessages.mockResolvedValue([
+            { id: 'm1', sender: 'visitor', content: 'Kiek kainuoja?', timestamp: new Date() }
+        ]);
+        conversationService.addMessage.mockResolvedValue({});
+    });
+
+    it('should stream the suggestion to the assigned agent and still store it as pending', async () => {
+        conversationService.getConversation.mockResolvedValue({ id: 'conv1', assignedAgent: 'agent1' });
+        aiService.generateAISuggestion.mockImplementation(async (id, context, enableRAG, options) => {
+            options.onToken('Kaina', 'Kaina');
+            return { response: 'Kaina 10 EUR', metadata: { provider: 'openrouter' } };
+        });
+
+        const aiMessage = await controller.processHitlModeMessage('conv1', 1, 'Kiek kainuoja?', true);
+
+        expect(mockIo.to).toHaveBeenCalledWith('agent:agent1');
+        expect(roomEmit).toHaveBeenCalledWith('ai-suggestion-chunk', { conversationId: 'conv1', delta: 'Kaina' });
+        expect(roomEmit).toHaveBeenCalledWith('ai-suggestion-complete', expect.objectContaining({
+            conversationId: 'conv1',
+            messageId: aiMessage.id,
+            suggestion: 'Kaina 10 EUR',
+            cancelled: false
+        }));
+        expect(aiMessage.metadata.pendingAgent).toBe(true);
+        expect(aiMessage.metadata.aiSuggestion.response).toBe('Kaina 10 EUR');
+        expect(conversationService.addMessage).toHaveBeenCalledWith('conv1', aiMessage);
+    });
+
+    it('should not stream when no agent is available', async () => {
+        conversationService.getConversation.mockResolvedValue({ id: 'conv1', assignedAgent: null });
+        agentService.getBestAvailableAgent.mockResolvedValue(null);
+        aiService.generateAISuggestion.mockResolvedValue({ response: 'Kaina 10 EUR' });
+
+        const aiMessage = await controller.processHitlModeMessage('conv1', 1, 'Kiek kainuoja?', true);
+
+        expect(aiService.generateAISuggestion.mock.calls[0][3]).toEqual({});
+        expect(roomEmit).not.toHaveBeenCalled();
+        expect(aiMessage.metadata.needsManualAssignment).toBe(true);
+    });
+
+    it('should return an empty cancelled response when manual generation is stopped early', async () => {
+        const mockReq = { params: { conversationId: 'session-abc123' }, user: { id: 'agent1' } };
+        const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        aiService.generateAISuggestion.mockResolvedValue({ response: '', metadata: { cancelled: true } });
+
+        await controller.generateAISuggestion(mockReq, mockRes);
+
+        expect(mockRes.json).toHaveBeenCalledWith({ suggestion: '', cancelled: true });
+        expect(conversationService.addMessage).not.toHaveBeenCalled();
+        expect(roomEmit).toHaveBeenCalledWith('ai-suggestion-complete', expect.objectContaining({
+            conversationId: 'session-abc123',
+            suggestion: ''
+        }));
+    });
+});
+
+describe('ConversationController - Autopilot Confidence Guardrail', () => {
+    let controller;
+    let mockIo;
+    let roomEmit;
+
+    const guardrail = {
+        enabled: true,
+        minConfidence: 0.6,
+        selfCheck: false,
+        escalationMessage: 'Jungiame jus su specialistu.'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        roomEmit = jest.fn();
+        mockIo = {
+            emit: jest.fn(),
+            to: jest.fn().mockReturnValue({ emit: roomEmit })
+        };
+        controller = new ConversationController(mockIo);
+
+        jest.spyOn(answerConfidenceService, 'getGuardrailSettings').mockResolvedValue(guardrail);
+        conversationService.getMessages.mockResolvedValue([
+            { id: 'm1', sender: 'visitor', content: 'Ar galiu gauti kompensaciją?', timestamp: new Date() }
+        ]);
+        conversationService.addMessage.mockResolvedValue({});
+        conversationService.getConversation.mockResolvedValue({ id: 'conv1', assignedAgent: null });
+        agentService.getBestAvailableAgent.mockResolvedValue({ id: 'agent1' });
+    });
+
+    it('should pass the guardrail settings to the AI service', async () => {
+        aiService.generateAISuggestion.mockResolvedValue({
+            response: 'Taip, kompensacija skiriama.',
+            confidence: { score: 0.82, passed: true, threshold: 0.6 }
+        });
+
+        const aiMessage = await controller.processAutopilotModeMessage('conv1', 1, true, 'Ar galiu gauti kompensaciją?');
+
+        expect(aiService.generateAISuggestion.mock.calls[0][3].guardrail).toBe(guardrail);
+        expect(aiMessage).toMatchObject({ sender: 'agent', content: 'Taip, kompensacija skiriama.', metadata: { confidence: 0.82 } });
+    });
+
+    it('should hold a low-confidence answer and hand the conversation to an agent', async () => {
+        const aiSuggestion = {
+            response: 'Nežinau.',
+            confidence: { score: 0.31, passed: false, threshold: 0.6 }
+        };
+        aiService.generateAISuggestion.mockResolvedValue(aiSuggestion);
+
+        const notice = await controller.processAutopilotModeMessage('conv1', 1, true, 'Ar galiu gauti kompensaciją?');
+
+        expect(notice).toMatchObject({
+            sender: 'system',
+            content: 'Jungiame jus su specialistu.',
+            metadata: { messageType: 'escalation_notice', escalation: { reason: 'low_confidence', score: 0.31, threshold: 0.6 } }
+        });
+        expect(conversationService.assignConversation).toHaveBeenCalledWith('conv1', 'agent1');
+
+        const pending = conversationService.addMessage.mock.calls[1][1];
+        expect(pending.metadata).toMatchObject({
+            pendingAgent: true,
+            aiSuggestion,
+            escalatedFromAutopilot: true,
+            customerMessage: 'Ar galiu gauti kompensaciją?',
+            assignedAgent: 'agent1'
+        });
+
+        // The held answer never reaches the customer room
+        expect(roomEmit).not.toHaveBeenCalledWith('ai-response-complete', expect.anything());
+        expect(mockIo.to).toHaveBeenCalledWith('agents');
+        expect(roomEmit).toHaveBeenCalledWith('new-message', expect.objectContaining({ conversationId: 'conv1' }));
+    });
+
+    it('should recognise conversations already escalated to an agent', async () => {
+        await expect(controller.isEscalatedToAgent('conv1')).resolves.toBe(false);
+
+        conversationService.getMessages.mockResolvedValue([
+            { id: 'm1', sender: 'visitor', content: 'Labas' },
+            { id: 'm2', sender: 'system', content: 'Jungiame jus su specialistu.', metadata: { messageType: 'escalation_notice' } }
+        ]);
+
+        await expect(controller.isEscalatedToAgent('conv1')).resolves.toBe(true);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for Conversation Controller summary triggers (reassignment, end, archive)
+ */
+const ConversationController = require('../../src/controllers/conversationController');
+const conversationService = require('../../src/services/conversationService');
+const activityService = require('../../src/services/activityService');
+const conversationSummaryService = require('../../src/services/conversationSummaryService');
+
+// Mock services
+jest.mock('../../src/services/conversationService');
+jest.mock('../../src/services/activityService');
+
+describe('ConversationController - Conversation Summaries', () => {
+    let controller;
+    let mockRes;
+    let scheduleSummary;
+
+    const conversationId = '123e4567-e89b-12d3-a456-426614174000';
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        controller = new ConversationController({ emit: jest.fn() });
+        mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        scheduleSummary = jest.spyOn(conversationSummaryService, 'scheduleSummary').mockImplementation(() => {});
+    });
+
+    it('should summarize when a conversation moves to another agent', async () => {
+        conversationService.getConversation.mockResolvedValue({ id: conversationId, assignedAgent: 'agent1' });
+
+        await controller.assignConversation({ params: { conversationId }, body: { agentId: 'agent2' } }, mockRes);
+        await controller.assignConversation({ params: { conversationId }, body: { agentId: 'agent1' } }, mockRes);
+
+        expect(scheduleSummary).toHaveBeenCalledTimes(1);
+        expect(scheduleSummary).toHaveBeenCalledWith(conversationId, 'reassign');
+    });
+
+    it('should not summarize the first assignment', async () => {
+        conversationService.getConversation.mockResolvedValue({ id: conversationId, assignedAgent: null });
+
+        await controller.assignConversation({ params: { conversationId }, body: { agentId: 'agent1' } }, mockRes);
+
+        expect(scheduleSummary).not.toHaveBeenCalled();
+    });
+
+    it('should summarize ended and bulk-archived conversations', async () => {
+        conversationService.getConversation.mockResolvedValue({ id: conversationId, assignedAgent: 'agent1' });
+        conversationService.bulkArchiveConversations.mockResolvedValue({ count: 2 });
+
+        await controller.endConversation({ params: { conversationId }, body: { agentId: 'agent1' } }, mockRes);
+        await controller.bulkArchiveConversations({
+            body: { conversationIds: ['conv1', 'conv2'] },
+            user: { id: 'admin1' },
+            get: jest.fn()
+        }, mockRes);
+
+        expect(scheduleSummary.mock.calls).toEqual([
+            [conversationId, 'end'],
+            ['conv1', 'archive'],
+            ['conv2', 'archive']
+        ]);
+    });
+
+    it('should return the stored summary with the conversation messages', async () => {
+        const summary = { text: 'Problema: Leidimas', issue: 'Leidimas', trigger: 'archive' };
+        conversationService.getMessages.mockResolvedValue([]);
+        conversationService.getConversationSummary.mockResolvedValue(summary);
+
+        await controller.getMessages({ params: { conversationId } }, mockRes);
+
+        expect(mockRes.json).toHaveBeenCalledWith({ conversationId, messages: [], summary });
+    });
+});
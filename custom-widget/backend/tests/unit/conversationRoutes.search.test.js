@@ -0,0 +1,50 @@
+/**
+ * Unit tests for the conversation list route - searching subjects and AI summaries
+ */
+const request = require('supertest');
+const express = require('express');
+
+const mockPrisma = { tickets: { findMany: jest.fn() } };
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+
+const createConversationRoutes = require('../../src/routes/conversationRoutes');
+
+describe('GET /api/admin/conversations', () => {
+    let app;
+
+    beforeEach(() => {
+        app = express();
+        app.use('/api', createConversationRoutes({ emit: jest.fn(), to: jest.fn(() => ({ emit: jest.fn() })) }));
+        mockPrisma.tickets.findMany.mockResolvedValue([{
+            id: 'conv1',
+            ticket_number: 'T-1',
+            subject: 'Leidimas parkuotis',
+            summary: 'Problema: Klientas nori pratęsti leidimą parkuotis',
+            created_at: new Date('2025-11-20T10:00:00Z'),
+            messages: [],
+            _count: { messages: 3 }
+        }]);
+    });
+
+    it('should filter conversations by subject or AI summary', async () => {
+        const response = await request(app).get('/api/admin/conversations?search=%20pratęsti%20');
+
+        expect(response.status).toBe(200);
+        expect(mockPrisma.tickets.findMany.mock.calls[0][0].where).toEqual({
+            OR: [
+                { subject: { contains: 'pratęsti', mode: 'insensitive' } },
+                { summary: { contains: 'pratęsti', mode: 'insensitive' } }
+            ]
+        });
+        expect(response.body).toMatchObject({
+            total: 1,
+            conversations: [{ id: 'conv1', summary: 'Problema: Klientas nori pratęsti leidimą parkuotis' }]
+        });
+    });
+
+    it('should list every conversation without a search', async () => {
+        await request(app).get('/api/admin/conversations');
+
+        expect(mockPrisma.tickets.findMany.mock.calls[0][0].where).toBeUndefined();
+    });
+});
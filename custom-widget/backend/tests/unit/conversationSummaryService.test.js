@@ -0,0 +1,129 @@
+/**
+ * Unit tests for ConversationSummaryService - handoff and archive summaries
+ */
+const mockPrisma = { llm_usage: { create: jest.fn() } };
+const mockCreateCompletion = jest.fn();
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../src/services/conversationService');
+jest.mock('openai', () => jest.fn(() => ({ chat: { completions: { create: mockCreateCompletion } } })));
+jest.mock('../../ai-providers', () => ({
+    ...jest.requireActual('../../ai-providers'),
+    getAIProviderConfig: jest.fn(),
+    resolveChatModelConfig: jest.fn()
+}));
+
+const { getAIProviderConfig, resolveChatModelConfig } = require('../../ai-providers');
+const conversationService = require('../../src/services/conversationService');
+const conversationSummaryService = require('../../src/services/conversationSummaryService');
+const llmUsageService = require('../../src/services/llmUsageService');
+
+const messages = [
+    { id: 'm1', sender: 'visitor', content: 'Kaip pratęsti leidimą parkuotis?' },
+    { id: 'm2', sender: 'system', content: '[Message pending agent response - AI suggestion available]' },
+    { id: 'm3', sender: 'agent', content: 'Leidimą galite pratęsti savitarnoje.' },
+    { id: 'm4', sender: 'visitor', content: 'O kiek tai kainuoja?' }
+];
+
+describe('ConversationSummaryService', () => {
+    let settings;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        settings = { conversation_summaries_enabled: true };
+        conversationSummaryService.settingsService = { getSetting: jest.fn((key) => Promise.resolve(settings[key])) };
+        conversationService.getMessages.mockResolvedValue(messages);
+        conversationService.getConversationSummary.mockResolvedValue(null);
+        conversationService.updateConversationSummary.mockResolvedValue({});
+    });
+
+    it('should parse the model answer and drop empty open questions', () => {
+        const summary = conversationSummaryService.parseSummary('```json\n{"issue": " Leidimo pratęsimas ", "resolution": "Nurodyta savitarna", "openQuestions": ["Kaina", " ", 3]}\n```');
+
+        expect(summary).toEqual({
+            issue: 'Leidimo pratęsimas',
+            resolution: 'Nurodyta savitarna',
+            openQuestions: ['Kaina']
+        });
+        expect(() => conversationSummaryService.parseSummary('{"resolution": "x"}')).toThrow('no issue');
+    });
+
+    it('should summarize customer and agent messages and store the summary on the ticket', async () => {
+        const callAISummary = jest.spyOn(conversationSummaryService, 'callAISummary').mockResolvedValue({
+            issue: 'Klientas nori pratęsti leidimą parkuotis',
+            resolution: 'Nurodyta savitarna',
+            openQuestions: ['Pratęsimo kaina'],
+            model: 'test-model'
+        });
+
+        const result = await conversationSummaryService.summarizeConversation('conv1', 'archive');
+
+        expect(callAISummary.mock.calls[0][0].map(msg => msg.id)).toEqual(['m1', 'm3', 'm4']);
+        expect(conversationService.updateConversationSummary).toHaveBeenCalledWith(
+            'conv1',
+            'Problema: Klientas nori pratęsti leidimą parkuotis\nSprendimas: Nurodyta savitarna\nAtviri klausimai: Pratęsimo kaina',
+            expect.objectContaining({ trigger: 'archive', messageCount: 3, openQuestions: ['Pratęsimo kaina'], model: 'test-model' })
+        );
+        expect(result.success).toBe(true);
+    });
+
+    it('should skip conversations with an up-to-date summary or no customer messages', async () => {
+        const callAISummary = jest.spyOn(conversationSummaryService, 'callAISummary');
+
+        conversationService.getConversationSummary.mockResolvedValue({ text: 'Problema: ...', messageCount: 3 });
+        await expect(conversationSummaryService.summarizeConversation('conv1', 'end'))
+            .resolves.toMatchObject({ skipped: true, reason: 'Summary is up to date' });
+
+        conversationService.getMessages.mockResolvedValue([{ id: 'm1', sender: 'agent', content: 'Sveiki' }]);
+        await expect(conversationSummaryService.summarizeConversation('conv1', 'end'))
+            .resolves.toMatchObject({ skipped: true, reason: 'No customer messages' });
+
+        expect(callAISummary).not.toHaveBeenCalled();
+    });
+
+    it('should skip summaries when the AI setting switches them off', async () => {
+        const callAISummary = jest.spyOn(conversationSummaryService, 'callAISummary');
+        settings.conversation_summaries_enabled = false;
+
+        await expect(conversationSummaryService.summarizeConversation('conv1', 'archive'))
+            .resolves.toMatchObject({ skipped: true, reason: 'Summaries disabled' });
+        expect(conversationSummaryService.settingsService.getSetting).toHaveBeenCalledWith('conversation_summaries_enabled', 'ai');
+        expect(callAISummary).not.toHaveBeenCalled();
+    });
+
+    it('should summarize in the background without surfacing failures', async () => {
+        const summarize = jest.spyOn(conversationSummaryService, 'summarizeConversation').mockRejectedValue(new Error('timeout'));
+
+        expect(() => conversationSummaryService.scheduleSummary('conv1', 'reassign')).not.toThrow();
+        conversationSummaryService.scheduleSummary('conv1', 'unknown');
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(summarize).toHaveBeenCalledTimes(1);
+        expect(summarize).toHaveBeenCalledWith('conv1', 'reassign');
+    });
+
+    it('should record the token usage of the summary call', async () => {
+        getAIProviderConfig.mockResolvedValue({});
+        resolveChatModelConfig.mockReturnValue({ provider: 'openrouter', rephrasingModel: 'google/gemini-2.5-flash-lite' });
+        mockCreateCompletion.mockResolvedValue({
+            model: 'google/gemini-2.5-flash-lite',
+            usage: { prompt_tokens: 420, completion_tokens: 60 },
+            choices: [{ message: { content: '{"issue": "Leidimo pratęsimas", "resolution": "", "openQuestions": ["Kaina"]}' } }]
+        });
+        jest.spyOn(llmUsageService, 'checkBudget').mockResolvedValue({});
+
+        const result = await conversationSummaryService.summarizeConversation('conv1', 'reassign');
+
+        expect(result.success).toBe(true);
+        expect(mockPrisma.llm_usage.create).toHaveBeenCalledWith({
+            data: {
+                feature: 'summary',
+                provider: 'openrouter',
+                model: 'google/gemini-2.5-flash-lite',
+                prompt_tokens: 420,
+                completion_tokens: 60,
+                latency_ms: expect.any(Number),
+                ticket_id: 'conv1'
+            }
+        });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for EmbeddingMigrationService - re-embedding into a new collection and the swap
+ */
+const mockSettings = {};
+jest.mock('../../src/services/settingsService', () => jest.fn().mockImplementation(() => ({
+    getSetting: jest.fn(async (key) => mockSettings[key]),
+    updateSetting: jest.fn(async (key, value) => { mockSettings[key] = value; })
+})));
+jest.mock('../../src/services/semanticCacheService', () => ({ invalidate: jest.fn() }));
+
+const mockStores = {};
+jest.mock('../../src/services/vectorStores', () => {
+    class MemoryStore {
+        constructor({ collectionName }) {
+            this.type = 'memory';
+            this.description = `memory (${collectionName})`;
+            this.collectionName = collectionName;
+            this.metadata = null;
+            this.chunks = new Map();
+            mockStores[collectionName] = this;
+        }
+        async connect() {}
+        async getCollectionMetadata() { return this.metadata; }
+        async openCollection(metadata) { this.metadata = this.metadata || metadata; }
+        async dropCollection() { delete mockStores[this.collectionName]; }
+        async upsert({ ids, documents, metadatas, embeddings }) {
+            ids.forEach((id, i) => this.chunks.set(id, { id, content: documents[i], metadata: metadatas[i], embedding: embeddings[i] }));
+        }
+        async query({ embedding, nResults }) {
+            return [...this.chunks.values()].slice(0, nResults).map(chunk => ({
+                ...chunk, distance: chunk.embedding.length === embedding.length ? 0.1 : 1
+            }));
+        }
+        async count() { return this.chunks.size; }
+        async get({ offset = 0, limit = 100 } = {}) {
+            return [...this.chunks.values()].sort((a, b) => a.id.localeCompare(b.id)).slice(offset, offset + limit);
+        }
+        async delete(ids) { ids.forEach(id => this.chunks.delete(id)); }
+        async clear() { this.chunks.clear(); }
+    }
+    return { createVectorStore: jest.fn((type, options) => new MemoryStore(options)) };
+});
+
+// Mistral embeds into 2 dimensions, the local model into 4
+jest.mock('../../src/services/embeddings', () => {
+    const actual = jest.requireActual('../../src/services/embeddings');
+    const dimensions = { mistral: 2, local: 4 };
+    return {
+        ...actual,
+        createEmbeddingProvider: jest.fn(({ provider = 'mistral', model }) => ({
+            provider,
+            getModel: () => model || actual.DEFAULT_MODELS[provider],
+            resolveDimension: async () => dimensions[provider],
+            generate: jest.fn(async (texts) => texts.map(() => new Array(dimensions[provider]).fill(0.5)))
+        }))
+    };
+});
+
+const chromaService = require('../../src/services/chromaService');
+const embeddingMigrationService = require('../../src/services/embeddingMigrationService');
+const semanticCacheService = require('../../src/services/semanticCacheService');
+
+describe('EmbeddingMigrationService', () => {
+    beforeEach(async () => {
+        Object.keys(mockSettings).forEach(key => delete mockSettings[key]);
+        Object.keys(mockStores).forEach(key => delete mockStores[key]);
+        mockSettings.active_vector_collection = 'kb-original';
+        embeddingMigrationService.status = { state: 'idle' };
+        chromaService.migration = null;
+
+        await chromaService.initialize();
+        await chromaService.addDocuments([
+            { id: 'c1', content: 'Darbo laikas I-V 8-17', metadata: { source: 'Kontaktai' } },
+            { id: 'c2', content: 'Prašymo forma FR-0512', metadata: {} }
+        ]);
+    });
+
+    it('should record the embedding model on a new collection', () => {
+        expect(mockStores['kb-original'].metadata).toMatchObject({
+            embedding_provider: 'mistral',
+            embedding_model: 'mistral-embed',
+            embedding_dimension: 2
+        });
+    });
+
+    it('should re-embed every chunk into a new collection and swap it in', async () => {
+        mockSettings.embedding_provider = 'local';
+
+        const status = await embeddingMigrationService.start('admin-1');
+
+        // Retrieval keeps serving the old collection until the copy completes
+        expect(status).toMatchObject({ state: 'running', fromCollection: 'kb-original', total: 2 });
+        expect(chromaService.collectionName).toBe('kb-original');
+        expect((await chromaService.searchContext('darbo laikas', 1))[0].embedding).toHaveLength(2);
+
+        await embeddingMigrationService.running;
+
+        const target = mockStores[status.toCollection];
+        expect(embeddingMigrationService.getStatus()).toMatchObject({ state: 'completed', processed: 2 });
+        expect(status.toCollection).toMatch(/^lizdeika-nomic-embed-text-4-/);
+        expect(target.metadata).toMatchObject({ embedding_provider: 'local', embedding_model: 'nomic-embed-text', embedding_dimension: 4 });
+        expect([...target.chunks.keys()]).toEqual(['c1', 'c2']);
+        expect(target.chunks.get('c1').embedding).toHaveLength(4);
+
+        expect(chromaService.collectionName).toBe(status.toCollection);
+        expect(chromaService.embedding).toMatchObject({ provider: 'local', dimension: 4 });
+        expect(mockSettings.active_vector_collection).toBe(status.toCollection);
+        expect(mockStores['kb-original'].chunks.size).toBe(2);
+        expect(semanticCacheService.invalidate).toHaveBeenCalledWith('embedding_model_changed');
+    });
+
+    it('should mirror chunks added and deleted during the migration into the new collection', async () => {
+        mockSettings.embedding_provider = 'local';
+
+        const status = await embeddingMigrationService.start('admin-1');
+        await chromaService.addDocuments([{ id: 'c3', content: 'Naujas dokumentas', metadata: {} }]);
+        await chromaService.deleteChunks(['c1']);
+        await embeddingMigrationService.running;
+
+        const target = mockStores[status.toCollection];
+        expect([...target.chunks.keys()].sort()).toEqual(['c2', 'c3']);
+        expect(target.chunks.get('c3').embedding).toHaveLength(4);
+    });
+
+    it('should keep the current collection and drop the target when re-embedding fails', async () => {
+        mockSettings.embedding_provider = 'local';
+        const { createEmbeddingProvider } = require('../../src/services/embeddings');
+        createEmbeddingProvider.mockImplementationOnce(() => ({
+            provider: 'local',
+            getModel: () => 'nomic-embed-text',
+            resolveDimension: async () => 4,
+            generate: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:11434'))
+        }));
+
+        const status = await embeddingMigrationService.start('admin-1');
+        await embeddingMigrationService.running;
+
+        expect(embeddingMigrationService.getStatus()).toMatchObject({
+            state: 'failed',
+            error: 'connect ECONNREFUSED 127.0.0.1:11434'
+        });
+        expect(mockStores[status.toCollection]).toBeUndefined();
+        expect(chromaService.collectionName).toBe('kb-original');
+        expect(chromaService.migration).toBeNull();
+        expect(mockSettings.active_vector_collection).toBe('kb-original');
+    });
+
+    it('should refuse to migrate to the embeddings already in use', async () => {
+        await expect(embeddingMigrationService.start('admin-1'))
+            .rejects.toMatchObject({ statusCode: 400, message: 'The knowledge base already uses mistral mistral-embed' });
+    });
+
+    it('should refuse a second migration while one is running', async () => {
+        mockSettings.embedding_provider = 'local';
+
+        await embeddingMigrationService.start('admin-1');
+
+        await expect(embeddingMigrationService.start('admin-1')).rejects.toMatchObject({ statusCode: 409 });
+        await embeddingMigrationService.running;
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit tests for FaqService - matching thresholds, validation, CSV import and cache invalidation
+ */
+const mockPrisma = {
+    faq_entries: {
+        findMany: jest.fn(),
+        findUnique: jest.fn(),
+        create: jest.fn(),
+        update: jest.fn(),
+        delete: jest.fn()
+    }
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+
+const faqService = require('../../src/services/faqService');
+const semanticCacheService = require('../../src/services/semanticCacheService');
+
+const FAQS = [
+    {
+        id: 'faq1',
+        question: 'Kaip deklaruoti gyvenamąją vietą?',
+        alternate_questions: ['Kur deklaruoti gyvenamąją vietą?'],
+        answer: 'Gyvenamąją vietą galite deklaruoti per e. valdžios vartus.',
+        tags: ['deklaravimas'],
+        enabled: true,
+        hits: 3
+    },
+    {
+        id: 'faq2',
+        question: 'Kada dirba seniūnija?',
+        alternate_questions: [],
+        answer: 'Seniūnija dirba I–V 8–17 val.',
+        tags: ['darbo laikas'],
+        enabled: true,
+        hits: 0
+    }
+];
+
+// Texts map to fixed vectors so similarity is known: the registration questions are close
+// to faq1 (0.95 and 0.85), anything else is orthogonal to every FAQ
+const VECTORS = {
+    'Kaip deklaruoti gyvenamąją vietą?': [1, 0, 0],
+    'Kur deklaruoti gyvenamąją vietą?': [1, 0, 0],
+    'Kada dirba seniūnija?': [0, 1, 0],
+    'Noriu užsiregistruoti naujame būste': [0.95, 0, 0.312],
+    'Kur registruotis persikėlus?': [0.85, 0, 0.527]
+};
+const fakeEmbedder = {
+    generate: jest.fn((texts) => Promise.resolve(texts.map(text => VECTORS[text] || [0, 0, 1])))
+};
+
+describe('FaqService', () => {
+    beforeEach(() => {
+        faqService.configure({ enabled: true, answerThreshold: 0.92, contextThreshold: 0.8 });
+        faqService.setEmbedder(fakeEmbedder);
+        fakeEmbedder.generate.mockImplementation((texts) => Promise.resolve(texts.map(text => VECTORS[text] || [0, 0, 1])));
+        mockPrisma.faq_entries.findMany.mockResolvedValue(FAQS);
+        mockPrisma.faq_entries.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+        mockPrisma.faq_entries.create.mockImplementation(({ data }) => Promise.resolve({ id: `new-${data.question}`, ...data }));
+        jest.spyOn(semanticCacheService, 'invalidate').mockImplementation(() => {});
+    });
+
+    it('should answer verbatim when the question matches a phrasing exactly after normalization', async () => {
+        const match = await faqService.match('kur  deklaruoti gyvenamaja vieta', 'Labas, kaip?');
+
+        expect(match).toMatchObject({ mode: 'answer', faq: { id: 'faq1' }, phrasing: 'Kur deklaruoti gyvenamąją vietą?', similarity: 1, exact: true });
+        expect(mockPrisma.faq_entries.update).toHaveBeenCalledWith({
+            where: { id: 'faq1' },
+            data: { hits: { increment: 1 }, last_matched_at: expect.any(Date) }
+        });
+
+        // The index is built once and reused until the FAQs change
+        await faqService.match('Kada dirba seniūnija?');
+        expect(mockPrisma.faq_entries.findMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pick answer, context or nothing by embedding similarity', async () => {
+        await expect(faqService.match('Noriu užsiregistruoti naujame būste')).resolves
+            .toMatchObject({ mode: 'answer', faq: { id: 'faq1' }, similarity: 0.95, exact: false });
+        await expect(faqService.match('Kur registruotis persikėlus?')).resolves
+            .toMatchObject({ mode: 'context', faq: { id: 'faq1' }, similarity: 0.85 });
+        await expect(faqService.match('Kiek kainuoja pasas?')).resolves
+            .toMatchObject({ mode: null, reason: 'below_threshold' });
+
+        faqService.configure({ enabled: true, answerThreshold: 0.97, contextThreshold: 0.9 });
+        await expect(faqService.match('Noriu užsiregistruoti naujame būste')).resolves.toMatchObject({ mode: 'context' });
+    });
+
+    it('should fall back to exact matches when embeddings fail and skip matching when disabled', async () => {
+        fakeEmbedder.generate.mockRejectedValue(new Error('provider down'));
+
+        await expect(faqService.match('Kada dirba seniūnija?')).resolves.toMatchObject({ mode: 'answer', faq: { id: 'faq2' } });
+        await expect(faqService.match('Noriu užsiregistruoti naujame būste')).resolves
+            .toMatchObject({ mode: null, reason: 'no_exact_match' });
+
+        faqService.configure({ enabled: false });
+        await expect(faqService.match('Kada dirba seniūnija?')).resolves.toMatchObject({ mode: null, reason: 'disabled' });
+    });
+
+    it('should embed the phrasings again after a failed attempt instead of keeping an index without embeddings', async () => {
+        faqService.invalidateIndex();
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+        fakeEmbedder.generate.mockRejectedValueOnce(new Error('provider starting'));
+
+        await expect(faqService.match('Noriu užsiregistruoti naujame būste')).resolves
+            .toMatchObject({ mode: null, reason: 'no_exact_match' });
+        await faqService.match('Noriu užsiregistruoti naujame būste');
+        expect(mockPrisma.faq_entries.findMany).toHaveBeenCalledTimes(1);
+
+        now.mockReturnValue(1000000 + 61 * 1000);
+        await expect(faqService.match('Noriu užsiregistruoti naujame būste')).resolves
+            .toMatchObject({ mode: 'answer', faq: { id: 'faq1' } });
+        expect(mockPrisma.faq_entries.findMany).toHaveBeenCalledTimes(2);
+
+        await faqService.match('Kada dirba seniūnija?');
+        expect(mockPrisma.faq_entries.findMany).toHaveBeenCalledTimes(2);
+    });
+
+    it('should validate FAQ fields and accept lists as text', () => {
+        expect(faqService.normalizeFaq({
+            question: ' Kada dirba seniūnija? ',
+            alternateQuestions: 'Seniūnijos darbo laikas\n\nkada dirba seniunija\nSeniūnijos darbo laikas',
+            answer: 'I–V 8–17 val.',
+            tags: 'Darbo laikas, seniūnija'
+        })).toEqual({
+            question: 'Kada dirba seniūnija?',
+            alternate_questions: ['Seniūnijos darbo laikas'],
+            answer: 'I–V 8–17 val.',
+            tags: ['darbo laikas', 'seniūnija']
+        });
+
+        expect(() => faqService.normalizeFaq({ question: 'Klausimas?', answer: ' ' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => faqService.normalizeFaq({ question: '', answer: 'Atsakymas' })).toThrow('FAQ question is required');
+        expect(() => faqService.normalizeFaq({ question: 'Q', answer: 'A', tags: Array.from({ length: 11 }, (_, i) => `t${i}`) }))
+            .toThrow('At most 10 tags per FAQ');
+        expect(faqService.normalizeFaq({ enabled: false }, true)).toEqual({ enabled: false });
+    });
+
+    it('should invalidate the index and the semantic cache when FAQs change', async () => {
+        await faqService.match('Kada dirba seniūnija?');
+        mockPrisma.faq_entries.findUnique.mockResolvedValue(FAQS[1]);
+
+        mockPrisma.faq_entries.update.mockClear();
+
+        await faqService.updateFaq('faq2', { answer: 'Seniūnija dirba I–IV 8–17 val.', alternateQuestions: 'Kada dirba seniunija' });
+
+        expect(mockPrisma.faq_entries.update).toHaveBeenCalledWith({
+            where: { id: 'faq2' },
+            data: { answer: 'Seniūnija dirba I–IV 8–17 val.', alternate_questions: [] }
+        });
+        expect(semanticCacheService.invalidate).toHaveBeenCalledWith('faq_updated');
+
+        await faqService.match('Kada dirba seniūnija?');
+        expect(mockPrisma.faq_entries.findMany).toHaveBeenCalledTimes(2);
+
+        mockPrisma.faq_entries.findUnique.mockResolvedValue(null);
+        await expect(faqService.deleteFaq('missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should create and update FAQs from CSV and report rejected rows', async () => {
+        mockPrisma.faq_entries.findMany.mockResolvedValue([{ id: 'faq2', question: 'Kada dirba seniūnija?' }]);
+        const csv = [
+            '\uFEFFklausimas;alternate_questions;atsakymas;tags',
+            '"Kaip gauti pažymą; kur kreiptis?";Pažyma|Kur gauti pažymą?;"Pažymą išduoda ""Registrų centras"".";dokumentai|Pažymos',
+            'kada dirba seniunija;;"Seniūnija dirba',
+            'I–V 8–17 val.";',
+            'Klausimas be atsakymo;;;'
+        ].join('\r\n');
+
+        const result = await faqService.importCsv(csv, 'admin1');
+
+        expect(result).toEqual({ created: 1, updated: 1, errors: [{ line: 5, error: 'FAQ answer is required' }] });
+        expect(mockPrisma.faq_entries.create).toHaveBeenCalledWith({
+            data: {
+                question: 'Kaip gauti pažymą; kur kreiptis?',
+                answer: 'Pažymą išduoda "Registrų centras".',
+                alternate_questions: ['Pažyma', 'Kur gauti pažymą?'],
+                tags: ['dokumentai', 'pažymos'],
+                created_by: 'admin1'
+            }
+        });
+        expect(mockPrisma.faq_entries.update).toHaveBeenCalledWith({
+            where: { id: 'faq2' },
+            data: expect.objectContaining({ question: 'kada dirba seniunija', answer: 'Seniūnija dirba\r\nI–V 8–17 val.' })
+        });
+        expect(semanticCacheService.invalidate).toHaveBeenCalledWith('faq_imported');
+
+        await expect(faqService.importCsv('question,tags\nKas?,x')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(faqService.importCsv('question,answer\n')).rejects.toThrow('CSV file has no FAQ rows');
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Unit tests for HttpToolService - tool validation, function definitions and calls against the local stub server
+ */
+const mockPrisma = {
+    http_tools: {
+        findMany: jest.fn(),
+        findUnique: jest.fn(),
+        create: jest.fn(),
+        update: jest.fn(),
+        delete: jest.fn()
+    }
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+
+const httpToolService = require('../../src/services/httpToolService');
+const MockChatModel = require('../../src/services/chains/MockChatModel');
+const http = require('http');
+const { createStubServer } = require('../../scripts/tool-stub-server');
+
+const STATUS_SCHEMA = {
+    type: 'object',
+    properties: { number: { type: 'string' } },
+    required: ['number']
+};
+
+describe('HttpToolService', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = createStubServer({ token: 'stub-secret' });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const tool = (overrides = {}) => ({
+        id: 'tool1',
+        name: 'application_status',
+        description: 'Prašymo būsena pagal numerį',
+        parameters: STATUS_SCHEMA,
+        endpoint: `${baseUrl}/applications/{number}`,
+        method: 'GET',
+        auth_header_name: 'Authorization',
+        auth_header_value: 'Bearer stub-secret',
+        timeout_ms: 2000,
+        enabled: true,
+        ...overrides
+    });
+
+    it('should validate tool fields and never return the auth header value', async () => {
+        mockPrisma.http_tools.findUnique.mockResolvedValue(null);
+        mockPrisma.http_tools.create.mockImplementation(({ data }) => Promise.resolve({ id: 'tool1', ...data }));
+
+        const created = await httpToolService.createTool({
+            name: 'application_status',
+            description: 'Prašymo būsena',
+            parameters: JSON.stringify(STATUS_SCHEMA),
+            endpoint: 'https://api.example.lt/applications/{number}',
+            method: 'get',
+            authHeaderName: 'Authorization',
+            authHeaderValue: 'Bearer secret'
+        }, 'admin1');
+
+        expect(mockPrisma.http_tools.create.mock.calls[0][0].data).toMatchObject({
+            name: 'application_status',
+            parameters: STATUS_SCHEMA,
+            method: 'GET',
+            auth_header_value: 'Bearer secret',
+            timeout_ms: 10000,
+            created_by: 'admin1'
+        });
+        expect(created.auth_header_value).toBeUndefined();
+        expect(created.hasAuthHeader).toBe(true);
+
+        const invalid = [
+            { name: 'has space' },
+            { parameters: '{"type": "array"}' },
+            { parameters: '{not json' },
+            { endpoint: 'ftp://files.example.lt/x' },
+            { method: 'DELETE' },
+            { timeoutMs: 100 }
+        ];
+        const valid = { name: 'ok', description: 'd', endpoint: 'https://api.example.lt', parameters: STATUS_SCHEMA };
+        for (const overrides of invalid) {
+            expect(() => httpToolService.normalizeTool({ ...valid, ...overrides })).toThrow(expect.objectContaining({ statusCode: 400 }));
+        }
+
+        mockPrisma.http_tools.findUnique.mockResolvedValue({ id: 'other' });
+        await expect(httpToolService.createTool(valid)).rejects.toMatchObject({ statusCode: 409, code: 'TOOL_NAME_TAKEN' });
+    });
+
+    it('should keep the stored auth header value unless a new or empty one is sent', () => {
+        expect(httpToolService.normalizeTool({ enabled: false }, true)).toEqual({ enabled: false });
+        expect(httpToolService.normalizeTool({ authHeaderValue: '' }, true)).toEqual({ auth_header_value: null });
+    });
+
+    it('should describe enabled tools as functions for the model', () => {
+        expect(httpToolService.toFunctionDefinitions([tool()])).toEqual([{
+            type: 'function',
+            function: { name: 'application_status', description: 'Prašymo būsena pagal numerį', parameters: STATUS_SCHEMA }
+        }]);
+    });
+
+    it('should fill endpoint placeholders and send the auth header', async () => {
+        const call = await httpToolService.execute(tool(), { number: 'A-1001' });
+
+        expect(call).toMatchObject({
+            tool: 'application_status',
+            arguments: { number: 'A-1001' },
+            url: `${baseUrl}/applications/A-1001`,
+            status: 200,
+            ok: true,
+            response: { number: 'A-1001', status: 'Nagrinėjamas' },
+            error: null
+        });
+        expect(JSON.stringify(call)).not.toContain('stub-secret');
+
+        const unauthorized = await httpToolService.execute(tool({ auth_header_value: null }), { number: 'A-1001' });
+        expect(unauthorized).toMatchObject({ ok: false, status: 401, error: expect.stringContaining('401') });
+    });
+
+    it('should send GET arguments as query string and POST arguments as JSON body', async () => {
+        const get = await httpToolService.execute(tool({
+            name: 'appointments',
+            endpoint: `${baseUrl}/appointments`,
+            parameters: { type: 'object', properties: { service: { type: 'string' }, date: { type: 'string' } } }
+        }), { service: 'pasai', date: '2025-12-01' });
+        expect(get.response).toMatchObject({ service: 'pasai', date: '2025-12-01', freeTimes: expect.any(Array) });
+
+        const post = await httpToolService.execute(tool({
+            name: 'echo',
+            endpoint: `${baseUrl}/echo`,
+            method: 'POST',
+            parameters: { type: 'object', properties: { count: { type: 'integer' } } }
+        }), { count: 2 });
+        expect(post.response.body).toEqual({ count: 2 });
+        expect(post.response.headers['content-type']).toBe('application/json');
+    });
+
+    it('should report invalid arguments and unreachable endpoints without throwing', async () => {
+        await expect(httpToolService.execute(tool(), {})).resolves
+            .toMatchObject({ ok: false, url: null, error: 'Missing required argument "number"' });
+        await expect(httpToolService.execute(tool(), { number: 1001 })).resolves
+            .toMatchObject({ ok: false, error: 'Argument "number" must be of type string' });
+        await expect(httpToolService.executeToolCall([tool()], { name: 'unknown', args: {} })).resolves
+            .toMatchObject({ ok: false, error: 'Unknown tool' });
+
+        const closed = await httpToolService.execute(tool({ endpoint: 'http://127.0.0.1:1/applications/{number}' }), { number: 'A-1001' });
+        expect(closed).toMatchObject({ ok: false, status: null });
+        expect(closed.error).toBeTruthy();
+    });
+
+    it('should not let arguments move the call to another endpoint or host', async () => {
+        const traversal = await httpToolService.execute(tool({ endpoint: `${baseUrl}/applications/{number}/status` }), { number: '..' });
+        expect(traversal).toMatchObject({ ok: false, url: null, status: null, error: 'Argument "number" is not a valid endpoint segment' });
+
+        const encoded = await httpToolService.execute(tool(), { number: '../echo' });
+        expect(encoded.url).toBe(`${baseUrl}/applications/..%2Fecho`);
+
+        const hostTool = tool({ endpoint: 'http://{number}/applications', parameters: STATUS_SCHEMA });
+        await expect(httpToolService.execute(hostTool, { number: 'attacker.example' })).resolves
+            .toMatchObject({ ok: false, url: null, error: 'Tool endpoint placeholders are only allowed in the path and query' });
+        expect(() => httpToolService.normalizeTool({ endpoint: 'https://{host}.example.lt/api' }, true))
+            .toThrow('Tool endpoint placeholders are only allowed in the path and query');
+    });
+
+    it('should stop reading an oversized response at the limit', async () => {
+        // Sends 64 KB and never ends the body, so reading it all would run into the timeout
+        const responses = [];
+        const endless = http.createServer((req, res) => {
+            responses.push(res);
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.write('x'.repeat(64 * 1024));
+        });
+        await new Promise(resolve => endless.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const call = await httpToolService.execute(
+                tool({ endpoint: `http://127.0.0.1:${endless.address().port}/applications/{number}`, timeout_ms: 1000 }),
+                { number: 'A-1001' }
+            );
+
+            expect(call).toMatchObject({ ok: true, status: 200, error: null });
+            expect(call.response).toBe(`${'x'.repeat(4000)}...`);
+        } finally {
+            responses.forEach(res => res.destroy());
+            await new Promise(resolve => endless.close(resolve));
+        }
+    });
+
+    it('should let the mock model request the tools scripted in its fixtures', async () => {
+        const fixtures = {
+            defaultResponse: '',
+            rules: [{ scope: 'tools', match: 'A-\\d+', response: [{ name: 'application_status', args: { number: 'A-1002' } }, { name: 'not_bound' }] }]
+        };
+        const llm = new MockChatModel({ mock: { fixtures } })
+            .bindTools(httpToolService.toFunctionDefinitions([tool()]));
+
+        const message = await llm.invoke([{ role: 'user', content: 'Kokia prašymo A-1002 būsena?' }]);
+        expect(message.tool_calls).toEqual([
+            expect.objectContaining({ name: 'application_status', args: { number: 'A-1002' } })
+        ]);
+
+        const none = await llm.invoke([{ role: 'user', content: 'Kada dirbate?' }]);
+        expect(none.tool_calls).toEqual([]);
+    });
+});
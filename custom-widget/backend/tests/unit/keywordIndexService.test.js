@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the Keyword Index Service
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+jest.mock('../../src/services/chromaService', () => ({
+    isConnected: true,
+    getChunks: jest.fn()
+}));
+
+const chromaService = require('../../src/services/chromaService');
+const keywordIndexService = require('../../src/services/keywordIndexService');
+
+const CHUNKS = [
+    { id: 'c1', content: 'Prašymo forma FR-0512 pildoma elektroniniu būdu.', metadata: { source_document_name: 'Formos' } },
+    { id: 'c2', content: 'Klientų aptarnavimo skyrius įsikūręs Konstitucijos pr. 3, Vilniuje.', metadata: { source_document_name: 'Kontaktai' } },
+    { id: 'c3', content: 'Pagal 5.1 straipsnį gyventojai gali užsiregistruoti internetu.', metadata: { source_document_name: 'Taisyklės' } }
+];
+
+describe('KeywordIndexService', () => {
+    beforeEach(() => {
+        keywordIndexService.clear();
+        keywordIndexService.built = false;
+        chromaService.getChunks.mockResolvedValue(CHUNKS);
+    });
+
+    it('should fold Lithuanian diacritics and keep compound tokens with their parts', () => {
+        expect(keywordIndexService.tokenize('Užsiregistruoti, FR-0512 ir 5.1 str.')).toEqual([
+            'uzsiregistruoti', 'fr-0512', 'fr', '0512', 'ir', '5.1', '5', '1', 'str'
+        ]);
+    });
+
+    it('should build the index from ChromaDB on first search', async () => {
+        const results = await keywordIndexService.search('FR-0512', 3);
+
+        expect(chromaService.getChunks).toHaveBeenCalledWith({ offset: 0, limit: 500 });
+        expect(results[0]).toMatchObject({ id: 'c1', metadata: { source_document_name: 'Formos' } });
+        expect(results[0].score).toBeGreaterThan(0);
+        expect(keywordIndexService.getStats()).toMatchObject({ built: true, chunks: 3 });
+    });
+
+    it('should match street names and article numbers exactly', async () => {
+        expect((await keywordIndexService.search('Konstitucijos pr.', 3))[0].id).toBe('c2');
+        expect((await keywordIndexService.search('5.1 straipsnis', 3))[0].id).toBe('c3');
+        expect((await keywordIndexService.search('kaip uzsiregistruoti', 3))[0].id).toBe('c3');
+    });
+
+    it('should mirror chunk upserts and deletions', async () => {
+        await keywordIndexService.ensureBuilt();
+
+        keywordIndexService.addDocuments([{ id: 'c1', content: 'Forma FR-0600 pakeitė ankstesnę formą.' }]);
+        keywordIndexService.removeDocuments(['c2']);
+
+        expect(await keywordIndexService.search('0512', 3)).toEqual([]);
+        expect((await keywordIndexService.search('FR-0600', 3))[0].id).toBe('c1');
+        expect(await keywordIndexService.search('Konstitucijos', 3)).toEqual([]);
+        expect(chromaService.getChunks).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return no results while ChromaDB is unavailable', async () => {
+        chromaService.getChunks.mockRejectedValueOnce(new Error('Chroma down'));
+
+        expect(await keywordIndexService.search('0512', 3)).toEqual([]);
+        expect(keywordIndexService.getStats().built).toBe(false);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for KnowledgeGapService - query log, suggestion outcomes and the clustered report
+ */
+const mockPrisma = {
+    rag_queries: {
+        create: jest.fn(),
+        findFirst: jest.fn(),
+        update: jest.fn(),
+        count: jest.fn(),
+        findMany: jest.fn()
+    }
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+
+const knowledgeGapService = require('../../src/services/knowledgeGapService');
+
+const query = (overrides) => ({
+    ticket_id: 'conv1',
+    question: 'Klausimas',
+    search_query: null,
+    top_score: 0.8,
+    contexts_used: 3,
+    suggestion_action: null,
+    escalated: false,
+    created_at: new Date('2025-11-10T10:00:00Z'),
+    ...overrides
+});
+
+describe('KnowledgeGapService', () => {
+    it('should record questions asked in a conversation', async () => {
+        mockPrisma.rag_queries.create.mockResolvedValue({ id: 'q1' });
+
+        await knowledgeGapService.recordQuery({
+            conversationId: 'conv1',
+            question: 'O kiek kainuoja?',
+            searchQuery: 'Kiek kainuoja leidimas statybai?',
+            topScore: 0.42,
+            contextsUsed: 2,
+            escalated: true
+        });
+
+        expect(mockPrisma.rag_queries.create).toHaveBeenCalledWith({
+            data: {
+                ticket_id: 'conv1',
+                question: 'O kiek kainuoja?',
+                search_query: 'Kiek kainuoja leidimas statybai?',
+                top_score: 0.42,
+                contexts_used: 2,
+                cached: false,
+                escalated: true
+            }
+        });
+
+        await expect(knowledgeGapService.recordQuery({ conversationId: null, question: 'Test' })).resolves.toBeNull();
+        expect(mockPrisma.rag_queries.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should never fail the answer when recording fails', async () => {
+        mockPrisma.rag_queries.create.mockRejectedValue(new Error('Database down'));
+        mockPrisma.rag_queries.findFirst.mockRejectedValue(new Error('Database down'));
+
+        await expect(knowledgeGapService.recordQuery({ conversationId: 'conv1', question: 'Test' })).resolves.toBeNull();
+        await expect(knowledgeGapService.recordSuggestionAction('conv1', 'edited')).resolves.toBe(false);
+    });
+
+    it('should mark the latest unanswered question of the conversation with the agent action', async () => {
+        mockPrisma.rag_queries.findFirst.mockResolvedValue({ id: 'q2' });
+
+        await expect(knowledgeGapService.recordSuggestionAction('conv1', 'from-scratch')).resolves.toBe(true);
+
+        expect(mockPrisma.rag_queries.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+            where: { ticket_id: 'conv1', suggestion_action: null },
+            orderBy: { created_at: 'desc' }
+        }));
+        expect(mockPrisma.rag_queries.update).toHaveBeenCalledWith({
+            where: { id: 'q2' },
+            data: { suggestion_action: 'from_scratch' }
+        });
+
+        await expect(knowledgeGapService.recordSuggestionAction('conv1', 'custom')).resolves.toBe(false);
+        expect(mockPrisma.rag_queries.update).toHaveBeenCalledTimes(1);
+    });
+
+    it('should tell why a question counts as unanswered', () => {
+        expect(knowledgeGapService.failureReasons(query({}), 0.5)).toEqual([]);
+        expect(knowledgeGapService.failureReasons(query({ contexts_used: 0, top_score: null }), 0.5)).toEqual(['no_context']);
+        expect(knowledgeGapService.failureReasons(query({ top_score: 0.3, escalated: true }), 0.5)).toEqual(['low_score', 'escalated']);
+        expect(knowledgeGapService.failureReasons(query({ suggestion_action: 'edited' }), 0.5)).toEqual(['edited']);
+        expect(knowledgeGapService.failureReasons(query({ suggestion_action: 'sent_as_is', top_score: null }), 0.5)).toEqual([]);
+    });
+
+    it('should cluster similar failing questions, largest first', async () => {
+        mockPrisma.rag_queries.count.mockResolvedValue(10);
+        mockPrisma.rag_queries.findMany.mockResolvedValue([
+            query({ question: 'Kiek kainuoja gyventojo parkavimo leidimas?', top_score: 0.3, created_at: new Date('2025-11-12T10:00:00Z') }),
+            query({ question: 'Kur sumokėti už šunį?', contexts_used: 0, top_score: null, ticket_id: 'conv2' }),
+            query({ question: 'Kokia parkavimo leidimo kaina gyventojams', suggestion_action: 'from_scratch', ticket_id: 'conv3' }),
+            query({ question: 'o kiek tai kainuoja?', search_query: 'Kiek kainuoja parkavimo leidimas gyventojui?', top_score: 0.2, ticket_id: 'conv4' }),
+            // Returned by the top_score filter of a different threshold, but answered at this one
+            query({ question: 'Kada dirba seniūnija?', top_score: 0.9 })
+        ]);
+
+        const report = await knowledgeGapService.getReport({ days: 7, scoreThreshold: 0.5 });
+
+        expect(report.totals).toEqual({ queries: 10, failing: 4, clusters: 2 });
+        expect(report.clusters[0]).toMatchObject({
+            question: 'Kiek kainuoja gyventojo parkavimo leidimas?',
+            count: 3,
+            conversations: 3,
+            examples: [
+                'Kiek kainuoja gyventojo parkavimo leidimas?',
+                'Kokia parkavimo leidimo kaina gyventojams',
+                'Kiek kainuoja parkavimo leidimas gyventojui?'
+            ],
+            reasons: { low_score: 2, from_scratch: 1 },
+            averageScore: 0.433
+        });
+        expect(report.clusters[1]).toMatchObject({
+            question: 'Kur sumokėti už šunį?',
+            count: 1,
+            reasons: { no_context: 1 },
+            averageScore: null
+        });
+
+        const { where } = mockPrisma.rag_queries.findMany.mock.calls[0][0];
+        expect(where.OR).toContainEqual({ top_score: { lt: 0.5 } });
+        expect(where.created_at.gte.getTime()).toBeGreaterThan(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for LLMUsageService - usage recording, costs, breakdown and monthly budget
+ */
+const mockPrisma = {
+    llm_usage: {
+        create: jest.fn(),
+        findMany: jest.fn(),
+        groupBy: jest.fn()
+    }
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+
+const llmUsageService = require('../../src/services/llmUsageService');
+
+const PRICES = JSON.stringify({
+    'google/gemini-2.5-flash': { input: 0.5, output: 3 },
+    'openai/gpt-4o-mini': { input: 0.15, output: 0.6 }
+});
+
+describe('LLMUsageService', () => {
+    let settings;
+
+    beforeEach(() => {
+        settings = {
+            llm_price_table: PRICES,
+            llm_monthly_budget: 0,
+            llm_budget_alert_threshold: 0.8,
+            llm_budget_switch_to_hitl: false
+        };
+        llmUsageService.settingsService = { getSetting: jest.fn((key) => Promise.resolve(settings[key])) };
+        llmUsageService.spendCache = null;
+        llmUsageService.alerted = { month: null, level: null };
+        mockPrisma.llm_usage.create.mockResolvedValue({});
+    });
+
+    it('should record the usage a chat model reports through the callback handler', async () => {
+        const handler = llmUsageService.createCallbackHandler({ feature: 'rephrase', provider: 'openrouter', conversationId: 'conv1' });
+
+        await handler.handleChatModelStart({}, [], 'run1', undefined, { invocation_params: { model: 'google/gemini-2.5-flash-lite' } });
+        await handler.handleLLMEnd({
+            generations: [[{
+                text: 'Kaip gauti leidimą?',
+                message: { usage_metadata: { input_tokens: 120, output_tokens: 8 }, response_metadata: {} }
+            }]]
+        }, 'run1');
+
+        expect(mockPrisma.llm_usage.create).toHaveBeenCalledWith({
+            data: {
+                feature: 'rephrase',
+                provider: 'openrouter',
+                model: 'google/gemini-2.5-flash-lite',
+                prompt_tokens: 120,
+                completion_tokens: 8,
+                latency_ms: expect.any(Number),
+                ticket_id: 'conv1'
+            }
+        });
+
+        // Providers that report no usage (the mock model) are not counted
+        await handler.handleChatModelStart({}, [], 'run2', undefined, {});
+        await handler.handleLLMEnd({ generations: [[{ text: 'Labas', message: { response_metadata: {} } }]], llmOutput: {} }, 'run2');
+        expect(mockPrisma.llm_usage.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should price models by exact name or name prefix and merge the built-in prices', async () => {
+        const prices = await llmUsageService.getPriceTable();
+
+        expect(prices['google/gemini-2.5-flash']).toEqual({ input: 0.5, output: 3 });
+        expect(prices['google/gemini-2.5-flash-lite']).toEqual({ input: 0.1, output: 0.4 });
+        expect(llmUsageService.calculateCost('google/gemini-2.5-flash', 1000000, 100000, prices)).toBe(0.8);
+        expect(llmUsageService.calculateCost('google/gemini-2.5-flash-lite-001', 1000000, 0, prices)).toBe(0.1);
+        expect(llmUsageService.calculateCost('local/llama', 1000, 1000, prices)).toBeNull();
+    });
+
+    it('should break usage down by day, model and feature', async () => {
+        mockPrisma.llm_usage.findMany.mockResolvedValue([
+            { feature: 'suggestion', model: 'google/gemini-2.5-flash', prompt_tokens: 200000, completion_tokens: 10000, latency_ms: 1200, created_at: new Date('2025-11-20T10:00:00Z') },
+            { feature: 'rephrase', model: 'openai/gpt-4o-mini', prompt_tokens: 100000, completion_tokens: 0, latency_ms: 400, created_at: new Date('2025-11-20T10:00:01Z') },
+            { feature: 'suggestion', model: 'local/llama', prompt_tokens: 500, completion_tokens: 50, latency_ms: null, created_at: new Date('2025-11-21T08:00:00Z') }
+        ]);
+
+        const breakdown = await llmUsageService.getBreakdown(new Date('2025-11-01'), new Date('2025-11-30'));
+
+        expect(breakdown.totals).toEqual({
+            calls: 3,
+            promptTokens: 300500,
+            completionTokens: 10050,
+            totalTokens: 310550,
+            cost: 0.145,
+            averageLatencyMs: 800
+        });
+        expect(breakdown.byDay.map(({ date, calls, cost }) => ({ date, calls, cost }))).toEqual([
+            { date: '2025-11-20', calls: 2, cost: 0.145 },
+            { date: '2025-11-21', calls: 1, cost: 0 }
+        ]);
+        expect(breakdown.byFeature.map(({ feature, calls, cost }) => ({ feature, calls, cost }))).toEqual([
+            { feature: 'suggestion', calls: 2, cost: 0.13 },
+            { feature: 'rephrase', calls: 1, cost: 0.015 }
+        ]);
+        expect(breakdown.byModel[0]).toMatchObject({ model: 'google/gemini-2.5-flash', cost: 0.13 });
+        expect(breakdown.unpricedModels).toEqual(['local/llama']);
+        expect(breakdown.budget).toMatchObject({ monthlyBudget: 0, level: null });
+    });
+
+    it('should raise budget levels and switch autopilot only when configured', async () => {
+        mockPrisma.llm_usage.groupBy.mockResolvedValue([
+            { model: 'google/gemini-2.5-flash', _sum: { prompt_tokens: 10000000, completion_tokens: 1000000 } }
+        ]);
+        const now = new Date('2025-11-20T10:00:00Z');
+
+        settings.llm_monthly_budget = 9;
+        await expect(llmUsageService.checkBudget(now)).resolves.toMatchObject({ month: '2025-11', spent: 8, ratio: 0.889, level: 'warning' });
+        expect(mockPrisma.llm_usage.groupBy.mock.calls[0][0].where).toEqual({ created_at: { gte: new Date('2025-11-01T00:00:00Z') } });
+
+        settings.llm_monthly_budget = 5;
+        await expect(llmUsageService.checkBudget(now)).resolves.toMatchObject({ spent: 8, level: 'exceeded', switchToHitl: false });
+        await expect(llmUsageService.shouldSwitchToHitl()).resolves.toBe(false);
+
+        settings.llm_budget_switch_to_hitl = true;
+        llmUsageService.spendCache = null;
+        await expect(llmUsageService.shouldSwitchToHitl()).resolves.toBe(true);
+
+        // Without a budget the usage is not even summed
+        settings.llm_monthly_budget = 0;
+        mockPrisma.llm_usage.groupBy.mockClear();
+        await expect(llmUsageService.shouldSwitchToHitl()).resolves.toBe(false);
+        expect(mockPrisma.llm_usage.groupBy).not.toHaveBeenCalled();
+    });
+
+    it('should never fail the caller when recording fails', async () => {
+        mockPrisma.llm_usage.create.mockRejectedValue(new Error('connection lost'));
+
+        await expect(llmUsageService.record({
+            feature: 'categorization',
+            model: 'google/gemini-2.5-flash-lite',
+            promptTokens: 300,
+            completionTokens: 40
+        })).resolves.toBeUndefined();
+    });
+});
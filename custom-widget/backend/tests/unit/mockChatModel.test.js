@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the offline mock provider in the LangChain chains and categorization
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+
+const MockChatModel = require('../../src/services/chains/MockChatModel');
+const aiCategorizationService = require('../../src/services/aiCategorizationService');
+
+describe('Mock AI provider', () => {
+    let fixturesPath;
+    let fixtureCounter = 0;
+
+    // Each test gets its own fixtures file so cached responders never share call counters
+    const writeFixtures = (fixtures) => {
+        fixtureCounter += 1;
+        fixturesPath = path.join(os.tmpdir(), `mock-ai-fixtures-${process.pid}-${fixtureCounter}.json`);
+        fs.writeFileSync(fixturesPath, JSON.stringify(fixtures));
+        return { fixturesPath, latencyMs: 0, failEvery: 0 };
+    };
+
+    afterEach(() => {
+        if (fixturesPath && fs.existsSync(fixturesPath)) {
+            fs.unlinkSync(fixturesPath);
+        }
+    });
+
+    describe('MockChatModel', () => {
+        it('should answer from fixtures using the last user message', async () => {
+            const mock = writeFixtures({
+                defaultResponse: 'Numatytasis atsakymas',
+                rules: [{ scope: 'chat', match: 'kaina', response: 'Paslauga kainuoja 10 EUR.' }]
+            });
+            const model = new MockChatModel({ mock });
+
+            const result = await model.invoke([
+                { role: 'system', content: 'Esi asistentas. Kaina nurodyta dokumentuose.' },
+                { role: 'user', content: 'Kokia kaina?' }
+            ]);
+
+            expect(result.content).toBe('Paslauga kainuoja 10 EUR.');
+        });
+
+        it('should stream the scripted answer word by word', async () => {
+            const mock = writeFixtures({ defaultResponse: 'Trys žodžiai čia', rules: [] });
+            const model = new MockChatModel({ mock });
+
+            const chunks = [];
+            for await (const chunk of await model.stream([{ role: 'user', content: 'Labas' }])) {
+                chunks.push(chunk.content);
+            }
+
+            expect(chunks).toEqual(['Trys', ' žodžiai', ' čia']);
+        });
+
+        it('should echo unmatched input in rephrase mode', async () => {
+            const mock = writeFixtures({
+                defaultResponse: 'Numatytasis atsakymas',
+                rules: [{ scope: 'rephrase', match: '^o kiek\\?$', response: 'Kiek kainuoja parkavimas?' }]
+            });
+            const model = new MockChatModel({ mock, scope: 'rephrase', echo: true });
+
+            await expect(model.invoke([{ role: 'user', content: 'O kiek?' }]))
+                .resolves.toMatchObject({ content: 'Kiek kainuoja parkavimas?' });
+            await expect(model.invoke([{ role: 'user', content: 'Kur yra biuras?' }]))
+                .resolves.toMatchObject({ content: 'Kur yra biuras?' });
+        });
+
+        it('should surface injected errors', async () => {
+            const mock = writeFixtures({ rules: [{ match: 'klaida', error: 'Simulated outage' }] });
+            const model = new MockChatModel({ mock });
+
+            await expect(model.invoke([{ role: 'user', content: 'klaida' }])).rejects.toThrow('Simulated outage');
+        });
+    });
+
+    describe('aiCategorizationService.callMockCategorization', () => {
+        const categories = [
+            { id: 'cat-general', name: 'Bendri klausimai' },
+            { id: 'cat-tax', name: 'Mokesčiai' },
+            { id: 'cat-parking', name: 'Parkavimas' }
+        ];
+
+        it('should use the category named by a categorization fixture', async () => {
+            const mock = writeFixtures({
+                rules: [{ scope: 'categorization', match: 'sąskait', response: 'Mokesčiai' }]
+            });
+
+            const result = await aiCategorizationService.callMockCategorization(
+                [{ role: 'customer', content: 'Gavau sąskaitą' }],
+                categories,
+                mock
+            );
+
+            expect(result.categoryId).toBe('cat-tax');
+            expect(result.confidence).toBe(1.0);
+        });
+
+        it('should fall back to a category mentioned in the conversation, then the first one', async () => {
+            const mock = writeFixtures({ rules: [] });
+
+            const mentioned = await aiCategorizationService.callMockCategorization(
+                [{ role: 'customer', content: 'Klausimas dėl parkavimas zonos' }],
+                categories,
+                mock
+            );
+            const unmatched = await aiCategorizationService.callMockCategorization(
+                [{ role: 'customer', content: 'Labas' }],
+                categories,
+                mock
+            );
+
+            expect(mentioned.categoryId).toBe('cat-parking');
+            expect(unmatched.categoryId).toBe('cat-general');
+        });
+    });
+});
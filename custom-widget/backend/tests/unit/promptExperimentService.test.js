@@ -0,0 +1,152 @@
+/**
+ * Unit tests for PromptExperimentService - variants, bucketing and per-variant results
+ */
+const mockPrisma = {
+    prompt_experiments: {
+        create: jest.fn(),
+        findUnique: jest.fn(),
+        findFirst: jest.fn(),
+        update: jest.fn()
+    },
+    prompt_versions: { findUnique: jest.fn() },
+    message_statistics: { groupBy: jest.fn() }
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+
+const promptExperimentService = require('../../src/services/promptExperimentService');
+
+const experiment = (overrides = {}) => ({
+    id: 'exp1',
+    name: 'Trumpesni atsakymai',
+    status: 'running',
+    variants: [
+        { key: 'A', name: 'Current prompt', content: null, weight: 1 },
+        { key: 'B', name: 'Short', content: 'Atsakyk trumpai.\n{context}', weight: 1 }
+    ],
+    ...overrides
+});
+
+describe('PromptExperimentService', () => {
+    it('should validate variants and fill in keys, names and weights', async () => {
+        mockPrisma.prompt_versions.findUnique.mockResolvedValue({ id: 'v3', content: 'Versijos promptas' });
+
+        await expect(promptExperimentService.normalizeVariants([
+            { content: '' },
+            { name: 'Iš versijos', promptVersionId: 'v3', weight: '3' }
+        ])).resolves.toEqual([
+            { key: 'A', name: 'Current prompt', content: null, weight: 1 },
+            { key: 'B', name: 'Iš versijos', content: 'Versijos promptas', weight: 3 }
+        ]);
+
+        await expect(promptExperimentService.normalizeVariants([{ content: 'X' }]))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(promptExperimentService.normalizeVariants([{ content: 'X' }, { content: 'Y', weight: 0 }]))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(promptExperimentService.normalizeVariants([{}, {}]))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should keep a conversation in the same variant and follow the traffic split', () => {
+        const weighted = experiment({
+            variants: [
+                { key: 'A', name: 'Current prompt', content: null, weight: 3 },
+                { key: 'B', name: 'Short', content: 'Atsakyk trumpai.', weight: 1 }
+            ]
+        });
+
+        expect(promptExperimentService.pickVariant(weighted, 'conv1'))
+            .toBe(promptExperimentService.pickVariant(weighted, 'conv1'));
+
+        const counts = { A: 0, B: 0 };
+        for (let i = 0; i < 2000; i++) {
+            counts[promptExperimentService.pickVariant(weighted, `conv${i}`).key]++;
+        }
+        expect(counts.A / 2000).toBeGreaterThan(0.7);
+        expect(counts.A / 2000).toBeLessThan(0.8);
+    });
+
+    it('should assign conversations only while an experiment runs', async () => {
+        mockPrisma.prompt_experiments.findFirst.mockResolvedValue(experiment());
+
+        const assignment = await promptExperimentService.getAssignment('conv1');
+        expect(assignment).toMatchObject({ experimentId: 'exp1' });
+        expect(['A', 'B']).toContain(assignment.variant);
+        await expect(promptExperimentService.getAssignment(null)).resolves.toBeNull();
+
+        mockPrisma.prompt_experiments.findFirst.mockResolvedValue(null);
+        await expect(promptExperimentService.getAssignment('conv1')).resolves.toBeNull();
+    });
+
+    it('should start only drafts and only one experiment at a time', async () => {
+        mockPrisma.prompt_experiments.findUnique.mockResolvedValue(experiment({ id: 'exp2', status: 'draft' }));
+        mockPrisma.prompt_experiments.findFirst.mockResolvedValue(experiment());
+
+        await expect(promptExperimentService.startExperiment('exp2'))
+            .rejects.toMatchObject({ statusCode: 409, code: 'EXPERIMENT_RUNNING' });
+
+        mockPrisma.prompt_experiments.findFirst.mockResolvedValue(null);
+        mockPrisma.prompt_experiments.update.mockResolvedValue({ id: 'exp2', status: 'running' });
+        await promptExperimentService.startExperiment('exp2');
+        expect(mockPrisma.prompt_experiments.update).toHaveBeenCalledWith({
+            where: { id: 'exp2' },
+            data: { status: 'running', started_at: expect.any(Date) }
+        });
+
+        mockPrisma.prompt_experiments.findUnique.mockResolvedValue(experiment({ status: 'stopped' }));
+        await expect(promptExperimentService.startExperiment('exp1'))
+            .rejects.toMatchObject({ statusCode: 409, code: 'EXPERIMENT_NOT_DRAFT' });
+    });
+
+    it('should compare acceptance rates and edit ratios per variant', async () => {
+        mockPrisma.prompt_experiments.findUnique.mockResolvedValue(experiment());
+        mockPrisma.message_statistics.groupBy.mockImplementation(({ by }) => Promise.resolve(by.length === 2
+            ? [
+                { prompt_variant: 'A', suggestion_action: 'sent_as_is', _count: { _all: 1 } },
+                { prompt_variant: 'A', suggestion_action: 'edited', _count: { _all: 2 } },
+                { prompt_variant: 'A', suggestion_action: 'from_scratch', _count: { _all: 1 } },
+                { prompt_variant: 'B', suggestion_action: 'sent_as_is', _count: { _all: 3 } }
+            ]
+            : [
+                { prompt_variant: 'A', _avg: { suggestion_edit_ratio: 0.45678 } },
+                { prompt_variant: 'B', _avg: { suggestion_edit_ratio: null } }
+            ]
+        ));
+
+        const results = await promptExperimentService.getResults('exp1');
+
+        expect(mockPrisma.message_statistics.groupBy.mock.calls[0][0].where)
+            .toEqual({ prompt_experiment_id: 'exp1', suggestion_action: { not: null } });
+        expect(results.totals).toEqual({ replies: 7 });
+        expect(results.variants).toEqual([
+            {
+                key: 'A',
+                name: 'Current prompt',
+                weight: 1,
+                total: 4,
+                counts: { sent_as_is: 1, edited: 2, from_scratch: 1 },
+                rates: { sent_as_is: 0.25, edited: 0.5, from_scratch: 0.25 },
+                averageEditRatio: 0.457
+            },
+            {
+                key: 'B',
+                name: 'Short',
+                weight: 1,
+                total: 3,
+                counts: { sent_as_is: 3, edited: 0, from_scratch: 0 },
+                rates: { sent_as_is: 1, edited: 0, from_scratch: 0 },
+                averageEditRatio: null
+            }
+        ]);
+    });
+
+    it('should read the assignment stored with a suggestion', () => {
+        const stored = { experimentId: 'exp1', variant: 'B', name: 'Short' };
+
+        expect(promptExperimentService.fromSuggestionMetadata({ promptExperiment: stored }))
+            .toEqual({ experimentId: 'exp1', variant: 'B' });
+        expect(promptExperimentService.fromSuggestionMetadata({ aiSuggestion: { metadata: { promptExperiment: stored } } }))
+            .toEqual({ experimentId: 'exp1', variant: 'B' });
+        expect(promptExperimentService.fromSuggestionMetadata({ aiSuggestion: { metadata: {} } })).toBeNull();
+        expect(promptExperimentService.fromSuggestionMetadata(null)).toBeNull();
+    });
+});
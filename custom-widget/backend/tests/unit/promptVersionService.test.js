@@ -0,0 +1,174 @@
+/**
+ * Unit tests for PromptVersionService - versioned local prompts, diffs and rollback
+ */
+const mockPrisma = {
+    prompt_versions: {
+        findFirst: jest.fn(),
+        findMany: jest.fn(),
+        findUnique: jest.fn(),
+        create: jest.fn()
+    },
+    users: { findMany: jest.fn() },
+    $transaction: jest.fn()
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+
+const promptVersionService = require('../../src/services/promptVersionService');
+const semanticCacheService = require('../../src/services/semanticCacheService');
+
+const version = (overrides = {}) => ({
+    id: 'v2',
+    prompt_type: 'system',
+    version: 2,
+    content: 'Tu esi asistentas.\nKontekstas: {context}',
+    created_by: 'admin1',
+    rollback_of: null,
+    created_at: new Date('2025-11-20T10:00:00Z'),
+    ...overrides
+});
+
+describe('PromptVersionService', () => {
+    let settings;
+
+    beforeEach(() => {
+        settings = {
+            getSetting: jest.fn(),
+            updateSettings: jest.fn().mockResolvedValue([]),
+            updateSetting: jest.fn().mockResolvedValue({}),
+            invalidateCache: jest.fn().mockResolvedValue()
+        };
+        promptVersionService.settingsService = settings;
+        mockPrisma.$transaction.mockImplementation((callback) => callback(mockPrisma));
+        jest.spyOn(semanticCacheService, 'invalidate').mockImplementation(() => 0);
+        mockPrisma.prompt_versions.create.mockImplementation(({ data }) => Promise.resolve({ id: `new-${data.version}`, ...data }));
+    });
+
+    it('should version every changed prompt on save and skip unchanged ones', async () => {
+        settings.getSetting.mockResolvedValue('Old');
+        mockPrisma.prompt_versions.findFirst.mockImplementation(({ where }) => Promise.resolve(
+            where.prompt_type === 'system' ? version() : version({ prompt_type: 'processing', content: 'Same' })
+        ));
+
+        const result = await promptVersionService.saveSettings({
+            prompt_mode: 'local',
+            custom_system_prompt_content: 'Tu esi naujas asistentas.\nKontekstas: {context}',
+            custom_processing_prompt_content: 'Same'
+        }, 'admin1');
+
+        expect(settings.updateSettings).toHaveBeenCalledWith(expect.objectContaining({ prompt_mode: 'local' }), 'admin1', 'prompts', { tx: mockPrisma });
+        expect(mockPrisma.prompt_versions.create).toHaveBeenCalledTimes(1);
+        expect(mockPrisma.prompt_versions.create).toHaveBeenCalledWith({
+            data: {
+                prompt_type: 'system',
+                version: 3,
+                content: 'Tu esi naujas asistentas.\nKontekstas: {context}',
+                created_by: 'admin1',
+                rollback_of: null
+            }
+        });
+        expect(result.versions).toHaveLength(1);
+        expect(semanticCacheService.invalidate).toHaveBeenCalledWith('prompts_updated');
+    });
+
+    it('should keep settings and versions together when recording a version fails', async () => {
+        settings.getSetting.mockResolvedValue('Old');
+        mockPrisma.prompt_versions.findFirst.mockResolvedValue(version());
+        mockPrisma.prompt_versions.create.mockRejectedValue(new Error('connection lost'));
+
+        await expect(promptVersionService.saveSettings({ custom_system_prompt_content: 'Naujas' }, 'admin1'))
+            .rejects.toThrow('connection lost');
+
+        expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+        expect(settings.invalidateCache).toHaveBeenCalled();
+        expect(semanticCacheService.invalidate).not.toHaveBeenCalled();
+    });
+
+    it('should keep the prompt saved before versioning as the first version', async () => {
+        settings.getSetting.mockResolvedValue('Senas promptas');
+        mockPrisma.prompt_versions.findFirst.mockResolvedValue(null);
+
+        await promptVersionService.saveSettings({ custom_formatting_prompt_content: 'Naujas promptas' }, 'admin1');
+
+        expect(mockPrisma.prompt_versions.create.mock.calls.map(([{ data }]) => [data.version, data.content, data.created_by])).toEqual([
+            [1, 'Senas promptas', null],
+            [2, 'Naujas promptas', 'admin1']
+        ]);
+    });
+
+    it('should diff lines against the previous version', async () => {
+        mockPrisma.prompt_versions.findUnique.mockResolvedValue(version({ content: 'A\nB2\nC\nD' }));
+        mockPrisma.prompt_versions.findFirst.mockResolvedValue(version({ id: 'v1', version: 1, content: 'A\nB\nC' }));
+
+        const diff = await promptVersionService.diff('v2');
+
+        expect(mockPrisma.prompt_versions.findFirst).toHaveBeenCalledWith({
+            where: { prompt_type: 'system', version: { lt: 2 } },
+            orderBy: { version: 'desc' }
+        });
+        expect(diff.from).toMatchObject({ id: 'v1', version: 1 });
+        expect(diff.stats).toEqual({ added: 2, removed: 1 });
+        expect(diff.lines).toEqual([
+            { type: 'equal', line: 'A' },
+            { type: 'removed', line: 'B' },
+            { type: 'added', line: 'B2' },
+            { type: 'equal', line: 'C' },
+            { type: 'added', line: 'D' }
+        ]);
+    });
+
+    it('should restore an old version as a new version and make it active', async () => {
+        mockPrisma.prompt_versions.findUnique.mockResolvedValue(version({ id: 'v1', version: 1, content: 'Geras promptas' }));
+        mockPrisma.prompt_versions.findFirst.mockResolvedValue(version({ id: 'v5', version: 5, content: 'Blogas promptas' }));
+
+        const restored = await promptVersionService.rollback('v1', 'admin2');
+
+        expect(settings.updateSetting).toHaveBeenCalledWith('custom_system_prompt_content', 'Geras promptas', 'admin2', 'prompts', { tx: mockPrisma });
+        expect(restored).toMatchObject({ version: 6, content: 'Geras promptas', created_by: 'admin2', rollback_of: 'v1' });
+        expect(semanticCacheService.invalidate).toHaveBeenCalledWith('prompt_rollback');
+
+        // Restoring the active content again is refused
+        mockPrisma.prompt_versions.findFirst.mockResolvedValue(version({ id: 'v6', version: 6, content: 'Geras promptas' }));
+        await expect(promptVersionService.rollback('v1', 'admin2')).rejects.toMatchObject({ statusCode: 409 });
+
+        mockPrisma.prompt_versions.findUnique.mockResolvedValue(null);
+        await expect(promptVersionService.rollback('missing', 'admin2')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should list versions with their authors, newest active', async () => {
+        mockPrisma.prompt_versions.findMany.mockResolvedValue([
+            version({ id: 'v3', version: 3, rollback_of: 'v1' }),
+            version({ id: 'v1', version: 1, created_by: null })
+        ]);
+        mockPrisma.users.findMany.mockResolvedValue([{ id: 'admin1', first_name: 'Ona', last_name: 'Onaitė', email: 'ona@example.com' }]);
+
+        const versions = await promptVersionService.listVersions('system');
+
+        expect(versions.map(({ id, author, active, rollbackOf }) => ({ id, author, active, rollbackOf }))).toEqual([
+            { id: 'v3', author: 'Ona Onaitė', active: true, rollbackOf: 'v1' },
+            { id: 'v1', author: null, active: false, rollbackOf: null }
+        ]);
+        await expect(promptVersionService.listVersions('unknown')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should serve the latest version only in local prompt mode', async () => {
+        settings.getSetting.mockImplementation((key) => Promise.resolve(key === 'prompt_mode' ? 'local' : 'Iš nustatymų'));
+        mockPrisma.prompt_versions.findFirst.mockResolvedValue(version());
+
+        await expect(promptVersionService.getActivePrompt('system')).resolves.toEqual({
+            content: 'Tu esi asistentas.\nKontekstas: {context}',
+            versionId: 'v2',
+            version: 2
+        });
+
+        // Set before versioning: the setting is used without a version id
+        mockPrisma.prompt_versions.findFirst.mockResolvedValue(null);
+        await expect(promptVersionService.getActivePrompt('system')).resolves.toEqual({
+            content: 'Iš nustatymų',
+            versionId: null,
+            version: null
+        });
+
+        settings.getSetting.mockResolvedValue('langfuse');
+        await expect(promptVersionService.getActivePrompt('system')).resolves.toBeNull();
+    });
+});
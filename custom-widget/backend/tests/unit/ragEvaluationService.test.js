@@ -0,0 +1,140 @@
+/**
+ * Unit tests for RagEvaluationService - golden dataset parsing, scoring and stored runs
+ */
+const mockPrisma = {
+    rag_eval_datasets: { findUnique: jest.fn() },
+    rag_eval_runs: { create: jest.fn(), update: jest.fn() }
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+
+const ragEvaluationService = require('../../src/services/ragEvaluationService');
+
+function createRag(responses) {
+    return {
+        getAnswer: jest.fn(async (question) => {
+            const response = responses[question];
+            if (response instanceof Error) throw response;
+            return {
+                answer: response.answer,
+                debugInfo: {
+                    modelConfiguration: { mainModel: 'test-model' },
+                    step3_documentRetrieval: { documentsMetadata: response.retrieved }
+                }
+            };
+        }),
+        getCurrentSettings: jest.fn(async () => ({ rag_k: 10, rag_reranker: 'none', rag_reranker_api_key: 'secret', system_prompt: 'x' }))
+    };
+}
+
+// Texts about working hours embed in one direction, everything else orthogonally to it
+const embeddingFunction = {
+    generate: jest.fn(async (texts) => texts.map(text => (/I-V/.test(text) ? [1, 0] : [0, 1])))
+};
+
+describe('RagEvaluationService', () => {
+    describe('parseDataset', () => {
+        it('should accept JSON arrays, { questions } objects and JSON Lines', () => {
+            const item = { question: 'Kada dirbate?', expected_sources: 'Kontaktai', reference_answer: 'I-V 8-17' };
+            const expected = [{ question: 'Kada dirbate?', expectedSources: ['Kontaktai'], referenceAnswer: 'I-V 8-17' }];
+
+            expect(ragEvaluationService.parseDataset(JSON.stringify([item]))).toEqual(expected);
+            expect(ragEvaluationService.parseDataset(JSON.stringify({ questions: [item] }))).toEqual(expected);
+            expect(ragEvaluationService.parseDataset(`${JSON.stringify(item)}\n\n${JSON.stringify(item)}\n`)).toEqual([...expected, ...expected]);
+        });
+
+        it('should reject questions without expected sources or a reference answer', () => {
+            expect(() => ragEvaluationService.parseDataset('[{"question": "Kada dirbate?"}]'))
+                .toThrow('Question 1 needs expected_sources or a reference_answer');
+            expect(() => ragEvaluationService.parseDataset('{"question": "a", "reference_answer": "b"}\nnot json'))
+                .toThrow('Dataset line 2 is not valid JSON');
+        });
+    });
+
+    describe('evaluate', () => {
+        it('should compute hit-rate, MRR, answer similarity and latency without the semantic cache', async () => {
+            const rag = createRag({
+                'Kada dirbate?': {
+                    answer: 'Dirbame I-V nuo 8 iki 17',
+                    retrieved: [{ source: 'Kainoraštis' }, { source: 'Kontaktai', url: 'https://example.lt/kontaktai' }]
+                },
+                'Kur rasti formą?': {
+                    answer: 'Formos nerandu',
+                    retrieved: [{ source: 'Kontaktai' }]
+                }
+            });
+            const questions = ragEvaluationService.parseDataset([
+                { question: 'Kada dirbate?', expected_sources: ['example.lt/kontaktai'], reference_answer: 'I-V 8-17' },
+                { question: 'Kur rasti formą?', expected_sources: ['Prašymo forma'], reference_answer: 'Darbo laikas I-V 8-17' }
+            ]);
+
+            const { results, summary, settings } = await ragEvaluationService.evaluate(questions, { rag, embeddingFunction });
+
+            expect(rag.getAnswer).toHaveBeenCalledWith('Kada dirbate?', [], true, null, { bypassCache: true, feature: 'evaluation' });
+            expect(results.map(result => result.reciprocalRank)).toEqual([0.5, 0]);
+            expect(results.map(result => result.answerSimilarity)).toEqual([1, 0]);
+            expect(summary).toMatchObject({
+                questions: 2,
+                errors: 0,
+                retrieval: { evaluated: 2, hitRate: 0.5, mrr: 0.25 },
+                answerSimilarity: { evaluated: 2, mean: 0.5 }
+            });
+            expect(summary.latency.p95Ms).toEqual(expect.any(Number));
+            expect(settings).toMatchObject({ rag_k: 10, rag_reranker: 'none', model: 'test-model' });
+            expect(settings).not.toHaveProperty('rag_reranker_api_key');
+        });
+
+        it('should record failed questions without stopping the run', async () => {
+            const rag = createRag({
+                'Kada dirbate?': new Error('Provider timeout'),
+                'Kur rasti formą?': { answer: 'Forma FR-0512', retrieved: [{ source: 'Prašymo forma' }] }
+            });
+            const questions = ragEvaluationService.parseDataset([
+                { question: 'Kada dirbate?', expected_sources: ['Kontaktai'] },
+                { question: 'Kur rasti formą?', expected_sources: ['Prašymo forma'] }
+            ]);
+
+            const { results, summary } = await ragEvaluationService.evaluate(questions, { rag, embeddingFunction });
+
+            expect(results[0].error).toBe('Provider timeout');
+            expect(summary).toMatchObject({ errors: 1, retrieval: { evaluated: 1, hitRate: 1, mrr: 1 }, answerSimilarity: { evaluated: 0, mean: null } });
+        });
+    });
+
+    describe('runs', () => {
+        beforeEach(() => {
+            ragEvaluationService.activeRunId = null;
+            mockPrisma.rag_eval_datasets.findUnique.mockResolvedValue({
+                id: 'ds1',
+                name: 'Golden',
+                questions: [{ question: 'Kada dirbate?', expectedSources: ['Kontaktai'], referenceAnswer: null }]
+            });
+            mockPrisma.rag_eval_runs.create.mockResolvedValue({ id: 'run1', status: 'running' });
+            mockPrisma.rag_eval_runs.update.mockImplementation(async ({ data }) => ({ id: 'run1', ...data }));
+        });
+
+        it('should store the summary, results and settings of a completed run', async () => {
+            const rag = createRag({ 'Kada dirbate?': { answer: 'I-V', retrieved: [{ source: 'Kontaktai' }] } });
+
+            const run = await ragEvaluationService.startRun('ds1', { label: 'baseline', userId: 'admin-1', wait: true, rag });
+
+            expect(mockPrisma.rag_eval_runs.create).toHaveBeenCalledWith({
+                data: { dataset_id: 'ds1', label: 'baseline', status: 'running', created_by: 'admin-1' }
+            });
+            expect(run).toMatchObject({ status: 'completed', summary: { retrieval: { hitRate: 1, mrr: 1 } } });
+            expect(run.settings).toMatchObject({ rag_k: 10 });
+            expect(ragEvaluationService.activeRunId).toBeNull();
+        });
+
+        it('should refuse a second run while one is in progress', async () => {
+            ragEvaluationService.activeRunId = 'run0';
+
+            await expect(ragEvaluationService.startRun('ds1')).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        it('should report unknown datasets as not found', async () => {
+            mockPrisma.rag_eval_datasets.findUnique.mockResolvedValue(null);
+
+            await expect(ragEvaluationService.startRun('missing')).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the Rerank Service
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+jest.mock('langfuse', () => ({ Langfuse: jest.fn() }));
+
+const { Document } = require('@langchain/core/documents');
+const rerankService = require('../../src/services/rerankService');
+
+const makeDocs = () => [
+    new Document({ pageContent: 'a'.repeat(400), metadata: { source: 'Bendra informacija', retrieval_rank: 0 } }),
+    new Document({ pageContent: 'b'.repeat(400), metadata: { source: 'Darbo laikas', retrieval_rank: 1 } }),
+    new Document({ pageContent: 'c'.repeat(400), metadata: { source: 'Kontaktai', retrieval_rank: 2 } })
+];
+
+describe('RerankService', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('should leave documents untouched when disabled', async () => {
+        const docs = makeDocs();
+
+        const result = await rerankService.rerank('darbo laikas', docs, { strategy: 'none' });
+
+        expect(result.documents).toBe(docs);
+        expect(result.debug).toEqual({ strategy: 'none', applied: false });
+    });
+
+    it('should reorder documents by LLM scores', async () => {
+        const llm = { invoke: jest.fn().mockResolvedValue({ content: 'Įvertinimai: [2, 9, 5]' }) };
+
+        const result = await rerankService.rerank('darbo laikas', makeDocs(), { strategy: 'llm', llm });
+
+        expect(llm.invoke.mock.calls[0][0]).toContain('KLAUSIMAS: darbo laikas');
+        expect(llm.invoke.mock.calls[0][1].callbacks).toHaveLength(1);
+        expect(result.documents.map(doc => doc.metadata.source)).toEqual(['Darbo laikas', 'Kontaktai', 'Bendra informacija']);
+        expect(result.documents[0].metadata).toMatchObject({ rerank_score: 9, rerank_rank: 0 });
+        expect(result.debug).toMatchObject({ strategy: 'llm', applied: true, candidates: 3, kept: 3, dropped: [] });
+    });
+
+    it('should trim to the token budget and report dropped documents', async () => {
+        const llm = { invoke: jest.fn().mockResolvedValue({ content: '[2, 9]' }) };
+
+        const result = await rerankService.rerank('darbo laikas', makeDocs(), {
+            strategy: 'llm',
+            llm,
+            candidates: 2,
+            maxTokens: 150
+        });
+
+        expect(result.documents.map(doc => doc.metadata.source)).toEqual(['Darbo laikas']);
+        expect(result.debug.estimatedTokens).toBe(100);
+        expect(result.debug.dropped).toEqual([
+            { source: 'Kontaktai', url: undefined, retrievalRank: 2, rerankScore: null, reason: 'below_candidate_limit' },
+            { source: 'Bendra informacija', url: undefined, retrievalRank: 0, rerankScore: 2, reason: 'token_budget' }
+        ]);
+    });
+
+    it('should use cross-encoder scores from an HTTP endpoint', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            json: async () => ({ results: [{ index: 2, relevance_score: 0.91 }, { index: 0, relevance_score: 0.12 }] })
+        });
+
+        const result = await rerankService.rerank('kontaktai', makeDocs(), {
+            strategy: 'http',
+            url: 'http://reranker.local/rerank',
+            apiKey: 'secret',
+            model: 'rerank-multilingual'
+        });
+
+        const [url, request] = global.fetch.mock.calls[0];
+        expect(url).toBe('http://reranker.local/rerank');
+        expect(request.headers.Authorization).toBe('Bearer secret');
+        expect(JSON.parse(request.body)).toMatchObject({ model: 'rerank-multilingual', query: 'kontaktai' });
+        expect(result.documents.map(doc => doc.metadata.source)).toEqual(['Kontaktai', 'Bendra informacija', 'Darbo laikas']);
+    });
+
+    it('should keep retrieval order when the reranker fails', async () => {
+        global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+        const result = await rerankService.rerank('kontaktai', makeDocs(), {
+            strategy: 'http',
+            url: 'http://reranker.local/rerank'
+        });
+
+        expect(result.documents.map(doc => doc.metadata.source)).toEqual(['Bendra informacija', 'Darbo laikas', 'Kontaktai']);
+        expect(result.debug).toMatchObject({ applied: false, error: 'Reranker endpoint error: 503 Service Unavailable' });
+    });
+
+    it('should support registered rerankers', async () => {
+        rerankService.registerReranker('reverse', async (query, docs) => docs.map((doc, index) => index));
+
+        const result = await rerankService.rerank('kontaktai', makeDocs(), { strategy: 'reverse' });
+
+        expect(rerankService.getStrategies()).toContain('reverse');
+        expect(result.documents[0].metadata.source).toBe('Kontaktai');
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the Semantic Cache Service
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+
+const semanticCacheService = require('../../src/services/semanticCacheService');
+
+// Fixed vectors per query so similarity is predictable
+const VECTORS = {
+    'darbo laikas': [1, 0, 0],
+    'koks jūsų darbo laikas': [0.99, 0.05, 0],
+    'kaip užsiregistruoti': [0, 1, 0]
+};
+
+const answer = (text) => ({
+    answer: text,
+    sources: ['Darbo laikas (https://example.lt/kontaktai)'],
+    sourceUrls: ['https://example.lt/kontaktai'],
+    contextsUsed: 3
+});
+
+describe('SemanticCacheService', () => {
+    let embedder;
+
+    beforeEach(() => {
+        embedder = { generate: jest.fn(async (texts) => texts.map(text => VECTORS[text])) };
+        semanticCacheService.setEmbedder(embedder);
+        semanticCacheService.configure({ enabled: true, threshold: 0.95, ttlHours: 24, maxEntries: 100 });
+        semanticCacheService.invalidate('test_reset');
+        semanticCacheService.resetStats();
+    });
+
+    afterAll(() => {
+        semanticCacheService.setEmbedder(null);
+    });
+
+    it('should return a stored answer for a similar query', async () => {
+        const miss = await semanticCacheService.lookup('darbo laikas');
+        expect(miss.hit).toBe(false);
+        expect(semanticCacheService.store('darbo laikas', miss, answer('I-V 8-17 val.'))).toBe(true);
+
+        const hit = await semanticCacheService.lookup('koks jūsų darbo laikas');
+
+        expect(hit.hit).toBe(true);
+        expect(hit.similarity).toBeGreaterThan(0.95);
+        expect(hit.entry).toMatchObject({ query: 'darbo laikas', answer: 'I-V 8-17 val.', contextsUsed: 3, hits: 1 });
+    });
+
+    it('should miss when similarity is below the threshold', async () => {
+        const miss = await semanticCacheService.lookup('darbo laikas');
+        semanticCacheService.store('darbo laikas', miss, answer('I-V 8-17 val.'));
+
+        const result = await semanticCacheService.lookup('kaip užsiregistruoti');
+
+        expect(result.hit).toBe(false);
+        expect(result.reason).toBe('miss');
+    });
+
+    it('should not embed anything while disabled', async () => {
+        semanticCacheService.configure({ enabled: false });
+
+        const result = await semanticCacheService.lookup('darbo laikas');
+
+        expect(result).toMatchObject({ hit: false, reason: 'disabled' });
+        expect(embedder.generate).not.toHaveBeenCalled();
+    });
+
+    it('should treat embedding failures as a miss', async () => {
+        embedder.generate.mockRejectedValueOnce(new Error('Mistral unavailable'));
+
+        const result = await semanticCacheService.lookup('darbo laikas');
+
+        expect(result).toMatchObject({ hit: false, reason: 'embedding_failed' });
+        expect(semanticCacheService.getStats().errors).toBe(1);
+    });
+
+    it('should drop entries and skip in-flight answers when invalidated', async () => {
+        const first = await semanticCacheService.lookup('darbo laikas');
+        semanticCacheService.store('darbo laikas', first, answer('Senas atsakymas'));
+        const inFlight = await semanticCacheService.lookup('kaip užsiregistruoti');
+
+        expect(semanticCacheService.invalidate('document_ingested')).toBe(1);
+
+        expect(semanticCacheService.store('kaip užsiregistruoti', inFlight, answer('Registracija'))).toBe(false);
+        expect((await semanticCacheService.lookup('darbo laikas')).hit).toBe(false);
+        expect(semanticCacheService.getStats().lastInvalidation).toMatchObject({ reason: 'document_ingested', removed: 1 });
+    });
+
+    it('should evict the least recently used entry above maxEntries', async () => {
+        semanticCacheService.configure({ enabled: true, threshold: 0.95, maxEntries: 1 });
+
+        const first = await semanticCacheService.lookup('darbo laikas');
+        semanticCacheService.store('darbo laikas', first, answer('I-V 8-17 val.'));
+        const second = await semanticCacheService.lookup('kaip užsiregistruoti');
+        semanticCacheService.store('kaip užsiregistruoti', second, answer('Registracija'));
+
+        expect(semanticCacheService.getStats().entries).toBe(1);
+        expect((await semanticCacheService.lookup('kaip užsiregistruoti')).hit).toBe(true);
+    });
+
+    it('should report hit rate statistics', async () => {
+        const miss = await semanticCacheService.lookup('darbo laikas');
+        semanticCacheService.store('darbo laikas', miss, answer('I-V 8-17 val.'));
+        await semanticCacheService.lookup('darbo laikas');
+        await semanticCacheService.lookup('koks jūsų darbo laikas');
+
+        const stats = semanticCacheService.getStats();
+
+        expect(stats).toMatchObject({ hits: 2, misses: 1, lookups: 3, stores: 1, entries: 1 });
+        expect(stats.hitRate).toBeCloseTo(2 / 3);
+        expect(stats.topEntries[0]).toMatchObject({ query: 'darbo laikas', hits: 2 });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for SentimentService - sentiment and frustration scoring of customer messages
+ */
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn() }));
+jest.mock('../../src/services/conversationService');
+jest.mock('openai', () => jest.fn());
+jest.mock('../../ai-providers', () => ({
+    ...jest.requireActual('../../ai-providers'),
+    getAIProviderConfig: jest.fn(),
+    resolveChatModelConfig: jest.fn()
+}));
+
+const OpenAI = require('openai');
+const { getAIProviderConfig, resolveChatModelConfig } = require('../../ai-providers');
+const conversationService = require('../../src/services/conversationService');
+const sentimentService = require('../../src/services/sentimentService');
+
+const settings = {
+    enabled: true,
+    method: 'local',
+    autoPriority: true,
+    priorityThreshold: 0.7
+};
+
+describe('SentimentService', () => {
+    const useSettings = (overrides = {}) =>
+        jest.spyOn(sentimentService, 'getSentimentSettings').mockResolvedValue({ ...settings, ...overrides });
+
+    it('should score negative and frustrated messages in several languages', () => {
+        const lithuanian = sentimentService.classifyLocal('Jau trečią kartą rašau, vis dar niekas neatsako!!! Siaubingas aptarnavimas');
+        const english = sentimentService.classifyLocal('This is RIDICULOUS, nobody answers and the form is still not working');
+        const russian = sentimentService.classifyLocal('Опять ничего не работает, ужасный сервис');
+
+        expect(lithuanian.score).toBeLessThan(0);
+        expect(lithuanian.frustration).toBeGreaterThanOrEqual(0.7);
+        expect(english.frustration).toBeGreaterThanOrEqual(0.7);
+        expect(sentimentService.label(russian.score)).toBe('negative');
+        expect(russian.frustration).toBeGreaterThan(0);
+    });
+
+    it('should score thanks as positive and ordinary questions as neutral', () => {
+        const thanks = sentimentService.classifyLocal('Labai ačiū, puikiai padėjote!');
+        const question = sentimentService.classifyLocal('Kada dirba Antakalnio seniūnija?');
+
+        expect(sentimentService.label(thanks.score)).toBe('positive');
+        expect(question).toEqual({ score: 0, frustration: 0 });
+    });
+
+    it('should not match frustration phrases inside other words', () => {
+        // "жду" inside "между", "vel" inside "velykos"
+        expect(sentimentService.classifyLocal('Что между Вильнюсом и Каунасом?').frustration).toBe(0);
+        expect(sentimentService.classifyLocal('Ar dirbate per Velykas?').frustration).toBe(0);
+    });
+
+    it('should fall back to the local classifier when the LLM fails', async () => {
+        useSettings({ method: 'llm' });
+        jest.spyOn(sentimentService, 'classifyLLM').mockRejectedValue(new Error('Provider down'));
+
+        const sentiment = await sentimentService.scoreMessage('Ačiū!');
+
+        expect(sentiment).toMatchObject({ label: 'positive', method: 'local' });
+        expect(sentimentService.parseClassification('{"sentiment": -2, "frustration": 0.9}')).toEqual({ score: -1, frustration: 0.9 });
+    });
+
+    it('should give the LLM classifier one short attempt before the local classifier takes over', async () => {
+        useSettings({ method: 'llm' });
+        getAIProviderConfig.mockResolvedValue({});
+        resolveChatModelConfig.mockReturnValue({ provider: 'openrouter', rephrasingModel: 'google/gemini-2.5-flash-lite' });
+        const create = jest.fn().mockRejectedValue(Object.assign(new Error('Request timed out.'), { name: 'APIConnectionTimeoutError' }));
+        OpenAI.mockImplementation(() => ({ chat: { completions: { create } } }));
+
+        const sentiment = await sentimentService.scoreMessage('Siaubinga!!!');
+
+        expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({ timeout: expect.any(Number), maxRetries: 0 }));
+        expect(OpenAI.mock.calls[0][0].timeout).toBeLessThanOrEqual(10000);
+        expect(create).toHaveBeenCalledTimes(1);
+        expect(sentiment).toMatchObject({ label: 'negative', method: 'local' });
+    });
+
+    it('should not score messages when disabled', async () => {
+        useSettings({ enabled: false });
+
+        await expect(sentimentService.scoreMessage('Siaubinga!!!')).resolves.toBeNull();
+    });
+
+    it('should raise the priority of frustrated customers but never lower it', async () => {
+        useSettings();
+        conversationService.getConversation.mockResolvedValueOnce({ id: 'conv1', priority: 'medium' });
+        conversationService.getConversation.mockResolvedValueOnce({ id: 'conv2', priority: 'urgent' });
+
+        await expect(sentimentService.applyPriority('conv1', { frustration: 0.8 })).resolves.toBe('high');
+        await expect(sentimentService.applyPriority('conv2', { frustration: 0.95 })).resolves.toBeNull();
+        await expect(sentimentService.applyPriority('conv3', { frustration: 0.3 })).resolves.toBeNull();
+
+        expect(conversationService.updateConversation).toHaveBeenCalledTimes(1);
+        expect(conversationService.updateConversation).toHaveBeenCalledWith('conv1', { priority: 'high' });
+    });
+});
@@ -219,4 +219,63 @@ describe('StatisticsService', () => {
             }
         });
     });
+
+    describe('getAutopilotEscalations', () => {
+        it('should count escalations against all autopilot answers', async () => {
+            const startDate = new Date('2025-01-01');
+            const endDate = new Date('2025-01-31');
+
+            const mockCount = jest.fn(({ where }) =>
+                Promise.resolve(where.metadata.path[0] === 'messageType' ? 5 : 15)
+            );
+            const originalCount = prisma.messages.count;
+            prisma.messages.count = mockCount;
+
+            try {
+                const result = await statisticsService.getAutopilotEscalations(startDate, endDate);
+
+                expect(result).toEqual({ autopilotResponses: 15, escalations: 5, escalationRate: 25 });
+                expect(mockCount).toHaveBeenCalledWith({
+                    where: {
+                        created_at: { gte: startDate, lte: endDate },
+                        metadata: { path: ['messageType'], equals: 'escalation_notice' }
+                    }
+                });
+            } finally {
+                prisma.messages.count = originalCount;
+            }
+        });
+    });
+
+    describe('getSentimentTrends', () => {
+        it('should average scored customer messages per day', async () => {
+            const startDate = new Date('2025-01-01');
+            const endDate = new Date('2025-01-31');
+
+            const mockFindMany = jest.fn().mockResolvedValue([
+                { created_at: new Date('2025-01-02T09:00:00Z'), metadata: { sentiment: { score: -0.8, label: 'negative', frustration: 0.9 } } },
+                { created_at: new Date('2025-01-02T10:00:00Z'), metadata: { sentiment: { score: 0.4, label: 'positive', frustration: 0.1 } } },
+                { created_at: new Date('2025-01-01T12:00:00Z'), metadata: { sentiment: { score: 0, label: 'neutral', frustration: 0 } } },
+                { created_at: new Date('2025-01-01T13:00:00Z'), metadata: { file: { filename: 'a.pdf' } } },
+                { created_at: new Date('2025-01-01T14:00:00Z'), metadata: null }
+            ]);
+            const originalFindMany = prisma.messages.findMany;
+            prisma.messages.findMany = mockFindMany;
+
+            try {
+                const result = await statisticsService.getSentimentTrends(startDate, endDate, 'day');
+
+                expect(result).toEqual([
+                    { date: '2025-01-01', scored: 1, negative: 0, neutral: 1, positive: 0, frustrated: 0, averageScore: 0, averageFrustration: 0 },
+                    { date: '2025-01-02', scored: 2, negative: 1, neutral: 0, positive: 1, frustrated: 1, averageScore: -0.2, averageFrustration: 0.5 }
+                ]);
+                expect(mockFindMany.mock.calls[0][0].where).toEqual({
+                    created_at: { gte: startDate, lte: endDate },
+                    senderType: 'user'
+                });
+            } finally {
+                prisma.messages.findMany = originalFindMany;
+            }
+        });
+    });
 });
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for Suggestion Stream Service
+ */
+const suggestionStreamService = require('../../src/services/suggestionStreamService');
+
+describe('SuggestionStreamService', () => {
+    let mockIo;
+    let roomEmit;
+
+    beforeEach(() => {
+        roomEmit = jest.fn();
+        mockIo = {
+            to: jest.fn().mockReturnValue({ emit: roomEmit })
+        };
+        suggestionStreamService.activeStreams.clear();
+    });
+
+    it('should emit start, chunk and complete events to the agent room', () => {
+        const stream = suggestionStreamService.startStream(mockIo, 'conv1', 'agent1');
+
+        stream.onToken('Labas');
+        stream.complete({ messageId: 'msg1', suggestion: 'Labas' });
+
+        expect(mockIo.to).toHaveBeenCalledWith('agent:agent1');
+        expect(roomEmit).toHaveBeenCalledWith('ai-suggestion-started', { conversationId: 'conv1' });
+        expect(roomEmit).toHaveBeenCalledWith('ai-suggestion-chunk', { conversationId: 'conv1', delta: 'Labas' });
+        expect(roomEmit).toHaveBeenCalledWith('ai-suggestion-complete', {
+            conversationId: 'conv1',
+            cancelled: false,
+            messageId: 'msg1',
+            suggestion: 'Labas'
+        });
+        expect(suggestionStreamService.isStreaming('conv1')).toBe(false);
+    });
+
+    it('should abort the signal and stop forwarding chunks when cancelled', () => {
+        const stream = suggestionStreamService.startStream(mockIo, 'conv1', 'agent1');
+
+        expect(suggestionStreamService.cancelStream('conv1', 'agent1')).toBe(true);
+        expect(stream.signal.aborted).toBe(true);
+
+        roomEmit.mockClear();
+        stream.onToken('ignored');
+        expect(roomEmit).not.toHaveBeenCalled();
+
+        stream.complete({ suggestion: 'partial' });
+        expect(roomEmit).toHaveBeenCalledWith('ai-suggestion-complete', expect.objectContaining({
+            cancelled: true,
+            suggestion: 'partial'
+        }));
+    });
+
+    it('should not let another agent cancel the stream', () => {
+        const stream = suggestionStreamService.startStream(mockIo, 'conv1', 'agent1');
+
+        expect(suggestionStreamService.cancelStream('conv1', 'agent2')).toBe(false);
+        expect(stream.signal.aborted).toBe(false);
+        expect(suggestionStreamService.isStreaming('conv1')).toBe(true);
+    });
+
+    it('should abort the previous stream when a new one starts for the same conversation', () => {
+        const first = suggestionStreamService.startStream(mockIo, 'conv1', 'agent1');
+        const second = suggestionStreamService.startStream(mockIo, 'conv1', 'agent1');
+
+        expect(first.signal.aborted).toBe(true);
+        expect(second.signal.aborted).toBe(false);
+
+        // Completing the stale stream must not drop the active one
+        first.complete({});
+        expect(suggestionStreamService.isStreaming('conv1')).toBe(true);
+    });
+
+    it('should return false when there is nothing to cancel', () => {
+        expect(suggestionStreamService.cancelStream('unknown')).toBe(false);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for TranslationService - language detection and customer/agent translation
+ */
+const mockPrisma = { llm_usage: { create: jest.fn() } };
+const mockCreateCompletion = jest.fn();
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../src/services/conversationService');
+jest.mock('openai', () => jest.fn());
+jest.mock('../../ai-providers', () => ({
+    ...jest.requireActual('../../ai-providers'),
+    getAIProviderConfig: jest.fn(),
+    resolveChatModelConfig: jest.fn()
+}));
+
+const OpenAI = require('openai');
+const { getAIProviderConfig, resolveChatModelConfig } = require('../../ai-providers');
+const conversationService = require('../../src/services/conversationService');
+const translationService = require('../../src/services/translationService');
+const llmUsageService = require('../../src/services/llmUsageService');
+
+describe('TranslationService', () => {
+    const useSettings = (overrides = {}) =>
+        jest.spyOn(translationService, 'getTranslationSettings').mockResolvedValue({ enabled: true, agentLanguage: 'lt', ...overrides });
+
+    const useTranslation = (text = 'Išversta') =>
+        jest.spyOn(translationService, 'translate').mockResolvedValue({ text, model: 'test-model' });
+
+    it('should detect the supported languages', () => {
+        expect(translationService.detectLanguage('Kada dirba seniūnija šeštadienį?')).toBe('lt');
+        expect(translationService.detectLanguage('Laba diena, kur galiu gauti pazyma')).toBe('lt');
+        expect(translationService.detectLanguage('Where can I pay the parking fine?')).toBe('en');
+        expect(translationService.detectLanguage('Где можно оплатить штраф за парковку?')).toBe('ru');
+        expect(translationService.detectLanguage('Де можна отримати довідку про місце проживання?')).toBe('uk');
+        expect(translationService.detectLanguage('Gdzie mogę zapłacić mandat?')).toBe('pl');
+    });
+
+    it('should not guess the language of short or ambiguous messages', () => {
+        expect(translationService.detectLanguage('ok')).toBeNull();
+        expect(translationService.detectLanguage('123?')).toBeNull();
+        expect(translationService.detectLanguage('')).toBeNull();
+    });
+
+    it('should translate customer messages into the agent language and keep the original', async () => {
+        useSettings();
+        const translate = useTranslation('Kur galiu sumokėti baudą?');
+
+        const inbound = await translationService.translateInbound('Where can I pay the fine?', 'conv1');
+
+        expect(translate).toHaveBeenCalledWith('Where can I pay the fine?', 'en', 'lt', 'conv1');
+        expect(inbound).toEqual({
+            language: 'en',
+            translation: {
+                original: 'Where can I pay the fine?',
+                translated: 'Kur galiu sumokėti baudą?',
+                sourceLanguage: 'en',
+                targetLanguage: 'lt',
+                direction: 'inbound',
+                model: 'test-model'
+            }
+        });
+    });
+
+    it('should only record the language of messages in the agent language, or when translation fails', async () => {
+        useSettings();
+        const translate = jest.spyOn(translationService, 'translate').mockRejectedValue(new Error('Provider down'));
+
+        await expect(translationService.translateInbound('Kada dirba seniūnija?')).resolves.toEqual({ language: 'lt' });
+        expect(translate).not.toHaveBeenCalled();
+        await expect(translationService.translateInbound('Where can I pay the fine?')).resolves.toEqual({ language: 'en' });
+    });
+
+    it('should translate agent replies into the conversation language', async () => {
+        useSettings();
+        const translate = useTranslation('You can pay it online.');
+        conversationService.getMessages.mockResolvedValue([
+            { sender: 'visitor', content: 'Where can I pay the fine?', metadata: { language: 'en' } },
+            { sender: 'visitor', content: 'ok', metadata: null },
+            { sender: 'agent', content: 'Labas', metadata: null }
+        ]);
+
+        const outbound = await translationService.translateOutbound('Galite sumokėti internetu.', 'conv1');
+
+        expect(translate).toHaveBeenCalledWith('Galite sumokėti internetu.', 'lt', 'en', 'conv1');
+        expect(outbound).toMatchObject({
+            original: 'Galite sumokėti internetu.',
+            translated: 'You can pay it online.',
+            direction: 'outbound'
+        });
+    });
+
+    it('should send replies already in the customer language as they are', async () => {
+        useSettings();
+        const translate = useTranslation();
+        conversationService.getMessages.mockResolvedValue([
+            { sender: 'visitor', content: 'Where can I pay the fine?', metadata: { language: 'en' } }
+        ]);
+
+        await expect(translationService.translateOutbound('You can pay it online at the city website.', 'conv1')).resolves.toBeNull();
+        expect(translate).not.toHaveBeenCalled();
+    });
+
+    it('should ask for AI answers in the customer language only when it differs from the agents\'', async () => {
+        const english = [{ sender: 'visitor', metadata: { language: 'en' } }];
+        const lithuanian = [{ sender: 'visitor', metadata: { language: 'lt' } }];
+
+        useSettings();
+        await expect(translationService.getResponseLanguage(english)).resolves.toBe('en');
+        await expect(translationService.getResponseLanguage(lithuanian)).resolves.toBeNull();
+
+        useSettings({ enabled: false });
+        await expect(translationService.getResponseLanguage(english)).resolves.toBeNull();
+    });
+
+    it('should bound the translation call and record its usage for the conversation', async () => {
+        getAIProviderConfig.mockResolvedValue({});
+        resolveChatModelConfig.mockReturnValue({ provider: 'openrouter', rephrasingModel: 'google/gemini-2.5-flash-lite' });
+        OpenAI.mockImplementation(() => ({ chat: { completions: { create: mockCreateCompletion } } }));
+        mockCreateCompletion.mockResolvedValue({
+            usage: { prompt_tokens: 80, completion_tokens: 12 },
+            choices: [{ message: { content: ' Kur galiu sumokėti baudą? ' } }]
+        });
+        jest.spyOn(llmUsageService, 'checkBudget').mockResolvedValue({});
+
+        await expect(translationService.translate('Where can I pay the fine?', 'en', 'lt', 'conv1')).resolves
+            .toEqual({ text: 'Kur galiu sumokėti baudą?', model: 'google/gemini-2.5-flash-lite' });
+
+        expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({ timeout: expect.any(Number), maxRetries: 0 }));
+        expect(OpenAI.mock.calls[0][0].timeout).toBeLessThanOrEqual(10000);
+        expect(mockPrisma.llm_usage.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ feature: 'translation', prompt_tokens: 80, completion_tokens: 12, ticket_id: 'conv1' })
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for the vector store backends and their selection in ChromaService
+ */
+const mockPrisma = {
+    $executeRawUnsafe: jest.fn(),
+    $queryRawUnsafe: jest.fn(),
+    $transaction: jest.fn()
+};
+jest.mock('../../src/utils/database', () => ({ getClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../src/services/mistralEmbeddingFunction', () => jest.fn().mockImplementation(() => ({
+    provider: 'mistral',
+    generate: jest.fn(async (texts) => texts.map(() => [0.1, 0.2, 0.3])),
+    getModel: () => 'mistral-embed',
+    resolveDimension: async () => 3
+})));
+jest.mock('../../src/services/settingsService', () => jest.fn().mockImplementation(() => ({
+    getSetting: jest.fn(async () => undefined)
+})));
+
+const { createVectorStore } = require('../../src/services/vectorStores');
+const ChromaVectorStore = require('../../src/services/vectorStores/ChromaVectorStore');
+const PgVectorStore = require('../../src/services/vectorStores/PgVectorStore');
+const chromaService = require('../../src/services/chromaService');
+const keywordIndexService = require('../../src/services/keywordIndexService');
+
+describe('Vector stores', () => {
+    const originalVectorStore = process.env.VECTOR_STORE;
+
+    beforeEach(() => {
+        mockPrisma.$executeRawUnsafe.mockResolvedValue(0);
+        mockPrisma.$transaction.mockImplementation(async (operations) => Promise.all(operations));
+        keywordIndexService.clear();
+    });
+
+    afterEach(() => {
+        if (originalVectorStore === undefined) {
+            delete process.env.VECTOR_STORE;
+        } else {
+            process.env.VECTOR_STORE = originalVectorStore;
+        }
+    });
+
+    describe('createVectorStore', () => {
+        it('should default to Chroma Cloud and support a local Chroma server and pgvector', () => {
+            expect(createVectorStore(undefined, { collectionName: 'kb' })).toMatchObject({ type: 'chroma-cloud', mode: 'cloud' });
+            expect(createVectorStore('chroma', { collectionName: 'kb' })).toBeInstanceOf(ChromaVectorStore);
+            expect(createVectorStore('chroma', { collectionName: 'kb' }).type).toBe('chroma');
+            expect(createVectorStore('pgvector', { collectionName: 'kb' })).toBeInstanceOf(PgVectorStore);
+        });
+
+        it('should reject unknown backends', () => {
+            expect(() => createVectorStore('qdrant', { collectionName: 'kb' }))
+                .toThrow('Unknown VECTOR_STORE "qdrant". Supported: chroma-cloud, chroma, pgvector');
+        });
+    });
+
+    describe('PgVectorStore', () => {
+        it('should create a table sized to the recorded embedding dimension with an HNSW index', async () => {
+            const store = new PgVectorStore({ collectionName: 'kb' });
+            mockPrisma.$queryRawUnsafe.mockResolvedValue([{ metadata: { embedding_dimension: 3 } }]);
+
+            await store.connect();
+            await store.openCollection({ embedding_provider: 'mistral', embedding_dimension: 3 });
+
+            const statements = mockPrisma.$executeRawUnsafe.mock.calls.map(([sql]) => sql);
+            expect(statements[0]).toBe('CREATE EXTENSION IF NOT EXISTS vector');
+            expect(statements[3]).toContain('INSERT INTO vector_store.collections');
+            expect(statements[4]).toContain('CREATE TABLE IF NOT EXISTS vector_store."kb"');
+            expect(statements[4]).toContain('embedding vector(3) NOT NULL');
+            expect(statements[5]).toContain('USING hnsw (embedding vector_cosine_ops)');
+        });
+
+        it('should skip the HNSW index for embeddings pgvector cannot index', async () => {
+            const store = new PgVectorStore({ collectionName: 'kb' });
+            mockPrisma.$queryRawUnsafe.mockResolvedValue([{ metadata: { embedding_dimension: 3072 } }]);
+
+            await store.connect();
+            await expect(store.openCollection({ embedding_provider: 'openai', embedding_dimension: 3072 })).resolves.toBeUndefined();
+
+            const statements = mockPrisma.$executeRawUnsafe.mock.calls.map(([sql]) => sql);
+            expect(statements[4]).toContain('embedding vector(3072) NOT NULL');
+            expect(statements.some(sql => sql.includes('USING hnsw'))).toBe(false);
+        });
+
+        it('should upsert chunks with their embeddings and map query rows', async () => {
+            const store = new PgVectorStore({ collectionName: 'kb' });
+            await store.connect();
+            mockPrisma.$executeRawUnsafe.mockClear();
+            mockPrisma.$queryRawUnsafe.mockResolvedValue([
+                { id: 'c1', content: 'Darbo laikas', metadata: { source: 'Kontaktai' }, distance: 0.12 }
+            ]);
+
+            await store.upsert({ ids: ['c1'], documents: ['Darbo laikas'], metadatas: [{ source: 'Kontaktai' }], embeddings: [[1, 0, 0.5]] });
+            const results = await store.query({ embedding: [1, 0, 0.5], nResults: 2 });
+
+            expect(mockPrisma.$executeRawUnsafe.mock.calls[0].slice(1)).toEqual([
+                'c1', 'Darbo laikas', '{"source":"Kontaktai"}', '[1,0,0.5]'
+            ]);
+            expect(mockPrisma.$queryRawUnsafe.mock.calls[0].slice(1)).toEqual(['[1,0,0.5]', 2]);
+            expect(results).toEqual([{ id: 'c1', content: 'Darbo laikas', metadata: { source: 'Kontaktai' }, distance: 0.12 }]);
+        });
+
+        it('should reject collection names that are not safe table names', () => {
+            expect(() => new PgVectorStore({ collectionName: 'kb"; DROP TABLE users; --' }))
+                .toThrow('Invalid pgvector collection name');
+            // The index name adds "_hnsw" and PostgreSQL truncates identifiers past 63 characters
+            expect(() => new PgVectorStore({ collectionName: 'k'.repeat(59) })).toThrow('Invalid pgvector collection name');
+            expect(new PgVectorStore({ collectionName: 'k'.repeat(58) }).collectionName).toHaveLength(58);
+        });
+
+        it('should refuse chunks without embeddings', async () => {
+            const store = new PgVectorStore({ collectionName: 'kb' });
+
+            await expect(store.upsert({ ids: ['c1'], documents: ['x'], metadatas: [{}], embeddings: null }))
+                .rejects.toThrow('pgvector store requires embeddings');
+        });
+    });
+
+    describe('ChromaService on pgvector', () => {
+        it('should route chunk operations through the selected store', async () => {
+            process.env.VECTOR_STORE = 'pgvector';
+            mockPrisma.$queryRawUnsafe
+                .mockResolvedValueOnce([])
+                .mockResolvedValueOnce([{ metadata: { embedding_provider: 'mistral', embedding_dimension: 3 } }])
+                .mockResolvedValue([{ id: 'c1', content: 'Prašymo forma FR-0512', metadata: {}, distance: 0.2 }]);
+
+            expect(await chromaService.initialize()).toBe(true);
+            expect(await chromaService.addDocuments([{ id: 'c1', content: 'Prašymo forma FR-0512' }])).toBe(true);
+            const results = await chromaService.searchContext('forma', 1);
+            await chromaService.deleteChunks(['c1']);
+
+            expect(chromaService.store.type).toBe('pgvector');
+            expect(chromaService.embedding).toEqual({ provider: 'mistral', model: 'mistral-embed', dimension: 3, baseUrl: null });
+            expect(results[0]).toMatchObject({ id: 'c1', distance: 0.2 });
+            expect(mockPrisma.$executeRawUnsafe).toHaveBeenLastCalledWith(
+                expect.stringContaining(`DELETE FROM vector_store."${chromaService.collectionName}"`), ['c1']
+            );
+            expect(keywordIndexService.getStats().chunks).toBe(0);
+        });
+    });
+});
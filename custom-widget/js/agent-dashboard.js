@@ -178,6 +178,9 @@ class AgentDashboard {
                 onCustomerTyping: (data) => this.handleCustomerTyping(data),
                 onNewConversation: (data) => this.handleNewConversation(data),
                 onAgentSentMessage: (data) => this.handleAgentSentMessage(data),
+                onAISuggestionStarted: (data) => this.chatManager.handleSuggestionStreamStarted(data),
+                onAISuggestionChunk: (data) => this.chatManager.handleSuggestionStreamChunk(data),
+                onAISuggestionComplete: (data) => this.chatManager.handleSuggestionStreamComplete(data),
                 onError: (error) => console.error('WebSocket error:', error)
             }
         });
@@ -1112,6 +1115,13 @@ class AgentDashboard {
         this.chatManager.writeFromScratch();
     }
 
+    /**
+     * Stop an AI suggestion that is still streaming
+     */
+    cancelAISuggestion() {
+        this.chatManager.cancelAISuggestion();
+    }
+
     /**
      * Load messages for a conversation
      * @param {string} conversationId - ID of conversation
@@ -1275,6 +1285,12 @@ class AgentDashboard {
         // Update conversation timestamp in frontend data to ensure correct sorting
         this.updateConversationTimestamp(data.conversationId, message.timestamp || new Date().toISOString());
 
+        // Keep the queue mood indicator on the latest scored customer message
+        const sentiment = data.message && data.message.metadata && data.message.metadata.sentiment;
+        if (sentiment) {
+            this.updateConversationSentiment(data.conversationId, sentiment);
+        }
+
         // For current chat: quickly reload messages to show new message and generate suggestions
         if (data.conversationId === this.stateManager.getCurrentChatId()) {
             console.log('⚡ WebSocket: Current chat - reloading messages to show new message');
@@ -1316,7 +1332,11 @@ class AgentDashboard {
 
                 // Handle AI suggestions with loading state
                 const messageSender = (data.message && data.message.sender) || data.sender;
-                if (this.systemMode === 'hitl' && (messageSender === 'customer' || messageSender === 'visitor')) {
+                const streamingSuggestion = this.chatManager.streamingSuggestion;
+                if (streamingSuggestion && streamingSuggestion.conversationId === data.conversationId) {
+                    // Suggestion is already streaming over the socket - no need to poll
+                    console.log('🤖 AI suggestion already streaming, skipping polling');
+                } else if (this.systemMode === 'hitl' && (messageSender === 'customer' || messageSender === 'visitor')) {
                     console.log('💬 Customer/visitor message received, processing AI suggestion');
                     console.log('🔥 DEBUG: messageSender:', messageSender, 'data:', data);
 
@@ -1374,6 +1394,25 @@ class AgentDashboard {
         }
     }
 
+    /**
+     * Update the customer sentiment in cached conversation data
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} sentiment - Score of the new customer message
+     */
+    updateConversationSentiment(conversationId, sentiment) {
+        const caches = [
+            this.modernConversationLoader && this.modernConversationLoader.allConversations,
+            this.stateManager && this.stateManager.allConversations
+        ];
+
+        caches.forEach(conversations => {
+            const conversation = conversations && conversations.find(c => c.id === conversationId);
+            if (conversation) {
+                conversation.sentiment = sentiment;
+            }
+        });
+    }
+
     /**
      * Handle agents update from socket manager
      * @param {Object} data - Agents data
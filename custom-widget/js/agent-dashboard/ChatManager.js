@@ -6,6 +6,7 @@
 
 // Import UI helpers
 import { UIHelpers } from './UIHelpers.js';
+import { WEBSOCKET_EVENTS } from './ui/constants.js';
 
 export class ChatManager {
     constructor(dashboard) {
@@ -14,6 +15,9 @@ export class ChatManager {
         this.apiManager = dashboard.apiManager;
         this.conversationRenderer = dashboard.conversationRenderer;
         this.systemMode = dashboard.systemMode;
+
+        // Suggestion currently streaming over the socket: { conversationId, text }
+        this.streamingSuggestion = null;
     }
 
     /**
@@ -38,6 +42,10 @@ export class ChatManager {
             console.log('🛑 Canceling AI suggestion polling when switching conversations');
             this.dashboard.currentPollingId = null;
         }
+
+        // Chunks for the previous conversation are ignored from now on
+        this.streamingSuggestion = null;
+        this._setCancelSuggestionVisible(false);
         
         this.stateManager.setCurrentChatId(conversationId);
 
@@ -95,7 +103,7 @@ export class ChatManager {
             const data = await this.apiManager.loadConversationMessages(conversationId);
             
             this.stateManager.setConversation(conversationId, data);
-            this.conversationRenderer.renderMessages(data.messages);
+            this.conversationRenderer.renderMessages(data.messages, data.summary);
         } catch (error) {
             console.error('Error loading messages:', error);
         }
@@ -183,12 +191,13 @@ export class ChatManager {
             if (input) input.disabled = true;
             if (sendButton) sendButton.disabled = true;
             
-            // Send message
+            // Send message with the suggestion it was based on, so edits can be measured
+            const usedSuggestion = suggestionAction === 'from-scratch' ? undefined : this.stateManager.getCurrentSuggestion() || undefined;
             const response = await this.apiManager.sendAgentMessage(
                 this.stateManager.getCurrentChatId(), 
                 message, 
                 suggestionAction,
-                {} // Empty metadata object
+                { usedSuggestion }
             );
             
             if (response.success === true) {
@@ -241,6 +250,9 @@ export class ChatManager {
             const data = await this.apiManager.getAISuggestion(this.stateManager.getCurrentChatId());
             if (data && data.suggestion) {
                 this.showAISuggestion(data.suggestion, data.confidence, data.metadata || {});
+            } else if (data && data.cancelled) {
+                // Agent stopped generation before any text - stream handler already notified
+                this.hideAISuggestion();
             } else {
                 // Hide loading if no suggestion received
                 this.hideAISuggestion();
@@ -286,6 +298,7 @@ export class ChatManager {
         if (suggestionText) {
             suggestionText.innerHTML = this.conversationRenderer.markdownToHtml(suggestion);
         }
+        this._renderSuggestionCitations(metadata.citations);
         
         // Update header based on metadata
         const headerText = metadata.messageCount > 1 
@@ -303,6 +316,7 @@ export class ChatManager {
             button.disabled = false;
             button.style.opacity = '1';
         });
+        this._setCancelSuggestionVisible(false);
         
         if (panel) {
             panel.classList.remove('hidden');
@@ -325,10 +339,50 @@ export class ChatManager {
         if (suggestionText) {
             suggestionText.textContent = '';
         }
-        
+        this._renderSuggestionCitations([]);
+
+        this._setCancelSuggestionVisible(false);
         this.stateManager.setCurrentSuggestion(null);
     }
 
+    /**
+     * Show the sources a suggestion was based on so the agent can verify it
+     * @param {Array<{index: number, title: string, url: string|null}>} citations
+     */
+    _renderSuggestionCitations(citations) {
+        const container = document.getElementById('ai-suggestion-citations');
+        if (!container) return;
+
+        if (!Array.isArray(citations) || citations.length === 0) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        const items = citations.map(citation => {
+            const title = UIHelpers.escapeHtml(citation.title || citation.url || '');
+            const url = this._safeCitationUrl(citation.url);
+            return url
+                ? `<li><a href="${UIHelpers.escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="text-indigo-600 hover:underline">${title}</a></li>`
+                : `<li>${title}</li>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="font-medium text-gray-600 mb-1">Sources</div>
+            <ol class="list-decimal list-inside space-y-0.5">${items}</ol>
+        `;
+        container.classList.remove('hidden');
+    }
+
+    _safeCitationUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch {
+            return null;
+        }
+    }
+
     /**
      * Show AI suggestion loading state
      */
@@ -344,6 +398,7 @@ export class ChatManager {
                 </div>
             `;
         }
+        this._renderSuggestionCitations([]);
         
         // Update header for loading state
         const headerElement = document.querySelector('#ai-suggestion-panel .font-semibold');
@@ -365,6 +420,101 @@ export class ChatManager {
         console.log('🤖 AI suggestion loading state shown');
     }
 
+    /**
+     * Handle start of a streamed AI suggestion (HITL mode)
+     * The live stream replaces pending-suggestion polling for this message
+     * @param {Object} data - { conversationId }
+     */
+    handleSuggestionStreamStarted(data) {
+        if (!data || data.conversationId !== this.stateManager.getCurrentChatId()) return;
+
+        if (this.dashboard.currentPollingId) {
+            console.log('🛑 Suggestion is streaming - stopping pending-suggestion polling');
+            this.dashboard.currentPollingId = null;
+        }
+
+        this.streamingSuggestion = { conversationId: data.conversationId, text: '' };
+        this.showAISuggestionLoading();
+        this._setCancelSuggestionVisible(true);
+    }
+
+    /**
+     * Render a streamed suggestion token in the suggestion panel
+     * @param {Object} data - { conversationId, delta }
+     */
+    handleSuggestionStreamChunk(data) {
+        if (!data || data.conversationId !== this.stateManager.getCurrentChatId()) return;
+
+        // Chat was selected mid-stream - show what arrives from here on
+        if (!this.streamingSuggestion || this.streamingSuggestion.conversationId !== data.conversationId) {
+            this.handleSuggestionStreamStarted(data);
+        }
+
+        this.streamingSuggestion.text += data.delta || '';
+
+        const suggestionText = document.getElementById('ai-suggestion-text');
+        if (suggestionText) {
+            suggestionText.innerHTML = this.conversationRenderer.markdownToHtml(this.streamingSuggestion.text);
+            suggestionText.scrollTop = suggestionText.scrollHeight;
+        }
+
+        const headerElement = document.querySelector('#ai-suggestion-panel .font-semibold');
+        if (headerElement) {
+            headerElement.textContent = 'AI Suggestion (Generating...)';
+        }
+    }
+
+    /**
+     * Show the final streamed suggestion (or clear the panel if cancelled before any text)
+     * @param {Object} data - { conversationId, suggestion, cancelled, metadata }
+     */
+    handleSuggestionStreamComplete(data) {
+        if (!data || data.conversationId !== this.stateManager.getCurrentChatId()) return;
+
+        this.streamingSuggestion = null;
+        this.dashboard.currentPollingId = null;
+
+        if (data.suggestion) {
+            this.showAISuggestion(data.suggestion, null, data.metadata || {});
+        } else {
+            this.hideAISuggestion();
+        }
+
+        if (data.cancelled) {
+            this.dashboard.showToast('AI suggestion generation stopped', 'info');
+        }
+    }
+
+    /**
+     * Ask the backend to stop the suggestion that is currently streaming
+     */
+    cancelAISuggestion() {
+        if (!this.streamingSuggestion) return;
+
+        this.dashboard.socketManager.emit(WEBSOCKET_EVENTS.CANCEL_AI_SUGGESTION, {
+            conversationId: this.streamingSuggestion.conversationId
+        });
+
+        const headerElement = document.querySelector('#ai-suggestion-panel .font-semibold');
+        if (headerElement) {
+            headerElement.textContent = 'AI Suggestion (Stopping...)';
+        }
+        this._setCancelSuggestionVisible(false);
+    }
+
+    /**
+     * Toggle the stop button; it stays clickable while other panel buttons are disabled
+     * @param {boolean} visible - Whether the button should be shown
+     */
+    _setCancelSuggestionVisible(visible) {
+        const cancelButton = document.getElementById('cancel-suggestion-btn');
+        if (!cancelButton) return;
+
+        cancelButton.classList.toggle('hidden', !visible);
+        cancelButton.disabled = !visible;
+        cancelButton.style.opacity = '1';
+    }
+
     /**
      * Send AI suggestion as-is
      */
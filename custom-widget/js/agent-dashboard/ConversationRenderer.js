@@ -328,6 +328,7 @@ export class ConversationRenderer {
                                 ${unseenCount > 0 ? `<span class="inline-flex items-center justify-center px-2 py-1 text-xs font-bold leading-none text-white bg-red-600 rounded-full">${unseenCount}</span>` : ''}
                                 ${conv.archived ? '<i class="fas fa-archive text-gray-400" title="Archived"></i>' : ''}
                                 ${this.renderCategoryBadge(conv.categoryData, conv.categoryMetadata)}
+                                ${this.renderSentimentIndicator(conv.sentiment)}
                             </div>
                             <div class="text-xs text-gray-500">
                                 ${UIHelpers.formatConversationDate(conv.startedAt)}
@@ -354,17 +355,50 @@ export class ConversationRenderer {
         `;
     }
 
+    /**
+     * Render the customer mood indicator for a queue item
+     * @param {Object|null} sentiment - Latest customer message score { score, label, frustration }
+     * @returns {string} HTML string, empty for neutral or unscored conversations
+     */
+    renderSentimentIndicator(sentiment) {
+        if (!sentiment) return '';
+
+        const frustration = Number(sentiment.frustration) || 0;
+        let icon;
+        let css;
+        let label;
+        if (frustration >= 0.7) {
+            icon = 'fa-angry';
+            css = 'text-red-600';
+            label = 'Frustrated customer';
+        } else if (sentiment.label === 'negative') {
+            icon = 'fa-frown';
+            css = 'text-orange-500';
+            label = 'Negative sentiment';
+        } else if (sentiment.label === 'positive') {
+            icon = 'fa-smile';
+            css = 'text-green-600';
+            label = 'Positive sentiment';
+        } else {
+            return '';
+        }
+
+        const tooltip = `${label} (sentiment ${Number(sentiment.score).toFixed(2)}, frustration ${frustration.toFixed(2)})`;
+        return `<i class="fas ${icon} ${css}" title="${UIHelpers.escapeHtml(tooltip)}" data-sentiment="${UIHelpers.escapeHtml(sentiment.label || '')}"></i>`;
+    }
+
     /**
      * Render chat messages in the message container
      * @param {Array} messages - Array of message objects
+     * @param {Object|null} summary - AI handoff summary shown above the messages
      */
-    renderMessages(messages) {
+    renderMessages(messages, summary = null) {
         const container = document.getElementById('chat-messages');
         if (!container) return;
         
         const filteredMessages = this.filterSystemMessages(messages);
         
-        container.innerHTML = filteredMessages.map(msg => this.renderMessage(msg)).join('');
+        container.innerHTML = this.renderSummary(summary) + filteredMessages.map(msg => this.renderMessage(msg)).join('');
         container.scrollTop = container.scrollHeight;
         
         // Update conversation preview with the last message
@@ -377,6 +411,35 @@ export class ConversationRenderer {
         }
     }
 
+    /**
+     * Render the AI handoff summary card
+     * @param {Object|null} summary - { issue, resolution, openQuestions, trigger, generatedAt }
+     * @returns {string} HTML string, empty without a summary
+     */
+    renderSummary(summary) {
+        if (!summary || !summary.issue) return '';
+
+        const triggerLabels = { reassign: 'reassignment', end: 'conversation end', archive: 'archive' };
+        const generated = summary.generatedAt ? new Date(summary.generatedAt).toLocaleString() : '';
+        const openQuestions = Array.isArray(summary.openQuestions) ? summary.openQuestions : [];
+
+        return `
+            <div class="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-sm text-indigo-900" data-conversation-summary>
+                <div class="flex items-center justify-between mb-2">
+                    <span class="font-semibold"><i class="fas fa-clipboard-list mr-1"></i> Conversation Summary</span>
+                    <span class="text-xs text-indigo-600">${UIHelpers.escapeHtml(`${triggerLabels[summary.trigger] || summary.trigger || ''} ${generated ? '• ' + generated : ''}`.trim())}</span>
+                </div>
+                <div><span class="font-medium">Issue:</span> ${UIHelpers.escapeHtml(summary.issue)}</div>
+                ${summary.resolution ? `<div class="mt-1"><span class="font-medium">Resolution:</span> ${UIHelpers.escapeHtml(summary.resolution)}</div>` : ''}
+                ${openQuestions.length > 0 ? `
+                    <div class="mt-1"><span class="font-medium">Open questions:</span>
+                        <ul class="list-disc list-inside">${openQuestions.map(question => `<li>${UIHelpers.escapeHtml(question)}</li>`).join('')}</ul>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Append a single message to the chat UI without reloading all messages
      * @param {Object} message - Message object to append
@@ -481,9 +544,13 @@ export class ConversationRenderer {
                 }
             }
         } else {
+            const translation = msg.metadata && msg.metadata.translation;
+            // Agents read customer messages translated and their own replies as they wrote them
+            const displayedText = translation ? (isCustomer ? translation.translated : translation.original) : msg.content;
             formattedContent = (isAI || isAgent) ?
-                this.markdownToHtml(msg.content) :
-                UIHelpers.escapeHtml(msg.content);
+                this.markdownToHtml(displayedText) :
+                UIHelpers.escapeHtml(displayedText);
+            formattedContent += this.renderTranslationToggle(msg);
         }
 
         return `
@@ -495,12 +562,51 @@ export class ConversationRenderer {
                     <div class="text-xs text-gray-500 mt-1 ${(isCustomer || isSystem) ? '' : 'text-right'}">
                         ${getMessageSenderLabel(isAI, isAgent, isSystem, msg)} •
                         ${new Date(msg.timestamp).toLocaleTimeString()}
+                        ${this.renderScreeningFlag(msg)}
                     </div>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Collapsible other side of a translated message: the customer's original, or the reply as delivered
+     * @param {Object} msg - Message object
+     * @returns {string} HTML string, empty when the message was not translated
+     */
+    renderTranslationToggle(msg) {
+        const translation = msg.metadata && msg.metadata.translation;
+        if (!translation || !translation.translated) return '';
+
+        const inbound = translation.direction === 'inbound';
+        const language = String((inbound ? translation.sourceLanguage : translation.targetLanguage) || '').toUpperCase();
+        const label = inbound ? `Translated from ${language} • show original` : `Sent in ${language} • show delivered text`;
+        const otherText = inbound ? translation.original : translation.translated;
+
+        return `
+            <details class="mt-2 text-xs opacity-80" data-translation-toggle>
+                <summary class="cursor-pointer select-none"><i class="fas fa-language mr-1"></i>${UIHelpers.escapeHtml(label)}</summary>
+                <div class="mt-1 whitespace-pre-wrap">${UIHelpers.escapeHtml(otherText)}</div>
+            </details>
+        `;
+    }
+
+    /**
+     * Label for customer messages flagged by input screening
+     * @param {Object} msg - Message object
+     * @returns {string} HTML string, empty when the message was not flagged
+     */
+    renderScreeningFlag(msg) {
+        const screening = msg.metadata && msg.metadata.screening;
+        if (!screening || !screening.flagged) return '';
+
+        const categories = (screening.categories || []).map(category => category.replace(/_/g, ' ')).join(', ');
+        const actionLabels = { block: 'blocked', sanitize: 'sanitized', escalate: 'routed to agent' };
+        const label = `Flagged: ${categories || 'screening'} (${actionLabels[screening.action] || screening.action})`;
+
+        return `• <span class="text-amber-700 font-medium" title="${UIHelpers.escapeHtml(label)}"><i class="fas fa-exclamation-triangle"></i> ${UIHelpers.escapeHtml(label)}</span>`;
+    }
+
     /**
      * Get CSS classes for message bubble
      * @param {boolean} isCustomer - Is customer message
@@ -98,11 +98,26 @@ export class DebugManager {
                     title: '2. Query Rephrasing (LLM Call #1)',
                     data: langchainDebug.step2_queryRephrasing
                 },
+                {
+                    id: 'faq-match',
+                    title: '2b. FAQ Match',
+                    data: langchainDebug.step2b_faqMatch
+                },
                 {
                     id: 'document-retrieval',
                     title: '3. Document Retrieval',
                     data: langchainDebug.step3_documentRetrieval
                 },
+                {
+                    id: 'reranking',
+                    title: '3b. Re-ranking & Token Budget',
+                    data: langchainDebug.step3b_reranking
+                },
+                {
+                    id: 'tool-calls',
+                    title: '3c. Live Data Tool Calls',
+                    data: langchainDebug.step3c_toolCalls
+                },
                 {
                     id: 'context-formatting',
                     title: '4. Context Formatting',
@@ -255,6 +270,12 @@ export class DebugManager {
                 highlights.push(`Metadata: ${data.documentsMetadata.length} entries`);
             }
             if (data.documentsUsed) highlights.push(`Used: ${data.documentsUsed}`);
+
+            // Re-ranking fields
+            if (data.strategy) highlights.push(`Re-ranker: ${data.strategy}`);
+            if (data.kept !== undefined) highlights.push(`Kept: ${data.kept}`);
+            if (data.dropped && Array.isArray(data.dropped)) highlights.push(`Dropped: ${data.dropped.length}`);
+            if (data.tokenBudget) highlights.push(`Budget: ${data.estimatedTokens}/${data.tokenBudget} tokens`);
             
             // Content length fields
             if (data.contextLength) highlights.push(`Context: ${data.contextLength} chars`);
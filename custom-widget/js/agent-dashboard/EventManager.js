@@ -184,6 +184,7 @@ export class EventManager {
         const sendAsIsBtn = document.getElementById('send-as-is-btn');
         const editSuggestionBtn = document.getElementById('edit-suggestion-btn');
         const writeFromScratchBtn = document.getElementById('write-from-scratch-btn');
+        const cancelSuggestionBtn = document.getElementById('cancel-suggestion-btn');
         if (sendAsIsBtn) {
             sendAsIsBtn.addEventListener('click', () => this.dashboard.sendAsIs());
         }
@@ -195,6 +196,10 @@ export class EventManager {
         if (writeFromScratchBtn) {
             writeFromScratchBtn.addEventListener('click', () => this.dashboard.writeFromScratch());
         }
+
+        if (cancelSuggestionBtn) {
+            cancelSuggestionBtn.addEventListener('click', () => this.dashboard.cancelAISuggestion());
+        }
     }
 
     /**
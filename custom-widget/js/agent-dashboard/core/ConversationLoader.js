@@ -209,6 +209,11 @@ class ConversationFilter {
                 }
             }
 
+            // Search in AI handoff summary
+            if (conv.summary && conv.summary.toLowerCase().includes(query)) {
+                return true;
+            }
+
             // Search in last message content
             if (conv.lastMessage && conv.lastMessage.content) {
                 const messageContent = conv.lastMessage.content.toLowerCase();
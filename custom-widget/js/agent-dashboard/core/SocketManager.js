@@ -147,6 +147,27 @@ class SocketManager {
             }
         });
         
+        // Streamed AI suggestions for conversations assigned to this agent
+        this.socket.on(WEBSOCKET_EVENTS.AI_SUGGESTION_STARTED, (data) => {
+            console.log('🤖 AI suggestion stream started:', data);
+            if (this.eventHandlers.onAISuggestionStarted) {
+                this.eventHandlers.onAISuggestionStarted(data);
+            }
+        });
+
+        this.socket.on(WEBSOCKET_EVENTS.AI_SUGGESTION_CHUNK, (data) => {
+            if (this.eventHandlers.onAISuggestionChunk) {
+                this.eventHandlers.onAISuggestionChunk(data);
+            }
+        });
+
+        this.socket.on(WEBSOCKET_EVENTS.AI_SUGGESTION_COMPLETE, (data) => {
+            console.log('🤖 AI suggestion stream complete:', data);
+            if (this.eventHandlers.onAISuggestionComplete) {
+                this.eventHandlers.onAISuggestionComplete(data);
+            }
+        });
+
         // Socket.io error handling
         this.socket.on('error', (error) => {
             console.error('💥 WebSocket error:', error);
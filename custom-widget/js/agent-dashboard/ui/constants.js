@@ -234,6 +234,7 @@ export const ELEMENT_IDS = {
     SEND_AS_IS_BTN: 'send-as-is-btn',
     EDIT_SUGGESTION_BTN: 'edit-suggestion-btn',
     WRITE_FROM_SCRATCH_BTN: 'write-from-scratch-btn',
+    CANCEL_SUGGESTION_BTN: 'cancel-suggestion-btn',
 };
 
 /**
@@ -257,13 +258,17 @@ export const WEBSOCKET_EVENTS = {
     JOIN_AGENT_DASHBOARD: 'join-agent-dashboard',
     AGENT_TYPING: 'agent-typing',
     HEARTBEAT: 'heartbeat',
+    CANCEL_AI_SUGGESTION: 'cancel-ai-suggestion',
     
     // Incoming events
     NEW_MESSAGE: 'new-message',
     AGENT_STATUS_UPDATE: 'agent-status-update',
     SYSTEM_MODE_UPDATE: 'system-mode-update',
     TICKET_REASSIGNMENTS: 'ticket-reassignments',
-    CONNECTED_AGENTS_UPDATE: 'connected-agents-update'
+    CONNECTED_AGENTS_UPDATE: 'connected-agents-update',
+    AI_SUGGESTION_STARTED: 'ai-suggestion-started',
+    AI_SUGGESTION_CHUNK: 'ai-suggestion-chunk',
+    AI_SUGGESTION_COMPLETE: 'ai-suggestion-complete'
 };
 
 /**
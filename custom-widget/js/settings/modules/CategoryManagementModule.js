@@ -4,7 +4,8 @@
  * Handles category management operations in the settings page including:
  * - Category CRUD operations (create, read, update, delete/archive)
  * - Category filtering and search functionality
- * - Statistics display for admins
+ * - Statistics display for admins, with AI categorization precision per category
+ * - Review queue for AI category suggestions below the confidence threshold
  * - Real-time UI updates and state management
  */
 
@@ -27,7 +28,8 @@ export class CategoryManagementModule {
                 includeArchived: false
             },
             editingCategory: null,
-            isLoading: false
+            isLoading: false,
+            reviewQueue: []
         };
 
         // DOM elements
@@ -52,7 +54,11 @@ export class CategoryManagementModule {
             cancelCategory: null,
 
             // Statistics
-            categoryStatsContent: null
+            categoryStatsContent: null,
+
+            // AI category review queue
+            categoryReviewContent: null,
+            refreshCategoryReview: null
         };
 
         // Event listeners array for cleanup
@@ -81,6 +87,9 @@ export class CategoryManagementModule {
             // Load initial categories
             await this.loadCategories();
 
+            // Load AI suggestions waiting for review
+            await this.loadReviewQueue();
+
             // Setup UI permissions
             this.setupPermissions();
 
@@ -123,6 +132,10 @@ export class CategoryManagementModule {
         // Statistics
         this.elements.categoryStatsContent = document.getElementById('category-stats-content');
 
+        // AI category review queue
+        this.elements.categoryReviewContent = document.getElementById('category-review-content');
+        this.elements.refreshCategoryReview = document.getElementById('refresh-category-review');
+
         // Validate all required elements exist
         const requiredElements = [
             'categoriesList', 'createCategoryBtn', 'searchInput',
@@ -217,6 +230,32 @@ export class CategoryManagementModule {
             handler: colorHexHandler
         });
 
+        // AI category review queue
+        if (this.elements.refreshCategoryReview) {
+            const refreshReviewHandler = () => this.loadReviewQueue();
+            this.elements.refreshCategoryReview.addEventListener('click', refreshReviewHandler);
+            this.eventListeners.push({
+                element: this.elements.refreshCategoryReview,
+                event: 'click',
+                handler: refreshReviewHandler
+            });
+        }
+
+        if (this.elements.categoryReviewContent) {
+            const reviewActionHandler = (e) => {
+                const button = e.target.closest('[data-review-action]');
+                if (button) {
+                    this.handleReviewAction(button.dataset.reviewAction, button.dataset.suggestionId);
+                }
+            };
+            this.elements.categoryReviewContent.addEventListener('click', reviewActionHandler);
+            this.eventListeners.push({
+                element: this.elements.categoryReviewContent,
+                event: 'click',
+                handler: reviewActionHandler
+            });
+        }
+
         // Close modal on outside click
         const modalBackdropHandler = (e) => {
             if (e.target === this.elements.categoryModal) {
@@ -296,6 +335,102 @@ export class CategoryManagementModule {
         }
     }
 
+    /**
+     * Load AI category suggestions waiting for review
+     */
+    async loadReviewQueue() {
+        if (!this.elements.categoryReviewContent) return;
+
+        try {
+            const response = await this.apiManager.get('/api/categorization/review-queue');
+            this.state.reviewQueue = response.data?.suggestions || [];
+            this.renderReviewQueue(response.data);
+        } catch (error) {
+            ErrorHandler.logError(error, 'Failed to load category review queue');
+            this.elements.categoryReviewContent.innerHTML = '<p class="text-gray-500">Failed to load suggestions</p>';
+        }
+    }
+
+    /**
+     * Render the review queue with candidate confidences and a category picker per suggestion
+     */
+    renderReviewQueue(queue) {
+        const suggestions = queue?.suggestions || [];
+        if (suggestions.length === 0) {
+            this.elements.categoryReviewContent.innerHTML = `
+                <div class="text-center py-6 text-gray-500">
+                    <i class="fas fa-check-circle text-2xl mb-2 text-green-500"></i>
+                    <p>No suggestions waiting for review</p>
+                </div>
+            `;
+            return;
+        }
+
+        const activeCategories = this.state.categories.filter(category => !category.is_archived);
+        const threshold = Math.round((queue.threshold || 0) * 100);
+
+        this.elements.categoryReviewContent.innerHTML = `
+            <p class="text-xs text-gray-500 mb-3">${queue.total} waiting · applied automatically from ${threshold}% confidence</p>
+            <div class="space-y-3">
+                ${suggestions.map(suggestion => {
+                    const candidates = Array.isArray(suggestion.candidates) ? suggestion.candidates : [];
+                    return `
+                        <div class="border border-gray-200 rounded-lg p-4">
+                            <div class="flex items-center justify-between mb-2">
+                                <span class="font-medium text-gray-900">#${this.escapeHtml(suggestion.ticket?.ticket_number || '')} ${this.escapeHtml(suggestion.ticket?.subject || '')}</span>
+                                <span class="text-xs text-gray-500">${this.formatDate(suggestion.created_at)}</span>
+                            </div>
+                            ${suggestion.excerpt ? `<p class="text-sm text-gray-600 mb-2">${this.escapeHtml(suggestion.excerpt)}</p>` : ''}
+                            <div class="flex flex-wrap gap-2 mb-2">
+                                ${candidates.map((candidate, idx) => `
+                                    <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${idx === 0 ? 'bg-purple-100 text-purple-800' : 'bg-gray-100 text-gray-700'}">
+                                        ${this.escapeHtml(candidate.name || candidate.categoryId)} · ${Math.round(candidate.confidence * 100)}%
+                                    </span>
+                                `).join('')}
+                            </div>
+                            ${suggestion.reasoning ? `<p class="text-xs text-gray-500 mb-3">${this.escapeHtml(suggestion.reasoning)}</p>` : ''}
+                            <div class="flex items-center gap-2">
+                                <button class="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded text-sm" data-review-action="accept" data-suggestion-id="${suggestion.id}">
+                                    <i class="fas fa-check mr-1"></i>Accept
+                                </button>
+                                <select class="border border-gray-300 rounded-md px-2 py-1 text-sm" data-review-select="${suggestion.id}">
+                                    ${activeCategories.map(category => `
+                                        <option value="${category.id}" ${category.id === suggestion.category_id ? 'selected' : ''}>${this.escapeHtml(category.name)}</option>
+                                    `).join('')}
+                                </select>
+                                <button class="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded text-sm" data-review-action="correct" data-suggestion-id="${suggestion.id}">
+                                    Save
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Accept a suggestion's top candidate or save the category picked for it
+     */
+    async handleReviewAction(action, suggestionId) {
+        const suggestion = this.state.reviewQueue.find(item => item.id === suggestionId);
+        if (!suggestion) return;
+
+        const select = this.elements.categoryReviewContent.querySelector(`[data-review-select="${suggestionId}"]`);
+        const categoryId = action === 'accept' ? suggestion.category_id : select?.value;
+
+        try {
+            const response = await this.apiManager.post(`/api/categorization/review-queue/${suggestionId}`, {
+                category_id: categoryId
+            });
+            Toast.show(response.message || 'Suggestion reviewed', 'success');
+            await this.loadReviewQueue();
+        } catch (error) {
+            ErrorHandler.logError(error, 'Failed to review category suggestion');
+            this.showError('Failed to save the category. Please try again.');
+        }
+    }
+
     /**
      * Handle filter changes
      */
@@ -660,10 +795,37 @@ export class CategoryManagementModule {
                             <div class="text-xs text-gray-600">Avg Confidence</div>
                         </div>
                         <div class="text-center">
-                            <div class="text-xl font-bold text-orange-600">${aiStats.lowConfidenceAttempts || 0}</div>
-                            <div class="text-xs text-gray-600">Low Confidence</div>
+                            <div class="text-xl font-bold text-orange-600">${aiStats.pendingReview || 0}</div>
+                            <div class="text-xs text-gray-600">Awaiting Review</div>
                         </div>
                     </div>
+                    ${aiStats.precisionByCategory?.length ? `
+                        <h5 class="font-medium text-gray-900 mt-4 mb-2">Precision by Category${aiStats.precision !== null ? ` (overall ${(aiStats.precision * 100).toFixed(0)}%)` : ''}</h5>
+                        <table class="min-w-full text-sm">
+                            <thead>
+                                <tr class="text-left text-xs text-gray-500">
+                                    <th class="py-1">Category</th>
+                                    <th class="py-1 text-right">Suggested</th>
+                                    <th class="py-1 text-right">Auto-applied</th>
+                                    <th class="py-1 text-right">Accepted</th>
+                                    <th class="py-1 text-right">Corrected</th>
+                                    <th class="py-1 text-right">Precision</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${aiStats.precisionByCategory.map(row => `
+                                    <tr class="border-t border-gray-200">
+                                        <td class="py-1 text-gray-700">${this.escapeHtml(row.name || row.categoryId)}</td>
+                                        <td class="py-1 text-right">${row.predicted}</td>
+                                        <td class="py-1 text-right">${row.autoApplied}</td>
+                                        <td class="py-1 text-right">${row.accepted}</td>
+                                        <td class="py-1 text-right">${row.corrected}</td>
+                                        <td class="py-1 text-right font-medium">${(row.precision * 100).toFixed(0)}%</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : ''}
                 </div>
             ` : ''}
 
@@ -702,6 +864,15 @@ export class CategoryManagementModule {
         }
     }
 
+    /**
+     * Escape text for HTML rendering
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Show error message
      */
@@ -819,7 +990,8 @@ export class CategoryManagementModule {
                 includeArchived: false
             },
             editingCategory: null,
-            isLoading: false
+            isLoading: false,
+            reviewQueue: []
         };
 
         console.log('🧹 CategoryManagementModule: Cleanup completed');
@@ -5,9 +5,20 @@
  * 
  * Features:
  * - RAG (Retrieval-Augmented Generation) configuration
+ * - Semantic answer cache settings, hit-rate statistics and purge
+ * - Source citation settings per channel (widget, agent)
+ * - Autopilot confidence guardrail settings
+ * - Input screening settings (rules, deny-list, classifier, policy)
+ * - Customer/agent translation settings
+ * - Sentiment and frustration detection settings
+ * - LLM price table and monthly budget settings
+ * - RAG evaluation: golden datasets, runs and side-by-side comparison
  * - Toggle-based prompt management (Langfuse vs Local)
  * - Langfuse integration with prompt assignment
  * - Local prompt editing interface
+ * - Local prompt version history with diff and one-click rollback
+ * - System prompt A/B experiments with per-variant agent acceptance
+ * - HTTP tools the AI may call for live data (register, edit, test, enable/disable)
  * 
  * Architecture:
  * - Master toggle between Langfuse and Local prompt modes
@@ -24,6 +35,13 @@ export class ContextEngineeringModule {
         
         // Module state
         this.ragSettings = {};
+        this.semanticCacheSettings = {};
+        this.citationSettings = {};
+        this.guardrailSettings = {};
+        this.screeningSettings = {};
+        this.translationSettings = {};
+        this.sentimentSettings = {};
+        this.llmBudgetSettings = {};
         this.promptMode = 'local'; // 'langfuse' or 'local'
         this.currentSettings = {};
         this.langfuseStatus = {
@@ -32,6 +50,12 @@ export class ContextEngineeringModule {
             endpoint: null
         };
         this.availablePrompts = [];
+        this.evaluationRuns = [];
+        this.evaluationPollTimer = null;
+        this.promptVersions = [];
+        this.promptExperiments = [];
+        this.httpTools = [];
+        this.testingToolId = null;
         
         this.initializeEventListeners();
     }
@@ -43,11 +67,44 @@ export class ContextEngineeringModule {
         // RAG Settings Event Listeners
         this.initializeRAGListeners();
         
+        // Semantic Cache Event Listeners
+        this.initializeSemanticCacheListeners();
+
+        // Source Citations Event Listeners
+        this.initializeCitationListeners();
+
+        // Autopilot Guardrail Event Listeners
+        this.initializeGuardrailListeners();
+
+        // Input Screening Event Listeners
+        this.initializeScreeningListeners();
+
+        // Translation Event Listeners
+        this.initializeTranslationListeners();
+
+        // Sentiment Event Listeners
+        this.initializeSentimentListeners();
+
+        // LLM Budget Event Listeners
+        this.initializeLLMBudgetListeners();
+
+        // RAG Evaluation Event Listeners
+        this.initializeEvaluationListeners();
+        
         // Toggle and Prompt Management Event Listeners
         this.initializeToggleListeners();
         
         // Save Button Event Listeners
         this.initializeSaveListeners();
+
+        // Prompt Version History Event Listeners
+        this.initializePromptVersionListeners();
+
+        // Prompt Experiment Event Listeners
+        this.initializePromptExperimentListeners();
+
+        // HTTP Tool Event Listeners
+        this.initializeHttpToolListeners();
     }
 
     /**
@@ -90,6 +147,11 @@ export class ContextEngineeringModule {
             });
         }
 
+        const rerankerSelect = document.getElementById('rag-reranker');
+        if (rerankerSelect) {
+            rerankerSelect.addEventListener('change', () => this.updateRerankerUI());
+        }
+
         // RAG Settings form submission
         const ragForm = document.getElementById('context-engineering-form');
         const saveRAGBtn = document.getElementById('save-rag-settings');
@@ -109,6 +171,138 @@ export class ContextEngineeringModule {
         }
     }
 
+    /**
+     * Initialize semantic cache event listeners
+     */
+    initializeSemanticCacheListeners() {
+        const cacheForm = document.getElementById('semantic-cache-form');
+        const purgeBtn = document.getElementById('purge-semantic-cache');
+
+        if (cacheForm) {
+            cacheForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSemanticCacheSettings();
+            });
+        }
+
+        if (purgeBtn) {
+            purgeBtn.addEventListener('click', () => this.purgeSemanticCache());
+        }
+    }
+
+    /**
+     * Initialize source citation event listeners
+     */
+    initializeCitationListeners() {
+        const citationsForm = document.getElementById('citations-form');
+
+        if (citationsForm) {
+            citationsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveCitationSettings();
+            });
+        }
+    }
+
+    /**
+     * Initialize autopilot guardrail event listeners
+     */
+    initializeGuardrailListeners() {
+        const guardrailForm = document.getElementById('autopilot-guardrail-form');
+
+        if (guardrailForm) {
+            guardrailForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveGuardrailSettings();
+            });
+        }
+    }
+
+    /**
+     * Initialize input screening event listeners
+     */
+    initializeScreeningListeners() {
+        const screeningForm = document.getElementById('input-screening-form');
+
+        if (screeningForm) {
+            screeningForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveScreeningSettings();
+            });
+        }
+    }
+
+    /**
+     * Initialize translation event listeners
+     */
+    initializeTranslationListeners() {
+        const translationForm = document.getElementById('translation-form');
+
+        if (translationForm) {
+            translationForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveTranslationSettings();
+            });
+        }
+    }
+
+    /**
+     * Initialize sentiment event listeners
+     */
+    initializeSentimentListeners() {
+        const sentimentForm = document.getElementById('sentiment-form');
+
+        if (sentimentForm) {
+            sentimentForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSentimentSettings();
+            });
+        }
+    }
+
+    /**
+     * Initialize LLM budget event listeners
+     */
+    initializeLLMBudgetListeners() {
+        const budgetForm = document.getElementById('llm-budget-form');
+
+        if (budgetForm) {
+            budgetForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveLLMBudgetSettings();
+            });
+        }
+    }
+
+    /**
+     * Initialize RAG evaluation event listeners
+     */
+    initializeEvaluationListeners() {
+        const datasetForm = document.getElementById('eval-dataset-form');
+        const runBtn = document.getElementById('start-eval-run');
+        const deleteBtn = document.getElementById('delete-eval-dataset');
+        const compareBtn = document.getElementById('compare-eval-runs');
+
+        if (datasetForm) {
+            datasetForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.uploadEvaluationDataset();
+            });
+        }
+
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.startEvaluationRun());
+        }
+
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => this.deleteEvaluationDataset());
+        }
+
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => this.compareEvaluationRuns());
+        }
+    }
+
     /**
      * Initialize toggle and prompt management event listeners
      */
@@ -145,155 +339,1586 @@ export class ContextEngineeringModule {
     }
 
     /**
-     * Initialize save button event listeners
+     * Initialize save button event listeners
+     */
+    initializeSaveListeners() {
+        const saveBtn = document.getElementById('save-prompt-config');
+        
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveConfiguration());
+        }
+    }
+
+    /**
+     * Initialize prompt version history event listeners
+     */
+    initializePromptVersionListeners() {
+        const typeSelect = document.getElementById('prompt-version-type');
+        const compareSelect = document.getElementById('prompt-version-compare');
+
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => this.loadPromptVersions());
+        }
+        if (compareSelect) {
+            compareSelect.addEventListener('change', () => this.hidePromptDiff());
+        }
+    }
+
+    /**
+     * Initialize prompt experiment event listeners
+     */
+    initializePromptExperimentListeners() {
+        const experimentForm = document.getElementById('prompt-experiment-form');
+        const addVariantBtn = document.getElementById('add-prompt-experiment-variant');
+
+        if (experimentForm) {
+            experimentForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createPromptExperiment();
+            });
+            this.resetExperimentVariants();
+        }
+
+        if (addVariantBtn) {
+            addVariantBtn.addEventListener('click', () => this.addExperimentVariant(''));
+        }
+    }
+
+    /**
+     * Initialize HTTP tool event listeners
+     */
+    initializeHttpToolListeners() {
+        const toolForm = document.getElementById('http-tool-form');
+        const cancelBtn = document.getElementById('cancel-http-tool-edit');
+        const runTestBtn = document.getElementById('run-http-tool-test');
+
+        if (toolForm) {
+            toolForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveHttpTool();
+            });
+        }
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.resetHttpToolForm());
+        }
+        if (runTestBtn) {
+            runTestBtn.addEventListener('click', () => this.runHttpToolTest());
+        }
+    }
+
+    /**
+     * Initialize the module (required by SettingsManager)
+     */
+    async initialize() {
+        await this.loadInitialData();
+    }
+
+    /**
+     * Load initial data for the module
+     */
+    async loadInitialData() {
+        try {
+            // Load RAG settings
+            await this.loadRAGSettings();
+            
+            // Load semantic cache statistics
+            await this.loadSemanticCacheStats();
+
+            // Load evaluation datasets and runs
+            await this.loadEvaluationData();
+
+            // Load prompt experiments
+            await this.loadPromptExperiments();
+
+            // Load HTTP tools
+            await this.loadHttpTools();
+            
+            // Check Langfuse status
+            await this.checkLangfuseStatus();
+            
+            // Load current prompt settings
+            await this.loadPromptSettings();
+            
+            // If Langfuse is available, load available prompts
+            if (this.langfuseStatus.available) {
+                await this.loadAvailablePrompts();
+            }
+            
+            // Initialize UI based on current mode
+            this.updateModeUI();
+            
+            console.log('Context Engineering module initialized successfully');
+            
+        } catch (error) {
+            console.error('Failed to initialize Context Engineering module:', error);
+        }
+    }
+
+    /**
+     * Load RAG settings from the backend
+     */
+    async loadRAGSettings() {
+        try {
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai');
+            const response = await rawResponse.json();
+            const aiSettings = response.settings; // AI endpoint uses 'settings' property
+            
+            this.ragSettings = {
+                rag_k: aiSettings.rag_k?.value || 100,
+                rag_similarity_threshold: aiSettings.rag_similarity_threshold?.value || 0.7,
+                rag_max_tokens: aiSettings.rag_max_tokens?.value || 2000,
+                rag_vector_weight: aiSettings.rag_vector_weight?.value ?? 1,
+                rag_keyword_weight: aiSettings.rag_keyword_weight?.value ?? 1,
+                rag_reranker: aiSettings.rag_reranker?.value || 'none',
+                rag_rerank_candidates: aiSettings.rag_rerank_candidates?.value || 20,
+                rag_reranker_url: aiSettings.rag_reranker_url?.value || '',
+                rag_reranker_model: aiSettings.rag_reranker_model?.value || '',
+                rag_reranker_api_key: aiSettings.rag_reranker_api_key?.value || ''
+            };
+            
+            this.semanticCacheSettings = {
+                semantic_cache_enabled: Boolean(aiSettings.semantic_cache_enabled?.value),
+                semantic_cache_threshold: aiSettings.semantic_cache_threshold?.value || 0.95,
+                semantic_cache_ttl_hours: aiSettings.semantic_cache_ttl_hours?.value || 24,
+                semantic_cache_max_entries: aiSettings.semantic_cache_max_entries?.value || 1000
+            };
+
+            // Citations are on unless turned off
+            this.citationSettings = {
+                citations_widget_enabled: aiSettings.citations_widget_enabled?.value !== false,
+                citations_agent_enabled: aiSettings.citations_agent_enabled?.value !== false
+            };
+
+            this.guardrailSettings = {
+                autopilot_guardrail_enabled: Boolean(aiSettings.autopilot_guardrail_enabled?.value),
+                autopilot_min_confidence: aiSettings.autopilot_min_confidence?.value ?? 0.6,
+                autopilot_self_check: Boolean(aiSettings.autopilot_self_check?.value),
+                autopilot_escalation_message: aiSettings.autopilot_escalation_message?.value || ''
+            };
+
+            this.screeningSettings = {
+                input_screening_enabled: Boolean(aiSettings.input_screening_enabled?.value),
+                input_screening_action: aiSettings.input_screening_action?.value || 'escalate',
+                input_screening_classifier: Boolean(aiSettings.input_screening_classifier?.value),
+                input_screening_deny_list: aiSettings.input_screening_deny_list?.value || '',
+                input_screening_block_message: aiSettings.input_screening_block_message?.value || ''
+            };
+
+            this.translationSettings = {
+                translation_enabled: Boolean(aiSettings.translation_enabled?.value),
+                translation_agent_language: aiSettings.translation_agent_language?.value || 'lt'
+            };
+
+            this.sentimentSettings = {
+                sentiment_enabled: Boolean(aiSettings.sentiment_enabled?.value),
+                sentiment_method: aiSettings.sentiment_method?.value || 'local',
+                sentiment_auto_priority: Boolean(aiSettings.sentiment_auto_priority?.value),
+                sentiment_priority_threshold: aiSettings.sentiment_priority_threshold?.value ?? 0.7
+            };
+
+            this.llmBudgetSettings = {
+                llm_monthly_budget: aiSettings.llm_monthly_budget?.value ?? 0,
+                llm_budget_alert_threshold: aiSettings.llm_budget_alert_threshold?.value ?? 0.8,
+                llm_budget_switch_to_hitl: Boolean(aiSettings.llm_budget_switch_to_hitl?.value),
+                llm_price_table: aiSettings.llm_price_table?.value || ''
+            };
+            
+            this.updateRAGUI();
+            this.updateSemanticCacheUI();
+            this.updateCitationUI();
+            this.updateGuardrailUI();
+            this.updateScreeningUI();
+            this.updateTranslationUI();
+            this.updateSentimentUI();
+            this.updateLLMBudgetUI();
+            
+        } catch (error) {
+            console.error('Failed to load RAG settings:', error);
+        }
+    }
+
+    /**
+     * Update RAG UI elements with loaded values
+     */
+    updateRAGUI() {
+        const ragKSlider = document.getElementById('rag-k');
+        const ragKValue = document.getElementById('rag-k-value');
+        const similaritySlider = document.getElementById('similarity-threshold');
+        const similarityValue = document.getElementById('similarity-threshold-value');
+        const tokensSlider = document.getElementById('max-tokens');
+        const tokensValue = document.getElementById('max-tokens-value');
+
+        if (ragKSlider && ragKValue) {
+            ragKSlider.value = this.ragSettings.rag_k;
+            ragKValue.value = this.ragSettings.rag_k;
+        }
+
+        if (similaritySlider && similarityValue) {
+            similaritySlider.value = this.ragSettings.rag_similarity_threshold;
+            similarityValue.value = this.ragSettings.rag_similarity_threshold;
+        }
+
+        if (tokensSlider && tokensValue) {
+            tokensSlider.value = this.ragSettings.rag_max_tokens;
+            tokensValue.value = this.ragSettings.rag_max_tokens;
+        }
+
+        const vectorWeight = document.getElementById('vector-weight');
+        const keywordWeight = document.getElementById('keyword-weight');
+
+        if (vectorWeight) vectorWeight.value = this.ragSettings.rag_vector_weight;
+        if (keywordWeight) keywordWeight.value = this.ragSettings.rag_keyword_weight;
+
+        const rerankerFields = {
+            'rag-reranker': 'rag_reranker',
+            'rag-rerank-candidates': 'rag_rerank_candidates',
+            'rag-reranker-url': 'rag_reranker_url',
+            'rag-reranker-model': 'rag_reranker_model',
+            'rag-reranker-api-key': 'rag_reranker_api_key'
+        };
+        Object.entries(rerankerFields).forEach(([id, key]) => {
+            const element = document.getElementById(id);
+            if (element) element.value = this.ragSettings[key];
+        });
+
+        this.updateRerankerUI();
+    }
+
+    /**
+     * Show endpoint fields only for the HTTP re-ranker
+     */
+    updateRerankerUI() {
+        const rerankerSelect = document.getElementById('rag-reranker');
+        const httpConfig = document.getElementById('rag-reranker-http-config');
+
+        if (rerankerSelect && httpConfig) {
+            httpConfig.classList.toggle('hidden', rerankerSelect.value !== 'http');
+        }
+    }
+
+    /**
+     * Save RAG settings to the backend
+     */
+    async saveRAGSettings() {
+        try {
+            const statusElement = document.getElementById('rag-save-status');
+            const saveButton = document.getElementById('save-rag-settings');
+            
+            if (statusElement) statusElement.textContent = 'Saving...';
+            if (saveButton) saveButton.disabled = true;
+
+            const ragKValue = document.getElementById('rag-k-value').value;
+            const similarityValue = document.getElementById('similarity-threshold-value').value;
+            const tokensValue = document.getElementById('max-tokens-value').value;
+            const vectorWeightValue = document.getElementById('vector-weight').value;
+            const keywordWeightValue = document.getElementById('keyword-weight').value;
+
+            const settings = {
+                rag_k: parseInt(ragKValue),
+                rag_similarity_threshold: parseFloat(similarityValue),
+                rag_max_tokens: parseInt(tokensValue),
+                rag_vector_weight: parseFloat(vectorWeightValue),
+                rag_keyword_weight: parseFloat(keywordWeightValue),
+                rag_reranker: document.getElementById('rag-reranker').value,
+                rag_rerank_candidates: parseInt(document.getElementById('rag-rerank-candidates').value),
+                rag_reranker_url: document.getElementById('rag-reranker-url').value.trim(),
+                rag_reranker_model: document.getElementById('rag-reranker-model').value.trim(),
+                rag_reranker_api_key: document.getElementById('rag-reranker-api-key').value.trim()
+            };
+
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+
+            const response = await rawResponse.json();
+
+            if (response.success) {
+                this.ragSettings = settings;
+                if (statusElement) {
+                    statusElement.textContent = '✓ RAG settings saved successfully';
+                    statusElement.className = 'text-sm text-green-600';
+                }
+                setTimeout(() => {
+                    if (statusElement) {
+                        statusElement.textContent = '';
+                        statusElement.className = 'text-sm text-gray-500';
+                    }
+                }, 3000);
+            } else {
+                throw new Error('Failed to save RAG settings');
+            }
+
+        } catch (error) {
+            console.error('Error saving RAG settings:', error);
+            const statusElement = document.getElementById('rag-save-status');
+            if (statusElement) {
+                statusElement.textContent = '✗ Failed to save RAG settings';
+                statusElement.className = 'text-sm text-red-600';
+            }
+        } finally {
+            const saveButton = document.getElementById('save-rag-settings');
+            if (saveButton) saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update semantic cache form with loaded values
+     */
+    updateSemanticCacheUI() {
+        const enabledToggle = document.getElementById('semantic-cache-enabled');
+        const thresholdInput = document.getElementById('semantic-cache-threshold');
+        const ttlInput = document.getElementById('semantic-cache-ttl');
+        const maxEntriesInput = document.getElementById('semantic-cache-max-entries');
+
+        if (enabledToggle) enabledToggle.checked = this.semanticCacheSettings.semantic_cache_enabled;
+        if (thresholdInput) thresholdInput.value = this.semanticCacheSettings.semantic_cache_threshold;
+        if (ttlInput) ttlInput.value = this.semanticCacheSettings.semantic_cache_ttl_hours;
+        if (maxEntriesInput) maxEntriesInput.value = this.semanticCacheSettings.semantic_cache_max_entries;
+    }
+
+    /**
+     * Load semantic cache hit-rate statistics
+     */
+    async loadSemanticCacheStats() {
+        try {
+            const rawResponse = await this.apiManager.apiRequest('/api/config/semantic-cache');
+            const response = await rawResponse.json();
+
+            if (response.success) {
+                this.updateSemanticCacheStatsUI(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to load semantic cache statistics:', error);
+        }
+    }
+
+    /**
+     * Render semantic cache statistics
+     */
+    updateSemanticCacheStatsUI(stats) {
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+
+        setText('semantic-cache-hit-rate', stats.lookups > 0 ? `${(stats.hitRate * 100).toFixed(1)}%` : '-');
+        setText('semantic-cache-hits', `${stats.hits} / ${stats.misses}`);
+        setText('semantic-cache-entries', stats.entries);
+        setText(
+            'semantic-cache-last-invalidation',
+            stats.lastInvalidation
+                ? `${new Date(stats.lastInvalidation.at).toLocaleString()} (${stats.lastInvalidation.reason})`
+                : 'Never'
+        );
+    }
+
+    /**
+     * Show a temporary status message below the semantic cache form
+     */
+    showSemanticCacheStatus(message, className) {
+        const statusElement = document.getElementById('semantic-cache-status');
+        if (!statusElement) return;
+
+        statusElement.textContent = message;
+        statusElement.className = className;
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'text-sm text-gray-500';
+        }, 3000);
+    }
+
+    /**
+     * Save semantic cache settings to the backend
+     */
+    async saveSemanticCacheSettings() {
+        const saveButton = document.getElementById('save-semantic-cache');
+
+        try {
+            if (saveButton) saveButton.disabled = true;
+
+            const settings = {
+                semantic_cache_enabled: document.getElementById('semantic-cache-enabled').checked,
+                semantic_cache_threshold: parseFloat(document.getElementById('semantic-cache-threshold').value),
+                semantic_cache_ttl_hours: parseFloat(document.getElementById('semantic-cache-ttl').value),
+                semantic_cache_max_entries: parseInt(document.getElementById('semantic-cache-max-entries').value)
+            };
+
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save semantic cache settings');
+            }
+
+            this.semanticCacheSettings = settings;
+            this.showSemanticCacheStatus('✓ Cache settings saved successfully', 'text-sm text-green-600');
+
+        } catch (error) {
+            console.error('Error saving semantic cache settings:', error);
+            this.showSemanticCacheStatus('✗ Failed to save cache settings', 'text-sm text-red-600');
+        } finally {
+            if (saveButton) saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update source citation form with loaded values
+     */
+    updateCitationUI() {
+        const widgetToggle = document.getElementById('citations-widget-enabled');
+        const agentToggle = document.getElementById('citations-agent-enabled');
+
+        if (widgetToggle) widgetToggle.checked = this.citationSettings.citations_widget_enabled;
+        if (agentToggle) agentToggle.checked = this.citationSettings.citations_agent_enabled;
+    }
+
+    /**
+     * Save source citation settings to the backend
+     */
+    async saveCitationSettings() {
+        const saveButton = document.getElementById('save-citations');
+        const statusElement = document.getElementById('citations-status');
+        const showStatus = (message, className) => {
+            if (!statusElement) return;
+            statusElement.textContent = message;
+            statusElement.className = className;
+            setTimeout(() => {
+                statusElement.textContent = '';
+                statusElement.className = 'text-sm text-gray-500';
+            }, 3000);
+        };
+
+        try {
+            if (saveButton) saveButton.disabled = true;
+
+            const settings = {
+                citations_widget_enabled: document.getElementById('citations-widget-enabled').checked,
+                citations_agent_enabled: document.getElementById('citations-agent-enabled').checked
+            };
+
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save citation settings');
+            }
+
+            this.citationSettings = { ...this.citationSettings, ...settings };
+            showStatus('✓ Citation settings saved successfully', 'text-sm text-green-600');
+
+        } catch (error) {
+            console.error('Error saving citation settings:', error);
+            showStatus('✗ Failed to save citation settings', 'text-sm text-red-600');
+        } finally {
+            if (saveButton) saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update autopilot guardrail form with loaded values
+     */
+    updateGuardrailUI() {
+        const enabledToggle = document.getElementById('autopilot-guardrail-enabled');
+        const selfCheckToggle = document.getElementById('autopilot-self-check');
+        const confidenceInput = document.getElementById('autopilot-min-confidence');
+        const messageInput = document.getElementById('autopilot-escalation-message');
+
+        if (enabledToggle) enabledToggle.checked = this.guardrailSettings.autopilot_guardrail_enabled;
+        if (selfCheckToggle) selfCheckToggle.checked = this.guardrailSettings.autopilot_self_check;
+        if (confidenceInput) confidenceInput.value = this.guardrailSettings.autopilot_min_confidence;
+        if (messageInput) messageInput.value = this.guardrailSettings.autopilot_escalation_message;
+    }
+
+    /**
+     * Show a temporary status message below the guardrail form
+     */
+    showGuardrailStatus(message, className) {
+        const statusElement = document.getElementById('autopilot-guardrail-status');
+        if (!statusElement) return;
+
+        statusElement.textContent = message;
+        statusElement.className = className;
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'text-sm text-gray-500';
+        }, 3000);
+    }
+
+    /**
+     * Save autopilot guardrail settings to the backend
+     */
+    async saveGuardrailSettings() {
+        const saveButton = document.getElementById('save-autopilot-guardrail');
+
+        try {
+            if (saveButton) saveButton.disabled = true;
+
+            const settings = {
+                autopilot_guardrail_enabled: document.getElementById('autopilot-guardrail-enabled').checked,
+                autopilot_self_check: document.getElementById('autopilot-self-check').checked,
+                autopilot_min_confidence: parseFloat(document.getElementById('autopilot-min-confidence').value)
+            };
+
+            // An empty message keeps the default text
+            const escalationMessage = document.getElementById('autopilot-escalation-message').value.trim();
+            if (escalationMessage) {
+                settings.autopilot_escalation_message = escalationMessage;
+            }
+
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save guardrail settings');
+            }
+
+            this.guardrailSettings = { ...this.guardrailSettings, ...settings };
+            this.showGuardrailStatus('✓ Guardrail settings saved successfully', 'text-sm text-green-600');
+
+        } catch (error) {
+            console.error('Error saving guardrail settings:', error);
+            this.showGuardrailStatus('✗ Failed to save guardrail settings', 'text-sm text-red-600');
+        } finally {
+            if (saveButton) saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update input screening form with loaded values
+     */
+    updateScreeningUI() {
+        const enabledToggle = document.getElementById('input-screening-enabled');
+        const classifierToggle = document.getElementById('input-screening-classifier');
+        const actionSelect = document.getElementById('input-screening-action');
+        const denyListInput = document.getElementById('input-screening-deny-list');
+        const blockMessageInput = document.getElementById('input-screening-block-message');
+
+        if (enabledToggle) enabledToggle.checked = this.screeningSettings.input_screening_enabled;
+        if (classifierToggle) classifierToggle.checked = this.screeningSettings.input_screening_classifier;
+        if (actionSelect) actionSelect.value = this.screeningSettings.input_screening_action;
+        if (denyListInput) denyListInput.value = this.screeningSettings.input_screening_deny_list;
+        if (blockMessageInput) blockMessageInput.value = this.screeningSettings.input_screening_block_message;
+    }
+
+    /**
+     * Save input screening settings to the backend
+     */
+    async saveScreeningSettings() {
+        const saveButton = document.getElementById('save-input-screening');
+        const statusElement = document.getElementById('input-screening-status');
+        const showStatus = (message, className) => {
+            if (!statusElement) return;
+            statusElement.textContent = message;
+            statusElement.className = className;
+            setTimeout(() => {
+                statusElement.textContent = '';
+                statusElement.className = 'text-sm text-gray-500';
+            }, 3000);
+        };
+
+        try {
+            if (saveButton) saveButton.disabled = true;
+
+            const settings = {
+                input_screening_enabled: document.getElementById('input-screening-enabled').checked,
+                input_screening_classifier: document.getElementById('input-screening-classifier').checked,
+                input_screening_action: document.getElementById('input-screening-action').value,
+                input_screening_deny_list: document.getElementById('input-screening-deny-list').value.trim()
+            };
+
+            // An empty message keeps the default text
+            const blockMessage = document.getElementById('input-screening-block-message').value.trim();
+            if (blockMessage) {
+                settings.input_screening_block_message = blockMessage;
+            }
+
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save screening settings');
+            }
+
+            this.screeningSettings = { ...this.screeningSettings, ...settings };
+            showStatus('✓ Screening settings saved successfully', 'text-sm text-green-600');
+
+        } catch (error) {
+            console.error('Error saving screening settings:', error);
+            showStatus('✗ Failed to save screening settings', 'text-sm text-red-600');
+        } finally {
+            if (saveButton) saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update translation form with loaded values
+     */
+    updateTranslationUI() {
+        const enabledToggle = document.getElementById('translation-enabled');
+        const languageSelect = document.getElementById('translation-agent-language');
+
+        if (enabledToggle) enabledToggle.checked = this.translationSettings.translation_enabled;
+        if (languageSelect) languageSelect.value = this.translationSettings.translation_agent_language;
+    }
+
+    /**
+     * Save translation settings to the backend
+     */
+    async saveTranslationSettings() {
+        const saveButton = document.getElementById('save-translation');
+        const statusElement = document.getElementById('translation-status');
+        const showStatus = (message, className) => {
+            if (!statusElement) return;
+            statusElement.textContent = message;
+            statusElement.className = className;
+            setTimeout(() => {
+                statusElement.textContent = '';
+                statusElement.className = 'text-sm text-gray-500';
+            }, 3000);
+        };
+
+        try {
+            if (saveButton) saveButton.disabled = true;
+
+            const settings = {
+                translation_enabled: document.getElementById('translation-enabled').checked,
+                translation_agent_language: document.getElementById('translation-agent-language').value
+            };
+
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save translation settings');
+            }
+
+            this.translationSettings = { ...this.translationSettings, ...settings };
+            showStatus('✓ Translation settings saved successfully', 'text-sm text-green-600');
+
+        } catch (error) {
+            console.error('Error saving translation settings:', error);
+            showStatus('✗ Failed to save translation settings', 'text-sm text-red-600');
+        } finally {
+            if (saveButton) saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update sentiment form with loaded values
+     */
+    updateSentimentUI() {
+        const enabledToggle = document.getElementById('sentiment-enabled');
+        const autoPriorityToggle = document.getElementById('sentiment-auto-priority');
+        const methodSelect = document.getElementById('sentiment-method');
+        const thresholdInput = document.getElementById('sentiment-priority-threshold');
+
+        if (enabledToggle) enabledToggle.checked = this.sentimentSettings.sentiment_enabled;
+        if (autoPriorityToggle) autoPriorityToggle.checked = this.sentimentSettings.sentiment_auto_priority;
+        if (methodSelect) methodSelect.value = this.sentimentSettings.sentiment_method;
+        if (thresholdInput) thresholdInput.value = this.sentimentSettings.sentiment_priority_threshold;
+    }
+
+    /**
+     * Save sentiment settings to the backend
+     */
+    async saveSentimentSettings() {
+        const saveButton = document.getElementById('save-sentiment');
+        const statusElement = document.getElementById('sentiment-status');
+        const showStatus = (message, className) => {
+            if (!statusElement) return;
+            statusElement.textContent = message;
+            statusElement.className = className;
+            setTimeout(() => {
+                statusElement.textContent = '';
+                statusElement.className = 'text-sm text-gray-500';
+            }, 3000);
+        };
+
+        try {
+            if (saveButton) saveButton.disabled = true;
+
+            const settings = {
+                sentiment_enabled: document.getElementById('sentiment-enabled').checked,
+                sentiment_auto_priority: document.getElementById('sentiment-auto-priority').checked,
+                sentiment_method: document.getElementById('sentiment-method').value,
+                sentiment_priority_threshold: parseFloat(document.getElementById('sentiment-priority-threshold').value)
+            };
+
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save sentiment settings');
+            }
+
+            this.sentimentSettings = { ...this.sentimentSettings, ...settings };
+            showStatus('✓ Sentiment settings saved successfully', 'text-sm text-green-600');
+
+        } catch (error) {
+            console.error('Error saving sentiment settings:', error);
+            showStatus('✗ Failed to save sentiment settings', 'text-sm text-red-600');
+        } finally {
+            if (saveButton) saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update LLM budget form with loaded values
+     */
+    updateLLMBudgetUI() {
+        const budgetInput = document.getElementById('llm-monthly-budget');
+        const thresholdInput = document.getElementById('llm-budget-alert-threshold');
+        const switchToggle = document.getElementById('llm-budget-switch-to-hitl');
+        const priceTable = document.getElementById('llm-price-table');
+
+        if (budgetInput) budgetInput.value = this.llmBudgetSettings.llm_monthly_budget;
+        if (thresholdInput) thresholdInput.value = this.llmBudgetSettings.llm_budget_alert_threshold;
+        if (switchToggle) switchToggle.checked = this.llmBudgetSettings.llm_budget_switch_to_hitl;
+        if (priceTable) priceTable.value = this.llmBudgetSettings.llm_price_table;
+    }
+
+    /**
+     * Save LLM budget settings to the backend
+     */
+    async saveLLMBudgetSettings() {
+        const saveButton = document.getElementById('save-llm-budget');
+        const statusElement = document.getElementById('llm-budget-status');
+        const showStatus = (message, className) => {
+            if (!statusElement) return;
+            statusElement.textContent = message;
+            statusElement.className = className;
+            setTimeout(() => {
+                statusElement.textContent = '';
+                statusElement.className = 'text-sm text-gray-500';
+            }, 3000);
+        };
+
+        try {
+            if (saveButton) saveButton.disabled = true;
+
+            const settings = {
+                llm_monthly_budget: parseFloat(document.getElementById('llm-monthly-budget').value) || 0,
+                llm_budget_alert_threshold: parseFloat(document.getElementById('llm-budget-alert-threshold').value),
+                llm_budget_switch_to_hitl: document.getElementById('llm-budget-switch-to-hitl').checked,
+                llm_price_table: document.getElementById('llm-price-table').value.trim()
+            };
+
+            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
+                method: 'PUT',
+                body: JSON.stringify(settings)
+            });
+
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to save budget settings');
+            }
+
+            this.llmBudgetSettings = { ...this.llmBudgetSettings, ...settings };
+            showStatus('✓ Budget settings saved successfully', 'text-sm text-green-600');
+
+        } catch (error) {
+            console.error('Error saving LLM budget settings:', error);
+            showStatus(`✗ ${error.message}`, 'text-sm text-red-600');
+        } finally {
+            if (saveButton) saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Remove all cached answers
+     */
+    async purgeSemanticCache() {
+        if (!confirm('Are you sure you want to purge all cached answers?')) {
+            return;
+        }
+
+        try {
+            const rawResponse = await this.apiManager.apiRequest('/api/config/semantic-cache/purge', {
+                method: 'POST'
+            });
+
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.message || 'Failed to purge semantic cache');
+            }
+
+            this.showSemanticCacheStatus(`✓ ${response.message}`, 'text-sm text-green-600');
+            await this.loadSemanticCacheStats();
+
+        } catch (error) {
+            console.error('Error purging semantic cache:', error);
+            this.showSemanticCacheStatus('✗ Failed to purge cache', 'text-sm text-red-600');
+        }
+    }
+
+    /**
+     * Load evaluation datasets and runs
+     */
+    async loadEvaluationData() {
+        try {
+            const [datasetsResponse, runsResponse] = await Promise.all([
+                this.apiManager.apiRequest('/api/evaluations/datasets'),
+                this.apiManager.apiRequest('/api/evaluations/runs')
+            ]);
+            const datasets = await datasetsResponse.json();
+            const runs = await runsResponse.json();
+
+            if (datasets.success) {
+                this.renderEvaluationDatasets(datasets.data);
+            }
+            if (runs.success) {
+                this.evaluationRuns = runs.data;
+                this.renderEvaluationRuns();
+            }
+        } catch (error) {
+            console.error('Failed to load evaluation data:', error);
+        }
+    }
+
+    /**
+     * Render the dataset selector
+     */
+    renderEvaluationDatasets(datasets) {
+        const select = document.getElementById('eval-dataset-select');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = datasets.length > 0 ? '' : '<option value="">No datasets uploaded</option>';
+        datasets.forEach(dataset => {
+            const option = document.createElement('option');
+            option.value = dataset.id;
+            option.textContent = `${dataset.name} (${dataset.questionCount} questions)`;
+            select.appendChild(option);
+        });
+        if (datasets.some(dataset => dataset.id === selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Render the runs table, polling while a run is in progress
+     */
+    renderEvaluationRuns() {
+        const tbody = document.getElementById('eval-runs-list');
+        if (!tbody) return;
+
+        const formatMetric = (value) => (value === null || value === undefined ? '-' : value.toFixed(3));
+
+        tbody.innerHTML = '';
+        if (this.evaluationRuns.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="py-4 text-center text-gray-500">No evaluation runs yet</td></tr>';
+        }
+
+        this.evaluationRuns.forEach(run => {
+            const summary = run.summary || {};
+            const row = document.createElement('tr');
+            row.className = 'border-b border-gray-100';
+
+            const cells = [
+                run.label || new Date(run.started_at).toLocaleString(),
+                run.dataset?.name || '-',
+                run.status === 'failed' ? `failed: ${run.error}` : run.status,
+                formatMetric(summary.retrieval?.hitRate),
+                formatMetric(summary.retrieval?.mrr),
+                formatMetric(summary.answerSimilarity?.mean),
+                summary.latency?.p95Ms !== undefined && summary.latency.p95Ms !== null ? `${summary.latency.p95Ms} ms` : '-'
+            ];
+
+            const selectCell = document.createElement('td');
+            selectCell.className = 'py-2 pr-2';
+            if (run.status === 'completed') {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'eval-run-select';
+                checkbox.value = run.id;
+                selectCell.appendChild(checkbox);
+            }
+            row.appendChild(selectCell);
+
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.className = 'py-2 pr-4 text-gray-900';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+
+        clearTimeout(this.evaluationPollTimer);
+        if (this.evaluationRuns.some(run => run.status === 'running')) {
+            this.evaluationPollTimer = setTimeout(() => this.loadEvaluationData(), 5000);
+        }
+    }
+
+    /**
+     * Show a temporary status message below the evaluation runs
+     */
+    showEvaluationStatus(message, className) {
+        const statusElement = document.getElementById('eval-status');
+        if (!statusElement) return;
+
+        statusElement.textContent = message;
+        statusElement.className = className;
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'text-sm text-gray-500';
+        }, 4000);
+    }
+
+    /**
+     * Upload a golden dataset file
+     */
+    async uploadEvaluationDataset() {
+        const nameInput = document.getElementById('eval-dataset-name');
+        const fileInput = document.getElementById('eval-dataset-file');
+        const file = fileInput?.files?.[0];
+        if (!file) return;
+
+        try {
+            const rawResponse = await this.apiManager.apiRequest('/api/evaluations/datasets', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: nameInput.value.trim(),
+                    content: await file.text()
+                })
+            });
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to upload dataset');
+            }
+
+            nameInput.value = '';
+            fileInput.value = '';
+            this.showEvaluationStatus(`✓ Dataset uploaded with ${response.data.questions.length} questions`, 'text-sm text-green-600');
+            await this.loadEvaluationData();
+            document.getElementById('eval-dataset-select').value = response.data.id;
+
+        } catch (error) {
+            console.error('Error uploading evaluation dataset:', error);
+            this.showEvaluationStatus('✗ Failed to upload dataset - check that every line has a question and expected sources or a reference answer', 'text-sm text-red-600');
+        }
+    }
+
+    /**
+     * Start an evaluation run of the selected dataset
+     */
+    async startEvaluationRun() {
+        const datasetId = document.getElementById('eval-dataset-select')?.value;
+        if (!datasetId) {
+            this.showEvaluationStatus('Upload a dataset first', 'text-sm text-red-600');
+            return;
+        }
+
+        try {
+            const rawResponse = await this.apiManager.apiRequest(`/api/evaluations/datasets/${datasetId}/runs`, {
+                method: 'POST',
+                body: JSON.stringify({ label: document.getElementById('eval-run-label').value.trim() })
+            });
+            const response = await rawResponse.json();
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to start evaluation run');
+            }
+
+            document.getElementById('eval-run-label').value = '';
+            this.showEvaluationStatus('✓ Evaluation run started', 'text-sm text-green-600');
+            await this.loadEvaluationData();
+
+        } catch (error) {
+            console.error('Error starting evaluation run:', error);
+            this.showEvaluationStatus('✗ Failed to start run - another run may be in progress', 'text-sm text-red-600');
+        }
+    }
+
+    /**
+     * Delete the selected dataset and its runs
+     */
+    async deleteEvaluationDataset() {
+        const datasetId = document.getElementById('eval-dataset-select')?.value;
+        if (!datasetId || !confirm('Delete this dataset and all of its runs?')) {
+            return;
+        }
+
+        try {
+            await this.apiManager.apiRequest(`/api/evaluations/datasets/${datasetId}`, { method: 'DELETE' });
+            this.showEvaluationStatus('✓ Dataset deleted', 'text-sm text-green-600');
+            await this.loadEvaluationData();
+        } catch (error) {
+            console.error('Error deleting evaluation dataset:', error);
+            this.showEvaluationStatus('✗ Failed to delete dataset', 'text-sm text-red-600');
+        }
+    }
+
+    /**
+     * Show the selected runs side by side: metrics first, then the settings that differ
+     */
+    async compareEvaluationRuns() {
+        const ids = [...document.querySelectorAll('.eval-run-select:checked')].map(checkbox => checkbox.value);
+        if (ids.length < 2 || ids.length > 4) {
+            this.showEvaluationStatus('Select 2 to 4 completed runs to compare', 'text-sm text-red-600');
+            return;
+        }
+
+        try {
+            const rawResponse = await this.apiManager.apiRequest(`/api/evaluations/runs/compare?ids=${ids.join(',')}`);
+            const response = await rawResponse.json();
+            if (response.success) {
+                this.renderEvaluationComparison(response.data);
+            }
+        } catch (error) {
+            console.error('Error comparing evaluation runs:', error);
+            this.showEvaluationStatus('✗ Failed to compare runs', 'text-sm text-red-600');
+        }
+    }
+
+    /**
+     * Render a comparison table with one column per run
+     */
+    renderEvaluationComparison(runs) {
+        const container = document.getElementById('eval-comparison');
+        if (!container) return;
+
+        const metricRows = [
+            ['Questions', run => run.summary.questions],
+            ['Failed questions', run => run.summary.errors],
+            ['Retrieval hit-rate', run => run.summary.retrieval.hitRate],
+            ['MRR', run => run.summary.retrieval.mrr],
+            ['Answer similarity', run => run.summary.answerSimilarity.mean],
+            ['Mean latency (ms)', run => run.summary.latency.meanMs],
+            ['p95 latency (ms)', run => run.summary.latency.p95Ms]
+        ];
+
+        const settingKeys = [...new Set(runs.flatMap(run => Object.keys(run.settings || {})))];
+        const settingRows = settingKeys
+            .filter(key => new Set(runs.map(run => JSON.stringify(run.settings?.[key]))).size > 1)
+            .map(key => [key, run => run.settings?.[key]]);
+
+        const table = document.createElement('table');
+        table.className = 'min-w-full text-sm border border-gray-200 rounded-lg';
+
+        const addRow = (label, values, className = '') => {
+            const row = table.insertRow();
+            row.className = `border-b border-gray-100 ${className}`;
+            [label, ...values].forEach((value, i) => {
+                const cell = row.insertCell();
+                cell.className = i === 0 ? 'py-2 px-3 text-gray-600' : 'py-2 px-3 text-gray-900 font-medium';
+                cell.textContent = value === null || value === undefined ? '-' : String(value);
+            });
+        };
+
+        addRow('', runs.map(run => run.label || new Date(run.started_at).toLocaleString()), 'bg-gray-50 font-semibold');
+        metricRows.forEach(([label, read]) => addRow(label, runs.map(read)));
+        if (settingRows.length > 0) {
+            addRow('Settings that differ', runs.map(() => ''), 'bg-gray-50');
+            settingRows.forEach(([label, read]) => addRow(label, runs.map(read)));
+        }
+
+        container.innerHTML = '';
+        container.appendChild(table);
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Start the experiment form with a control variant and one new prompt
+     */
+    resetExperimentVariants() {
+        const container = document.getElementById('prompt-experiment-variants');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.addExperimentVariant('Current prompt');
+        this.addExperimentVariant('');
+    }
+
+    /**
+     * Add a variant editor to the experiment form (up to 5)
+     */
+    addExperimentVariant(name) {
+        const container = document.getElementById('prompt-experiment-variants');
+        if (!container || container.children.length >= 5) return;
+
+        const key = 'ABCDE'[container.children.length];
+        const variant = document.createElement('div');
+        variant.className = 'prompt-experiment-variant border border-gray-200 rounded-lg p-3 space-y-2';
+        variant.innerHTML = `
+            <div class="flex items-center gap-3">
+                <span class="font-semibold text-gray-700">${key}</span>
+                <input type="text" class="variant-name flex-1 px-3 py-1 border border-gray-300 rounded text-sm" placeholder="Variant ${key}">
+                <label class="text-sm text-gray-600">Weight</label>
+                <input type="number" class="variant-weight w-20 px-2 py-1 border border-gray-300 rounded text-sm" min="0.1" step="0.1" value="1">
+            </div>
+            <textarea class="variant-content w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm" rows="4"
+                placeholder="System prompt with {context} - leave empty to use the current system prompt"></textarea>
+        `;
+        variant.querySelector('.variant-name').value = name;
+        container.appendChild(variant);
+    }
+
+    /**
+     * Load experiments
+     */
+    async loadPromptExperiments() {
+        try {
+            const rawResponse = await this.apiManager.apiRequest('/api/experiments');
+            const response = await rawResponse.json();
+            if (response.success) {
+                this.promptExperiments = response.data;
+                this.renderPromptExperiments();
+            }
+        } catch (error) {
+            console.error('Error loading prompt experiments:', error);
+        }
+    }
+
+    /**
+     * Render the experiments table
+     */
+    renderPromptExperiments() {
+        const tbody = document.getElementById('prompt-experiments-list');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        if (this.promptExperiments.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="py-4 text-center text-gray-500">No experiments yet</td></tr>';
+            return;
+        }
+
+        const statusStyles = {
+            draft: 'text-gray-600',
+            running: 'text-green-600 font-medium',
+            stopped: 'text-gray-500'
+        };
+        const actions = {
+            draft: [['Start', 'start'], ['Delete', 'delete']],
+            running: [['Results', 'results'], ['Stop', 'stop']],
+            stopped: [['Results', 'results'], ['Delete', 'delete']]
+        };
+
+        this.promptExperiments.forEach(experiment => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-gray-100';
+
+            const cells = [
+                experiment.name,
+                experiment.variants.map(variant => `${variant.key}: ${variant.name} (${variant.weight})`).join(', '),
+                experiment.status,
+                experiment.started_at ? new Date(experiment.started_at).toLocaleString() : '-'
+            ];
+            cells.forEach((text, i) => {
+                const cell = document.createElement('td');
+                cell.className = `py-2 pr-4 ${i === 2 ? statusStyles[experiment.status] || '' : 'text-gray-900'}`;
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.className = 'py-2 pr-4 whitespace-nowrap';
+            (actions[experiment.status] || []).forEach(([label, action]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = action === 'delete'
+                    ? 'text-xs px-2 py-1 mr-2 text-red-700 border border-red-200 rounded hover:bg-red-50'
+                    : 'text-xs px-2 py-1 mr-2 border border-gray-300 rounded hover:bg-gray-100';
+                button.textContent = label;
+                button.addEventListener('click', () => this.handlePromptExperimentAction(experiment, action));
+                actionCell.appendChild(button);
+            });
+            row.appendChild(actionCell);
+
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Show a temporary status message below the experiments
      */
-    initializeSaveListeners() {
-        const saveBtn = document.getElementById('save-prompt-config');
-        
-        if (saveBtn) {
-            saveBtn.addEventListener('click', () => this.saveConfiguration());
-        }
+    showPromptExperimentStatus(message, className) {
+        const statusElement = document.getElementById('prompt-experiment-status');
+        if (!statusElement) return;
+
+        statusElement.textContent = message;
+        statusElement.className = className;
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'text-sm text-gray-500';
+        }, 4000);
     }
 
     /**
-     * Initialize the module (required by SettingsManager)
+     * Create a draft experiment from the form
      */
-    async initialize() {
-        await this.loadInitialData();
+    async createPromptExperiment() {
+        const nameInput = document.getElementById('prompt-experiment-name');
+        const descriptionInput = document.getElementById('prompt-experiment-description');
+        const variants = [...document.querySelectorAll('.prompt-experiment-variant')].map(variant => ({
+            name: variant.querySelector('.variant-name').value.trim(),
+            content: variant.querySelector('.variant-content').value,
+            weight: parseFloat(variant.querySelector('.variant-weight').value)
+        }));
+
+        try {
+            const rawResponse = await this.apiManager.apiRequest('/api/experiments', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: nameInput.value.trim(),
+                    description: descriptionInput.value.trim(),
+                    variants
+                })
+            });
+            const response = await rawResponse.json();
+            if (!response.success) {
+                throw new Error(response.message || response.error || 'Failed to create experiment');
+            }
+
+            nameInput.value = '';
+            descriptionInput.value = '';
+            this.resetExperimentVariants();
+
+            this.showPromptExperimentStatus('✓ Experiment created - start it to split conversations', 'text-sm text-green-600');
+            await this.loadPromptExperiments();
+        } catch (error) {
+            console.error('Error creating prompt experiment:', error);
+            this.showPromptExperimentStatus(`✗ ${error.message}`, 'text-sm text-red-600');
+        }
     }
 
     /**
-     * Load initial data for the module
+     * Start, stop or delete an experiment, or show its results
      */
-    async loadInitialData() {
+    async handlePromptExperimentAction(experiment, action) {
+        if (action === 'results') {
+            await this.showPromptExperimentResults(experiment.id);
+            return;
+        }
+        if (action === 'delete' && !confirm(`Delete experiment "${experiment.name}"?`)) {
+            return;
+        }
+        if (action === 'stop' && !confirm(`Stop experiment "${experiment.name}"? Conversations return to the current system prompt.`)) {
+            return;
+        }
+
         try {
-            // Load RAG settings
-            await this.loadRAGSettings();
-            
-            // Check Langfuse status
-            await this.checkLangfuseStatus();
-            
-            // Load current prompt settings
-            await this.loadPromptSettings();
-            
-            // If Langfuse is available, load available prompts
-            if (this.langfuseStatus.available) {
-                await this.loadAvailablePrompts();
+            const rawResponse = action === 'delete'
+                ? await this.apiManager.apiRequest(`/api/experiments/${experiment.id}`, { method: 'DELETE' })
+                : await this.apiManager.apiRequest(`/api/experiments/${experiment.id}/${action}`, { method: 'POST' });
+            const response = await rawResponse.json();
+            if (!response.success) {
+                throw new Error(response.message || response.error);
             }
-            
-            // Initialize UI based on current mode
-            this.updateModeUI();
-            
-            console.log('Context Engineering module initialized successfully');
-            
+
+            this.showPromptExperimentStatus(`✓ ${response.message}`, 'text-sm text-green-600');
+            await this.loadPromptExperiments();
         } catch (error) {
-            console.error('Failed to initialize Context Engineering module:', error);
+            console.error(`Error on prompt experiment ${action}:`, error);
+            this.showPromptExperimentStatus(`✗ ${error.message}`, 'text-sm text-red-600');
         }
     }
 
     /**
-     * Load RAG settings from the backend
+     * Show agent acceptance per variant, one column per variant
      */
-    async loadRAGSettings() {
+    async showPromptExperimentResults(experimentId) {
+        const container = document.getElementById('prompt-experiment-results');
+        if (!container) return;
+
         try {
-            const rawResponse = await this.apiManager.apiRequest('/api/config/ai');
+            const rawResponse = await this.apiManager.apiRequest(`/api/experiments/${experimentId}/results`);
             const response = await rawResponse.json();
-            const aiSettings = response.settings; // AI endpoint uses 'settings' property
-            
-            this.ragSettings = {
-                rag_k: aiSettings.rag_k?.value || 100,
-                rag_similarity_threshold: aiSettings.rag_similarity_threshold?.value || 0.7,
-                rag_max_tokens: aiSettings.rag_max_tokens?.value || 2000
+            if (!response.success) {
+                throw new Error(response.message || response.error);
+            }
+
+            const { experiment, variants } = response.data;
+            const percent = (rate) => rate === null ? '-' : `${Math.round(rate * 100)}%`;
+            const rows = [
+                ['Replies', variant => variant.total],
+                ['Sent as is', variant => `${percent(variant.rates.sent_as_is)} (${variant.counts.sent_as_is})`],
+                ['Edited', variant => `${percent(variant.rates.edited)} (${variant.counts.edited})`],
+                ['Written from scratch', variant => `${percent(variant.rates.from_scratch)} (${variant.counts.from_scratch})`],
+                ['Average edit ratio', variant => variant.averageEditRatio ?? '-']
+            ];
+
+            const table = document.createElement('table');
+            table.className = 'min-w-full text-sm border border-gray-200 rounded-lg';
+            const addRow = (label, values, className = '') => {
+                const row = table.insertRow();
+                row.className = `border-b border-gray-100 ${className}`;
+                [label, ...values].forEach((value, i) => {
+                    const cell = row.insertCell();
+                    cell.className = i === 0 ? 'py-2 px-3 text-gray-600' : 'py-2 px-3 text-gray-900 font-medium';
+                    cell.textContent = String(value);
+                });
             };
-            
-            this.updateRAGUI();
-            
+
+            addRow(experiment.name, variants.map(variant => `${variant.key}: ${variant.name}`), 'bg-gray-50 font-semibold');
+            rows.forEach(([label, read]) => addRow(label, variants.map(read)));
+
+            container.innerHTML = '';
+            container.appendChild(table);
+            container.classList.remove('hidden');
         } catch (error) {
-            console.error('Failed to load RAG settings:', error);
+            console.error('Error loading prompt experiment results:', error);
+            this.showPromptExperimentStatus('✗ Failed to load results', 'text-sm text-red-600');
         }
     }
 
     /**
-     * Update RAG UI elements with loaded values
+     * Load registered HTTP tools
      */
-    updateRAGUI() {
-        const ragKSlider = document.getElementById('rag-k');
-        const ragKValue = document.getElementById('rag-k-value');
-        const similaritySlider = document.getElementById('similarity-threshold');
-        const similarityValue = document.getElementById('similarity-threshold-value');
-        const tokensSlider = document.getElementById('max-tokens');
-        const tokensValue = document.getElementById('max-tokens-value');
+    async loadHttpTools() {
+        try {
+            const rawResponse = await this.apiManager.apiRequest('/api/tools');
+            const response = await rawResponse.json();
+            if (response.success) {
+                this.httpTools = response.data;
+                this.renderHttpTools();
+            }
+        } catch (error) {
+            console.error('Error loading HTTP tools:', error);
+        }
+    }
 
-        if (ragKSlider && ragKValue) {
-            ragKSlider.value = this.ragSettings.rag_k;
-            ragKValue.value = this.ragSettings.rag_k;
+    /**
+     * Render the tools table
+     */
+    renderHttpTools() {
+        const tbody = document.getElementById('http-tools-list');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        if (this.httpTools.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="py-4 text-center text-gray-500">No tools registered</td></tr>';
+            return;
         }
 
-        if (similaritySlider && similarityValue) {
-            similaritySlider.value = this.ragSettings.rag_similarity_threshold;
-            similarityValue.value = this.ragSettings.rag_similarity_threshold;
+        this.httpTools.forEach(tool => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-gray-100';
+
+            const cells = [
+                tool.name,
+                `${tool.method} ${tool.endpoint}`,
+                tool.hasAuthHeader ? tool.auth_header_name : '-',
+                tool.enabled ? 'enabled' : 'disabled'
+            ];
+            cells.forEach((text, i) => {
+                const cell = document.createElement('td');
+                cell.className = `py-2 pr-4 ${i === 3 ? (tool.enabled ? 'text-green-600 font-medium' : 'text-gray-500') : 'text-gray-900'}`;
+                if (i === 0) {
+                    cell.title = tool.description;
+                    cell.classList.add('font-mono');
+                }
+                if (i === 1) {
+                    cell.classList.add('font-mono', 'text-xs', 'break-all');
+                }
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.className = 'py-2 pr-4 whitespace-nowrap';
+            [['Test', 'test'], ['Edit', 'edit'], [tool.enabled ? 'Disable' : 'Enable', 'toggle'], ['Delete', 'delete']].forEach(([label, action]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = action === 'delete'
+                    ? 'text-xs px-2 py-1 mr-2 text-red-700 border border-red-200 rounded hover:bg-red-50'
+                    : 'text-xs px-2 py-1 mr-2 border border-gray-300 rounded hover:bg-gray-100';
+                button.textContent = label;
+                button.addEventListener('click', () => this.handleHttpToolAction(tool, action));
+                actionCell.appendChild(button);
+            });
+            row.appendChild(actionCell);
+
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Show a temporary status message below the tools
+     */
+    showHttpToolStatus(message, className) {
+        const statusElement = document.getElementById('http-tool-status');
+        if (!statusElement) return;
+
+        statusElement.textContent = message;
+        statusElement.className = className;
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'text-sm text-gray-500';
+        }, 4000);
+    }
+
+    /**
+     * Clear the tool form back to registering a new tool
+     */
+    resetHttpToolForm() {
+        const form = document.getElementById('http-tool-form');
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('http-tool-id').value = '';
+        document.getElementById('save-http-tool-label').textContent = 'Register Tool';
+        document.getElementById('cancel-http-tool-edit').classList.add('hidden');
+        document.getElementById('http-tool-auth-hint').classList.add('hidden');
+    }
+
+    /**
+     * Fill the tool form to edit a tool; the stored auth header value is never shown
+     */
+    editHttpTool(tool) {
+        document.getElementById('http-tool-id').value = tool.id;
+        document.getElementById('http-tool-name').value = tool.name;
+        document.getElementById('http-tool-method').value = tool.method;
+        document.getElementById('http-tool-timeout').value = tool.timeout_ms;
+        document.getElementById('http-tool-endpoint').value = tool.endpoint;
+        document.getElementById('http-tool-description').value = tool.description;
+        document.getElementById('http-tool-parameters').value = JSON.stringify(tool.parameters, null, 2);
+        document.getElementById('http-tool-auth-name').value = tool.auth_header_name || '';
+        document.getElementById('http-tool-auth-value').value = '';
+        document.getElementById('http-tool-auth-hint').classList.toggle('hidden', !tool.hasAuthHeader);
+        document.getElementById('save-http-tool-label').textContent = 'Update Tool';
+        document.getElementById('cancel-http-tool-edit').classList.remove('hidden');
+        document.getElementById('http-tool-form').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Register a tool or update the one being edited
+     */
+    async saveHttpTool() {
+        const id = document.getElementById('http-tool-id').value;
+        const authHeaderName = document.getElementById('http-tool-auth-name').value.trim();
+        const authHeaderValue = document.getElementById('http-tool-auth-value').value;
+        const body = {
+            name: document.getElementById('http-tool-name').value.trim(),
+            method: document.getElementById('http-tool-method').value,
+            timeoutMs: parseInt(document.getElementById('http-tool-timeout').value, 10),
+            endpoint: document.getElementById('http-tool-endpoint').value.trim(),
+            description: document.getElementById('http-tool-description').value.trim(),
+            parameters: document.getElementById('http-tool-parameters').value,
+            authHeaderName
+        };
+        // An empty value keeps the stored one when editing; removing the header name removes both
+        if (authHeaderValue || !id) {
+            body.authHeaderValue = authHeaderValue;
+        }
+        if (!authHeaderName) {
+            body.authHeaderValue = '';
         }
 
-        if (tokensSlider && tokensValue) {
-            tokensSlider.value = this.ragSettings.rag_max_tokens;
-            tokensValue.value = this.ragSettings.rag_max_tokens;
+        try {
+            const rawResponse = await this.apiManager.apiRequest(id ? `/api/tools/${id}` : '/api/tools', {
+                method: id ? 'PUT' : 'POST',
+                body: JSON.stringify(body)
+            });
+            const response = await rawResponse.json();
+            if (!response.success) {
+                throw new Error(response.message || response.error || 'Failed to save tool');
+            }
+
+            this.resetHttpToolForm();
+            this.showHttpToolStatus(`✓ Tool ${response.data.name} ${id ? 'updated' : 'registered'}`, 'text-sm text-green-600');
+            await this.loadHttpTools();
+        } catch (error) {
+            console.error('Error saving HTTP tool:', error);
+            this.showHttpToolStatus(`✗ ${error.message}`, 'text-sm text-red-600');
         }
     }
 
     /**
-     * Save RAG settings to the backend
+     * Test, edit, enable/disable or delete a tool
      */
-    async saveRAGSettings() {
+    async handleHttpToolAction(tool, action) {
+        if (action === 'edit') {
+            this.editHttpTool(tool);
+            return;
+        }
+        if (action === 'test') {
+            this.testingToolId = tool.id;
+            document.getElementById('http-tool-test-name').textContent = tool.name;
+            document.getElementById('http-tool-test-result').classList.add('hidden');
+            document.getElementById('http-tool-test').classList.remove('hidden');
+            return;
+        }
+        if (action === 'delete' && !confirm(`Delete tool "${tool.name}"? The AI will no longer call it.`)) {
+            return;
+        }
+
         try {
-            const statusElement = document.getElementById('rag-save-status');
-            const saveButton = document.getElementById('save-rag-settings');
-            
-            if (statusElement) statusElement.textContent = 'Saving...';
-            if (saveButton) saveButton.disabled = true;
+            const rawResponse = action === 'delete'
+                ? await this.apiManager.apiRequest(`/api/tools/${tool.id}`, { method: 'DELETE' })
+                : await this.apiManager.apiRequest(`/api/tools/${tool.id}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ enabled: !tool.enabled })
+                });
+            const response = await rawResponse.json();
+            if (!response.success) {
+                throw new Error(response.message || response.error);
+            }
 
-            const ragKValue = document.getElementById('rag-k-value').value;
-            const similarityValue = document.getElementById('similarity-threshold-value').value;
-            const tokensValue = document.getElementById('max-tokens-value').value;
+            if (action === 'delete' && this.testingToolId === tool.id) {
+                this.testingToolId = null;
+                document.getElementById('http-tool-test').classList.add('hidden');
+            }
+            this.showHttpToolStatus(action === 'delete' ? '✓ Tool deleted' : `✓ Tool ${tool.enabled ? 'disabled' : 'enabled'}`, 'text-sm text-green-600');
+            await this.loadHttpTools();
+        } catch (error) {
+            console.error(`Error on HTTP tool ${action}:`, error);
+            this.showHttpToolStatus(`✗ ${error.message}`, 'text-sm text-red-600');
+        }
+    }
 
-            const settings = {
-                rag_k: parseInt(ragKValue),
-                rag_similarity_threshold: parseFloat(similarityValue),
-                rag_max_tokens: parseInt(tokensValue)
-            };
+    /**
+     * Call the tool under test and show the call log
+     */
+    async runHttpToolTest() {
+        if (!this.testingToolId) return;
 
-            const rawResponse = await this.apiManager.apiRequest('/api/config/ai', {
-                method: 'PUT',
-                body: JSON.stringify(settings)
+        const resultElement = document.getElementById('http-tool-test-result');
+        try {
+            const rawResponse = await this.apiManager.apiRequest(`/api/tools/${this.testingToolId}/test`, {
+                method: 'POST',
+                body: JSON.stringify({ arguments: document.getElementById('http-tool-test-args').value })
             });
-
             const response = await rawResponse.json();
-
-            if (response.success) {
-                this.ragSettings = settings;
-                if (statusElement) {
-                    statusElement.textContent = '✓ RAG settings saved successfully';
-                    statusElement.className = 'text-sm text-green-600';
-                }
-                setTimeout(() => {
-                    if (statusElement) {
-                        statusElement.textContent = '';
-                        statusElement.className = 'text-sm text-gray-500';
-                    }
-                }, 3000);
-            } else {
-                throw new Error('Failed to save RAG settings');
+            if (!response.success) {
+                throw new Error(response.message || response.error);
             }
 
+            const call = response.data;
+            resultElement.textContent = JSON.stringify(call, null, 2);
+            resultElement.className = `text-xs border rounded p-3 overflow-x-auto ${call.ok ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`;
         } catch (error) {
-            console.error('Error saving RAG settings:', error);
-            const statusElement = document.getElementById('rag-save-status');
-            if (statusElement) {
-                statusElement.textContent = '✗ Failed to save RAG settings';
-                statusElement.className = 'text-sm text-red-600';
-            }
-        } finally {
-            const saveButton = document.getElementById('save-rag-settings');
-            if (saveButton) saveButton.disabled = false;
+            console.error('Error testing HTTP tool:', error);
+            resultElement.textContent = error.message;
+            resultElement.className = 'text-xs bg-red-50 border border-red-200 rounded p-3 overflow-x-auto';
         }
     }
 
@@ -485,6 +2110,190 @@ export class ContextEngineeringModule {
                 console.warn(`Textarea element not found: local-${type}-prompt`);
             }
         });
+
+        this.loadPromptVersions();
+    }
+
+    /**
+     * Load the version history of the selected local prompt
+     */
+    async loadPromptVersions() {
+        const type = document.getElementById('prompt-version-type')?.value || 'system';
+
+        try {
+            const rawResponse = await this.apiManager.apiRequest(`/api/config/prompts/versions?type=${type}`);
+            const response = await rawResponse.json();
+            this.promptVersions = response.success ? response.data : [];
+        } catch (error) {
+            console.error('Failed to load prompt versions:', error);
+            this.promptVersions = [];
+        }
+
+        this.hidePromptDiff();
+        this.renderPromptVersions();
+    }
+
+    /**
+     * Render the version list, newest first
+     */
+    renderPromptVersions() {
+        const container = document.getElementById('prompt-version-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (this.promptVersions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-gray-500';
+            empty.textContent = 'No versions yet - versions are kept from the next save';
+            container.appendChild(empty);
+            return;
+        }
+
+        const versionNumbers = Object.fromEntries(this.promptVersions.map(version => [version.id, version.version]));
+
+        this.promptVersions.forEach(version => {
+            const row = document.createElement('div');
+            row.className = `flex items-center justify-between gap-3 p-2 rounded border ${version.active ? 'border-purple-300 bg-purple-50' : 'border-gray-200'}`;
+
+            const details = document.createElement('div');
+            details.className = 'text-gray-700';
+            const restored = version.rollbackOf
+                ? ` · restored v${versionNumbers[version.rollbackOf] || '?'}`
+                : '';
+            details.textContent = `v${version.version} · ${version.author || 'Unknown'} · ${new Date(version.createdAt).toLocaleString()}${restored}${version.active ? ' · active' : ''}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'flex items-center gap-2 shrink-0';
+
+            const diffButton = document.createElement('button');
+            diffButton.type = 'button';
+            diffButton.className = 'text-xs px-2 py-1 border border-gray-300 rounded hover:bg-gray-100';
+            diffButton.textContent = 'Diff';
+            diffButton.addEventListener('click', () => this.showPromptDiff(version.id));
+            actions.appendChild(diffButton);
+
+            if (!version.active) {
+                const restoreButton = document.createElement('button');
+                restoreButton.type = 'button';
+                restoreButton.className = 'text-xs px-2 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded';
+                restoreButton.textContent = 'Restore';
+                restoreButton.addEventListener('click', () => this.rollbackPromptVersion(version.id));
+                actions.appendChild(restoreButton);
+            }
+
+            row.appendChild(details);
+            row.appendChild(actions);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the line diff of a version against the previous or the active version
+     */
+    async showPromptDiff(versionId) {
+        const container = document.getElementById('prompt-version-diff');
+        if (!container) return;
+
+        const compare = document.getElementById('prompt-version-compare')?.value;
+        const active = this.promptVersions.find(version => version.active);
+        // Shown as changes from the selected version to the active one
+        const [fromId, toId] = compare === 'active' && active && active.id !== versionId
+            ? [versionId, active.id]
+            : [null, versionId];
+
+        try {
+            const query = fromId ? `?against=${fromId}` : '';
+            const rawResponse = await this.apiManager.apiRequest(`/api/config/prompts/versions/${toId}/diff${query}`);
+            const response = await rawResponse.json();
+            if (!response.success) {
+                throw new Error(response.message || response.error);
+            }
+
+            const { from, to, stats, lines } = response.data;
+            container.innerHTML = '';
+
+            const header = document.createElement('div');
+            header.className = 'mb-2 font-sans text-gray-700';
+            header.textContent = `${from ? `v${from.version}` : 'Empty'} → v${to.version}: +${stats.added} / -${stats.removed} lines`;
+            container.appendChild(header);
+
+            const styles = {
+                added: ['+ ', 'bg-green-100 text-green-800'],
+                removed: ['- ', 'bg-red-100 text-red-800'],
+                equal: ['  ', 'text-gray-600']
+            };
+            lines.forEach(({ type, line }) => {
+                const [prefix, className] = styles[type];
+                const lineElement = document.createElement('div');
+                lineElement.className = `whitespace-pre-wrap ${className}`;
+                lineElement.textContent = prefix + line;
+                container.appendChild(lineElement);
+            });
+
+            container.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to load prompt diff:', error);
+            this.showPromptVersionStatus('✗ Failed to load diff', 'text-sm text-red-600 mt-2');
+        }
+    }
+
+    /**
+     * Hide the diff view
+     */
+    hidePromptDiff() {
+        const container = document.getElementById('prompt-version-diff');
+        if (container) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Restore a version as the active local prompt
+     */
+    async rollbackPromptVersion(versionId) {
+        const version = this.promptVersions.find(candidate => candidate.id === versionId);
+        if (!version || !confirm(`Restore version ${version.version} of the ${version.type} prompt?`)) {
+            return;
+        }
+
+        try {
+            const rawResponse = await this.apiManager.apiRequest(`/api/config/prompts/versions/${versionId}/rollback`, {
+                method: 'POST'
+            });
+            const response = await rawResponse.json();
+            if (!response.success) {
+                throw new Error(response.message || response.error);
+            }
+
+            this.currentSettings[`custom_${version.type}_prompt_content`] = version.content;
+            const textarea = document.getElementById(`local-${version.type}-prompt`);
+            if (textarea) {
+                textarea.value = version.content;
+                this.validatePrompt(textarea, version.type);
+            }
+
+            this.showPromptVersionStatus(`✓ ${response.message}`, 'text-sm text-green-600 mt-2');
+            await this.loadPromptVersions();
+        } catch (error) {
+            console.error('Failed to restore prompt version:', error);
+            this.showPromptVersionStatus(`✗ Failed to restore version: ${error.message}`, 'text-sm text-red-600 mt-2');
+        }
+    }
+
+    /**
+     * Show a temporary status message below the version history
+     */
+    showPromptVersionStatus(message, className) {
+        const statusElement = document.getElementById('prompt-version-status');
+        if (!statusElement) return;
+
+        statusElement.textContent = message;
+        statusElement.className = className;
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'text-sm text-gray-500 mt-2';
+        }, 4000);
     }
 
     /**
@@ -765,6 +2574,10 @@ export class ContextEngineeringModule {
             if (response.success) {
                 // Update current settings
                 Object.assign(this.currentSettings, settings);
+
+                if (this.promptMode === 'local') {
+                    await this.loadPromptVersions();
+                }
                 
                 if (statusElement) {
                     statusElement.textContent = '✓ Configuration saved successfully';
@@ -803,6 +2616,7 @@ export class ContextEngineeringModule {
      * Module cleanup
      */
     destroy() {
+        clearTimeout(this.evaluationPollTimer);
         // Remove event listeners if needed
         console.log('Context Engineering module destroyed');
     }
@@ -2,11 +2,13 @@
  * Knowledge Management Module
  *
  * Handles AI provider configuration with separate main and rephrasing models,
- * vector database management, and knowledge base operations.
+ * vector database management, knowledge base operations, the knowledge gap report,
+ * the review queue of agent-corrected answers and the curated FAQ entries.
  *
  * Based on the existing backend implementation with:
  * - Main models: google/gemini-2.5-flash, anthropic/claude-sonnet-4, openai/gpt-5-chat
  * - Rephrasing models: google/gemini-2.5-flash-lite, openai/gpt-5-nano
+ * - OpenAI-compatible endpoints (vLLM, Ollama, LM Studio) with custom base URL, headers and model list
  * - Full API integration with /api/settings/ai_providers
  */
 
@@ -22,6 +24,7 @@ export class KnowledgeManagementModule {
         // Module state
         this.currentProvider = 'openrouter';
         this.formData = {};
+        this.faqs = [];
 
         console.log('📚 KnowledgeManagementModule: Initialized');
     }
@@ -67,6 +70,7 @@ export class KnowledgeManagementModule {
             providerForm: document.getElementById('ai-provider-form'),
             providerFlowiseRadio: document.getElementById('provider-flowise'),
             providerOpenRouterRadio: document.getElementById('provider-openrouter'),
+            providerOpenAICompatibleRadio: document.getElementById('provider-openai-compatible'),
 
             // Flowise configuration
             flowiseUrl: document.getElementById('flowise-url'),
@@ -81,6 +85,16 @@ export class KnowledgeManagementModule {
             siteName: document.getElementById('site-name'),
             testOpenRouterButton: document.getElementById('test-openrouter'),
 
+            // OpenAI-compatible configuration
+            openAICompatibleBaseUrl: document.getElementById('openai-compatible-base-url'),
+            openAICompatibleApiKey: document.getElementById('openai-compatible-api-key'),
+            openAICompatibleModel: document.getElementById('openai-compatible-model'),
+            openAICompatibleRephrasingModel: document.getElementById('openai-compatible-rephrasing-model'),
+            openAICompatibleModels: document.getElementById('openai-compatible-models'),
+            openAICompatibleModelOptions: document.getElementById('openai-compatible-model-options'),
+            openAICompatibleHeaders: document.getElementById('openai-compatible-headers'),
+            testOpenAICompatibleButton: document.getElementById('test-openai-compatible'),
+
             // Form controls
             resetFormButton: document.getElementById('reset-provider-form'),
             saveConfigButton: document.getElementById('save-provider-config'),
@@ -92,6 +106,17 @@ export class KnowledgeManagementModule {
             refreshVectorStatsButton: document.getElementById('refresh-vector-stats'),
             clearVectorDbButton: document.getElementById('clear-vector-db'),
 
+            // Embedding model elements
+            embeddingActive: document.getElementById('embedding-active'),
+            embeddingActiveCollection: document.getElementById('embedding-active-collection'),
+            embeddingProvider: document.getElementById('embedding-provider'),
+            embeddingModel: document.getElementById('embedding-model'),
+            embeddingBaseUrl: document.getElementById('embedding-base-url'),
+            embeddingApiKey: document.getElementById('embedding-api-key'),
+            embeddingMigrationStatus: document.getElementById('embedding-migration-status'),
+            saveEmbeddingSettingsButton: document.getElementById('save-embedding-settings'),
+            startEmbeddingMigrationButton: document.getElementById('start-embedding-migration'),
+
             // File upload elements
             fileUploadArea: document.getElementById('file-upload-area'),
             fileInput: document.getElementById('file-input'),
@@ -113,6 +138,36 @@ export class KnowledgeManagementModule {
             indexedList: document.getElementById('indexed-list'),
             refreshIndexedButton: document.getElementById('refresh-indexed'),
 
+            // Knowledge gap report elements
+            knowledgeGapsDays: document.getElementById('knowledge-gaps-days'),
+            knowledgeGapsSummary: document.getElementById('knowledge-gaps-summary'),
+            knowledgeGapsList: document.getElementById('knowledge-gaps-list'),
+            refreshKnowledgeGapsButton: document.getElementById('refresh-knowledge-gaps'),
+
+            // Answer review queue elements
+            answerReviewsSummary: document.getElementById('answer-reviews-summary'),
+            answerReviewsList: document.getElementById('answer-reviews-list'),
+            refreshAnswerReviewsButton: document.getElementById('refresh-answer-reviews'),
+
+            // FAQ elements
+            faqMatchingEnabled: document.getElementById('faq-matching-enabled'),
+            faqAnswerThreshold: document.getElementById('faq-answer-threshold'),
+            faqContextThreshold: document.getElementById('faq-context-threshold'),
+            saveFaqSettingsButton: document.getElementById('save-faq-settings'),
+            faqForm: document.getElementById('faq-form'),
+            faqId: document.getElementById('faq-id'),
+            faqQuestion: document.getElementById('faq-question'),
+            faqAlternates: document.getElementById('faq-alternates'),
+            faqAnswer: document.getElementById('faq-answer'),
+            faqTags: document.getElementById('faq-tags'),
+            faqSubmitLabel: document.getElementById('faq-submit-label'),
+            cancelFaqEditButton: document.getElementById('cancel-faq-edit'),
+            faqSearch: document.getElementById('faq-search'),
+            faqSummary: document.getElementById('faq-summary'),
+            faqList: document.getElementById('faq-list'),
+            faqImportFile: document.getElementById('faq-import-file'),
+            refreshFaqsButton: document.getElementById('refresh-faqs'),
+
             // Stats elements (enhanced)
             lastUpdated: document.getElementById('last-updated'),
             uploadedFiles: document.getElementById('uploaded-files'),
@@ -138,6 +193,9 @@ export class KnowledgeManagementModule {
         if (this.elements.providerOpenRouterRadio) {
             this.elements.providerOpenRouterRadio.addEventListener('change', () => this.onProviderChanged('openrouter'));
         }
+        if (this.elements.providerOpenAICompatibleRadio) {
+            this.elements.providerOpenAICompatibleRadio.addEventListener('change', () => this.onProviderChanged('openai_compatible'));
+        }
 
         // Test connection buttons
         if (this.elements.testFlowiseButton) {
@@ -146,6 +204,14 @@ export class KnowledgeManagementModule {
         if (this.elements.testOpenRouterButton) {
             this.elements.testOpenRouterButton.addEventListener('click', () => this.testOpenRouterConnection());
         }
+        if (this.elements.testOpenAICompatibleButton) {
+            this.elements.testOpenAICompatibleButton.addEventListener('click', () => this.testOpenAICompatibleConnection());
+        }
+        if (this.elements.openAICompatibleModels) {
+            this.elements.openAICompatibleModels.addEventListener('change', () => {
+                this.updateModelOptions(this.elements.openAICompatibleModels.value.split(','));
+            });
+        }
 
         // Form controls
         if (this.elements.resetFormButton) {
@@ -169,6 +235,14 @@ export class KnowledgeManagementModule {
             this.elements.clearVectorDbButton.addEventListener('click', () => this.clearVectorDatabase());
         }
 
+        // Embedding model controls
+        if (this.elements.saveEmbeddingSettingsButton) {
+            this.elements.saveEmbeddingSettingsButton.addEventListener('click', () => this.saveEmbeddingSettings());
+        }
+        if (this.elements.startEmbeddingMigrationButton) {
+            this.elements.startEmbeddingMigrationButton.addEventListener('click', () => this.startEmbeddingMigration());
+        }
+
         // File upload controls
         if (this.elements.fileUploadArea) {
             this.elements.fileUploadArea.addEventListener('click', () => this.elements.fileInput?.click());
@@ -208,6 +282,46 @@ export class KnowledgeManagementModule {
             this.elements.refreshIndexedButton.addEventListener('click', () => this.refreshIndexedDocuments());
         }
 
+        // Knowledge gap report controls
+        if (this.elements.refreshKnowledgeGapsButton) {
+            this.elements.refreshKnowledgeGapsButton.addEventListener('click', () => this.loadKnowledgeGaps());
+        }
+        if (this.elements.knowledgeGapsDays) {
+            this.elements.knowledgeGapsDays.addEventListener('change', () => this.loadKnowledgeGaps());
+        }
+
+        // Answer review queue controls
+        if (this.elements.refreshAnswerReviewsButton) {
+            this.elements.refreshAnswerReviewsButton.addEventListener('click', () => this.loadAnswerReviews());
+        }
+
+        // FAQ controls
+        if (this.elements.refreshFaqsButton) {
+            this.elements.refreshFaqsButton.addEventListener('click', () => this.loadFaqs());
+        }
+        if (this.elements.saveFaqSettingsButton) {
+            this.elements.saveFaqSettingsButton.addEventListener('click', () => this.saveFaqSettings());
+        }
+        if (this.elements.faqForm) {
+            this.elements.faqForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveFaq();
+            });
+        }
+        if (this.elements.cancelFaqEditButton) {
+            this.elements.cancelFaqEditButton.addEventListener('click', () => this.resetFaqForm());
+        }
+        if (this.elements.faqSearch) {
+            this.elements.faqSearch.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.loadFaqs();
+                }
+            });
+        }
+        if (this.elements.faqImportFile) {
+            this.elements.faqImportFile.addEventListener('change', (e) => this.importFaqCsv(e.target.files[0]));
+        }
+
         // API Documentation controls
         this.attachApiDocumentationListeners();
 
@@ -227,12 +341,25 @@ export class KnowledgeManagementModule {
             // Load vector database stats
             await this.refreshVectorStats();
 
+            // Load embedding model and migration status
+            await this.loadEmbeddingStatus();
+
             // Load documents list
             await this.loadDocuments();
 
             // Load indexed documents
             await this.loadIndexedDocuments();
 
+            // Load knowledge gap report
+            await this.loadKnowledgeGaps();
+
+            // Load review queue of agent-corrected answers
+            await this.loadAnswerReviews();
+
+            // Load FAQ entries and matching thresholds
+            await this.loadFaqSettings();
+            await this.loadFaqs();
+
             // Initialize API documentation
             await this.initializeApiDocumentation();
 
@@ -286,6 +413,8 @@ export class KnowledgeManagementModule {
             this.elements.providerFlowiseRadio.checked = true;
         } else if (provider === 'openrouter' && this.elements.providerOpenRouterRadio) {
             this.elements.providerOpenRouterRadio.checked = true;
+        } else if (provider === 'openai_compatible' && this.elements.providerOpenAICompatibleRadio) {
+            this.elements.providerOpenAICompatibleRadio.checked = true;
         }
 
         // Set Flowise fields
@@ -313,6 +442,27 @@ export class KnowledgeManagementModule {
             this.elements.siteName.value = data.site_name?.value || '';
         }
 
+        // Set OpenAI-compatible fields
+        if (this.elements.openAICompatibleBaseUrl) {
+            this.elements.openAICompatibleBaseUrl.value = data.openai_compatible_base_url?.value || '';
+        }
+        if (this.elements.openAICompatibleApiKey && data.openai_compatible_api_key?.value) {
+            this.elements.openAICompatibleApiKey.value = '••••••••'; // Mask the key
+        }
+        if (this.elements.openAICompatibleModel) {
+            this.elements.openAICompatibleModel.value = data.openai_compatible_model?.value || '';
+        }
+        if (this.elements.openAICompatibleRephrasingModel) {
+            this.elements.openAICompatibleRephrasingModel.value = data.openai_compatible_rephrasing_model?.value || '';
+        }
+        if (this.elements.openAICompatibleModels) {
+            this.elements.openAICompatibleModels.value = data.openai_compatible_models?.value || '';
+            this.updateModelOptions(this.elements.openAICompatibleModels.value.split(','));
+        }
+        if (this.elements.openAICompatibleHeaders) {
+            this.elements.openAICompatibleHeaders.value = data.openai_compatible_headers?.value || '';
+        }
+
         this.onProviderChanged(provider);
     }
 
@@ -426,6 +576,99 @@ export class KnowledgeManagementModule {
         }
     }
 
+    /**
+     * Collect OpenAI-compatible fields in the shape expected by the ai_providers settings
+     */
+    getOpenAICompatibleConfig() {
+        return {
+            openai_compatible_base_url: this.elements.openAICompatibleBaseUrl?.value.trim() || '',
+            openai_compatible_api_key: this.elements.openAICompatibleApiKey?.value || '',
+            openai_compatible_model: this.elements.openAICompatibleModel?.value.trim() || '',
+            openai_compatible_rephrasing_model: this.elements.openAICompatibleRephrasingModel?.value.trim() || '',
+            openai_compatible_models: this.elements.openAICompatibleModels?.value.trim() || '',
+            openai_compatible_headers: this.elements.openAICompatibleHeaders?.value.trim() || ''
+        };
+    }
+
+    /**
+     * Validate the extra headers field (must be a JSON object)
+     */
+    isValidHeadersJson(value) {
+        if (!value) return true;
+        try {
+            const parsed = JSON.parse(value);
+            return Boolean(parsed) && typeof parsed === 'object' && !Array.isArray(parsed);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Fill the model suggestions shown for the OpenAI-compatible model inputs
+     */
+    updateModelOptions(models) {
+        const datalist = this.elements.openAICompatibleModelOptions;
+        if (!datalist) return;
+
+        datalist.innerHTML = '';
+        models.map(model => model.trim()).filter(Boolean).forEach(model => {
+            const option = document.createElement('option');
+            option.value = model;
+            datalist.appendChild(option);
+        });
+    }
+
+    /**
+     * Test OpenAI-compatible endpoint connection
+     */
+    async testOpenAICompatibleConnection() {
+        const config = this.getOpenAICompatibleConfig();
+
+        if (!config.openai_compatible_base_url || !config.openai_compatible_model) {
+            this.showMessage('Please enter base URL and main model', 'warning');
+            return;
+        }
+        if (!this.isValidHeadersJson(config.openai_compatible_headers)) {
+            this.showMessage('Extra headers must be a JSON object', 'warning');
+            return;
+        }
+        if (config.openai_compatible_api_key === '••••••••') {
+            this.showMessage('Please re-enter the API key to test the connection', 'warning');
+            return;
+        }
+
+        try {
+            this.elements.testOpenAICompatibleButton.disabled = true;
+            this.elements.testOpenAICompatibleButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Testing...';
+
+            const response = await fetch('/api/system/test-ai-provider', {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({
+                    provider: 'openai_compatible',
+                    config
+                })
+            });
+
+            const result = await response.json();
+            if (response.ok && result.success) {
+                if (Array.isArray(result.models) && result.models.length > 0) {
+                    this.updateModelOptions(result.models);
+                }
+                this.showMessage('OpenAI-compatible connection successful', 'success');
+            } else {
+                this.showMessage(`OpenAI-compatible test failed: ${result.message || result.error}`, 'error');
+            }
+
+        } catch (error) {
+            console.error('❌ OpenAI-compatible test failed:', error);
+            this.showMessage('OpenAI-compatible connection failed', 'error');
+        } finally {
+            this.elements.testOpenAICompatibleButton.disabled = false;
+            this.elements.testOpenAICompatibleButton.innerHTML = '<i class="fas fa-flask mr-2"></i>Test Connection';
+        }
+    }
+
     /**
      * Save AI provider configuration
      */
@@ -446,13 +689,23 @@ export class KnowledgeManagementModule {
                 rephrasing_model: this.elements.rephrasingModel?.value || 'google/gemini-2.5-flash-lite',
                 // Site configuration
                 site_url: this.elements.siteUrl?.value || '',
-                site_name: this.elements.siteName?.value || ''
+                site_name: this.elements.siteName?.value || '',
+                // OpenAI-compatible configuration
+                ...this.getOpenAICompatibleConfig()
             };
 
-            // Don't save masked API key
+            if (!this.isValidHeadersJson(config.openai_compatible_headers)) {
+                this.showMessage('Extra headers must be a JSON object', 'warning');
+                return;
+            }
+
+            // Don't save masked API keys
             if (config.openrouter_api_key === '••••••••') {
                 delete config.openrouter_api_key;
             }
+            if (config.openai_compatible_api_key === '••••••••') {
+                delete config.openai_compatible_api_key;
+            }
 
             console.log('📚 KnowledgeManagementModule: Saving configuration:', config);
 
@@ -581,6 +834,141 @@ export class KnowledgeManagementModule {
         }
     }
 
+    /**
+     * Load the active embedding model, configured provider and migration progress
+     */
+    async loadEmbeddingStatus() {
+        try {
+            const response = await fetch('/api/knowledge/embeddings', {
+                headers: this.getAuthHeaders()
+            });
+            if (!response.ok) {
+                return;
+            }
+
+            const result = await response.json();
+            const { active, configured, defaultModels, migration } = result;
+
+            if (this.elements.embeddingActive) {
+                this.elements.embeddingActive.textContent = active.embedding
+                    ? `${active.embedding.provider} / ${active.embedding.model} (${active.embedding.dimension} dimensions)`
+                    : 'Not connected';
+            }
+            if (this.elements.embeddingActiveCollection) {
+                this.elements.embeddingActiveCollection.textContent = active.collection || '';
+            }
+
+            if (this.elements.embeddingProvider) {
+                this.elements.embeddingProvider.value = configured.provider;
+            }
+            if (this.elements.embeddingModel) {
+                this.elements.embeddingModel.value = configured.model || '';
+                this.elements.embeddingModel.placeholder = defaultModels[configured.provider] || '';
+            }
+            if (this.elements.embeddingBaseUrl) {
+                this.elements.embeddingBaseUrl.value = configured.baseUrl || '';
+            }
+            if (this.elements.embeddingApiKey) {
+                this.elements.embeddingApiKey.value = '';
+                this.elements.embeddingApiKey.placeholder = configured.hasApiKey
+                    ? 'Saved - leave empty to keep'
+                    : 'Leave empty for local servers';
+            }
+
+            this.updateEmbeddingMigrationStatus(migration);
+
+        } catch (error) {
+            console.error('❌ Failed to load embedding status:', error);
+        }
+    }
+
+    /**
+     * Show migration progress and poll until the migration finishes
+     */
+    updateEmbeddingMigrationStatus(migration) {
+        const statusElement = this.elements.embeddingMigrationStatus;
+        if (!statusElement || !migration || migration.state === 'idle') {
+            return;
+        }
+
+        const target = migration.to ? `${migration.to.provider} / ${migration.to.model}` : migration.toCollection;
+        const messages = {
+            running: `Re-embedding with ${target}: ${migration.processed} of ${migration.total} chunks`,
+            completed: `Switched to ${target} (${migration.processed} chunks). Previous collection kept: ${migration.fromCollection}`,
+            failed: `Migration to ${target} failed: ${migration.error}. The current collection is still active.`
+        };
+
+        statusElement.textContent = messages[migration.state] || migration.state;
+        statusElement.classList.remove('hidden');
+
+        if (this.elements.startEmbeddingMigrationButton) {
+            this.elements.startEmbeddingMigrationButton.disabled = migration.state === 'running';
+        }
+
+        clearTimeout(this.embeddingStatusTimer);
+        if (migration.state === 'running') {
+            this.embeddingStatusTimer = setTimeout(() => this.loadEmbeddingStatus(), 3000);
+        }
+    }
+
+    /**
+     * Save the embedding provider configuration
+     */
+    async saveEmbeddingSettings() {
+        try {
+            const response = await fetch('/api/knowledge/embeddings', {
+                method: 'PUT',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({
+                    provider: this.elements.embeddingProvider.value,
+                    model: this.elements.embeddingModel.value.trim(),
+                    baseUrl: this.elements.embeddingBaseUrl.value.trim(),
+                    apiKey: this.elements.embeddingApiKey.value.trim()
+                })
+            });
+
+            const result = await response.json();
+            if (response.ok) {
+                this.showMessage(result.message, 'success');
+                await this.loadEmbeddingStatus();
+            } else {
+                this.showMessage(`Failed to save embedding settings: ${result.details || result.error}`, 'error');
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to save embedding settings:', error);
+            this.showMessage('Failed to save embedding settings', 'error');
+        }
+    }
+
+    /**
+     * Re-embed the knowledge base with the saved embedding configuration
+     */
+    async startEmbeddingMigration() {
+        if (!confirm('Re-embed the whole knowledge base with the saved embedding model? Search keeps using the current model until the migration completes.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/knowledge/embeddings/migrate', {
+                method: 'POST',
+                headers: this.getAuthHeaders()
+            });
+
+            const result = await response.json();
+            if (response.ok) {
+                this.showMessage(result.message, 'success');
+                this.updateEmbeddingMigrationStatus(result.migration);
+            } else {
+                this.showMessage(`Failed to start migration: ${result.details || result.error}`, 'error');
+            }
+
+        } catch (error) {
+            console.error('❌ Failed to start embedding migration:', error);
+            this.showMessage('Failed to start embedding migration', 'error');
+        }
+    }
+
     /**
      * Load documents from the server
      */
@@ -1104,6 +1492,450 @@ ${this.escapeHtml(doc.content || 'No content available')}
         }
     }
 
+    /**
+     * Load the knowledge gap report for the selected period
+     */
+    async loadKnowledgeGaps() {
+        if (!this.elements.knowledgeGapsList) return;
+
+        const days = this.elements.knowledgeGapsDays?.value || 30;
+
+        try {
+            const response = await this.apiManager.get(`/api/knowledge/gaps?days=${encodeURIComponent(days)}`);
+
+            if (response.success) {
+                this.renderKnowledgeGaps(response.data);
+            } else {
+                console.error('❌ Failed to load knowledge gaps:', response.error);
+                this.elements.knowledgeGapsList.innerHTML = '<div class="text-center text-gray-500 py-8">Failed to load knowledge gaps</div>';
+            }
+        } catch (error) {
+            console.error('❌ KnowledgeManagementModule: Failed to load knowledge gaps:', error);
+            this.elements.knowledgeGapsList.innerHTML = '<div class="text-center text-gray-500 py-8">Error loading knowledge gaps</div>';
+        }
+    }
+
+    /**
+     * Render the knowledge gap clusters, largest first
+     */
+    renderKnowledgeGaps(report) {
+        const { totals, clusters } = report;
+        const reasonLabels = {
+            no_context: 'No documents found',
+            low_score: 'Low retrieval score',
+            edited: 'Suggestion edited',
+            from_scratch: 'Written from scratch',
+            escalated: 'Autopilot escalated'
+        };
+
+        if (this.elements.knowledgeGapsSummary) {
+            this.elements.knowledgeGapsSummary.textContent = totals.queries > 0
+                ? `${totals.failing} of ${totals.queries} questions unanswered in the last ${report.period.days} days, in ${totals.clusters} groups`
+                : '';
+        }
+
+        if (clusters.length === 0) {
+            this.elements.knowledgeGapsList.innerHTML = `
+                <div class="text-center text-gray-500 py-8">
+                    <i class="fas fa-check-circle text-4xl mb-2"></i>
+                    <p>${totals.queries > 0 ? 'No unanswered questions in this period' : 'No customer questions recorded in this period'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.knowledgeGapsList.innerHTML = clusters.map(cluster => `
+            <div class="bg-white rounded-lg border border-gray-200 p-4 mb-3">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="flex-1">
+                        <h4 class="font-medium text-gray-900 mb-1">${this.escapeHtml(cluster.question)}</h4>
+                        <div class="flex flex-wrap gap-1 mb-2">
+                            ${Object.entries(cluster.reasons).map(([reason, count]) => `
+                                <span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                                    ${this.escapeHtml(reasonLabels[reason] || reason)}: ${count}
+                                </span>
+                            `).join('')}
+                        </div>
+                        ${cluster.examples.length > 1 ? `
+                            <ul class="text-sm text-gray-600 list-disc list-inside space-y-1">
+                                ${cluster.examples.slice(1).map(example => `<li>${this.escapeHtml(example)}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                    <div class="text-right text-sm text-gray-500 whitespace-nowrap">
+                        <div class="text-lg font-semibold text-gray-900">${cluster.count}</div>
+                        <div>${cluster.conversations} conversation${cluster.conversations === 1 ? '' : 's'}</div>
+                        <div>Avg. score: ${cluster.averageScore !== null ? cluster.averageScore.toFixed(2) : 'n/a'}</div>
+                        <div>${new Date(cluster.lastAskedAt).toLocaleDateString()}</div>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Load the review queue of agent-corrected answers
+     */
+    async loadAnswerReviews() {
+        if (!this.elements.answerReviewsList) return;
+
+        try {
+            const response = await this.apiManager.get('/api/knowledge/reviews');
+
+            if (response.success) {
+                this.renderAnswerReviews(response.data);
+            } else {
+                console.error('❌ Failed to load answer reviews:', response.error);
+                this.elements.answerReviewsList.innerHTML = '<div class="text-center text-gray-500 py-8">Failed to load review queue</div>';
+            }
+        } catch (error) {
+            console.error('❌ KnowledgeManagementModule: Failed to load answer reviews:', error);
+            this.elements.answerReviewsList.innerHTML = '<div class="text-center text-gray-500 py-8">Error loading review queue</div>';
+        }
+    }
+
+    /**
+     * Render the answers awaiting review with approve and dismiss actions
+     */
+    renderAnswerReviews(queue) {
+        if (this.elements.answerReviewsSummary) {
+            this.elements.answerReviewsSummary.textContent = queue.total > 0
+                ? `${queue.total} answer${queue.total === 1 ? '' : 's'} awaiting review${queue.total > queue.items.length ? `, newest ${queue.items.length} shown` : ''}`
+                : '';
+        }
+
+        if (queue.items.length === 0) {
+            this.elements.answerReviewsList.innerHTML = `
+                <div class="text-center text-gray-500 py-8">
+                    <i class="fas fa-check-circle text-4xl mb-2"></i>
+                    <p>No corrected answers awaiting review</p>
+                </div>
+            `;
+            return;
+        }
+
+        const module = 'window.settingsManager?.knowledgeManagementModule';
+        this.elements.answerReviewsList.innerHTML = queue.items.map(item => `
+            <div class="bg-white rounded-lg border border-gray-200 p-4 mb-3">
+                <div class="text-xs text-gray-500 mb-2 space-x-3">
+                    <span class="inline-flex items-center px-2 py-1 rounded-full font-medium ${item.suggestionAction === 'from_scratch' ? 'bg-purple-100 text-purple-800' : 'bg-yellow-100 text-yellow-800'}">
+                        ${item.suggestionAction === 'from_scratch' ? 'Written from scratch' : `Edited ${Math.round((item.editRatio || 0) * 100)}%`}
+                    </span>
+                    ${item.agent ? `<span><i class="fas fa-user mr-1"></i>${this.escapeHtml(item.agent)}</span>` : ''}
+                    <span>${new Date(item.answeredAt).toLocaleString()}</span>
+                </div>
+                <div class="mb-2">
+                    <div class="text-xs font-medium text-gray-500 uppercase">Question</div>
+                    <div class="text-sm text-gray-900 whitespace-pre-wrap">${item.question ? this.escapeHtml(item.question) : '<span class="text-gray-400">No customer question found</span>'}</div>
+                </div>
+                <div class="mb-3">
+                    <div class="text-xs font-medium text-gray-500 uppercase">Agent answer</div>
+                    <div class="text-sm text-gray-900 whitespace-pre-wrap">${this.escapeHtml(item.answer)}</div>
+                </div>
+                ${item.originalSuggestion ? `
+                    <details class="mb-3 text-sm text-gray-600">
+                        <summary class="cursor-pointer text-xs text-gray-500">AI suggestion</summary>
+                        <div class="mt-1 whitespace-pre-wrap">${this.escapeHtml(item.originalSuggestion)}</div>
+                    </details>
+                ` : ''}
+                <div class="flex items-center justify-end space-x-2">
+                    <button
+                        class="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                        onclick="${module}?.dismissAnswerReview('${item.id}')"
+                    >
+                        <i class="fas fa-times mr-1"></i>Dismiss
+                    </button>
+                    <button
+                        class="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 transition-colors disabled:opacity-50"
+                        onclick="${module}?.approveAnswerReview('${item.id}')"
+                        ${item.question ? '' : 'disabled'}
+                    >
+                        <i class="fas fa-check mr-1"></i>Approve
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Add a reviewed answer to the knowledge base as a Q&A document
+     */
+    async approveAnswerReview(reviewId) {
+        try {
+            const response = await this.apiManager.post(`/api/knowledge/reviews/${encodeURIComponent(reviewId)}/approve`);
+            this.showMessage(response.message || 'Answer added to the knowledge base', 'success');
+            await this.loadAnswerReviews();
+        } catch (error) {
+            console.error('❌ Failed to approve answer:', error);
+            this.showMessage(`Failed to approve answer: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Remove an answer from the review queue without adding it to the knowledge base
+     */
+    async dismissAnswerReview(reviewId) {
+        try {
+            await this.apiManager.post(`/api/knowledge/reviews/${encodeURIComponent(reviewId)}/dismiss`);
+            await this.loadAnswerReviews();
+        } catch (error) {
+            console.error('❌ Failed to dismiss answer:', error);
+            this.showMessage(`Failed to dismiss answer: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load the FAQ matching switch and thresholds
+     */
+    async loadFaqSettings() {
+        if (!this.elements.faqMatchingEnabled) return;
+
+        try {
+            const response = await this.apiManager.get('/api/config/ai');
+            const settings = response.settings || {};
+
+            this.elements.faqMatchingEnabled.checked = settings.faq_matching_enabled?.value !== false;
+            if (settings.faq_answer_threshold) {
+                this.elements.faqAnswerThreshold.value = settings.faq_answer_threshold.value;
+            }
+            if (settings.faq_context_threshold) {
+                this.elements.faqContextThreshold.value = settings.faq_context_threshold.value;
+            }
+        } catch (error) {
+            console.error('❌ KnowledgeManagementModule: Failed to load FAQ settings:', error);
+        }
+    }
+
+    /**
+     * Save the FAQ matching switch and thresholds
+     */
+    async saveFaqSettings() {
+        const answerThreshold = parseFloat(this.elements.faqAnswerThreshold.value);
+        const contextThreshold = parseFloat(this.elements.faqContextThreshold.value);
+
+        if (contextThreshold > answerThreshold) {
+            this.showMessage('The context threshold cannot be higher than the answer threshold', 'error');
+            return;
+        }
+
+        try {
+            await this.apiManager.put('/api/config/ai', {
+                faq_matching_enabled: this.elements.faqMatchingEnabled.checked,
+                faq_answer_threshold: answerThreshold,
+                faq_context_threshold: contextThreshold
+            });
+            this.showMessage('FAQ matching saved', 'success');
+        } catch (error) {
+            console.error('❌ Failed to save FAQ settings:', error);
+            this.showMessage(`Failed to save FAQ matching: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load the FAQ entries matching the search box
+     */
+    async loadFaqs() {
+        if (!this.elements.faqList) return;
+
+        const search = this.elements.faqSearch?.value.trim() || '';
+
+        try {
+            const response = await this.apiManager.get(`/api/knowledge/faqs${search ? `?search=${encodeURIComponent(search)}` : ''}`);
+
+            if (response.success) {
+                this.faqs = response.data;
+                this.renderFaqs(response.data, search);
+            } else {
+                console.error('❌ Failed to load FAQs:', response.error);
+                this.elements.faqList.innerHTML = '<div class="text-center text-gray-500 py-8">Failed to load FAQs</div>';
+            }
+        } catch (error) {
+            console.error('❌ KnowledgeManagementModule: Failed to load FAQs:', error);
+            this.elements.faqList.innerHTML = '<div class="text-center text-gray-500 py-8">Error loading FAQs</div>';
+        }
+    }
+
+    /**
+     * Render the FAQ entries, most matched first
+     */
+    renderFaqs(faqs, search) {
+        if (this.elements.faqSummary) {
+            this.elements.faqSummary.textContent = faqs.length > 0
+                ? `${faqs.length} FAQ${faqs.length === 1 ? '' : 's'}, ${faqs.filter(faq => faq.enabled).length} enabled`
+                : '';
+        }
+
+        if (faqs.length === 0) {
+            this.elements.faqList.innerHTML = `
+                <div class="text-center text-gray-500 py-8">
+                    <i class="fas fa-list-check text-4xl mb-2"></i>
+                    <p>${search ? 'No FAQs match the search' : 'No FAQs yet. Add one above or import a CSV file.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const module = 'window.settingsManager?.knowledgeManagementModule';
+        this.elements.faqList.innerHTML = faqs.map(faq => `
+            <div class="bg-white rounded-lg border border-gray-200 p-4 ${faq.enabled ? '' : 'opacity-60'}">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="flex-1">
+                        <h4 class="font-medium text-gray-900 mb-1">${this.escapeHtml(faq.question)}</h4>
+                        ${(faq.alternate_questions || []).length > 0 ? `
+                            <ul class="text-xs text-gray-500 list-disc list-inside mb-2">
+                                ${faq.alternate_questions.map(phrasing => `<li>${this.escapeHtml(phrasing)}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                        <div class="text-sm text-gray-700 whitespace-pre-wrap mb-2">${this.escapeHtml(faq.answer)}</div>
+                        <div class="flex flex-wrap gap-1">
+                            ${(faq.tags || []).map(tag => `
+                                <span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">${this.escapeHtml(tag)}</span>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="text-right text-sm text-gray-500 whitespace-nowrap">
+                        <div class="text-lg font-semibold text-gray-900">${faq.hits}</div>
+                        <div>match${faq.hits === 1 ? '' : 'es'}</div>
+                        ${faq.last_matched_at ? `<div>${new Date(faq.last_matched_at).toLocaleDateString()}</div>` : ''}
+                    </div>
+                </div>
+                <div class="flex items-center justify-end space-x-2 mt-3">
+                    <button
+                        class="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                        onclick="${module}?.toggleFaq('${faq.id}')"
+                    >
+                        <i class="fas fa-${faq.enabled ? 'pause' : 'play'} mr-1"></i>${faq.enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                        class="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                        onclick="${module}?.editFaq('${faq.id}')"
+                    >
+                        <i class="fas fa-edit mr-1"></i>Edit
+                    </button>
+                    <button
+                        class="px-3 py-1 text-sm bg-red-100 text-red-700 rounded hover:bg-red-200 transition-colors"
+                        onclick="${module}?.deleteFaq('${faq.id}')"
+                    >
+                        <i class="fas fa-trash mr-1"></i>Delete
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Fill the FAQ form with an entry for editing
+     */
+    editFaq(faqId) {
+        const faq = this.faqs.find(item => item.id === faqId);
+        if (!faq) return;
+
+        this.elements.faqId.value = faq.id;
+        this.elements.faqQuestion.value = faq.question;
+        this.elements.faqAlternates.value = (faq.alternate_questions || []).join('\n');
+        this.elements.faqAnswer.value = faq.answer;
+        this.elements.faqTags.value = (faq.tags || []).join(', ');
+        this.elements.faqSubmitLabel.textContent = 'Save FAQ';
+        this.elements.cancelFaqEditButton?.classList.remove('hidden');
+        this.elements.faqQuestion.focus();
+    }
+
+    /**
+     * Clear the FAQ form back to adding a new entry
+     */
+    resetFaqForm() {
+        this.elements.faqForm?.reset();
+        this.elements.faqId.value = '';
+        this.elements.faqSubmitLabel.textContent = 'Add FAQ';
+        this.elements.cancelFaqEditButton?.classList.add('hidden');
+    }
+
+    /**
+     * Create or update the FAQ in the form
+     */
+    async saveFaq() {
+        const faqId = this.elements.faqId.value;
+        const data = {
+            question: this.elements.faqQuestion.value,
+            alternateQuestions: this.elements.faqAlternates.value,
+            answer: this.elements.faqAnswer.value,
+            tags: this.elements.faqTags.value
+        };
+
+        try {
+            const response = faqId
+                ? await this.apiManager.put(`/api/knowledge/faqs/${encodeURIComponent(faqId)}`, data)
+                : await this.apiManager.post('/api/knowledge/faqs', data);
+            this.showMessage(response.message || 'FAQ saved', 'success');
+            this.resetFaqForm();
+            await this.loadFaqs();
+        } catch (error) {
+            console.error('❌ Failed to save FAQ:', error);
+            this.showMessage(`Failed to save FAQ: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Enable or disable a FAQ without deleting it
+     */
+    async toggleFaq(faqId) {
+        const faq = this.faqs.find(item => item.id === faqId);
+        if (!faq) return;
+
+        try {
+            await this.apiManager.put(`/api/knowledge/faqs/${encodeURIComponent(faqId)}`, { enabled: !faq.enabled });
+            await this.loadFaqs();
+        } catch (error) {
+            console.error('❌ Failed to update FAQ:', error);
+            this.showMessage(`Failed to update FAQ: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete a FAQ
+     */
+    async deleteFaq(faqId) {
+        if (!confirm('Are you sure you want to delete this FAQ?')) {
+            return;
+        }
+
+        try {
+            await this.apiManager.delete(`/api/knowledge/faqs/${encodeURIComponent(faqId)}`);
+            if (this.elements.faqId.value === faqId) {
+                this.resetFaqForm();
+            }
+            await this.loadFaqs();
+        } catch (error) {
+            console.error('❌ Failed to delete FAQ:', error);
+            this.showMessage(`Failed to delete FAQ: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Create or update FAQs from a CSV file
+     */
+    async importFaqCsv(file) {
+        if (!file) return;
+
+        try {
+            const response = await this.apiManager.post('/api/knowledge/faqs/import', { content: await file.text() });
+            const { errors } = response.data;
+
+            if (errors.length > 0) {
+                const lines = errors.slice(0, 5).map(error => `line ${error.line}: ${error.error}`).join('; ');
+                this.showMessage(`${response.message}. ${errors.length} row${errors.length === 1 ? '' : 's'} skipped (${lines})`, 'warning');
+            } else {
+                this.showMessage(response.message, 'success');
+            }
+            await this.loadFaqs();
+        } catch (error) {
+            console.error('❌ Failed to import FAQs:', error);
+            this.showMessage(`Failed to import FAQs: ${error.message}`, 'error');
+        } finally {
+            this.elements.faqImportFile.value = '';
+        }
+    }
+
     /**
      * Perform vector search
      */
@@ -1484,6 +2316,7 @@ ${this.escapeHtml(doc.content || 'No content available')}
      * Cleanup method
      */
     destroy() {
+        clearTimeout(this.embeddingStatusTimer);
         console.log('🧹 KnowledgeManagementModule: Cleanup complete');
     }
 }
\ No newline at end of file
@@ -2,7 +2,7 @@
  * STATISTICS MODULE
  *
  * Manages statistics dashboard for support operations
- * Displays conversation metrics, agent performance, and AI usage
+ * Displays conversation metrics, agent performance, AI usage and LLM costs
  */
 
 export default class StatisticsModule {
@@ -15,7 +15,7 @@ export default class StatisticsModule {
             end: new Date()
         };
 
-        this.currentView = 'dashboard'; // dashboard, conversations, agents, ai, trends
+        this.currentView = 'dashboard'; // dashboard, conversations, agents, ai, costs
         this.isLoading = false;
         this.error = null;
         this.data = null;
@@ -69,6 +69,7 @@ export default class StatisticsModule {
                                 <button class="view-btn" data-view="conversations">Conversations</button>
                                 <button class="view-btn" data-view="agents">Agents</button>
                                 <button class="view-btn" data-view="ai">AI Usage</button>
+                                <button class="view-btn" data-view="costs">LLM Costs</button>
                             </div>
                         </div>
                     </div>
@@ -148,6 +149,9 @@ export default class StatisticsModule {
             case 'ai':
                 await this.loadAIUsage();
                 break;
+            case 'costs':
+                await this.loadLLMCosts();
+                break;
         }
     }
 
@@ -239,6 +243,28 @@ export default class StatisticsModule {
         }
     }
 
+    /**
+     * Load LLM token usage and cost statistics
+     */
+    async loadLLMCosts() {
+        this.showLoading();
+
+        try {
+            const params = this.buildDateParams(this.dateRange.start, this.dateRange.end);
+            const response = await this.apiManager.get(`/api/statistics/llm-usage?${params}`);
+
+            if (response.success) {
+                this.data = response.data;
+                this.renderLLMCosts(response.data);
+                this.hideLoading();
+            } else {
+                throw new Error(response.error || 'Failed to load LLM cost statistics');
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
     /**
      * Render dashboard view
      */
@@ -309,6 +335,21 @@ export default class StatisticsModule {
                         </div>
                     </div>
                 </div>
+
+                <div class="stat-card stat-card-ai">
+                    <div class="stat-header">
+                        <div class="stat-icon-wrapper stat-icon-indigo">
+                            <i class="fas fa-user-shield"></i>
+                        </div>
+                        <h4>Autopilot Escalations</h4>
+                    </div>
+                    <div class="stat-body">
+                        <div class="stat-main-value">${data.autopilot?.escalations || 0}</div>
+                        <div class="stat-subtext">
+                            <i class="fas fa-robot"></i> ${data.autopilot?.escalationRate?.toFixed(0) || 0}% of ${(data.autopilot?.autopilotResponses || 0) + (data.autopilot?.escalations || 0)} autopilot answers
+                        </div>
+                    </div>
+                </div>
             </div>
         `;
     }
@@ -451,6 +492,73 @@ export default class StatisticsModule {
         `;
     }
 
+    /**
+     * Render LLM costs view
+     */
+    renderLLMCosts(data) {
+        const container = document.getElementById('stats-data');
+        if (!container) return;
+
+        const formatCost = (cost) => `$${(cost || 0).toFixed(4)}`;
+        const formatTokens = (tokens) => (tokens || 0).toLocaleString();
+        const rows = (items, key) => items.map(item => `
+            <tr>
+                <td>${item[key]}</td>
+                <td>${item.calls}</td>
+                <td>${formatTokens(item.promptTokens)}</td>
+                <td>${formatTokens(item.completionTokens)}</td>
+                <td>${formatCost(item.cost)}</td>
+                <td>${item.averageLatencyMs !== null ? `${item.averageLatencyMs} ms` : '-'}</td>
+            </tr>
+        `).join('');
+        const table = (title, label, items, key) => `
+            <div class="stat-section">
+                <h4>${title}</h4>
+                <table class="stats-table">
+                    <thead>
+                        <tr>
+                            <th>${label}</th>
+                            <th>Calls</th>
+                            <th>Prompt Tokens</th>
+                            <th>Completion Tokens</th>
+                            <th>Cost</th>
+                            <th>Avg Latency</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows(items, key) || '<tr><td colspan="6">No data</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        const budget = data.budget || {};
+        const budgetText = budget.monthlyBudget
+            ? `${formatCost(budget.spent)} of $${budget.monthlyBudget} spent in ${budget.month} (${Math.round((budget.ratio || 0) * 100)}%)`
+            : 'No monthly budget set';
+        const budgetClass = budget.level === 'exceeded'
+            ? 'stat-badge-warning'
+            : (budget.level === 'warning' ? 'stat-badge-gray' : 'stat-badge-success');
+        const unpriced = data.unpricedModels?.length
+            ? `<p class="text-sm text-gray-500">No price configured for: ${data.unpricedModels.join(', ')}</p>`
+            : '';
+
+        container.innerHTML = `
+            <div class="ai-usage-stats">
+                <div class="stat-section">
+                    <h4>LLM Usage</h4>
+                    <p>Total Cost: <strong>${formatCost(data.totals?.cost)}</strong></p>
+                    <p>Calls: <strong>${data.totals?.calls || 0}</strong>, tokens: <strong>${formatTokens(data.totals?.totalTokens)}</strong></p>
+                    <p>Monthly Budget: <span class="stat-badge ${budgetClass}">${budgetText}</span></p>
+                    ${unpriced}
+                </div>
+                ${table('By Feature', 'Feature', data.byFeature || [], 'feature')}
+                ${table('By Model', 'Model', data.byModel || [], 'model')}
+                ${table('By Day', 'Date', data.byDay || [], 'date')}
+            </div>
+        `;
+    }
+
     /**
      * Show loading state
      */
@@ -20,6 +20,7 @@
  * - Expandable chat window with message history
  * - Typing indicators for both customer and agent
  * - Markdown rendering for rich AI responses
+ * - Progressive rendering of streamed autopilot answers
  * - Automatic message polling fallback when WebSocket fails
  * - Responsive design with mobile-friendly interface
  * - Error handling with user-friendly messages in Lithuanian
@@ -53,6 +54,8 @@
         privacyCheckboxText: '',
         initialMessagesLoaded: false,
         focusableElementsCache: null,
+        streamingMessages: {},
+        activeTypingId: null,
 
         init: function(options) {
             Object.assign(this.config, options);
@@ -732,6 +735,18 @@
                 this.addMessage(content, 'agent', data.message.id);
             });
             
+            // Listen for streamed autopilot answers
+            this.socket.on('ai-response-chunk', (data) => {
+                if (data.conversationId !== this.conversationId) return;
+                this.appendStreamChunk(data.messageId, data.delta);
+            });
+
+            this.socket.on('ai-response-complete', (data) => {
+                if (data.conversationId !== this.conversationId) return;
+                // If nothing was streamed the HTTP response renders the message
+                this.finalizeStreamedMessage(data.message);
+            });
+
             // Listen for agent typing status
             this.socket.on('agent-typing-status', (data) => {
                 this.showAgentTyping(data.isTyping);
@@ -964,6 +979,9 @@
             } else {
                 formattedText = (msg.sender === 'agent' || msg.sender === 'ai') ? this.markdownToHtml(content) : content;
             }
+            if (msg.sender === 'agent' || msg.sender === 'ai') {
+                formattedText += this.renderCitations(msg.metadata && msg.metadata.citations);
+            }
 
             messageDiv.innerHTML = `
                 <div style="
@@ -1021,6 +1039,7 @@
 
             // Show typing indicator
             const typingId = this.showTypingIndicator();
+            this.activeTypingId = typingId;
 
             try {
                 // Ensure we have a conversation ID
@@ -1065,7 +1084,11 @@
                 
                 if (data.aiMessage) {
                     // Filter out internal system messages that should not be shown to customers
-                    if (!this.isInternalSystemMessage(data.aiMessage.content, data.aiMessage.sender, data.aiMessage.metadata)) {
+                    const isInternal = this.isInternalSystemMessage(data.aiMessage.content, data.aiMessage.sender, data.aiMessage.metadata);
+                    // Streamed answers are already on screen - just swap in the final text
+                    const alreadyRendered = this.finalizeStreamedMessage(data.aiMessage) ||
+                        document.querySelector(`[data-message-id="${data.aiMessage.id}"]`);
+                    if (!isInternal && !alreadyRendered) {
                         this.addMessage(data.aiMessage.content, data.aiMessage.sender, data.aiMessage.id, data.aiMessage.metadata);
                     }
                 } else {
@@ -1075,6 +1098,7 @@
 
             } catch (error) {
                 console.error('Error sending message:', error);
+                this.discardStreamedMessages();
                 this.removeTypingIndicator(typingId);
                 
                 // Provide different error messages based on error type
@@ -1216,6 +1240,30 @@
             return html;
         },
 
+        /**
+         * Source links shown under an AI answer
+         * Citations without a web address are listed as plain text
+         */
+        renderCitations(citations) {
+            if (!Array.isArray(citations) || citations.length === 0) return '';
+
+            const items = citations.map(citation => {
+                const title = this.escapeHtml(citation.title || citation.url || '');
+                const safeUrl = citation.url ? this.sanitizeUrl(citation.url) : '#';
+                if (safeUrl === '#') {
+                    return `<li>${title}</li>`;
+                }
+                return `<li><a href="${this.escapeHtml(safeUrl)}" target="_blank" rel="noopener noreferrer nofollow" style="color: #4F46E5; text-decoration: underline;">${title}</a></li>`;
+            }).join('');
+
+            return `
+                <div class="lizdeika-citations" style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">
+                    <div style="font-weight: 600; margin-bottom: 4px;">Šaltiniai:</div>
+                    <ol style="margin: 0; padding-left: 18px;">${items}</ol>
+                </div>
+            `;
+        },
+
         getVisitorId() {
             let visitorId = localStorage.getItem('lizdeika_visitor_id');
             if (!visitorId) {
@@ -1275,7 +1323,10 @@
             }
 
             // Convert markdown to HTML for AI/agent messages
-            const formattedText = (sender === 'ai' || sender === 'agent') ? this.markdownToHtml(text) : text;
+            let formattedText = (sender === 'ai' || sender === 'agent') ? this.markdownToHtml(text) : text;
+            if (sender === 'ai' || sender === 'agent') {
+                formattedText += this.renderCitations(messageMetadata && messageMetadata.citations);
+            }
 
             messageDiv.innerHTML = `
                 <div style="
@@ -1366,6 +1417,79 @@
             if (element) {
                 element.remove();
             }
+            if (this.activeTypingId === id) {
+                this.activeTypingId = null;
+            }
+        },
+
+        /**
+         * Append a streamed token to the in-progress autopilot answer
+         * The bubble is created on the first chunk and replaces the typing indicator
+         */
+        appendStreamChunk(messageId, delta) {
+            if (!messageId || !delta) return;
+
+            let stream = this.streamingMessages[messageId];
+            if (!stream) {
+                // Late chunks for an already finalized message are ignored
+                if (document.querySelector(`[data-message-id="${messageId}"]`)) return;
+
+                if (this.activeTypingId) {
+                    this.removeTypingIndicator(this.activeTypingId);
+                }
+
+                const element = this.createMessageElement({
+                    id: messageId,
+                    sender: 'agent',
+                    content: '',
+                    metadata: { displayDisclaimer: true }
+                });
+                element.setAttribute('aria-busy', 'true');
+                document.getElementById('lizdeika-messages').appendChild(element);
+
+                stream = { element, text: '' };
+                this.streamingMessages[messageId] = stream;
+            }
+
+            stream.text += delta;
+
+            const contentEl = stream.element.firstElementChild && stream.element.firstElementChild.firstElementChild;
+            if (contentEl) {
+                contentEl.innerHTML = this.markdownToHtml(`🤖 *Atsako robotas - galimos klaidos*\n\n${stream.text}`);
+            }
+
+            const messagesContainer = document.getElementById('lizdeika-messages');
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        },
+
+        /**
+         * Replace a streamed answer with the final persisted message
+         * @returns {boolean} True if a streamed bubble existed and was finalized
+         */
+        finalizeStreamedMessage(message) {
+            if (!message || !this.streamingMessages[message.id]) return false;
+
+            const stream = this.streamingMessages[message.id];
+            delete this.streamingMessages[message.id];
+
+            const finalElement = this.createMessageElement(message);
+            stream.element.replaceWith(finalElement);
+
+            const messagesContainer = document.getElementById('lizdeika-messages');
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+            this.announceNewMessage(message);
+            return true;
+        },
+
+        /**
+         * Drop unfinished streamed bubbles (e.g. when the request failed)
+         */
+        discardStreamedMessages() {
+            Object.keys(this.streamingMessages).forEach(id => {
+                this.streamingMessages[id].element.remove();
+            });
+            this.streamingMessages = {};
         },
 
         generateSessionId() {